@@ -10,11 +10,21 @@ import ProtectedRoute from "@/components/ProtectedRoute";
 import Index from "./pages/Index";
 import Dashboard from "./pages/Dashboard";
 import Login from "./pages/Login";
+import SsoCallback from "./pages/SsoCallback";
 import CreateNotice from "./pages/CreateNotice";
 import EditNotice from "./pages/EditNotice";
 import NoticeDetail from "./pages/NoticeDetails";
 import NotFound from "./pages/NotFound";
 import PublicNoticeDetail from "./pages/PublicNoticeDetail"; // Import the PublicNoticeDetail component
+import SubscriptionConfirm from "./pages/SubscriptionConfirm";
+import ManageSubscription from "./pages/ManageSubscription";
+import ChangePassword from "./pages/ChangePassword";
+import Security from "./pages/Security";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import Users from "./pages/Users";
+import Trash from "./pages/Trash";
+import Templates from "./pages/Templates";
 
 const queryClient = new QueryClient();
 
@@ -30,12 +40,15 @@ const App = () => (
               {/* Public Routes */}
               <Route path="/" element={<Index />} />
               <Route path="/login" element={<Login />} />
+              <Route path="/login/sso" element={<SsoCallback />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
               
               {/* Protected Routes */}
               <Route 
                 path="/dashboard" 
                 element={
-                  <ProtectedRoute requiredRoles={['admin', 'super_admin']}>
+                  <ProtectedRoute requiredPermissions={['notice.view']}>
                     <Dashboard />
                   </ProtectedRoute>
                 } 
@@ -43,10 +56,7 @@ const App = () => (
               <Route 
                 path="/create-notice" 
                 element={
-                  <ProtectedRoute 
-                    requiredRoles={['admin', 'super_admin']}
-                    requiredPermissions={['notice_create']}
-                  >
+                  <ProtectedRoute requiredPermissions={['notice.create']}>
                     <CreateNotice />
                   </ProtectedRoute>
                 } 
@@ -54,18 +64,55 @@ const App = () => (
               <Route 
                 path="/edit-notice/:id" 
                 element={
-                  <ProtectedRoute 
-                    requiredRoles={['admin', 'super_admin']}
-                    requiredPermissions={['notice_edit']}
-                  >
+                  <ProtectedRoute requiredPermissions={['notice.edit']}>
                     <EditNotice />
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/change-password" 
+                element={
+                  <ProtectedRoute>
+                    <ChangePassword />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/security" 
+                element={
+                  <ProtectedRoute>
+                    <Security />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/users" 
+                element={
+                  <ProtectedRoute requiredPermissions={['users.manage']}>
+                    <Users />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/trash" 
+                element={
+                  <ProtectedRoute requiredPermissions={['notice.view']}>
+                    <Trash />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/templates" 
+                element={
+                  <ProtectedRoute requiredPermissions={['templates.manage']}>
+                    <Templates />
+                  </ProtectedRoute>
+                } 
+              />
               <Route 
                 path="/notice/:id" 
                 element={
-                  <ProtectedRoute requiredRoles={['admin', 'super_admin']}>
+                  <ProtectedRoute requiredPermissions={['notice.view']}>
                     <NoticeDetail />
                   </ProtectedRoute>
                 } 
@@ -73,6 +120,10 @@ const App = () => (
               
               {/* Public Notice Detail Route */}
               <Route path="/public/notice/:slug" element={<PublicNoticeDetail />} />
+
+              {/* Email Subscription Routes */}
+              <Route path="/subscribe/confirm" element={<SubscriptionConfirm />} />
+              <Route path="/subscribe/manage" element={<ManageSubscription />} />
               
               {/* 404 Page */}
               <Route path="*" element={<NotFound />} />
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, Laptop, Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { apiService, UserSessionInfo } from '@/services/api';
+import SessionRow from '@/components/SessionRow';
+import { describeDevice } from '@/utils/sessionDevice';
+
+// The signed-in user's sessions; useful after logging in on a shared lab machine
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState<UserSessionInfo[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [revokingId, setRevokingId] = useState<number | 'others' | null>(null);
+  const { toast } = useToast();
+
+  const loadSessions = async () => {
+    try {
+      const response = await apiService.getSessions();
+      setSessions(response.data.sessions);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load sessions');
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revoke = async (session: UserSessionInfo) => {
+    setRevokingId(session.id);
+    try {
+      await apiService.revokeSession(session.id);
+      toast({ title: 'Signed out', description: `${describeDevice(session.device)} was signed out.` });
+      await loadSessions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    if (!confirm('Sign out of every other device?')) {
+      return;
+    }
+
+    setRevokingId('others');
+    try {
+      const response = await apiService.revokeOtherSessions();
+      toast({ title: 'Signed out everywhere else', description: response.message });
+      await loadSessions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke sessions');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const otherSessions = sessions ? sessions.filter((session) => !session.isCurrent) : [];
+
+  return (
+    <Card className="border-sliate-accent/20 dark:border-gray-600 bg-white dark:bg-gray-800">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between text-sliate-dark dark:text-white">
+          <span className="flex items-center space-x-2">
+            <Laptop className="h-5 w-5 text-sliate-accent" />
+            <span>Where You're Signed In</span>
+          </span>
+          {otherSessions.length > 0 && (
+            <Button variant="outline" size="sm" onClick={revokeOthers} disabled={revokingId !== null}>
+              {revokingId === 'others' ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Sign out other devices'}
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {!sessions && !error && (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-sliate-accent" />
+          </div>
+        )}
+
+        {sessions && sessions.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No active sessions.</p>
+        )}
+
+        {sessions && sessions.map((session) => (
+          <SessionRow key={session.id} session={session} isRevoking={revokingId === session.id} onRevoke={revoke} />
+        ))}
+
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+          Don't recognise a device, or forgot to log out on a shared computer? Sign it out here and change your password.
+        </p>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActiveSessions;
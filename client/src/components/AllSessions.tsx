@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Pagination } from '@/components/ui/pagination';
+import { AlertCircle, Loader2, Search, Users } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { apiService, SessionPage, UserSessionInfo } from '@/services/api';
+import SessionRow from '@/components/SessionRow';
+
+// Every user's active sessions, for signing out forgotten logins on shared machines (security.manage)
+const AllSessions = () => {
+  const [result, setResult] = useState<SessionPage | null>(null);
+  const [filters, setFilters] = useState<{ page: number; search?: string }>({ page: 1 });
+  const [searchQuery, setSearchQuery] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [revokingId, setRevokingId] = useState<number | null>(null);
+  const { toast } = useToast();
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await apiService.getAllSessions({ ...filters, limit: 20 });
+      setResult(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load sessions');
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters({ page: 1, search: searchQuery.trim() || undefined });
+  };
+
+  const revoke = async (session: UserSessionInfo) => {
+    if (!confirm(`Sign ${session.username} out of this session?`)) {
+      return;
+    }
+
+    setRevokingId(session.id);
+    try {
+      await apiService.revokeSession(session.id);
+      toast({ title: 'Session revoked', description: `${session.username} was signed out of that device.` });
+      await loadSessions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <Card className="border-sliate-accent/20 dark:border-gray-600 bg-white dark:bg-gray-800">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2 text-sliate-dark dark:text-white">
+          <Users className="h-5 w-5 text-sliate-accent" />
+          <span>All Active Sessions{result ? ` (${result.pagination.total})` : ''}</span>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        <form onSubmit={handleSearch} className="flex space-x-2 mb-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <Input
+              placeholder="Username, name or IP address..."
+              className="pl-10 border-sliate-accent/30"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              maxLength={100}
+            />
+          </div>
+          <Button type="submit">Search</Button>
+        </form>
+
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {!result && !error && (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-sliate-accent" />
+          </div>
+        )}
+
+        {result && result.sessions.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No active sessions found.</p>
+        )}
+
+        {result && result.sessions.map((session) => (
+          <SessionRow key={session.id} session={session} showUser isRevoking={revokingId === session.id} onRevoke={revoke} />
+        ))}
+
+        {result && result.pagination.totalPages > 1 && (
+          <div className="flex justify-center mt-4">
+            <Pagination
+              currentPage={result.pagination.page}
+              totalPages={result.pagination.totalPages}
+              onPageChange={(page) => setFilters((prev) => ({ ...prev, page }))}
+            />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AllSessions;
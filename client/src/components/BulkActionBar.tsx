@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react';
+import { CheckCircle, Clock, Loader2, Trash2, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useAuth } from '@/hooks/useAuth';
+import { useToast } from '@/hooks/use-toast';
+import { noticeService, BulkNoticeRequest, Category, Notice } from '@/services/noticeApi';
+
+interface BulkActionBarProps {
+  selectedIds: number[];
+  onClear: () => void;
+  onComplete: () => void;
+}
+
+// Actions for the notices ticked in the dashboard; the server checks and reports each notice separately
+const BulkActionBar = ({ selectedIds, onClear, onComplete }: BulkActionBarProps) => {
+  const { hasPermission } = useAuth();
+  const { toast } = useToast();
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const canEdit = hasPermission('notice.edit');
+
+  useEffect(() => {
+    if (!canEdit) return;
+
+    noticeService.getCategories()
+      .then((response) => setCategories(response.data.categories))
+      .catch((error) => console.error('Failed to load categories:', error));
+  }, [canEdit]);
+
+  const runAction = async (request: Omit<BulkNoticeRequest, 'noticeIds'>) => {
+    if (request.action === 'delete'
+      && !confirm(`Move ${selectedIds.length} notices to the trash? They can be restored from the Trash page.`)) {
+      return;
+    }
+
+    try {
+      setIsWorking(true);
+      const response = await noticeService.bulkUpdateNotices({ ...request, noticeIds: selectedIds });
+      const { results, summary } = response.data;
+      const problems = results.filter((result) => result.status === 'failed');
+
+      toast({
+        title: summary.failed > 0 ? "Some Notices Were Not Changed" : "Notices Updated",
+        description: [
+          `${summary.succeeded} of ${summary.requested} notices changed`,
+          summary.skipped > 0 ? `${summary.skipped} already up to date` : null,
+          // The first few reasons are enough to see what went wrong
+          ...problems.slice(0, 3).map((result) => `#${result.id}: ${result.message}`)
+        ].filter(Boolean).join('. '),
+        variant: summary.succeeded === 0 && summary.failed > 0 ? "destructive" : "default"
+      });
+
+      onClear();
+      onComplete();
+    } catch (error) {
+      toast({
+        title: "Bulk Action Failed",
+        description: error instanceof Error ? error.message : "Failed to update the selected notices",
+        variant: "destructive"
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  if (selectedIds.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 p-3 mb-4 rounded-lg border border-sliate-accent/30 bg-sliate-neutral/40">
+      <span className="text-sm font-medium text-sliate-dark mr-2">
+        {isWorking && <Loader2 className="inline h-4 w-4 mr-1 animate-spin" />}
+        {selectedIds.length} selected
+      </span>
+
+      {hasPermission('notice.publish') && (
+        <>
+          <Button size="sm" variant="outline" disabled={isWorking} onClick={() => runAction({ action: 'publish' })}>
+            <CheckCircle className="h-4 w-4 mr-1 text-green-600" />
+            Publish
+          </Button>
+          <Button size="sm" variant="outline" disabled={isWorking} onClick={() => runAction({ action: 'unpublish' })}>
+            <Clock className="h-4 w-4 mr-1 text-orange-600" />
+            Unpublish
+          </Button>
+        </>
+      )}
+
+      {canEdit && (
+        <>
+          <Select
+            value=""
+            disabled={isWorking}
+            onValueChange={(priority) => runAction({ action: 'priority', priority: priority as Notice['priority'] })}
+          >
+            <SelectTrigger className="w-36 h-9 border-sliate-accent/30">
+              <SelectValue placeholder="Set priority" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="high">High</SelectItem>
+              <SelectItem value="medium">Medium</SelectItem>
+              <SelectItem value="low">Low</SelectItem>
+            </SelectContent>
+          </Select>
+
+          {categories.length > 0 && (
+            <Select
+              value=""
+              disabled={isWorking}
+              onValueChange={(categoryId) => runAction({ action: 'category', categoryId: parseInt(categoryId) })}
+            >
+              <SelectTrigger className="w-44 h-9 border-sliate-accent/30">
+                <SelectValue placeholder="Add to category" />
+              </SelectTrigger>
+              <SelectContent>
+                {categories.map((category) => (
+                  <SelectItem key={category.id} value={category.id.toString()}>
+                    {category.name}{category.type === 'department' ? ' (department)' : ''}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </>
+      )}
+
+      {hasPermission('notice.delete') && (
+        <Button
+          size="sm"
+          variant="outline"
+          className="text-red-600 hover:text-red-800"
+          disabled={isWorking}
+          onClick={() => runAction({ action: 'delete' })}
+        >
+          <Trash2 className="h-4 w-4 mr-1" />
+          Delete
+        </Button>
+      )}
+
+      <Button size="sm" variant="ghost" className="ml-auto" disabled={isWorking} onClick={onClear}>
+        <X className="h-4 w-4 mr-1" />
+        Clear
+      </Button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
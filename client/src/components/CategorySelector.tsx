@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Tags } from 'lucide-react';
+import { noticeService, Category } from '@/services/noticeApi';
+import { useAuth } from '@/hooks/useAuth';
+
+interface CategorySelectorProps {
+  value: number[];
+  onChange: (categoryIds: number[]) => void;
+}
+
+const groups: Array<{ type: Category['type']; label: string }> = [
+  { type: 'topic', label: 'Categories' },
+  { type: 'department', label: 'Departments' }
+];
+
+const CategorySelector = ({ value, onChange }: CategorySelectorProps) => {
+  const { user, hasPermission } = useAuth();
+  const [categories, setCategories] = useState<Category[]>([]);
+
+  // Notices can only be filed under the author's own departments (super admins: any)
+  const canAssign = (category: Category) =>
+    category.type !== 'department'
+    || value.includes(category.id)
+    || hasPermission('*')
+    || (user?.departmentIds || []).includes(category.id);
+
+  useEffect(() => {
+    noticeService.getCategories()
+      .then((response) => setCategories(response.data.categories))
+      .catch((error) => console.error('Failed to load categories:', error));
+  }, []);
+
+  const toggle = (categoryId: number, checked: boolean) => {
+    onChange(checked ? [...value, categoryId] : value.filter((id) => id !== categoryId));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-1">
+        <Tags className="h-4 w-4 text-sliate-accent" />
+        <Label className="text-sliate-dark dark:text-white">Categories (Optional)</Label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-3 border border-sliate-accent/30 dark:border-gray-600 rounded-md">
+        {groups.map((group) => (
+          <div key={group.type} className="space-y-2">
+            <p className="text-xs font-semibold uppercase text-gray-500">{group.label}</p>
+            {categories.filter((category) => category.type === group.type).map((category) => (
+              <div key={category.id} className="flex items-center space-x-2">
+                <Checkbox
+                  id={`category-${category.id}`}
+                  checked={value.includes(category.id)}
+                  disabled={!canAssign(category)}
+                  onCheckedChange={(checked) => toggle(category.id, checked === true)}
+                />
+                <label htmlFor={`category-${category.id}`} className="text-sm text-sliate-dark dark:text-gray-200">
+                  {category.name}
+                </label>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CategorySelector;
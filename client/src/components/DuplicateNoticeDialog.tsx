@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import { noticeService, Notice } from '@/services/noticeApi';
+
+interface DuplicateNoticeDialogProps {
+  notice: Notice | null;
+  onClose: () => void;
+}
+
+// Copies a notice into a new draft and opens it in the editor
+const DuplicateNoticeDialog = ({ notice, onClose }: DuplicateNoticeDialogProps) => {
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [title, setTitle] = useState('');
+  const [copyAttachments, setCopyAttachments] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (notice) {
+      setTitle(notice.title);
+      setCopyAttachments(false);
+    }
+  }, [notice]);
+
+  const hasAttachments = !!notice && (!!notice.imageUrl || (notice.files?.length ?? 0) > 0);
+
+  const handleDuplicate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!notice) return;
+
+    try {
+      setIsSaving(true);
+      const response = await noticeService.duplicateNotice(notice.id, {
+        title: title.trim() !== notice.title ? title.trim() : undefined,
+        copyAttachments
+      });
+      toast({
+        title: "Notice Duplicated",
+        description: "The copy was saved as a draft."
+      });
+      onClose();
+      navigate(`/edit-notice/${response.data.notice.id}`);
+    } catch (error) {
+      toast({
+        title: "Duplication Failed",
+        description: error instanceof Error ? error.message : "Failed to duplicate notice",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={notice !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Duplicate "{notice?.title}"</DialogTitle>
+          <DialogDescription>
+            The copy starts as a draft with its own link. Publication and expiry dates are not copied.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleDuplicate} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="duplicate-title">Title</Label>
+            <Input
+              id="duplicate-title"
+              value={title}
+              minLength={5}
+              maxLength={200}
+              onChange={(e) => setTitle(e.target.value)}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <Label htmlFor="duplicate-attachments">Copy the image and attachments</Label>
+            <Switch
+              id="duplicate-attachments"
+              checked={copyAttachments}
+              onCheckedChange={setCopyAttachments}
+              disabled={!hasAttachments}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSaving || title.trim().length < 5} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Duplicate
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DuplicateNoticeDialog;
@@ -0,0 +1,93 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { CalendarDays } from 'lucide-react';
+import { EventDetails, convertEventValue } from '@/utils/eventUtils';
+
+interface EventFieldsProps {
+  value: EventDetails;
+  onChange: (details: EventDetails) => void;
+}
+
+const EventFields = ({ value, onChange }: EventFieldsProps) => {
+  const inputType = value.eventAllDay ? 'date' : 'datetime-local';
+
+  const update = (changes: Partial<EventDetails>) => {
+    onChange({ ...value, ...changes });
+  };
+
+  const toggleAllDay = (allDay: boolean) => {
+    update({
+      eventAllDay: allDay,
+      eventStart: convertEventValue(value.eventStart, allDay),
+      eventEnd: convertEventValue(value.eventEnd, allDay)
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-1">
+        <CalendarDays className="h-4 w-4 text-sliate-accent" />
+        <Label className="text-sliate-dark dark:text-white">Event Details (Optional)</Label>
+      </div>
+
+      <div className="p-3 border border-sliate-accent/30 dark:border-gray-600 rounded-md space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="eventStart" className="text-sm text-sliate-dark dark:text-gray-200">Starts</Label>
+            <Input
+              id="eventStart"
+              type={inputType}
+              value={value.eventStart}
+              onChange={(e) => update({ eventStart: e.target.value })}
+              className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+            />
+          </div>
+
+          <div className="space-y-1">
+            <Label htmlFor="eventEnd" className="text-sm text-sliate-dark dark:text-gray-200">Ends</Label>
+            <Input
+              id="eventEnd"
+              type={inputType}
+              value={value.eventEnd}
+              min={value.eventStart || undefined}
+              disabled={!value.eventStart}
+              onChange={(e) => update({ eventEnd: e.target.value })}
+              className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+            />
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <Label htmlFor="eventLocation" className="text-sm text-sliate-dark dark:text-gray-200">Location</Label>
+          <Input
+            id="eventLocation"
+            value={value.eventLocation}
+            maxLength={255}
+            disabled={!value.eventStart}
+            placeholder="e.g. Main Auditorium"
+            onChange={(e) => update({ eventLocation: e.target.value })}
+            className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+          />
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id="eventAllDay"
+            checked={value.eventAllDay}
+            onCheckedChange={(checked) => toggleAllDay(checked === true)}
+          />
+          <label htmlFor="eventAllDay" className="text-sm text-sliate-dark dark:text-gray-200">
+            All-day event
+          </label>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Notices with a start time get an "Add to calendar" button and appear in the public calendar feed.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default EventFields;
@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Star } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Carousel, CarouselContent, CarouselItem, CarouselNext, CarouselPrevious } from "@/components/ui/carousel";
+import { NoticeLanguage } from "@/utils/noticeLanguages";
+import { PublicNotice, getPublicImageUrl } from "@/utils/publicNotice";
+
+interface FeaturedNoticesProps {
+  language: NoticeLanguage | null;
+}
+
+// Carousel of the notices featured by staff; renders nothing while none are featured
+const FeaturedNotices = ({ language }: FeaturedNoticesProps) => {
+  const [notices, setNotices] = useState<PublicNotice[]>([]);
+
+  const fetchFeatured = useCallback(async () => {
+    try {
+      const queryParams = new URLSearchParams();
+      if (language) queryParams.append('lang', language);
+
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/public/notices/featured?${queryParams.toString()}`);
+      if (!response.ok) {
+        throw new Error("Failed to fetch featured notices");
+      }
+
+      const data = await response.json();
+      setNotices(data.data.notices || []);
+    } catch (error) {
+      console.error("Failed to fetch featured notices:", error);
+      setNotices([]);
+    }
+  }, [language]);
+
+  useEffect(() => {
+    fetchFeatured();
+  }, [fetchFeatured]);
+
+  if (notices.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="mb-8 sm:mb-12">
+      <div className="flex items-center space-x-2 sm:space-x-3 mb-4">
+        <Star className="h-5 w-5 sm:h-6 sm:w-6 text-sliate-accent dark:text-sliate-light" />
+        <h2 className="text-xl sm:text-2xl font-bold text-sliate-dark dark:text-white">Featured</h2>
+      </div>
+      <Carousel opts={{ loop: notices.length > 1 }} className="mx-8 sm:mx-12">
+        <CarouselContent>
+          {notices.map((notice) => {
+            const imageUrl = getPublicImageUrl(notice.imageUrl);
+            return (
+              <CarouselItem key={notice.id} lang={notice.language}>
+                <Link to={`/public/notice/${notice.slug}`} className="block">
+                  <Card className="overflow-hidden bg-white dark:bg-gray-800 border-sliate-accent/20 dark:border-gray-600 hover:shadow-lg transition-shadow">
+                    <div className="grid md:grid-cols-2">
+                      {imageUrl ? (
+                        <img src={imageUrl} alt={notice.title} className="h-48 sm:h-64 w-full object-cover" />
+                      ) : (
+                        <div className="h-48 sm:h-64 w-full bg-gradient-to-br from-sliate-accent to-sliate-dark" />
+                      )}
+                      <CardContent className="p-4 sm:p-6 flex flex-col justify-center">
+                        {notice.priority === 'high' && (
+                          <Badge className="self-start mb-2 bg-red-100 text-red-800 border-red-200 dark:bg-red-900/20 dark:text-red-300">
+                            High priority
+                          </Badge>
+                        )}
+                        <h3 className="text-lg sm:text-xl font-bold text-sliate-dark dark:text-white mb-2">{notice.title}</h3>
+                        <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-4">{notice.description}</p>
+                        {notice.publishedAt && (
+                          <span className="mt-3 text-xs text-sliate-accent dark:text-gray-400">
+                            {new Date(notice.publishedAt).toLocaleDateString()}
+                          </span>
+                        )}
+                      </CardContent>
+                    </div>
+                  </Card>
+                </Link>
+              </CarouselItem>
+            );
+          })}
+        </CarouselContent>
+        {notices.length > 1 && (
+          <>
+            <CarouselPrevious />
+            <CarouselNext />
+          </>
+        )}
+      </Carousel>
+    </section>
+  );
+};
+
+export default FeaturedNotices;
@@ -0,0 +1,47 @@
+import { Languages } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { NOTICE_LANGUAGES, NoticeLanguage } from '@/utils/noticeLanguages';
+
+interface LanguageSwitcherProps {
+  value: NoticeLanguage | null;
+  onChange: (language: NoticeLanguage) => void;
+  // Languages the content exists in; others stay selectable but are marked as falling back
+  available?: NoticeLanguage[];
+  className?: string;
+}
+
+const LanguageSwitcher = ({ value, onChange, available, className }: LanguageSwitcherProps) => (
+  <div
+    role="group"
+    aria-label="Notice language"
+    className={cn('inline-flex items-center gap-1 rounded-lg border border-sliate-accent/30 bg-white p-1 dark:border-gray-600 dark:bg-gray-800', className)}
+  >
+    <Languages className="h-4 w-4 mx-1 text-sliate-accent dark:text-sliate-light" aria-hidden="true" />
+    {NOTICE_LANGUAGES.map((language) => {
+      const isActive = value === language.code;
+      const isMissing = available !== undefined && !available.includes(language.code);
+
+      return (
+        <button
+          key={language.code}
+          type="button"
+          lang={language.code}
+          aria-pressed={isActive}
+          title={isMissing ? `${language.englishName} version not available` : language.englishName}
+          onClick={() => onChange(language.code)}
+          className={cn(
+            'rounded-md px-2 py-1 text-xs sm:text-sm transition-colors',
+            isActive
+              ? 'bg-sliate-accent text-white dark:bg-sliate-light dark:text-sliate-dark'
+              : 'text-sliate-dark hover:bg-sliate-accent/10 dark:text-gray-200 dark:hover:bg-gray-700',
+            isMissing && !isActive && 'opacity-50'
+          )}
+        >
+          {language.label}
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default LanguageSwitcher;
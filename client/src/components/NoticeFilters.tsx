@@ -1,8 +1,9 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Card, CardContent } from "@/components/ui/card";
 import { Filter, Calendar, Flag, Building2 } from "lucide-react";
+import { noticeService, Category } from "@/services/noticeApi";
 
 // Update the interface to match what the server API expects
 interface NoticeFiltersProps {
@@ -17,13 +18,16 @@ const NoticeFilters = ({ onFilterChange }: NoticeFiltersProps) => {
     department: "all"
   });
 
-  const departments = [
-    "IT",
-    "Management",
-    "Accountancy",
-    "Tourism & Hospitality Management",
-    "Business Administration"
-  ];
+  const [categories, setCategories] = useState<Category[]>([]);
+
+  useEffect(() => {
+    noticeService.getPublicCategories()
+      .then((response) => setCategories(response.data.categories))
+      .catch((error) => console.error("Failed to load categories:", error));
+  }, []);
+
+  const topics = categories.filter((category) => category.type === 'topic');
+  const departments = categories.filter((category) => category.type === 'department');
 
   const handleFilterChange = (key: string, value: string) => {
     // Create new filters object with the updated value
@@ -111,10 +115,9 @@ const NoticeFilters = ({ onFilterChange }: NoticeFiltersProps) => {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All Categories</SelectItem>
-                <SelectItem value="events">Upcoming Events</SelectItem>
-                <SelectItem value="latest">Latest</SelectItem>
-                <SelectItem value="academic">Academic</SelectItem>
-                <SelectItem value="administrative">Administrative</SelectItem>
+                {topics.map((topic) => (
+                  <SelectItem key={topic.id} value={topic.slug}>{topic.name}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
           </div>
@@ -131,7 +134,7 @@ const NoticeFilters = ({ onFilterChange }: NoticeFiltersProps) => {
               <SelectContent>
                 <SelectItem value="all">All Departments</SelectItem>
                 {departments.map((dept) => (
-                  <SelectItem key={dept} value={dept.toLowerCase()}>{dept}</SelectItem>
+                  <SelectItem key={dept.id} value={dept.slug}>{dept.name}</SelectItem>
                 ))}
               </SelectContent>
             </Select>
@@ -0,0 +1,247 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useToast } from '@/hooks/use-toast';
+import { History, Loader2, RotateCcw, GitCompare } from 'lucide-react';
+import {
+  noticeService,
+  Notice,
+  NoticeRevisionSummary,
+  NoticeRevisionDiff
+} from '@/services/noticeApi';
+
+interface NoticeHistoryProps {
+  noticeId: string | number;
+  canRestore: boolean;
+  onRestored: (notice: Notice) => void;
+}
+
+const fieldLabels: Record<string, string> = {
+  title: 'Title',
+  priority: 'Priority',
+  status: 'Status',
+  imageUrl: 'Featured image'
+};
+
+const NoticeHistory = ({ noticeId, canRestore, onRestored }: NoticeHistoryProps) => {
+  const { toast } = useToast();
+  const [revisions, setRevisions] = useState<NoticeRevisionSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState<number | null>(null);
+  const [diff, setDiff] = useState<NoticeRevisionDiff | null>(null);
+  const [isDiffLoading, setIsDiffLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const latestRevision = revisions[0]?.revisionNumber;
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await noticeService.getRevisions(noticeId);
+      setRevisions(response.data.revisions);
+    } catch (error) {
+      toast({
+        title: 'History Unavailable',
+        description: error instanceof Error ? error.message : 'Failed to load revision history',
+        variant: 'destructive'
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [noticeId, toast]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  const handleSelect = async (revisionNumber: number) => {
+    setSelected(revisionNumber);
+    setDiff(null);
+
+    // Compare the chosen revision against the current version
+    if (revisionNumber === latestRevision) return;
+
+    try {
+      setIsDiffLoading(true);
+      const response = await noticeService.diffRevisions(noticeId, revisionNumber, latestRevision);
+      setDiff(response.data.diff);
+    } catch (error) {
+      toast({
+        title: 'Comparison Failed',
+        description: error instanceof Error ? error.message : 'Failed to compare revisions',
+        variant: 'destructive'
+      });
+    } finally {
+      setIsDiffLoading(false);
+    }
+  };
+
+  const handleRestore = async (revisionNumber: number) => {
+    if (!confirm(`Restore the content of revision ${revisionNumber}? The current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      setIsRestoring(true);
+      const response = await noticeService.restoreRevision(noticeId, revisionNumber);
+      toast({
+        title: 'Revision Restored',
+        description: `Notice content restored from revision ${revisionNumber}.`
+      });
+      setSelected(null);
+      setDiff(null);
+      onRestored(response.data.notice);
+      await fetchRevisions();
+    } catch (error) {
+      toast({
+        title: 'Restore Failed',
+        description: error instanceof Error ? error.message : 'Failed to restore revision',
+        variant: 'destructive'
+      });
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <Card className="border-sliate-accent/20 dark:bg-gray-800 dark:border-gray-700 mt-6">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2 text-sliate-dark dark:text-white">
+          <History className="h-5 w-5" />
+          <span>Revision History</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center space-x-2 text-sm text-gray-500">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            <span>Loading history...</span>
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No revisions recorded yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {revisions.map((revision) => (
+              <div
+                key={revision.id}
+                className={`p-3 border rounded-md ${
+                  selected === revision.revisionNumber
+                    ? 'border-sliate-accent bg-sliate-neutral/40 dark:bg-gray-700'
+                    : 'border-sliate-accent/20 dark:border-gray-600'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-sliate-dark dark:text-white">
+                        Revision {revision.revisionNumber}
+                      </span>
+                      {revision.revisionNumber === latestRevision && (
+                        <Badge className="bg-green-100 text-green-800">Current</Badge>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 truncate">
+                      {new Date(revision.createdAt).toLocaleString()}
+                      {' · '}
+                      {revision.editorName || revision.editorUsername || 'Unknown user'}
+                      {revision.changeSummary && ` · ${revision.changeSummary}`}
+                    </p>
+                  </div>
+                  {revision.revisionNumber !== latestRevision && (
+                    <div className="flex items-center space-x-2 shrink-0">
+                      <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleSelect(revision.revisionNumber)}
+                      >
+                        <GitCompare className="h-4 w-4 mr-1" />
+                        Compare
+                      </Button>
+                      {canRestore && (
+                        <Button
+                          type="button"
+                          variant="outline"
+                          size="sm"
+                          disabled={isRestoring}
+                          onClick={() => handleRestore(revision.revisionNumber)}
+                        >
+                          <RotateCcw className="h-4 w-4 mr-1" />
+                          Restore
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {selected === revision.revisionNumber && isDiffLoading && (
+                  <div className="flex items-center space-x-2 text-sm text-gray-500 mt-3">
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                    <span>Comparing...</span>
+                  </div>
+                )}
+
+                {selected === revision.revisionNumber && diff && (
+                  <div className="mt-3 space-y-3 text-sm">
+                    <p className="text-xs text-gray-500">
+                      Changes from revision {diff.from.revisionNumber} to the current version (revision {diff.to.revisionNumber})
+                    </p>
+
+                    {Object.entries(diff.fields)
+                      .filter(([, change]) => change.changed)
+                      .map(([field, change]) => (
+                        <div key={field}>
+                          <span className="font-medium text-sliate-dark dark:text-white">{fieldLabels[field] || field}: </span>
+                          <span className="line-through text-red-600">{change.from || '(none)'}</span>
+                          {' → '}
+                          <span className="text-green-700">{change.to || '(none)'}</span>
+                        </div>
+                      ))}
+
+                    {(diff.files.added.length > 0 || diff.files.removed.length > 0) && (
+                      <div>
+                        <span className="font-medium text-sliate-dark dark:text-white">Attachments: </span>
+                        {diff.files.removed.map((file) => (
+                          <span key={`removed-${file.url}`} className="line-through text-red-600 mr-2">{file.name}</span>
+                        ))}
+                        {diff.files.added.map((file) => (
+                          <span key={`added-${file.url}`} className="text-green-700 mr-2">{file.name}</span>
+                        ))}
+                      </div>
+                    )}
+
+                    <div>
+                      <span className="font-medium text-sliate-dark dark:text-white">
+                        Description (+{diff.description.added} / -{diff.description.removed})
+                      </span>
+                      <pre className="mt-1 max-h-64 overflow-auto rounded bg-gray-50 dark:bg-gray-900 p-2 text-xs whitespace-pre-wrap break-words">
+                        {diff.description.changes.map((change, index) => (
+                          <div
+                            key={index}
+                            className={
+                              change.type === 'added'
+                                ? 'bg-green-100 text-green-900 dark:bg-green-900/40 dark:text-green-200'
+                                : change.type === 'removed'
+                                ? 'bg-red-100 text-red-900 dark:bg-red-900/40 dark:text-red-200'
+                                : 'text-gray-600 dark:text-gray-400'
+                            }
+                          >
+                            {change.type === 'added' ? '+ ' : change.type === 'removed' ? '- ' : '  '}
+                            {change.value}
+                          </div>
+                        ))}
+                      </pre>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NoticeHistory;
@@ -0,0 +1,247 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/useAuth';
+import { ClipboardCheck, Loader2, Send, ThumbsUp, MessageSquare, Undo2 } from 'lucide-react';
+import { noticeService, Notice, NoticeReview, Reviewer } from '@/services/noticeApi';
+import { NOTICE_STATUS_CLASSES, NOTICE_STATUS_LABELS, REVIEW_STATUSES } from '@/utils/noticeStatus';
+
+interface NoticeReviewPanelProps {
+  notice: Notice;
+  workflowEnabled: boolean;
+  reviewers: Reviewer[];
+  onChange: (notice: Notice) => void;
+}
+
+const actionLabels: Record<NoticeReview['action'], string> = {
+  submitted: 'Submitted for review',
+  assigned: 'Reviewer changed',
+  approved: 'Approved',
+  changes_requested: 'Requested changes',
+  commented: 'Commented',
+  approval_withdrawn: 'Approval withdrawn'
+};
+
+const UNASSIGNED = 'unassigned';
+
+const NoticeReviewPanel = ({ notice, workflowEnabled, reviewers, onChange }: NoticeReviewPanelProps) => {
+  const { toast } = useToast();
+  const { user, hasPermission } = useAuth();
+  const [reviews, setReviews] = useState<NoticeReview[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isOwner = user?.id === notice.createdBy;
+  const isSuperAdmin = user?.role === 'super_admin';
+  const canManage = isOwner || hasPermission('notice.edit.any');
+  const canDecide = hasPermission('notice.review') && (!isOwner || isSuperAdmin)
+    && (!notice.reviewerId || notice.reviewerId === user?.id || isSuperAdmin);
+  const isOpen = !['published', 'archived'].includes(notice.status);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await noticeService.getReviews(notice.id);
+      setReviews(response.data.reviews);
+    } catch (error) {
+      console.error('Failed to load review history:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [notice.id]);
+
+  // Status changes made elsewhere (e.g. publishing from the editor) add to the history too
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews, notice.status]);
+
+  // Run a review action (decisions return the notice, comments the new review), then refresh the notice and its history
+  const runAction = async (action: () => Promise<{ data: { notice?: Notice; review?: NoticeReview } }>, successTitle: string) => {
+    try {
+      setIsSaving(true);
+      const response = await action();
+      toast({ title: successTitle });
+      setComment('');
+      if (response.data.notice) {
+        onChange(response.data.notice);
+      }
+      await fetchReviews();
+    } catch (error) {
+      toast({
+        title: 'Review Action Failed',
+        description: error instanceof Error ? error.message : 'Please try again later',
+        variant: 'destructive'
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRequestChanges = () => {
+    if (!comment.trim()) {
+      toast({
+        title: 'Comment Required',
+        description: 'Describe what needs to change before sending the notice back.',
+        variant: 'destructive'
+      });
+      return;
+    }
+    runAction(() => noticeService.requestChanges(notice.id, comment.trim()), 'Changes requested');
+  };
+
+  // Nothing to show for notices that never went through review while the workflow is off
+  if (!workflowEnabled && !REVIEW_STATUSES.includes(notice.status) && !isLoading && reviews.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-sliate-accent/20 dark:bg-gray-800 dark:border-gray-700 mb-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between text-sliate-dark dark:text-white">
+          <span className="flex items-center space-x-2">
+            <ClipboardCheck className="h-5 w-5" />
+            <span>Approval</span>
+          </span>
+          <Badge className={NOTICE_STATUS_CLASSES[notice.status]}>{NOTICE_STATUS_LABELS[notice.status]}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isOpen && (
+          <div className="space-y-2">
+            <Label className="text-sliate-dark dark:text-white">Reviewer</Label>
+            {canManage ? (
+              <Select
+                value={notice.reviewerId ? notice.reviewerId.toString() : UNASSIGNED}
+                disabled={isSaving}
+                onValueChange={(value) => runAction(
+                  () => noticeService.assignReviewer(notice.id, value === UNASSIGNED ? null : parseInt(value)),
+                  value === UNASSIGNED ? 'Reviewer removed' : 'Reviewer assigned'
+                )}
+              >
+                <SelectTrigger className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={UNASSIGNED}>Any approver</SelectItem>
+                  {reviewers
+                    .filter((reviewer) => reviewer.id !== notice.createdBy || reviewer.role === 'super_admin')
+                    .map((reviewer) => (
+                      <SelectItem key={reviewer.id} value={reviewer.id.toString()}>
+                        {reviewer.fullName || reviewer.username}
+                      </SelectItem>
+                    ))}
+                </SelectContent>
+              </Select>
+            ) : (
+              <p className="text-sm text-sliate-accent dark:text-gray-300">
+                {notice.reviewerName || notice.reviewerUsername || 'Any approver'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {isOpen && (
+          <div className="space-y-2">
+            <Label htmlFor="review-comment" className="text-sliate-dark dark:text-white">Comment</Label>
+            <Textarea
+              id="review-comment"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Add a note for the author or reviewer"
+              maxLength={2000}
+              className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700"
+            />
+            <div className="flex flex-wrap gap-2">
+              {canManage && ['draft', 'changes_requested'].includes(notice.status) && (
+                <Button
+                  type="button"
+                  size="sm"
+                  disabled={isSaving}
+                  onClick={() => runAction(
+                    () => noticeService.submitForReview(notice.id, notice.reviewerId, comment.trim() || undefined),
+                    'Submitted for review'
+                  )}
+                  className="bg-sliate-accent hover:bg-sliate-dark text-white"
+                >
+                  <Send className="h-4 w-4 mr-1" />
+                  Submit for review
+                </Button>
+              )}
+              {canDecide && notice.status === 'pending_review' && (
+                <Button
+                  type="button"
+                  size="sm"
+                  disabled={isSaving}
+                  onClick={() => runAction(
+                    () => noticeService.approveNotice(notice.id, comment.trim() || undefined),
+                    'Notice approved'
+                  )}
+                  className="bg-green-600 hover:bg-green-700 text-white"
+                >
+                  <ThumbsUp className="h-4 w-4 mr-1" />
+                  Approve
+                </Button>
+              )}
+              {canDecide && ['pending_review', 'approved'].includes(notice.status) && (
+                <Button type="button" size="sm" variant="outline" disabled={isSaving} onClick={handleRequestChanges}>
+                  <Undo2 className="h-4 w-4 mr-1" />
+                  Request changes
+                </Button>
+              )}
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                disabled={isSaving || !comment.trim()}
+                onClick={() => runAction(() => noticeService.addReviewComment(notice.id, comment.trim()), 'Comment added')}
+              >
+                <MessageSquare className="h-4 w-4 mr-1" />
+                Comment
+              </Button>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <Label className="text-sliate-dark dark:text-white">History</Label>
+          {isLoading ? (
+            <div className="flex items-center space-x-2 text-sm text-gray-500">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              <span>Loading review history...</span>
+            </div>
+          ) : reviews.length === 0 ? (
+            <p className="text-sm text-gray-500">No review activity yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {reviews.map((review) => (
+                <li key={review.id} className="p-3 border border-sliate-accent/20 dark:border-gray-600 rounded-md">
+                  <p className="text-sm font-medium text-sliate-dark dark:text-white">
+                    {actionLabels[review.action]}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {review.user?.fullName || review.user?.username || 'System'}
+                    {' · '}
+                    {new Date(review.createdAt).toLocaleString()}
+                  </p>
+                  {review.comment && (
+                    <p className="mt-1 text-sm text-sliate-dark dark:text-gray-200 whitespace-pre-wrap break-words">
+                      {review.comment}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NoticeReviewPanel;
@@ -1,83 +1,84 @@
 import { Button } from '@/components/ui/button';
-import { DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { Dialog } from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
 import { useState } from 'react';
-import { 
-  FileText, 
-  CalendarDays, 
-  GraduationCap,
-  LayoutTemplate // Using LayoutTemplate instead of Templates
+import { useToast } from '@/hooks/use-toast';
+import {
+  ArrowLeft,
+  FileText,
+  LayoutTemplate, // Using LayoutTemplate instead of Templates
+  Loader2
 } from 'lucide-react';
+import { templateService, AppliedTemplate, NoticeTemplate, TemplateField } from '@/services/templateApi';
 
 interface NoticeTemplatesProps {
-  onSelectTemplate: (template: string) => void;
+  onApplyTemplate: (content: AppliedTemplate) => void;
 }
 
-const NoticeTemplates = ({ onSelectTemplate }: NoticeTemplatesProps) => {
-  const [open, setOpen] = useState(false);
-
-  const templates = [
-    {
-      id: 'general',
-      title: 'General Announcement',
-      icon: <FileText className="h-5 w-5 text-blue-500" />,
-      template: `## General Announcement
-
-Dear Students and Staff,
-
-We would like to inform you about the following:
-
-- Important point 1
-- Important point 2
-- Important point 3
-
-For more details, please contact us at [contact information].
-
-Thank you for your attention.`,
-    },
-    {
-      id: 'event',
-      title: 'Event Announcement',
-      icon: <CalendarDays className="h-5 w-5 text-green-500" />,
-      template: `## Upcoming Event
-
-**Event:** [Event Name]
-**Date:** [Date]
-**Time:** [Time]
-**Location:** [Location]
-
-**Description:**
-[Event description goes here]
-
-Please register by [deadline] by [registration method].
-
-We look forward to your participation!`,
-    },
-    {
-      id: 'academic',
-      title: 'Academic Notice',
-      icon: <GraduationCap className="h-5 w-5 text-amber-500" />,
-      template: `## Academic Notice
-
-**Subject:** [Subject]
-**Department:** [Department]
-**Applicable to:** [Target audience]
-
-Dear Students,
-
-[Academic announcement details]
+// Input attributes for each placeholder type
+const fieldInputProps: Record<TemplateField['type'], React.InputHTMLAttributes<HTMLInputElement>> = {
+  text: { type: 'text', maxLength: 200 },
+  date: { type: 'date' },
+  time: { type: 'time' },
+  location: { type: 'text', maxLength: 200, placeholder: 'Building and room' },
+  course_code: { type: 'text', maxLength: 16, placeholder: 'e.g. HNDIT1012', className: 'uppercase' }
+};
 
-Important deadlines:
-- [Deadline 1]
-- [Deadline 2]
+// Templates come from the server, so departments can add their own without a client release
+const NoticeTemplates = ({ onApplyTemplate }: NoticeTemplatesProps) => {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [templates, setTemplates] = useState<NoticeTemplate[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selected, setSelected] = useState<NoticeTemplate | null>(null);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [isApplying, setIsApplying] = useState(false);
+
+  const handleOpen = async () => {
+    setOpen(true);
+    setSelected(null);
+
+    try {
+      setIsLoading(true);
+      const response = await templateService.getTemplates();
+      setTemplates(response.data.templates);
+    } catch (error) {
+      toast({
+        title: "Templates Unavailable",
+        description: error instanceof Error ? error.message : "Failed to load templates",
+        variant: "destructive"
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-For any clarifications, please contact your academic advisor.`,
-    },
-  ];
+  const handleSelectTemplate = (template: NoticeTemplate) => {
+    setSelected(template);
+    setValues({});
+  };
 
-  const handleSelectTemplate = (template: string) => {
-    onSelectTemplate(template);
-    setOpen(false);
+  const handleApply = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) return;
+
+    try {
+      setIsApplying(true);
+      const response = await templateService.applyTemplate(selected.id, values);
+      onApplyTemplate(response.data.content);
+      setOpen(false);
+    } catch (error) {
+      toast({
+        title: "Template Failed",
+        description: error instanceof Error ? error.message : "Failed to apply template",
+        variant: "destructive"
+      });
+    } finally {
+      setIsApplying(false);
+    }
   };
 
   return (
@@ -85,7 +86,7 @@ For any clarifications, please contact your academic advisor.`,
       <Button
         type="button"
         variant="outline"
-        onClick={() => setOpen(true)}
+        onClick={handleOpen}
         className="flex items-center gap-2"
       >
         <LayoutTemplate className="h-4 w-4" />
@@ -94,34 +95,93 @@ For any clarifications, please contact your academic advisor.`,
 
       <Dialog open={open} onOpenChange={setOpen}>
         <DialogContent className="sm:max-w-md">
-          <DialogHeader>
-            <DialogTitle>Choose a Template</DialogTitle>
-            <DialogDescription>
-              Select a pre-designed template for your notice
-            </DialogDescription>
-          </DialogHeader>
-          <div className="grid gap-4 py-4">
-            {templates.map((template) => (
-              <Button
-                key={template.id}
-                variant="outline"
-                className="flex items-center justify-start gap-3 h-auto p-4"
-                onClick={() => handleSelectTemplate(template.template)}
-              >
-                {template.icon}
-                <div className="text-left">
-                  <div className="font-medium">{template.title}</div>
-                  <div className="text-sm text-gray-500">
-                    Use this template for {template.id} notices
+          {selected ? (
+            <form onSubmit={handleApply}>
+              <DialogHeader>
+                <DialogTitle>{selected.name}</DialogTitle>
+                <DialogDescription>
+                  {selected.fields.length > 0
+                    ? 'Fill in the details; empty optional fields are left as [prompts] in the text.'
+                    : 'This template has no details to fill in.'}
+                </DialogDescription>
+              </DialogHeader>
+              <div className="grid gap-4 py-4">
+                {selected.fields.map((field) => (
+                  <div key={field.key} className="space-y-2">
+                    <Label htmlFor={`template-${field.key}`}>
+                      {field.label}{field.required && ' *'}
+                    </Label>
+                    <Input
+                      id={`template-${field.key}`}
+                      {...fieldInputProps[field.type]}
+                      required={field.required}
+                      value={values[field.key] ?? ''}
+                      onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    />
+                  </div>
+                ))}
+              </div>
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={() => setSelected(null)}>
+                  <ArrowLeft className="h-4 w-4 mr-1" />
+                  Back
+                </Button>
+                <Button type="submit" disabled={isApplying} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
+                  {isApplying && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Use Template
+                </Button>
+              </DialogFooter>
+            </form>
+          ) : (
+            <>
+              <DialogHeader>
+                <DialogTitle>Choose a Template</DialogTitle>
+                <DialogDescription>
+                  Select a template for your notice. The most used ones are listed first.
+                </DialogDescription>
+              </DialogHeader>
+              <div className="grid gap-4 py-4 max-h-[60vh] overflow-y-auto">
+                {isLoading ? (
+                  <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Loading templates...
                   </div>
-                </div>
-              </Button>
-            ))}
-          </div>
+                ) : templates.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-6">No templates are available yet.</p>
+                ) : (
+                  templates.map((template) => (
+                    <Button
+                      key={template.id}
+                      type="button"
+                      variant="outline"
+                      className="flex items-center justify-start gap-3 h-auto p-4 whitespace-normal"
+                      onClick={() => handleSelectTemplate(template)}
+                    >
+                      <FileText className="h-5 w-5 text-blue-500 shrink-0" />
+                      <div className="text-left flex-1">
+                        <div className="font-medium flex items-center gap-2">
+                          {template.name}
+                          {template.department && (
+                            <Badge variant="secondary" className="text-xs">{template.department.name}</Badge>
+                          )}
+                        </div>
+                        {template.description && (
+                          <div className="text-sm text-gray-500">{template.description}</div>
+                        )}
+                        <div className="text-xs text-gray-400">
+                          Used {template.usageCount} {template.usageCount === 1 ? 'time' : 'times'}
+                        </div>
+                      </div>
+                    </Button>
+                  ))
+                )}
+              </div>
+            </>
+          )}
         </DialogContent>
       </Dialog>
     </>
   );
 };
 
-export default NoticeTemplates;
\ No newline at end of file
+export default NoticeTemplates;
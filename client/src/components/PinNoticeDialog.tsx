@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import { noticeService, Notice } from '@/services/noticeApi';
+import { toDateTimeLocal } from '@/utils/eventUtils';
+
+interface PinNoticeDialogProps {
+  notice: Notice | null;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+const PinNoticeDialog = ({ notice, onClose, onSaved }: PinNoticeDialogProps) => {
+  const { toast } = useToast();
+  const [pinned, setPinned] = useState(false);
+  const [featured, setFeatured] = useState(false);
+  const [pinnedUntil, setPinnedUntil] = useState('');
+  const [pinOrder, setPinOrder] = useState('0');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (notice) {
+      setPinned(!!notice.isPinned);
+      setFeatured(!!notice.isFeatured);
+      setPinnedUntil(toDateTimeLocal(notice.pinnedUntil));
+      setPinOrder(String(notice.pinOrder ?? 0));
+    }
+  }, [notice]);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!notice) return;
+
+    try {
+      setIsSaving(true);
+      const response = await noticeService.pinNotice(notice.id, {
+        pinned,
+        featured,
+        // datetime-local values are local time; send them as ISO timestamps
+        pinnedUntil: pinnedUntil ? new Date(pinnedUntil).toISOString() : null,
+        pinOrder: parseInt(pinOrder) || 0
+      });
+      toast({
+        title: "Placement Updated",
+        description: response.message
+      });
+      onSaved();
+      onClose();
+    } catch (error) {
+      toast({
+        title: "Update Failed",
+        description: error instanceof Error ? error.message : "Failed to update notice placement",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const placed = pinned || featured;
+
+  return (
+    <Dialog open={notice !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Pin "{notice?.title}"</DialogTitle>
+          <DialogDescription>
+            Pinned notices stay above the daily notices on the public board. Featured notices appear in the carousel.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="notice-pinned">Pin to the top of the board</Label>
+            <Switch id="notice-pinned" checked={pinned} onCheckedChange={setPinned} />
+          </div>
+          <div className="flex items-center justify-between">
+            <Label htmlFor="notice-featured">Feature in the carousel</Label>
+            <Switch id="notice-featured" checked={featured} onCheckedChange={setFeatured} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="notice-pinned-until">Until</Label>
+            <Input
+              id="notice-pinned-until"
+              type="datetime-local"
+              value={pinnedUntil}
+              onChange={(e) => setPinnedUntil(e.target.value)}
+              disabled={!placed}
+            />
+            <p className="text-xs text-gray-500">Leave empty to keep the notice pinned until you remove it.</p>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="notice-pin-order">Position</Label>
+            <Input
+              id="notice-pin-order"
+              type="number"
+              min={0}
+              max={999}
+              value={pinOrder}
+              onChange={(e) => setPinOrder(e.target.value)}
+              disabled={!placed}
+            />
+            <p className="text-xs text-gray-500">Lower numbers are shown first.</p>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isSaving} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PinNoticeDialog;
@@ -3,6 +3,8 @@ import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth';
 import { Loader2 } from 'lucide-react';
 
+const CHANGE_PASSWORD_PATH = '/change-password';
+
 interface ProtectedRouteProps {
   children: React.ReactNode;
   requiredRoles?: string[];
@@ -34,6 +36,11 @@ const ProtectedRoute: React.FC<ProtectedRouteProps> = ({
     return <Navigate to={redirectTo} state={{ from: location }} replace />;
   }
 
+  // An expired password must be changed before anything else
+  if (user?.passwordChangeRequired && location.pathname !== CHANGE_PASSWORD_PATH) {
+    return <Navigate to={CHANGE_PASSWORD_PATH} state={{ from: location }} replace />;
+  }
+
   // Check role requirements
   if (requiredRoles.length > 0 && !hasRole(requiredRoles)) {
     return (
@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react';
+import { BellRing, BellOff } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import SubscriptionPreferenceFields from '@/components/SubscriptionPreferenceFields';
+import { pushService, PushPreferences } from '@/services/pushApi';
+import { isPushSupported, registerPushServiceWorker, urlBase64ToUint8Array } from '@/utils/pushUtils';
+
+type PushState = 'loading' | 'unavailable' | 'denied' | 'off' | 'on';
+
+const PushNotificationToggle = () => {
+  const [state, setState] = useState<PushState>('loading');
+  const [publicKey, setPublicKey] = useState<string | null>(null);
+  const [preferences, setPreferences] = useState<PushPreferences>({
+    minPriority: 'high',
+    categoryIds: []
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const loadState = async () => {
+      if (!isPushSupported()) {
+        setState('unavailable');
+        return;
+      }
+
+      try {
+        const config = await pushService.getConfig();
+        if (!config.enabled || !config.publicKey) {
+          setState('unavailable');
+          return;
+        }
+        setPublicKey(config.publicKey);
+
+        if (Notification.permission === 'denied') {
+          setState('denied');
+          return;
+        }
+
+        // Only look for an existing subscription; registering happens on opt-in
+        const registration = await navigator.serviceWorker.getRegistration();
+        const subscription = registration ? await registration.pushManager.getSubscription() : null;
+        const stored = subscription ? await pushService.getPreferences(subscription.endpoint) : null;
+
+        if (stored) {
+          setPreferences(stored);
+          setState('on');
+        } else {
+          setState('off');
+        }
+      } catch (error) {
+        console.error('Failed to load push notification state:', error);
+        setState('unavailable');
+      }
+    };
+
+    loadState();
+  }, []);
+
+  const getSubscription = async () => {
+    const registration = await registerPushServiceWorker();
+    const existing = await registration.pushManager.getSubscription();
+
+    return existing || registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey as string)
+    });
+  };
+
+  // Subscribing again with the same endpoint updates the stored filters
+  const handleSave = async () => {
+    setIsSaving(true);
+
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setState(permission === 'denied' ? 'denied' : 'off');
+        return;
+      }
+
+      const subscription = await getSubscription();
+      await pushService.subscribe(subscription, preferences);
+
+      toast({
+        title: state === 'on' ? "Preferences saved" : "Push notifications enabled",
+        description: "Matching notices will appear on this device as soon as they are published.",
+      });
+      setState('on');
+    } catch (error) {
+      toast({
+        title: "Could not enable push notifications",
+        description: error instanceof Error ? error.message : 'Please try again later',
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setIsSaving(true);
+
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      const subscription = registration ? await registration.pushManager.getSubscription() : null;
+
+      if (subscription) {
+        await pushService.unsubscribe(subscription.endpoint);
+        await subscription.unsubscribe();
+      }
+
+      toast({
+        title: "Push notifications disabled",
+        description: "This device will no longer receive notice alerts.",
+      });
+      setState('off');
+    } catch (error) {
+      toast({
+        title: "Could not disable push notifications",
+        description: error instanceof Error ? error.message : 'Please try again later',
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Nothing to offer when the browser or the server cannot do push
+  if (state === 'loading' || state === 'unavailable') {
+    return null;
+  }
+
+  return (
+    <Card className="bg-white dark:bg-gray-800 border-sliate-accent/20 dark:border-gray-600">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2 text-lg sm:text-xl text-sliate-dark dark:text-white">
+          <BellRing className="h-5 w-5 text-sliate-accent dark:text-sliate-light" />
+          <span>Get alerts on this device</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {state === 'denied' ? (
+          <div className="flex items-start space-x-3 text-sliate-dark dark:text-gray-200">
+            <BellOff className="h-5 w-5 text-gray-500 flex-shrink-0 mt-0.5" />
+            <p className="text-sm">
+              Notifications are blocked for this site. Allow them in your browser settings to receive urgent notices.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Receive a notification when a notice is published, even when this page is closed.
+            </p>
+            <SubscriptionPreferenceFields value={preferences} onChange={setPreferences} idPrefix="push" />
+            <div className="flex flex-wrap gap-2">
+              <Button
+                type="button"
+                onClick={handleSave}
+                disabled={isSaving}
+                className="bg-sliate-accent hover:bg-sliate-dark text-white"
+              >
+                {isSaving ? 'Saving...' : state === 'on' ? 'Save preferences' : 'Enable notifications'}
+              </Button>
+              {state === 'on' && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleDisable}
+                  disabled={isSaving}
+                >
+                  Turn off
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PushNotificationToggle;
@@ -0,0 +1,73 @@
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, Copy, Download } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+
+interface RecoveryCodesProps {
+  codes: string[];
+  onDone: () => void;
+  doneLabel?: string;
+}
+
+// One-time recovery codes; the server only keeps hashes, so this is the only time they are shown
+const RecoveryCodes = ({ codes, onDone, doneLabel = 'I have saved these codes' }: RecoveryCodesProps) => {
+  const { toast } = useToast();
+  const text = codes.join('\n');
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast({ title: 'Copied', description: 'Recovery codes copied to the clipboard' });
+    } catch {
+      toast({ title: 'Copy failed', description: 'Select the codes and copy them manually', variant: 'destructive' });
+    }
+  };
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([`SLIATE Notify recovery codes\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'sliate-notify-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <Alert className="border-amber-300 bg-amber-50 text-amber-900 dark:bg-amber-900/20 dark:text-amber-200">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>
+          Save these recovery codes somewhere safe. Each one logs you in once if you lose your authenticator,
+          and they will not be shown again.
+        </AlertDescription>
+      </Alert>
+
+      <div className="grid grid-cols-2 gap-2 p-3 rounded-md bg-sliate-neutral dark:bg-gray-700 font-mono text-sm text-center text-sliate-dark dark:text-white">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+
+      <div className="flex space-x-2">
+        <Button type="button" variant="outline" className="flex-1" onClick={copyCodes}>
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </Button>
+        <Button type="button" variant="outline" className="flex-1" onClick={downloadCodes}>
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </Button>
+      </div>
+
+      <Button
+        type="button"
+        className="w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white"
+        onClick={onDone}
+      >
+        {doneLabel}
+      </Button>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
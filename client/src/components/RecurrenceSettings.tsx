@@ -0,0 +1,244 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { Loader2, Repeat } from 'lucide-react';
+import { noticeService, Notice, NoticeRecurrence, RecurrenceFrequency, RecurrenceMode } from '@/services/noticeApi';
+import { toDateTimeLocal } from '@/utils/eventUtils';
+
+interface RecurrenceSettingsProps {
+  notice: Notice;
+  workflowEnabled: boolean;
+}
+
+const frequencyLabels: Record<RecurrenceFrequency, string> = {
+  weekly: 'Every week',
+  monthly: 'Every month',
+  semester: 'Every semester (6 months)'
+};
+
+// Rules that copy the notice into new drafts or scheduled publications
+const RecurrenceSettings = ({ notice, workflowEnabled }: RecurrenceSettingsProps) => {
+  const { toast } = useToast();
+  const [recurrence, setRecurrence] = useState<NoticeRecurrence | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [frequency, setFrequency] = useState<RecurrenceFrequency>('weekly');
+  const [mode, setMode] = useState<RecurrenceMode>('draft');
+  const [startsAt, setStartsAt] = useState('');
+  const [leadDays, setLeadDays] = useState('0');
+  const [endsAt, setEndsAt] = useState('');
+  const [copyAttachments, setCopyAttachments] = useState(false);
+
+  const applyRecurrence = useCallback((rule: NoticeRecurrence | null) => {
+    setRecurrence(rule);
+    setFrequency(rule?.frequency ?? 'weekly');
+    setMode(rule?.mode ?? 'draft');
+    setStartsAt(toDateTimeLocal(rule?.startsAt ?? notice.eventStart ?? null));
+    setLeadDays(String(rule?.leadDays ?? 0));
+    setEndsAt(toDateTimeLocal(rule?.endsAt ?? null));
+    setCopyAttachments(rule?.copyAttachments ?? false);
+  }, [notice.eventStart]);
+
+  const fetchRecurrence = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await noticeService.getRecurrence(notice.id);
+      applyRecurrence(response.data.recurrence);
+    } catch (error) {
+      console.error('Failed to load recurrence:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [notice.id, applyRecurrence]);
+
+  useEffect(() => {
+    fetchRecurrence();
+  }, [fetchRecurrence]);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const response = await noticeService.saveRecurrence(notice.id, {
+        frequency,
+        mode,
+        // datetime-local values are local time; send them as ISO timestamps
+        startsAt: new Date(startsAt).toISOString(),
+        leadDays: parseInt(leadDays) || 0,
+        endsAt: endsAt ? new Date(endsAt).toISOString() : null,
+        copyAttachments
+      });
+      applyRecurrence(response.data.recurrence);
+      toast({
+        title: "Recurrence Saved",
+        description: `The next copy is for ${new Date(response.data.recurrence.nextRunAt).toLocaleString()}.`
+      });
+    } catch (error) {
+      toast({
+        title: "Recurrence Failed",
+        description: error instanceof Error ? error.message : "Failed to save the recurrence",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStop = async () => {
+    if (!confirm('Stop this notice from recurring? Copies already created are kept.')) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await noticeService.deleteRecurrence(notice.id);
+      applyRecurrence(null);
+      toast({ title: "Recurrence Stopped" });
+    } catch (error) {
+      toast({
+        title: "Recurrence Failed",
+        description: error instanceof Error ? error.message : "Failed to stop the recurrence",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card className="border-sliate-accent/20 dark:bg-gray-800 dark:border-gray-700 mb-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between text-sliate-dark dark:text-white">
+          <span className="flex items-center space-x-2">
+            <Repeat className="h-5 w-5" />
+            <span>Recurrence</span>
+          </span>
+          {recurrence && (
+            <Badge className={recurrence.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}>
+              {recurrence.isActive ? frequencyLabels[recurrence.frequency] : 'Stopped'}
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center text-sm text-sliate-accent">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Loading recurrence...
+          </div>
+        ) : (
+          <form onSubmit={handleSave} className="space-y-4">
+            {recurrence && (
+              <div className="text-sm text-sliate-accent dark:text-gray-300 space-y-1">
+                {recurrence.isActive ? (
+                  <p>Next copy for {new Date(recurrence.nextRunAt).toLocaleString()}, created {recurrence.leadDays} day(s) ahead.</p>
+                ) : (
+                  <p>This rule no longer creates copies. Save it again to restart it.</p>
+                )}
+                {recurrence.lastNotice && (
+                  <p>
+                    Last copy:{' '}
+                    <Link to={`/notice/${recurrence.lastNotice.id}`} className="underline">
+                      {recurrence.lastNotice.title || `Notice #${recurrence.lastNotice.id}`}
+                    </Link>
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label className="text-sliate-dark dark:text-white">Repeat</Label>
+                <Select value={frequency} onValueChange={(value) => setFrequency(value as RecurrenceFrequency)}>
+                  <SelectTrigger className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(frequencyLabels) as RecurrenceFrequency[]).map((value) => (
+                      <SelectItem key={value} value={value}>{frequencyLabels[value]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label className="text-sliate-dark dark:text-white">Each copy</Label>
+                <Select value={mode} onValueChange={(value) => setMode(value as RecurrenceMode)}>
+                  <SelectTrigger className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="draft">Is saved as a draft</SelectItem>
+                    <SelectItem value="scheduled">
+                      {workflowEnabled ? 'Publishes on its date once approved' : 'Publishes on its date'}
+                    </SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="recurrence-starts-at" className="text-sliate-dark dark:text-white">First occurrence</Label>
+                <Input
+                  id="recurrence-starts-at"
+                  type="datetime-local"
+                  required
+                  value={startsAt}
+                  onChange={(e) => setStartsAt(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="recurrence-lead-days" className="text-sliate-dark dark:text-white">Create copies ahead (days)</Label>
+                <Input
+                  id="recurrence-lead-days"
+                  type="number"
+                  min={0}
+                  max={90}
+                  value={leadDays}
+                  onChange={(e) => setLeadDays(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="recurrence-ends-at" className="text-sliate-dark dark:text-white">Ends</Label>
+                <Input
+                  id="recurrence-ends-at"
+                  type="datetime-local"
+                  value={endsAt}
+                  onChange={(e) => setEndsAt(e.target.value)}
+                />
+                <p className="text-xs text-gray-500">Leave empty to repeat until you stop it.</p>
+              </div>
+              <div className="flex items-center justify-between md:pt-6">
+                <Label htmlFor="recurrence-attachments" className="text-sliate-dark dark:text-white">Copy the image and attachments</Label>
+                <Switch id="recurrence-attachments" checked={copyAttachments} onCheckedChange={setCopyAttachments} />
+              </div>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Event and expiry dates move along with each occurrence. Copies are created with your permissions.
+            </p>
+
+            <div className="flex flex-wrap gap-2">
+              <Button type="submit" size="sm" disabled={isSaving || !startsAt} className="bg-sliate-accent hover:bg-sliate-dark text-white">
+                {isSaving && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                {recurrence ? 'Update recurrence' : 'Repeat this notice'}
+              </Button>
+              {recurrence && (
+                <Button type="button" size="sm" variant="outline" disabled={isSaving} onClick={handleStop}>
+                  Stop recurring
+                </Button>
+              )}
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RecurrenceSettings;
@@ -0,0 +1,66 @@
+import { formatDistanceToNow } from 'date-fns';
+import { Monitor, Smartphone, Tablet, Terminal, HelpCircle, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import type { UserSessionInfo } from '@/services/api';
+import { describeDevice } from '@/utils/sessionDevice';
+
+const DEVICE_ICONS = {
+  desktop: Monitor,
+  mobile: Smartphone,
+  tablet: Tablet,
+  tool: Terminal,
+  unknown: HelpCircle,
+};
+
+const timeAgo = (value: string) => formatDistanceToNow(new Date(value), { addSuffix: true });
+
+interface SessionRowProps {
+  session: UserSessionInfo;
+  showUser?: boolean; // Session lists of every user name the account
+  isRevoking: boolean;
+  onRevoke: (session: UserSessionInfo) => void;
+}
+
+const SessionRow = ({ session, showUser = false, isRevoking, onRevoke }: SessionRowProps) => {
+  const DeviceIcon = DEVICE_ICONS[session.device.deviceType] || HelpCircle;
+
+  return (
+    <div className="flex items-start justify-between gap-3 py-3 border-b last:border-b-0 border-sliate-accent/10 dark:border-gray-700">
+      <div className="flex items-start space-x-3 min-w-0">
+        <DeviceIcon className="h-5 w-5 mt-0.5 shrink-0 text-sliate-accent" />
+        <div className="min-w-0 space-y-1">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-medium text-sliate-dark dark:text-white">{describeDevice(session.device)}</span>
+            {session.isCurrent && <Badge className="bg-green-600 text-white">This device</Badge>}
+          </div>
+          {showUser && (
+            <p className="text-sm text-sliate-dark dark:text-gray-200">
+              {session.fullName || session.username} <span className="text-gray-500">@{session.username}</span>
+            </p>
+          )}
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {session.ipAddress || 'Unknown IP'} · Active {timeAgo(session.lastActivity)} · Signed in {timeAgo(session.createdAt)}
+          </p>
+          <p className="text-xs text-gray-400 truncate" title={session.userAgent || undefined}>
+            {session.userAgent}
+          </p>
+        </div>
+      </div>
+
+      {!session.isCurrent && (
+        <Button
+          variant="outline"
+          size="sm"
+          className="shrink-0 text-red-600 border-red-200 hover:bg-red-50"
+          disabled={isRevoking}
+          onClick={() => onRevoke(session)}
+        >
+          {isRevoking ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Sign out'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default SessionRow;
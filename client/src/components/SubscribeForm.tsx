@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { Mail, CheckCircle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+import SubscriptionPreferenceFields from '@/components/SubscriptionPreferenceFields';
+import { subscriptionService, SubscriptionPreferences } from '@/services/subscriptionApi';
+
+const SubscribeForm = () => {
+  const [email, setEmail] = useState('');
+  const [preferences, setPreferences] = useState<SubscriptionPreferences>({
+    minPriority: 'low',
+    frequency: 'instant',
+    categoryIds: []
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const { toast } = useToast();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await subscriptionService.subscribe(email.trim(), preferences);
+      setSubmitted(true);
+    } catch (error) {
+      toast({
+        title: "Subscription failed",
+        description: error instanceof Error ? error.message : 'Please try again later',
+        variant: "destructive",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="bg-white dark:bg-gray-800 border-sliate-accent/20 dark:border-gray-600">
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2 text-lg sm:text-xl text-sliate-dark dark:text-white">
+          <Mail className="h-5 w-5 text-sliate-accent dark:text-sliate-light" />
+          <span>Get notices by email</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {submitted ? (
+          <div className="flex items-start space-x-3 text-sliate-dark dark:text-gray-200">
+            <CheckCircle className="h-5 w-5 text-green-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm">
+              Check your inbox for a confirmation link. Your subscription starts once you confirm it.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <Input
+              type="email"
+              required
+              placeholder="you@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+            />
+            <SubscriptionPreferenceFields value={preferences} onChange={setPreferences} idPrefix="subscribe" />
+            <Button
+              type="submit"
+              disabled={isSubmitting || !email.trim()}
+              className="bg-sliate-accent hover:bg-sliate-dark text-white"
+            >
+              {isSubmitting ? 'Subscribing...' : 'Subscribe'}
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SubscribeForm;
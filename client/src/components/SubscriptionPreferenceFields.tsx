@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { noticeService, Category } from '@/services/noticeApi';
+import { SubscriptionPreferences } from '@/services/subscriptionApi';
+
+// Email subscriptions carry a delivery frequency; push subscriptions only filter
+type PreferenceValue = Pick<SubscriptionPreferences, 'minPriority' | 'categoryIds'> & Partial<Pick<SubscriptionPreferences, 'frequency'>>;
+
+// T comes from value alone, so callers can pass their state setter as onChange
+interface SubscriptionPreferenceFieldsProps<T extends PreferenceValue> {
+  value: T;
+  onChange: (preferences: NoInfer<T>) => void;
+  idPrefix?: string;
+}
+
+const SubscriptionPreferenceFields = <T extends PreferenceValue>({ value, onChange, idPrefix = 'subscription' }: SubscriptionPreferenceFieldsProps<T>) => {
+  const [categories, setCategories] = useState<Category[]>([]);
+
+  useEffect(() => {
+    noticeService.getPublicCategories()
+      .then((response) => setCategories(response.data.categories))
+      .catch((error) => console.error('Failed to load categories:', error));
+  }, []);
+
+  const toggleCategory = (categoryId: number, checked: boolean) => {
+    onChange({
+      ...value,
+      categoryIds: checked ? [...value.categoryIds, categoryId] : value.categoryIds.filter((id) => id !== categoryId)
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}-priority`} className="text-sliate-dark dark:text-white">Notices to receive</Label>
+          <Select
+            value={value.minPriority}
+            onValueChange={(minPriority) => onChange({ ...value, minPriority: minPriority as SubscriptionPreferences['minPriority'] })}
+          >
+            <SelectTrigger id={`${idPrefix}-priority`} className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="low">All notices</SelectItem>
+              <SelectItem value="medium">Medium and high priority</SelectItem>
+              <SelectItem value="high">High priority only</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {value.frequency !== undefined && (
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}-frequency`} className="text-sliate-dark dark:text-white">Delivery</Label>
+            <Select
+              value={value.frequency}
+              onValueChange={(frequency) => onChange({ ...value, frequency: frequency as SubscriptionPreferences['frequency'] })}
+            >
+              <SelectTrigger id={`${idPrefix}-frequency`} className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="instant">As soon as published</SelectItem>
+                <SelectItem value="daily">Daily digest</SelectItem>
+                <SelectItem value="weekly">Weekly digest</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+
+      {categories.length > 0 && (
+        <div className="space-y-2">
+          <Label className="text-sliate-dark dark:text-white">Categories</Label>
+          <p className="text-xs text-gray-500 dark:text-gray-400">Leave all unchecked to receive every category.</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {categories.map((category) => (
+              <div key={category.id} className="flex items-center space-x-2">
+                <Checkbox
+                  id={`${idPrefix}-category-${category.id}`}
+                  checked={value.categoryIds.includes(category.id)}
+                  onCheckedChange={(checked) => toggleCategory(category.id, checked === true)}
+                />
+                <label htmlFor={`${idPrefix}-category-${category.id}`} className="text-sm text-sliate-dark dark:text-gray-200">
+                  {category.name}
+                </label>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubscriptionPreferenceFields;
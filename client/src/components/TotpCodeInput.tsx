@@ -0,0 +1,42 @@
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+
+export const TOTP_CODE_LENGTH = 6;
+
+interface TotpCodeInputProps {
+  id?: string;
+  value: string;
+  onChange: (value: string) => void;
+  onComplete?: (value: string) => void;
+  disabled?: boolean;
+  autoFocus?: boolean;
+}
+
+// Six-digit authenticator code
+const TotpCodeInput = ({ id, value, onChange, onComplete, disabled, autoFocus }: TotpCodeInputProps) => (
+  <InputOTP
+    id={id}
+    maxLength={TOTP_CODE_LENGTH}
+    pattern={REGEXP_ONLY_DIGITS}
+    inputMode="numeric"
+    autoComplete="one-time-code"
+    value={value}
+    onChange={onChange}
+    onComplete={onComplete}
+    disabled={disabled}
+    autoFocus={autoFocus}
+    containerClassName="justify-center"
+  >
+    <InputOTPGroup>
+      {Array.from({ length: TOTP_CODE_LENGTH }, (_, index) => (
+        <InputOTPSlot
+          key={index}
+          index={index}
+          className="border-sliate-accent/30 dark:border-gray-600 text-sliate-dark dark:text-white"
+        />
+      ))}
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+export default TotpCodeInput;
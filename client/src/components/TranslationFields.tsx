@@ -0,0 +1,87 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Languages } from 'lucide-react';
+import RichTextEditor from '@/components/RichTextEditor';
+import {
+  NOTICE_LANGUAGES,
+  NoticeLanguage,
+  NoticeTranslations,
+  isNoticeLanguage
+} from '@/utils/noticeLanguages';
+
+interface TranslationFieldsProps {
+  language: NoticeLanguage;
+  translations: NoticeTranslations;
+  onLanguageChange: (language: NoticeLanguage) => void;
+  onTranslationsChange: (translations: NoticeTranslations) => void;
+}
+
+const TranslationFields = ({ language, translations, onLanguageChange, onTranslationsChange }: TranslationFieldsProps) => {
+  const otherLanguages = NOTICE_LANGUAGES.filter(({ code }) => code !== language);
+
+  const update = (code: NoticeLanguage, changes: Partial<{ title: string; description: string }>) => {
+    const current = translations[code] || { title: '', description: '' };
+    onTranslationsChange({ ...translations, [code]: { ...current, ...changes } });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-1">
+        <Languages className="h-4 w-4 text-sliate-accent" />
+        <Label className="text-sliate-dark dark:text-white">Languages</Label>
+      </div>
+
+      <div className="p-3 border border-sliate-accent/30 dark:border-gray-600 rounded-md space-y-4">
+        <div className="space-y-1">
+          <Label className="text-sm text-sliate-dark dark:text-gray-200">Original language</Label>
+          <Select
+            value={language}
+            onValueChange={(value) => isNoticeLanguage(value) && onLanguageChange(value)}
+          >
+            <SelectTrigger className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {NOTICE_LANGUAGES.map(({ code, label, englishName }) => (
+                <SelectItem key={code} value={code}>
+                  {code === 'en' ? englishName : `${englishName} (${label})`}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {otherLanguages.map(({ code, label, englishName }) => (
+          <div key={code} className="space-y-2">
+            <Label htmlFor={`translation-title-${code}`} className="text-sm text-sliate-dark dark:text-gray-200">
+              {englishName} translation (Optional)
+            </Label>
+            <Input
+              id={`translation-title-${code}`}
+              lang={code}
+              value={translations[code]?.title || ''}
+              maxLength={200}
+              placeholder={`Title in ${label}`}
+              onChange={(e) => update(code, { title: e.target.value })}
+              className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+            />
+            <div lang={code}>
+              <RichTextEditor
+                content={translations[code]?.description || ''}
+                onChange={(content) => update(code, { description: content })}
+                placeholder={`Description in ${label}`}
+              />
+            </div>
+          </div>
+        ))}
+
+        <p className="text-xs text-gray-500">
+          Readers who pick a language without a translation see the English version, or the original if there is none.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default TranslationFields;
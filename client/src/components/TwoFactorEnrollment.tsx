@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import TotpCodeInput, { TOTP_CODE_LENGTH } from '@/components/TotpCodeInput';
+import type { TwoFactorSetup } from '@/services/api';
+
+interface TwoFactorEnrollmentProps {
+  // Each new secret replaces the previous one: pass a memoised function so it is only requested once
+  loadSetup: () => Promise<TwoFactorSetup>;
+  onVerify: (code: string) => Promise<unknown>;
+  isVerifying: boolean;
+  error?: string | null;
+}
+
+// QR code and secret of a new authenticator, confirmed with its first code
+const TwoFactorEnrollment = ({ loadSetup, onVerify, isVerifying, error }: TwoFactorEnrollmentProps) => {
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadSetup()
+      .then((result) => !cancelled && setSetup(result))
+      .catch((err) => !cancelled && setLoadError(err instanceof Error ? err.message : 'Failed to start two-factor setup'));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadSetup]);
+
+  const verify = async (value: string) => {
+    if (value.length !== TOTP_CODE_LENGTH) return;
+    await onVerify(value);
+    setCode('');
+  };
+
+  if (loadError) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{loadError}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-sliate-accent" />
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(e) => {
+        e.preventDefault();
+        verify(code);
+      }}
+    >
+      <p className="text-sm text-sliate-dark dark:text-gray-200">
+        Scan this QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, Authy, ...),
+        then enter the six-digit code it shows.
+      </p>
+
+      <div className="flex justify-center">
+        <img src={setup.qrCode} alt="Two-factor QR code" className="h-44 w-44 rounded-md bg-white p-1" />
+      </div>
+
+      <div className="text-center space-y-1">
+        <p className="text-xs text-gray-500 dark:text-gray-400">Can't scan it? Enter this key instead:</p>
+        <code className="block break-all text-sm font-mono text-sliate-dark dark:text-white">
+          {setup.secret.match(/.{1,4}/g)?.join(' ')}
+        </code>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <TotpCodeInput value={code} onChange={setCode} onComplete={verify} disabled={isVerifying} autoFocus />
+
+      <Button
+        type="submit"
+        className="w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white"
+        disabled={isVerifying || code.length !== TOTP_CODE_LENGTH}
+      >
+        {isVerifying ? 'Verifying...' : 'Verify and enable'}
+      </Button>
+    </form>
+  );
+};
+
+export default TwoFactorEnrollment;
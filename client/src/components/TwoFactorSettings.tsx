@@ -0,0 +1,271 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, Loader2, ShieldCheck } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { useAuth } from '@/hooks/useAuth';
+import { apiService, TwoFactorPolicy, TwoFactorStatus } from '@/services/api';
+import TotpCodeInput, { TOTP_CODE_LENGTH } from '@/components/TotpCodeInput';
+import TwoFactorEnrollment from '@/components/TwoFactorEnrollment';
+import RecoveryCodes from '@/components/RecoveryCodes';
+
+type Mode = 'idle' | 'enroll' | 'disable' | 'regenerate';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [policy, setPolicy] = useState<TwoFactorPolicy | null>(null);
+  const [mode, setMode] = useState<Mode>('idle');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const { hasPermission } = useAuth();
+  const canManagePolicy = hasPermission('security.manage');
+  const { toast } = useToast();
+
+  const loadStatus = async () => {
+    try {
+      const response = await apiService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+    if (canManagePolicy) {
+      apiService.getTwoFactorPolicy().then((response) => setPolicy(response.data)).catch(() => setPolicy(null));
+    }
+  }, [canManagePolicy]);
+
+  const loadSetup = useCallback(() => apiService.startTwoFactorSetup().then((response) => response.data), []);
+
+  const changeMode = (next: Mode) => {
+    setMode(next);
+    setPassword('');
+    setCode('');
+    setRecoveryCode('');
+    setError(null);
+  };
+
+  // Runs an action and reports its error in the card
+  const run = async (action: () => Promise<void>) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const enable = (value: string) => run(async () => {
+    const response = await apiService.enableTwoFactor(value);
+    setRecoveryCodes(response.data.recoveryCodes);
+    changeMode('idle');
+    toast({ title: 'Two-factor enabled', description: 'Your account now asks for a code at login.' });
+    await loadStatus();
+  });
+
+  const disable = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      await apiService.disableTwoFactor(password, recoveryCode.trim() ? { recoveryCode: recoveryCode.trim() } : { code });
+      changeMode('idle');
+      toast({ title: 'Two-factor disabled', description: 'Your account no longer asks for a code at login.' });
+      await loadStatus();
+    });
+  };
+
+  const regenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await apiService.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      changeMode('idle');
+      await loadStatus();
+    });
+  };
+
+  const updatePolicy = (requireForSuperAdmins: boolean) => run(async () => {
+    const response = await apiService.updateTwoFactorPolicy(requireForSuperAdmins);
+    setPolicy(response.data);
+    toast({ title: 'Policy updated', description: response.message });
+    await loadStatus();
+  });
+
+  return (
+    <Card className="border-sliate-accent/20 dark:border-gray-600 bg-white dark:bg-gray-800">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between text-sliate-dark dark:text-white">
+          <span className="flex items-center space-x-2">
+            <ShieldCheck className="h-5 w-5 text-sliate-accent" />
+            <span>Two-Factor Authentication</span>
+          </span>
+          {status && (
+            <Badge className={status.enabled ? 'bg-green-600 text-white' : 'bg-gray-400 text-white'}>
+              {status.enabled ? 'Enabled' : 'Disabled'}
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && mode !== 'enroll' && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {!status && !error && (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-6 w-6 animate-spin text-sliate-accent" />
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        )}
+
+        {status && !recoveryCodes && mode === 'idle' && (
+          <div className="space-y-3">
+            <p className="text-sm text-sliate-dark dark:text-gray-200">
+              {status.enabled
+                ? `Logins ask for a code from your authenticator app. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+                : 'Protect your account with a code from an authenticator app in addition to your password.'}
+            </p>
+
+            {status.required && (
+              <p className="text-sm text-amber-700 dark:text-amber-300">
+                Two-factor authentication is required for super admins and cannot be turned off.
+              </p>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              {status.enabled ? (
+                <>
+                  <Button variant="outline" onClick={() => changeMode('regenerate')}>New recovery codes</Button>
+                  {!status.required && (
+                    <Button variant="outline" className="text-red-600 border-red-200 hover:bg-red-50" onClick={() => changeMode('disable')}>
+                      Disable
+                    </Button>
+                  )}
+                </>
+              ) : (
+                <Button className="bg-sliate-accent hover:bg-sliate-accent/90 text-white" onClick={() => changeMode('enroll')}>
+                  Set up two-factor
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {mode === 'enroll' && (
+          <div className="space-y-2">
+            <TwoFactorEnrollment
+              loadSetup={loadSetup}
+              onVerify={enable}
+              isVerifying={isBusy}
+              error={error}
+            />
+            <Button variant="ghost" className="w-full" onClick={() => changeMode('idle')}>Cancel</Button>
+          </div>
+        )}
+
+        {mode === 'regenerate' && (
+          <form onSubmit={regenerate} className="space-y-3">
+            <Label htmlFor="regenerateCode" className="block text-sliate-dark dark:text-white">
+              Enter a code from your authenticator app. Your old recovery codes stop working.
+            </Label>
+            <TotpCodeInput id="regenerateCode" value={code} onChange={setCode} disabled={isBusy} autoFocus />
+            <div className="flex space-x-2">
+              <Button type="button" variant="ghost" className="flex-1" onClick={() => changeMode('idle')}>Cancel</Button>
+              <Button type="submit" className="flex-1 bg-sliate-accent hover:bg-sliate-accent/90 text-white" disabled={isBusy || code.length !== TOTP_CODE_LENGTH}>
+                Generate
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {mode === 'disable' && (
+          <form onSubmit={disable} className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="disablePassword" className="text-sliate-dark dark:text-white">Current password</Label>
+              <Input
+                id="disablePassword"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={isBusy}
+                required
+                maxLength={128}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-sliate-dark dark:text-white">Authenticator code</Label>
+              <TotpCodeInput value={code} onChange={setCode} disabled={isBusy || !!recoveryCode} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="disableRecoveryCode" className="text-sm text-gray-500 dark:text-gray-400">Or a recovery code</Label>
+              <Input
+                id="disableRecoveryCode"
+                placeholder="XXXXX-XXXXX"
+                className="font-mono uppercase"
+                value={recoveryCode}
+                onChange={(e) => setRecoveryCode(e.target.value)}
+                disabled={isBusy}
+                maxLength={32}
+              />
+            </div>
+            <div className="flex space-x-2">
+              <Button type="button" variant="ghost" className="flex-1" onClick={() => changeMode('idle')}>Cancel</Button>
+              <Button
+                type="submit"
+                variant="destructive"
+                className="flex-1"
+                disabled={isBusy || !password || (code.length !== TOTP_CODE_LENGTH && !recoveryCode.trim())}
+              >
+                Disable two-factor
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {canManagePolicy && policy && (
+          <div className="pt-4 border-t border-sliate-accent/20 dark:border-gray-600 space-y-1">
+            <div className="flex items-center justify-between">
+              <Label htmlFor="requireSuperAdmin2fa" className="text-sliate-dark dark:text-white">
+                Require two-factor for super admins
+              </Label>
+              <Switch
+                id="requireSuperAdmin2fa"
+                checked={policy.requireForSuperAdmins}
+                onCheckedChange={updatePolicy}
+                disabled={isBusy}
+              />
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Super admins without two-factor must set it up at their next login.
+              {policy.updatedBy && ` Last changed by ${policy.updatedBy}.`}
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { noticeService, Reviewer } from '@/services/noticeApi';
+
+// Whether notices need sign-off before publishing, and who can give it
+export const useApprovalWorkflow = () => {
+  const [workflowEnabled, setWorkflowEnabled] = useState(false);
+  const [reviewers, setReviewers] = useState<Reviewer[]>([]);
+
+  useEffect(() => {
+    noticeService.getReviewers()
+      .then((response) => {
+        setWorkflowEnabled(response.data.workflowEnabled);
+        setReviewers(response.data.reviewers);
+      })
+      .catch((error) => console.error('Failed to load approval workflow settings:', error));
+  }, []);
+
+  return { workflowEnabled, reviewers };
+};
@@ -2,9 +2,14 @@ import { useEffect } from 'react';
 import { useAppDispatch, useAppSelector } from './redux';
 import {
   loginUser,
+  loginWithSso as loginWithSsoAction,
   logoutUser,
   checkAuthStatus,
   refreshAuthToken,
+  changePassword as changePasswordAction,
+  verifyTwoFactorLogin,
+  cancelTwoFactor as cancelTwoFactorAction,
+  acknowledgeRecoveryCodes as acknowledgeRecoveryCodesAction,
   clearError,
   selectAuth,
   selectUser,
@@ -16,7 +21,8 @@ import {
   selectIsSuperAdmin,
   selectIsLecturer
 } from '@/store/slices/authSlice';
-import type { LoginCredentials } from '@/services/api';
+import { hasSessionHint } from '@/services/authSession';
+import type { ChangePasswordPayload, LoginCredentials, TwoFactorCredentials } from '@/services/api';
 
 export const useAuth = () => {
   const dispatch = useAppDispatch();
@@ -37,6 +43,22 @@ export const useAuth = () => {
     return dispatch(loginUser(credentials));
   };
 
+  const loginWithSso = async (ssoToken: string) => {
+    return dispatch(loginWithSsoAction(ssoToken));
+  };
+
+  const verifyTwoFactor = async (credentials: TwoFactorCredentials) => {
+    return dispatch(verifyTwoFactorLogin(credentials));
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch(cancelTwoFactorAction());
+  };
+
+  const acknowledgeRecoveryCodes = () => {
+    dispatch(acknowledgeRecoveryCodesAction());
+  };
+
   const logout = async () => {
     return dispatch(logoutUser());
   };
@@ -49,6 +71,10 @@ export const useAuth = () => {
     return dispatch(refreshAuthToken());
   };
 
+  const changePassword = async (payload: ChangePasswordPayload) => {
+    return dispatch(changePasswordAction(payload));
+  };
+
   const clearAuthError = () => {
     dispatch(clearError());
   };
@@ -62,21 +88,15 @@ export const useAuth = () => {
 
   const hasPermission = (permission: string): boolean => {
     if (!user) return false;
-    
-    const rolePermissions = {
-      'super_admin': ['all'],
-      'admin': ['notice_create', 'notice_edit', 'notice_delete', 'notice_approve']
-      // Remove lecturer permissions since it doesn't exist in your DB
-    };
-
-    const userPermissions = rolePermissions[user.role] || [];
-    return userPermissions.includes('all') || userPermissions.includes(permission);
+
+    // Permissions come from the user's role on the server; '*' grants everything
+    const userPermissions = user.permissions || [];
+    return userPermissions.includes('*') || userPermissions.includes(permission);
   };
 
   // Auto-check authentication on mount
   useEffect(() => {
-    const token = localStorage.getItem('auth_token');
-    if (token && !isAuthenticated) {
+    if (hasSessionHint() && !isAuthenticated) {
       checkAuth();
     }
   }, []);
@@ -113,12 +133,19 @@ export const useAuth = () => {
     isLecturer,
     sessionExpiry: auth.sessionExpiry,
     lastLoginTime: auth.lastLoginTime,
+    twoFactorChallenge: auth.twoFactorChallenge,
+    recoveryCodes: auth.recoveryCodes,
 
     // Actions
     login,
+    loginWithSso,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    acknowledgeRecoveryCodes,
     logout,
     checkAuth,
     refreshToken,
+    changePassword,
     clearAuthError,
 
     // Utilities
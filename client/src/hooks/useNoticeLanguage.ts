@@ -0,0 +1,31 @@
+import { useCallback, useState } from 'react';
+import { isNoticeLanguage, NoticeLanguage } from '@/utils/noticeLanguages';
+
+const STORAGE_KEY = 'notice_language';
+
+const readStoredLanguage = (): NoticeLanguage | null => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return isNoticeLanguage(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+// Reader's preferred notice language, remembered across pages; null shows each notice in its original language
+export const useNoticeLanguage = (initial?: string | null) => {
+  const [language, setLanguageState] = useState<NoticeLanguage | null>(
+    () => (isNoticeLanguage(initial) ? initial : readStoredLanguage())
+  );
+
+  const setLanguage = useCallback((next: NoticeLanguage) => {
+    setLanguageState(next);
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Private browsing: keep the choice for this page only
+    }
+  }, []);
+
+  return { language, setLanguage };
+};
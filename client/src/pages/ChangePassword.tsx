@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Link, useNavigate, useLocation } from "react-router-dom";
+import { ArrowLeft, Lock, AlertCircle, KeyRound } from "lucide-react";
+import { useAuth } from "@/hooks/useAuth";
+import { useToast } from "@/hooks/use-toast";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+
+const inputClassName = "pl-10 border-sliate-accent/30 dark:border-gray-600 focus:border-sliate-accent dark:focus:border-sliate-light bg-white dark:bg-gray-700 text-sliate-dark dark:text-white";
+
+const ChangePassword = () => {
+  const [form, setForm] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [error, setError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { user, changePassword, logout } = useAuth();
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const isRequired = !!user?.passwordChangeRequired;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError("New password and confirmation do not match");
+      return;
+    }
+
+    if (form.newPassword === form.currentPassword) {
+      setError("New password must be different from the current password");
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await changePassword(form);
+    setIsSaving(false);
+
+    if (result.meta.requestStatus === 'fulfilled') {
+      toast({
+        title: "Password Changed",
+        description: "Your password was updated. Other sessions have been logged out.",
+      });
+      const from = location.state?.from?.pathname;
+      navigate(from && from !== '/change-password' ? from : "/dashboard", { replace: true });
+    } else {
+      setError((result.payload as string) || "Failed to change password");
+    }
+  };
+
+  const fields: Array<{ key: keyof typeof form; label: string; autoComplete: string }> = [
+    { key: "currentPassword", label: "Current Password", autoComplete: "current-password" },
+    { key: "newPassword", label: "New Password", autoComplete: "new-password" },
+    { key: "confirmPassword", label: "Confirm New Password", autoComplete: "new-password" },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        {!isRequired && (
+          <div className="mb-6">
+            <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+              <Link to="/dashboard" className="flex items-center space-x-2">
+                <ArrowLeft className="h-4 w-4" />
+                <span>Back to Dashboard</span>
+              </Link>
+            </Button>
+          </div>
+        )}
+
+        <Card className="border-sliate-accent/20 dark:border-gray-600 shadow-lg bg-white dark:bg-gray-800">
+          <CardHeader className="text-center space-y-2">
+            <div className="flex justify-center">
+              <KeyRound className="h-10 w-10 text-sliate-accent" />
+            </div>
+            <CardTitle className="text-2xl font-bold text-sliate-dark dark:text-white">
+              Change Password
+            </CardTitle>
+            <p className="text-sliate-accent dark:text-gray-300">{user?.full_name || user?.username}</p>
+          </CardHeader>
+
+          <CardContent>
+            {isRequired && (
+              <Alert className="mb-4 border-amber-300 bg-amber-50 text-amber-900 dark:bg-amber-900/20 dark:text-amber-200">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  Your password has expired. Choose a new password to continue.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {error && (
+              <Alert variant="destructive" className="mb-4">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {fields.map(({ key, label, autoComplete }) => (
+                <div key={key} className="space-y-2">
+                  <Label htmlFor={key} className="text-sliate-dark dark:text-white">{label}</Label>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
+                    <Input
+                      id={key}
+                      type="password"
+                      autoComplete={autoComplete}
+                      value={form[key]}
+                      onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                      className={inputClassName}
+                      disabled={isSaving}
+                      required
+                      minLength={key === "currentPassword" ? 1 : 8}
+                      maxLength={128}
+                    />
+                  </div>
+                </div>
+              ))}
+
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                At least 8 characters with upper and lower case letters, a number and a special character.
+                Recently used passwords are not accepted.
+              </p>
+
+              <Button
+                type="submit"
+                className="w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white"
+                disabled={isSaving}
+              >
+                {isSaving ? "Saving..." : "Change Password"}
+              </Button>
+
+              {isRequired && (
+                <Button type="button" variant="ghost" className="w-full text-red-600" onClick={() => logout()}>
+                  Log out instead
+                </Button>
+              )}
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
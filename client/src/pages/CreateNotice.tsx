@@ -10,6 +10,13 @@ import { useToast } from "@/hooks/use-toast";
 import { noticeService } from "@/services/noticeApi";
 import RichTextEditor from '@/components/RichTextEditor';
 import NoticeTemplates from '@/components/NoticeTemplates';
+import { AppliedTemplate } from '@/services/templateApi';
+import CategorySelector from '@/components/CategorySelector';
+import EventFields from '@/components/EventFields';
+import TranslationFields from '@/components/TranslationFields';
+import { EMPTY_EVENT_DETAILS, appendEventDetails } from '@/utils/eventUtils';
+import { EMPTY_TRANSLATIONS, NoticeLanguage, appendTranslations } from '@/utils/noticeLanguages';
+import { useApprovalWorkflow } from '@/hooks/useApprovalWorkflow';
 
 const CreateNotice = () => {
   const [formData, setFormData] = useState({
@@ -17,17 +24,34 @@ const CreateNotice = () => {
     description: "",
     priority: "medium",
     status: "draft",
+    publishAt: "",
+    expiresAt: "",
+    categoryIds: [] as number[],
+    event: EMPTY_EVENT_DETAILS,
+    language: 'en' as NoticeLanguage,
+    translations: EMPTY_TRANSLATIONS,
     imageFile: null as File | null,
     files: [] as File[]
   });
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
   const { toast } = useToast();
+  const { workflowEnabled } = useApprovalWorkflow();
 
   const handleInputChange = (field: string, value: string) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
+  // Templates fill the description and suggest a priority and categories
+  const handleApplyTemplate = (content: AppliedTemplate) => {
+    setFormData(prev => ({
+      ...prev,
+      description: content.description,
+      priority: content.priority ?? prev.priority,
+      categoryIds: [...new Set([...prev.categoryIds, ...content.categoryIds])]
+    }));
+  };
+
   const handleImageUpload = (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
     if (file) {
@@ -121,6 +145,22 @@ const CreateNotice = () => {
     submitData.append('priority', formData.priority);
     submitData.append('status', formData.status);
 
+    // datetime-local values are local time; send them as ISO timestamps
+    if (formData.publishAt) {
+      submitData.append('publishAt', new Date(formData.publishAt).toISOString());
+    }
+    if (formData.expiresAt) {
+      submitData.append('expiresAt', new Date(formData.expiresAt).toISOString());
+    }
+
+    submitData.append('categoryIds', JSON.stringify(formData.categoryIds));
+
+    if (formData.event.eventStart) {
+      appendEventDetails(submitData, formData.event);
+    }
+
+    appendTranslations(submitData, formData.language, formData.translations, sanitizeText);
+
     if (formData.imageFile) {
       submitData.append('image', formData.imageFile);
     }
@@ -197,7 +237,7 @@ const CreateNotice = () => {
               </div>
 
               <div className="flex justify-end mb-2">
-                <NoticeTemplates onSelectTemplate={(template) => handleInputChange("description", template)} />
+                <NoticeTemplates onApplyTemplate={handleApplyTemplate} />
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -223,12 +263,61 @@ const CreateNotice = () => {
                     </SelectTrigger>
                     <SelectContent>
                       <SelectItem value="draft">Draft</SelectItem>
-                      <SelectItem value="published">Published</SelectItem>
+                      {!workflowEnabled && <SelectItem value="published">Published</SelectItem>}
                     </SelectContent>
                   </Select>
+                  {workflowEnabled && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Notices need approval: submit the draft for review from its details page.
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-2">
+                  <Label htmlFor="publishAt" className="text-sliate-dark dark:text-white">Publish At (Optional)</Label>
+                  <Input
+                    id="publishAt"
+                    type="datetime-local"
+                    value={formData.publishAt}
+                    onChange={(e) => handleInputChange("publishAt", e.target.value)}
+                    className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+                  />
+                  <p className="text-xs text-gray-500">A future time keeps the notice as a draft until then.</p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="expiresAt" className="text-sliate-dark dark:text-white">Expires At (Optional)</Label>
+                  <Input
+                    id="expiresAt"
+                    type="datetime-local"
+                    value={formData.expiresAt}
+                    min={formData.publishAt || undefined}
+                    onChange={(e) => handleInputChange("expiresAt", e.target.value)}
+                    className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+                  />
+                  <p className="text-xs text-gray-500">The notice is hidden from the public after this time.</p>
                 </div>
               </div>
 
+              <CategorySelector
+                value={formData.categoryIds}
+                onChange={(categoryIds) => setFormData(prev => ({ ...prev, categoryIds }))}
+              />
+
+              <EventFields
+                value={formData.event}
+                onChange={(event) => setFormData(prev => ({ ...prev, event }))}
+              />
+
+              <TranslationFields
+                language={formData.language}
+                translations={formData.translations}
+                onLanguageChange={(language) => setFormData(prev => ({ ...prev, language }))}
+                onTranslationsChange={(translations) => setFormData(prev => ({ ...prev, translations }))}
+              />
+
               <div className="space-y-2">
                 <Label className="text-sliate-dark dark:text-white">Featured Image (Optional)</Label>
                 
@@ -3,7 +3,9 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
 import { useToast } from "@/hooks/use-toast";
+import { ToastAction } from "@/components/ui/toast";
 import { useAuth } from "@/hooks/useAuth";
 import { useNavigate, Link } from "react-router-dom";
 import { 
@@ -20,17 +22,32 @@ import {
   Trash2,
   CheckCircle,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  Send,
+  ShieldCheck,
+  Pin,
+  Archive,
+  Copy,
+  LayoutTemplate
 } from "lucide-react";
 import { noticeService, Notice, NoticeFilters } from "@/services/noticeApi";
+import { useApprovalWorkflow } from "@/hooks/useApprovalWorkflow";
+import { NOTICE_STATUS_CLASSES, NOTICE_STATUS_LABELS, canPublishStatus } from "@/utils/noticeStatus";
 import { Pagination } from "@/components/ui/pagination";
+import PinNoticeDialog from "@/components/PinNoticeDialog";
+import DuplicateNoticeDialog from "@/components/DuplicateNoticeDialog";
+import BulkActionBar from "@/components/BulkActionBar";
 
 const Dashboard = () => {
   const { user, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
+  const { workflowEnabled } = useApprovalWorkflow();
   const { toast } = useToast();
   
   const [notices, setNotices] = useState<Notice[]>([]);
+  const [pinning, setPinning] = useState<Notice | null>(null);
+  const [duplicating, setDuplicating] = useState<Notice | null>(null);
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
   const [filters, setFilters] = useState<NoticeFilters>({
@@ -52,6 +69,8 @@ const Dashboard = () => {
   });
 
   useEffect(() => {
+    // A selection only covers the notices on screen
+    setSelectedIds([]);
     fetchNotices();
     fetchStatistics();
   }, [filters]);
@@ -154,16 +173,27 @@ const Dashboard = () => {
     }));
   };
 
+  const toggleSelected = (id: number, checked: boolean) => {
+    setSelectedIds(prev => checked ? [...prev, id] : prev.filter(selectedId => selectedId !== id));
+  };
+
+  const allSelected = notices.length > 0 && notices.every(notice => selectedIds.includes(notice.id));
+
   const handleDeleteNotice = async (id: number) => {
-    if (!confirm("Are you sure you want to delete this notice? This action cannot be undone.")) {
+    if (!confirm("Move this notice to the trash? You can restore it from the Trash page until it is removed permanently.")) {
       return;
     }
 
     try {
-      await noticeService.deleteNotice(id);
+      const response = await noticeService.deleteNotice(id);
       toast({
-        title: "Notice Deleted",
-        description: "The notice has been successfully deleted."
+        title: "Moved to Trash",
+        description: `It will be removed permanently on ${new Date(response.data.deletedNotice.purgeAt).toLocaleDateString()}.`,
+        action: (
+          <ToastAction altText="Undo delete" onClick={() => handleRestoreNotice(id)}>
+            Undo
+          </ToastAction>
+        )
       });
       fetchNotices(); // Refresh notices list
     } catch (error) {
@@ -175,6 +205,23 @@ const Dashboard = () => {
     }
   };
 
+  const handleRestoreNotice = async (id: number) => {
+    try {
+      await noticeService.restoreNotice(id);
+      toast({
+        title: "Notice Restored",
+        description: "The notice is back with its previous status."
+      });
+      fetchNotices();
+    } catch (error) {
+      toast({
+        title: "Restore Failed",
+        description: error instanceof Error ? error.message : "Failed to restore notice",
+        variant: "destructive"
+      });
+    }
+  };
+
   const handlePublishNotice = async (id: number) => {
     try {
       await noticeService.publishNotice(id);
@@ -192,6 +239,23 @@ const Dashboard = () => {
     }
   };
 
+  const handleSubmitForReview = async (notice: Notice) => {
+    try {
+      await noticeService.submitForReview(notice.id, notice.reviewerId);
+      toast({
+        title: "Submitted for Review",
+        description: "Approvers have been given the notice to review."
+      });
+      fetchNotices(); // Refresh notices list
+    } catch (error) {
+      toast({
+        title: "Submission Failed",
+        description: error instanceof Error ? error.message : "Failed to submit notice for review",
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleUnpublishNotice = async (id: number) => {
     try {
       await noticeService.unpublishNotice(id);
@@ -219,11 +283,11 @@ const Dashboard = () => {
     },
     {
       title: "Pending Approval",
-      value: notices.filter((notice) => notice.status === "draft").length.toString(),
+      value: notices.filter((notice) => notice.status === (workflowEnabled ? "pending_review" : "draft")).length.toString(),
       change: "",
       icon: Clock,
       color: "text-orange-600",
-      hidden: !hasPermission('notice_approve')
+      hidden: !hasPermission('notice.publish')
     },
     {
       title: "Total Views",
@@ -238,19 +302,18 @@ const Dashboard = () => {
       change: "",
       icon: Users,
       color: "text-purple-600",
-      hidden: !hasPermission('notice_approve')
+      hidden: !hasPermission('notice.publish')
     }
   ].filter(stat => !stat.hidden);
 
-  const getStatusBadge = (status: string) => {
-    switch (status) {
-      case "published":
-        return <Badge className="bg-green-100 text-green-800">Published</Badge>;
-      case "draft":
-        return <Badge className="bg-gray-100 text-gray-800">Draft</Badge>;
-      default:
-        return <Badge>{status}</Badge>;
+  const getStatusBadge = (status: Notice['status'], publishAt?: string | null) => {
+    if (['draft', 'approved'].includes(status) && publishAt && new Date(publishAt) > new Date()) {
+      return <Badge className="bg-blue-100 text-blue-800">Scheduled</Badge>;
     }
+    if (NOTICE_STATUS_LABELS[status]) {
+      return <Badge className={NOTICE_STATUS_CLASSES[status]}>{NOTICE_STATUS_LABELS[status]}</Badge>;
+    }
+    return <Badge>{status}</Badge>;
   };
 
   const getPriorityBadge = (priority: string) => {
@@ -295,7 +358,7 @@ const Dashboard = () => {
               
               {/* Action Buttons */}
               <div className="flex items-center space-x-3">
-                {hasPermission('notice_create') && (
+                {hasPermission('notice.create') && (
                   <Button asChild className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
                     <Link to="/create-notice" className="flex items-center space-x-2">
                       <Plus className="h-4 w-4" />
@@ -304,6 +367,38 @@ const Dashboard = () => {
                   </Button>
                 )}
                 
+                {hasPermission('users.manage') && (
+                  <Button variant="ghost" asChild className="text-sliate-accent dark:text-gray-300">
+                    <Link to="/users" className="flex items-center space-x-2">
+                      <Users className="h-4 w-4" />
+                      <span>Users</span>
+                    </Link>
+                  </Button>
+                )}
+
+                {hasPermission('templates.manage') && (
+                  <Button variant="ghost" asChild className="text-sliate-accent dark:text-gray-300">
+                    <Link to="/templates" className="flex items-center space-x-2">
+                      <LayoutTemplate className="h-4 w-4" />
+                      <span>Templates</span>
+                    </Link>
+                  </Button>
+                )}
+
+                <Button variant="ghost" asChild className="text-sliate-accent dark:text-gray-300">
+                  <Link to="/trash" className="flex items-center space-x-2">
+                    <Archive className="h-4 w-4" />
+                    <span>Trash</span>
+                  </Link>
+                </Button>
+
+                <Button variant="ghost" asChild className="text-sliate-accent dark:text-gray-300">
+                  <Link to="/security" className="flex items-center space-x-2">
+                    <ShieldCheck className="h-4 w-4" />
+                    <span>Security</span>
+                  </Link>
+                </Button>
+
                 <Button 
                   variant="outline" 
                   onClick={handleLogout}
@@ -382,6 +477,31 @@ const Dashboard = () => {
                 >
                   Draft
                 </Button>
+                {workflowEnabled && (
+                  <>
+                    <Button 
+                      variant={filters.status === 'pending_review' ? "default" : "outline"} 
+                      size="sm" 
+                      onClick={() => handleStatusFilter('pending_review')}
+                    >
+                      In Review
+                    </Button>
+                    <Button 
+                      variant={filters.status === 'approved' ? "default" : "outline"} 
+                      size="sm" 
+                      onClick={() => handleStatusFilter('approved')}
+                    >
+                      Approved
+                    </Button>
+                  </>
+                )}
+                <Button 
+                  variant={filters.status === 'archived' ? "default" : "outline"} 
+                  size="sm" 
+                  onClick={() => handleStatusFilter('archived')}
+                >
+                  Archived
+                </Button>
                 
                 <div className="h-6 w-px bg-sliate-accent/30 mx-2"></div>
                 
@@ -434,11 +554,24 @@ const Dashboard = () => {
         {/* Notices List */}
         <Card className="border-sliate-accent/20">
           <CardHeader>
-            <CardTitle className="text-sliate-dark">
-              Notices {filters.search ? `matching "${filters.search}"` : ''}
+            <CardTitle className="text-sliate-dark flex items-center space-x-3">
+              {notices.length > 0 && (
+                <Checkbox
+                  checked={allSelected}
+                  onCheckedChange={(checked) => setSelectedIds(checked === true ? notices.map(notice => notice.id) : [])}
+                  aria-label="Select all notices on this page"
+                />
+              )}
+              <span>Notices {filters.search ? `matching "${filters.search}"` : ''}</span>
             </CardTitle>
           </CardHeader>
           <CardContent>
+            <BulkActionBar
+              selectedIds={selectedIds}
+              onClear={() => setSelectedIds([])}
+              onComplete={fetchNotices}
+            />
+
             {isLoading ? (
               <div className="text-center py-8">
                 <div className="w-8 h-8 border-4 border-sliate-accent border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
@@ -452,15 +585,33 @@ const Dashboard = () => {
               <div className="space-y-4">
                 {notices.map((notice) => (
                   <div key={notice.id} className="flex items-center justify-between p-4 border border-sliate-accent/20 rounded-lg hover:bg-sliate-neutral/30 transition-colors">
+                    <Checkbox
+                      className="mr-4"
+                      checked={selectedIds.includes(notice.id)}
+                      onCheckedChange={(checked) => toggleSelected(notice.id, checked === true)}
+                      aria-label={`Select ${notice.title}`}
+                    />
                     <div className="flex-1">
                       <div className="flex items-center space-x-3 mb-2">
                         <h3 className="font-semibold text-sliate-dark">{notice.title}</h3>
-                        {getStatusBadge(notice.status)}
+                        {getStatusBadge(notice.status, notice.publishAt)}
                         {getPriorityBadge(notice.priority)}
+                        {notice.status === 'published' && (notice.isPinned || notice.isFeatured) && (
+                          <Badge variant="outline" className="border-sliate-accent text-sliate-accent">
+                            <Pin className="h-3 w-3 mr-1" />
+                            {notice.isPinned && notice.isFeatured ? 'Pinned & Featured' : notice.isPinned ? 'Pinned' : 'Featured'}
+                          </Badge>
+                        )}
                       </div>
                       <div className="flex items-center space-x-4 text-sm text-sliate-accent">
                         <span>By {notice.creatorName || notice.creatorUsername}</span>
+                        {notice.status === 'pending_review' && (
+                          <span>Reviewer: {notice.reviewerName || notice.reviewerUsername || 'Any approver'}</span>
+                        )}
                         <span>{new Date(notice.createdAt).toLocaleDateString()}</span>
+                        {notice.expiresAt && (
+                          <span>Expires {new Date(notice.expiresAt).toLocaleString()}</span>
+                        )}
                         <span className="flex items-center space-x-1">
                           <Eye className="h-4 w-4" />
                           <span>{notice.viewCount || 0}</span>
@@ -478,7 +629,7 @@ const Dashboard = () => {
                         <Eye className="h-4 w-4" />
                       </Button>
                       
-                      {hasPermission('notice_edit') && (
+                      {hasPermission('notice.edit') && (
                         <Button 
                           variant="ghost" 
                           size="sm" 
@@ -489,7 +640,20 @@ const Dashboard = () => {
                         </Button>
                       )}
                       
-                      {hasPermission('notice_approve') && notice.status === 'draft' && (
+                      {workflowEnabled && ['draft', 'changes_requested'].includes(notice.status)
+                        && (notice.createdBy === user?.id || hasPermission('notice.edit.any')) && (
+                        <Button 
+                          variant="ghost" 
+                          size="sm" 
+                          className="text-amber-600 hover:text-amber-800"
+                          title="Submit for review"
+                          onClick={() => handleSubmitForReview(notice)}
+                        >
+                          <Send className="h-4 w-4" />
+                        </Button>
+                      )}
+
+                      {hasPermission('notice.publish') && canPublishStatus(notice.status, workflowEnabled) && (
                         <Button 
                           variant="ghost" 
                           size="sm" 
@@ -500,7 +664,7 @@ const Dashboard = () => {
                         </Button>
                       )}
                       
-                      {hasPermission('notice_approve') && notice.status === 'published' && (
+                      {hasPermission('notice.publish') && notice.status === 'published' && (
                         <Button 
                           variant="ghost" 
                           size="sm" 
@@ -510,8 +674,32 @@ const Dashboard = () => {
                           <Clock className="h-4 w-4" />
                         </Button>
                       )}
+
+                      {hasPermission('notice.pin') && notice.status === 'published' && (
+                        <Button 
+                          variant="ghost" 
+                          size="sm" 
+                          className={notice.isPinned || notice.isFeatured ? "text-sliate-dark" : "text-sliate-accent hover:text-sliate-dark"}
+                          title="Pin or feature on the public board"
+                          onClick={() => setPinning(notice)}
+                        >
+                          <Pin className="h-4 w-4" />
+                        </Button>
+                      )}
                       
-                      {hasPermission('notice_delete') && (
+                      {hasPermission('notice.create') && (
+                        <Button 
+                          variant="ghost" 
+                          size="sm" 
+                          className="text-sliate-accent hover:text-sliate-dark"
+                          title="Duplicate as a new draft"
+                          onClick={() => setDuplicating(notice)}
+                        >
+                          <Copy className="h-4 w-4" />
+                        </Button>
+                      )}
+                      
+                      {hasPermission('notice.delete') && (
                         <Button 
                           variant="ghost" 
                           size="sm" 
@@ -539,6 +727,9 @@ const Dashboard = () => {
           </CardContent>
         </Card>
       </main>
+
+      <PinNoticeDialog notice={pinning} onClose={() => setPinning(null)} onSaved={fetchNotices} />
+      <DuplicateNoticeDialog notice={duplicating} onClose={() => setDuplicating(null)} />
     </div>
   );
 };
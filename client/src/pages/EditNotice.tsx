@@ -11,12 +11,23 @@ import { ArrowLeft, Upload, X, File, Loader2, Save, Eye } from "lucide-react";
 import { noticeService, Notice } from "@/services/noticeApi";
 import RichTextEditor from '@/components/RichTextEditor';
 import NoticeTemplates from '@/components/NoticeTemplates';
+import CategorySelector from '@/components/CategorySelector';
 import NoticeContent from '@/components/NoticeContent';
+import NoticeHistory from '@/components/NoticeHistory';
+import EventFields from '@/components/EventFields';
+import TranslationFields from '@/components/TranslationFields';
+import { EMPTY_EVENT_DETAILS, appendEventDetails, eventDetailsFromNotice, toDateTimeLocal } from '@/utils/eventUtils';
+import { EMPTY_TRANSLATIONS, NoticeLanguage, appendTranslations, translationsFromNotice } from '@/utils/noticeLanguages';
+import { useAuth } from "@/hooks/useAuth";
+import { useApprovalWorkflow } from "@/hooks/useApprovalWorkflow";
+import { NOTICE_STATUS_CLASSES, NOTICE_STATUS_LABELS, REVIEW_STATUSES } from "@/utils/noticeStatus";
 
 const EditNotice = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const { toast } = useToast();
+  const { user, hasPermission } = useAuth();
+  const { workflowEnabled } = useApprovalWorkflow();
   
   const [notice, setNotice] = useState<Notice | null>(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -26,6 +37,12 @@ const EditNotice = () => {
     description: "",
     priority: "medium",
     status: "draft",
+    publishAt: "",
+    expiresAt: "",
+    categoryIds: [] as number[],
+    event: EMPTY_EVENT_DETAILS,
+    language: 'en' as NoticeLanguage,
+    translations: EMPTY_TRANSLATIONS,
     imageFile: null as File | null,
     files: [] as File[],
     existingImageUrl: "",
@@ -38,44 +55,53 @@ const EditNotice = () => {
     }
   }, [id]);
 
+  // Helper function to extract description text
+  const getDescriptionText = (description: any): string => {
+    if (typeof description === 'string') {
+      return description;
+    }
+
+    // Use TextDecoder to decode binary data
+    const decodeBinaryData = (data: Uint8Array): string => {
+      const decoder = new TextDecoder("utf-8");
+      return decoder.decode(data);
+    };
+
+    if (description && description.type === 'Buffer' && Array.isArray(description.data)) {
+      return decodeBinaryData(new Uint8Array(description.data));
+    }
+
+    return description?.toString() || "No description available";
+  };
+
+  // Load a notice into the page state and the edit form
+  const populateForm = (noticeData: Notice) => {
+    // Store the entire notice
+    setNotice(noticeData);
+
+    setFormData({
+      title: noticeData.title || "",
+      description: getDescriptionText(noticeData.description),
+      priority: noticeData.priority || "medium",
+      status: noticeData.status || "draft",
+      publishAt: toDateTimeLocal(noticeData.publishAt),
+      expiresAt: toDateTimeLocal(noticeData.expiresAt),
+      categoryIds: (noticeData.categories || []).map((category) => category.id),
+      event: eventDetailsFromNotice(noticeData),
+      language: noticeData.language || 'en',
+      translations: translationsFromNotice(noticeData),
+      imageFile: null,
+      files: [],
+      existingImageUrl: noticeData.imageUrl || "",
+      existingFiles: Array.isArray(noticeData.files) ? noticeData.files : []
+    });
+  };
+
   const fetchNotice = async (noticeId: string) => {
     try {
       setIsLoading(true);
       const response = await noticeService.getNoticeById(noticeId);
-      const noticeData = response.data.notice;
-
-      // Store the entire notice
-      setNotice(noticeData);
-
-      // Helper function to extract description text
-      const getDescriptionText = (description: any): string => {
-        if (typeof description === 'string') {
-          return description;
-        }
-
-        // Use TextDecoder to decode binary data
-        const decodeBinaryData = (data: Uint8Array): string => {
-          const decoder = new TextDecoder("utf-8");
-          return decoder.decode(data);
-        };
-
-        if (description && description.type === 'Buffer' && Array.isArray(description.data)) {
-          return decodeBinaryData(new Uint8Array(description.data));
-        }
-
-        return description?.toString() || "No description available";
-      };
-
-      setFormData({
-        title: noticeData.title || "",
-        description: getDescriptionText(noticeData.description),
-        priority: noticeData.priority || "medium",
-        status: noticeData.status || "draft",
-        imageFile: null,
-        files: [],
-        existingImageUrl: noticeData.imageUrl || "",
-        existingFiles: Array.isArray(noticeData.files) ? noticeData.files : []
-      });
+      populateForm(response.data.notice);
     } catch (error) {
       console.error("Failed to fetch notice:", error);
       toast({
@@ -196,7 +222,17 @@ const EditNotice = () => {
     submitData.append('title', sanitizedTitle);
     submitData.append('description', sanitizedDescription);
     submitData.append('priority', formData.priority);
-    submitData.append('status', formData.status);
+    // Review statuses are only changed through the review actions
+    if (formData.status !== notice?.status) {
+      submitData.append('status', formData.status);
+    }
+
+    // Empty values clear the schedule
+    submitData.append('publishAt', formData.publishAt ? new Date(formData.publishAt).toISOString() : '');
+    submitData.append('expiresAt', formData.expiresAt ? new Date(formData.expiresAt).toISOString() : '');
+    submitData.append('categoryIds', JSON.stringify(formData.categoryIds));
+    appendEventDetails(submitData, formData.event);
+    appendTranslations(submitData, formData.language, formData.translations, sanitizeText);
 
     // Handle image update
     if (formData.imageFile) {
@@ -302,15 +338,12 @@ const EditNotice = () => {
             <div className="flex items-center justify-between">
               <CardTitle className="text-sliate-dark dark:text-white">Edit Notice Details</CardTitle>
               <div className="flex items-center space-x-2">
-                <Badge 
-                  className={`${
-                    notice.status === 'published' 
-                      ? 'bg-green-100 text-green-800' 
-                      : 'bg-gray-100 text-gray-800'
-                  }`}
-                >
-                  {notice.status === 'published' ? 'Published' : 'Draft'}
+                <Badge className={NOTICE_STATUS_CLASSES[notice.status]}>
+                  {NOTICE_STATUS_LABELS[notice.status]}
                 </Badge>
+                {notice.status === 'draft' && notice.publishAt && new Date(notice.publishAt) > new Date() && (
+                  <Badge className="bg-blue-100 text-blue-800">Scheduled</Badge>
+                )}
                 <Badge 
                   className={`${
                     notice.priority === 'high' 
@@ -370,13 +403,63 @@ const EditNotice = () => {
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
+                      {REVIEW_STATUSES.includes(notice.status) && (
+                        <SelectItem value={notice.status}>Keep as {NOTICE_STATUS_LABELS[notice.status]}</SelectItem>
+                      )}
                       <SelectItem value="draft">Save as Draft</SelectItem>
-                      <SelectItem value="published">Publish Notice</SelectItem>
+                      {(!workflowEnabled || ['approved', 'published'].includes(notice.status)) && (
+                        <SelectItem value="published">Publish Notice</SelectItem>
+                      )}
+                      <SelectItem value="archived">Archive Notice</SelectItem>
                     </SelectContent>
                   </Select>
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-2">
+                  <Label htmlFor="publishAt" className="text-sliate-dark dark:text-white">Publish At (Optional)</Label>
+                  <Input
+                    id="publishAt"
+                    type="datetime-local"
+                    value={formData.publishAt}
+                    onChange={(e) => handleInputChange("publishAt", e.target.value)}
+                    className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+                  />
+                  <p className="text-xs text-gray-500">A future time keeps the notice as a draft until then.</p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="expiresAt" className="text-sliate-dark dark:text-white">Expires At (Optional)</Label>
+                  <Input
+                    id="expiresAt"
+                    type="datetime-local"
+                    value={formData.expiresAt}
+                    min={formData.publishAt || undefined}
+                    onChange={(e) => handleInputChange("expiresAt", e.target.value)}
+                    className="border-sliate-accent/30 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+                  />
+                  <p className="text-xs text-gray-500">The notice is hidden from the public after this time.</p>
+                </div>
+              </div>
+
+              <CategorySelector
+                value={formData.categoryIds}
+                onChange={(categoryIds) => setFormData(prev => ({ ...prev, categoryIds }))}
+              />
+
+              <EventFields
+                value={formData.event}
+                onChange={(event) => setFormData(prev => ({ ...prev, event }))}
+              />
+
+              <TranslationFields
+                language={formData.language}
+                translations={formData.translations}
+                onLanguageChange={(language) => setFormData(prev => ({ ...prev, language }))}
+                onTranslationsChange={(translations) => setFormData(prev => ({ ...prev, translations }))}
+              />
+
               {/* Image Section */}
               <div className="space-y-2">
                 <Label className="text-sliate-dark dark:text-white">Featured Image (Optional)</Label>
@@ -558,6 +641,12 @@ const EditNotice = () => {
             </form>
           </CardContent>
         </Card>
+
+        <NoticeHistory
+          noticeId={notice.id}
+          canRestore={hasPermission('notice.edit.any') || user?.id === notice.createdBy}
+          onRestored={populateForm}
+        />
       </main>
     </div>
   );
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Link } from "react-router-dom";
+import { ArrowLeft, User, AlertCircle, KeyRound, MailCheck } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { apiService } from "@/services/api";
+
+const ForgotPassword = () => {
+  const [identifier, setIdentifier] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [sentMessage, setSentMessage] = useState<string | null>(null);
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSending(true);
+
+    try {
+      const response = await apiService.requestPasswordReset(identifier.trim());
+      setSentMessage(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to request password reset");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="mb-6">
+          <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/login" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to sign in</span>
+            </Link>
+          </Button>
+        </div>
+
+        <Card className="border-sliate-accent/20 dark:border-gray-600 shadow-lg bg-white dark:bg-gray-800">
+          <CardHeader className="text-center space-y-2">
+            <div className="flex justify-center">
+              <KeyRound className="h-10 w-10 text-sliate-accent" />
+            </div>
+            <CardTitle className="text-2xl font-bold text-sliate-dark dark:text-white">
+              Forgot Password
+            </CardTitle>
+            <p className="text-sliate-accent dark:text-gray-300">
+              We'll email you a link to choose a new password
+            </p>
+          </CardHeader>
+
+          <CardContent>
+            {sentMessage ? (
+              <div className="space-y-4 text-center">
+                <MailCheck className="h-12 w-12 text-green-600 mx-auto" />
+                <p className="text-sliate-dark dark:text-white">{sentMessage}</p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  The link can be used once and expires soon. Check your spam folder if nothing arrives.
+                </p>
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => {
+                    setSentMessage(null);
+                    setIdentifier("");
+                  }}
+                >
+                  Send another link
+                </Button>
+              </div>
+            ) : (
+              <>
+                {error && (
+                  <Alert variant="destructive" className="mb-4">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>{error}</AlertDescription>
+                  </Alert>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="identifier" className="text-sliate-dark dark:text-white">Username or Email</Label>
+                    <div className="relative">
+                      <User className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
+                      <Input
+                        id="identifier"
+                        type="text"
+                        autoComplete="username"
+                        value={identifier}
+                        onChange={(e) => setIdentifier(e.target.value)}
+                        className="pl-10 border-sliate-accent/30 dark:border-gray-600 focus:border-sliate-accent dark:focus:border-sliate-light bg-white dark:bg-gray-700 text-sliate-dark dark:text-white"
+                        disabled={isSending}
+                        required
+                        maxLength={255}
+                      />
+                    </div>
+                  </div>
+
+                  <Button
+                    type="submit"
+                    className="w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white"
+                    disabled={isSending || !identifier.trim()}
+                  >
+                    {isSending ? "Sending..." : "Send Reset Link"}
+                  </Button>
+                </form>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef } from "react";
 import { useLocation } from "react-router-dom";
-import { Search, Calendar, Mail, Phone, MapPin, Clock, Bell, Users, BookOpen, Award, ChevronDown, ChevronUp } from "lucide-react";
+import { Search, Calendar, Mail, Phone, MapPin, Clock, Bell, Users, BookOpen, Award, ChevronDown, ChevronUp, Rss, CalendarPlus, Pin } from "lucide-react";
 import Header from "@/components/Header";
 import VisitorStats from "@/components/VisitorStats";
 import NoticeFilters from "@/components/NoticeFilters";
@@ -10,33 +10,25 @@ import EducationalBackground from "@/components/EducationalBackground";
 import LoadingSpinner from "@/components/LoadingSpinner";
 import HorizontalPagination from "@/components/HorizontalPagination";
 import MouseClickEffect from "@/components/MouseClickEffect";
+import SubscribeForm from "@/components/SubscribeForm";
+import PushNotificationToggle from "@/components/PushNotificationToggle";
+import FeaturedNotices from "@/components/FeaturedNotices";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import VectorBackground from "@/components/VectorBackground";
 import LineArtBackground from "@/components/LineArtBackground";
+import LanguageSwitcher from "@/components/LanguageSwitcher";
+import { useNoticeLanguage } from "@/hooks/useNoticeLanguage";
+import { PublicNotice, toNoticeCard } from "@/utils/publicNotice";
 
 // Updated interfaces to match the new API response
-interface Notice {
-  id: string | number;
-  title: string;
-  description: string;
-  imageUrl?: string;
-  priority: 'low' | 'medium' | 'high';
-  slug: string;
-  publishedAt?: string;
-  creatorName?: string;
-  viewCount?: number;
-  uniqueViewers?: number;
-  files?: Array<{ name: string; url: string; size?: number; type?: string }>;
-}
-
 interface GroupedNotices {
   date: string;
   displayDate: string;
   isToday: boolean;
-  notices: Notice[];
+  notices: PublicNotice[];
   noticeCount: number;
 }
 
@@ -64,6 +56,7 @@ const upcomingEvents = [
 const Index = () => {
   // Updated state to work with the new API structure
   const [groupedNotices, setGroupedNotices] = useState<GroupedNotices[]>([]);
+  const [pinnedNotices, setPinnedNotices] = useState<PublicNotice[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [filters, setFilters] = useState({
     page: 1,
@@ -87,10 +80,11 @@ const Index = () => {
   const [collapsedDates, setCollapsedDates] = useState<Set<string>>(new Set());
   const noticeListRef = useRef<HTMLDivElement>(null);
   const location = useLocation();
+  const { language, setLanguage } = useNoticeLanguage();
 
   useEffect(() => {
     fetchPublicNotices();
-  }, [filters]);
+  }, [filters, language]);
 
   useEffect(() => {
     // Check if we're returning from a notice detail page
@@ -106,6 +100,16 @@ const Index = () => {
     }
   }, [returnedFromNotice, isLoading]);
 
+  // Feed matching the current filter (one category/department, or one priority)
+  const getFeedUrl = () => {
+    const feedBase = `${import.meta.env.VITE_API_BASE_URL}/public/feed`;
+    const categorySlug = [filters.category, filters.department].find((slug) => slug && !slug.includes(','));
+
+    if (categorySlug) return `${feedBase}/category/${categorySlug}.rss`;
+    if (filters.priority) return `${feedBase}/priority/${filters.priority}.rss`;
+    return `${feedBase}.rss`;
+  };
+
   const fetchPublicNotices = async () => {
     try {
       setIsLoading(true);
@@ -121,6 +125,7 @@ const Index = () => {
       if (filters.department) queryParams.append('department', filters.department);
       queryParams.append('sortBy', filters.sortBy);
       queryParams.append('sortOrder', filters.sortOrder);
+      if (language) queryParams.append('lang', language);
       
       const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/public/notices?${queryParams.toString()}`);
       
@@ -132,6 +137,7 @@ const Index = () => {
       
       // Update to use the new API response structure
       setGroupedNotices(data.data.noticeGroups || []);
+      setPinnedNotices(data.data.pinnedNotices || []);
       setPagination({
         page: parseInt(data.data.pagination.page) || 1,
         limit: parseInt(data.data.pagination.limit) || 10,
@@ -143,6 +149,7 @@ const Index = () => {
       console.error("Failed to fetch public notices:", error);
       // Set empty array on error to prevent undefined access
       setGroupedNotices([]);
+      setPinnedNotices([]);
     } finally {
       setIsLoading(false);
     }
@@ -323,15 +330,41 @@ const Index = () => {
         {/* Visitor Stats */}
         <VisitorStats />
 
+        {/* Featured Notices Carousel */}
+        <FeaturedNotices language={language} />
+
         {/* Latest Notices Section */}
         <section className="mb-12 sm:mb-16" ref={noticeListRef}>
           <div className="flex items-center space-x-2 sm:space-x-3 mb-4 sm:mb-6">
             <Bell className="h-5 w-5 sm:h-6 sm:w-6 text-sliate-accent dark:text-sliate-light" />
             <h2 className="text-2xl sm:text-3xl font-bold text-sliate-dark dark:text-white">Official Notices</h2>
+            <a
+              href={getFeedUrl()}
+              target="_blank"
+              rel="noopener noreferrer"
+              title="Subscribe via RSS"
+              className="ml-auto flex items-center space-x-1 text-xs sm:text-sm text-orange-600 hover:text-orange-700 dark:text-orange-400"
+            >
+              <Rss className="h-4 w-4" />
+              <span>RSS</span>
+            </a>
+            <a
+              href={`${import.meta.env.VITE_API_BASE_URL}/public/calendar.ics`}
+              target="_blank"
+              rel="noopener noreferrer"
+              title="Subscribe to the events calendar"
+              className="flex items-center space-x-1 text-xs sm:text-sm text-green-600 hover:text-green-700 dark:text-green-400"
+            >
+              <CalendarPlus className="h-4 w-4" />
+              <span>Calendar</span>
+            </a>
+          </div>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6 sm:mb-8">
+            <p className="text-sm sm:text-base text-sliate-accent dark:text-gray-300">
+              Stay updated with the latest announcements and important information
+            </p>
+            <LanguageSwitcher value={language} onChange={setLanguage} className="self-start sm:self-auto" />
           </div>
-          <p className="text-sm sm:text-base text-sliate-accent dark:text-gray-300 mb-6 sm:mb-8">
-            Stay updated with the latest announcements and important information
-          </p>
           
           <NoticeFilters onFilterChange={handleFilterChange} />
 
@@ -411,87 +444,99 @@ const Index = () => {
                 <div className="w-8 h-8 sm:w-12 sm:h-12 border-4 border-sliate-accent border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
                 <p className="text-sm sm:text-base text-sliate-accent dark:text-gray-300">Loading notices...</p>
               </div>
-            ) : groupedNotices && groupedNotices.length > 0 ? (
-              groupedNotices.map((dateGroup, groupIndex) => (
-                <div key={dateGroup.date} className="space-y-3 sm:space-y-4">
-                  {/* Date Header - Improved mobile layout */}
-                  <div 
-                    className="flex flex-col sm:flex-row sm:items-center sm:justify-between p-3 sm:p-4 bg-gray-50 dark:bg-gray-800 rounded-lg cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors space-y-2 sm:space-y-0"
-                    onClick={() => toggleDateCollapse(dateGroup.date)}
-                  >
-                    <div className="flex items-center space-x-2 sm:space-x-3">
-                      <Calendar className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent flex-shrink-0" />
-                      <h3 className="text-base sm:text-lg font-semibold text-sliate-dark dark:text-white">
-                        {dateGroup.displayDate}
-                      </h3>
-                      {dateGroup.isToday && (
-                        <Badge className="bg-sliate-accent text-white text-xs">
-                          Today
-                        </Badge>
-                      )}
+            ) : (groupedNotices && groupedNotices.length > 0) || pinnedNotices.length > 0 ? (
+              <>
+                {/* Pinned notices stay above the date groups */}
+                {pinnedNotices.length > 0 && (
+                  <div className="space-y-3 sm:space-y-4">
+                    <div className="flex items-center space-x-2 sm:space-x-3 p-3 sm:p-4 bg-sliate-accent/10 dark:bg-gray-800 rounded-lg">
+                      <Pin className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent flex-shrink-0" />
+                      <h3 className="text-base sm:text-lg font-semibold text-sliate-dark dark:text-white">Pinned</h3>
                     </div>
-                    
-                    <div className="flex flex-wrap items-center justify-between sm:justify-end space-x-2 gap-1">
-                      {/* Notice count badge */}
-                      <Badge variant="outline" className="text-xs text-sliate-accent border-sliate-accent/30">
-                        {dateGroup.notices.length} notice{dateGroup.notices.length !== 1 ? 's' : ''}
-                      </Badge>
-                      
-                      {/* Priority indicators - Stack on mobile */}
-                      <div className="flex flex-wrap gap-1">
-                        {['high', 'medium', 'low'].map(priority => {
-                          const count = dateGroup.notices.filter(n => n.priority === priority).length;
-                          return count > 0 ? (
-                            <Badge 
-                              key={priority} 
-                              className={`text-xs ${getPriorityBadgeColor(priority)}`}
-                            >
-                              {count} {priority}
-                            </Badge>
-                          ) : null;
-                        })}
-                      </div>
-                      
-                      {/* Collapse icon */}
-                      <div className="ml-auto sm:ml-2">
-                        {collapsedDates.has(dateGroup.date) ? (
-                          <ChevronDown className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent" />
-                        ) : (
-                          <ChevronUp className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent" />
-                        )}
-                      </div>
-                    </div>
-                  </div>
-
-                  {/* Notices for this date */}
-                  {!collapsedDates.has(dateGroup.date) && (
                     <div className="space-y-3 sm:space-y-4 ml-2 sm:ml-4">
-                      {dateGroup.notices.map((notice, index) => (
-                        <div 
-                          key={notice.id} 
+                      {pinnedNotices.map((notice, index) => (
+                        <div
+                          key={notice.id}
+                          lang={notice.language}
                           className="animate-fade-in"
-                          style={{ animationDelay: `${(groupIndex * 100) + (index * 50)}ms` }}
+                          style={{ animationDelay: `${index * 50}ms` }}
                         >
-                          <NoticeCard 
-                            notice={{
-                              id: notice.id.toString(),
-                              topic: notice.title,
-                              description: notice.description,
-                              priority: notice.priority as 'high' | 'medium' | 'low',
-                              date: notice.publishedAt ? new Date(notice.publishedAt).toLocaleDateString() : '',
-                              category: 'General',
-                              department: 'SLIATE',
-                              images: notice.imageUrl ? [`${import.meta.env.VITE_API_BASE_URL.replace('/api', '')}${notice.imageUrl}`] : undefined,
-                              attachments: notice.files || undefined
-                            }} 
-                            slug={notice.slug}
-                          />
+                          <NoticeCard notice={toNoticeCard(notice)} slug={notice.slug} />
                         </div>
                       ))}
                     </div>
-                  )}
-                </div>
-              ))
+                  </div>
+                )}
+
+                {groupedNotices.map((dateGroup, groupIndex) => (
+                  <div key={dateGroup.date} className="space-y-3 sm:space-y-4">
+                    {/* Date Header - Improved mobile layout */}
+                    <div 
+                      className="flex flex-col sm:flex-row sm:items-center sm:justify-between p-3 sm:p-4 bg-gray-50 dark:bg-gray-800 rounded-lg cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors space-y-2 sm:space-y-0"
+                      onClick={() => toggleDateCollapse(dateGroup.date)}
+                    >
+                      <div className="flex items-center space-x-2 sm:space-x-3">
+                        <Calendar className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent flex-shrink-0" />
+                        <h3 className="text-base sm:text-lg font-semibold text-sliate-dark dark:text-white">
+                          {dateGroup.displayDate}
+                        </h3>
+                        {dateGroup.isToday && (
+                          <Badge className="bg-sliate-accent text-white text-xs">
+                            Today
+                          </Badge>
+                        )}
+                      </div>
+                    
+                      <div className="flex flex-wrap items-center justify-between sm:justify-end space-x-2 gap-1">
+                        {/* Notice count badge */}
+                        <Badge variant="outline" className="text-xs text-sliate-accent border-sliate-accent/30">
+                          {dateGroup.notices.length} notice{dateGroup.notices.length !== 1 ? 's' : ''}
+                        </Badge>
+                      
+                        {/* Priority indicators - Stack on mobile */}
+                        <div className="flex flex-wrap gap-1">
+                          {['high', 'medium', 'low'].map(priority => {
+                            const count = dateGroup.notices.filter(n => n.priority === priority).length;
+                            return count > 0 ? (
+                              <Badge 
+                                key={priority} 
+                                className={`text-xs ${getPriorityBadgeColor(priority)}`}
+                              >
+                                {count} {priority}
+                              </Badge>
+                            ) : null;
+                          })}
+                        </div>
+                      
+                        {/* Collapse icon */}
+                        <div className="ml-auto sm:ml-2">
+                          {collapsedDates.has(dateGroup.date) ? (
+                            <ChevronDown className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent" />
+                          ) : (
+                            <ChevronUp className="h-4 w-4 sm:h-5 sm:w-5 text-sliate-accent" />
+                          )}
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Notices for this date */}
+                    {!collapsedDates.has(dateGroup.date) && (
+                      <div className="space-y-3 sm:space-y-4 ml-2 sm:ml-4">
+                        {dateGroup.notices.map((notice, index) => (
+                          <div 
+                            key={notice.id} 
+                            lang={notice.language}
+                            className="animate-fade-in"
+                            style={{ animationDelay: `${(groupIndex * 100) + (index * 50)}ms` }}
+                          >
+                            <NoticeCard notice={toNoticeCard(notice)} slug={notice.slug} />
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </>
             ) : (
               <Card className="bg-white dark:bg-gray-800 border-sliate-accent/20 dark:border-gray-600">
                 <CardContent className="p-6 sm:p-8 text-center">
@@ -544,6 +589,12 @@ const Index = () => {
           </div>
         </section>
 
+        {/* Email and Push Subscription Section */}
+        <section className="mb-12 sm:mb-16 max-w-2xl space-y-6">
+          <SubscribeForm />
+          <PushNotificationToggle />
+        </section>
+
         {/* Contact Section - Better mobile layout */}
         <section className="mb-12 sm:mb-16">
           <div className="flex items-center space-x-2 sm:space-x-3 mb-4 sm:mb-6">
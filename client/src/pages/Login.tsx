@@ -1,28 +1,58 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Link, useNavigate, useLocation } from "react-router-dom";
-import { ArrowLeft, User, Lock, AlertCircle } from "lucide-react";
+import { ArrowLeft, User, Lock, AlertCircle, KeyRound, ShieldCheck, Building2 } from "lucide-react";
 import { useAuth } from "@/hooks/useAuth";
 import { Alert, AlertDescription } from "@/components/ui/alert";
+import TotpCodeInput, { TOTP_CODE_LENGTH } from "@/components/TotpCodeInput";
+import TwoFactorEnrollment from "@/components/TwoFactorEnrollment";
+import RecoveryCodes from "@/components/RecoveryCodes";
+import { apiService, SsoProvider } from "@/services/api";
+
+const inputClassName = "pl-10 border-sliate-accent/30 dark:border-gray-600 focus:border-sliate-accent dark:focus:border-sliate-light bg-white dark:bg-gray-700 text-sliate-dark dark:text-white placeholder:text-sliate-accent/60 dark:placeholder:text-gray-400";
+const submitClassName = "w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white transition-all duration-200 hover:scale-105";
 
 const Login = () => {
   const [credentials, setCredentials] = useState({ username: "", password: "" });
   const [validationError, setValidationError] = useState<string | null>(null);
+  const [code, setCode] = useState("");
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [ssoProviders, setSsoProviders] = useState<SsoProvider[]>([]);
   
-  const { login, isAuthenticated, isLoading, error, clearAuthError } = useAuth();
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    acknowledgeRecoveryCodes,
+    twoFactorChallenge,
+    recoveryCodes,
+    isAuthenticated,
+    isLoading,
+    error,
+    clearAuthError
+  } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  const [ssoError, setSsoError] = useState<string | null>(location.state?.ssoError || null);
+  const from = location.state?.from?.pathname || "/dashboard";
   
-  // Redirect if already authenticated
+  // Redirect if already authenticated (after new recovery codes have been saved)
   useEffect(() => {
-    if (isAuthenticated) {
-      const from = location.state?.from?.pathname || "/dashboard";
+    if (isAuthenticated && !recoveryCodes) {
       navigate(from, { replace: true });
     }
-  }, [isAuthenticated, navigate, location]);
+  }, [isAuthenticated, recoveryCodes, navigate, from]);
+
+  // Staff single sign-on, when the server has a provider configured
+  useEffect(() => {
+    apiService.getSsoProviders()
+      .then((response) => setSsoProviders(response.data.providers))
+      .catch(() => setSsoProviders([]));
+  }, []);
 
   // Clear errors when component mounts or unmounts
   useEffect(() => {
@@ -37,6 +67,7 @@ const Login = () => {
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setValidationError(null);
+    setSsoError(null);
     clearAuthError();
     
     // Client-side validation
@@ -67,7 +98,43 @@ const Login = () => {
     }
   };
 
-  const displayError = validationError || error;
+  const submitCode = async (value: string) => {
+    if (value.length !== TOTP_CODE_LENGTH) return;
+    await verifyTwoFactor({ code: value });
+    setCode("");
+  };
+
+  const submitRecoveryCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!recoveryCode.trim()) return;
+    await verifyTwoFactor({ recoveryCode: recoveryCode.trim() });
+  };
+
+  const backToSignIn = () => {
+    cancelTwoFactor();
+    setCode("");
+    setRecoveryCode("");
+    setUseRecoveryCode(false);
+    setCredentials({ ...credentials, password: "" });
+  };
+
+  const challengeToken = twoFactorChallenge?.challengeToken;
+  const loadTwoFactorSetup = useCallback(async () => {
+    if (!challengeToken) {
+      throw new Error("Your login has expired, please sign in again");
+    }
+    const response = await apiService.startTwoFactorLoginSetup(challengeToken);
+    return response.data;
+  }, [challengeToken]);
+
+  const displayError = validationError || error || ssoError;
+  const step = recoveryCodes ? "recovery-codes" : twoFactorChallenge?.twoFactorSetupRequired ? "setup" : twoFactorChallenge ? "verify" : "credentials";
+  const subtitles = {
+    "credentials": "SLIATE Notify Dashboard",
+    "verify": "Two-factor verification",
+    "setup": "Set up two-factor authentication",
+    "recovery-codes": "Save your recovery codes",
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4 relative overflow-hidden">
@@ -109,71 +176,190 @@ const Login = () => {
             <CardTitle className="text-2xl font-bold text-sliate-dark dark:text-white">
               Admin Login
             </CardTitle>
-            <p className="text-sliate-accent dark:text-gray-300">SLIATE Notify Dashboard</p>
+            <p className="text-sliate-accent dark:text-gray-300">{subtitles[step]}</p>
           </CardHeader>
 
           <CardContent>
-            {displayError && (
+            {displayError && step !== "setup" && (
               <Alert variant="destructive" className="mb-4">
                 <AlertCircle className="h-4 w-4" />
                 <AlertDescription>{displayError}</AlertDescription>
               </Alert>
             )}
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="username" className="text-sliate-dark dark:text-white">Username</Label>
-                <div className="relative">
-                  <User className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
-                  <Input
-                    id="username"
-                    type="text"
-                    placeholder="Enter your username"
-                    value={credentials.username}
-                    onChange={(e) => setCredentials({...credentials, username: e.target.value})}
-                    className="pl-10 border-sliate-accent/30 dark:border-gray-600 focus:border-sliate-accent dark:focus:border-sliate-light bg-white dark:bg-gray-700 text-sliate-dark dark:text-white placeholder:text-sliate-accent/60 dark:placeholder:text-gray-400"
-                    disabled={isLoading}
-                    required
-                    minLength={3}
-                    maxLength={30}
-                  />
+            {step === "credentials" && (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="username" className="text-sliate-dark dark:text-white">Username</Label>
+                  <div className="relative">
+                    <User className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
+                    <Input
+                      id="username"
+                      type="text"
+                      placeholder="Enter your username"
+                      value={credentials.username}
+                      onChange={(e) => setCredentials({...credentials, username: e.target.value})}
+                      className={inputClassName}
+                      disabled={isLoading}
+                      required
+                      minLength={3}
+                      maxLength={30}
+                    />
+                  </div>
                 </div>
-              </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="password" className="text-sliate-dark dark:text-white">Password</Label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
-                  <Input
-                    id="password"
-                    type="password"
-                    placeholder="Enter your password"
-                    value={credentials.password}
-                    onChange={(e) => setCredentials({...credentials, password: e.target.value})}
-                    className="pl-10 border-sliate-accent/30 dark:border-gray-600 focus:border-sliate-accent dark:focus:border-sliate-light bg-white dark:bg-gray-700 text-sliate-dark dark:text-white placeholder:text-sliate-accent/60 dark:placeholder:text-gray-400"
-                    disabled={isLoading}
-                    required
-                    minLength={8}
-                    maxLength={128}
-                  />
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password" className="text-sliate-dark dark:text-white">Password</Label>
+                    <Link to="/forgot-password" className="text-xs text-sliate-accent hover:underline dark:text-sliate-light">
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
+                    <Input
+                      id="password"
+                      type="password"
+                      placeholder="Enter your password"
+                      value={credentials.password}
+                      onChange={(e) => setCredentials({...credentials, password: e.target.value})}
+                      className={inputClassName}
+                      disabled={isLoading}
+                      required
+                      minLength={8}
+                      maxLength={128}
+                    />
+                  </div>
                 </div>
-              </div>
 
-              <Button 
-                type="submit" 
-                className="w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white transition-all duration-200 hover:scale-105"
-                disabled={isLoading}
-              >
-                {isLoading ? (
-                  <div className="flex items-center space-x-2">
-                    <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                    <span>Signing in...</span>
-                  </div>
+                <Button 
+                  type="submit" 
+                  className={submitClassName}
+                  disabled={isLoading}
+                >
+                  {isLoading ? (
+                    <div className="flex items-center space-x-2">
+                      <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                      <span>Signing in...</span>
+                    </div>
+                  ) : (
+                    "Sign In"
+                  )}
+                </Button>
+
+                {ssoProviders.length > 0 && (
+                  <>
+                    <div className="flex items-center gap-3 text-xs uppercase text-sliate-accent/70 dark:text-gray-400">
+                      <div className="h-px flex-1 bg-sliate-accent/20 dark:bg-gray-600" />
+                      or
+                      <div className="h-px flex-1 bg-sliate-accent/20 dark:bg-gray-600" />
+                    </div>
+                    {ssoProviders.map((provider) => (
+                      <Button
+                        key={provider.id}
+                        type="button"
+                        variant="outline"
+                        className="w-full border-sliate-accent/30 dark:border-gray-600"
+                        disabled={isLoading}
+                        onClick={() => window.location.assign(apiService.getSsoLoginUrl(provider.id, from))}
+                      >
+                        <Building2 className="h-4 w-4 mr-2" />
+                        Sign in with {provider.name}
+                      </Button>
+                    ))}
+                  </>
+                )}
+              </form>
+            )}
+
+            {step === "verify" && (
+              <div className="space-y-4">
+                {useRecoveryCode ? (
+                  <form onSubmit={submitRecoveryCode} className="space-y-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="recoveryCode" className="text-sliate-dark dark:text-white">Recovery code</Label>
+                      <div className="relative">
+                        <KeyRound className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
+                        <Input
+                          id="recoveryCode"
+                          placeholder="XXXXX-XXXXX"
+                          autoComplete="off"
+                          value={recoveryCode}
+                          onChange={(e) => setRecoveryCode(e.target.value)}
+                          className={`${inputClassName} font-mono uppercase`}
+                          disabled={isLoading}
+                          required
+                          maxLength={32}
+                          autoFocus
+                        />
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">Each recovery code works only once.</p>
+                    </div>
+                    <Button type="submit" className={submitClassName} disabled={isLoading || !recoveryCode.trim()}>
+                      {isLoading ? "Verifying..." : "Verify"}
+                    </Button>
+                  </form>
                 ) : (
-                  "Sign In"
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      submitCode(code);
+                    }}
+                    className="space-y-4"
+                  >
+                    <div className="space-y-2 text-center">
+                      <ShieldCheck className="h-8 w-8 mx-auto text-sliate-accent" />
+                      <Label htmlFor="totpCode" className="block text-sliate-dark dark:text-white">
+                        Enter the six-digit code from your authenticator app
+                      </Label>
+                    </div>
+                    <TotpCodeInput id="totpCode" value={code} onChange={setCode} onComplete={submitCode} disabled={isLoading} autoFocus />
+                    <Button type="submit" className={submitClassName} disabled={isLoading || code.length !== TOTP_CODE_LENGTH}>
+                      {isLoading ? "Verifying..." : "Verify"}
+                    </Button>
+                  </form>
                 )}
+
+                <Button
+                  type="button"
+                  variant="link"
+                  className="w-full text-sliate-accent dark:text-sliate-light"
+                  onClick={() => {
+                    clearAuthError();
+                    setUseRecoveryCode(!useRecoveryCode);
+                  }}
+                >
+                  {useRecoveryCode ? "Use your authenticator app instead" : "Lost your device? Use a recovery code"}
+                </Button>
+              </div>
+            )}
+
+            {step === "setup" && twoFactorChallenge && (
+              <div className="space-y-4">
+                <Alert className="border-amber-300 bg-amber-50 text-amber-900 dark:bg-amber-900/20 dark:text-amber-200">
+                  <ShieldCheck className="h-4 w-4" />
+                  <AlertDescription>
+                    Two-factor authentication is required for your account. Set it up to continue.
+                  </AlertDescription>
+                </Alert>
+                <TwoFactorEnrollment
+                  loadSetup={loadTwoFactorSetup}
+                  onVerify={(value) => verifyTwoFactor({ code: value })}
+                  isVerifying={isLoading}
+                  error={error}
+                />
+              </div>
+            )}
+
+            {step === "recovery-codes" && recoveryCodes && (
+              <RecoveryCodes codes={recoveryCodes} onDone={acknowledgeRecoveryCodes} doneLabel="I have saved these codes, continue" />
+            )}
+
+            {(step === "verify" || step === "setup") && (
+              <Button type="button" variant="ghost" className="w-full mt-2 text-sliate-accent dark:text-gray-300" onClick={backToSignIn}>
+                Back to sign in
               </Button>
-            </form>
+            )}
 
             <div className="mt-6 text-center text-sm text-sliate-accent dark:text-gray-400">
               <p>Admin, Lecturer, or Super Admin access only</p>
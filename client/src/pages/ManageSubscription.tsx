@@ -0,0 +1,163 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Mail } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useToast } from "@/hooks/use-toast";
+import SubscriptionPreferenceFields from "@/components/SubscriptionPreferenceFields";
+import { subscriptionService, Subscription, SubscriptionPreferences } from "@/services/subscriptionApi";
+
+const ManageSubscription = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const unsubscribeRequested = searchParams.get('action') === 'unsubscribe';
+  const [subscription, setSubscription] = useState<Subscription | null>(null);
+  const [preferences, setPreferences] = useState<SubscriptionPreferences | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const loaded = useRef(false);
+  const { toast } = useToast();
+
+  const applySubscription = (next: Subscription) => {
+    setSubscription(next);
+    setPreferences({ minPriority: next.minPriority, frequency: next.frequency, categoryIds: next.categoryIds });
+  };
+
+  useEffect(() => {
+    if (loaded.current) return;
+    loaded.current = true;
+
+    if (!token) {
+      setError('This link is incomplete.');
+      setIsLoading(false);
+      return;
+    }
+
+    // Unsubscribe links from emails act immediately
+    const request = unsubscribeRequested
+      ? subscriptionService.unsubscribe(token)
+      : subscriptionService.getPreferences(token);
+
+    request
+      .then((response) => applySubscription(response.data.subscription))
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load subscription'))
+      .finally(() => setIsLoading(false));
+  }, [token, unsubscribeRequested]);
+
+  const handleSave = async () => {
+    if (!preferences) return;
+    setIsSaving(true);
+
+    try {
+      const response = await subscriptionService.updatePreferences(token, preferences);
+      applySubscription(response.data.subscription);
+      toast({ title: "Preferences saved" });
+    } catch (err) {
+      toast({
+        title: "Save failed",
+        description: err instanceof Error ? err.message : 'Failed to save preferences',
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUnsubscribe = async () => {
+    setIsSaving(true);
+
+    try {
+      const response = await subscriptionService.unsubscribe(token);
+      applySubscription(response.data.subscription);
+      toast({ title: "Unsubscribed", description: "You will no longer receive notice emails." });
+    } catch (err) {
+      toast({
+        title: "Unsubscribe failed",
+        description: err instanceof Error ? err.message : 'Failed to unsubscribe',
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-sliate-accent mx-auto mb-4"></div>
+          <p className="text-sliate-dark dark:text-white">Loading subscription...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !subscription || !preferences) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center">
+        <div className="text-center bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+          <h2 className="text-2xl font-bold mb-2 text-sliate-dark dark:text-white">Subscription Not Found</h2>
+          <p className="text-gray-600 dark:text-gray-300 mb-4">{error || "This subscription link is no longer valid."}</p>
+          <Button asChild>
+            <Link to="/">Return to Home</Link>
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800">
+      <header className="bg-white dark:bg-gray-900 shadow-sm border-b border-sliate-accent/20">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-2">
+          <Button variant="ghost" asChild size="sm" className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to Home</span>
+            </Link>
+          </Button>
+        </div>
+      </header>
+
+      <main className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Card className="bg-white dark:bg-gray-800 border-sliate-accent/20 dark:border-gray-600">
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between text-sliate-dark dark:text-white">
+              <span className="flex items-center space-x-2">
+                <Mail className="h-5 w-5 text-sliate-accent dark:text-sliate-light" />
+                <span>Email subscription</span>
+              </span>
+              <Badge variant={subscription.status === 'active' ? 'default' : 'secondary'}>{subscription.status}</Badge>
+            </CardTitle>
+            <p className="text-sm text-gray-600 dark:text-gray-300">{subscription.email}</p>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {subscription.status === 'active' ? (
+              <>
+                <SubscriptionPreferenceFields value={preferences} onChange={setPreferences} idPrefix="manage" />
+                <div className="flex flex-wrap gap-2">
+                  <Button onClick={handleSave} disabled={isSaving} className="bg-sliate-accent hover:bg-sliate-dark text-white">
+                    Save preferences
+                  </Button>
+                  <Button variant="outline" onClick={handleUnsubscribe} disabled={isSaving}>
+                    Unsubscribe
+                  </Button>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                {subscription.status === 'unsubscribed'
+                  ? 'You are unsubscribed and will not receive any more emails. You can subscribe again from the home page.'
+                  : 'This subscription is waiting for confirmation. Use the link in the confirmation email to activate it.'}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+    </div>
+  );
+};
+
+export default ManageSubscription;
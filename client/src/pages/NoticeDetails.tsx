@@ -22,13 +22,18 @@ import { noticeService, Notice } from "@/services/noticeApi";
 import MarkdownRenderer from '@/components/MarkdownRenderer';
 import { sanitizeHtml } from '@/utils/sanitize';
 import NoticeContent from '@/components/NoticeContent';
+import NoticeReviewPanel from '@/components/NoticeReviewPanel';
+import RecurrenceSettings from '@/components/RecurrenceSettings';
+import { useApprovalWorkflow } from '@/hooks/useApprovalWorkflow';
+import { NOTICE_STATUS_LABELS, canPublishStatus } from '@/utils/noticeStatus';
 
 const NoticeDetail = ({ publicMode = false }) => {
   const { id } = useParams<{ id: string }>();
   const [notice, setNotice] = useState<Notice | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const { hasPermission } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const { workflowEnabled, reviewers } = useApprovalWorkflow();
   const navigate = useNavigate();
   const { toast } = useToast();
 
@@ -136,6 +141,11 @@ const NoticeDetail = ({ publicMode = false }) => {
         return "bg-green-100 text-green-800 border-green-200";
       case "draft":
         return "bg-gray-100 text-gray-800 border-gray-200";
+      case "pending_review":
+      case "changes_requested":
+        return "bg-amber-100 text-amber-800 border-amber-200";
+      case "approved":
+        return "bg-teal-100 text-teal-800 border-teal-200";
       default:
         return "bg-gray-100 text-gray-800 border-gray-200";
     }
@@ -191,7 +201,7 @@ const NoticeDetail = ({ publicMode = false }) => {
             {/* Only show admin controls if not in public mode */}
             {!publicMode && (
               <div className="flex items-center space-x-3">
-                {hasPermission('notice_edit') && (
+                {hasPermission('notice.edit') && (
                   <Button asChild className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
                     <Link to={`/edit-notice/${notice.id}`} className="flex items-center space-x-2">
                       <Edit className="h-4 w-4" />
@@ -200,7 +210,7 @@ const NoticeDetail = ({ publicMode = false }) => {
                   </Button>
                 )}
                 
-                {hasPermission('notice_delete') && (
+                {hasPermission('notice.delete') && (
                   <Button 
                     variant="outline" 
                     onClick={handleDelete}
@@ -217,6 +227,20 @@ const NoticeDetail = ({ publicMode = false }) => {
       </header>
 
       <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {!publicMode && (
+          <NoticeReviewPanel
+            notice={notice}
+            workflowEnabled={workflowEnabled}
+            reviewers={reviewers}
+            onChange={setNotice}
+          />
+        )}
+
+        {!publicMode && hasPermission('notice.create') && hasPermission('notice.edit')
+          && (notice.createdBy === user?.id || hasPermission('notice.edit.any')) && (
+          <RecurrenceSettings notice={notice} workflowEnabled={workflowEnabled} />
+        )}
+
         <Card className="border-sliate-accent/20 mb-6">
           <CardHeader>
             <div className="flex flex-col space-y-4">
@@ -232,12 +256,12 @@ const NoticeDetail = ({ publicMode = false }) => {
                       <CheckCircle className="h-3 w-3 mr-1" /> : 
                       <Clock className="h-3 w-3 mr-1" />
                     }
-                    {notice.status === 'published' ? 'Published' : 'Draft'}
+                    {NOTICE_STATUS_LABELS[notice.status] || notice.status}
                   </Badge>
                   
                   {/* Admin actions in notice content */}
-                  {!publicMode && hasPermission('notice_approve') && (
-                    notice.status === 'draft' ? (
+                  {!publicMode && hasPermission('notice.publish') && (
+                    canPublishStatus(notice.status, workflowEnabled) ? (
                       <Button 
                         size="sm"
                         variant="outline"
@@ -247,7 +271,7 @@ const NoticeDetail = ({ publicMode = false }) => {
                         <CheckCircle className="h-3 w-3 mr-1" />
                         Publish Now
                       </Button>
-                    ) : (
+                    ) : ['published', 'archived'].includes(notice.status) && (
                       <Button 
                         size="sm"
                         variant="outline"
@@ -2,15 +2,17 @@ import { useState, useEffect } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { Link, useParams, useNavigate } from "react-router-dom";
+import { Link, useParams, useNavigate, useSearchParams } from "react-router-dom";
 import { 
   ArrowLeft,
   Calendar,
+  CalendarPlus,
   Clock,
   Download,
   Eye,
   Flag,
-  FileText
+  FileText,
+  MapPin
 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import NoticeCard from "@/components/NoticeCard";
@@ -18,6 +20,10 @@ import { binaryToString } from '@/utils/binaryUtils';
 import NoticeFilePreview from '@/components/NoticeFilePreview';
 import MarkdownRenderer from '@/components/MarkdownRenderer';
 import NoticeContent from '@/components/NoticeContent';
+import { formatEventRange } from '@/utils/eventUtils';
+import LanguageSwitcher from '@/components/LanguageSwitcher';
+import { useNoticeLanguage } from '@/hooks/useNoticeLanguage';
+import { getLanguageName, NoticeLanguage } from '@/utils/noticeLanguages';
 
 interface Notice {
   id: string | number;
@@ -26,15 +32,26 @@ interface Notice {
   imageUrl?: string;
   priority: 'low' | 'medium' | 'high';
   slug: string;
+  language: NoticeLanguage;
+  originalLanguage: NoticeLanguage;
+  availableLanguages: NoticeLanguage[];
   publishedAt?: string;
   creatorName?: string;
   viewCount?: number;
   uniqueViewers?: number;
   files?: Array<{ name: string; url: string; size?: number; type?: string }>;
+  event?: {
+    start: string;
+    end: string | null;
+    location: string | null;
+    allDay: boolean;
+  } | null;
 }
 
 const PublicNoticeDetail = () => {
   const { slug } = useParams<{ slug: string }>();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { language, setLanguage } = useNoticeLanguage(searchParams.get('lang'));
   const [notice, setNotice] = useState<Notice | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -46,14 +63,20 @@ const PublicNoticeDetail = () => {
     if (slug) {
       fetchNotice(slug);
     }
-  }, [slug]);
+  }, [slug, language]);
+
+  // Keep ?lang= in the address so the shown version can be shared
+  const handleLanguageChange = (next: NoticeLanguage) => {
+    setLanguage(next);
+    setSearchParams({ lang: next }, { replace: true });
+  };
 
   const fetchNotice = async (noticeSlug: string) => {
     try {
       setIsLoading(true);
       console.log("Fetching notice with slug:", noticeSlug.substring(0, 50) + (noticeSlug.length > 50 ? "..." : ""));
       
-      const url = `${import.meta.env.VITE_API_BASE_URL}/public/notices/${noticeSlug}`;
+      const url = `${import.meta.env.VITE_API_BASE_URL}/public/notices/${noticeSlug}${language ? `?lang=${language}` : ''}`;
       
       const response = await fetch(url);
       
@@ -203,13 +226,18 @@ const PublicNoticeDetail = () => {
   return (
     <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800">
       <header className="bg-white dark:bg-gray-900 shadow-sm border-b border-sliate-accent/20">
-        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-2">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between gap-2">
           <Button variant="ghost" asChild size="sm" className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
             <Link to="/" className="flex items-center space-x-2">
               <ArrowLeft className="h-4 w-4" />
               <span>Back to Home</span>
             </Link>
           </Button>
+          <LanguageSwitcher
+            value={language || notice.language}
+            onChange={handleLanguageChange}
+            available={notice.availableLanguages}
+          />
         </div>
       </header>
 
@@ -238,9 +266,15 @@ const PublicNoticeDetail = () => {
               </div>
             </div>
             
-            <CardTitle className="text-2xl font-bold text-sliate-dark dark:text-white">
+            <CardTitle lang={notice.language} className="text-2xl font-bold text-sliate-dark dark:text-white">
               {notice.title}
             </CardTitle>
+
+            {language && language !== notice.language && (
+              <p className="text-sm text-amber-700 dark:text-amber-300">
+                This notice is not available in {getLanguageName(language)}; showing the {getLanguageName(notice.language)} version.
+              </p>
+            )}
             
             {notice.creatorName && (
               <div className="text-sm text-gray-500 dark:text-gray-400">
@@ -283,8 +317,34 @@ const PublicNoticeDetail = () => {
               </div>
             )}
             
+            {/* Event details */}
+            {notice.event && (
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 border border-green-200 bg-green-50 dark:border-green-800 dark:bg-green-900/20 rounded-lg p-4">
+                <div className="space-y-1 text-sm text-sliate-dark dark:text-gray-200">
+                  <div className="flex items-center">
+                    <Clock className="h-4 w-4 mr-2 text-green-600" />
+                    <span>{formatEventRange(notice.event.start, notice.event.end, notice.event.allDay)}</span>
+                  </div>
+                  {notice.event.location && (
+                    <div className="flex items-center">
+                      <MapPin className="h-4 w-4 mr-2 text-green-600" />
+                      <span>{notice.event.location}</span>
+                    </div>
+                  )}
+                </div>
+                <Button asChild size="sm" className="bg-green-600 hover:bg-green-700 text-white">
+                  <a href={`${import.meta.env.VITE_API_BASE_URL}/public/notices/${notice.slug}.ics`} download={`${notice.slug}.ics`}>
+                    <CalendarPlus className="h-4 w-4 mr-2" />
+                    Add to calendar
+                  </a>
+                </Button>
+              </div>
+            )}
+
             {/* Notice content */}
-            <NoticeContent content={notice.description} className="mt-4" />
+            <div lang={notice.language}>
+              <NoticeContent content={notice.description} className="mt-4" />
+            </div>
             
             {/* Files section */}
             {notice.files && notice.files.length > 0 && (
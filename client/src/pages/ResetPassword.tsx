@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Lock, AlertCircle, KeyRound } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { apiService } from "@/services/api";
+
+const inputClassName = "pl-10 border-sliate-accent/30 dark:border-gray-600 focus:border-sliate-accent dark:focus:border-sliate-light bg-white dark:bg-gray-700 text-sliate-dark dark:text-white";
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [form, setForm] = useState({ newPassword: "", confirmPassword: "" });
+  const [error, setError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { toast } = useToast();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError("New password and confirmation do not match");
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const response = await apiService.resetPassword({ token, ...form });
+      toast({
+        title: "Password Reset",
+        description: response.message,
+      });
+      navigate("/login", { replace: true });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to reset password");
+      setIsSaving(false);
+    }
+  };
+
+  const fields: Array<{ key: keyof typeof form; label: string }> = [
+    { key: "newPassword", label: "New Password" },
+    { key: "confirmPassword", label: "Confirm New Password" },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="mb-6">
+          <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/login" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to sign in</span>
+            </Link>
+          </Button>
+        </div>
+
+        <Card className="border-sliate-accent/20 dark:border-gray-600 shadow-lg bg-white dark:bg-gray-800">
+          <CardHeader className="text-center space-y-2">
+            <div className="flex justify-center">
+              <KeyRound className="h-10 w-10 text-sliate-accent" />
+            </div>
+            <CardTitle className="text-2xl font-bold text-sliate-dark dark:text-white">
+              Reset Password
+            </CardTitle>
+            <p className="text-sliate-accent dark:text-gray-300">
+              All devices will be signed out afterwards
+            </p>
+          </CardHeader>
+
+          <CardContent>
+            {!token ? (
+              <div className="space-y-4 text-center">
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>This password reset link is incomplete.</AlertDescription>
+                </Alert>
+                <Button asChild variant="outline" className="w-full">
+                  <Link to="/forgot-password">Request a new link</Link>
+                </Button>
+              </div>
+            ) : (
+              <>
+                {error && (
+                  <Alert variant="destructive" className="mb-4">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>
+                      {error}{" "}
+                      {error.includes("expired") && (
+                        <Link to="/forgot-password" className="underline">Request a new link</Link>
+                      )}
+                    </AlertDescription>
+                  </Alert>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  {fields.map(({ key, label }) => (
+                    <div key={key} className="space-y-2">
+                      <Label htmlFor={key} className="text-sliate-dark dark:text-white">{label}</Label>
+                      <div className="relative">
+                        <Lock className="absolute left-3 top-3 h-4 w-4 text-sliate-accent dark:text-gray-400" />
+                        <Input
+                          id={key}
+                          type="password"
+                          autoComplete="new-password"
+                          value={form[key]}
+                          onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                          className={inputClassName}
+                          disabled={isSaving}
+                          required
+                          minLength={8}
+                          maxLength={128}
+                        />
+                      </div>
+                    </div>
+                  ))}
+
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    At least 8 characters with upper and lower case letters, a number and a special character.
+                    Recently used passwords are not accepted.
+                  </p>
+
+                  <Button
+                    type="submit"
+                    className="w-full bg-sliate-dark hover:bg-sliate-dark/90 dark:bg-sliate-accent dark:hover:bg-sliate-accent/90 text-white"
+                    disabled={isSaving}
+                  >
+                    {isSaving ? "Saving..." : "Set New Password"}
+                  </Button>
+                </form>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
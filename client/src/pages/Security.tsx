@@ -0,0 +1,42 @@
+import { Button } from "@/components/ui/button";
+import { Link } from "react-router-dom";
+import { ArrowLeft, KeyRound } from "lucide-react";
+import { useAuth } from "@/hooks/useAuth";
+import TwoFactorSettings from "@/components/TwoFactorSettings";
+import ActiveSessions from "@/components/ActiveSessions";
+import AllSessions from "@/components/AllSessions";
+
+const Security = () => {
+  const { hasPermission } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 p-4">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/dashboard" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to Dashboard</span>
+            </Link>
+          </Button>
+          <Button variant="ghost" asChild className="text-sliate-accent dark:text-gray-300">
+            <Link to="/change-password" className="flex items-center space-x-2">
+              <KeyRound className="h-4 w-4" />
+              <span>Change Password</span>
+            </Link>
+          </Button>
+        </div>
+
+        <h1 className="text-2xl font-bold text-sliate-dark dark:text-white">Account Security</h1>
+
+        <TwoFactorSettings />
+
+        <ActiveSessions />
+
+        {hasPermission('security.manage') && <AllSessions />}
+      </div>
+    </div>
+  );
+};
+
+export default Security;
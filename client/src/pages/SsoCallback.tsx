@@ -0,0 +1,61 @@
+import { useEffect, useRef } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "@/hooks/useAuth";
+
+// Reasons the server gives when the identity provider round trip does not end in a login
+const SSO_ERRORS: Record<string, string> = {
+  access_denied: "Sign-in was cancelled at the identity provider.",
+  no_role: "Your account is not in a group that has access to the notice system.",
+  not_provisioned: "No account is linked to your identity. Ask a super admin to create one.",
+  missing_email: "The identity provider did not share a verified email address.",
+  link_refused: "An account with your email address exists but is not linked to this identity. Ask a super admin to link it.",
+  account_disabled: "This account has been disabled. Contact a super admin.",
+  invalid_state: "The sign-in request expired. Please try again.",
+  provider_unavailable: "The sign-in provider is not available right now. Please try again later.",
+};
+
+// The server sends the browser here after the identity provider: #token=...&returnTo=... or #error=...
+const SsoCallback = () => {
+  const { loginWithSso } = useAuth();
+  const navigate = useNavigate();
+  const { hash } = useLocation();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Handoff tokens are single-use, so never send the request twice
+    if (requested.current) return;
+    requested.current = true;
+
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const token = params.get("token");
+    const returnTo = params.get("returnTo") || "/dashboard";
+
+    const backToLogin = (ssoError: string) => navigate("/login", { replace: true, state: { ssoError } });
+
+    if (!token) {
+      backToLogin(SSO_ERRORS[params.get("error") || ""] || "Single sign-on failed. Please try again.");
+      return;
+    }
+
+    // The login page finishes up: it redirects once signed in, or asks for a two-factor code
+    loginWithSso(token).then((result) => {
+      if (result.meta.requestStatus === "rejected") {
+        backToLogin((result.payload as string) || "Single sign-on failed. Please try again.");
+        return;
+      }
+
+      navigate("/login", { replace: true, state: { from: { pathname: returnTo } } });
+    });
+  }, [hash, loginWithSso, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center px-4">
+      <div className="max-w-md w-full text-center bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-sliate-accent mx-auto mb-4"></div>
+        <p className="text-sliate-dark dark:text-white">Signing you in...</p>
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
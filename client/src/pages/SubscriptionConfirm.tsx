@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { CheckCircle, XCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { subscriptionService } from "@/services/subscriptionApi";
+
+const SubscriptionConfirm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<'confirming' | 'confirmed' | 'failed'>('confirming');
+  const [message, setMessage] = useState('');
+  const [manageToken, setManageToken] = useState<string | null>(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Confirmation tokens are single-use, so never send the request twice
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage('This confirmation link is incomplete.');
+      return;
+    }
+
+    subscriptionService.confirm(token)
+      .then((response) => {
+        setManageToken(response.data.manageToken || null);
+        setStatus('confirmed');
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error instanceof Error ? error.message : 'Failed to confirm subscription');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 flex items-center justify-center px-4">
+      <div className="max-w-md w-full text-center bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+        {status === 'confirming' && (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-sliate-accent mx-auto mb-4"></div>
+            <p className="text-sliate-dark dark:text-white">Confirming your subscription...</p>
+          </>
+        )}
+
+        {status === 'confirmed' && (
+          <>
+            <CheckCircle className="h-12 w-12 text-green-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold mb-2 text-sliate-dark dark:text-white">Subscription confirmed</h2>
+            <p className="text-gray-600 dark:text-gray-300 mb-4">
+              You will now receive SLIATE notices by email. Every email includes a link to change your preferences or unsubscribe.
+            </p>
+            <div className="flex justify-center gap-2">
+              {manageToken && (
+                <Button variant="outline" asChild>
+                  <Link to={`/subscribe/manage?token=${manageToken}`}>Manage preferences</Link>
+                </Button>
+              )}
+              <Button asChild>
+                <Link to="/">Return to Home</Link>
+              </Button>
+            </div>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <XCircle className="h-12 w-12 text-red-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold mb-2 text-sliate-dark dark:text-white">Confirmation failed</h2>
+            <p className="text-gray-600 dark:text-gray-300 mb-4">{message} You can subscribe again from the home page.</p>
+            <Button asChild>
+              <Link to="/">Return to Home</Link>
+            </Button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubscriptionConfirm;
@@ -0,0 +1,439 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/useAuth";
+import { noticeService, Category } from "@/services/noticeApi";
+import { templateService, NoticeTemplate, TemplateField, TemplateFieldType, TemplatePayload } from "@/services/templateApi";
+import { ArrowLeft, Edit, Loader2, Plus, Trash2, X } from "lucide-react";
+
+const fieldTypeLabels: Record<TemplateFieldType, string> = {
+  text: 'Text',
+  date: 'Date',
+  time: 'Time',
+  location: 'Location',
+  course_code: 'Course code'
+};
+
+const EMPTY_TEMPLATE: TemplatePayload = {
+  name: '',
+  description: null,
+  departmentId: null,
+  body: '',
+  fields: [],
+  defaultPriority: null,
+  defaultCategoryId: null,
+  isActive: true
+};
+
+// Select items cannot have empty values
+const NONE = 'none';
+
+// {{key}} placeholders of a body, as the server reads them
+const getPlaceholders = (body: string) =>
+  [...new Set([...body.matchAll(/\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g)].map(match => match[1]))];
+
+const toLabel = (key: string) => key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
+
+const Templates = () => {
+  const { user } = useAuth();
+  const { toast } = useToast();
+
+  const [templates, setTemplates] = useState<NoticeTemplate[]>([]);
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState<NoticeTemplate | null>(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [form, setForm] = useState<TemplatePayload>(EMPTY_TEMPLATE);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Department heads work on their own departments; shared templates are for super admins
+  const isSuperAdmin = user?.role === "super_admin";
+  const departments = categories.filter(category =>
+    category.type === 'department' && (isSuperAdmin || user?.departmentIds?.includes(category.id))
+  );
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await templateService.getTemplates(true);
+      setTemplates(response.data.templates);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to fetch templates",
+        variant: "destructive"
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchTemplates();
+    noticeService.getCategories()
+      .then(response => setCategories(response.data.categories))
+      .catch(error => console.error('Failed to load categories:', error));
+  }, [fetchTemplates]);
+
+  const canEdit = (template: NoticeTemplate) =>
+    template.department ? departments.some(department => department.id === template.department?.id) : isSuperAdmin;
+
+  const openEditor = (template: NoticeTemplate | null) => {
+    setEditing(template);
+    setForm(template ? {
+      name: template.name,
+      description: template.description,
+      departmentId: template.department?.id ?? null,
+      body: template.body,
+      fields: template.fields,
+      defaultPriority: template.defaultPriority,
+      defaultCategoryId: template.defaultCategory?.id ?? null,
+      isActive: template.isActive
+    } : {
+      ...EMPTY_TEMPLATE,
+      departmentId: isSuperAdmin ? null : departments[0]?.id ?? null
+    });
+    setIsEditorOpen(true);
+  };
+
+  const updateField = (index: number, changes: Partial<TemplateField>) => {
+    setForm(prev => ({
+      ...prev,
+      fields: prev.fields.map((field, i) => i === index ? { ...field, ...changes } : field)
+    }));
+  };
+
+  // Add a field for every placeholder of the body that has none yet
+  const handleDetectFields = () => {
+    setForm(prev => {
+      const keys = prev.fields.map(field => field.key);
+      const added = getPlaceholders(prev.body)
+        .filter(key => !keys.includes(key))
+        .map(key => ({ key, label: toLabel(key), type: 'text' as TemplateFieldType, required: false }));
+      return { ...prev, fields: [...prev.fields, ...added] };
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const payload = { ...form, description: form.description?.trim() || null };
+      if (editing) {
+        await templateService.updateTemplate(editing.id, payload);
+      } else {
+        await templateService.createTemplate(payload);
+      }
+      toast({ title: editing ? "Template Updated" : "Template Created" });
+      setIsEditorOpen(false);
+      fetchTemplates();
+    } catch (error) {
+      toast({
+        title: "Save Failed",
+        description: error instanceof Error ? error.message : "Failed to save template",
+        variant: "destructive"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template: NoticeTemplate) => {
+    if (!confirm(`Delete the template "${template.name}"? Notices created from it are not affected.`)) {
+      return;
+    }
+
+    try {
+      await templateService.deleteTemplate(template.id);
+      toast({ title: "Template Deleted" });
+      fetchTemplates();
+    } catch (error) {
+      toast({
+        title: "Delete Failed",
+        description: error instanceof Error ? error.message : "Failed to delete template",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const placeholders = getPlaceholders(form.body);
+  const missingFields = placeholders.filter(key => !form.fields.some(field => field.key === key));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 p-4">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/dashboard" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to Dashboard</span>
+            </Link>
+          </Button>
+
+          <Button onClick={() => openEditor(null)} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
+            <Plus className="h-4 w-4 mr-1" />
+            New Template
+          </Button>
+        </div>
+
+        <div>
+          <h1 className="text-2xl font-bold text-sliate-dark dark:text-white">Notice Templates</h1>
+          <p className="text-sm text-sliate-accent mt-1">
+            Templates appear under "Use Template" when creating a notice. Write {'{{placeholders}}'} in the body and describe each one as a field.
+          </p>
+        </div>
+
+        <Card className="border-sliate-accent/20">
+          <CardHeader>
+            <CardTitle className="text-sliate-dark">
+              Templates ({templates.length})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="text-center py-8">
+                <div className="w-8 h-8 border-4 border-sliate-accent border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+                <p className="text-sliate-accent">Loading templates...</p>
+              </div>
+            ) : templates.length === 0 ? (
+              <div className="text-center py-8">
+                <p className="text-sliate-accent">No templates yet.</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {templates.map((template) => (
+                  <div key={template.id} className="flex items-center justify-between p-4 border border-sliate-accent/20 rounded-lg hover:bg-sliate-neutral/30 transition-colors">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-2">
+                        <h3 className="font-semibold text-sliate-dark">{template.name}</h3>
+                        <Badge variant="secondary">{template.department?.name ?? 'All departments'}</Badge>
+                        {!template.isActive && <Badge className="bg-gray-100 text-gray-800">Inactive</Badge>}
+                      </div>
+                      {template.description && (
+                        <p className="text-sm text-gray-600 mb-1">{template.description}</p>
+                      )}
+                      <div className="flex flex-wrap items-center gap-x-4 text-sm text-sliate-accent">
+                        <span>{template.fields.length} field(s)</span>
+                        <span>Used {template.usageCount} {template.usageCount === 1 ? 'time' : 'times'}</span>
+                        {template.lastUsedAt && <span>Last used {new Date(template.lastUsedAt).toLocaleDateString()}</span>}
+                        {template.defaultPriority && <span className="capitalize">{template.defaultPriority} priority</span>}
+                        {template.defaultCategory && <span>{template.defaultCategory.name}</span>}
+                      </div>
+                    </div>
+
+                    {canEdit(template) && (
+                      <div className="flex items-center space-x-2">
+                        <Button variant="outline" size="sm" onClick={() => openEditor(template)}>
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button variant="outline" size="sm" className="text-red-600 hover:text-red-800" onClick={() => handleDelete(template)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Dialog open={isEditorOpen} onOpenChange={setIsEditorOpen}>
+        <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editing ? `Edit "${editing.name}"` : 'New Template'}</DialogTitle>
+            <DialogDescription>
+              Each {'{{placeholder}}'} in the body becomes a form field when the template is used.
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="template-name">Name *</Label>
+                <Input
+                  id="template-name"
+                  required
+                  minLength={2}
+                  maxLength={100}
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Department</Label>
+                <Select
+                  value={form.departmentId ? String(form.departmentId) : NONE}
+                  onValueChange={(value) => setForm(prev => ({ ...prev, departmentId: value === NONE ? null : parseInt(value) }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {isSuperAdmin && <SelectItem value={NONE}>All departments</SelectItem>}
+                    {departments.map((department) => (
+                      <SelectItem key={department.id} value={String(department.id)}>{department.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="template-description">Description</Label>
+              <Input
+                id="template-description"
+                maxLength={255}
+                value={form.description ?? ''}
+                onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="template-body">Body (markdown) *</Label>
+              <Textarea
+                id="template-body"
+                required
+                rows={10}
+                minLength={10}
+                maxLength={10000}
+                className="font-mono text-sm"
+                value={form.body}
+                onChange={(e) => setForm(prev => ({ ...prev, body: e.target.value }))}
+              />
+              {missingFields.length > 0 && (
+                <div className="flex items-center justify-between text-sm text-amber-700">
+                  <span>No field yet for {missingFields.map(key => `{{${key}}}`).join(', ')}</span>
+                  <Button type="button" size="sm" variant="outline" onClick={handleDetectFields}>
+                    Add fields
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label>Fields</Label>
+              {form.fields.length === 0 && (
+                <p className="text-sm text-gray-500">This template has no placeholders.</p>
+              )}
+              {form.fields.map((field, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <Input
+                    className="col-span-3 font-mono text-sm"
+                    placeholder="key"
+                    required
+                    pattern="[a-z][a-z0-9_]*"
+                    maxLength={40}
+                    value={field.key}
+                    onChange={(e) => updateField(index, { key: e.target.value })}
+                  />
+                  <Input
+                    className="col-span-4"
+                    placeholder="Label"
+                    required
+                    maxLength={100}
+                    value={field.label}
+                    onChange={(e) => updateField(index, { label: e.target.value })}
+                  />
+                  <div className="col-span-3">
+                    <Select value={field.type} onValueChange={(value) => updateField(index, { type: value as TemplateFieldType })}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(Object.keys(fieldTypeLabels) as TemplateFieldType[]).map((type) => (
+                          <SelectItem key={type} value={type}>{fieldTypeLabels[type]}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="col-span-1 flex justify-center" title="Required">
+                    <Switch checked={field.required} onCheckedChange={(required) => updateField(index, { required })} />
+                  </div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    className="col-span-1"
+                    onClick={() => setForm(prev => ({ ...prev, fields: prev.fields.filter((_, i) => i !== index) }))}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Default priority</Label>
+                <Select
+                  value={form.defaultPriority ?? NONE}
+                  onValueChange={(value) => setForm(prev => ({ ...prev, defaultPriority: value === NONE ? null : value as TemplatePayload['defaultPriority'] }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Keep the editor's choice</SelectItem>
+                    <SelectItem value="low">Low</SelectItem>
+                    <SelectItem value="medium">Medium</SelectItem>
+                    <SelectItem value="high">High</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Default category</Label>
+                <Select
+                  value={form.defaultCategoryId ? String(form.defaultCategoryId) : NONE}
+                  onValueChange={(value) => setForm(prev => ({ ...prev, defaultCategoryId: value === NONE ? null : parseInt(value) }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>None</SelectItem>
+                    {categories.filter(category => category.type === 'topic').map((category) => (
+                      <SelectItem key={category.id} value={String(category.id)}>{category.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <Label htmlFor="template-active">Offer this template when creating notices</Label>
+              <Switch
+                id="template-active"
+                checked={form.isActive}
+                onCheckedChange={(isActive) => setForm(prev => ({ ...prev, isActive }))}
+              />
+            </div>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIsEditorOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSaving} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {editing ? 'Save Changes' : 'Create Template'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default Templates;
@@ -0,0 +1,182 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Pagination } from "@/components/ui/pagination";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/useAuth";
+import { noticeService, TrashedNotice } from "@/services/noticeApi";
+import { NOTICE_STATUS_CLASSES, NOTICE_STATUS_LABELS } from "@/utils/noticeStatus";
+import { ArrowLeft, Loader2, RotateCcw, Search } from "lucide-react";
+
+const Trash = () => {
+  const { user } = useAuth();
+  const { toast } = useToast();
+
+  const [notices, setNotices] = useState<TrashedNotice[]>([]);
+  const [retentionDays, setRetentionDays] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState<number | null>(null);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await noticeService.getTrash(page, 20, search || undefined);
+      setNotices(response.data.notices);
+      setPagination(response.data.pagination);
+      setRetentionDays(response.data.retentionDays);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to fetch the trash",
+        variant: "destructive"
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, search, toast]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchQuery.trim());
+  };
+
+  const handleRestore = async (notice: TrashedNotice) => {
+    try {
+      setRestoringId(notice.id);
+      await noticeService.restoreNotice(notice.id);
+      toast({
+        title: "Notice Restored",
+        description: `"${notice.title}" is back with its previous status.`
+      });
+      fetchTrash();
+    } catch (error) {
+      toast({
+        title: "Restore Failed",
+        description: error instanceof Error ? error.message : "Failed to restore notice",
+        variant: "destructive"
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // Other users' notices only show up for super admins, who can restore any of them
+  const canRestore = (notice: TrashedNotice) => notice.createdBy === user?.id || user?.role === "super_admin";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 p-4">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/dashboard" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to Dashboard</span>
+            </Link>
+          </Button>
+
+          <form onSubmit={handleSearch} className="flex w-full md:w-80 space-x-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <Input
+                placeholder="Search the trash..."
+                className="pl-10 border-sliate-accent/30"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+              />
+            </div>
+            <Button type="submit">Search</Button>
+          </form>
+        </div>
+
+        <div>
+          <h1 className="text-2xl font-bold text-sliate-dark dark:text-white">Trash</h1>
+          {retentionDays !== null && (
+            <p className="text-sm text-sliate-accent mt-1">
+              Deleted notices keep their files and can be restored for {retentionDays} days, then they are removed permanently.
+            </p>
+          )}
+        </div>
+
+        <Card className="border-sliate-accent/20">
+          <CardHeader>
+            <CardTitle className="text-sliate-dark">
+              Deleted Notices ({pagination.total})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="text-center py-8">
+                <div className="w-8 h-8 border-4 border-sliate-accent border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+                <p className="text-sliate-accent">Loading trash...</p>
+              </div>
+            ) : notices.length === 0 ? (
+              <div className="text-center py-8">
+                <p className="text-sliate-accent">The trash is empty.</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {notices.map((notice) => (
+                  <div key={notice.id} className="flex items-center justify-between p-4 border border-sliate-accent/20 rounded-lg hover:bg-sliate-neutral/30 transition-colors">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-2">
+                        <h3 className="font-semibold text-sliate-dark">{notice.title}</h3>
+                        <Badge className={NOTICE_STATUS_CLASSES[notice.status]}>{NOTICE_STATUS_LABELS[notice.status]}</Badge>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-x-4 text-sm text-sliate-accent">
+                        <span>By {notice.creatorName || notice.creatorUsername}</span>
+                        <span>
+                          Deleted {new Date(notice.deletedAt).toLocaleString()}
+                          {notice.deletedByUsername && ` by ${notice.deletedByUsername}`}
+                        </span>
+                        <span className="text-red-600">Removed permanently {new Date(notice.purgeAt).toLocaleDateString()}</span>
+                      </div>
+                    </div>
+
+                    {canRestore(notice) && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="text-green-700 hover:text-green-900"
+                        disabled={restoringId === notice.id}
+                        onClick={() => handleRestore(notice)}
+                      >
+                        {restoringId === notice.id
+                          ? <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                          : <RotateCcw className="h-4 w-4 mr-1" />}
+                        Restore
+                      </Button>
+                    )}
+                  </div>
+                ))}
+
+                {pagination.totalPages > 1 && (
+                  <div className="flex justify-center mt-6">
+                    <Pagination
+                      currentPage={pagination.page}
+                      totalPages={pagination.totalPages}
+                      onPageChange={setPage}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
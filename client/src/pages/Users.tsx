@@ -0,0 +1,577 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Pagination } from "@/components/ui/pagination";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/hooks/useAuth";
+import { userService, ManagedUser, Role, UserFilters, UserRole } from "@/services/userApi";
+import { noticeService, Category } from "@/services/noticeApi";
+import {
+  AlertCircle,
+  ArrowLeft,
+  Ban,
+  CheckCircle,
+  Edit,
+  Loader2,
+  LogOut,
+  Plus,
+  Search,
+  ShieldCheck,
+  Trash2
+} from "lucide-react";
+
+interface UserForm {
+  username: string;
+  email: string;
+  fullName: string;
+  role: UserRole;
+  canApprove: boolean;
+  departmentIds: number[];
+  password: string;
+}
+
+const EMPTY_FORM: UserForm = {
+  username: "",
+  email: "",
+  fullName: "",
+  role: "admin",
+  canApprove: false,
+  departmentIds: [],
+  password: ""
+};
+
+const Users = () => {
+  const { user: currentUser } = useAuth();
+  const { toast } = useToast();
+
+  const [users, setUsers] = useState<ManagedUser[]>([]);
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [departments, setDepartments] = useState<Category[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [filters, setFilters] = useState<UserFilters>({ page: 1, limit: 20 });
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+
+  // Create/edit dialog; editing is null when creating
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [editing, setEditing] = useState<ManagedUser | null>(null);
+  const [form, setForm] = useState<UserForm>(EMPTY_FORM);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Delete dialog; users with notices pick who takes them over
+  const [deleting, setDeleting] = useState<ManagedUser | null>(null);
+  const [transferCandidates, setTransferCandidates] = useState<ManagedUser[]>([]);
+  const [transferTo, setTransferTo] = useState("");
+  const [deleteError, setDeleteError] = useState<string | null>(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await userService.getUsers(filters);
+      setUsers(response.data.users);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to fetch users",
+        variant: "destructive"
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, toast]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    userService.getRoles()
+      .then(response => setRoles(response.data.roles))
+      .catch(() => setRoles([]));
+    noticeService.getPublicCategories("department")
+      .then(response => setDepartments(response.data.categories))
+      .catch(() => setDepartments([]));
+  }, []);
+
+  const roleLabel = (name: string) => roles.find(role => role.name === name)?.displayName || name;
+
+  // Only super admins can hand out the super_admin role
+  const assignableRoles = roles.filter(role => role.name !== "super_admin" || currentUser?.role === "super_admin");
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchQuery.trim() || undefined, page: 1 }));
+  };
+
+  const handleFilterChange = (key: "role" | "status", value: string) => {
+    setFilters(prev => ({ ...prev, [key]: value === "all" ? undefined : value, page: 1 }));
+  };
+
+  const openEditor = (target: ManagedUser | null) => {
+    setEditing(target);
+    setForm(target
+      ? {
+          username: target.username,
+          email: target.email,
+          fullName: target.fullName || "",
+          role: target.role,
+          canApprove: target.canApprove,
+          departmentIds: target.departments.map(department => department.id),
+          password: ""
+        }
+      : EMPTY_FORM);
+    setFormError(null);
+    setEditorOpen(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setFormError(null);
+
+    try {
+      const { password, ...details } = form;
+      if (editing) {
+        await userService.updateUser(editing.id, details);
+        toast({ title: "User Updated", description: `${details.username} has been updated.` });
+      } else {
+        await userService.createUser({ ...details, password });
+        toast({ title: "User Created", description: `${details.username} can now sign in.` });
+      }
+      setEditorOpen(false);
+      fetchUsers();
+    } catch (error) {
+      setFormError(error instanceof Error ? error.message : "Failed to save user");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleStatus = async (target: ManagedUser) => {
+    if (target.isActive && !confirm(`Disable ${target.username}? They will be signed out and cannot sign in until re-enabled.`)) {
+      return;
+    }
+
+    try {
+      const response = await userService.setUserStatus(target.id, !target.isActive);
+      toast({ title: target.isActive ? "Account Disabled" : "Account Enabled", description: response.message });
+      fetchUsers();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to change the account status",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleForceLogout = async (target: ManagedUser) => {
+    if (!confirm(`Sign ${target.username} out of every session?`)) {
+      return;
+    }
+
+    try {
+      const response = await userService.forceLogout(target.id);
+      toast({ title: "Signed Out", description: response.message });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to sign the user out",
+        variant: "destructive"
+      });
+    }
+  };
+
+  const openDelete = async (target: ManagedUser) => {
+    setDeleting(target);
+    setTransferTo("");
+    setDeleteError(null);
+    setTransferCandidates([]);
+
+    if (target.noticeCount > 0) {
+      try {
+        const response = await userService.getUsers({ status: "active", limit: 100, sortBy: "username", sortOrder: "ASC" });
+        setTransferCandidates(response.data.users.filter(candidate => candidate.id !== target.id));
+      } catch (error) {
+        setDeleteError(error instanceof Error ? error.message : "Failed to load users");
+      }
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleting) return;
+
+    try {
+      const response = await userService.deleteUser(deleting.id, transferTo ? Number(transferTo) : undefined);
+      toast({
+        title: "User Deleted",
+        description: response.data.noticesTransferred
+          ? `${deleting.username} was deleted and ${response.data.noticesTransferred} notice(s) transferred.`
+          : `${deleting.username} was deleted.`
+      });
+      setDeleting(null);
+      fetchUsers();
+    } catch (error) {
+      setDeleteError(error instanceof Error ? error.message : "Failed to delete user");
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-sliate-neutral to-white dark:from-gray-900 dark:to-gray-800 p-4">
+      <div className="max-w-7xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" asChild className="text-sliate-accent hover:text-sliate-dark dark:text-sliate-light dark:hover:text-white">
+            <Link to="/dashboard" className="flex items-center space-x-2">
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to Dashboard</span>
+            </Link>
+          </Button>
+          <Button onClick={() => openEditor(null)} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white flex items-center space-x-2">
+            <Plus className="h-4 w-4" />
+            <span>Add User</span>
+          </Button>
+        </div>
+
+        <h1 className="text-2xl font-bold text-sliate-dark dark:text-white">User Management</h1>
+
+        {/* Filters and Search */}
+        <Card className="border-sliate-accent/20">
+          <CardContent className="p-4">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+              <div className="flex gap-2">
+                <Select value={filters.role || "all"} onValueChange={(value) => handleFilterChange("role", value)}>
+                  <SelectTrigger className="w-40 border-sliate-accent/30">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All Roles</SelectItem>
+                    {roles.map(role => (
+                      <SelectItem key={role.name} value={role.name}>{role.displayName}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={filters.status || "all"} onValueChange={(value) => handleFilterChange("status", value)}>
+                  <SelectTrigger className="w-40 border-sliate-accent/30">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All Statuses</SelectItem>
+                    <SelectItem value="active">Active</SelectItem>
+                    <SelectItem value="disabled">Disabled</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <form onSubmit={handleSearch} className="flex w-full md:w-80 space-x-2">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                  <Input
+                    placeholder="Search users..."
+                    className="pl-10 border-sliate-accent/30"
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                  />
+                </div>
+                <Button type="submit">Search</Button>
+              </form>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Users List */}
+        <Card className="border-sliate-accent/20">
+          <CardHeader>
+            <CardTitle className="text-sliate-dark">
+              Users ({pagination.total})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="text-center py-8">
+                <div className="w-8 h-8 border-4 border-sliate-accent border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+                <p className="text-sliate-accent">Loading users...</p>
+              </div>
+            ) : users.length === 0 ? (
+              <div className="text-center py-8">
+                <p className="text-sliate-accent">No users found.</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {users.map((managed) => {
+                  const isSelf = managed.id === currentUser?.id;
+                  return (
+                    <div key={managed.id} className="flex items-center justify-between p-4 border border-sliate-accent/20 rounded-lg hover:bg-sliate-neutral/30 transition-colors">
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-3 mb-2">
+                          <h3 className="font-semibold text-sliate-dark">{managed.fullName || managed.username}</h3>
+                          <Badge className="bg-slate-600 text-white">{roleLabel(managed.role)}</Badge>
+                          {managed.isActive
+                            ? <Badge className="bg-green-100 text-green-800">Active</Badge>
+                            : <Badge className="bg-red-100 text-red-800">Disabled</Badge>}
+                          {managed.canApprove && <Badge variant="outline">Approver</Badge>}
+                          {managed.departments.map(department => (
+                            <Badge key={department.id} variant="outline">{department.name}</Badge>
+                          ))}
+                          {managed.ssoProviders?.length > 0 && <Badge variant="outline">SSO</Badge>}
+                          {managed.twoFactorEnabled && (
+                            <ShieldCheck className="h-4 w-4 text-green-600" aria-label="Two-factor enabled" />
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-4 text-sm text-sliate-accent">
+                          <span>@{managed.username}</span>
+                          <span>{managed.email}</span>
+                          <span>{managed.noticeCount} notice{managed.noticeCount === 1 ? "" : "s"}</span>
+                          <span>Joined {new Date(managed.createdAt).toLocaleDateString()}</span>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center space-x-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="text-sliate-accent hover:text-sliate-dark"
+                          title="Edit"
+                          onClick={() => openEditor(managed)}
+                        >
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        {!isSelf && (
+                          <>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="text-orange-600 hover:text-orange-800"
+                              title="Sign out everywhere"
+                              onClick={() => handleForceLogout(managed)}
+                            >
+                              <LogOut className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className={managed.isActive ? "text-amber-600 hover:text-amber-800" : "text-green-600 hover:text-green-800"}
+                              title={managed.isActive ? "Disable" : "Enable"}
+                              onClick={() => handleToggleStatus(managed)}
+                            >
+                              {managed.isActive ? <Ban className="h-4 w-4" /> : <CheckCircle className="h-4 w-4" />}
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="text-red-600 hover:text-red-800"
+                              title="Delete"
+                              onClick={() => openDelete(managed)}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+
+                {pagination.totalPages > 1 && (
+                  <div className="flex justify-center mt-6">
+                    <Pagination
+                      currentPage={pagination.page}
+                      totalPages={pagination.totalPages}
+                      onPageChange={(page) => setFilters(prev => ({ ...prev, page }))}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Create / Edit Dialog */}
+      <Dialog open={editorOpen} onOpenChange={setEditorOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>{editing ? `Edit ${editing.username}` : "Add User"}</DialogTitle>
+            <DialogDescription>
+              {editing
+                ? "Changing the role signs the user out of every session."
+                : "The user signs in with this password and can change it afterwards."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <form onSubmit={handleSave} className="space-y-4">
+            {formError && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="user-username">Username</Label>
+              <Input
+                id="user-username"
+                value={form.username}
+                onChange={(e) => setForm({ ...form, username: e.target.value })}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="user-email">Email</Label>
+              <Input
+                id="user-email"
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="user-fullname">Full Name</Label>
+              <Input
+                id="user-fullname"
+                value={form.fullName}
+                onChange={(e) => setForm({ ...form, fullName: e.target.value })}
+              />
+            </div>
+            {!editing && (
+              <div className="space-y-2">
+                <Label htmlFor="user-password">Password</Label>
+                <Input
+                  id="user-password"
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="user-role">Role</Label>
+              <Select
+                value={form.role}
+                onValueChange={(value) => setForm({ ...form, role: value as UserRole })}
+                disabled={editing?.id === currentUser?.id}
+              >
+                <SelectTrigger id="user-role">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {assignableRoles.map(role => (
+                    <SelectItem key={role.name} value={role.name}>{role.displayName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-center justify-between">
+              <Label htmlFor="user-can-approve">Can approve notices</Label>
+              <Switch
+                id="user-can-approve"
+                checked={form.canApprove}
+                onCheckedChange={(checked) => setForm({ ...form, canApprove: checked })}
+              />
+            </div>
+            {departments.length > 0 && (
+              <div className="space-y-2">
+                <Label>Departments</Label>
+                <p className="text-xs text-gray-500">Members manage the notices and analytics of their departments.</p>
+                <div className="grid grid-cols-2 gap-2">
+                  {departments.map(department => (
+                    <div key={department.id} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`user-department-${department.id}`}
+                        checked={form.departmentIds.includes(department.id)}
+                        onCheckedChange={(checked) => setForm({
+                          ...form,
+                          departmentIds: checked === true
+                            ? [...form.departmentIds, department.id]
+                            : form.departmentIds.filter(id => id !== department.id)
+                        })}
+                      />
+                      <label htmlFor={`user-department-${department.id}`} className="text-sm">{department.name}</label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEditorOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSaving} className="bg-sliate-accent hover:bg-sliate-accent/90 text-white">
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {editing ? "Save Changes" : "Create User"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Delete Dialog */}
+      <Dialog open={deleting !== null} onOpenChange={(open) => !open && setDeleting(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Delete {deleting?.username}?</DialogTitle>
+            <DialogDescription>
+              This cannot be undone. Disable the account instead to keep it for later.
+            </DialogDescription>
+          </DialogHeader>
+
+          {deleteError && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{deleteError}</AlertDescription>
+            </Alert>
+          )}
+
+          {deleting && deleting.noticeCount > 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="user-transfer">
+                Transfer {deleting.noticeCount} notice{deleting.noticeCount === 1 ? "" : "s"} to
+              </Label>
+              <Select value={transferTo} onValueChange={setTransferTo}>
+                <SelectTrigger id="user-transfer">
+                  <SelectValue placeholder="Choose a user" />
+                </SelectTrigger>
+                <SelectContent>
+                  {transferCandidates.map((candidate) => (
+                    <SelectItem key={candidate.id} value={candidate.id.toString()}>
+                      {candidate.fullName || candidate.username} (@{candidate.username})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDeleting(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              disabled={!!deleting && deleting.noticeCount > 0 && !transferTo}
+              onClick={handleDelete}
+            >
+              Delete User
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default Users;
@@ -1,3 +1,5 @@
+import { authFetch, getAccessToken, refreshSession } from './authSession';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
 export interface LoginCredentials {
@@ -13,10 +15,19 @@ export interface AuthResponse {
     user: {
       id: number;
       username: string;
-      role: 'admin' | 'super_admin'; // Remove 'lecturer' since it's not in your DB
+      role: string; // Configurable role name
       full_name: string; // Backend uses 'full_name', not 'fullName'
       email?: string;
+      canApprove?: boolean; // Designated notice approver
+      permissions?: string[]; // Granted by the role; '*' for super admins
+      departmentIds?: number[]; // Department categories the user manages notices for
+      passwordChangedAt?: string | null;
+      passwordChangeRequired?: boolean; // Password older than the maximum age
+      passwordExpiresAt?: string | null;
     };
+    passwordChangeRequired?: boolean;
+    recoveryCodes?: string[]; // Only after enrolling in two-factor during login; shown once
+    recoveryCodesRemaining?: number; // After logging in with a recovery code
     session: {
       id: string;
       expiresAt: string;
@@ -25,6 +36,95 @@ export interface AuthResponse {
   timestamp: string;
 }
 
+// Returned by /auth/login instead of a token when a second step is needed
+export interface TwoFactorChallenge {
+  twoFactorRequired: true;
+  twoFactorSetupRequired: boolean; // The policy requires two-factor, but it is not set up yet
+  challengeToken: string;
+  expiresIn: number;
+}
+
+export interface LoginResponse {
+  success: boolean;
+  message: string;
+  data: AuthResponse['data'] | TwoFactorChallenge;
+  timestamp: string;
+}
+
+// Identity provider offered on the login page (staff single sign-on)
+export interface SsoProvider {
+  id: string;
+  name: string;
+}
+
+export interface TwoFactorCredentials {
+  code?: string;
+  recoveryCode?: string;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string; // PNG data URL of otpauthUrl
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  pending: boolean;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorPolicy {
+  requireForSuperAdmins: boolean;
+  updatedBy: string | null;
+  updatedAt: string | null;
+}
+
+export const isTwoFactorChallenge = (data: LoginResponse['data']): data is TwoFactorChallenge =>
+  'twoFactorRequired' in data && data.twoFactorRequired === true;
+
+// Device details parsed from the session's user agent on the server
+export interface SessionDevice {
+  browser: string | null;
+  browserVersion: string | null;
+  os: string | null;
+  osVersion: string | null;
+  deviceType: 'desktop' | 'mobile' | 'tablet' | 'tool' | 'unknown';
+}
+
+export interface UserSessionInfo {
+  id: number;
+  userId: number;
+  username: string | null;
+  fullName: string | null;
+  ipAddress: string | null;
+  userAgent: string | null;
+  device: SessionDevice;
+  createdAt: string;
+  lastActivity: string;
+  expiresAt: string;
+  isCurrent: boolean; // The session making the request
+}
+
+export interface SessionPage {
+  sessions: UserSessionInfo[];
+  pagination: { page: number; limit: number; total: number; totalPages: number };
+}
+
+export interface ChangePasswordPayload {
+  currentPassword: string;
+  newPassword: string;
+  confirmPassword: string;
+}
+
+export interface ResetPasswordPayload {
+  token: string;
+  newPassword: string;
+  confirmPassword: string;
+}
+
 export interface ApiError {
   success: false;
   error: string;
@@ -34,15 +134,28 @@ export interface ApiError {
 
 class ApiService {
   private getAuthHeaders() {
-    const token = localStorage.getItem('auth_token');
+    const token = getAccessToken();
     return {
       'Content-Type': 'application/json',
       ...(token && { 'Authorization': `Bearer ${token}` })
     };
   }
 
-  async login(credentials: LoginCredentials): Promise<AuthResponse> {
-    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+  // JSON request that throws the server's message on failure
+  private async request<T>(path: string, init: RequestInit, fallbackMessage: string): Promise<T> {
+    const response = await authFetch(`${API_BASE_URL}${path}`, init);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || fallbackMessage);
+    }
+
+    return data;
+  }
+
+  // Logins send credentials so the browser keeps the refresh token cookie
+  async login(credentials: LoginCredentials): Promise<LoginResponse> {
+    const response = await authFetch(`${API_BASE_URL}/auth/login`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -59,8 +172,109 @@ class ApiService {
     return data;
   }
 
+  async verifyTwoFactorLogin(challengeToken: string, credentials: TwoFactorCredentials): Promise<AuthResponse> {
+    return this.request('/auth/login/2fa', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken, ...credentials })
+    }, 'Verification failed');
+  }
+
+  async startTwoFactorLoginSetup(challengeToken: string): Promise<{ success: boolean; data: TwoFactorSetup }> {
+    return this.request('/auth/login/2fa/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken })
+    }, 'Failed to start two-factor setup');
+  }
+
+  async getSsoProviders(): Promise<{ success: boolean; data: { providers: SsoProvider[] } }> {
+    return this.request('/auth/sso/providers', { method: 'GET' }, 'Failed to load sign-in providers');
+  }
+
+  // The browser leaves the app for the provider, which sends it back to /login/sso
+  getSsoLoginUrl(providerId: string, returnTo = '/dashboard'): string {
+    return `${API_BASE_URL}/auth/sso/${encodeURIComponent(providerId)}/login?returnTo=${encodeURIComponent(returnTo)}`;
+  }
+
+  // Trade the handoff token from /login/sso for a session; may ask for two-factor like login()
+  async loginWithSso(ssoToken: string): Promise<LoginResponse> {
+    return this.request('/auth/login/sso', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ssoToken })
+    }, 'Single sign-on failed');
+  }
+
+  async getTwoFactorStatus(): Promise<{ success: boolean; data: TwoFactorStatus }> {
+    return this.request('/auth/2fa', { method: 'GET', headers: this.getAuthHeaders() }, 'Failed to load two-factor status');
+  }
+
+  async startTwoFactorSetup(): Promise<{ success: boolean; data: TwoFactorSetup }> {
+    return this.request('/auth/2fa/setup', { method: 'POST', headers: this.getAuthHeaders() }, 'Failed to start two-factor setup');
+  }
+
+  async enableTwoFactor(code: string): Promise<{ success: boolean; message: string; data: { recoveryCodes: string[] } }> {
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ code })
+    }, 'Failed to enable two-factor authentication');
+  }
+
+  async disableTwoFactor(password: string, credentials: TwoFactorCredentials): Promise<{ success: boolean; message: string }> {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ password, ...credentials })
+    }, 'Failed to disable two-factor authentication');
+  }
+
+  async regenerateRecoveryCodes(code: string): Promise<{ success: boolean; message: string; data: { recoveryCodes: string[] } }> {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ code })
+    }, 'Failed to generate recovery codes');
+  }
+
+  async getTwoFactorPolicy(): Promise<{ success: boolean; data: TwoFactorPolicy }> {
+    return this.request('/auth/2fa/policy', { method: 'GET', headers: this.getAuthHeaders() }, 'Failed to load two-factor policy');
+  }
+
+  async updateTwoFactorPolicy(requireForSuperAdmins: boolean): Promise<{ success: boolean; message: string; data: TwoFactorPolicy }> {
+    return this.request('/auth/2fa/policy', {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ requireForSuperAdmins })
+    }, 'Failed to update two-factor policy');
+  }
+
+  async getSessions(): Promise<{ success: boolean; data: { sessions: UserSessionInfo[]; count: number } }> {
+    return this.request('/auth/sessions', { method: 'GET', headers: this.getAuthHeaders() }, 'Failed to load sessions');
+  }
+
+  // Sessions of every user (security.manage)
+  async getAllSessions(params: { page?: number; limit?: number; search?: string } = {}): Promise<{ success: boolean; data: SessionPage }> {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, String(value));
+    });
+
+    return this.request(`/auth/sessions/all?${query.toString()}`, { method: 'GET', headers: this.getAuthHeaders() }, 'Failed to load sessions');
+  }
+
+  async revokeSession(sessionId: number): Promise<{ success: boolean; message: string }> {
+    return this.request(`/auth/sessions/${sessionId}`, { method: 'DELETE', headers: this.getAuthHeaders() }, 'Failed to revoke session');
+  }
+
+  // Every session of the current user except this one
+  async revokeOtherSessions(): Promise<{ success: boolean; message: string; data: { revokedCount: number } }> {
+    return this.request('/auth/sessions', { method: 'DELETE', headers: this.getAuthHeaders() }, 'Failed to revoke sessions');
+  }
+
   async logout(): Promise<void> {
-    const response = await fetch(`${API_BASE_URL}/auth/logout`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/logout`, {
       method: 'POST',
       headers: this.getAuthHeaders()
     });
@@ -71,7 +285,7 @@ class ApiService {
   }
 
   async getProfile(): Promise<AuthResponse> {
-    const response = await fetch(`${API_BASE_URL}/auth/profile`, {
+    const response = await authFetch(`${API_BASE_URL}/auth/profile`, {
       method: 'GET',
       headers: this.getAuthHeaders()
     });
@@ -85,20 +299,60 @@ class ApiService {
     return data;
   }
 
-  async refreshToken(): Promise<AuthResponse> {
-    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+  async changePassword(payload: ChangePasswordPayload): Promise<{ success: boolean; message: string; data: { user: AuthResponse['data']['user'] } }> {
+    const response = await authFetch(`${API_BASE_URL}/auth/change-password`, {
       method: 'POST',
-      headers: this.getAuthHeaders()
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(payload)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      // Strength failures list every unmet rule
+      const details = Array.isArray(data.errors) ? ` ${data.errors.join('. ')}.` : '';
+      throw new Error((data.message || 'Failed to change password') + details);
+    }
+
+    return data;
+  }
+
+  // Same response whether or not the account exists
+  async requestPasswordReset(identifier: string): Promise<{ success: boolean; message: string }> {
+    return this.request('/auth/forgot-password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ identifier })
+    }, 'Failed to request password reset');
+  }
+
+  async resetPassword(payload: ResetPasswordPayload): Promise<{ success: boolean; message: string }> {
+    const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
     });
 
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || 'Token refresh failed');
+      const details = Array.isArray(data.errors) ? ` ${data.errors.join('. ')}.` : '';
+      throw new Error((data.message || 'Failed to reset password') + details);
     }
 
     return data;
   }
+
+  // The refresh token is an httpOnly cookie; the server rotates it on every call
+  async refreshToken(): Promise<AuthResponse['data']> {
+    const session = await refreshSession();
+
+    if (!session) {
+      throw new Error('Your session has ended, please log in again');
+    }
+
+    return session;
+  }
 }
 
 export const apiService = new ApiService();
\ No newline at end of file
@@ -0,0 +1,98 @@
+import type { AuthResponse } from './api';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+// Set while signed in so a reload knows the (unreadable) refresh cookie is worth trying
+const SESSION_HINT_KEY = 'auth_session_active';
+
+export type SessionData = AuthResponse['data'];
+
+// The access token lives in memory only, out of reach of anything reading localStorage.
+// The refresh token is an httpOnly cookie the browser sends to /auth/refresh.
+let accessToken: string | null = null;
+let pendingRefresh: Promise<SessionData | null> | null = null;
+const listeners = new Set<(session: SessionData | null) => void>();
+
+// Tokens kept by earlier versions of the app
+localStorage.removeItem('auth_token');
+localStorage.removeItem('auth_user');
+localStorage.removeItem('auth_session_expiry');
+
+export const getAccessToken = () => accessToken;
+
+export const setAccessToken = (token: string | null) => {
+  accessToken = token;
+
+  if (token) {
+    localStorage.setItem(SESSION_HINT_KEY, '1');
+  } else {
+    localStorage.removeItem(SESSION_HINT_KEY);
+  }
+};
+
+export const hasSessionHint = () => localStorage.getItem(SESSION_HINT_KEY) === '1';
+
+// Told about every refresh: the new session data, or null once the session is gone
+export const onSessionRefresh = (listener: (session: SessionData | null) => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+const requestRefresh = async (): Promise<SessionData | null> => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const result: AuthResponse = await response.json();
+    return result.data;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Trade the refresh cookie for a new access token. Concurrent callers share one request:
+ * each refresh token works once, and apart from a few seconds' grace for other tabs the
+ * server treats a second use as theft.
+ */
+export const refreshSession = (): Promise<SessionData | null> => {
+  if (!pendingRefresh) {
+    pendingRefresh = requestRefresh().then((session) => {
+      setAccessToken(session ? session.token : null);
+      listeners.forEach((listener) => listener(session));
+      return session;
+    }).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+
+  return pendingRefresh;
+};
+
+// fetch with the access token; an expired token is refreshed once and the request repeated
+export const authFetch = async (url: string, init: RequestInit = {}): Promise<Response> => {
+  const send = () => {
+    const headers = new Headers(init.headers);
+    if (accessToken) {
+      headers.set('Authorization', `Bearer ${accessToken}`);
+    }
+
+    return fetch(url, { ...init, headers, credentials: 'include' });
+  };
+
+  const response = await send();
+
+  if (response.status === 401 && accessToken && await refreshSession()) {
+    return send();
+  }
+
+  return response;
+};
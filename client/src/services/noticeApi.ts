@@ -1,7 +1,29 @@
 import { apiService } from './api';
+import { authFetch, getAccessToken } from './authSession';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
+export interface NoticeCategory {
+  id: number;
+  name: string;
+  slug: string;
+  type: 'topic' | 'department';
+}
+
+export interface Category extends NoticeCategory {
+  description: string | null;
+  sortOrder: number;
+  isActive?: boolean;
+  noticeCount?: number;
+}
+
+export interface NoticePlacement {
+  pinned: boolean;
+  featured: boolean;
+  pinnedUntil: string | null;
+  pinOrder: number;
+}
+
 export interface Notice {
   id: number;
   title: string;
@@ -14,16 +36,43 @@ export interface Notice {
     type?: string;
   }> | null;
   priority: 'low' | 'medium' | 'high';
-  status: 'draft' | 'published';
+  status: 'draft' | 'pending_review' | 'changes_requested' | 'approved' | 'published' | 'archived';
   slug: string;
   createdBy: number;
   creatorName: string;
   creatorUsername: string;
+  reviewerId?: number | null;
+  reviewerName?: string | null;
+  reviewerUsername?: string | null;
+  submittedForReviewAt?: string | null;
+  approvedBy?: number | null;
+  approvedAt?: string | null;
   publishedAt: string | null;
+  publishAt: string | null;
+  expiresAt: string | null;
+  eventStart?: string | null;
+  eventEnd?: string | null;
+  eventLocation?: string | null;
+  eventAllDay?: boolean;
+  isPinned?: boolean;
+  isFeatured?: boolean;
+  pinnedUntil?: string | null;
+  pinOrder?: number;
+  deletedAt?: string | null;
+  deletedBy?: number | null;
+  deletedByUsername?: string | null;
+  language?: 'en' | 'si' | 'ta';
+  translations?: Array<{
+    language: 'en' | 'si' | 'ta';
+    title: string;
+    description: string;
+    updatedAt?: string;
+  }>;
   createdAt: string;
   updatedAt: string;
   viewCount?: number;
   uniqueViewers?: number;
+  categories?: NoticeCategory[];
 }
 
 export interface NoticeFilters {
@@ -32,6 +81,7 @@ export interface NoticeFilters {
   status?: string;
   priority?: string;
   search?: string;
+  category?: string;
   createdBy?: number;
   sortBy?: string;
   sortOrder?: 'ASC' | 'DESC';
@@ -59,9 +109,116 @@ export interface PaginatedResponse<T> {
   timestamp: string;
 }
 
+export interface NoticeRevisionSummary {
+  id: number;
+  noticeId: number;
+  revisionNumber: number;
+  title: string;
+  status: Notice['status'];
+  editedBy: number | null;
+  editorUsername: string | null;
+  editorName: string | null;
+  changeSummary: string | null;
+  createdAt: string;
+}
+
+export interface NoticeRevision extends NoticeRevisionSummary {
+  description: string;
+  imageUrl: string | null;
+  files: Notice['files'];
+  priority: Notice['priority'];
+}
+
+export interface NoticeRevisionDiff {
+  from: NoticeRevisionSummary;
+  to: NoticeRevisionSummary;
+  fields: Record<'title' | 'priority' | 'status' | 'imageUrl', { from: string | null; to: string | null; changed: boolean }>;
+  files: {
+    added: NonNullable<Notice['files']>;
+    removed: NonNullable<Notice['files']>;
+  };
+  description: {
+    changes: Array<{ type: 'equal' | 'added' | 'removed'; value: string }>;
+    added: number;
+    removed: number;
+  };
+}
+
+export interface NoticeReview {
+  id: number;
+  noticeId: number;
+  action: 'submitted' | 'assigned' | 'approved' | 'changes_requested' | 'commented' | 'approval_withdrawn';
+  comment: string | null;
+  createdAt: string;
+  user: { id: number; username: string; fullName: string } | null;
+}
+
+export type BulkNoticeAction = 'publish' | 'unpublish' | 'delete' | 'priority' | 'category';
+
+export interface BulkNoticeRequest {
+  action: BulkNoticeAction;
+  noticeIds: number[];
+  priority?: Notice['priority'];
+  categoryId?: number;
+}
+
+export interface BulkNoticeResult {
+  id: number;
+  status: 'updated' | 'deleted' | 'skipped' | 'failed';
+  reason?: string;
+  message: string;
+  notice?: Notice;
+}
+
+export interface BulkNoticeSummary {
+  requested: number;
+  succeeded: number;
+  skipped: number;
+  failed: number;
+}
+
+// A notice in the trash; purgeAt is when the scheduler removes it for good
+export interface TrashedNotice extends Notice {
+  deletedAt: string;
+  purgeAt: string;
+}
+
+export type RecurrenceFrequency = 'weekly' | 'monthly' | 'semester';
+
+// Drafts wait for someone to publish them; scheduled copies publish at their occurrence
+export type RecurrenceMode = 'draft' | 'scheduled';
+
+export interface NoticeRecurrenceInput {
+  frequency: RecurrenceFrequency;
+  mode: RecurrenceMode;
+  startsAt: string;
+  leadDays: number;
+  endsAt?: string | null;
+  copyAttachments: boolean;
+}
+
+export interface NoticeRecurrence extends NoticeRecurrenceInput {
+  id: number;
+  noticeId: number;
+  nextRunAt: string;
+  isActive: boolean;
+  lastRunAt?: string | null;
+  lastNotice?: { id: number; title: string | null } | null;
+  createdBy: number;
+  creatorUsername?: string | null;
+  updatedAt: string;
+}
+
+export interface Reviewer {
+  id: number;
+  username: string;
+  fullName: string;
+  role: string;
+}
+
 class NoticeService {
   private getHeaders() {
-    const token = localStorage.getItem('auth_token');
+    const token = getAccessToken();
     return {
       'Content-Type': 'application/json',
       ...(token && { 'Authorization': `Bearer ${token}` })
@@ -76,6 +233,7 @@ class NoticeService {
     if (filters.status) queryParams.append('status', filters.status);
     if (filters.priority) queryParams.append('priority', filters.priority);
     if (filters.search) queryParams.append('search', filters.search);
+    if (filters.category) queryParams.append('category', filters.category);
     if (filters.createdBy) queryParams.append('createdBy', filters.createdBy.toString());
     if (filters.sortBy) queryParams.append('sortBy', filters.sortBy);
     if (filters.sortOrder) queryParams.append('sortOrder', filters.sortOrder);
@@ -84,7 +242,7 @@ class NoticeService {
     // Add showOnlyOwnDrafts parameter
     queryParams.append('showOnlyOwnDrafts', 'true');
 
-    const response = await fetch(`${API_BASE_URL}/notices?${queryParams.toString()}`, {
+    const response = await authFetch(`${API_BASE_URL}/notices?${queryParams.toString()}`, {
       method: 'GET',
       headers: this.getHeaders()
     });
@@ -98,7 +256,7 @@ class NoticeService {
   }
 
   async getNoticeById(id: string | number): Promise<{ success: boolean; data: { notice: Notice } }> {
-    const response = await fetch(`${API_BASE_URL}/notices/${id}?includeStats=true`, {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}?includeStats=true`, {
       method: 'GET',
       headers: this.getHeaders()
     });
@@ -112,10 +270,10 @@ class NoticeService {
   }
 
   async createNotice(noticeData: FormData): Promise<{ success: boolean; data: { notice: Notice } }> {
-    const response = await fetch(`${API_BASE_URL}/notices`, {
+    const response = await authFetch(`${API_BASE_URL}/notices`, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        'Authorization': `Bearer ${getAccessToken()}`
       },
       body: noticeData
     });
@@ -129,10 +287,10 @@ class NoticeService {
   }
 
   async updateNotice(id: string | number, noticeData: FormData): Promise<{ success: boolean; data: { notice: Notice } }> {
-    const response = await fetch(`${API_BASE_URL}/notices/${id}`, {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}`, {
       method: 'PUT',
       headers: {
-        'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        'Authorization': `Bearer ${getAccessToken()}`
       },
       body: noticeData
     });
@@ -145,8 +303,9 @@ class NoticeService {
     return await response.json();
   }
 
-  async deleteNotice(id: string | number): Promise<{ success: boolean; data: { deletedNotice: { id: number; title: string } } }> {
-    const response = await fetch(`${API_BASE_URL}/notices/${id}`, {
+  async deleteNotice(id: string | number):
+    Promise<{ success: boolean; message: string; data: { deletedNotice: { id: number; title: string; deletedAt: string; purgeAt: string } } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}`, {
       method: 'DELETE',
       headers: this.getHeaders()
     });
@@ -159,8 +318,40 @@ class NoticeService {
     return await response.json();
   }
 
+  async getTrash(page = 1, limit = 20, search?: string):
+    Promise<{ success: boolean; data: { notices: TrashedNotice[]; pagination: PaginatedResponse<Notice>['data']['pagination']; retentionDays: number } }> {
+    const queryParams = new URLSearchParams({ page: page.toString(), limit: limit.toString() });
+    if (search) queryParams.append('search', search);
+
+    const response = await authFetch(`${API_BASE_URL}/notices/trash?${queryParams.toString()}`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to fetch the trash');
+    }
+
+    return await response.json();
+  }
+
+  async restoreNotice(id: string | number): Promise<{ success: boolean; message: string; data: { notice: Notice } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/restore`, {
+      method: 'POST',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to restore notice with ID ${id}`);
+    }
+
+    return await response.json();
+  }
+
   async publishNotice(id: string | number): Promise<{ success: boolean; data: { notice: Notice } }> {
-    const response = await fetch(`${API_BASE_URL}/notices/${id}/publish`, {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/publish`, {
       method: 'POST',
       headers: this.getHeaders()
     });
@@ -174,7 +365,7 @@ class NoticeService {
   }
 
   async unpublishNotice(id: string | number): Promise<{ success: boolean; data: { notice: Notice } }> {
-    const response = await fetch(`${API_BASE_URL}/notices/${id}/unpublish`, {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/unpublish`, {
       method: 'POST',
       headers: this.getHeaders()
     });
@@ -187,6 +378,280 @@ class NoticeService {
     return await response.json();
   }
 
+  async pinNotice(id: string | number, placement: NoticePlacement): Promise<{ success: boolean; message: string; data: { notice: Notice } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/pin`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify(placement)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to update placement of notice ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async duplicateNotice(id: string | number, options: { title?: string; copyAttachments?: boolean } = {}):
+    Promise<{ success: boolean; message: string; data: { notice: Notice; sourceNoticeId: number } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/duplicate`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(options)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to duplicate notice with ID ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async getRecurrence(id: string | number): Promise<{ success: boolean; data: { recurrence: NoticeRecurrence | null } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/recurrence`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to fetch recurrence of notice ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async saveRecurrence(id: string | number, recurrence: NoticeRecurrenceInput):
+    Promise<{ success: boolean; message: string; data: { recurrence: NoticeRecurrence } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/recurrence`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify(recurrence)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to save recurrence of notice ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async deleteRecurrence(id: string | number): Promise<{ success: boolean; message: string }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/recurrence`, {
+      method: 'DELETE',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to remove recurrence of notice ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async bulkUpdateNotices(request: BulkNoticeRequest):
+    Promise<{ success: boolean; message: string; data: { action: BulkNoticeAction; results: BulkNoticeResult[]; summary: BulkNoticeSummary } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/bulk`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(request)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to update the selected notices');
+    }
+
+    return await response.json();
+  }
+
+  async getRevisions(id: string | number, page = 1, limit = 20):
+    Promise<{ success: boolean; data: { revisions: NoticeRevisionSummary[]; pagination: { currentPage: number; totalPages: number; totalItems: number; itemsPerPage: number } } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/revisions?page=${page}&limit=${limit}`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to fetch revisions for notice ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async getRevision(id: string | number, revisionNumber: number): Promise<{ success: boolean; data: { revision: NoticeRevision } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/revisions/${revisionNumber}`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to fetch revision ${revisionNumber}`);
+    }
+
+    return await response.json();
+  }
+
+  async diffRevisions(id: string | number, from: number, to?: number): Promise<{ success: boolean; data: { diff: NoticeRevisionDiff } }> {
+    const queryParams = new URLSearchParams({ from: from.toString() });
+    if (to) queryParams.append('to', to.toString());
+
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/revisions/diff?${queryParams}`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to compare revisions');
+    }
+
+    return await response.json();
+  }
+
+  async restoreRevision(id: string | number, revisionNumber: number): Promise<{ success: boolean; data: { notice: Notice } }> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${id}/revisions/${revisionNumber}/restore`, {
+      method: 'POST',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to restore revision ${revisionNumber}`);
+    }
+
+    return await response.json();
+  }
+
+  // Shared by the approval workflow actions, which all POST/PUT a small JSON body
+  private async reviewRequest<T>(path: string, method: 'GET' | 'POST' | 'PUT', fallbackError: string, body?: object): Promise<T> {
+    const response = await authFetch(`${API_BASE_URL}/notices/${path}`, {
+      method,
+      headers: this.getHeaders(),
+      ...(body && { body: JSON.stringify(body) })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || fallbackError);
+    }
+
+    return await response.json();
+  }
+
+  async getReviewers(): Promise<{ success: boolean; data: { workflowEnabled: boolean; reviewers: Reviewer[] } }> {
+    return this.reviewRequest('reviewers', 'GET', 'Failed to fetch reviewers');
+  }
+
+  async getReviewQueue(): Promise<{ success: boolean; data: { notices: Notice[] } }> {
+    return this.reviewRequest('review-queue', 'GET', 'Failed to fetch the review queue');
+  }
+
+  async submitForReview(id: string | number, reviewerId?: number | null, comment?: string): Promise<{ success: boolean; data: { notice: Notice } }> {
+    return this.reviewRequest(`${id}/submit-review`, 'POST', 'Failed to submit notice for review', { reviewerId: reviewerId || null, comment });
+  }
+
+  async assignReviewer(id: string | number, reviewerId: number | null): Promise<{ success: boolean; data: { notice: Notice } }> {
+    return this.reviewRequest(`${id}/reviewer`, 'PUT', 'Failed to assign reviewer', { reviewerId });
+  }
+
+  async approveNotice(id: string | number, comment?: string): Promise<{ success: boolean; data: { notice: Notice } }> {
+    return this.reviewRequest(`${id}/approve`, 'POST', 'Failed to approve notice', { comment });
+  }
+
+  async requestChanges(id: string | number, comment: string): Promise<{ success: boolean; data: { notice: Notice } }> {
+    return this.reviewRequest(`${id}/request-changes`, 'POST', 'Failed to request changes', { comment });
+  }
+
+  async getReviews(id: string | number): Promise<{ success: boolean; data: { reviews: NoticeReview[] } }> {
+    return this.reviewRequest(`${id}/reviews`, 'GET', `Failed to fetch review history for notice ${id}`);
+  }
+
+  async addReviewComment(id: string | number, comment: string): Promise<{ success: boolean; data: { review: NoticeReview } }> {
+    return this.reviewRequest(`${id}/reviews`, 'POST', 'Failed to add comment', { comment });
+  }
+
+  async getPublicCategories(type?: 'topic' | 'department'): Promise<{ success: boolean; data: { categories: Category[] } }> {
+    const queryParams = new URLSearchParams();
+    if (type) queryParams.append('type', type);
+
+    const response = await authFetch(`${API_BASE_URL}/public/categories?${queryParams}`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to fetch categories');
+    }
+
+    return await response.json();
+  }
+
+  async getCategories(includeInactive = false): Promise<{ success: boolean; data: { categories: Category[] } }> {
+    const response = await authFetch(`${API_BASE_URL}/categories?includeInactive=${includeInactive}`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to fetch categories');
+    }
+
+    return await response.json();
+  }
+
+  async createCategory(categoryData: Partial<Category>): Promise<{ success: boolean; data: { category: Category } }> {
+    const response = await authFetch(`${API_BASE_URL}/categories`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(categoryData)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to create category');
+    }
+
+    return await response.json();
+  }
+
+  async updateCategory(id: number, categoryData: Partial<Category>): Promise<{ success: boolean; data: { category: Category } }> {
+    const response = await authFetch(`${API_BASE_URL}/categories/${id}`, {
+      method: 'PUT',
+      headers: this.getHeaders(),
+      body: JSON.stringify(categoryData)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to update category with ID ${id}`);
+    }
+
+    return await response.json();
+  }
+
+  async deleteCategory(id: number): Promise<{ success: boolean; data: { deletedCategory: { id: number; name: string } } }> {
+    const response = await authFetch(`${API_BASE_URL}/categories/${id}`, {
+      method: 'DELETE',
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `Failed to delete category with ID ${id}`);
+    }
+
+    return await response.json();
+  }
+
   async searchNotices(query: string, options: { page?: number; limit?: number; published_only?: boolean } = {}): 
     Promise<{ success: boolean; data: { notices: Notice[]; pagination: any; searchQuery: string } }> {
     const queryParams = new URLSearchParams({
@@ -196,7 +661,7 @@ class NoticeService {
       ...(options.published_only !== undefined && { published_only: options.published_only.toString() })
     });
 
-    const response = await fetch(`${API_BASE_URL}/notices/search?${queryParams}`, {
+    const response = await authFetch(`${API_BASE_URL}/notices/search?${queryParams}`, {
       method: 'GET',
       headers: this.getHeaders()
     });
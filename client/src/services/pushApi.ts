@@ -0,0 +1,77 @@
+import { SubscriptionPreferences } from '@/services/subscriptionApi';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+export type PushPreferences = Pick<SubscriptionPreferences, 'minPriority' | 'categoryIds'>;
+
+export interface PushConfig {
+  enabled: boolean;
+  publicKey: string | null;
+}
+
+interface PushSubscriptionResponse {
+  success: boolean;
+  message: string;
+  data: {
+    subscription: PushPreferences & { createdAt: string };
+  };
+}
+
+class PushService {
+  private async request<T>(path: string, options: RequestInit, fallbackMessage: string): Promise<T> {
+    const response = await fetch(`${API_BASE_URL}/push${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const validationMessage = Array.isArray(result.errors) ? result.errors[0]?.message : undefined;
+      throw new Error(validationMessage || result.message || fallbackMessage);
+    }
+
+    return result;
+  }
+
+  async getConfig(): Promise<PushConfig> {
+    const result = await this.request<{ data: PushConfig }>('/public-key', {
+      method: 'GET'
+    }, 'Failed to load push configuration');
+
+    return result.data;
+  }
+
+  async subscribe(subscription: PushSubscription, preferences: PushPreferences): Promise<PushSubscriptionResponse> {
+    return this.request('/subscriptions', {
+      method: 'POST',
+      body: JSON.stringify({ subscription: subscription.toJSON(), ...preferences })
+    }, 'Failed to enable push notifications');
+  }
+
+  // Resolves to null when the server no longer knows this endpoint
+  async getPreferences(endpoint: string): Promise<PushPreferences | null> {
+    try {
+      const result = await this.request<PushSubscriptionResponse>('/subscriptions/lookup', {
+        method: 'POST',
+        body: JSON.stringify({ endpoint })
+      }, 'Failed to load push preferences');
+
+      return {
+        minPriority: result.data.subscription.minPriority,
+        categoryIds: result.data.subscription.categoryIds
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  async unsubscribe(endpoint: string): Promise<{ success: boolean; message: string }> {
+    return this.request('/subscriptions/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ endpoint })
+    }, 'Failed to disable push notifications');
+  }
+}
+
+export const pushService = new PushService();
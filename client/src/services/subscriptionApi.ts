@@ -0,0 +1,79 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+export type SubscriptionFrequency = 'instant' | 'daily' | 'weekly';
+
+export interface SubscriptionPreferences {
+  minPriority: 'low' | 'medium' | 'high';
+  frequency: SubscriptionFrequency;
+  categoryIds: number[];
+}
+
+export interface Subscription extends SubscriptionPreferences {
+  email: string;
+  status: 'pending' | 'active' | 'unsubscribed';
+  confirmedAt: string | null;
+  createdAt: string;
+}
+
+interface SubscriptionResponse {
+  success: boolean;
+  message: string;
+  data: {
+    subscription: Subscription;
+    manageToken?: string;
+  };
+}
+
+class SubscriptionService {
+  private async request<T>(path: string, options: RequestInit, fallbackMessage: string): Promise<T> {
+    const response = await fetch(`${API_BASE_URL}/subscriptions${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const validationMessage = Array.isArray(result.errors) ? result.errors[0]?.message : undefined;
+      throw new Error(validationMessage || result.message || fallbackMessage);
+    }
+
+    return result;
+  }
+
+  async subscribe(email: string, preferences: SubscriptionPreferences): Promise<{ success: boolean; message: string }> {
+    return this.request('', {
+      method: 'POST',
+      body: JSON.stringify({ email, ...preferences })
+    }, 'Failed to subscribe');
+  }
+
+  async confirm(token: string): Promise<SubscriptionResponse> {
+    return this.request('/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    }, 'Failed to confirm subscription');
+  }
+
+  async getPreferences(token: string): Promise<SubscriptionResponse> {
+    return this.request(`/manage?token=${encodeURIComponent(token)}`, {
+      method: 'GET'
+    }, 'Failed to load subscription');
+  }
+
+  async updatePreferences(token: string, preferences: SubscriptionPreferences): Promise<SubscriptionResponse> {
+    return this.request('/manage', {
+      method: 'PUT',
+      body: JSON.stringify({ token, ...preferences })
+    }, 'Failed to save preferences');
+  }
+
+  async unsubscribe(token: string): Promise<SubscriptionResponse> {
+    return this.request('/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    }, 'Failed to unsubscribe');
+  }
+}
+
+export const subscriptionService = new SubscriptionService();
@@ -0,0 +1,136 @@
+import { authFetch, getAccessToken } from './authSession';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+export type TemplateFieldType = 'text' | 'date' | 'time' | 'location' | 'course_code';
+
+// A {{key}} placeholder of the template body, filled in through a form field
+export interface TemplateField {
+  key: string;
+  label: string;
+  type: TemplateFieldType;
+  required: boolean;
+}
+
+export interface NoticeTemplate {
+  id: number;
+  name: string;
+  description: string | null;
+  department: { id: number; name: string } | null; // null: shared by every department
+  body: string;
+  fields: TemplateField[];
+  defaultPriority: 'low' | 'medium' | 'high' | null;
+  defaultCategory: { id: number; name: string } | null;
+  usageCount: number;
+  lastUsedAt: string | null;
+  isActive: boolean;
+  createdBy: number | null;
+  creatorUsername: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TemplatePayload {
+  name: string;
+  description: string | null;
+  departmentId: number | null;
+  body: string;
+  fields: TemplateField[];
+  defaultPriority: 'low' | 'medium' | 'high' | null;
+  defaultCategoryId: number | null;
+  isActive: boolean;
+}
+
+// Notice content produced from a template
+export interface AppliedTemplate {
+  description: string;
+  priority: 'low' | 'medium' | 'high' | null;
+  categoryIds: number[];
+}
+
+interface TemplateListResponse {
+  success: boolean;
+  message: string;
+  data: {
+    templates: NoticeTemplate[];
+  };
+}
+
+interface TemplateResponse {
+  success: boolean;
+  message: string;
+  data: {
+    template: NoticeTemplate;
+  };
+}
+
+interface ApplyTemplateResponse {
+  success: boolean;
+  message: string;
+  data: {
+    template: NoticeTemplate;
+    content: AppliedTemplate;
+  };
+}
+
+class TemplateService {
+  private getHeaders() {
+    const token = getAccessToken();
+    return {
+      'Content-Type': 'application/json',
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    };
+  }
+
+  private async request<T>(path: string, options: RequestInit, fallbackMessage: string): Promise<T> {
+    const response = await authFetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: this.getHeaders()
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const firstError = Array.isArray(result.errors) ? result.errors[0] : undefined;
+      throw new Error(firstError?.message || result.message || fallbackMessage);
+    }
+
+    return result;
+  }
+
+  async getTemplates(includeInactive = false): Promise<TemplateListResponse> {
+    const query = includeInactive ? '?includeInactive=true' : '';
+    return this.request(`/templates${query}`, { method: 'GET' }, 'Failed to fetch templates');
+  }
+
+  async getTemplate(id: number): Promise<TemplateResponse> {
+    return this.request(`/templates/${id}`, { method: 'GET' }, 'Failed to fetch template');
+  }
+
+  async createTemplate(payload: TemplatePayload): Promise<TemplateResponse> {
+    return this.request('/templates', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    }, 'Failed to create template');
+  }
+
+  async updateTemplate(id: number, payload: Partial<TemplatePayload>): Promise<TemplateResponse> {
+    return this.request(`/templates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(payload)
+    }, 'Failed to update template');
+  }
+
+  async deleteTemplate(id: number): Promise<{ success: boolean; message: string }> {
+    return this.request(`/templates/${id}`, { method: 'DELETE' }, 'Failed to delete template');
+  }
+
+  async applyTemplate(id: number, values: Record<string, string>): Promise<ApplyTemplateResponse> {
+    return this.request(`/templates/${id}/apply`, {
+      method: 'POST',
+      body: JSON.stringify({ values })
+    }, 'Failed to apply template');
+  }
+}
+
+export const templateService = new TemplateService();
@@ -0,0 +1,170 @@
+import { authFetch, getAccessToken } from './authSession';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+
+// Roles are configurable; super_admin and admin are built in
+export type UserRole = string;
+
+export interface Role {
+  name: string;
+  displayName: string;
+  description: string | null;
+  isSystem: boolean;
+  permissions: string[];
+  userCount?: number;
+}
+
+export interface ManagedUser {
+  id: number;
+  username: string;
+  email: string;
+  role: UserRole;
+  fullName: string | null;
+  canApprove: boolean;
+  isActive: boolean;
+  disabledAt: string | null;
+  passwordChangedAt: string | null;
+  noticeCount: number;
+  departments: Array<{ id: number; name: string; slug: string }>;
+  ssoProviders: string[]; // Identity providers the account signs in with, e.g. ['oidc']
+  twoFactorEnabled: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface UserFilters {
+  page?: number;
+  limit?: number;
+  search?: string;
+  role?: UserRole;
+  status?: 'active' | 'disabled';
+  sortBy?: 'username' | 'email' | 'role' | 'full_name' | 'is_active' | 'created_at';
+  sortOrder?: 'ASC' | 'DESC';
+}
+
+export interface UserPayload {
+  username: string;
+  email: string;
+  fullName: string;
+  role: UserRole;
+  canApprove: boolean;
+  departmentIds: number[];
+}
+
+export interface CreateUserPayload extends UserPayload {
+  password: string;
+}
+
+interface UserListResponse {
+  success: boolean;
+  message: string;
+  data: {
+    users: ManagedUser[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      totalPages: number;
+    };
+  };
+}
+
+interface UserResponse {
+  success: boolean;
+  message: string;
+  data: {
+    user: ManagedUser;
+  };
+}
+
+interface RoleListResponse {
+  success: boolean;
+  message: string;
+  data: {
+    roles: Role[];
+  };
+}
+
+interface ActionResponse {
+  success: boolean;
+  message: string;
+  data: {
+    sessionsRevoked?: number;
+    noticesTransferred?: number;
+  };
+}
+
+class UserService {
+  private getHeaders() {
+    const token = getAccessToken();
+    return {
+      'Content-Type': 'application/json',
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    };
+  }
+
+  private async request<T>(path: string, options: RequestInit, fallbackMessage: string): Promise<T> {
+    const response = await authFetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: this.getHeaders()
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Route validation sends { field, message } objects, the user service plain strings
+      const firstError = Array.isArray(result.errors) ? result.errors[0] : undefined;
+      const validationMessage = typeof firstError === 'string' ? firstError : firstError?.message;
+      throw new Error(validationMessage || result.message || fallbackMessage);
+    }
+
+    return result;
+  }
+
+  async getUsers(filters: UserFilters = {}): Promise<UserListResponse> {
+    const queryParams = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        queryParams.append(key, value.toString());
+      }
+    });
+
+    return this.request(`/users?${queryParams.toString()}`, { method: 'GET' }, 'Failed to fetch users');
+  }
+
+  async createUser(payload: CreateUserPayload): Promise<UserResponse> {
+    return this.request('/users', {
+      method: 'POST',
+      body: JSON.stringify(payload)
+    }, 'Failed to create user');
+  }
+
+  async updateUser(id: number, payload: Partial<UserPayload>): Promise<UserResponse> {
+    return this.request(`/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(payload)
+    }, 'Failed to update user');
+  }
+
+  async setUserStatus(id: number, isActive: boolean): Promise<UserResponse & ActionResponse> {
+    return this.request(`/users/${id}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ isActive })
+    }, 'Failed to change the account status');
+  }
+
+  async forceLogout(id: number): Promise<ActionResponse> {
+    return this.request(`/users/${id}/logout`, { method: 'POST' }, 'Failed to sign the user out');
+  }
+
+  async deleteUser(id: number, transferTo?: number): Promise<ActionResponse> {
+    const query = transferTo ? `?transferTo=${transferTo}` : '';
+    return this.request(`/users/${id}${query}`, { method: 'DELETE' }, 'Failed to delete user');
+  }
+
+  async getRoles(): Promise<RoleListResponse> {
+    return this.request('/roles', { method: 'GET' }, 'Failed to fetch roles');
+  }
+}
+
+export const userService = new UserService();
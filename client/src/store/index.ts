@@ -1,5 +1,6 @@
 import { configureStore } from '@reduxjs/toolkit';
-import authSlice from './slices/authSlice';
+import authSlice, { clearAuth, sessionRefreshed } from './slices/authSlice';
+import { onSessionRefresh } from '@/services/authSession';
 
 export const store = configureStore({
   reducer: {
@@ -13,5 +14,14 @@ export const store = configureStore({
     }),
 });
 
+// Token renewals by any request keep the user current; a revoked or expired session signs out
+onSessionRefresh((session) => {
+  if (session) {
+    store.dispatch(sessionRefreshed(session));
+  } else if (store.getState().auth.isAuthenticated) {
+    store.dispatch(clearAuth());
+  }
+});
+
 export type RootState = ReturnType<typeof store.getState>;
 export type AppDispatch = typeof store.dispatch;
\ No newline at end of file
@@ -1,12 +1,28 @@
 import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
-import { apiService, LoginCredentials, AuthResponse } from '@/services/api';
+import {
+  apiService,
+  LoginCredentials,
+  AuthResponse,
+  LoginResponse,
+  ChangePasswordPayload,
+  TwoFactorChallenge,
+  TwoFactorCredentials,
+  isTwoFactorChallenge
+} from '@/services/api';
+import { hasSessionHint, refreshSession, setAccessToken } from '@/services/authSession';
 
 interface User {
   id: number;
   username: string;
-  role: 'admin' | 'super_admin'; // Remove 'lecturer'
+  role: string; // Configurable role name, e.g. admin, editor, publisher
   full_name: string; // Match backend field name
   email?: string;
+  canApprove?: boolean; // Designated notice approver
+  permissions?: string[]; // Granted by the role; '*' for super admins
+  departmentIds?: number[]; // Department categories the user manages notices for
+  passwordChangedAt?: string | null;
+  passwordChangeRequired?: boolean; // Expired password: must be changed before using the dashboard
+  passwordExpiresAt?: string | null;
 }
 
 interface AuthState {
@@ -17,6 +33,8 @@ interface AuthState {
   error: string | null;
   lastLoginTime: string | null;
   sessionExpiry: string | null;
+  twoFactorChallenge: TwoFactorChallenge | null; // Password accepted, second step pending
+  recoveryCodes: string[] | null; // Issued by a two-factor setup during login, shown before continuing
 }
 
 const initialState: AuthState = {
@@ -27,6 +45,31 @@ const initialState: AuthState = {
   error: null,
   lastLoginTime: null,
   sessionExpiry: null,
+  twoFactorChallenge: null,
+  recoveryCodes: null,
+};
+
+// The access token stays in memory; the refresh cookie restores it after a reload
+const storeSession = (data: AuthResponse['data']) => {
+  setAccessToken(data.token);
+};
+
+// A password or SSO login either signs in or leaves a two-factor challenge
+const applyLoginResult = (state: AuthState, payload: LoginResponse['data']) => {
+  if (isTwoFactorChallenge(payload)) {
+    state.isLoading = false;
+    state.twoFactorChallenge = payload;
+    state.error = null;
+    return;
+  }
+
+  state.isLoading = false;
+  state.isAuthenticated = true;
+  state.user = payload.user;
+  state.token = payload.token;
+  state.sessionExpiry = payload.session.expiresAt;
+  state.lastLoginTime = new Date().toISOString();
+  state.error = null;
 };
 
 // Async thunks
@@ -35,11 +78,13 @@ export const loginUser = createAsyncThunk(
   async (credentials: LoginCredentials, { rejectWithValue }) => {
     try {
       const response = await apiService.login(credentials);
+
+      // Two-factor accounts get a challenge instead of a token
+      if (isTwoFactorChallenge(response.data)) {
+        return response.data;
+      }
       
-      // Store token in localStorage
-      localStorage.setItem('auth_token', response.data.token);
-      localStorage.setItem('auth_user', JSON.stringify(response.data.user));
-      localStorage.setItem('auth_session_expiry', response.data.session.expiresAt);
+      storeSession(response.data);
       
       return response.data;
     } catch (error) {
@@ -49,6 +94,47 @@ export const loginUser = createAsyncThunk(
   }
 );
 
+// Single sign-on: the callback page hands over the token from the identity provider round trip
+export const loginWithSso = createAsyncThunk(
+  'auth/loginSso',
+  async (ssoToken: string, { rejectWithValue }) => {
+    try {
+      const response = await apiService.loginWithSso(ssoToken);
+
+      if (isTwoFactorChallenge(response.data)) {
+        return response.data;
+      }
+
+      storeSession(response.data);
+
+      return response.data;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Single sign-on failed';
+      return rejectWithValue(message);
+    }
+  }
+);
+
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async (credentials: TwoFactorCredentials, { getState, rejectWithValue }) => {
+    try {
+      const { auth } = getState() as { auth: AuthState };
+      if (!auth.twoFactorChallenge) {
+        throw new Error('Your login has expired, please sign in again');
+      }
+
+      const response = await apiService.verifyTwoFactorLogin(auth.twoFactorChallenge.challengeToken, credentials);
+      storeSession(response.data);
+
+      return response.data;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Verification failed';
+      return rejectWithValue(message);
+    }
+  }
+);
+
 export const logoutUser = createAsyncThunk(
   'auth/logout',
   async (_, { dispatch }) => {
@@ -57,48 +143,39 @@ export const logoutUser = createAsyncThunk(
     } catch (error) {
       console.warn('Logout API call failed:', error);
     } finally {
-      // Clear local storage regardless of API response
-      localStorage.removeItem('auth_token');
-      localStorage.removeItem('auth_user');
-      localStorage.removeItem('auth_session_expiry');
-      
+      // Forget the token regardless of API response
+      setAccessToken(null);
+
       dispatch(clearAuth());
     }
   }
 );
 
+// After a reload: the refresh cookie (if the session is still alive) brings back the token and user
 export const checkAuthStatus = createAsyncThunk(
   'auth/checkStatus',
   async (_, { rejectWithValue }) => {
-    try {
-      const token = localStorage.getItem('auth_token');
-      const userString = localStorage.getItem('auth_user');
-      const sessionExpiry = localStorage.getItem('auth_session_expiry');
+    if (!hasSessionHint()) {
+      return rejectWithValue('No authentication data found');
+    }
 
-      if (!token || !userString) {
-        throw new Error('No authentication data found');
-      }
+    const session = await refreshSession();
+    if (!session) {
+      return rejectWithValue('Session expired');
+    }
 
-      // Check if session is expired
-      if (sessionExpiry && new Date(sessionExpiry) < new Date()) {
-        throw new Error('Session expired');
-      }
+    return session;
+  }
+);
 
-      // Verify token with backend
-      const response = await apiService.getProfile();
-      
-      return {
-        token,
-        user: response.data.user,
-        session: response.data.session,
-      };
+export const changePassword = createAsyncThunk(
+  'auth/changePassword',
+  async (payload: ChangePasswordPayload, { rejectWithValue }) => {
+    try {
+      const response = await apiService.changePassword(payload);
+      return response.data;
     } catch (error) {
-      // Clear invalid data
-      localStorage.removeItem('auth_token');
-      localStorage.removeItem('auth_user');
-      localStorage.removeItem('auth_session_expiry');
-      
-      const message = error instanceof Error ? error.message : 'Authentication check failed';
+      const message = error instanceof Error ? error.message : 'Failed to change password';
       return rejectWithValue(message);
     }
   }
@@ -108,13 +185,7 @@ export const refreshAuthToken = createAsyncThunk(
   'auth/refresh',
   async (_, { rejectWithValue }) => {
     try {
-      const response = await apiService.refreshToken();
-      
-      // Update stored token
-      localStorage.setItem('auth_token', response.data.token);
-      localStorage.setItem('auth_session_expiry', response.data.session.expiresAt);
-      
-      return response.data;
+      return await apiService.refreshToken();
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Token refresh failed';
       return rejectWithValue(message);
@@ -133,6 +204,15 @@ const authSlice = createSlice({
       state.error = null;
       state.lastLoginTime = null;
       state.sessionExpiry = null;
+      state.twoFactorChallenge = null;
+      state.recoveryCodes = null;
+    },
+    cancelTwoFactor: (state) => {
+      state.twoFactorChallenge = null;
+      state.error = null;
+    },
+    acknowledgeRecoveryCodes: (state) => {
+      state.recoveryCodes = null;
     },
     clearError: (state) => {
       state.error = null;
@@ -140,6 +220,12 @@ const authSlice = createSlice({
     setLoading: (state, action: PayloadAction<boolean>) => {
       state.isLoading = action.payload;
     },
+    // A request renewed the access token; the user and permissions may have changed since login
+    sessionRefreshed: (state, action: PayloadAction<AuthResponse['data']>) => {
+      state.token = action.payload.token;
+      state.user = action.payload.user;
+      state.sessionExpiry = action.payload.session.expiresAt;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -149,19 +235,50 @@ const authSlice = createSlice({
         state.error = null;
       })
       .addCase(loginUser.fulfilled, (state, action) => {
+        applyLoginResult(state, action.payload);
+      })
+      .addCase(loginUser.rejected, (state, action) => {
+        state.isLoading = false;
+        state.isAuthenticated = false;
+        state.user = null;
+        state.token = null;
+        state.error = action.payload as string;
+      })
+
+      // Single sign-on cases (same outcome as a password login)
+      .addCase(loginWithSso.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(loginWithSso.fulfilled, (state, action) => {
+        applyLoginResult(state, action.payload);
+      })
+      .addCase(loginWithSso.rejected, (state, action) => {
+        state.isLoading = false;
+        state.isAuthenticated = false;
+        state.user = null;
+        state.token = null;
+        state.error = action.payload as string;
+      })
+
+      // Second login step cases (the challenge stays so another code can be tried)
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
         state.isLoading = false;
         state.isAuthenticated = true;
         state.user = action.payload.user;
         state.token = action.payload.token;
         state.sessionExpiry = action.payload.session.expiresAt;
         state.lastLoginTime = new Date().toISOString();
+        state.twoFactorChallenge = null;
+        state.recoveryCodes = action.payload.recoveryCodes || null;
         state.error = null;
       })
-      .addCase(loginUser.rejected, (state, action) => {
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
         state.isLoading = false;
-        state.isAuthenticated = false;
-        state.user = null;
-        state.token = null;
         state.error = action.payload as string;
       })
       
@@ -194,6 +311,11 @@ const authSlice = createSlice({
         state.error = action.payload as string;
       })
       
+      // Change password cases (errors are shown by the form, not stored globally)
+      .addCase(changePassword.fulfilled, (state, action) => {
+        state.user = action.payload.user;
+      })
+      
       // Refresh token cases
       .addCase(refreshAuthToken.pending, (state) => {
         state.isLoading = true;
@@ -201,18 +323,19 @@ const authSlice = createSlice({
       .addCase(refreshAuthToken.fulfilled, (state, action) => {
         state.isLoading = false;
         state.token = action.payload.token;
+        state.user = action.payload.user;
         state.sessionExpiry = action.payload.session.expiresAt;
         state.error = null;
       })
       .addCase(refreshAuthToken.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload as string;
-        // Don't clear auth state on refresh failure, let user try again
+        // A session that is gone signs the user out through the onSessionRefresh listener in the store
       });
   },
 });
 
-export const { clearAuth, clearError, setLoading } = authSlice.actions;
+export const { clearAuth, clearError, setLoading, cancelTwoFactor, acknowledgeRecoveryCodes, sessionRefreshed } = authSlice.actions;
 
 // Selectors
 export const selectAuth = (state: { auth: AuthState }) => state.auth;
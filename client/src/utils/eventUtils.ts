@@ -0,0 +1,103 @@
+/**
+ * Utility functions for notice event details (form values <-> API payload)
+ */
+
+export interface EventDetails {
+  eventStart: string;
+  eventEnd: string;
+  eventLocation: string;
+  eventAllDay: boolean;
+}
+
+export const EMPTY_EVENT_DETAILS: EventDetails = {
+  eventStart: '',
+  eventEnd: '',
+  eventLocation: '',
+  eventAllDay: false
+};
+
+/**
+ * Convert an ISO timestamp into the local "YYYY-MM-DDTHH:mm" value used by datetime-local inputs
+ */
+export const toDateTimeLocal = (value: string | null | undefined): string => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+/**
+ * Switch input values between date and datetime-local formats when the all-day flag changes
+ */
+export const convertEventValue = (value: string, allDay: boolean): string => {
+  if (!value) return '';
+  return allDay ? value.slice(0, 10) : `${value.slice(0, 10)}T09:00`;
+};
+
+/**
+ * Build form values from a notice returned by the API.
+ * All-day events are stored at midnight UTC, so their date is read in UTC.
+ */
+export const eventDetailsFromNotice = (notice: {
+  eventStart?: string | null;
+  eventEnd?: string | null;
+  eventLocation?: string | null;
+  eventAllDay?: boolean;
+}): EventDetails => {
+  const allDay = !!notice.eventAllDay;
+  const toInputValue = (value?: string | null) => {
+    if (!value) return '';
+    return allDay ? new Date(value).toISOString().slice(0, 10) : toDateTimeLocal(value);
+  };
+
+  return {
+    eventStart: toInputValue(notice.eventStart),
+    eventEnd: toInputValue(notice.eventEnd),
+    eventLocation: notice.eventLocation || '',
+    eventAllDay: allDay
+  };
+};
+
+/**
+ * Append event details to a notice FormData payload (empty values clear the event)
+ */
+export const appendEventDetails = (formData: FormData, details: EventDetails): void => {
+  const toPayloadValue = (value: string) => {
+    if (!value) return '';
+    // All-day values are plain dates; timed values are local and sent as ISO timestamps
+    return details.eventAllDay ? value.slice(0, 10) : new Date(value).toISOString();
+  };
+
+  formData.append('eventStart', toPayloadValue(details.eventStart));
+  formData.append('eventEnd', details.eventStart ? toPayloadValue(details.eventEnd) : '');
+  formData.append('eventLocation', details.eventStart ? details.eventLocation.trim() : '');
+  formData.append('eventAllDay', String(details.eventAllDay));
+};
+
+/**
+ * Human readable event date range for display
+ */
+export const formatEventRange = (start: string, end: string | null, allDay: boolean): string => {
+  const startDate = new Date(start);
+  const endDate = end ? new Date(end) : null;
+
+  if (allDay) {
+    const dateOptions: Intl.DateTimeFormatOptions = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    const startText = startDate.toLocaleDateString(undefined, dateOptions);
+    if (!endDate || endDate.toISOString().slice(0, 10) === startDate.toISOString().slice(0, 10)) {
+      return `${startText} (all day)`;
+    }
+    return `${startText} – ${endDate.toLocaleDateString(undefined, dateOptions)}`;
+  }
+
+  const startText = startDate.toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short' });
+  if (!endDate) return startText;
+
+  const sameDay = startDate.toDateString() === endDate.toDateString();
+  const endText = sameDay
+    ? endDate.toLocaleTimeString(undefined, { timeStyle: 'short' })
+    : endDate.toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short' });
+
+  return `${startText} – ${endText}`;
+};
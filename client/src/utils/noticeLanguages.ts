@@ -0,0 +1,57 @@
+/**
+ * Official languages notices are published in, with their names as readers know them
+ */
+export type NoticeLanguage = 'en' | 'si' | 'ta';
+
+export const NOTICE_LANGUAGES: Array<{ code: NoticeLanguage; label: string; englishName: string }> = [
+  { code: 'si', label: 'සිංහල', englishName: 'Sinhala' },
+  { code: 'ta', label: 'தமிழ்', englishName: 'Tamil' },
+  { code: 'en', label: 'English', englishName: 'English' }
+];
+
+export const isNoticeLanguage = (value: unknown): value is NoticeLanguage =>
+  NOTICE_LANGUAGES.some((language) => language.code === value);
+
+export const getLanguageName = (code: NoticeLanguage): string =>
+  NOTICE_LANGUAGES.find((language) => language.code === code)?.englishName || code;
+
+export type NoticeTranslations = Partial<Record<NoticeLanguage, { title: string; description: string }>>;
+
+export const EMPTY_TRANSLATIONS: NoticeTranslations = {};
+
+/**
+ * Build form values from the translations of a notice returned by the API
+ */
+export const translationsFromNotice = (notice: {
+  translations?: Array<{ language: NoticeLanguage; title: string; description: string }>;
+}): NoticeTranslations =>
+  (notice.translations || []).reduce<NoticeTranslations>((values, translation) => {
+    values[translation.language] = {
+      title: translation.title || '',
+      description: translation.description || ''
+    };
+    return values;
+  }, {});
+
+/**
+ * Append the original language and its translations to a notice FormData payload.
+ * Every other language is sent, so a cleared translation is removed on the server.
+ */
+export const appendTranslations = (
+  formData: FormData,
+  language: NoticeLanguage,
+  translations: NoticeTranslations,
+  sanitize: (text: string) => string = (text) => text
+): void => {
+  const payload: NoticeTranslations = {};
+
+  NOTICE_LANGUAGES.filter(({ code }) => code !== language).forEach(({ code }) => {
+    payload[code] = {
+      title: sanitize((translations[code]?.title || '').trim()),
+      description: sanitize((translations[code]?.description || '').trim())
+    };
+  });
+
+  formData.append('language', language);
+  formData.append('translations', JSON.stringify(payload));
+};
@@ -0,0 +1,31 @@
+/**
+ * Display helpers for notice statuses, including the approval workflow statuses
+ */
+import { Notice } from '@/services/noticeApi';
+
+export const NOTICE_STATUS_LABELS: Record<Notice['status'], string> = {
+  draft: 'Draft',
+  pending_review: 'Pending Review',
+  changes_requested: 'Changes Requested',
+  approved: 'Approved',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+export const NOTICE_STATUS_CLASSES: Record<Notice['status'], string> = {
+  draft: 'bg-gray-100 text-gray-800',
+  pending_review: 'bg-amber-100 text-amber-800',
+  changes_requested: 'bg-orange-100 text-orange-800',
+  approved: 'bg-teal-100 text-teal-800',
+  published: 'bg-green-100 text-green-800',
+  archived: 'bg-slate-200 text-slate-700'
+};
+
+// Statuses only reachable through the review actions, never set from the edit form
+export const REVIEW_STATUSES: Notice['status'][] = ['pending_review', 'changes_requested', 'approved'];
+
+/**
+ * Whether the publish action applies: approved notices always, drafts only without the approval workflow
+ */
+export const canPublishStatus = (status: Notice['status'], workflowEnabled: boolean): boolean =>
+  status === 'approved' || (!workflowEnabled && status === 'draft');
@@ -0,0 +1,46 @@
+/**
+ * Notices as returned by the public board endpoints, and their NoticeCard form
+ */
+import { NoticeLanguage } from './noticeLanguages';
+
+export interface PublicNotice {
+  id: string | number;
+  title: string;
+  description: string;
+  imageUrl?: string;
+  priority: 'low' | 'medium' | 'high';
+  slug: string;
+  language?: NoticeLanguage;
+  availableLanguages?: NoticeLanguage[];
+  publishedAt?: string;
+  creatorName?: string;
+  viewCount?: number;
+  uniqueViewers?: number;
+  files?: Array<{ name: string; url: string; size?: number; type?: string }>;
+  categories?: Array<{ id: number; name: string; slug: string; type: 'topic' | 'department' }>;
+}
+
+/**
+ * Image URLs are relative to the API host, not the /api base
+ */
+export const getPublicImageUrl = (imageUrl?: string): string | undefined =>
+  imageUrl ? `${import.meta.env.VITE_API_BASE_URL.replace('/api', '')}${imageUrl}` : undefined;
+
+/**
+ * Map a public notice to the shape NoticeCard displays
+ */
+export const toNoticeCard = (notice: PublicNotice) => {
+  const imageUrl = getPublicImageUrl(notice.imageUrl);
+
+  return {
+    id: notice.id.toString(),
+    topic: notice.title,
+    description: notice.description,
+    priority: notice.priority,
+    date: notice.publishedAt ? new Date(notice.publishedAt).toLocaleDateString() : '',
+    category: notice.categories?.filter((c) => c.type === 'topic').map((c) => c.name).join(', ') || 'General',
+    department: notice.categories?.filter((c) => c.type === 'department').map((c) => c.name).join(', ') || 'SLIATE',
+    images: imageUrl ? [imageUrl] : undefined,
+    attachments: notice.files || undefined
+  };
+};
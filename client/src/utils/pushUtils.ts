@@ -0,0 +1,33 @@
+/**
+ * Browser helpers for Web Push subscriptions
+ */
+
+export const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Whether this browser can receive push notifications at all
+ */
+export const isPushSupported = (): boolean =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+/**
+ * Convert a base64url VAPID public key to the bytes pushManager.subscribe() expects
+ */
+export const urlBase64ToUint8Array = (base64String: string): Uint8Array => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const rawData = window.atob(base64);
+
+  return Uint8Array.from(rawData, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Register (or reuse) the notification service worker
+ */
+export const registerPushServiceWorker = async (): Promise<ServiceWorkerRegistration> => {
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
@@ -0,0 +1,8 @@
+import type { SessionDevice } from '@/services/api';
+
+// e.g. "Chrome 120 on Windows 10/11"
+export const describeDevice = (device: SessionDevice) => {
+  const browser = device.browser ? [device.browser, device.browserVersion].filter(Boolean).join(' ') : 'Unknown browser';
+  const os = device.os ? [device.os, device.osVersion].filter(Boolean).join(' ') : null;
+  return os ? `${browser} on ${os}` : browser;
+};
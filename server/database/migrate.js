@@ -32,6 +32,9 @@ class DatabaseMigrator {
       // Run schema migration
       await this.runSchemaMigration();
 
+      // Fresh schema already contains every incremental migration
+      await this.markMigrationsApplied();
+
       console.log('🎉 Database migration completed successfully!');
       
       // Test the setup
@@ -176,6 +179,81 @@ class DatabaseMigrator {
     }
   }
 
+  // Create migration tracking table if it doesn't exist
+  async ensureMigrationsTable() {
+    await secureDatabase.executeQuery(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // List incremental migration files in execution order
+  async getMigrationFiles() {
+    try {
+      const files = await fs.readdir(this.migrationsDir);
+      return files.filter(file => file.endsWith('.sql')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Record all migration files as applied (used after a fresh schema install)
+  async markMigrationsApplied() {
+    await this.ensureMigrationsTable();
+    const files = await this.getMigrationFiles();
+
+    for (const file of files) {
+      await secureDatabase.executeQuery(
+        'INSERT IGNORE INTO schema_migrations (name) VALUES (?)',
+        [file]
+      );
+    }
+
+    console.log(`📌 Marked ${files.length} incremental migrations as applied`);
+  }
+
+  // Apply pending incremental migrations to an existing database
+  async runMigrations() {
+    try {
+      console.log('🔄 Applying incremental migrations...');
+
+      await secureDatabase.initialize();
+      await this.ensureMigrationsTable();
+
+      const appliedResult = await secureDatabase.executeQuery('SELECT name FROM schema_migrations');
+      const applied = new Set(appliedResult.rows.map(row => row.name));
+      const pending = (await this.getMigrationFiles()).filter(file => !applied.has(file));
+
+      if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return;
+      }
+
+      for (const file of pending) {
+        console.log(`⚙️ Applying ${file}...`);
+        const sql = await fs.readFile(path.join(this.migrationsDir, file), 'utf8');
+        const statements = this.parseSQLStatements(sql);
+
+        for (const statement of statements) {
+          await secureDatabase.executeQuery(statement);
+        }
+
+        await secureDatabase.executeQuery('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+        console.log(`   ✅ ${file} applied`);
+      }
+
+      console.log(`🎉 Applied ${pending.length} migrations`);
+    } catch (error) {
+      console.error('💥 Incremental migration error:', error.message);
+      throw error;
+    }
+  }
+
   // Improved SQL statement parsing (same as before)
   parseSQLStatements(sql) {
     // Remove comments
@@ -304,13 +382,17 @@ async function main() {
       case 'migrate':
         await migrator.migrate();
         break;
+      case 'upgrade':
+        await migrator.runMigrations();
+        break;
       case 'status':
         await migrator.status();
         break;
       default:
-        console.log('Usage: node database/migrate.js [migrate|status]');
+        console.log('Usage: node database/migrate.js [migrate|upgrade|status]');
         console.log('Commands:');
-        console.log('  migrate - Run database migration');
+        console.log('  migrate - Run database migration (drops and recreates tables)');
+        console.log('  upgrade - Apply pending incremental migrations');
         console.log('  status  - Show database status');
     }
   } finally {
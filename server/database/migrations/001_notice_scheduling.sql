@@ -0,0 +1,13 @@
+-- Scheduled publishing and automatic expiry for notices
+-- Adds publish_at / expires_at and the 'archived' status
+
+ALTER TABLE notices
+  MODIFY COLUMN status ENUM('draft', 'published', 'archived') NOT NULL DEFAULT 'draft';
+
+ALTER TABLE notices
+  ADD COLUMN publish_at TIMESTAMP NULL AFTER published_at,
+  ADD COLUMN expires_at TIMESTAMP NULL AFTER publish_at;
+
+ALTER TABLE notices
+  ADD INDEX idx_status_publish_at (status, publish_at),
+  ADD INDEX idx_status_expires_at (status, expires_at);
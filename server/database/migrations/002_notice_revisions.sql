@@ -0,0 +1,27 @@
+-- Notice revision history
+-- Every saved version of a notice is snapshotted into notice_revisions
+
+CREATE TABLE IF NOT EXISTS notice_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL,
+  revision_number INT NOT NULL,
+  title VARCHAR(500) NOT NULL,
+  description TEXT NOT NULL,
+  image_url VARCHAR(500) NULL,
+  files JSON NULL,
+  priority ENUM('low', 'medium', 'high') NOT NULL,
+  status ENUM('draft', 'published', 'archived') NOT NULL,
+  edited_by INT NULL,
+  change_summary VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_notice_revision (notice_id, revision_number),
+  INDEX idx_notice_created (notice_id, created_at)
+);
+
+-- Baseline revision for notices that existed before history was tracked
+INSERT INTO notice_revisions (notice_id, revision_number, title, description, image_url, files, priority, status, edited_by, change_summary, created_at)
+SELECT n.id, 1, n.title, n.description, n.image_url, n.files, n.priority, n.status, n.created_by, 'Initial version', n.updated_at
+FROM notices n
+WHERE NOT EXISTS (SELECT 1 FROM notice_revisions r WHERE r.notice_id = n.id);
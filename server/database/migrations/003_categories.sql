@@ -0,0 +1,35 @@
+-- Notice categories and departments taxonomy
+-- Managed categories plus a many-to-many link to notices
+
+CREATE TABLE IF NOT EXISTS categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  description VARCHAR(500) NULL,
+  type ENUM('topic', 'department') NOT NULL DEFAULT 'topic',
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_type_active (type, is_active, sort_order)
+);
+
+CREATE TABLE IF NOT EXISTS notice_categories (
+  notice_id INT NOT NULL,
+  category_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (notice_id, category_id),
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+  INDEX idx_category_notice (category_id, notice_id)
+);
+
+INSERT IGNORE INTO categories (name, slug, description, type, sort_order) VALUES
+('General', 'general', 'General announcements for everyone', 'topic', 0),
+('Examinations', 'examinations', 'Exam timetables, results and admission cards', 'topic', 10),
+('Admissions', 'admissions', 'Intake, registration and enrolment', 'topic', 20),
+('Events', 'events', 'Workshops, ceremonies and campus events', 'topic', 30),
+('HND IT', 'hnd-it', 'Higher National Diploma in Information Technology', 'department', 10),
+('HND Accounting', 'hnd-accounting', 'Higher National Diploma in Accountancy', 'department', 20);
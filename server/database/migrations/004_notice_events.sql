@@ -0,0 +1,11 @@
+-- Structured event details on notices for iCalendar export
+-- Times are stored in UTC; all-day events keep only the date part
+
+ALTER TABLE notices
+  ADD COLUMN event_start DATETIME NULL AFTER expires_at,
+  ADD COLUMN event_end DATETIME NULL AFTER event_start,
+  ADD COLUMN event_location VARCHAR(255) NULL AFTER event_end,
+  ADD COLUMN event_all_day BOOLEAN NOT NULL DEFAULT FALSE AFTER event_location;
+
+ALTER TABLE notices
+  ADD INDEX idx_status_event_start (status, event_start);
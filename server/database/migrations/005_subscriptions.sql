@@ -0,0 +1,47 @@
+-- Public email subscriptions with preferences, plus the outgoing email queue
+
+CREATE TABLE IF NOT EXISTS subscribers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  status ENUM('pending', 'active', 'unsubscribed') NOT NULL DEFAULT 'pending',
+  min_priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'low',
+  frequency ENUM('instant', 'daily', 'weekly') NOT NULL DEFAULT 'instant',
+  confirmation_token_hash CHAR(64) NULL, -- SHA-256 of the emailed token
+  confirmation_expires_at TIMESTAMP NULL,
+  manage_token CHAR(64) NOT NULL UNIQUE, -- Used in unsubscribe / preference links
+  confirmed_at TIMESTAMP NULL,
+  unsubscribed_at TIMESTAMP NULL,
+  last_digest_at TIMESTAMP NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_confirmation_token (confirmation_token_hash),
+  INDEX idx_status_frequency (status, frequency)
+);
+
+CREATE TABLE IF NOT EXISTS subscriber_categories (
+  subscriber_id INT NOT NULL,
+  category_id INT NOT NULL,
+  PRIMARY KEY (subscriber_id, category_id),
+  FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS email_queue (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  type ENUM('confirmation', 'instant', 'digest') NOT NULL,
+  subscriber_id INT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  payload JSON NOT NULL, -- { subject, html, text, headers }
+  notice_id INT NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error VARCHAR(500) NULL,
+  send_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE SET NULL,
+  INDEX idx_status_send_after (status, send_after)
+);
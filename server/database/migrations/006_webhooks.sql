@@ -0,0 +1,40 @@
+-- Outbound webhooks for notice lifecycle events, with a delivery log
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(128) NOT NULL, -- HMAC-SHA256 signing key, needed in clear to sign payloads
+  events JSON NOT NULL, -- e.g. ["notice.published", "notice.deleted"] or ["*"]
+  is_active BOOLEAN DEFAULT TRUE,
+  last_delivery_at TIMESTAMP NULL,
+  last_delivery_status ENUM('success', 'failed') NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_active (is_active)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  webhook_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  event_id CHAR(36) NOT NULL, -- Same for redeliveries so receivers can deduplicate
+  payload JSON NOT NULL,
+  notice_id INT NULL,
+  redelivery_of INT NULL,
+  status ENUM('pending', 'sending', 'success', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  response_status INT NULL,
+  response_body TEXT NULL,
+  error_message VARCHAR(500) NULL,
+  duration_ms INT NULL,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+  INDEX idx_status_next_attempt (status, next_attempt_at),
+  INDEX idx_webhook_created (webhook_id, created_at)
+);
@@ -0,0 +1,21 @@
+-- Browser Web Push subscriptions with per-subscription priority and category filters
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  endpoint_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the endpoint; endpoints are too long to index
+  subscription JSON NOT NULL, -- Browser PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+  min_priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'high',
+  last_success_at TIMESTAMP NULL,
+  failure_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_min_priority (min_priority)
+);
+
+CREATE TABLE IF NOT EXISTS push_subscription_categories (
+  subscription_id INT NOT NULL,
+  category_id INT NOT NULL,
+  PRIMARY KEY (subscription_id, category_id),
+  FOREIGN KEY (subscription_id) REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+);
@@ -0,0 +1,32 @@
+-- Optional review workflow before publishing
+-- Adds the review statuses, reviewer assignment, designated approvers and the review log
+
+ALTER TABLE users
+  ADD COLUMN can_approve BOOLEAN NOT NULL DEFAULT FALSE AFTER full_name;
+
+ALTER TABLE notices
+  MODIFY COLUMN status ENUM('draft', 'pending_review', 'changes_requested', 'approved', 'published', 'archived') NOT NULL DEFAULT 'draft';
+
+ALTER TABLE notices
+  ADD COLUMN reviewer_id INT NULL AFTER created_by,
+  ADD COLUMN submitted_for_review_at TIMESTAMP NULL AFTER reviewer_id,
+  ADD COLUMN approved_by INT NULL AFTER submitted_for_review_at,
+  ADD COLUMN approved_at TIMESTAMP NULL AFTER approved_by,
+  ADD CONSTRAINT fk_notices_reviewer FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_notices_approved_by FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+  ADD INDEX idx_status_reviewer (status, reviewer_id);
+
+ALTER TABLE notice_revisions
+  MODIFY COLUMN status ENUM('draft', 'pending_review', 'changes_requested', 'approved', 'published', 'archived') NOT NULL;
+
+CREATE TABLE IF NOT EXISTS notice_reviews (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL,
+  user_id INT NULL,
+  action ENUM('submitted', 'assigned', 'approved', 'changes_requested', 'commented', 'approval_withdrawn') NOT NULL,
+  comment TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_notice_created (notice_id, created_at)
+);
@@ -0,0 +1,19 @@
+-- Notice content in Sinhala, Tamil and English
+-- The notice row keeps the original language; other languages are stored as translations
+
+ALTER TABLE notices
+  ADD COLUMN language ENUM('en', 'si', 'ta') NOT NULL DEFAULT 'en' AFTER description;
+
+CREATE TABLE IF NOT EXISTS notice_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL,
+  language ENUM('en', 'si', 'ta') NOT NULL,
+  title VARCHAR(500) NOT NULL,
+  description TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_notice_language (notice_id, language),
+  INDEX idx_language (language),
+  FULLTEXT KEY ft_translation_title_description (title, description)
+);
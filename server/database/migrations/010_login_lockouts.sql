@@ -0,0 +1,34 @@
+-- Persistent failed-login tracking and progressive lockout per username and per IP address
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  success BOOLEAN NOT NULL DEFAULT FALSE,
+  reason VARCHAR(50) NULL,
+  triggered_lockout SET('username', 'ip') NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_username_created (username, created_at),
+  INDEX idx_ip_created (ip_address, created_at),
+  INDEX idx_success_created (success, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope ENUM('username', 'ip') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  failed_count INT NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP NULL,
+  last_failed_at TIMESTAMP NULL,
+  lockout_count INT NOT NULL DEFAULT 0,
+  locked_at TIMESTAMP NULL,
+  locked_until TIMESTAMP NULL,
+  unlocked_by INT NULL,
+  unlocked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (unlocked_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_scope_identifier (scope, identifier),
+  INDEX idx_locked_until (locked_until)
+);
@@ -0,0 +1,13 @@
+-- Password history (reuse prevention) and password age for the expiry policy
+
+ALTER TABLE users
+  ADD COLUMN password_changed_at TIMESTAMP NULL AFTER password;
+
+CREATE TABLE IF NOT EXISTS password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_created (user_id, created_at)
+);
@@ -0,0 +1,8 @@
+-- Account status for user management: disabled accounts cannot sign in and their tokens stop working
+
+ALTER TABLE users
+  ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE AFTER can_approve,
+  ADD COLUMN disabled_at TIMESTAMP NULL AFTER is_active,
+  ADD COLUMN disabled_by INT NULL AFTER disabled_at,
+  ADD CONSTRAINT fk_users_disabled_by FOREIGN KEY (disabled_by) REFERENCES users(id) ON DELETE SET NULL,
+  ADD INDEX idx_is_active (is_active);
@@ -0,0 +1,48 @@
+-- Roles and permissions: users.role names a row of roles, whose permissions are listed in role_permissions
+-- super_admin holds '*' (every permission); admin keeps its previous rights
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  display_name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE, -- Built-in roles cannot be deleted
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_name VARCHAR(50) NOT NULL,
+  permission VARCHAR(100) NOT NULL,
+  PRIMARY KEY (role_name, permission),
+  FOREIGN KEY (role_name) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE,
+  INDEX idx_permission (permission)
+);
+
+INSERT IGNORE INTO roles (name, display_name, description, is_system) VALUES
+('super_admin', 'Super Admin', 'Full access, including users, roles and security settings', TRUE),
+('admin', 'Admin', 'Writes and publishes their own notices', TRUE),
+('department_head', 'Department Head', 'Edits, approves and publishes everyone''s notices, high priority included', FALSE),
+('publisher', 'Publisher', 'Edits and publishes everyone''s notices except high-priority ones', FALSE),
+('editor', 'Editor', 'Drafts and edits their own notices without publishing them (e.g. department secretaries)', FALSE),
+('viewer', 'Viewer', 'Read-only access to notices and analytics', FALSE);
+
+INSERT IGNORE INTO role_permissions (role_name, permission) VALUES
+('super_admin', '*'),
+('admin', 'notice.view'), ('admin', 'notice.create'), ('admin', 'notice.edit'), ('admin', 'notice.delete'),
+('admin', 'notice.publish'), ('admin', 'notice.publish.high'),
+('admin', 'analytics.view'), ('admin', 'files.upload'), ('admin', 'files.manage'),
+('department_head', 'notice.view'), ('department_head', 'notice.create'), ('department_head', 'notice.edit'),
+('department_head', 'notice.edit.any'), ('department_head', 'notice.delete'), ('department_head', 'notice.delete.any'),
+('department_head', 'notice.publish'), ('department_head', 'notice.publish.any'), ('department_head', 'notice.publish.high'),
+('department_head', 'notice.review'), ('department_head', 'analytics.view'),
+('department_head', 'files.upload'), ('department_head', 'files.manage'),
+('publisher', 'notice.view'), ('publisher', 'notice.create'), ('publisher', 'notice.edit'), ('publisher', 'notice.edit.any'),
+('publisher', 'notice.publish'), ('publisher', 'notice.publish.any'),
+('publisher', 'analytics.view'), ('publisher', 'files.upload'),
+('editor', 'notice.view'), ('editor', 'notice.create'), ('editor', 'notice.edit'), ('editor', 'notice.delete'),
+('editor', 'files.upload'),
+('viewer', 'notice.view'), ('viewer', 'analytics.view');
+
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'admin',
+  ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
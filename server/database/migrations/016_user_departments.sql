@@ -0,0 +1,12 @@
+-- Department membership: users belong to department categories, and other users' notices are
+-- only editable, publishable and visible in analytics within the departments a user belongs to
+
+CREATE TABLE IF NOT EXISTS user_departments (
+  user_id INT NOT NULL,
+  category_id INT NOT NULL, -- A category of type 'department'
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, category_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+  INDEX idx_category_user (category_id, user_id)
+);
@@ -0,0 +1,15 @@
+-- Single sign-on: accounts linked to identity provider subjects. Staff signing in through the
+-- provider for the first time are linked by email or provisioned just in time.
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  provider VARCHAR(50) NOT NULL, -- e.g. 'oidc'
+  subject VARCHAR(255) NOT NULL, -- The provider's stable user ID ('sub' claim)
+  email VARCHAR(255) NULL, -- Email reported by the provider at the last sign-in
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_provider_subject (provider, subject),
+  INDEX idx_user_provider (user_id, provider)
+);
@@ -0,0 +1,14 @@
+-- Rotating refresh tokens. Each refresh exchanges the token for a new one; the tokens of a
+-- login session form one family, and a token presented a second time revokes the session.
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL, -- SHA-256 of the cookie value; the token itself is never stored
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL, -- Exchanged for a new token; presenting it again revokes the session
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_token_hash (token_hash),
+  INDEX idx_session_id (session_id)
+);
@@ -0,0 +1,17 @@
+-- Pinned and featured notices on the public board. Pinned notices stay above the date groups
+-- (lowest pin_order first) and featured ones fill the carousel, both until pinned_until.
+
+ALTER TABLE notices
+  ADD COLUMN is_pinned BOOLEAN NOT NULL DEFAULT FALSE AFTER event_all_day,
+  ADD COLUMN is_featured BOOLEAN NOT NULL DEFAULT FALSE AFTER is_pinned,
+  ADD COLUMN pinned_until TIMESTAMP NULL AFTER is_featured,
+  ADD COLUMN pin_order INT NOT NULL DEFAULT 0 AFTER pinned_until;
+
+ALTER TABLE notices
+  ADD INDEX idx_pinned (is_pinned, pin_order),
+  ADD INDEX idx_featured (is_featured, pin_order);
+
+-- Roles that publish board-wide notices may pin them; custom roles get it in the role editor
+INSERT IGNORE INTO role_permissions (role_name, permission) VALUES
+('admin', 'notice.pin'),
+('department_head', 'notice.pin');
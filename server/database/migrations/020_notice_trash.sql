@@ -0,0 +1,8 @@
+-- Deleted notices go to a trash bin instead of being removed. They keep their files and can be
+-- restored by their owner or a super admin until the scheduler purges them after the retention period.
+
+ALTER TABLE notices
+  ADD COLUMN deleted_at TIMESTAMP NULL AFTER pin_order,
+  ADD COLUMN deleted_by INT NULL AFTER deleted_at,
+  ADD CONSTRAINT fk_notices_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
+  ADD INDEX idx_deleted_at (deleted_at);
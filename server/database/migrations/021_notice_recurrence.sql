@@ -0,0 +1,25 @@
+-- Recurring notices: a rule on a notice that the scheduler copies into a new draft or scheduled
+-- publication every week, month or semester. Occurrences are counted from starts_at; a copy is
+-- created lead_days before its occurrence so it can be reviewed in time.
+
+CREATE TABLE IF NOT EXISTS notice_recurrences (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL UNIQUE,
+  frequency ENUM('weekly', 'monthly', 'semester') NOT NULL,
+  mode ENUM('draft', 'scheduled') NOT NULL DEFAULT 'draft',
+  starts_at TIMESTAMP NOT NULL,
+  next_run_at TIMESTAMP NOT NULL,
+  lead_days INT NOT NULL DEFAULT 0,
+  ends_at TIMESTAMP NULL,
+  copy_attachments BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_run_at TIMESTAMP NULL,
+  last_notice_id INT NULL,
+  created_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (last_notice_id) REFERENCES notices(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_active_next_run (is_active, next_run_at)
+);
@@ -0,0 +1,68 @@
+-- Notice templates managed on the server instead of in the client bundle. A template is shared
+-- (department_id NULL) or belongs to one department; its markdown body holds {{key}} placeholders
+-- declared in notice_template_fields, which the editor renders as a form.
+
+CREATE TABLE IF NOT EXISTS notice_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  department_id INT NULL,
+  body TEXT NOT NULL,
+  default_priority ENUM('low', 'medium', 'high') NULL,
+  default_category_id INT NULL,
+  usage_count INT NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (department_id) REFERENCES categories(id) ON DELETE CASCADE,
+  FOREIGN KEY (default_category_id) REFERENCES categories(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_department_active (department_id, is_active)
+);
+
+CREATE TABLE IF NOT EXISTS notice_template_fields (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  field_key VARCHAR(40) NOT NULL,
+  field_type ENUM('text', 'date', 'time', 'location', 'course_code') NOT NULL DEFAULT 'text',
+  label VARCHAR(100) NOT NULL,
+  is_required BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order INT NOT NULL DEFAULT 0,
+  FOREIGN KEY (template_id) REFERENCES notice_templates(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_template_field (template_id, field_key)
+);
+
+-- Department heads look after the house style of their departments; custom roles get it in the role editor
+INSERT IGNORE INTO role_permissions (role_name, permission) VALUES
+('department_head', 'templates.manage');
+
+-- The templates previously built into the editor, shared by every department
+INSERT INTO notice_templates (name, description, body, default_priority, default_category_id) VALUES
+('General Announcement', 'Points to share with students and staff',
+'## General Announcement\n\nDear Students and Staff,\n\nWe would like to inform you about the following:\n\n- Important point 1\n- Important point 2\n- Important point 3\n\nFor more details, please contact us at {{contact}}.\n\nThank you for your attention.',
+'medium', (SELECT id FROM categories WHERE slug = 'general')),
+('Event Announcement', 'Date, time and venue of an upcoming event',
+'## Upcoming Event\n\n**Event:** {{event_name}}\n**Date:** {{event_date}}\n**Time:** {{event_time}}\n**Location:** {{location}}\n\n**Description:**\n[Event description goes here]\n\nPlease register by {{deadline}}.\n\nWe look forward to your participation!',
+'medium', (SELECT id FROM categories WHERE slug = 'events')),
+('Academic Notice', 'Course announcements and deadlines',
+'## Academic Notice\n\n**Subject:** {{subject}}\n**Course:** {{course_code}}\n**Applicable to:** {{audience}}\n\nDear Students,\n\n[Academic announcement details]\n\nImportant deadlines:\n- {{deadline}}\n\nFor any clarifications, please contact your academic advisor.',
+'medium', NULL);
+
+INSERT INTO notice_template_fields (template_id, field_key, field_type, label, is_required, sort_order)
+SELECT t.id, f.field_key, f.field_type, f.label, f.is_required, f.sort_order
+FROM notice_templates t
+JOIN (
+  SELECT 'General Announcement' AS template_name, 'contact' AS field_key, 'text' AS field_type, 'Contact details' AS label, FALSE AS is_required, 0 AS sort_order
+  UNION ALL SELECT 'Event Announcement', 'event_name', 'text', 'Event name', TRUE, 0
+  UNION ALL SELECT 'Event Announcement', 'event_date', 'date', 'Date', TRUE, 1
+  UNION ALL SELECT 'Event Announcement', 'event_time', 'time', 'Time', FALSE, 2
+  UNION ALL SELECT 'Event Announcement', 'location', 'location', 'Location', TRUE, 3
+  UNION ALL SELECT 'Event Announcement', 'deadline', 'date', 'Registration deadline', FALSE, 4
+  UNION ALL SELECT 'Academic Notice', 'subject', 'text', 'Subject', TRUE, 0
+  UNION ALL SELECT 'Academic Notice', 'course_code', 'course_code', 'Course code', FALSE, 1
+  UNION ALL SELECT 'Academic Notice', 'audience', 'text', 'Applicable to', FALSE, 2
+  UNION ALL SELECT 'Academic Notice', 'deadline', 'date', 'Deadline', FALSE, 3
+) f ON f.template_name = t.name
+WHERE t.department_id IS NULL;
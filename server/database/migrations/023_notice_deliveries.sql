@@ -0,0 +1,26 @@
+-- Notices already sent to each email subscriber and push subscription. A notice that is unpublished
+-- and published again (by hand or after the scheduler's 'unpublish' expiry) is not sent a second time.
+
+CREATE TABLE IF NOT EXISTS subscriber_notices (
+  subscriber_id INT NOT NULL,
+  notice_id INT NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (subscriber_id, notice_id),
+  FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS push_subscription_notices (
+  subscription_id INT NOT NULL,
+  notice_id INT NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (subscription_id, notice_id),
+  FOREIGN KEY (subscription_id) REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE
+);
+
+-- Alerts queued before this migration count as sent
+INSERT IGNORE INTO subscriber_notices (subscriber_id, notice_id, sent_at)
+SELECT subscriber_id, notice_id, created_at
+FROM email_queue
+WHERE type = 'instant' AND subscriber_id IS NOT NULL AND notice_id IS NOT NULL;
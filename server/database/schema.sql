@@ -4,29 +4,111 @@
 -- Created: 2025-06-24
 
 -- Drop existing tables if they exist (for development)
+DROP TABLE IF EXISTS push_subscription_notices;
+DROP TABLE IF EXISTS push_subscription_categories;
+DROP TABLE IF EXISTS push_subscriptions;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS email_queue;
+DROP TABLE IF EXISTS subscriber_notices;
+DROP TABLE IF EXISTS subscriber_categories;
+DROP TABLE IF EXISTS subscribers;
 DROP TABLE IF EXISTS site_visits;
+DROP TABLE IF EXISTS system_settings;
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+DROP TABLE IF EXISTS user_two_factor;
+DROP TABLE IF EXISTS user_identities;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS password_reset_tokens;
+DROP TABLE IF EXISTS password_history;
+DROP TABLE IF EXISTS login_lockouts;
+DROP TABLE IF EXISTS login_attempts;
 DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS notice_recurrences;
+DROP TABLE IF EXISTS notice_reviews;
+DROP TABLE IF EXISTS notice_translations;
+DROP TABLE IF EXISTS notice_revisions;
+DROP TABLE IF EXISTS notice_template_fields;
+DROP TABLE IF EXISTS notice_templates;
+DROP TABLE IF EXISTS user_departments;
+DROP TABLE IF EXISTS notice_categories;
+DROP TABLE IF EXISTS categories;
 DROP TABLE IF EXISTS notices;
 DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
+
+-- ========== ROLES & PERMISSIONS ==========
+-- Configurable roles; super_admin holds '*' (every permission)
+CREATE TABLE roles (
+  name VARCHAR(50) PRIMARY KEY,
+  display_name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE, -- Built-in roles cannot be deleted
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+  role_name VARCHAR(50) NOT NULL,
+  permission VARCHAR(100) NOT NULL,
+  PRIMARY KEY (role_name, permission),
+  FOREIGN KEY (role_name) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE,
+  INDEX idx_permission (permission)
+);
+
+INSERT IGNORE INTO roles (name, display_name, description, is_system) VALUES
+('super_admin', 'Super Admin', 'Full access, including users, roles and security settings', TRUE),
+('admin', 'Admin', 'Writes and publishes their own notices', TRUE),
+('department_head', 'Department Head', 'Edits, approves and publishes everyone''s notices, high priority included', FALSE),
+('publisher', 'Publisher', 'Edits and publishes everyone''s notices except high-priority ones', FALSE),
+('editor', 'Editor', 'Drafts and edits their own notices without publishing them (e.g. department secretaries)', FALSE),
+('viewer', 'Viewer', 'Read-only access to notices and analytics', FALSE);
+
+INSERT IGNORE INTO role_permissions (role_name, permission) VALUES
+('super_admin', '*'),
+('admin', 'notice.view'), ('admin', 'notice.create'), ('admin', 'notice.edit'), ('admin', 'notice.delete'),
+('admin', 'notice.publish'), ('admin', 'notice.publish.high'), ('admin', 'notice.pin'),
+('admin', 'analytics.view'), ('admin', 'files.upload'), ('admin', 'files.manage'),
+('department_head', 'notice.view'), ('department_head', 'notice.create'), ('department_head', 'notice.edit'),
+('department_head', 'notice.edit.any'), ('department_head', 'notice.delete'), ('department_head', 'notice.delete.any'),
+('department_head', 'notice.publish'), ('department_head', 'notice.publish.any'), ('department_head', 'notice.publish.high'),
+('department_head', 'notice.review'), ('department_head', 'notice.pin'), ('department_head', 'analytics.view'),
+('department_head', 'files.upload'), ('department_head', 'files.manage'), ('department_head', 'templates.manage'),
+('publisher', 'notice.view'), ('publisher', 'notice.create'), ('publisher', 'notice.edit'), ('publisher', 'notice.edit.any'),
+('publisher', 'notice.publish'), ('publisher', 'notice.publish.any'),
+('publisher', 'analytics.view'), ('publisher', 'files.upload'),
+('editor', 'notice.view'), ('editor', 'notice.create'), ('editor', 'notice.edit'), ('editor', 'notice.delete'),
+('editor', 'files.upload'),
+('viewer', 'notice.view'), ('viewer', 'analytics.view');
 
 -- ========== USERS TABLE ==========
--- Simple user management: admin + super_admin only
+-- Staff accounts; the role decides their permissions
 CREATE TABLE users (
   id INT AUTO_INCREMENT PRIMARY KEY,
   username VARCHAR(100) NOT NULL UNIQUE,
   email VARCHAR(255) NOT NULL UNIQUE,
   password VARCHAR(255) NOT NULL, -- bcrypt hashed
-  role ENUM('admin', 'super_admin') NOT NULL DEFAULT 'admin',
+  password_changed_at TIMESTAMP NULL, -- NULL: unchanged since the account was created
+  role VARCHAR(50) NOT NULL DEFAULT 'admin',
   full_name VARCHAR(255) NOT NULL,
+  can_approve BOOLEAN NOT NULL DEFAULT FALSE, -- Designated notice approver (super admins always can)
+  is_active BOOLEAN NOT NULL DEFAULT TRUE, -- Disabled accounts cannot sign in
+  disabled_at TIMESTAMP NULL,
+  disabled_by INT NULL,
   
   -- Timestamps
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   
+  FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE,
+  FOREIGN KEY (disabled_by) REFERENCES users(id) ON DELETE SET NULL,
+  
   -- Indexes for performance
   INDEX idx_username (username),
   INDEX idx_email (email),
   INDEX idx_role (role),
+  INDEX idx_is_active (is_active),
   INDEX idx_created_at (created_at)
 );
 
@@ -36,6 +118,7 @@ CREATE TABLE notices (
   id INT AUTO_INCREMENT PRIMARY KEY,
   title VARCHAR(500) NOT NULL,
   description TEXT NOT NULL,
+  language ENUM('en', 'si', 'ta') NOT NULL DEFAULT 'en', -- Language of title/description; others live in notice_translations
   
   -- File storage (simple JSON approach)
   image_url VARCHAR(500) NULL, -- Single main image
@@ -43,7 +126,7 @@ CREATE TABLE notices (
   
   -- Status and priority
   priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'medium',
-  status ENUM('draft', 'published') NOT NULL DEFAULT 'draft',
+  status ENUM('draft', 'pending_review', 'changes_requested', 'approved', 'published', 'archived') NOT NULL DEFAULT 'draft',
   
   -- SEO and sharing
   slug VARCHAR(600) NOT NULL UNIQUE, -- SEO friendly URL
@@ -51,8 +134,32 @@ CREATE TABLE notices (
   -- Creator tracking
   created_by INT NOT NULL,
   
+  -- Review workflow (used when APPROVAL_WORKFLOW_ENABLED=true)
+  reviewer_id INT NULL,
+  submitted_for_review_at TIMESTAMP NULL,
+  approved_by INT NULL,
+  approved_at TIMESTAMP NULL,
+  
   -- Publishing
   published_at TIMESTAMP NULL,
+  publish_at TIMESTAMP NULL, -- Scheduled publication time (drafts only)
+  expires_at TIMESTAMP NULL, -- Automatic archive/unpublish time
+  
+  -- Optional event details (calendar export)
+  event_start DATETIME NULL,
+  event_end DATETIME NULL,
+  event_location VARCHAR(255) NULL,
+  event_all_day BOOLEAN NOT NULL DEFAULT FALSE,
+  
+  -- Public board placement: pinned notices stay above the date groups, featured ones fill the carousel
+  is_pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  is_featured BOOLEAN NOT NULL DEFAULT FALSE,
+  pinned_until TIMESTAMP NULL, -- Pin and feature end here; NULL keeps them until removed
+  pin_order INT NOT NULL DEFAULT 0, -- Lower numbers first
+  
+  -- Trash bin: deleted notices stay restorable until the scheduler purges them
+  deleted_at TIMESTAMP NULL,
+  deleted_by INT NULL,
   
   -- Timestamps
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -60,20 +167,401 @@ CREATE TABLE notices (
   
   -- Foreign keys
   FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
   
   -- Indexes for performance
   INDEX idx_status (status),
+  INDEX idx_status_reviewer (status, reviewer_id),
   INDEX idx_priority (priority),
   INDEX idx_created_by (created_by),
   INDEX idx_published_at (published_at),
   INDEX idx_slug (slug),
   INDEX idx_status_published (status, published_at),
+  INDEX idx_status_publish_at (status, publish_at),
+  INDEX idx_status_expires_at (status, expires_at),
+  INDEX idx_status_event_start (status, event_start),
+  INDEX idx_pinned (is_pinned, pin_order),
+  INDEX idx_featured (is_featured, pin_order),
+  INDEX idx_deleted_at (deleted_at),
   INDEX idx_created_at (created_at),
   
   -- Full text search on title and description
   FULLTEXT KEY ft_title_description (title, description)
 );
 
+-- ========== NOTICE TRANSLATIONS TABLE ==========
+-- Title and description of a notice in its other official languages
+CREATE TABLE notice_translations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL,
+  language ENUM('en', 'si', 'ta') NOT NULL,
+  title VARCHAR(500) NOT NULL,
+  description TEXT NOT NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  
+  -- Indexes
+  UNIQUE KEY uniq_notice_language (notice_id, language),
+  INDEX idx_language (language),
+  FULLTEXT KEY ft_translation_title_description (title, description)
+);
+
+-- ========== NOTICE REVISIONS TABLE ==========
+-- Snapshot of every saved version of a notice
+CREATE TABLE notice_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL,
+  revision_number INT NOT NULL, -- 1-based, per notice
+  
+  -- Snapshot of the editable content
+  title VARCHAR(500) NOT NULL,
+  description TEXT NOT NULL,
+  image_url VARCHAR(500) NULL,
+  files JSON NULL,
+  priority ENUM('low', 'medium', 'high') NOT NULL,
+  status ENUM('draft', 'pending_review', 'changes_requested', 'approved', 'published', 'archived') NOT NULL,
+  
+  -- Who saved it and why
+  edited_by INT NULL,
+  change_summary VARCHAR(255) NULL, -- e.g. 'Created', 'Updated title, description', 'Restored revision 3'
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+  
+  -- Indexes
+  UNIQUE KEY uniq_notice_revision (notice_id, revision_number),
+  INDEX idx_notice_created (notice_id, created_at)
+);
+
+-- ========== NOTICE REVIEWS TABLE ==========
+-- Review log: submissions, assignments, decisions and reviewer comments
+CREATE TABLE notice_reviews (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL,
+  user_id INT NULL,
+  action ENUM('submitted', 'assigned', 'approved', 'changes_requested', 'commented', 'approval_withdrawn') NOT NULL,
+  comment TEXT NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  
+  -- Indexes
+  INDEX idx_notice_created (notice_id, created_at)
+);
+
+-- ========== NOTICE RECURRENCES TABLE ==========
+-- Recurrence rules: the scheduler copies the notice into a new draft or scheduled publication
+-- every week, month or semester, lead_days before each occurrence
+CREATE TABLE notice_recurrences (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  notice_id INT NOT NULL UNIQUE,
+  frequency ENUM('weekly', 'monthly', 'semester') NOT NULL,
+  mode ENUM('draft', 'scheduled') NOT NULL DEFAULT 'draft',
+  starts_at TIMESTAMP NOT NULL,
+  next_run_at TIMESTAMP NOT NULL, -- Next occurrence to generate
+  lead_days INT NOT NULL DEFAULT 0,
+  ends_at TIMESTAMP NULL,
+  copy_attachments BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_run_at TIMESTAMP NULL,
+  last_notice_id INT NULL,
+  created_by INT NOT NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (last_notice_id) REFERENCES notices(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+  
+  -- Indexes
+  INDEX idx_active_next_run (is_active, next_run_at)
+);
+
+-- ========== CATEGORIES TABLE ==========
+-- Managed taxonomy: topics (Examinations, Events...) and departments (HND IT...)
+CREATE TABLE categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  description VARCHAR(500) NULL,
+  type ENUM('topic', 'department') NOT NULL DEFAULT 'topic',
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT NULL,
+  
+  -- Timestamps
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  
+  -- Indexes
+  INDEX idx_type_active (type, is_active, sort_order)
+);
+
+-- ========== NOTICE CATEGORIES TABLE ==========
+-- Many-to-many link between notices and categories
+CREATE TABLE notice_categories (
+  notice_id INT NOT NULL,
+  category_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  PRIMARY KEY (notice_id, category_id),
+  
+  -- Foreign keys
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+  
+  -- Indexes
+  INDEX idx_category_notice (category_id, notice_id)
+);
+
+-- ========== USER DEPARTMENTS TABLE ==========
+-- Department membership; other users' notices are managed within shared departments only
+CREATE TABLE user_departments (
+  user_id INT NOT NULL,
+  category_id INT NOT NULL, -- A category of type 'department'
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  PRIMARY KEY (user_id, category_id),
+  
+  -- Foreign keys
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+  
+  -- Indexes
+  INDEX idx_category_user (category_id, user_id)
+);
+
+-- ========== NOTICE TEMPLATES TABLE ==========
+-- Markdown templates for the editor; shared (department_id NULL) or one department's house style
+CREATE TABLE notice_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  department_id INT NULL, -- A category of type 'department'
+  body TEXT NOT NULL, -- {{key}} placeholders name fields in notice_template_fields
+  default_priority ENUM('low', 'medium', 'high') NULL,
+  default_category_id INT NULL,
+  usage_count INT NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  -- Foreign keys
+  FOREIGN KEY (department_id) REFERENCES categories(id) ON DELETE CASCADE,
+  FOREIGN KEY (default_category_id) REFERENCES categories(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  
+  -- Indexes
+  INDEX idx_department_active (department_id, is_active)
+);
+
+-- ========== NOTICE TEMPLATE FIELDS TABLE ==========
+-- Typed placeholders of a template, rendered as a form by the editor
+CREATE TABLE notice_template_fields (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  field_key VARCHAR(40) NOT NULL,
+  field_type ENUM('text', 'date', 'time', 'location', 'course_code') NOT NULL DEFAULT 'text',
+  label VARCHAR(100) NOT NULL,
+  is_required BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order INT NOT NULL DEFAULT 0,
+  
+  -- Foreign keys
+  FOREIGN KEY (template_id) REFERENCES notice_templates(id) ON DELETE CASCADE,
+  
+  -- Indexes
+  UNIQUE KEY uniq_template_field (template_id, field_key)
+);
+
+-- ========== SUBSCRIBERS TABLE ==========
+-- Public email subscribers (double opt-in)
+CREATE TABLE subscribers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  status ENUM('pending', 'active', 'unsubscribed') NOT NULL DEFAULT 'pending',
+  
+  -- Preferences
+  min_priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'low',
+  frequency ENUM('instant', 'daily', 'weekly') NOT NULL DEFAULT 'instant',
+  
+  -- Double opt-in and management links
+  confirmation_token_hash CHAR(64) NULL, -- SHA-256 of the emailed token
+  confirmation_expires_at TIMESTAMP NULL,
+  manage_token CHAR(64) NOT NULL UNIQUE, -- Used in unsubscribe / preference links
+  
+  confirmed_at TIMESTAMP NULL,
+  unsubscribed_at TIMESTAMP NULL,
+  last_digest_at TIMESTAMP NULL,
+  ip_address VARCHAR(45) NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  INDEX idx_confirmation_token (confirmation_token_hash),
+  INDEX idx_status_frequency (status, frequency)
+);
+
+-- ========== SUBSCRIBER CATEGORIES TABLE ==========
+-- Categories a subscriber follows (none = all notices)
+CREATE TABLE subscriber_categories (
+  subscriber_id INT NOT NULL,
+  category_id INT NOT NULL,
+  
+  PRIMARY KEY (subscriber_id, category_id),
+  FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+);
+
+-- ========== EMAIL QUEUE TABLE ==========
+-- Outgoing subscription emails, sent by the background scheduler
+CREATE TABLE email_queue (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  type ENUM('confirmation', 'instant', 'digest') NOT NULL,
+  subscriber_id INT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  payload JSON NOT NULL, -- { subject, html, text, headers }
+  notice_id INT NULL,
+  
+  -- Delivery state
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error VARCHAR(500) NULL,
+  send_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE SET NULL,
+  INDEX idx_status_send_after (status, send_after)
+);
+
+-- ========== SUBSCRIBER NOTICES TABLE ==========
+-- Notices already emailed to a subscriber (alone or in a digest); republished notices are not sent again
+CREATE TABLE subscriber_notices (
+  subscriber_id INT NOT NULL,
+  notice_id INT NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  PRIMARY KEY (subscriber_id, notice_id),
+  FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE CASCADE,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE
+);
+
+-- ========== WEBHOOKS TABLE ==========
+-- Outbound endpoints notified about notice lifecycle events (super admin managed)
+CREATE TABLE webhooks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(128) NOT NULL, -- HMAC-SHA256 signing key, needed in clear to sign payloads
+  events JSON NOT NULL, -- e.g. ["notice.published", "notice.deleted"] or ["*"]
+  is_active BOOLEAN DEFAULT TRUE,
+  
+  -- Last delivery outcome
+  last_delivery_at TIMESTAMP NULL,
+  last_delivery_status ENUM('success', 'failed') NULL,
+  
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_active (is_active)
+);
+
+-- ========== WEBHOOK DELIVERIES TABLE ==========
+-- One row per delivery of an event to a webhook, retried with backoff by the scheduler
+CREATE TABLE webhook_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  webhook_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  event_id CHAR(36) NOT NULL, -- Same for redeliveries so receivers can deduplicate
+  payload JSON NOT NULL,
+  notice_id INT NULL, -- Not a foreign key: deleted notices keep their delivery history
+  redelivery_of INT NULL,
+  
+  -- Delivery state
+  status ENUM('pending', 'sending', 'success', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  response_status INT NULL,
+  response_body TEXT NULL,
+  error_message VARCHAR(500) NULL,
+  duration_ms INT NULL,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+  INDEX idx_status_next_attempt (status, next_attempt_at),
+  INDEX idx_webhook_created (webhook_id, created_at)
+);
+
+-- ========== PUSH SUBSCRIPTIONS TABLE ==========
+-- Browser Web Push endpoints (anonymous); removed when the push service reports them gone
+CREATE TABLE push_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  endpoint_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the endpoint; endpoints are too long to index
+  subscription JSON NOT NULL, -- Browser PushSubscription.toJSON(): { endpoint, keys: { p256dh, auth } }
+  
+  -- Preferences
+  min_priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'high',
+  
+  last_success_at TIMESTAMP NULL,
+  failure_count INT NOT NULL DEFAULT 0,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  INDEX idx_min_priority (min_priority)
+);
+
+-- ========== PUSH SUBSCRIPTION CATEGORIES TABLE ==========
+-- Categories a push subscription follows (none = all notices)
+CREATE TABLE push_subscription_categories (
+  subscription_id INT NOT NULL,
+  category_id INT NOT NULL,
+  
+  PRIMARY KEY (subscription_id, category_id),
+  FOREIGN KEY (subscription_id) REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+);
+
+-- ========== PUSH SUBSCRIPTION NOTICES TABLE ==========
+-- Notices already pushed to a subscription; republished notices are not pushed again
+CREATE TABLE push_subscription_notices (
+  subscription_id INT NOT NULL,
+  notice_id INT NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  PRIMARY KEY (subscription_id, notice_id),
+  FOREIGN KEY (subscription_id) REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+  FOREIGN KEY (notice_id) REFERENCES notices(id) ON DELETE CASCADE
+);
+
 -- ========== SITE VISITS TABLE ==========
 -- Analytics for public notice viewing
 CREATE TABLE site_visits (
@@ -136,6 +624,148 @@ CREATE TABLE user_sessions (
   INDEX idx_last_activity (last_activity)
 );
 
+-- ========== REFRESH TOKENS TABLE ==========
+-- Rotating refresh tokens; all tokens of a session form one family and each works once
+CREATE TABLE refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL, -- SHA-256 of the cookie value; the token itself is never stored
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL, -- Exchanged for a new token; presenting it again revokes the session
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_token_hash (token_hash),
+  INDEX idx_session_id (session_id)
+);
+
+-- ========== PASSWORD HISTORY TABLE ==========
+-- Hashes of replaced passwords, checked to prevent reuse
+CREATE TABLE password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  password_hash VARCHAR(255) NOT NULL, -- bcrypt hash the user had before a change
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_created (user_id, created_at)
+);
+
+-- ========== USER IDENTITIES TABLE ==========
+-- Single sign-on links between accounts and identity provider subjects
+CREATE TABLE user_identities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  provider VARCHAR(50) NOT NULL, -- e.g. 'oidc'
+  subject VARCHAR(255) NOT NULL, -- The provider's stable user ID ('sub' claim)
+  email VARCHAR(255) NULL, -- Email reported by the provider at the last sign-in
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP NULL,
+  
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_provider_subject (provider, subject),
+  INDEX idx_user_provider (user_id, provider)
+);
+
+-- ========== PASSWORD RESET TOKENS TABLE ==========
+-- Emailed reset links; a token works once and only until it expires
+CREATE TABLE password_reset_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL, -- SHA-256 of the emailed token; the token itself is never stored
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL,
+  requested_ip VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_token_hash (token_hash),
+  INDEX idx_user_created (user_id, created_at)
+);
+
+-- ========== TWO-FACTOR TABLE ==========
+-- TOTP secrets; a row exists from enrollment, but only counts once the first code was verified
+CREATE TABLE user_two_factor (
+  user_id INT PRIMARY KEY,
+  secret VARCHAR(255) NOT NULL, -- Base32 secret, AES-256-GCM encrypted
+  enabled BOOLEAN DEFAULT FALSE,
+  last_used_step BIGINT NULL, -- Last accepted 30-second time step, so each code works once
+  enabled_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ========== RECOVERY CODES TABLE ==========
+-- One-time codes for logging in without the authenticator app
+CREATE TABLE two_factor_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL, -- SHA-256 of the normalized code; plaintext is shown once
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_user_code (user_id, code_hash)
+);
+
+-- ========== SYSTEM SETTINGS TABLE ==========
+-- Settings super admins change at runtime (e.g. require_2fa_super_admin)
+CREATE TABLE system_settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  setting_value VARCHAR(500) NULL,
+  updated_by INT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ========== LOGIN ATTEMPTS TABLE ==========
+-- Every login attempt, kept for lockouts and security analytics
+CREATE TABLE login_attempts (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(255) NULL, -- As entered (lowercased); may not belong to any user
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  success BOOLEAN NOT NULL DEFAULT FALSE,
+  reason VARCHAR(50) NULL, -- invalid_credentials, account_locked, ip_locked
+  triggered_lockout SET('username', 'ip') NULL, -- Lockouts started by this attempt
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- Indexes
+  INDEX idx_username_created (username, created_at),
+  INDEX idx_ip_created (ip_address, created_at),
+  INDEX idx_success_created (success, created_at)
+);
+
+-- ========== LOGIN LOCKOUTS TABLE ==========
+-- Failure counters and lockouts per username and per IP address
+CREATE TABLE login_lockouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope ENUM('username', 'ip') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  
+  -- Failures in the current window
+  failed_count INT NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP NULL,
+  last_failed_at TIMESTAMP NULL,
+  
+  -- Lockout state; each repeat lockout lasts longer
+  lockout_count INT NOT NULL DEFAULT 0,
+  locked_at TIMESTAMP NULL,
+  locked_until TIMESTAMP NULL,
+  unlocked_by INT NULL, -- Super admin who lifted the last lockout
+  unlocked_at TIMESTAMP NULL,
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (unlocked_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_scope_identifier (scope, identifier),
+  INDEX idx_locked_until (locked_until)
+);
+
 -- ========== INSERT INITIAL DATA ==========
 
 -- Insert admin users (password: admin123 - hashed with bcrypt)
@@ -150,6 +780,49 @@ INSERT INTO notices (title, description, priority, status, slug, created_by, pub
 ('System Maintenance Scheduled', 'We will be performing routine maintenance on the system this weekend. Please save your work.', 'medium', 'published', 'system-maintenance-scheduled', 1, NOW()),
 ('New Features Coming Soon', 'We are working on exciting new features that will be released in the next update. Stay tuned!', 'low', 'draft', 'new-features-coming-soon', 2, NULL);
 
+-- Default categories
+INSERT INTO categories (name, slug, description, type, sort_order) VALUES
+('General', 'general', 'General announcements for everyone', 'topic', 0),
+('Examinations', 'examinations', 'Exam timetables, results and admission cards', 'topic', 10),
+('Admissions', 'admissions', 'Intake, registration and enrolment', 'topic', 20),
+('Events', 'events', 'Workshops, ceremonies and campus events', 'topic', 30),
+('HND IT', 'hnd-it', 'Higher National Diploma in Information Technology', 'department', 10),
+('HND Accounting', 'hnd-accounting', 'Higher National Diploma in Accountancy', 'department', 20);
+
+-- Shared notice templates
+INSERT INTO notice_templates (name, description, body, default_priority, default_category_id) VALUES
+('General Announcement', 'Points to share with students and staff',
+'## General Announcement\n\nDear Students and Staff,\n\nWe would like to inform you about the following:\n\n- Important point 1\n- Important point 2\n- Important point 3\n\nFor more details, please contact us at {{contact}}.\n\nThank you for your attention.',
+'medium', (SELECT id FROM categories WHERE slug = 'general')),
+('Event Announcement', 'Date, time and venue of an upcoming event',
+'## Upcoming Event\n\n**Event:** {{event_name}}\n**Date:** {{event_date}}\n**Time:** {{event_time}}\n**Location:** {{location}}\n\n**Description:**\n[Event description goes here]\n\nPlease register by {{deadline}}.\n\nWe look forward to your participation!',
+'medium', (SELECT id FROM categories WHERE slug = 'events')),
+('Academic Notice', 'Course announcements and deadlines',
+'## Academic Notice\n\n**Subject:** {{subject}}\n**Course:** {{course_code}}\n**Applicable to:** {{audience}}\n\nDear Students,\n\n[Academic announcement details]\n\nImportant deadlines:\n- {{deadline}}\n\nFor any clarifications, please contact your academic advisor.',
+'medium', NULL);
+
+INSERT INTO notice_template_fields (template_id, field_key, field_type, label, is_required, sort_order)
+SELECT t.id, f.field_key, f.field_type, f.label, f.is_required, f.sort_order
+FROM notice_templates t
+JOIN (
+  SELECT 'General Announcement' AS template_name, 'contact' AS field_key, 'text' AS field_type, 'Contact details' AS label, FALSE AS is_required, 0 AS sort_order
+  UNION ALL SELECT 'Event Announcement', 'event_name', 'text', 'Event name', TRUE, 0
+  UNION ALL SELECT 'Event Announcement', 'event_date', 'date', 'Date', TRUE, 1
+  UNION ALL SELECT 'Event Announcement', 'event_time', 'time', 'Time', FALSE, 2
+  UNION ALL SELECT 'Event Announcement', 'location', 'location', 'Location', TRUE, 3
+  UNION ALL SELECT 'Event Announcement', 'deadline', 'date', 'Registration deadline', FALSE, 4
+  UNION ALL SELECT 'Academic Notice', 'subject', 'text', 'Subject', TRUE, 0
+  UNION ALL SELECT 'Academic Notice', 'course_code', 'course_code', 'Course code', FALSE, 1
+  UNION ALL SELECT 'Academic Notice', 'audience', 'text', 'Applicable to', FALSE, 2
+  UNION ALL SELECT 'Academic Notice', 'deadline', 'date', 'Deadline', FALSE, 3
+) f ON f.template_name = t.name
+WHERE t.department_id IS NULL;
+
+-- Initial revision for each sample notice
+INSERT INTO notice_revisions (notice_id, revision_number, title, description, image_url, files, priority, status, edited_by, change_summary)
+SELECT id, 1, title, description, image_url, files, priority, status, created_by, 'Created'
+FROM notices;
+
 -- ========== CREATE VIEWS FOR ANALYTICS ==========
 
 -- Simple notice statistics view
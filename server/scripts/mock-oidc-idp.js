@@ -0,0 +1,177 @@
+// Mock OpenID Connect provider for trying staff single sign-on locally (npm run sso:mock-idp)
+//
+// Point the server at it with:
+//   SSO_OIDC_ENABLED=true
+//   SSO_OIDC_ISSUER=http://localhost:4000
+//   SSO_OIDC_CLIENT_ID=notice-system
+//   SSO_OIDC_CLIENT_SECRET=mock-secret
+//   SSO_OIDC_REDIRECT_URI=http://localhost:5000/api/auth/sso/oidc/callback
+//   SSO_OIDC_ROLE_MAP=notice-department-heads:department_head,notice-publishers:publisher,notice-editors:editor
+//
+// Its login page lists the test staff below instead of asking for a password.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.env.MOCK_IDP_PORT) || 4000;
+const issuer = process.env.MOCK_IDP_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.MOCK_IDP_CLIENT_ID || 'notice-system';
+const clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+// Test staff; override with MOCK_IDP_USERS='[{"sub":"...","preferred_username":"...","email":"...","name":"...","groups":[...]}]'
+const users = process.env.MOCK_IDP_USERS ? JSON.parse(process.env.MOCK_IDP_USERS) : [
+  { sub: 'staff-1001', preferred_username: 'it.head', email: 'it.head@sliate.local', name: 'IT Department Head', groups: ['staff', 'notice-department-heads'] },
+  { sub: 'staff-1002', preferred_username: 'accounts.publisher', email: 'accounts.publisher@sliate.local', name: 'Accounts Publisher', groups: ['staff', 'notice-publishers'] },
+  { sub: 'staff-1003', preferred_username: 'it.secretary', email: 'it.secretary@sliate.local', name: 'IT Secretary', groups: ['staff', 'notice-editors'] },
+  { sub: 'student-2001', preferred_username: 'student', email: 'student@sliate.local', name: 'A Student', groups: ['students'] }
+];
+
+// Signing key for ID tokens, new on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map(); // authorization code -> pending grant
+const accessTokens = new Map(); // access token -> user
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const redirectWith = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => value !== undefined && url.searchParams.set(key, value));
+  res.redirect(302, url.toString());
+};
+
+const claimsFor = (user) => ({
+  sub: user.sub,
+  preferred_username: user.preferred_username,
+  email: user.email,
+  email_verified: true,
+  name: user.name,
+  groups: user.groups
+});
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    scopes_supported: ['openid', 'profile', 'email'],
+    claims_supported: ['sub', 'preferred_username', 'email', 'email_verified', 'name', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login page: pick a test user or cancel
+app.get('/authorize', (req, res) => {
+  const { response_type: responseType, client_id: requestClientId, redirect_uri: redirectUri } = req.query;
+
+  if (responseType !== 'code' || requestClientId !== clientId || !redirectUri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  const buttons = users.map(user => `
+    <button name="sub" value="${escapeHtml(user.sub)}">
+      ${escapeHtml(user.name)} <small>(${escapeHtml(user.preferred_username)}: ${escapeHtml(user.groups.join(', '))})</small>
+    </button>`).join('');
+
+  res.send(`<!doctype html>
+    <html><head><title>Mock identity provider</title>
+    <style>body{font-family:sans-serif;max-width:32rem;margin:3rem auto}button{display:block;width:100%;margin:.5rem 0;padding:.75rem;text-align:left}</style>
+    </head><body>
+      <h1>Mock identity provider</h1>
+      <p>Sign in to <strong>${escapeHtml(clientId)}</strong> as:</p>
+      <form method="post" action="/authorize">${hidden}${buttons}
+        <button name="sub" value="">Cancel</button>
+      </form>
+    </body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, code_challenge_method: method } = req.body;
+  const user = users.find(candidate => candidate.sub === req.body.sub);
+
+  if (!user) {
+    return redirectWith(res, redirectUri, { error: 'access_denied', state });
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    user,
+    redirectUri,
+    nonce,
+    codeChallenge: method === 'S256' ? codeChallenge : null,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  console.log(`🔑 ${user.preferred_username} signed in`);
+  redirectWith(res, redirectUri, { code, state });
+});
+
+app.post('/token', (req, res) => {
+  const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+  const [id, secret] = basic
+    ? Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent)
+    : [req.body.client_id, req.body.client_secret];
+
+  if (id !== clientId || secret !== clientSecret) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const verifierMatches = !grant?.codeChallenge || crypto.createHash('sha256')
+    .update(String(req.body.code_verifier || ''))
+    .digest('base64url') === grant.codeChallenge;
+
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+      grant.redirectUri !== req.body.redirect_uri || !verifierMatches) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.user);
+
+  const idToken = jwt.sign({ ...claimsFor(grant.user), nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(claimsFor(user));
+});
+
+app.listen(port, () => {
+  console.log(`🪪 Mock OpenID Connect provider at ${issuer} (client ${clientId} / ${clientSecret})`);
+});
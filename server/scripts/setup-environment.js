@@ -41,8 +41,9 @@ DB_PASSWORD=your_db_password
 # JWT Configuration
 JWT_SECRET=your-super-secure-jwt-secret-key-change-this-in-production
 JWT_REFRESH_SECRET=your-super-secure-refresh-secret-key
-JWT_EXPIRES_IN=1h
-JWT_REFRESH_EXPIRES_IN=7d
+JWT_EXPIRES_IN=15m
+REFRESH_TOKEN_TTL_DAYS=7
+REFRESH_TOKEN_REUSE_GRACE_SECONDS=10
 
 # File Upload Configuration
 UPLOAD_PATH=uploads
@@ -54,6 +55,80 @@ LOG_LEVEL=INFO
 ENABLE_RATE_LIMITING=true
 ENABLE_CORS=true
 
+# Scheduler Configuration (scheduled publishing / expiry)
+ENABLE_SCHEDULER=true
+SCHEDULER_INTERVAL_MS=60000
+NOTICE_EXPIRY_ACTION=archive
+
+# Trash Bin (deleted notices can be restored until the scheduler purges them after NOTICE_TRASH_RETENTION_DAYS)
+NOTICE_TRASH_RETENTION_DAYS=30
+
+# Public URLs (absolute links in RSS/Atom feeds)
+FRONTEND_URL=http://localhost:8080
+PUBLIC_API_URL=http://localhost:3000
+
+# Email Configuration (subscriptions, password resets). EMAIL_TRANSPORT=log prints a summary instead of sending,
+# EMAIL_TRANSPORT=file writes complete .eml files to EMAIL_FILE_DIR; or point SMTP_* at a local test server (e.g. MailHog on port 1025)
+EMAIL_TRANSPORT=log
+EMAIL_FILE_DIR=./tmp/emails
+EMAIL_FROM=SLIATE Notices <no-reply@localhost>
+SMTP_HOST=localhost
+SMTP_PORT=1025
+SMTP_SECURE=false
+SMTP_USER=
+SMTP_PASSWORD=
+
+# Outbound Webhooks (failed deliveries are retried with backoff up to WEBHOOK_MAX_ATTEMPTS)
+WEBHOOK_TIMEOUT_MS=10000
+WEBHOOK_MAX_ATTEMPTS=6
+WEBHOOK_DISABLE_AFTER_FAILURES=5
+
+# Web Push (generate keys with: npm run push:generate-keys; push is disabled while empty)
+VAPID_PUBLIC_KEY=
+VAPID_PRIVATE_KEY=
+VAPID_SUBJECT=mailto:admin@sliate.ac.lk
+
+# Notice Approval (true: notices need reviewer sign-off before they can be published)
+APPROVAL_WORKFLOW_ENABLED=false
+
+# Password Policy (new passwords must differ from the last PASSWORD_HISTORY_SIZE; max age 0 = never expire)
+PASSWORD_HISTORY_SIZE=5
+PASSWORD_MAX_AGE_DAYS=0
+
+# Two-Factor Authentication (encryption key defaults to the JWT secret; the super admin requirement can be changed in the dashboard)
+TWO_FACTOR_ISSUER=SLIATE Notify
+TWO_FACTOR_ENCRYPTION_KEY=
+TWO_FACTOR_CHALLENGE_TTL=300
+TWO_FACTOR_RECOVERY_CODES=10
+REQUIRE_2FA_SUPER_ADMIN=false
+
+# Password Reset (emailed links expire after PASSWORD_RESET_TTL_MINUTES; at most PASSWORD_RESET_MAX_REQUESTS per account per window)
+PASSWORD_RESET_TTL_MINUTES=30
+PASSWORD_RESET_MAX_REQUESTS=3
+PASSWORD_RESET_WINDOW_MS=3600000
+
+# Staff Single Sign-On via OpenID Connect (ROLE_MAP: group:role pairs, most privileged first; npm run sso:mock-idp for a local provider)
+SSO_OIDC_ENABLED=false
+SSO_OIDC_DISPLAY_NAME=Institutional account
+SSO_OIDC_ISSUER=http://localhost:4000
+SSO_OIDC_CLIENT_ID=notice-system
+SSO_OIDC_CLIENT_SECRET=mock-secret
+SSO_OIDC_REDIRECT_URI=http://localhost:5000/api/auth/sso/oidc/callback
+SSO_OIDC_GROUPS_CLAIM=groups
+SSO_OIDC_ROLE_MAP=notice-department-heads:department_head,notice-publishers:publisher,notice-editors:editor
+SSO_OIDC_DEFAULT_ROLE=
+SSO_OIDC_AUTO_PROVISION=true
+SSO_OIDC_LINK_BY_EMAIL=false
+SSO_OIDC_SYNC_ROLE=true
+
+# Login Lockout (failures per username / per IP within the window; durations double on each repeat lockout)
+LOGIN_LOCKOUT_ENABLED=true
+LOCKOUT_USERNAME_THRESHOLD=5
+LOCKOUT_IP_THRESHOLD=20
+LOCKOUT_WINDOW_MS=900000
+LOCKOUT_BASE_DURATION_MS=900000
+LOCKOUT_MAX_DURATION_MS=86400000
+
 # Redis Configuration (Optional)
 REDIS_HOST=localhost
 REDIS_PORT=6379
@@ -157,7 +157,15 @@ class SLIATENoticeServer {
                     notices: '/api/notices/*',
                     public: '/api/public/*',
                     analytics: '/api/analytics/*',
-                    upload: '/api/upload/*'
+                    upload: '/api/upload/*',
+                    categories: '/api/categories/*',
+                    subscriptions: '/api/subscriptions/*',
+                    webhooks: '/api/webhooks/*',
+                    push: '/api/push/*',
+                    users: '/api/users/*',
+                    roles: '/api/roles/*',
+                    templates: '/api/templates/*',
+                    feeds: ['/api/public/feed.rss', '/api/public/feed.atom', '/api/public/calendar.ics']
                 },
                 timestamp: new Date().toISOString()
             });
@@ -245,6 +253,62 @@ class SLIATENoticeServer {
             console.warn('⚠️ Upload routes not loaded:', error.message);
         }
 
+        try {
+            const categoryRoutes = require('./src/routes/categories');
+            this.app.use('/api/categories', categoryRoutes);
+            console.log('✅ Category routes loaded');
+        } catch (error) {
+            console.warn('⚠️ Category routes not loaded:', error.message);
+        }
+
+        try {
+            const subscriptionRoutes = require('./src/routes/subscriptions');
+            this.app.use('/api/subscriptions', subscriptionRoutes);
+            console.log('✅ Subscription routes loaded');
+        } catch (error) {
+            console.warn('⚠️ Subscription routes not loaded:', error.message);
+        }
+
+        try {
+            const webhookRoutes = require('./src/routes/webhooks');
+            this.app.use('/api/webhooks', webhookRoutes);
+            console.log('✅ Webhook routes loaded');
+        } catch (error) {
+            console.warn('⚠️ Webhook routes not loaded:', error.message);
+        }
+
+        try {
+            const pushRoutes = require('./src/routes/push');
+            this.app.use('/api/push', pushRoutes);
+            console.log('✅ Push routes loaded');
+        } catch (error) {
+            console.warn('⚠️ Push routes not loaded:', error.message);
+        }
+
+        try {
+            const userRoutes = require('./src/routes/users');
+            this.app.use('/api/users', userRoutes);
+            console.log('✅ User routes loaded');
+        } catch (error) {
+            console.warn('⚠️ User routes not loaded:', error.message);
+        }
+
+        try {
+            const roleRoutes = require('./src/routes/roles');
+            this.app.use('/api/roles', roleRoutes);
+            console.log('✅ Role routes loaded');
+        } catch (error) {
+            console.warn('⚠️ Role routes not loaded:', error.message);
+        }
+
+        try {
+            const templateRoutes = require('./src/routes/templates');
+            this.app.use('/api/templates', templateRoutes);
+            console.log('✅ Template routes loaded');
+        } catch (error) {
+            console.warn('⚠️ Template routes not loaded:', error.message);
+        }
+
         // ========== API VERSIONING ==========
 
         // Add V1 API versioning for loaded routes
@@ -290,6 +354,62 @@ class SLIATENoticeServer {
             console.warn('⚠️ V1 upload routes failed:', error.message);
         }
 
+        try {
+            const categoryRoutes = require('./src/routes/categories');
+            this.app.use('/api/v1/categories', categoryRoutes);
+            console.log('🔗 V1 category routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 category routes failed:', error.message);
+        }
+
+        try {
+            const subscriptionRoutes = require('./src/routes/subscriptions');
+            this.app.use('/api/v1/subscriptions', subscriptionRoutes);
+            console.log('🔗 V1 subscription routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 subscription routes failed:', error.message);
+        }
+
+        try {
+            const webhookRoutes = require('./src/routes/webhooks');
+            this.app.use('/api/v1/webhooks', webhookRoutes);
+            console.log('🔗 V1 webhook routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 webhook routes failed:', error.message);
+        }
+
+        try {
+            const pushRoutes = require('./src/routes/push');
+            this.app.use('/api/v1/push', pushRoutes);
+            console.log('🔗 V1 push routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 push routes failed:', error.message);
+        }
+
+        try {
+            const userRoutes = require('./src/routes/users');
+            this.app.use('/api/v1/users', userRoutes);
+            console.log('🔗 V1 user routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 user routes failed:', error.message);
+        }
+
+        try {
+            const roleRoutes = require('./src/routes/roles');
+            this.app.use('/api/v1/roles', roleRoutes);
+            console.log('🔗 V1 role routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 role routes failed:', error.message);
+        }
+
+        try {
+            const templateRoutes = require('./src/routes/templates');
+            this.app.use('/api/v1/templates', templateRoutes);
+            console.log('🔗 V1 template routes added');
+        } catch (error) {
+            console.warn('⚠️ V1 template routes failed:', error.message);
+        }
+
         console.log('📊 Route loading completed');
     }
 
@@ -324,9 +444,19 @@ class SLIATENoticeServer {
         });
     }
 
+    startBackgroundJobs() {
+        try {
+            const schedulerService = require('./src/services/schedulerService');
+            schedulerService.start();
+        } catch (error) {
+            console.warn('⚠️ Notice scheduler not started:', error.message);
+        }
+    }
+
     setupGracefulShutdown() {
         const gracefulShutdown = (signal) => {
             console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+            require('./src/services/schedulerService').stop();
             if (this.server) {
                 this.server.close(() => {
                     console.log('✅ Graceful shutdown completed');
@@ -344,6 +474,7 @@ class SLIATENoticeServer {
         try {
             await this.initializeApp();
             this.setupGracefulShutdown();
+            this.startBackgroundJobs();
 
             this.server = this.app.listen(this.port, this.host, () => {
                 console.log('\n🎉 SLIATE Notice System Started Successfully!');
@@ -307,6 +307,43 @@ class SecureDatabase {
         connection.release();
     }
 
+    /**
+     * Run queries in one transaction. The callback gets a query function with the same
+     * checks and result shape as executeQuery; a thrown error rolls everything back.
+     * @param {Function} callback - async (query) => result
+     * @returns {*} - Whatever the callback returns, after commit
+     */
+    async withTransaction(callback) {
+        if (!this.isConnected || !this.pool) {
+            throw new Error('Database not connected');
+        }
+
+        const connection = await this.beginTransaction();
+
+        const query = async (sql, params = []) => {
+            this.validateQuery(sql);
+            this.validateParams(params);
+
+            const [rows, fields] = await connection.execute(sql, params);
+            return {
+                rows,
+                fields,
+                affectedRows: rows.affectedRows,
+                insertId: rows.insertId
+            };
+        };
+
+        try {
+            const result = await callback(query);
+            await this.commitTransaction(connection);
+            return result;
+        } catch (error) {
+            console.error('💥 Transaction rolled back:', error.message);
+            await this.rollbackTransaction(connection);
+            throw error;
+        }
+    }
+
     // Get connection pool status
     getPoolStatus() {
         if (!this.pool) {
@@ -57,12 +57,23 @@ const config = {
     // JWT
     jwt: {
         secret: process.env.JWT_SECRET,
-        expiresIn: process.env.JWT_EXPIRE || '7d',
+        expiresIn: process.env.JWT_EXPIRES_IN || process.env.JWT_EXPIRE || '15m', // Access tokens; the refresh cookie renews them
         algorithm: 'HS256',
         issuer: 'simple-notice-system',
         audience: 'notice-users'
     },
 
+    // Rotating refresh tokens in an httpOnly cookie; each works once and a replay signs the session out
+    refreshToken: {
+        ttlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7, // Sessions idle this long must log in again
+        // A used token presented again this soon is another tab refreshing, not a replay (0 turns this off)
+        reuseGraceSeconds: process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS !== undefined
+            ? parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 0
+            : 10,
+        cookieName: process.env.REFRESH_TOKEN_COOKIE || 'notice_refresh',
+        cookiePath: '/api/auth' // Only sent to /refresh and /logout
+    },
+
     // Security
     security: {
         bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
@@ -71,6 +82,61 @@ const config = {
         enableHelmet: process.env.ENABLE_HELMET === 'true',
     },
 
+    // Password policy: reuse prevention and optional maximum age (0 days: passwords never expire)
+    passwordPolicy: {
+        historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5, // current password included
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0
+    },
+
+    // TOTP two-factor authentication; secrets are encrypted with the key (falls back to the JWT secret)
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'SLIATE Notify',
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || null,
+        challengeTtlSeconds: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL) || 300,
+        recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+        requireForSuperAdmins: process.env.REQUIRE_2FA_SUPER_ADMIN === 'true' // default until changed in the dashboard
+    },
+
+    // Self-service password reset via emailed link
+    passwordReset: {
+        tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+        maxRequests: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3, // per account within the window
+        windowMs: parseInt(process.env.PASSWORD_RESET_WINDOW_MS) || 60 * 60 * 1000 // 1 hour
+    },
+
+    // Staff single sign-on through an OpenID Connect provider (npm run sso:mock-idp for local testing)
+    sso: {
+        oidc: {
+            enabled: process.env.SSO_OIDC_ENABLED === 'true',
+            displayName: process.env.SSO_OIDC_DISPLAY_NAME || 'Institutional account',
+            issuer: process.env.SSO_OIDC_ISSUER || null,
+            clientId: process.env.SSO_OIDC_CLIENT_ID || null,
+            clientSecret: process.env.SSO_OIDC_CLIENT_SECRET || null,
+            redirectUri: process.env.SSO_OIDC_REDIRECT_URI || null, // .../api/auth/sso/oidc/callback
+            scopes: process.env.SSO_OIDC_SCOPES || 'openid profile email',
+            groupsClaim: process.env.SSO_OIDC_GROUPS_CLAIM || 'groups',
+            roleMap: process.env.SSO_OIDC_ROLE_MAP || '', // group:role pairs, most privileged first
+            defaultRole: process.env.SSO_OIDC_DEFAULT_ROLE || null, // empty: staff without a mapped group are refused
+            autoProvision: process.env.SSO_OIDC_AUTO_PROVISION !== 'false',
+            linkByEmail: process.env.SSO_OIDC_LINK_BY_EMAIL === 'true', // admin accounts are never linked by email
+            syncRole: process.env.SSO_OIDC_SYNC_ROLE !== 'false',
+            stateTtlSeconds: parseInt(process.env.SSO_STATE_TTL) || 600,
+            handoffTtlSeconds: parseInt(process.env.SSO_HANDOFF_TTL) || 60
+        }
+    },
+
+    // Failed login lockout, tracked per username and per IP address; each repeat lockout lasts longer
+    lockout: {
+        enabled: process.env.LOGIN_LOCKOUT_ENABLED !== 'false',
+        usernameThreshold: parseInt(process.env.LOCKOUT_USERNAME_THRESHOLD) || 5,
+        ipThreshold: parseInt(process.env.LOCKOUT_IP_THRESHOLD) || 20,
+        windowMs: parseInt(process.env.LOCKOUT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+        baseDurationMs: parseInt(process.env.LOCKOUT_BASE_DURATION_MS) || 15 * 60 * 1000, // 15 minutes
+        maxDurationMs: parseInt(process.env.LOCKOUT_MAX_DURATION_MS) || 24 * 60 * 60 * 1000, // 24 hours
+        multiplier: parseFloat(process.env.LOCKOUT_MULTIPLIER) || 2,
+        resetAfterMs: parseInt(process.env.LOCKOUT_RESET_AFTER_MS) || 24 * 60 * 60 * 1000 // quiet period that forgets past lockouts
+    },
+
     // Rate Limiting
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
@@ -105,12 +171,79 @@ const config = {
         optionsSuccessStatus: 200
     },
 
+    // Public URLs used for absolute links (feeds); fall back to the request host when unset
+    app: {
+        frontendUrl: process.env.FRONTEND_URL || null,
+        apiUrl: process.env.PUBLIC_API_URL || null,
+        feedLimit: parseInt(process.env.FEED_ITEM_LIMIT) || 20
+    },
+
+    // Outgoing email (subscription confirmations, alerts, digests and password resets)
+    email: {
+        transport: ['smtp', 'file'].includes(process.env.EMAIL_TRANSPORT) ? process.env.EMAIL_TRANSPORT : 'log', // 'log' only prints messages
+        fileDir: process.env.EMAIL_FILE_DIR || './tmp/emails', // 'file' writes each message as an .eml file
+        from: process.env.EMAIL_FROM || 'SLIATE Notices <no-reply@localhost>',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            password: process.env.SMTP_PASSWORD || null
+        },
+        queueBatchSize: parseInt(process.env.EMAIL_QUEUE_BATCH_SIZE) || 20,
+        maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5
+    },
+
+    // Public email subscriptions
+    subscriptions: {
+        confirmationTtlHours: parseInt(process.env.SUBSCRIPTION_CONFIRM_TTL_HOURS) || 48,
+        digestBatchSize: parseInt(process.env.DIGEST_BATCH_SIZE) || 50
+    },
+
+    // Outbound webhooks (notice lifecycle events)
+    webhooks: {
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000, // 10 seconds
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+        batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20,
+        // Endpoints whose last N deliveries all gave up are switched off (0 keeps them on)
+        disableAfterFailures: process.env.WEBHOOK_DISABLE_AFTER_FAILURES !== undefined
+            ? parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 0
+            : 5
+    },
+
+    // Browser push notifications (VAPID keys: npm run push:generate-keys)
+    push: {
+        publicKey: process.env.VAPID_PUBLIC_KEY || null,
+        privateKey: process.env.VAPID_PRIVATE_KEY || null,
+        subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+        ttlSeconds: parseInt(process.env.PUSH_TTL_SECONDS) || 24 * 60 * 60, // 24 hours
+        concurrency: parseInt(process.env.PUSH_CONCURRENCY) || 10
+    },
+
+    // Notice approval: when enabled only reviewer-approved notices can be published
+    approval: {
+        enabled: process.env.APPROVAL_WORKFLOW_ENABLED === 'true'
+    },
+
     // Analytics
     analytics: {
         enabled: process.env.ENABLE_ANALYTICS === 'true',
         googleAnalyticsId: process.env.GOOGLE_ANALYTICS_ID,
     },
 
+    // Background scheduler (scheduled publishing / expiry)
+    scheduler: {
+        enabled: process.env.ENABLE_SCHEDULER !== 'false',
+        intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000, // 1 minute
+        batchSize: parseInt(process.env.SCHEDULER_BATCH_SIZE) || 50,
+        expiryAction: process.env.NOTICE_EXPIRY_ACTION === 'unpublish' ? 'unpublish' : 'archive'
+    },
+
+    // Trash bin: deleted notices stay restorable this long before the scheduler purges them
+    trash: {
+        retentionDays: parseInt(process.env.NOTICE_TRASH_RETENTION_DAYS) || 30
+    },
+
     // Redis (optional)
     redis: {
         enabled: process.env.ENABLE_REDIS === 'true',
@@ -0,0 +1,96 @@
+// Permission catalogue and the roles seeded with it
+// Roles live in the roles/role_permissions tables; these defaults are what a fresh
+// database gets and what the server falls back to when those tables cannot be read.
+
+// Grants every permission; only the built-in super_admin role has it
+const ALL_PERMISSIONS = '*';
+
+const PERMISSIONS = {
+  'notice.view': 'View notices in the dashboard',
+  'notice.create': 'Create and draft notices',
+  'notice.edit': 'Edit own notices',
+  'notice.edit.any': "Edit other users' notices",
+  'notice.delete': 'Delete own notices',
+  'notice.delete.any': "Delete other users' notices",
+  'notice.publish': 'Publish, unpublish and archive own notices',
+  'notice.publish.any': "Publish, unpublish and archive other users' notices",
+  'notice.publish.high': 'Publish high-priority notices',
+  'notice.review': 'Approve notices in the approval workflow',
+  'notice.pin': 'Pin and feature notices on the public board',
+  'analytics.view': 'View dashboard, site, content and notice analytics',
+  'analytics.export': 'Export analytics and view user and security analytics',
+  'files.upload': 'Upload, view and download files',
+  'files.manage': 'Delete uploaded files',
+  'categories.manage': 'Create, edit and delete categories',
+  'templates.manage': 'Create, edit and delete notice templates of own departments',
+  'users.manage': 'Manage user accounts and roles',
+  'webhooks.manage': 'Manage webhooks',
+  'security.manage': 'Lift login lockouts and manage the two-factor policy'
+};
+
+const DEFAULT_ROLES = {
+  super_admin: {
+    displayName: 'Super Admin',
+    description: 'Full access, including users, roles and security settings',
+    isSystem: true,
+    permissions: [ALL_PERMISSIONS]
+  },
+  admin: {
+    displayName: 'Admin',
+    description: 'Writes and publishes their own notices',
+    isSystem: true,
+    permissions: [
+      'notice.view', 'notice.create', 'notice.edit', 'notice.delete',
+      'notice.publish', 'notice.publish.high', 'notice.pin',
+      'analytics.view', 'files.upload', 'files.manage'
+    ]
+  },
+  department_head: {
+    displayName: 'Department Head',
+    description: "Edits, approves and publishes everyone's notices, high priority included",
+    isSystem: false,
+    permissions: [
+      'notice.view', 'notice.create', 'notice.edit', 'notice.edit.any',
+      'notice.delete', 'notice.delete.any',
+      'notice.publish', 'notice.publish.any', 'notice.publish.high', 'notice.review', 'notice.pin',
+      'analytics.view', 'files.upload', 'files.manage', 'templates.manage'
+    ]
+  },
+  publisher: {
+    displayName: 'Publisher',
+    description: "Edits and publishes everyone's notices except high-priority ones",
+    isSystem: false,
+    permissions: [
+      'notice.view', 'notice.create', 'notice.edit', 'notice.edit.any',
+      'notice.publish', 'notice.publish.any',
+      'analytics.view', 'files.upload'
+    ]
+  },
+  editor: {
+    displayName: 'Editor',
+    description: 'Drafts and edits their own notices without publishing them (e.g. department secretaries)',
+    isSystem: false,
+    permissions: [
+      'notice.view', 'notice.create', 'notice.edit', 'notice.delete', 'files.upload'
+    ]
+  },
+  viewer: {
+    displayName: 'Viewer',
+    description: 'Read-only access to notices and analytics',
+    isSystem: false,
+    permissions: ['notice.view', 'analytics.view']
+  }
+};
+
+// Roles whose definition cannot change, only their members
+const LOCKED_ROLES = ['super_admin'];
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,49}$/;
+
+module.exports = {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  LOCKED_ROLES,
+  ROLE_NAME_PATTERN
+};
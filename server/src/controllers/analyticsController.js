@@ -3,20 +3,25 @@ const SiteVisit = require('../models/SiteVisit');
 const UserSession = require('../models/UserSession');
 const Notice = require('../models/Notice');
 const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
 const sendGAEvent = require('../utils/sendGAEvent');
 const {
     logApiAccess,
     logSecurityEvent
 } = require('../middleware/logging');
 const secureDatabase = require('../config/database');
+const noticeService = require('../services/noticeService');
+const permissionService = require('../services/permissionService');
+const departmentService = require('../services/departmentService');
 
-// Helper functions for role checks
-function isAdmin(user) {
-    return user && (user.role === 'admin' || user.role === 'super_admin');
+// Helper functions for permission checks (permissions are attached by the auth middleware)
+function canViewAnalytics(user) {
+    return user && permissionService.grants(user.permissions || [], 'analytics.view');
 }
 
-function isSuperAdmin(user) {
-    return user && user.role === 'super_admin';
+function canExportAnalytics(user) {
+    return user && permissionService.grants(user.permissions || [], 'analytics.export');
 }
 
 class AnalyticsController {
@@ -37,7 +42,7 @@ class AnalyticsController {
             }
 
             // Check permissions (only admins can view analytics)
-            if (!isAdmin(req.user)) {
+            if (!canViewAnalytics(req.user)) {
                 logSecurityEvent(req, 'UNAUTHORIZED_ANALYTICS_ACCESS', {
                     attemptedBy: req.user.username,
                     severity: 'medium'
@@ -66,11 +71,14 @@ class AnalyticsController {
 
             console.log(`📊 Dashboard analytics requested by ${req.user.username}`);
 
+            // Notice figures cover the user's own notices and those of their departments
+            const noticeScope = await departmentService.getNoticeScope(req.user);
+
             // Get comprehensive dashboard data
-            const dashboardData = await SiteVisit.getDashboardData();
+            const dashboardData = await SiteVisit.getDashboardData({ noticeScope });
 
             // Get notice statistics
-            const noticeStats = await this.getNoticeStatistics();
+            const noticeStats = await this.getNoticeStatistics(noticeScope);
 
             // Get user statistics
             const userStats = await this.getUserStatistics();
@@ -79,7 +87,7 @@ class AnalyticsController {
             const sessionStats = await UserSession.getSessionStats();
 
             // Get recent activity
-            const recentActivity = await this.getRecentActivity();
+            const recentActivity = await this.getRecentActivity(20, noticeScope);
 
             const analytics = {
                 overview: {
@@ -136,20 +144,21 @@ class AnalyticsController {
             logApiAccess(req, 'GET_SITE_ANALYTICS', { start_date, end_date, group_by });
 
             // Check authentication
-            if (!req.user || !isAdmin(req.user)) {
+            if (!req.user || !canViewAnalytics(req.user)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Access Denied',
-                    message: 'Only administrators can view detailed analytics',
+                    message: 'You do not have permission to view analytics',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Get site analytics
+            // Get site analytics (traffic is site-wide; top notices follow the user's departments)
             const siteAnalytics = await SiteVisit.getSiteAnalytics({
                 startDate: start_date,
                 endDate: end_date,
-                limit: 100
+                limit: 100,
+                noticeScope: await departmentService.getNoticeScope(req.user)
             });
 
             // Get visitor statistics
@@ -196,11 +205,11 @@ class AnalyticsController {
             logApiAccess(req, 'GET_NOTICE_ANALYTICS', { noticeId: id });
 
             // Check authentication
-            if (!req.user || !isAdmin(req.user)) {
+            if (!req.user || !canViewAnalytics(req.user)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Access Denied',
-                    message: 'Only administrators can view notice analytics',
+                    message: 'You do not have permission to view notice analytics',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -227,12 +236,13 @@ class AnalyticsController {
                 });
             }
 
-            // Check permissions (owner or super_admin)
-            if (notice.createdBy !== req.user.id && !isSuperAdmin(req.user)) {
+            // Check permissions (own notices, or any notice with notice.edit.any)
+            const permission = await noticeService.checkNoticePermissions(notice, req.user, 'view_analytics');
+            if (!permission.allowed) {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'You can only view analytics for your own notices or be a super administrator',
+                    message: permission.message,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -287,11 +297,11 @@ class AnalyticsController {
             logApiAccess(req, 'GET_USER_ANALYTICS');
 
             // Check authentication and permissions
-            if (!req.user || !isSuperAdmin(req.user)) {
+            if (!req.user || !canExportAnalytics(req.user)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Access Denied',
-                    message: 'Only super administrators can view user analytics',
+                    message: 'You do not have permission to view user analytics',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -373,15 +383,19 @@ class AnalyticsController {
             logApiAccess(req, 'GET_CONTENT_ANALYTICS');
 
             // Check authentication
-            if (!req.user || !isAdmin(req.user)) {
+            if (!req.user || !canViewAnalytics(req.user)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Access Denied',
-                    message: 'Only administrators can view content analytics',
+                    message: 'You do not have permission to view content analytics',
                     timestamp: new Date().toISOString()
                 });
             }
 
+            const noticeScope = await departmentService.getNoticeScope(req.user);
+            const scopeClause = noticeScope ? `AND ${noticeScope.clause}` : '';
+            const scopeParams = noticeScope ? noticeScope.params : [];
+
             // Get notice performance
             const noticePerformanceQuery = `
         SELECT 
@@ -400,13 +414,14 @@ class AnalyticsController {
         FROM notices n
         LEFT JOIN users u ON n.created_by = u.id
         LEFT JOIN site_visits sv ON n.id = sv.notice_id
-        WHERE n.created_at >= DATE_SUB(NOW(), INTERVAL 90 DAY)
+        WHERE n.created_at >= DATE_SUB(NOW(), INTERVAL 90 DAY) ${scopeClause}
         GROUP BY n.id, n.title, n.slug, n.status, n.priority, n.published_at, n.created_at, u.username
         ORDER BY total_views DESC, unique_viewers DESC
         LIMIT ?
       `;
 
             const performanceResult = await secureDatabase.executeQuery(noticePerformanceQuery, [
+                ...scopeParams,
                 Math.min(100, parseInt(limit))
             ]);
 
@@ -427,28 +442,28 @@ class AnalyticsController {
           FROM site_visits
           GROUP BY notice_id
         ) sv_stats ON n.id = sv_stats.notice_id
-        WHERE n.created_at >= DATE_SUB(NOW(), INTERVAL 90 DAY)
+        WHERE n.created_at >= DATE_SUB(NOW(), INTERVAL 90 DAY) ${scopeClause}
         GROUP BY n.priority
         ORDER BY avg_views DESC
       `;
 
-            const priorityTrendsResult = await secureDatabase.executeQuery(priorityTrendsQuery);
+            const priorityTrendsResult = await secureDatabase.executeQuery(priorityTrendsQuery, scopeParams);
 
             // Get publishing trends (last 30 days)
             const publishingTrendsQuery = `
         SELECT 
-          DATE(published_at) as publish_date,
+          DATE(n.published_at) as publish_date,
           COUNT(*) as published_count,
-          COUNT(DISTINCT created_by) as publishers
-        FROM notices
-        WHERE published_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-          AND status = 'published'
-        GROUP BY DATE(published_at)
+          COUNT(DISTINCT n.created_by) as publishers
+        FROM notices n
+        WHERE n.published_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+          AND n.status = 'published' ${scopeClause}
+        GROUP BY DATE(n.published_at)
         ORDER BY publish_date DESC
         LIMIT 30
       `;
 
-            const publishingTrendsResult = await secureDatabase.executeQuery(publishingTrendsQuery);
+            const publishingTrendsResult = await secureDatabase.executeQuery(publishingTrendsQuery, scopeParams);
 
             console.log(`📝 Content analytics requested by ${req.user.username}`);
 
@@ -482,11 +497,11 @@ class AnalyticsController {
             logApiAccess(req, 'GET_SECURITY_ANALYTICS');
 
             // Check authentication and permissions
-            if (!req.user || !isSuperAdmin(req.user)) {
+            if (!req.user || !canExportAnalytics(req.user)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Access Denied',
-                    message: 'Only super administrators can view security analytics',
+                    message: 'You do not have permission to view security analytics',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -494,21 +509,11 @@ class AnalyticsController {
             // Detect suspicious sessions
             const suspiciousSessions = await UserSession.detectSuspiciousSessions();
 
-            // Get failed login attempts (if logging exists)
-            const failedLoginsQuery = `
-        SELECT 
-          DATE(created_at) as attempt_date,
-          COUNT(*) as failed_attempts,
-          COUNT(DISTINCT user_id) as affected_users
-        FROM user_sessions
-        WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-          AND is_active = FALSE
-        GROUP BY DATE(created_at)
-        ORDER BY attempt_date DESC
-        LIMIT 7
-      `;
-
-            const failedLoginsResult = await secureDatabase.executeQuery(failedLoginsQuery);
+            // Failed logins per day over the last week, and lockouts in force
+            const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+            const now = new Date().toISOString();
+            const failedLogins = await LoginAttempt.getDailyTrend(weekAgo, now);
+            const loginLockouts = await LoginLockout.getActive();
 
             // Get session security metrics
             const securityMetricsQuery = `
@@ -551,7 +556,8 @@ class AnalyticsController {
                 message: 'Security analytics retrieved successfully',
                 data: {
                     suspiciousSessions: suspiciousSessions || [],
-                    failedLogins: failedLoginsResult.rows || [],
+                    failedLogins: failedLogins,
+                    loginLockouts: loginLockouts.map(lockout => lockout.toJSON()),
                     securityMetrics: securityMetricsResult.rows[0] || {},
                     suspiciousActivity: suspiciousActivityResult.rows || [],
                     generatedAt: new Date().toISOString()
@@ -579,24 +585,26 @@ class AnalyticsController {
             logApiAccess(req, 'EXPORT_ANALYTICS', { type, format });
 
             // Check authentication and permissions
-            if (!req.user || !isSuperAdmin(req.user)) {
+            if (!req.user || !canExportAnalytics(req.user)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Access Denied',
-                    message: 'Only super administrators can export analytics',
+                    message: 'You do not have permission to export analytics',
                     timestamp: new Date().toISOString()
                 });
             }
 
+            const noticeScope = await departmentService.getNoticeScope(req.user);
+
             let exportData = {};
             let filename = `analytics_${type}_${new Date().toISOString().split('T')[0]}`;
 
             switch (type) {
                 case 'visits':
-                    exportData = await this.exportVisitsData(start_date, end_date);
+                    exportData = await this.exportVisitsData(start_date, end_date, noticeScope);
                     break;
                 case 'notices':
-                    exportData = await this.exportNoticesData();
+                    exportData = await this.exportNoticesData(noticeScope);
                     break;
                 case 'users':
                     exportData = await this.exportUsersData();
@@ -655,23 +663,24 @@ class AnalyticsController {
         }
     };
 
-    // Helper method: Get notice statistics
-    async getNoticeStatistics() {
+    // Helper method: Get notice statistics, limited to a notice scope when given
+    async getNoticeStatistics(noticeScope = null) {
         try {
             const query = `
         SELECT 
           COUNT(*) as total,
-          COUNT(CASE WHEN status = 'published' THEN 1 END) as published,
-          COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft,
-          COUNT(CASE WHEN priority = 'high' THEN 1 END) as high_priority,
-          COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium_priority,
-          COUNT(CASE WHEN priority = 'low' THEN 1 END) as low_priority,
-          COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as created_this_month,
-          COUNT(CASE WHEN published_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as published_this_month
-        FROM notices
+          COUNT(CASE WHEN n.status = 'published' THEN 1 END) as published,
+          COUNT(CASE WHEN n.status = 'draft' THEN 1 END) as draft,
+          COUNT(CASE WHEN n.priority = 'high' THEN 1 END) as high_priority,
+          COUNT(CASE WHEN n.priority = 'medium' THEN 1 END) as medium_priority,
+          COUNT(CASE WHEN n.priority = 'low' THEN 1 END) as low_priority,
+          COUNT(CASE WHEN n.created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as created_this_month,
+          COUNT(CASE WHEN n.published_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as published_this_month
+        FROM notices n
+        WHERE n.deleted_at IS NULL ${noticeScope ? `AND ${noticeScope.clause}` : ''}
       `;
 
-            const result = await secureDatabase.executeQuery(query);
+            const result = await secureDatabase.executeQuery(query, noticeScope ? noticeScope.params : []);
             return result.rows[0] || {};
         } catch (error) {
             console.error('💥 Error getting notice statistics:', error.message);
@@ -699,28 +708,31 @@ class AnalyticsController {
         }
     }
 
-    // Helper method: Get recent activity
-    async getRecentActivity(limit = 20) {
+    // Helper method: Get recent activity, limited to a notice scope when given
+    async getRecentActivity(limit = 20, noticeScope = null) {
         try {
+            const scopeClause = noticeScope ? `AND ${noticeScope.clause}` : '';
+            const scopeParams = noticeScope ? noticeScope.params : [];
+
             const query = `
         (SELECT 'notice_created' as activity_type, n.title as description, n.created_at as activity_time, u.username as actor
          FROM notices n
          LEFT JOIN users u ON n.created_by = u.id
-         WHERE n.created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+         WHERE n.created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) ${scopeClause}
          ORDER BY n.created_at DESC
          LIMIT 10)
         UNION ALL
         (SELECT 'notice_published' as activity_type, n.title as description, n.published_at as activity_time, u.username as actor
          FROM notices n
          LEFT JOIN users u ON n.created_by = u.id
-         WHERE n.published_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+         WHERE n.published_at >= DATE_SUB(NOW(), INTERVAL 7 DAY) ${scopeClause}
          ORDER BY n.published_at DESC
          LIMIT 10)
         ORDER BY activity_time DESC
         LIMIT ?
       `;
 
-            const result = await secureDatabase.executeQuery(query, [limit]);
+            const result = await secureDatabase.executeQuery(query, [...scopeParams, ...scopeParams, limit]);
             return result.rows || [];
         } catch (error) {
             console.error('💥 Error getting recent activity:', error.message);
@@ -728,8 +740,8 @@ class AnalyticsController {
         }
     }
 
-    // Helper method: Export visits data
-    async exportVisitsData(startDate, endDate) {
+    // Helper method: Export visits data; a notice scope limits it to visits of those notices
+    async exportVisitsData(startDate, endDate, noticeScope = null) {
         try {
             let query = `
         SELECT 
@@ -760,6 +772,11 @@ class AnalyticsController {
                 params.push(endDate);
             }
 
+            if (noticeScope) {
+                query += ` AND ${noticeScope.clause}`;
+                params.push(...noticeScope.params);
+            }
+
             query += ` ORDER BY sv.visit_time DESC LIMIT 10000`;
 
             const result = await secureDatabase.executeQuery(query, params);
@@ -770,8 +787,8 @@ class AnalyticsController {
         }
     }
 
-    // Helper method: Export notices data
-    async exportNoticesData() {
+    // Helper method: Export notices data, limited to a notice scope when given
+    async exportNoticesData(noticeScope = null) {
         try {
             const query = `
         SELECT 
@@ -788,11 +805,12 @@ class AnalyticsController {
         FROM notices n
         LEFT JOIN users u ON n.created_by = u.id
         LEFT JOIN site_visits sv ON n.id = sv.notice_id
+        ${noticeScope ? `WHERE ${noticeScope.clause}` : ''}
         GROUP BY n.id, n.title, n.slug, n.status, n.priority, n.created_at, n.published_at, u.username
         ORDER BY n.created_at DESC
       `;
 
-            const result = await secureDatabase.executeQuery(query);
+            const result = await secureDatabase.executeQuery(query, noticeScope ? noticeScope.params : []);
             return result.rows || [];
         } catch (error) {
             console.error('💥 Error exporting notices data:', error.message);
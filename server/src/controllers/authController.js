@@ -1,9 +1,14 @@
 // Authentication Controller - Secure login, logout, and session management
-const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const UserSession = require('../models/UserSession');
-const { config } = require('../config/environment');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const ssoService = require('../services/ssoService');
+const permissionService = require('../services/permissionService');
+const departmentService = require('../services/departmentService');
+const { config, isProduction } = require('../config/environment');
+const { getCookie } = require('../utils/cookies');
 const {
     logAuthentication,
     logSecurityEvent,
@@ -39,6 +44,48 @@ class AuthController {
             }
         });
 
+        // Second login step; wrong codes also count towards the persistent lockouts
+        this.twoFactorLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 10, // 10 codes per window
+            message: {
+                success: false,
+                error: 'Too Many Verification Attempts',
+                message: 'Too many verification attempts, please try again later',
+                retryAfter: '15 minutes'
+            },
+            standardHeaders: true,
+            legacyHeaders: false,
+            onLimitReached: (req, res) => {
+                logRateLimit(req, 'auth_two_factor', {
+                    windowMs: 15 * 60 * 1000,
+                    max: 10,
+                    exceeded: true
+                });
+            }
+        });
+
+        // Forgot / reset password; accounts are also throttled in the service
+        this.passwordResetLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 10, // 10 requests per window
+            message: {
+                success: false,
+                error: 'Too Many Password Reset Requests',
+                message: 'Too many password reset requests, please try again later',
+                retryAfter: '15 minutes'
+            },
+            standardHeaders: true,
+            legacyHeaders: false,
+            onLimitReached: (req, res) => {
+                logRateLimit(req, 'auth_password_reset', {
+                    windowMs: 15 * 60 * 1000,
+                    max: 10,
+                    exceeded: true
+                });
+            }
+        });
+
         this.registerLimiter = rateLimit({
             windowMs: 60 * 60 * 1000, // 1 hour
             max: 3, // 3 registrations per hour
@@ -82,6 +129,24 @@ class AuthController {
 
             console.log(`🔐 Login attempt for username: ${cleanUsername}`);
 
+            // Request fields are kept for the security log
+            const loginContext = {
+                ip: req.ip,
+                headers: req.headers,
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent']
+            };
+
+            // Refuse locked usernames and IP addresses before checking the password
+            const rateLimitCheck = await authService.checkRateLimit(cleanUsername, loginContext.ipAddress);
+            if (!rateLimitCheck.allowed) {
+                console.log(`🔒 Login refused, ${rateLimitCheck.scope} locked: ${cleanUsername}`);
+                await authService.recordBlockedAttempt(cleanUsername, loginContext.ipAddress, rateLimitCheck, loginContext);
+                logAuthentication(req, { success: false, reason: `Locked (${rateLimitCheck.scope})` });
+
+                return this.sendLockedResponse(res, rateLimitCheck);
+            }
+
             // Authenticate user
             const authResult = await User.authenticate(cleanUsername, cleanPassword);
 
@@ -89,6 +154,16 @@ class AuthController {
                 console.log(`❌ Authentication failed: ${authResult.reason}`);
                 logAuthentication(req, authResult);
 
+                // Right password for a disabled account: not a guessing attempt
+                if (authResult.reason === 'Account disabled') {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Account Disabled',
+                        message: 'This account has been disabled. Contact a super admin.',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
                 // Log potential brute force attempt
                 if (authResult.reason === 'Invalid password') {
                     logSecurityEvent(req, 'FAILED_LOGIN_ATTEMPT', {
@@ -98,10 +173,19 @@ class AuthController {
                     });
                 }
 
+                // Unknown usernames count the same way, so responses do not reveal which accounts exist
+                const failure = await authService.recordFailedAttempt(cleanUsername, loginContext.ipAddress, loginContext);
+                if (failure.locked) {
+                    return this.sendLockedResponse(res, failure);
+                }
+
                 return res.status(401).json({
                     success: false,
                     error: 'Authentication Failed',
-                    message: 'Invalid username or password',
+                    message: failure.message,
+                    data: {
+                        attemptsRemaining: failure.attemptsRemaining
+                    },
                     timestamp: new Date().toISOString()
                 });
             }
@@ -122,96 +206,331 @@ class AuthController {
 
             console.log(`✅ User authenticated: ${user.username} (ID: ${user.id})`);
 
-            // Generate JWT token - FIXED: Use user.id instead of req.user.id
-            const tokenPayload = {
-                userId: user.id,        // ✅ Fixed!
-                username: user.username,
-                role: user.role,
-                iat: Math.floor(Date.now() / 1000)
-            };
+            // Accounts with two-factor get a challenge instead of a session
+            const twoFactor = await twoFactorService.getLoginRequirement(user);
+            if (twoFactor.required) {
+                return this.sendTwoFactorChallenge(req, res, user, twoFactor);
+            }
+
+            return await this.completeLogin(req, res, user, loginContext, [cleanUsername, user.username, user.email]);
+
+        } catch (error) {
+            console.error('💥 Login error:', error.message);
+            console.error('📝 Error stack:', error.stack);
+
+            // Log the error
+            const result = { success: false, reason: 'Server error during authentication' };
+            logAuthentication(req, result);
+
+            logSecurityEvent(req, 'AUTH_FAILURE', {
+                reason: 'Server error during authentication',
+                attemptedUsername: req.body?.username || 'unknown'
+            });
+
+            return res.status(500).json({
+                success: false,
+                error: 'Authentication Error',
+                message: 'An error occurred during login',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Accounts with two-factor get a challenge for /login/2fa instead of a session
+    sendTwoFactorChallenge = (req, res, user, twoFactor) => {
+        console.log(`🔐 Two-factor ${twoFactor.setup ? 'setup' : 'code'} required for: ${user.username}`);
+        logAuthentication(req, { success: false, reason: 'Second factor required', userId: user.id });
+
+        return res.status(200).json({
+            success: true,
+            message: twoFactor.setup
+                ? 'Two-factor authentication must be set up before you can log in'
+                : 'Enter the code from your authenticator app',
+            data: {
+                twoFactorRequired: true,
+                twoFactorSetupRequired: twoFactor.setup,
+                challengeToken: twoFactorService.createChallenge(user, twoFactor.setup ? 'setup' : 'verify'),
+                expiresIn: twoFactorService.config.challengeTtlSeconds
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // The client shows and hides features based on the user's permissions and departments
+    describeSessionUser = async (user) => ({
+        ...user.toJSON(),
+        ...authService.getPasswordStatus(user),
+        permissions: await permissionService.getUserPermissions(user),
+        departmentIds: await departmentService.getUserDepartmentIds(user.id)
+    });
+
+    refreshCookieOptions = () => ({
+        httpOnly: true, // out of reach of page scripts, unlike the old localStorage tokens
+        secure: isProduction(),
+        sameSite: 'strict',
+        path: config.refreshToken.cookiePath
+    });
+
+    setRefreshCookie = (res, refreshToken) => {
+        res.cookie(config.refreshToken.cookieName, refreshToken, {
+            ...this.refreshCookieOptions(),
+            maxAge: config.refreshToken.ttlDays * 24 * 60 * 60 * 1000
+        });
+    };
+
+    clearRefreshCookie = (res) => {
+        res.clearCookie(config.refreshToken.cookieName, this.refreshCookieOptions());
+    };
+
+    /**
+     * Issue the JWT and session once every login step has passed
+     * @param {Object} user - Authenticated user
+     * @param {Object} loginContext - { ip, headers, ipAddress, userAgent }
+     * @param {Array<string>} usernames - Usernames whose failed attempts are cleared
+     * @param {Object} extra - Additional response data (e.g. recovery codes after a forced setup)
+     */
+    completeLogin = async (req, res, user, loginContext, usernames, extra = {}) => {
+        await authService.clearFailedAttempts(usernames, loginContext.ipAddress, loginContext);
+
+        // Expired passwords still log in, but the client must send the user to change it first
+        const passwordStatus = authService.getPasswordStatus(user);
+        if (passwordStatus.passwordChangeRequired) {
+            console.log(`⏳ Password expired for user: ${user.username}`);
+        }
+
+        // Short-lived access token; the refresh token cookie renews it
+        const token = authService.signAccessToken(user);
+
+        console.log(`🔑 JWT token generated for user: ${user.username}`);
+
+        // Create session record
+        const sessionInfo = {
+            ipAddress: loginContext.ipAddress,
+            userAgent: loginContext.userAgent
+        };
+
+        try {
+            const session = await UserSession.createSession(user.id, token, sessionInfo);
+            console.log(`📝 Session created: ${session.id}`);
+
+            this.setRefreshCookie(res, await authService.issueRefreshToken(session.id));
+
+            // Log successful authentication
+            logAuthentication(req, {
+                success: true,
+                reason: 'Valid credentials',
+                userId: user.id,
+                sessionId: session.id
+            });
+
+            console.log(`✅ Login successful for user: ${user.username} (${user.role})`);
+
+            // Return success response
+            return res.status(200).json({
+                success: true,
+                message: 'Login successful',
+                data: {
+                    token,
+                    user: await this.describeSessionUser(user),
+                    passwordChangeRequired: passwordStatus.passwordChangeRequired,
+                    ...extra,
+                    session: {
+                        id: session.id,
+                        expiresAt: session.expiresAt
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (sessionError) {
+            console.error('💥 Session creation failed:', sessionError.message);
 
-            const token = jwt.sign(tokenPayload, config.jwt.secret, {
-                expiresIn: config.jwt.expiresIn,
-                algorithm: config.jwt.algorithm,
-                issuer: config.jwt.issuer,
-                audience: config.jwt.audience
+            // The auth middleware only accepts tokens with a session, so a token without one would be useless
+            logAuthentication(req, {
+                success: false,
+                reason: 'Valid credentials, session creation failed',
+                userId: user.id,
+                sessionError: sessionError.message
+            });
+
+            return res.status(500).json({
+                success: false,
+                error: 'Authentication Error',
+                message: 'Could not start a session',
+                timestamp: new Date().toISOString()
             });
+        }
+    };
+
+    // 423 for a locked account, 429 for a locked IP address; the message says how long to wait
+    sendLockedResponse = (res, lockout) => {
+        res.set('Retry-After', String(lockout.retryAfter));
+
+        return res.status(lockout.scope === 'ip' ? 429 : 423).json({
+            success: false,
+            error: lockout.scope === 'ip' ? 'Too Many Failed Attempts' : 'Account Locked',
+            message: lockout.message,
+            data: {
+                lockout: {
+                    scope: lockout.scope,
+                    lockedUntil: lockout.lockoutExpires,
+                    retryAfter: lockout.retryAfter
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Second login step: a code, a recovery code, or the first code of a forced setup
+    loginTwoFactor = async (req, res) => {
+        try {
+            const { challengeToken, code, recoveryCode } = req.body;
 
-            console.log(`🔑 JWT token generated for user: ${user.username}`);
+            if (!challengeToken || (!code && !recoveryCode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Challenge token and a verification or recovery code are required',
+                    timestamp: new Date().toISOString()
+                });
+            }
 
-            // Create session record
-            const sessionInfo = {
+            const loginContext = {
+                ip: req.ip,
+                headers: req.headers,
                 ipAddress: req.ip || req.connection.remoteAddress,
                 userAgent: req.headers['user-agent']
             };
 
-            try {
-                const session = await UserSession.createSession(user.id, token, sessionInfo);
-                console.log(`📝 Session created: ${session.id}`);
+            const result = await authService.verifySecondFactor(challengeToken.toString(), {
+                code: code ? code.toString().substring(0, 10) : null,
+                recoveryCode: recoveryCode ? recoveryCode.toString().substring(0, 32) : null
+            }, loginContext);
+
+            if (!result.success) {
+                console.log(`❌ Two-factor verification failed: ${result.reason}`);
+                logAuthentication(req, { success: false, reason: `Second factor: ${result.reason}` });
+
+                if (result.reason === 'locked') {
+                    return this.sendLockedResponse(res, result.lockout);
+                }
 
-                // Log successful authentication
-                logAuthentication(req, {
-                    success: true,
-                    reason: 'Valid credentials',
-                    userId: user.id,
-                    sessionId: session.id
+                return this.sendTwoFactorError(res, result, {
+                    statusCodes: { invalid_code: 401 },
+                    data: result.reason === 'invalid_code'
+                        ? { attemptsRemaining: result.lockout ? result.lockout.attemptsRemaining : null }
+                        : undefined
                 });
+            }
+
+            const extra = {};
+            if (result.recoveryCodes) {
+                extra.recoveryCodes = result.recoveryCodes;
+            }
+            if (result.recoveryCodesRemaining !== null) {
+                extra.recoveryCodesRemaining = result.recoveryCodesRemaining;
+            }
 
-                console.log(`✅ Login successful for user: ${user.username} (${user.role})`);
+            return await this.completeLogin(req, res, result.user, loginContext, [result.user.username], extra);
 
-                // Return success response
-                return res.status(200).json({
-                    success: true,
-                    message: 'Login successful',
-                    data: {
-                        token,
-                        user: user.toJSON(),
-                        session: {
-                            id: session.id,
-                            expiresAt: session.expiresAt
-                        }
-                    },
-                    timestamp: new Date().toISOString()
+        } catch (error) {
+            console.error('💥 Two-factor login error:', error.message);
+
+            return res.status(500).json({
+                success: false,
+                error: 'Authentication Error',
+                message: 'An error occurred during login',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Secret and QR code for a login that must set up two-factor before continuing
+    loginTwoFactorSetup = async (req, res) => {
+        try {
+            const challenge = twoFactorService.readChallenge(req.body.challengeToken);
+            const user = challenge && challenge.purpose === 'setup' ? await User.findById(challenge.userId) : null;
+
+            if (!user) {
+                return this.sendTwoFactorError(res, {
+                    reason: 'invalid_challenge',
+                    message: 'Your login has expired, please sign in again'
                 });
+            }
+
+            const result = await twoFactorService.beginSetup(user);
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app',
+                data: {
+                    secret: result.secret,
+                    otpauthUrl: result.otpauthUrl,
+                    qrCode: result.qrCode
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor login setup error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Setup Failed',
+                message: 'An error occurred while starting two-factor setup',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Trade the handoff token from the SSO callback for the usual JWT and session
+    loginSso = async (req, res) => {
+        try {
+            const userId = ssoService.redeemHandoff(req.body.ssoToken);
+            const user = userId ? await User.findById(userId) : null;
 
-            } catch (sessionError) {
-                console.error('💥 Session creation failed:', sessionError.message);
+            if (!user) {
+                logAuthentication(req, { success: false, reason: 'Invalid or expired SSO handoff' });
 
-                // Still return success since auth worked
-                logAuthentication(req, {
-                    success: true,
-                    reason: 'Valid credentials, session creation failed',
-                    userId: user.id,
-                    sessionError: sessionError.message
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication Failed',
+                    message: 'Your sign-in has expired, please try again',
+                    timestamp: new Date().toISOString()
                 });
+            }
 
-                return res.status(200).json({
-                    success: true,
-                    message: 'Login successful',
-                    data: {
-                        token,
-                        user: user.toJSON(),
-                        session: {
-                            id: null,
-                            expiresAt: null
-                        }
-                    },
+            if (!user.active) {
+                logAuthentication(req, { success: false, reason: 'Account disabled', userId: user.id });
+
+                return res.status(403).json({
+                    success: false,
+                    error: 'Account Disabled',
+                    message: 'This account has been disabled. Contact a super admin.',
                     timestamp: new Date().toISOString()
                 });
             }
 
-        } catch (error) {
-            console.error('💥 Login error:', error.message);
-            console.error('📝 Error stack:', error.stack);
+            const loginContext = {
+                ip: req.ip,
+                headers: req.headers,
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent']
+            };
 
-            // Log the error
-            const result = { success: false, reason: 'Server error during authentication' };
-            logAuthentication(req, result);
+            // Local two-factor still applies to accounts that have it (and to super admins under the policy)
+            const twoFactor = await twoFactorService.getLoginRequirement(user);
+            if (twoFactor.required) {
+                return this.sendTwoFactorChallenge(req, res, user, twoFactor);
+            }
 
-            logSecurityEvent(req, 'AUTH_FAILURE', {
-                reason: 'Server error during authentication',
-                attemptedUsername: req.body?.username || 'unknown'
-            });
+            return await this.completeLogin(req, res, user, loginContext, [user.username, user.email]);
+
+        } catch (error) {
+            console.error('💥 SSO login error:', error.message);
 
             return res.status(500).json({
                 success: false,
@@ -222,6 +541,31 @@ class AuthController {
         }
     };
 
+    // Map a two-factor refusal to its status code; options: { statusCodes, data }
+    sendTwoFactorError = (res, result, options = {}) => {
+        const statusCodes = {
+            invalid_challenge: 401,
+            invalid_password: 401,
+            invalid_code: 400,
+            setup_not_started: 400,
+            not_enabled: 400,
+            already_enabled: 409,
+            required_by_policy: 403,
+            forbidden: 403,
+            not_found: 404,
+            ...options.statusCodes
+        };
+
+        return res.status(statusCodes[result.reason] || 500).json({
+            success: false,
+            error: 'Two-Factor Error',
+            message: result.message,
+            reason: result.reason,
+            data: options.data,
+            timestamp: new Date().toISOString()
+        });
+    };
+
     // User registration (for admins to create other users)
     register = async (req, res) => {
         try {
@@ -237,8 +581,8 @@ class AuthController {
                 });
             }
 
-            // Only super_admin can create other users
-            if (!req.user.isSuperAdmin()) {
+            // Only users.manage holders can create other users
+            if (!permissionService.grants(req.user.permissions || [], 'users.manage')) {
                 logSecurityEvent(req, 'UNAUTHORIZED_USER_CREATION', {
                     attemptedBy: req.user.username,
                     attemptedRole: req.user.role,
@@ -248,7 +592,7 @@ class AuthController {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'Only super administrators can create new users',
+                    message: 'You do not have permission to create new users',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -305,17 +649,12 @@ class AuthController {
     // User logout
     logout = async (req, res) => {
         try {
-            // Get current session from token
-            const authHeader = req.headers.authorization;
-
-            if (authHeader && authHeader.startsWith('Bearer ')) {
-                const token = authHeader.substring(7);
-
+            // Revoke the session of the access token; its refresh tokens stop working with it
+            if (req.sessionId) {
                 try {
-                    // Find and revoke the session
-                    const session = await UserSession.findByToken(token);
+                    const session = await UserSession.findById(req.sessionId);
 
-                    if (session) {
+                    if (session && session.isValid()) {
                         await session.revoke(req.user);
                         console.log(`🔒 Session revoked for user: ${req.user?.username}`);
                     }
@@ -325,6 +664,8 @@ class AuthController {
                 }
             }
 
+            this.clearRefreshCookie(res);
+
             // Log the logout
             if (req.user) {
                 logSecurityEvent(req, 'USER_LOGOUT', {
@@ -380,7 +721,12 @@ class AuthController {
                 success: true,
                 message: 'Profile retrieved successfully',
                 data: {
-                    user: user.toJSON()
+                    user: {
+                        ...user.toJSON(),
+                        ...authService.getPasswordStatus(user),
+                        permissions: await permissionService.getUserPermissions(user),
+                        departmentIds: await departmentService.getUserDepartmentIds(user.id)
+                    }
                 },
                 timestamp: new Date().toISOString()
             });
@@ -452,7 +798,7 @@ class AuthController {
                 success: true,
                 message: 'Profile updated successfully',
                 data: {
-                    user: user.toJSON()
+                    user: { ...user.toJSON(), permissions: req.user.permissions, departmentIds: req.user.departmentIds }
                 },
                 timestamp: new Date().toISOString()
             });
@@ -525,17 +871,38 @@ class AuthController {
                 });
             }
 
-            // Change password
-            await user.changePassword(currentPassword, newPassword, req.user);
+            // Change password (checks strength and reuse, then logs out other sessions)
+            const result = await authService.changePassword(user, currentPassword, newPassword, req);
 
-            console.log(`🔒 Password changed for user: ${user.username}`);
+            if (!result.success) {
+                const statusCodes = {
+                    invalid_current_password: 401,
+                    weak_password: 400,
+                    password_reused: 400
+                };
+
+                return res.status(statusCodes[result.reason] || 500).json({
+                    success: false,
+                    error: 'Password Change Failed',
+                    message: result.message,
+                    ...(result.errors && { errors: result.errors }),
+                    timestamp: new Date().toISOString()
+                });
+            }
 
-            // Revoke all other sessions for security
-            await UserSession.revokeAllUserSessions(user.id, req.sessionId, req.user);
+            console.log(`🔒 Password changed for user: ${user.username}`);
 
             res.status(200).json({
                 success: true,
-                message: 'Password changed successfully. Other sessions have been logged out.',
+                message: result.message,
+                data: {
+                    user: {
+                        ...user.toJSON(),
+                        ...result.passwordStatus,
+                        permissions: req.user.permissions,
+                        departmentIds: req.user.departmentIds
+                    }
+                },
                 timestamp: new Date().toISOString()
             });
 
@@ -562,84 +929,196 @@ class AuthController {
         }
     };
 
-    // Get user sessions
-    getSessions = async (req, res) => {
+    // Request a password reset email
+    forgotPassword = async (req, res) => {
         try {
-            if (!req.user) {
-                return res.status(401).json({
+            const { identifier } = req.body;
+
+            if (!identifier || typeof identifier !== 'string') {
+                return res.status(400).json({
                     success: false,
-                    error: 'Authentication Required',
-                    message: 'You must be logged in to view sessions',
+                    error: 'Validation Error',
+                    message: 'Username or email address is required',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Get user sessions
-            const sessions = await UserSession.getUserSessions(req.user.id);
+            const result = await authService.requestPasswordReset(identifier, req);
+
+            if (!result.success) {
+                return res.status(result.reason === 'invalid_input' ? 400 : 500).json({
+                    success: false,
+                    error: 'Password Reset Failed',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
             res.status(200).json({
                 success: true,
-                message: 'Sessions retrieved successfully',
-                data: {
-                    sessions: sessions.map(session => session.toJSON()),
-                    count: sessions.length
-                },
+                message: result.message,
                 timestamp: new Date().toISOString()
             });
 
         } catch (error) {
-            console.error('💥 Get sessions error:', error.message);
+            console.error('💥 Forgot password error:', error.message);
 
             res.status(500).json({
                 success: false,
-                error: 'Sessions Error',
-                message: 'An error occurred while retrieving sessions',
+                error: 'Password Reset Failed',
+                message: 'An error occurred while requesting a password reset',
                 timestamp: new Date().toISOString()
             });
         }
     };
 
-    // Revoke specific session
-    revokeSession = async (req, res) => {
+    // Set a new password with an emailed reset token
+    resetPassword = async (req, res) => {
         try {
-            if (!req.user) {
-                return res.status(401).json({
+            const { token, newPassword, confirmPassword } = req.body;
+
+            if (!token || !newPassword || !confirmPassword) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Authentication Required',
-                    message: 'You must be logged in to revoke sessions',
+                    error: 'Validation Error',
+                    message: 'Reset token, new password, and confirmation are required',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            const { sessionId } = req.params;
-
-            if (!sessionId || isNaN(parseInt(sessionId))) {
+            if (newPassword !== confirmPassword) {
                 return res.status(400).json({
                     success: false,
                     error: 'Validation Error',
-                    message: 'Valid session ID is required',
+                    message: 'New password and confirmation do not match',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Find the session
-            const session = await UserSession.findById(parseInt(sessionId));
+            const result = await authService.resetPassword(String(token), newPassword, req);
 
-            if (!session) {
-                return res.status(404).json({
+            if (!result.success) {
+                const statusCodes = {
+                    invalid_token: 400,
+                    weak_password: 400,
+                    password_reused: 400
+                };
+
+                return res.status(statusCodes[result.reason] || 500).json({
                     success: false,
-                    error: 'Session Not Found',
-                    message: 'Session not found',
+                    error: 'Password Reset Failed',
+                    message: result.message,
+                    ...(result.errors && { errors: result.errors }),
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Check if user owns this session
-            if (session.userId !== req.user.id) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access Denied',
-                    message: 'You can only revoke your own sessions',
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Reset password error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Password Reset Failed',
+                message: 'An error occurred while resetting the password',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get user sessions
+    getSessions = async (req, res) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication Required',
+                    message: 'You must be logged in to view sessions',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Get user sessions
+            const sessions = await UserSession.getUserSessions(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: {
+                    sessions: sessions.map(session => ({ ...session.toJSON(), isCurrent: session.id === req.sessionId })),
+                    count: sessions.length
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get sessions error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Sessions Error',
+                message: 'An error occurred while retrieving sessions',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Revoke specific session
+    revokeSession = async (req, res) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication Required',
+                    message: 'You must be logged in to revoke sessions',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const { sessionId } = req.params;
+
+            if (!sessionId || isNaN(parseInt(sessionId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Valid session ID is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Find the session
+            const session = await UserSession.findById(parseInt(sessionId));
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session Not Found',
+                    message: 'Session not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Users revoke their own sessions; security admins can sign anybody out
+            const isOwn = session.userId === req.user.id;
+            if (!isOwn && !(await permissionService.hasPermission(req.user, 'security.manage'))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access Denied',
+                    message: 'You can only revoke your own sessions',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!session.isValid()) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Session Not Active',
+                    message: 'This session has already ended',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -647,6 +1126,10 @@ class AuthController {
             // Revoke the session
             await session.revoke(req.user);
 
+            if (!isOwn) {
+                console.log(`🔒 Session ${session.id} of ${session.username} revoked by ${req.user.username}`);
+            }
+
             res.status(200).json({
                 success: true,
                 message: 'Session revoked successfully',
@@ -665,6 +1148,38 @@ class AuthController {
         }
     };
 
+    // Active sessions of every user (security.manage)
+    getAllSessions = async (req, res) => {
+        try {
+            const result = await UserSession.getActiveSessions({
+                page: req.query.page,
+                limit: req.query.limit,
+                userId: req.query.userId,
+                search: req.query.search ? req.query.search.toString().substring(0, 100) : null
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: {
+                    sessions: result.sessions.map(session => ({ ...session.toJSON(), isCurrent: session.id === req.sessionId })),
+                    pagination: result.pagination
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get all sessions error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Sessions Error',
+                message: 'An error occurred while retrieving sessions',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
     // Revoke all sessions except current
     revokeAllSessions = async (req, res) => {
         try {
@@ -705,41 +1220,400 @@ class AuthController {
         }
     };
 
-    // Token refresh (extend session)
+    // List lockouts in force (super admin)
+    getLockouts = async (req, res) => {
+        try {
+            const lockouts = await authService.getActiveLockouts();
+
+            res.status(200).json({
+                success: true,
+                message: 'Lockouts retrieved successfully',
+                data: {
+                    lockouts,
+                    count: lockouts.length
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get lockouts error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Lockouts Error',
+                message: 'An error occurred while retrieving lockouts',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Lift a username or IP lockout (super admin)
+    unlockLockout = async (req, res) => {
+        try {
+            const { lockoutId } = req.params;
+
+            if (!lockoutId || isNaN(parseInt(lockoutId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Valid lockout ID is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const result = await authService.unlockLockout(parseInt(lockoutId), req.user, req);
+
+            if (!result.success) {
+                const statusCodes = { forbidden: 403, not_found: 404 };
+                return res.status(statusCodes[result.reason] || 500).json({
+                    success: false,
+                    error: result.reason === 'not_found' ? 'Lockout Not Found' : 'Unlock Failed',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    lockout: result.lockout
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Unlock error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Unlock Failed',
+                message: 'An error occurred while lifting the lockout',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Two-factor state of the current user
+    getTwoFactorStatus = async (req, res) => {
+        try {
+            const status = await twoFactorService.getStatus(req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor status retrieved successfully',
+                data: status,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor status error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while retrieving two-factor status',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Start enrollment: new secret, provisioning URI and QR code
+    setupTwoFactor = async (req, res) => {
+        try {
+            const result = await twoFactorService.beginSetup(req.user);
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app',
+                data: {
+                    secret: result.secret,
+                    otpauthUrl: result.otpauthUrl,
+                    qrCode: result.qrCode
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor setup error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Setup Failed',
+                message: 'An error occurred while starting two-factor setup',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Finish enrollment with the first code; returns the recovery codes once
+    enableTwoFactor = async (req, res) => {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Verification code is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const result = await twoFactorService.enable(req.user, code.toString().substring(0, 10), req);
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    recoveryCodes: result.recoveryCodes
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor enable error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while enabling two-factor authentication',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Turn two-factor off (password and a code or recovery code required)
+    disableTwoFactor = async (req, res) => {
+        try {
+            const { password, code, recoveryCode } = req.body;
+
+            if (!password || (!code && !recoveryCode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Password and a verification or recovery code are required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const result = await twoFactorService.disable(req.user, {
+                password: password.toString().substring(0, 128),
+                code: code ? code.toString().substring(0, 10) : null,
+                recoveryCode: recoveryCode ? recoveryCode.toString().substring(0, 32) : null
+            }, req);
+
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor disable error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while disabling two-factor authentication',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Replace the recovery codes (current code required)
+    regenerateRecoveryCodes = async (req, res) => {
+        try {
+            const { code } = req.body;
+
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Verification code is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const result = await twoFactorService.regenerateRecoveryCodes(req.user, code.toString().substring(0, 10), req);
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    recoveryCodes: result.recoveryCodes
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Recovery code error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while generating recovery codes',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Two-factor policy (super admin)
+    getTwoFactorPolicy = async (req, res) => {
+        try {
+            const policy = await twoFactorService.getPolicy();
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor policy retrieved successfully',
+                data: policy,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor policy error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while retrieving the two-factor policy',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Require (or stop requiring) two-factor for super admins
+    updateTwoFactorPolicy = async (req, res) => {
+        try {
+            const { requireForSuperAdmins } = req.body;
+
+            if (typeof requireForSuperAdmins !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'requireForSuperAdmins must be true or false',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const result = await twoFactorService.setPolicy(requireForSuperAdmins, req.user, req);
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: result.policy,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor policy update error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while updating the two-factor policy',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Remove two-factor from another account, e.g. after a lost phone (super admin)
+    resetUserTwoFactor = async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            if (!userId || isNaN(parseInt(userId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Valid user ID is required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const result = await twoFactorService.resetForUser(parseInt(userId), req.user, req);
+            if (!result.success) {
+                return this.sendTwoFactorError(res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Two-factor reset error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Two-Factor Error',
+                message: 'An error occurred while resetting two-factor authentication',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Token refresh: trade the refresh token cookie for a new access token and rotate the cookie
     refreshToken = async (req, res) => {
         try {
-            if (!req.user) {
+            const refreshToken = getCookie(req, config.refreshToken.cookieName);
+
+            if (!refreshToken) {
                 return res.status(401).json({
                     success: false,
                     error: 'Authentication Required',
-                    message: 'You must be logged in to refresh token',
+                    message: 'No refresh token, please log in',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Generate new JWT token
-            const tokenPayload = {
-                userId: req.user.id,
-                username: req.user.username,
-                role: req.user.role,
-                iat: Math.floor(Date.now() / 1000)
-            };
+            const result = await authService.refreshAccessToken(refreshToken, req);
 
-            const newToken = jwt.sign(tokenPayload, config.jwt.secret, {
-                expiresIn: config.jwt.expiresIn,
-                algorithm: config.jwt.algorithm,
-                issuer: config.jwt.issuer,
-                audience: config.jwt.audience
-            });
+            if (!result.success) {
+                this.clearRefreshCookie(res);
 
-            console.log(`🔄 Token refreshed for user: ${req.user.username}`);
+                return res.status(result.reason === 'refresh_error' ? 500 : 401).json({
+                    success: false,
+                    error: result.reason === 'token_reused' ? 'Session Revoked' : 'Token Refresh Failed',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            this.setRefreshCookie(res, result.refreshToken);
+
+            const user = await this.describeSessionUser(result.user);
+
+            console.log(`🔄 Token refreshed for user: ${result.user.username}`);
 
             res.status(200).json({
                 success: true,
                 message: 'Token refreshed successfully',
                 data: {
-                    token: newToken,
-                    user: req.user.toJSON()
+                    token: result.accessToken,
+                    user,
+                    passwordChangeRequired: user.passwordChangeRequired,
+                    session: {
+                        id: result.session.id,
+                        expiresAt: result.session.expiresAt
+                    }
                 },
                 timestamp: new Date().toISOString()
             });
@@ -763,7 +1637,12 @@ const authController = new AuthController();
 module.exports = {
     // Rate limited endpoints
     login: [authController.loginLimiter, authController.login],
+    loginTwoFactor: [authController.twoFactorLimiter, authController.loginTwoFactor],
+    loginTwoFactorSetup: [authController.twoFactorLimiter, authController.loginTwoFactorSetup],
+    loginSso: [authController.twoFactorLimiter, authController.loginSso],
     register: [authController.registerLimiter, authController.register],
+    forgotPassword: [authController.passwordResetLimiter, authController.forgotPassword],
+    resetPassword: [authController.passwordResetLimiter, authController.resetPassword],
 
     // Regular endpoints
     logout: authController.logout,
@@ -771,7 +1650,18 @@ module.exports = {
     updateProfile: authController.updateProfile,
     changePassword: authController.changePassword,
     getSessions: authController.getSessions,
+    getAllSessions: authController.getAllSessions,
     revokeSession: authController.revokeSession,
     revokeAllSessions: authController.revokeAllSessions,
+    getLockouts: authController.getLockouts,
+    unlockLockout: authController.unlockLockout,
+    getTwoFactorStatus: authController.getTwoFactorStatus,
+    setupTwoFactor: authController.setupTwoFactor,
+    enableTwoFactor: authController.enableTwoFactor,
+    disableTwoFactor: authController.disableTwoFactor,
+    regenerateRecoveryCodes: authController.regenerateRecoveryCodes,
+    getTwoFactorPolicy: authController.getTwoFactorPolicy,
+    updateTwoFactorPolicy: authController.updateTwoFactorPolicy,
+    resetUserTwoFactor: authController.resetUserTwoFactor,
     refreshToken: authController.refreshToken
 };
@@ -0,0 +1,192 @@
+// Category Controller - Management of notice categories (super admin)
+const Category = require('../models/Category');
+const { logApiAccess } = require('../middleware/logging');
+
+class CategoryController {
+
+    // Get all categories (admin view, optionally including inactive ones)
+    getAllCategories = async (req, res) => {
+        try {
+            const { type = null, includeInactive = 'false' } = req.query;
+
+            logApiAccess(req, 'GET_ALL_CATEGORIES');
+
+            const categories = await Category.findAll({
+                type,
+                includeInactive: includeInactive === 'true',
+                withCounts: true
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Categories retrieved successfully',
+                data: {
+                    categories: categories.map(category => category.toJSON())
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get categories error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving categories',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Create new category
+    createCategory = async (req, res) => {
+        try {
+            const { name, slug, description, type, sortOrder, isActive } = req.body;
+
+            logApiAccess(req, 'CREATE_CATEGORY', { name });
+
+            if (await Category.findByName(name)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Category Exists',
+                    message: `A category named "${name}" already exists`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const category = await Category.create({ name, slug, description, type, sortOrder, isActive }, req.user);
+
+            console.log(`🏷️ Category created: ${category.name} by ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Category created successfully',
+                data: {
+                    category: category.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Create category error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Creation Failed',
+                message: 'An error occurred while creating category',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Update category
+    updateCategory = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { name, slug, description, type, sortOrder, isActive } = req.body;
+
+            logApiAccess(req, 'UPDATE_CATEGORY', { categoryId: id });
+
+            const category = await Category.findById(id);
+
+            if (!category) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Category Not Found',
+                    message: 'Category not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (name !== undefined && await Category.findByName(name, category.id)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Category Exists',
+                    message: `A category named "${name}" already exists`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await category.update({ name, slug, description, type, sortOrder, isActive }, req.user);
+
+            console.log(`🏷️ Category updated: ${category.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Category updated successfully',
+                data: {
+                    category: category.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Update category error:', error.message);
+
+            const statusCode = error.message.includes('No valid fields') ? 400 : 500;
+
+            res.status(statusCode).json({
+                success: false,
+                error: 'Update Failed',
+                message: statusCode === 400 ? error.message : 'An error occurred while updating category',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Delete category (notices keep their other categories)
+    deleteCategory = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'DELETE_CATEGORY', { categoryId: id });
+
+            const category = await Category.findById(id);
+
+            if (!category) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Category Not Found',
+                    message: 'Category not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await category.delete(req.user);
+
+            console.log(`🗑️ Category deleted: ${category.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Category deleted successfully',
+                data: {
+                    deletedCategory: {
+                        id: category.id,
+                        name: category.name
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Delete category error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Deletion Failed',
+                message: 'An error occurred while deleting category',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const categoryController = new CategoryController();
+
+module.exports = {
+    getAllCategories: categoryController.getAllCategories,
+    createCategory: categoryController.createCategory,
+    updateCategory: categoryController.updateCategory,
+    deleteCategory: categoryController.deleteCategory
+};
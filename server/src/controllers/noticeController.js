@@ -1,6 +1,13 @@
 // Notice Controller - Complete CRUD operations for notices
 const Notice = require('../models/Notice');
 const SiteVisit = require('../models/SiteVisit');
+const noticeService = require('../services/noticeService');
+const reviewService = require('../services/reviewService');
+const permissionService = require('../services/permissionService');
+const departmentService = require('../services/departmentService');
+const bulkNoticeService = require('../services/bulkNoticeService');
+const trashService = require('../services/trashService');
+const duplicationService = require('../services/duplicationService');
 const {
     logDataModification,
     logSecurityEvent,
@@ -8,8 +15,66 @@ const {
 } = require('../middleware/logging');
 const { config } = require('../config/environment');
 
+// categoryIds arrive as an array, a JSON string or a comma list (multipart forms)
+function parseCategoryIds(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return [];
+
+    let ids = value;
+    if (typeof value === 'string') {
+        try {
+            ids = JSON.parse(value);
+        } catch (error) {
+            ids = value.split(',');
+        }
+    }
+
+    return (Array.isArray(ids) ? ids : [ids])
+        .map(id => parseInt(id))
+        .filter(id => Number.isInteger(id) && id > 0);
+}
+
+// translations arrive as an object or, from multipart forms, as a JSON string
+function parseTranslations(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    return typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+}
+
 class NoticeController {
 
+    // Respond to a refused publication: 409 while sign-off is missing, 403 otherwise
+    sendPublishDenied = (res, permission) => {
+        const approvalRequired = permission.reason === 'approval_required';
+
+        return res.status(approvalRequired ? 409 : 403).json({
+            success: false,
+            error: approvalRequired ? 'Approval Required' : 'Insufficient Permissions',
+            message: permission.message,
+            reason: permission.reason,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Respond to a notice filed under departments the user does not belong to
+    sendDepartmentDenied = (res, result) => {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient Permissions',
+            message: result.message,
+            reason: result.reason,
+            timestamp: new Date().toISOString()
+        });
+    };
+
     // Get all notices (admin view with filters)
     getAllNotices = async (req, res) => {
         try {
@@ -35,7 +100,8 @@ class NoticeController {
                 createdBy = null,
                 sortBy = 'created_at',
                 sortOrder = 'DESC',
-                includeStats = false
+                includeStats = false,
+                category = null
             } = req.query;
 
             // Build options
@@ -50,7 +116,12 @@ class NoticeController {
                 sortOrder: sortOrder.toUpperCase(),
                 includeStats: includeStats === 'true',
                 userId: req.user.id,
-                showOnlyOwnDrafts: req.user.role !== 'super_admin'
+                // Super admins see every draft; users with notice.edit.any those of their departments too
+                showOnlyOwnDrafts: !(await departmentService.isUnrestricted(req.user)),
+                draftDepartmentIds: permissionService.grants(req.user.permissions || [], 'notice.edit.any')
+                    ? req.user.departmentIds || []
+                    : [],
+                category
             };
 
             console.log(`📋 Getting notices for ${req.user.username} with options:`, options);
@@ -68,7 +139,8 @@ class NoticeController {
                         status,
                         priority,
                         search,
-                        createdBy
+                        createdBy,
+                        category
                     }
                 },
                 timestamp: new Date().toISOString()
@@ -227,12 +299,12 @@ class NoticeController {
                 });
             }
 
-            // Check permissions (only admins can create notices)
-            if (!['admin', 'super_admin'].includes(req.user.role)) {
+            // Check permissions
+            if (!permissionService.grants(req.user.permissions || [], 'notice.create')) {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'Only administrators can create notices',
+                    message: 'You do not have permission to create notices',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -272,6 +344,26 @@ class NoticeController {
                 });
             }
 
+            // New notices have no sign-off yet
+            if (req.body.status === 'published' && reviewService.isEnabled()) {
+                return this.sendPublishDenied(res, {
+                    reason: 'approval_required',
+                    message: 'Save the notice as a draft and submit it for review; it can be published once approved'
+                });
+            }
+
+            // Publishing on creation, now or at publishAt through the scheduler, needs the same permissions as the publish endpoint
+            if (req.body.status === 'published' || req.body.publishAt) {
+                const permission = await noticeService.checkNoticePermissions(
+                    { createdBy: req.user.id, status: 'approved', priority: req.body.priority || 'medium' },
+                    req.user,
+                    'publish'
+                );
+                if (!permission.allowed) {
+                    return this.sendPublishDenied(res, permission);
+                }
+            }
+
             // Extract uploaded files and image
             const uploadedImage = req.files && req.files.image && req.files.image[0];
             const uploadedFiles = req.files && req.files.files
@@ -290,9 +382,25 @@ class NoticeController {
                 imageUrl: uploadedImage ? `/uploads/images/${uploadedImage.filename}` : null,
                 files: uploadedFiles.length > 0 ? uploadedFiles : null,
                 priority: req.body.priority || 'medium',
-                status: req.body.status || 'draft'
+                status: req.body.status || 'draft',
+                publishAt: req.body.publishAt || null,
+                expiresAt: req.body.expiresAt || null,
+                eventStart: req.body.eventStart || null,
+                eventEnd: req.body.eventEnd || null,
+                eventLocation: req.body.eventLocation || null,
+                eventAllDay: req.body.eventAllDay === true || req.body.eventAllDay === 'true',
+                categoryIds: parseCategoryIds(req.body.categoryIds) || [],
+                language: req.body.language || 'en',
+                translations: parseTranslations(req.body.translations)
             };
 
+            // Notices can only be filed under the author's own departments
+            const departments = await departmentService.resolveNoticeDepartments(req.user, noticeData.categoryIds);
+            if (!departments.allowed) {
+                return this.sendDepartmentDenied(res, departments);
+            }
+            noticeData.categoryIds = departments.categoryIds;
+
             console.log(`📝 Creating notice: "${noticeData.title}" by ${req.user.username}`);
             console.log("Processing files:", req.files);
             console.log("Processing body:", req.body);
@@ -373,8 +481,9 @@ class NoticeController {
                 });
             }
 
-            // Check permissions (owner or super_admin can edit)
-            if (notice.createdBy !== req.user.id && req.user.role !== 'super_admin') {
+            // Check permissions (notice.edit for own notices, notice.edit.any for the rest)
+            const editPermission = await noticeService.checkNoticePermissions(notice, req.user, 'update');
+            if (!editPermission.allowed) {
                 logSecurityEvent(req, 'UNAUTHORIZED_NOTICE_UPDATE', {
                     attemptedBy: req.user.username,
                     noticeId: notice.id,
@@ -385,12 +494,15 @@ class NoticeController {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'You can only edit your own notices or be a super administrator',
+                    message: editPermission.message,
                     timestamp: new Date().toISOString()
                 });
             }
 
-            const { title, description, imageUrl, files, priority, status } = req.body;
+            const {
+                title, description, imageUrl, files, priority, status, publishAt, expiresAt,
+                eventStart, eventEnd, eventLocation, eventAllDay, language
+            } = req.body;
 
             // Prepare update data
             const updateData = {};
@@ -401,6 +513,80 @@ class NoticeController {
             if (files !== undefined) updateData.files = files;
             if (priority !== undefined) updateData.priority = priority;
             if (status !== undefined) updateData.status = status;
+            if (publishAt !== undefined) updateData.publishAt = publishAt || null;
+            if (expiresAt !== undefined) updateData.expiresAt = expiresAt || null;
+            if (eventStart !== undefined) updateData.eventStart = eventStart || null;
+            if (eventEnd !== undefined) updateData.eventEnd = eventEnd || null;
+            if (eventLocation !== undefined) updateData.eventLocation = eventLocation || null;
+            if (eventAllDay !== undefined) updateData.eventAllDay = eventAllDay === true || eventAllDay === 'true';
+            if (req.body.categoryIds !== undefined) updateData.categoryIds = parseCategoryIds(req.body.categoryIds);
+            if (language !== undefined) updateData.language = language;
+            if (req.body.translations !== undefined) updateData.translations = parseTranslations(req.body.translations);
+
+            // Departments of other units stay on the notice, but only the editor's own can be added
+            if (Array.isArray(updateData.categoryIds)) {
+                const departments = await departmentService.resolveNoticeDepartments(req.user, updateData.categoryIds, notice);
+                if (!departments.allowed) {
+                    return this.sendDepartmentDenied(res, departments);
+                }
+                updateData.categoryIds = departments.categoryIds;
+            }
+
+            // A future publish time keeps the notice as a scheduled draft; review statuses are kept as they are
+            if (updateData.publishAt && new Date(updateData.publishAt) > new Date()
+                && ['published', 'archived'].includes(updateData.status || notice.status)) {
+                updateData.status = 'draft';
+            }
+
+            // Taking a live notice down (to a draft, archived or rescheduled) needs the rights of the unpublish endpoint
+            if (notice.status === 'published' && updateData.status && updateData.status !== 'published') {
+                const permission = await noticeService.checkNoticePermissions(notice, req.user, 'unpublish');
+                if (!permission.allowed) {
+                    return this.sendPublishDenied(res, permission);
+                }
+            }
+
+            // Publishing through an edit follows the same rules as the publish endpoint, with the new priority
+            if (updateData.status === 'published' && notice.status !== 'published') {
+                const permission = await noticeService.checkNoticePermissions(
+                    { ...notice, priority: updateData.priority || notice.priority },
+                    req.user,
+                    'publish'
+                );
+                if (!permission.allowed) {
+                    return this.sendPublishDenied(res, permission);
+                }
+            }
+
+            // A publish time lets the scheduler publish the notice later, so setting one (or raising the
+            // priority of a scheduled notice) needs publishing rights now; sign-off is still checked on its own
+            const publishAtChanged = !!updateData.publishAt;
+            const scheduledPriorityChanged = !!notice.publishAt && updateData.publishAt === undefined
+                && !!updateData.priority && updateData.priority !== notice.priority;
+            if ((publishAtChanged || scheduledPriorityChanged) && !notice.isPublished()) {
+                const permission = await noticeService.checkNoticePermissions(
+                    { ...notice, status: 'approved', priority: updateData.priority || notice.priority },
+                    req.user,
+                    'publish'
+                );
+                if (!permission.allowed) {
+                    return this.sendPublishDenied(res, permission);
+                }
+            }
+
+            // Raising a live notice to high priority amounts to publishing a high-priority notice
+            if (updateData.priority === 'high' && notice.priority !== 'high' && notice.isPublished()
+                && !permissionService.grants(req.user.permissions || [], 'notice.publish.high')) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient Permissions',
+                    message: 'You do not have permission to publish high-priority notices',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Content edits after sign-off send the notice back for review
+            const approvalWithdrawn = reviewService.withdrawApprovalOnEdit(notice, updateData);
 
             console.log(`📝 Updating notice: "${notice.title}" by ${req.user.username}"`);
             console.log("Processing files:", req.files);
@@ -409,6 +595,10 @@ class NoticeController {
             // Update notice
             await notice.update(updateData, req.user);
 
+            if (approvalWithdrawn) {
+                await reviewService.recordApprovalWithdrawn(notice, req.user);
+            }
+
             console.log(`✅ Notice updated successfully: ${notice.title}`);
 
             res.status(200).json({
@@ -479,8 +669,9 @@ class NoticeController {
                 });
             }
 
-            // Check permissions (owner or super_admin can delete)
-            if (notice.createdBy !== req.user.id && req.user.role !== 'super_admin') {
+            // Check permissions (notice.delete for own notices, notice.delete.any for the rest)
+            const deletePermission = await noticeService.checkNoticePermissions(notice, req.user, 'delete');
+            if (!deletePermission.allowed) {
                 logSecurityEvent(req, 'UNAUTHORIZED_NOTICE_DELETION', {
                     attemptedBy: req.user.username,
                     noticeId: notice.id,
@@ -491,25 +682,27 @@ class NoticeController {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'You can only delete your own notices or be a super administrator',
+                    message: deletePermission.message,
                     timestamp: new Date().toISOString()
                 });
             }
 
-            console.log(`🗑️ Deleting notice: "${notice.title}" by ${req.user.username}`);
+            console.log(`🗑️ Moving notice to trash: "${notice.title}" by ${req.user.username}`);
 
-            // Delete notice
+            // Soft delete; the owner or a super admin can restore it until it is purged
             await notice.delete(req.user);
 
-            console.log(`✅ Notice deleted successfully: ${notice.title}`);
+            console.log(`✅ Notice moved to trash: ${notice.title}`);
 
             res.status(200).json({
                 success: true,
-                message: 'Notice deleted successfully',
+                message: 'Notice moved to trash',
                 data: {
                     deletedNotice: {
                         id: notice.id,
-                        title: notice.title
+                        title: notice.title,
+                        deletedAt: notice.deletedAt,
+                        purgeAt: trashService.getPurgeAt(notice)
                     }
                 },
                 timestamp: new Date().toISOString()
@@ -566,22 +759,28 @@ class NoticeController {
                 });
             }
 
-            // Check permissions
-            if (notice.createdBy !== req.user.id && req.user.role !== 'super_admin') {
-                return res.status(403).json({
+            // Check if already published
+            if (notice.isPublished()) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Insufficient Permissions',
-                    message: 'You can only publish your own notices or be a super administrator',
+                    error: 'Already Published',
+                    message: 'Notice is already published',
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Check if already published
-            if (notice.isPublished()) {
+            // Check permissions (notice.publish, .any and .high as needed; approved first when the workflow is on)
+            const permission = await noticeService.checkNoticePermissions(notice, req.user, 'publish');
+            if (!permission.allowed) {
+                return this.sendPublishDenied(res, permission);
+            }
+
+            // An expired notice would disappear straight away
+            if (notice.isExpired()) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Already Published',
-                    message: 'Notice is already published',
+                    error: 'Notice Expired',
+                    message: 'Notice has already expired; update its expiry date before publishing',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -654,11 +853,12 @@ class NoticeController {
             }
 
             // Check permissions
-            if (notice.createdBy !== req.user.id && req.user.role !== 'super_admin') {
+            const permission = await noticeService.checkNoticePermissions(notice, req.user, 'unpublish');
+            if (!permission.allowed) {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'You can only unpublish your own notices or be a super administrator',
+                    message: permission.message,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -701,6 +901,183 @@ class NoticeController {
         }
     };
 
+    // Apply one action to many notices; each notice is checked on its own and reported back
+    bulkUpdateNotices = async (req, res) => {
+        try {
+            const { action, noticeIds, priority, categoryId } = req.body;
+
+            logApiAccess(req, 'BULK_UPDATE_NOTICES', { action, count: noticeIds.length });
+
+            if (noticeIds.length > bulkNoticeService.maxNotices) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: `At most ${bulkNoticeService.maxNotices} notices can be changed at once`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Users without the base permission get a plain refusal instead of one failure per notice
+            const permission = bulkNoticeService.getRequiredPermission(action);
+            if (!permissionService.grants(req.user.permissions || [], permission)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient Permissions',
+                    message: `You need the ${permission} permission for this action`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            console.log(`📦 Bulk ${action} of ${noticeIds.length} notices by ${req.user.username}`);
+
+            const result = await bulkNoticeService.applyAction(noticeIds, action, { priority, categoryId }, req.user, req);
+
+            if (!result.results) {
+                return res.status(result.reason === 'category_not_found' ? 404 : 400).json({
+                    success: false,
+                    error: result.reason === 'category_not_found' ? 'Category Not Found' : 'Validation Error',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const { summary } = result;
+            console.log(`✅ Bulk ${action}: ${summary.succeeded} changed, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+            res.status(result.success ? 200 : 500).json({
+                success: result.success,
+                ...(result.success ? {} : { error: 'Bulk Update Failed' }),
+                message: result.success
+                    ? `${summary.succeeded} of ${summary.requested} notices changed`
+                    : 'The changes could not be saved; no notices were changed',
+                data: {
+                    action,
+                    results: result.results,
+                    summary
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Bulk update notices error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Bulk Update Failed',
+                message: 'An error occurred while updating notices',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Pin or feature a notice on the public board
+    pinNotice = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { pinned, featured, pinnedUntil, pinOrder } = req.body;
+
+            logApiAccess(req, 'PIN_NOTICE', { noticeId: id, pinned, featured });
+
+            const notice = await Notice.findById(parseInt(id));
+
+            if (!notice) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Notice Not Found',
+                    message: 'Notice not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const permission = await noticeService.checkNoticePermissions(notice, req.user, 'pin');
+            if (!permission.allowed) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient Permissions',
+                    message: permission.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Only published notices reach the board; drafts would sit pinned out of sight
+            if ((pinned || featured) && !notice.isPublished()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Not Published',
+                    message: 'Only published notices can be pinned or featured',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await notice.setPlacement({ pinned, featured, pinnedUntil, pinOrder }, req.user);
+
+            console.log(`📌 Notice placement updated: "${notice.title}" (pinned: ${notice.isPinned}, featured: ${notice.isFeatured}) by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: notice.isPinned || notice.isFeatured ? 'Notice placement updated' : 'Notice unpinned',
+                data: {
+                    notice: notice.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Pin notice error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Pinning Failed',
+                message: 'An error occurred while updating the notice placement',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Copy a notice into a new draft owned by the current user
+    duplicateNotice = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { title, copyAttachments = false } = req.body;
+
+            logApiAccess(req, 'DUPLICATE_NOTICE', { noticeId: id, copyAttachments });
+
+            const result = await duplicationService.duplicateNotice(parseInt(id), req.user, { title, copyAttachments }, req);
+
+            if (!result.success) {
+                const notFound = result.reason === 'notice_not_found';
+
+                return res.status(notFound ? 404 : 403).json({
+                    success: false,
+                    error: notFound ? 'Notice Not Found' : 'Insufficient Permissions',
+                    message: result.message,
+                    reason: result.reason,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Notice duplicated as a draft',
+                data: {
+                    notice: result.notice.toJSON(),
+                    sourceNoticeId: result.source.id
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Duplicate notice error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Duplication Failed',
+                message: 'An error occurred while duplicating the notice',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
     // Search notices
     searchNotices = async (req, res) => {
         try {
@@ -859,11 +1236,12 @@ class NoticeController {
             }
 
             // Check permissions
-            if (notice.createdBy !== req.user.id && req.user.role !== 'super_admin') {
+            const permission = await noticeService.checkNoticePermissions(notice, req.user, 'view_analytics');
+            if (!permission.allowed) {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient Permissions',
-                    message: 'You can only view analytics for your own notices or be a super administrator',
+                    message: permission.message,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -914,6 +1292,9 @@ module.exports = {
     deleteNotice: noticeController.deleteNotice,
     publishNotice: noticeController.publishNotice,
     unpublishNotice: noticeController.unpublishNotice,
+    pinNotice: noticeController.pinNotice,
+    duplicateNotice: noticeController.duplicateNotice,
+    bulkUpdateNotices: noticeController.bulkUpdateNotices,
     searchNotices: noticeController.searchNotices,
     getRelatedNotices: noticeController.getRelatedNotices,
     getNoticeAnalytics: noticeController.getNoticeAnalytics
@@ -1,12 +1,21 @@
 // Public Controller - Public-facing API endpoints (no authentication required)
 const Notice = require('../models/Notice');
+const NoticeTranslation = require('../models/NoticeTranslation');
 const SiteVisit = require('../models/SiteVisit');
 const User = require('../models/User');
+const Category = require('../models/Category');
 const {
     logApiAccess,
     logSecurityEvent
 } = require('../middleware/logging');
 const rateLimit = require('express-rate-limit');
+const { config } = require('../config/environment');
+const feedBuilder = require('../utils/feedBuilder');
+const icalBuilder = require('../utils/icalBuilder');
+
+// Upper bounds for the pinned list above the date groups and the featured carousel
+const MAX_PINNED_NOTICES = 10;
+const MAX_FEATURED_NOTICES = 10;
 
 function getDescriptionString(desc) {
     if (typeof desc === 'string') return desc;
@@ -45,6 +54,51 @@ class PublicController {
         });
     }
 
+    // Absolute base URLs for links in feeds and calendars
+    getPublicUrls(req) {
+        const requestOrigin = `${req.protocol}://${req.get('host')}`;
+
+        return {
+            siteUrl: config.app.frontendUrl || config.cors.origin[0] || requestOrigin,
+            apiUrl: config.app.apiUrl || requestOrigin
+        };
+    }
+
+    // Language requested with ?lang=, or null for each notice's original language
+    getRequestedLanguage(req) {
+        return NoticeTranslation.isSupported(req.query.lang) ? req.query.lang : null;
+    }
+
+    // Title and description in the requested language (falling back to English, then the original)
+    getLocalizedFields(notice, language) {
+        const content = notice.getLocalizedContent(language);
+
+        return {
+            title: content.title,
+            description: getDescriptionString(content.description),
+            language: content.language,
+            availableLanguages: notice.getAvailableLanguages()
+        };
+    }
+
+    // Set caching validators and report whether the client copy is still fresh
+    isNotModified(req, res, etag, lastModified) {
+        res.set({
+            'ETag': etag,
+            'Last-Modified': lastModified.toUTCString(),
+            'Cache-Control': 'public, max-age=300'
+        });
+
+        // If-None-Match takes precedence over If-Modified-Since
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch) {
+            return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+        }
+
+        const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+        return !isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+    }
+
     // Get site information and stats
     getSiteInfo = async (req, res) => {
         try {
@@ -72,7 +126,7 @@ class PublicController {
             // Get basic site statistics
             const statsQuery = `
         SELECT 
-          (SELECT COUNT(*) FROM notices WHERE status = 'published') as published_notices,
+          (SELECT COUNT(*) FROM notices WHERE status = 'published' AND deleted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) as published_notices,
           (SELECT COUNT(*) FROM users WHERE role IN ('admin', 'super_admin')) as total_admins,
           (SELECT COUNT(*) FROM site_visits WHERE visit_date >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)) as monthly_visits,
           (SELECT COUNT(DISTINCT session_id) FROM site_visits WHERE visit_date >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)) as monthly_visitors
@@ -137,19 +191,32 @@ class PublicController {
     // Get published notices (public view)
     getPublishedNotices = async (req, res) => {
         try {
-            const { page = 1, limit = 10, priority, search, sortBy = 'published_at', sortOrder = 'DESC' } = req.query;
+            const { page = 1, limit = 10, priority, search, category, department, sortBy = 'published_at', sortOrder = 'DESC' } = req.query;
             
             logApiAccess(req, 'GET_PUBLISHED_NOTICES');
             
             // Modified approach: Get more notices to ensure we show recent days
             const effectiveLimit = Math.max(50, parseInt(limit) * 5); // Ensure we get enough notices
+            const filters = { priority, search, category, department };
             
+            // Pinned notices sit above the date groups on every page instead of inside them
+            const pinned = await Notice.getAll({
+                ...filters,
+                page: 1,
+                limit: MAX_PINNED_NOTICES,
+                publishedOnly: true,
+                pinned: true,
+                sortBy: 'pin_order',
+                sortOrder: 'ASC'
+            });
+            const pinnedNotices = pinned.notices.map(notice => this.formatBoardNotice(notice, req));
+
             const result = await Notice.getAll({
+                ...filters,
                 page: 1, // Always get from page 1 to ensure recent notices
                 limit: effectiveLimit,
-                priority,
-                search,
                 publishedOnly: true,
+                pinned: false,
                 sortBy,
                 sortOrder,
                 includeStats: false
@@ -158,8 +225,9 @@ class PublicController {
             if (!result.notices || result.notices.length === 0) {
                 return res.status(200).json({
                     success: true,
-                    message: 'No notices found',
+                    message: pinnedNotices.length > 0 ? 'Pinned notices retrieved successfully' : 'No notices found',
                     data: {
+                        pinnedNotices,
                         noticeGroups: [],
                         pagination: {
                             page: parseInt(page),
@@ -204,6 +272,7 @@ class PublicController {
                 success: true,
                 message: 'Notice groups retrieved successfully',
                 data: {
+                    pinnedNotices,
                     noticeGroups: paginatedGroups,
                     pagination: {
                         page: parseInt(page),
@@ -214,7 +283,10 @@ class PublicController {
                     },
                     filters: {
                         priority,
-                        search
+                        search,
+                        category,
+                        department,
+                        lang: this.getRequestedLanguage(req)
                     }
                 },
                 timestamp: new Date().toISOString()
@@ -232,6 +304,54 @@ class PublicController {
         }
     };
 
+    // Public shape of a notice on the board (date groups, pinned list and featured carousel)
+    formatBoardNotice(notice, req) {
+        const content = this.getLocalizedFields(notice, this.getRequestedLanguage(req));
+        const desc = content.description;
+        
+        let processedFiles = [];
+        if (notice.files) {
+            try {
+                let filesArray = [];
+                if (typeof notice.files === 'string') {
+                    filesArray = JSON.parse(notice.files);
+                } else if (Array.isArray(notice.files)) {
+                    filesArray = notice.files;
+                } else if (notice.files.type === 'Buffer' && Array.isArray(notice.files.data)) {
+                    const buffer = Buffer.from(notice.files.data);
+                    const jsonString = buffer.toString('utf8');
+                    filesArray = JSON.parse(jsonString);
+                }
+                
+                processedFiles = filesArray.map(file => ({
+                    name: file.name || file.originalName || 'Unknown File',
+                    url: file.url.startsWith('http') ? file.url : `${req.protocol}://${req.get('host')}${file.url}`,
+                    size: file.size || 0,
+                    type: file.type || file.mimetype || ''
+                }));
+            } catch (error) {
+                console.error('Error processing files for notice', notice.id, ':', error);
+                processedFiles = [];
+            }
+        }
+        
+        return {
+            id: notice.id,
+            title: content.title,
+            description: desc.substring(0, 250) + (desc.length > 250 ? '...' : ''),
+            language: content.language,
+            availableLanguages: content.availableLanguages,
+            imageUrl: notice.imageUrl,
+            files: processedFiles,
+            priority: notice.priority,
+            slug: notice.slug,
+            publishedAt: notice.publishedAt,
+            creatorName: notice.creatorName,
+            viewCount: parseInt(notice.viewCount || '0'),
+            categories: notice.categories
+        };
+    }
+
     // Add this helper method to the PublicController class
     groupNoticesByDate(notices, req) {
         try {
@@ -266,48 +386,7 @@ class PublicController {
                 const dateObj = new Date(date);
                 
                 // Process notices for this date
-                const processedNotices = dateGroups[date].map(notice => {
-                    const desc = getDescriptionString(notice.description);
-                    
-                    let processedFiles = [];
-                    if (notice.files) {
-                        try {
-                            let filesArray = [];
-                            if (typeof notice.files === 'string') {
-                                filesArray = JSON.parse(notice.files);
-                            } else if (Array.isArray(notice.files)) {
-                                filesArray = notice.files;
-                            } else if (notice.files.type === 'Buffer' && Array.isArray(notice.files.data)) {
-                                const buffer = Buffer.from(notice.files.data);
-                                const jsonString = buffer.toString('utf8');
-                                filesArray = JSON.parse(jsonString);
-                            }
-                            
-                            processedFiles = filesArray.map(file => ({
-                                name: file.name || file.originalName || 'Unknown File',
-                                url: file.url.startsWith('http') ? file.url : `${req.protocol}://${req.get('host')}${file.url}`,
-                                size: file.size || 0,
-                                type: file.type || file.mimetype || ''
-                            }));
-                        } catch (error) {
-                            console.error('Error processing files for notice', notice.id, ':', error);
-                            processedFiles = [];
-                        }
-                    }
-                    
-                    return {
-                        id: notice.id,
-                        title: notice.title,
-                        description: desc.substring(0, 250) + (desc.length > 250 ? '...' : ''),
-                        imageUrl: notice.imageUrl,
-                        files: processedFiles,
-                        priority: notice.priority,
-                        slug: notice.slug,
-                        publishedAt: notice.publishedAt,
-                        creatorName: notice.creatorName,
-                        viewCount: parseInt(notice.viewCount || '0'),
-                    };
-                });
+                const processedNotices = dateGroups[date].map(notice => this.formatBoardNotice(notice, req));
                 
                 return {
                     date,
@@ -363,7 +442,7 @@ class PublicController {
             // Log whether notice was found
             console.log(`📄 Notice lookup result: ${notice ? 'Found' : 'Not found'}`);
 
-            if (!notice || !notice.isPublished()) {
+            if (!notice || !notice.isPublished() || notice.isExpired()) {
                 return res.status(404).json({
                     success: false,
                     error: 'Notice Not Found',
@@ -396,11 +475,17 @@ class PublicController {
 
             console.log(`📄 Public notice viewed: "${notice.title}" from ${req.ip}`);
 
+            const language = this.getRequestedLanguage(req);
+            const content = this.getLocalizedFields(notice, language);
+
             // Prepare public notice data
             const publicNotice = {
                 id: notice.id,
-                title: notice.title,
-                description: notice.description,
+                title: content.title,
+                description: content.description,
+                language: content.language,
+                originalLanguage: notice.language,
+                availableLanguages: content.availableLanguages,
                 imageUrl: notice.imageUrl,
                 files: Array.isArray(notice.files) ? notice.files.map(file => {
                     // Ensure each file has the required properties
@@ -418,6 +503,14 @@ class PublicController {
                 priority: notice.priority,
                 slug: notice.slug,
                 publishedAt: notice.publishedAt,
+                expiresAt: notice.expiresAt,
+                event: notice.hasEvent() ? {
+                    start: notice.eventStart,
+                    end: notice.eventEnd,
+                    location: notice.eventLocation,
+                    allDay: notice.eventAllDay
+                } : null,
+                categories: notice.categories,
                 creatorName: notice.creatorName,
                 viewCount: parseInt(notice.viewCount || '0'), // Ensure viewCount is always a number
                 uniqueViewers: parseInt(notice.uniqueViewers || '0') // Ensure uniqueViewers is always a number
@@ -425,7 +518,7 @@ class PublicController {
 
             const publicRelatedNotices = relatedNotices.map(related => ({
                 id: related.id,
-                title: related.title,
+                title: related.getLocalizedContent(language).title,
                 slug: related.slug,
                 priority: related.priority,
                 publishedAt: related.publishedAt,
@@ -435,6 +528,8 @@ class PublicController {
             // Add this to the getPublishedNoticeBySlug method before sending the response
             console.log('📄 Sending public notice with files:', JSON.stringify(publicNotice.files, null, 2));
 
+            res.set('Content-Language', content.language);
+
             res.status(200).json({
                 success: true,
                 message: 'Notice retrieved successfully',
@@ -461,9 +556,10 @@ class PublicController {
     // Search published notices (public)
     searchPublishedNotices = async (req, res) => {
         try {
-            const { q: query, page = 1, limit = 10 } = req.query;
+            const { q: query, page = 1, limit = 10, category, department } = req.query;
+            const language = this.getRequestedLanguage(req);
 
-            logApiAccess(req, 'SEARCH_PUBLISHED_NOTICES', { query, page, limit });
+            logApiAccess(req, 'SEARCH_PUBLISHED_NOTICES', { query, page, limit, category, department, lang: language });
 
             // Validate search query
             if (!query || query.trim().length === 0) {
@@ -488,7 +584,10 @@ class PublicController {
             const options = {
                 page: parseInt(page),
                 limit: Math.min(20, parseInt(limit)), // Limit to 20 for public search
-                publishedOnly: true
+                publishedOnly: true,
+                category,
+                department,
+                language
             };
 
             console.log(`🔍 Public search: "${query}" from ${req.ip}`);
@@ -498,16 +597,20 @@ class PublicController {
 
             // Sanitize results for public
             const publicNotices = result.notices.map(notice => {
-                const desc = getDescriptionString(notice.description);
+                const content = this.getLocalizedFields(notice, language);
+                const desc = content.description;
                 return {
                     id: notice.id,
-                    title: notice.title,
+                    title: content.title,
                     description: desc.substring(0, 300) + (desc.length > 300 ? '...' : ''),
+                    language: content.language,
+                    availableLanguages: content.availableLanguages,
                     imageUrl: notice.imageUrl,
                     priority: notice.priority,
                     slug: notice.slug,
                     publishedAt: notice.publishedAt,
-                    creatorName: notice.creatorName
+                    creatorName: notice.creatorName,
+                    categories: notice.categories
                 }
             });
 
@@ -518,7 +621,10 @@ class PublicController {
                     notices: publicNotices,
                     pagination: result.pagination,
                     searchQuery: result.searchQuery,
-                    totalResults: result.pagination.total
+                    totalResults: result.pagination.total,
+                    category: category || null,
+                    department: department || null,
+                    lang: language
                 },
                 timestamp: new Date().toISOString()
             });
@@ -535,6 +641,41 @@ class PublicController {
         }
     };
 
+    // Get active categories with published notice counts (public)
+    getCategories = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_PUBLIC_CATEGORIES');
+
+            const categories = await Category.findAll({
+                type: req.query.type || null,
+                withCounts: true,
+                publishedCountsOnly: true
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Categories retrieved successfully',
+                data: {
+                    categories: categories.map(category => {
+                        const { isActive, createdAt, updatedAt, ...publicCategory } = category.toJSON();
+                        return publicCategory;
+                    })
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get public categories error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving categories',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
     // Get notices by priority (public)
     getNoticesByPriority = async (req, res) => {
         try {
@@ -563,17 +704,24 @@ class PublicController {
                 sortOrder: 'DESC'
             });
 
+            const language = this.getRequestedLanguage(req);
+
             // Sanitize for public
-            const publicNotices = result.notices.map(notice => ({
-                id: notice.id,
-                title: notice.title,
-                description: notice.description.substring(0, 250) + (notice.description.length > 250 ? '...' : ''),
-                imageUrl: notice.imageUrl,
-                priority: notice.priority,
-                slug: notice.slug,
-                publishedAt: notice.publishedAt,
-                creatorName: notice.creatorName
-            }));
+            const publicNotices = result.notices.map(notice => {
+                const content = this.getLocalizedFields(notice, language);
+                return {
+                    id: notice.id,
+                    title: content.title,
+                    description: content.description.substring(0, 250) + (content.description.length > 250 ? '...' : ''),
+                    language: content.language,
+                    availableLanguages: content.availableLanguages,
+                    imageUrl: notice.imageUrl,
+                    priority: notice.priority,
+                    slug: notice.slug,
+                    publishedAt: notice.publishedAt,
+                    creatorName: notice.creatorName
+                };
+            });
 
             console.log(`📋 ${priority} priority notices requested from ${req.ip}`);
 
@@ -600,6 +748,61 @@ class PublicController {
         }
     };
 
+    // Latest published notices, shared by the latest endpoint and the feeds
+    findLatestPublished = async ({ limit = 5, priority = null, category = null } = {}) => {
+        const result = await Notice.getAll({
+            page: 1,
+            limit,
+            priority,
+            category,
+            publishedOnly: true,
+            sortBy: 'published_at',
+            sortOrder: 'DESC'
+        });
+
+        return result.notices;
+    };
+
+    // Get featured notices for the carousel (public)
+    getFeaturedNotices = async (req, res) => {
+        try {
+            const { limit = 5 } = req.query;
+
+            logApiAccess(req, 'GET_FEATURED_NOTICES');
+
+            const result = await Notice.getAll({
+                page: 1,
+                limit: Math.min(MAX_FEATURED_NOTICES, parseInt(limit) || 5),
+                publishedOnly: true,
+                featuredOnly: true,
+                sortBy: 'pin_order',
+                sortOrder: 'ASC'
+            });
+
+            const featuredNotices = result.notices.map(notice => this.formatBoardNotice(notice, req));
+
+            res.status(200).json({
+                success: true,
+                message: 'Featured notices retrieved successfully',
+                data: {
+                    notices: featuredNotices,
+                    count: featuredNotices.length
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get featured notices error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving featured notices',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
     // Get latest notices (public)
     getLatestNotices = async (req, res) => {
         try {
@@ -608,21 +811,21 @@ class PublicController {
             logApiAccess(req, 'GET_LATEST_NOTICES');
 
             // Get latest published notices
-            const result = await Notice.getAll({
-                page: 1,
-                limit: Math.min(10, parseInt(limit)), // Max 10 for latest
-                publishedOnly: true,
-                sortBy: 'published_at',
-                sortOrder: 'DESC'
+            const notices = await this.findLatestPublished({
+                limit: Math.min(10, parseInt(limit)) // Max 10 for latest
             });
+            const language = this.getRequestedLanguage(req);
 
             // Sanitize for public
-            const latestNotices = result.notices.map(notice => {
-                const desc = getDescriptionString(notice.description);
+            const latestNotices = notices.map(notice => {
+                const content = this.getLocalizedFields(notice, language);
+                const desc = content.description;
                 return {
                     id: notice.id,
-                    title: notice.title,
+                    title: content.title,
                     description: desc.substring(0, 150) + (desc.length > 150 ? '...' : ''),
+                    language: content.language,
+                    availableLanguages: content.availableLanguages,
                     imageUrl: notice.imageUrl,
                     priority: notice.priority,
                     slug: notice.slug,
@@ -655,6 +858,184 @@ class PublicController {
         }
     };
 
+    // RSS / Atom feed of latest notices, optionally for one priority or category
+    getFeed = async (req, res) => {
+        try {
+            const { format, priority = null, slug = null } = req.params;
+
+            logApiAccess(req, 'GET_NOTICE_FEED', { format, priority, category: slug });
+
+            let title = 'SLIATE Notice System';
+            let description = 'Latest notices published by SLIATE';
+
+            if (priority) {
+                title += ` - ${priority.charAt(0).toUpperCase() + priority.slice(1)} Priority`;
+                description = `Latest ${priority} priority notices published by SLIATE`;
+            }
+
+            if (slug) {
+                const category = await Category.findBySlug(slug);
+
+                if (!category) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Category Not Found',
+                        message: 'Category not found',
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                title += ` - ${category.name}`;
+                description = `Latest ${category.name} notices published by SLIATE`;
+            }
+
+            const notices = await this.findLatestPublished({
+                limit: config.app.feedLimit,
+                priority,
+                category: slug
+            });
+
+            const { siteUrl, apiUrl } = this.getPublicUrls(req);
+            const items = notices.map(notice => ({
+                id: notice.id,
+                title: notice.title,
+                description: getDescriptionString(notice.description),
+                slug: notice.slug,
+                files: notice.files,
+                categories: notice.categories || [],
+                creatorName: notice.creatorName,
+                publishedAt: notice.publishedAt,
+                updatedAt: notice.updatedAt
+            }));
+
+            const feedUrl = feedBuilder.absoluteUrl(apiUrl, req.originalUrl.split('?')[0]);
+            const lastModified = feedBuilder.getLastModified(items);
+            const etag = feedBuilder.computeEtag(format, feedUrl, items);
+
+            if (this.isNotModified(req, res, etag, lastModified)) {
+                return res.status(304).end();
+            }
+
+            const feed = { title, description, siteUrl, apiUrl, feedUrl, lastModified };
+
+            const xml = format === 'atom' ? feedBuilder.buildAtom(feed, items) : feedBuilder.buildRss(feed, items);
+
+            console.log(`📡 ${format.toUpperCase()} feed requested from ${req.ip} (${items.length} items)`);
+
+            res.type(format === 'atom' ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8');
+            res.status(200).send(xml);
+
+        } catch (error) {
+            console.error('💥 Get notice feed error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while generating the notice feed',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Map a notice with event details to an iCalendar event
+    toCalendarEvent(notice, req) {
+        const { siteUrl } = this.getPublicUrls(req);
+
+        return {
+            uid: `notice-${notice.id}@${req.hostname}`,
+            title: notice.title,
+            summary: feedBuilder.toSummary(getDescriptionString(notice.description)),
+            url: feedBuilder.absoluteUrl(siteUrl, `/public/notice/${notice.slug}`),
+            location: notice.eventLocation,
+            start: notice.eventStart,
+            end: notice.eventEnd,
+            allDay: notice.eventAllDay,
+            categories: (notice.categories || []).map(category => category.name),
+            createdAt: notice.createdAt,
+            updatedAt: notice.updatedAt
+        };
+    }
+
+    // Download a single event notice as an .ics file
+    getNoticeCalendar = async (req, res) => {
+        try {
+            const { slug } = req.params;
+
+            logApiAccess(req, 'GET_NOTICE_CALENDAR', { slug });
+
+            const notice = await Notice.findBySlug(slug);
+
+            if (!notice || !notice.isPublished() || notice.isExpired() || !notice.hasEvent()) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Event Not Found',
+                    message: 'Notice not found, not published, or has no event details',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const ics = icalBuilder.buildCalendar(
+                { name: notice.title },
+                [this.toCalendarEvent(notice, req)]
+            );
+
+            res.set('Content-Disposition', `attachment; filename="${notice.slug}.ics"`);
+            res.type('text/calendar; charset=utf-8');
+            res.status(200).send(ics);
+
+        } catch (error) {
+            console.error('💥 Get notice calendar error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while generating the calendar file',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Subscribable calendar of all published event notices
+    getCalendarFeed = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_CALENDAR_FEED');
+
+            const notices = await Notice.findEvents({ pastDays: 90 });
+
+            const { apiUrl } = this.getPublicUrls(req);
+            const calendarUrl = feedBuilder.absoluteUrl(apiUrl, req.originalUrl.split('?')[0]);
+            const lastModified = feedBuilder.getLastModified(notices);
+            const etag = feedBuilder.computeEtag('ics', calendarUrl, notices);
+
+            if (this.isNotModified(req, res, etag, lastModified)) {
+                return res.status(304).end();
+            }
+
+            const ics = icalBuilder.buildCalendar(
+                {
+                    name: 'SLIATE Events',
+                    description: 'Events and deadlines from SLIATE notices'
+                },
+                notices.map(notice => this.toCalendarEvent(notice, req))
+            );
+
+            console.log(`📅 Calendar feed requested from ${req.ip} (${notices.length} events)`);
+
+            res.type('text/calendar; charset=utf-8');
+            res.status(200).send(ics);
+
+        } catch (error) {
+            console.error('💥 Get calendar feed error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while generating the calendar feed',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
     // Get popular notices (most viewed)
     getPopularNotices = async (req, res) => {
         try {
@@ -676,6 +1057,8 @@ class PublicController {
           AND sv.visit_time >= DATE_SUB(NOW(), INTERVAL ? DAY)
         WHERE n.status = 'published' 
           AND n.published_at IS NOT NULL
+          AND n.deleted_at IS NULL
+          AND (n.expires_at IS NULL OR n.expires_at > NOW())
         GROUP BY n.id, n.title, n.description, n.image_url, n.priority, n.slug, n.published_at, u.full_name
         ORDER BY view_count DESC, unique_viewers DESC, n.published_at DESC
         LIMIT ?
@@ -746,6 +1129,7 @@ class PublicController {
           FROM notices n
           LEFT JOIN users u ON n.created_by = u.id
           WHERE n.status = 'published' 
+            AND n.deleted_at IS NULL
             AND YEAR(n.published_at) = ? 
             AND MONTH(n.published_at) = ?
           ORDER BY n.published_at DESC
@@ -761,7 +1145,7 @@ class PublicController {
             MONTHNAME(published_at) as month_name,
             COUNT(*) as notice_count
           FROM notices
-          WHERE status = 'published' AND published_at IS NOT NULL
+          WHERE status = 'published' AND published_at IS NOT NULL AND deleted_at IS NULL
           GROUP BY YEAR(published_at), MONTH(published_at)
           ORDER BY year DESC, month DESC
           LIMIT 24
@@ -865,8 +1249,13 @@ module.exports = {
     searchPublishedNotices: [publicController.searchLimiter, publicController.searchPublishedNotices],
     getNoticesByPriority: [publicController.publicLimiter, publicController.getNoticesByPriority],
     getLatestNotices: [publicController.publicLimiter, publicController.getLatestNotices],
+    getFeaturedNotices: [publicController.publicLimiter, publicController.getFeaturedNotices],
     getPopularNotices: [publicController.publicLimiter, publicController.getPopularNotices],
     getNoticeArchive: [publicController.publicLimiter, publicController.getNoticeArchive],
+    getCategories: [publicController.publicLimiter, publicController.getCategories],
+    getFeed: [publicController.publicLimiter, publicController.getFeed],
+    getNoticeCalendar: [publicController.publicLimiter, publicController.getNoticeCalendar],
+    getCalendarFeed: [publicController.publicLimiter, publicController.getCalendarFeed],
 
     // Health check (no rate limit)
     healthCheck: publicController.healthCheck
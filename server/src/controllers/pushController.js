@@ -0,0 +1,186 @@
+// Push Controller - Browser Web Push subscription endpoints
+const pushService = require('../services/pushService');
+const { logApiAccess } = require('../middleware/logging');
+const rateLimit = require('express-rate-limit');
+
+class PushController {
+    constructor() {
+        this.subscriptionLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 30, // 30 requests per window per IP
+            message: {
+                success: false,
+                error: 'Rate Limit Exceeded',
+                message: 'Too many requests, please try again later',
+                retryAfter: '15 minutes'
+            },
+            standardHeaders: true,
+            legacyHeaders: false
+        });
+    }
+
+    // Send 503 when no VAPID keys are configured; returns false when a response was sent
+    ensureEnabled = (res) => {
+        if (pushService.isEnabled()) {
+            return true;
+        }
+
+        res.status(503).json({
+            success: false,
+            error: 'Push Unavailable',
+            message: 'Push notifications are not available',
+            timestamp: new Date().toISOString()
+        });
+        return false;
+    };
+
+    // Public VAPID key the browser needs to subscribe
+    getPublicKey = async (req, res) => {
+        res.status(200).json({
+            success: true,
+            message: 'Push configuration retrieved successfully',
+            data: {
+                enabled: pushService.isEnabled(),
+                publicKey: pushService.getPublicKey()
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Store (or refresh) this browser's subscription and filters
+    subscribe = async (req, res) => {
+        try {
+            const { subscription, minPriority, categoryIds } = req.body;
+
+            logApiAccess(req, 'PUSH_SUBSCRIBE', { minPriority });
+
+            if (!this.ensureEnabled(res)) return;
+
+            const stored = await pushService.subscribe({ subscription, minPriority, categoryIds });
+
+            res.status(201).json({
+                success: true,
+                message: 'Push notifications enabled',
+                data: {
+                    subscription: stored.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Push subscribe error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Subscription Failed',
+                message: 'An error occurred while enabling push notifications',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Look up the stored filters of this browser's endpoint
+    getSubscription = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_PUSH_SUBSCRIPTION');
+
+            const subscription = await pushService.getPreferences(req.body.endpoint);
+
+            if (!subscription) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Subscription Not Found',
+                    message: 'This browser is not subscribed to push notifications',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Push subscription retrieved successfully',
+                data: {
+                    subscription: subscription.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get push subscription error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving your push subscription',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Forget this browser's endpoint
+    unsubscribe = async (req, res) => {
+        try {
+            logApiAccess(req, 'PUSH_UNSUBSCRIBE');
+
+            await pushService.unsubscribe(req.body.endpoint);
+
+            // Unknown endpoints are already unsubscribed
+            res.status(200).json({
+                success: true,
+                message: 'Push notifications disabled',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Push unsubscribe error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Unsubscribe Failed',
+                message: 'An error occurred while disabling push notifications',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Push subscription statistics (admin)
+    getStats = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_PUSH_STATS');
+
+            const stats = await pushService.getStats();
+
+            res.status(200).json({
+                success: true,
+                message: 'Push statistics retrieved successfully',
+                data: stats,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get push stats error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving push statistics',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create controller instance
+const pushController = new PushController();
+
+module.exports = {
+    // Public endpoints
+    getPublicKey: pushController.getPublicKey,
+
+    // Rate limited endpoints
+    subscribe: [pushController.subscriptionLimiter, pushController.subscribe],
+    getSubscription: [pushController.subscriptionLimiter, pushController.getSubscription],
+    unsubscribe: [pushController.subscriptionLimiter, pushController.unsubscribe],
+
+    // Admin endpoints
+    getStats: pushController.getStats
+};
@@ -0,0 +1,150 @@
+// Recurrence Controller - Weekly, monthly and per-semester copies of a notice
+const recurrenceService = require('../services/recurrenceService');
+const {
+    logSecurityEvent,
+    logApiAccess
+} = require('../middleware/logging');
+
+// HTTP status for each reason the recurrence service can refuse a request
+const STATUS_BY_REASON = {
+    insufficient_permissions: 403,
+    approval_required: 409,
+    notice_not_found: 404,
+    recurrence_not_found: 404,
+    validation_error: 400
+};
+
+class RecurrenceController {
+
+    // Respond to a refusal from the recurrence service
+    sendRefusal = (req, res, result, error) => {
+        const statusCode = STATUS_BY_REASON[result.reason] || 400;
+
+        if (statusCode === 403) {
+            logSecurityEvent(req, 'UNAUTHORIZED_NOTICE_RECURRENCE', {
+                attemptedBy: req.user.username,
+                noticeId: req.params.id,
+                severity: 'medium'
+            });
+        }
+
+        return res.status(statusCode).json({
+            success: false,
+            error: statusCode === 403 ? 'Insufficient Permissions' : error,
+            message: result.message,
+            reason: result.reason,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Get the recurrence rule of a notice (null when it does not recur)
+    getRecurrence = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'GET_NOTICE_RECURRENCE', { noticeId: id });
+
+            const result = await recurrenceService.getRecurrence(parseInt(id), req.user);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Fetch Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Recurrence retrieved successfully',
+                data: {
+                    recurrence: result.recurrence ? result.recurrence.toJSON() : null
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get recurrence error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Fetch Failed',
+                message: 'An error occurred while retrieving the recurrence',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Create or replace the recurrence rule of a notice
+    saveRecurrence = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { frequency, mode, startsAt, leadDays, endsAt, copyAttachments } = req.body;
+
+            logApiAccess(req, 'SAVE_NOTICE_RECURRENCE', { noticeId: id, frequency, mode });
+
+            const result = await recurrenceService.saveRecurrence(
+                parseInt(id),
+                { frequency, mode, startsAt, leadDays, endsAt, copyAttachments },
+                req.user,
+                req
+            );
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Recurrence Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    recurrence: result.recurrence.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Save recurrence error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Recurrence Failed',
+                message: 'An error occurred while saving the recurrence',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Stop a notice from recurring
+    deleteRecurrence = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'DELETE_NOTICE_RECURRENCE', { noticeId: id });
+
+            const result = await recurrenceService.deleteRecurrence(parseInt(id), req.user, req);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Recurrence Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Delete recurrence error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Recurrence Failed',
+                message: 'An error occurred while removing the recurrence',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const recurrenceController = new RecurrenceController();
+
+module.exports = {
+    getRecurrence: recurrenceController.getRecurrence,
+    saveRecurrence: recurrenceController.saveRecurrence,
+    deleteRecurrence: recurrenceController.deleteRecurrence
+};
@@ -0,0 +1,297 @@
+// Review Controller - Approval workflow: submission, reviewer assignment, sign-off and comments
+const Notice = require('../models/Notice');
+const reviewService = require('../services/reviewService');
+const {
+    logSecurityEvent,
+    logApiAccess
+} = require('../middleware/logging');
+
+// HTTP status for each reason the review service can refuse an action
+const STATUS_BY_REASON = {
+    insufficient_permissions: 403,
+    self_review: 403,
+    not_assigned_reviewer: 403,
+    invalid_reviewer: 400,
+    invalid_status: 409,
+    user_not_found: 404
+};
+
+class ReviewController {
+
+    // Load the notice named by :id or send a 404
+    findNoticeOr404 = async (req, res) => {
+        const notice = await Notice.findById(parseInt(req.params.id));
+
+        if (!notice) {
+            res.status(404).json({
+                success: false,
+                error: 'Notice Not Found',
+                message: 'Notice not found',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+
+        return notice;
+    };
+
+    // Send the response for a review service result
+    sendResult = (req, res, result, successMessage, successStatus = 200) => {
+        if (!result.success) {
+            const statusCode = STATUS_BY_REASON[result.reason] || 400;
+
+            if (statusCode === 403) {
+                logSecurityEvent(req, 'UNAUTHORIZED_NOTICE_REVIEW', {
+                    attemptedBy: req.user.username,
+                    noticeId: req.params.id,
+                    reason: result.reason,
+                    severity: 'medium'
+                });
+            }
+
+            return res.status(statusCode).json({
+                success: false,
+                error: statusCode === 403 ? 'Insufficient Permissions' : 'Review Action Failed',
+                message: result.message,
+                reason: result.reason,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(successStatus).json({
+            success: true,
+            message: successMessage,
+            data: {
+                ...(result.notice && { notice: result.notice.toJSON() }),
+                ...(result.review && { review: result.review.toJSON() })
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    sendError = (res, error, message) => {
+        res.status(500).json({
+            success: false,
+            error,
+            message,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Submit a notice for review
+    submitForReview = async (req, res) => {
+        try {
+            logApiAccess(req, 'SUBMIT_NOTICE_FOR_REVIEW', { noticeId: req.params.id });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const result = await reviewService.submitForReview(notice, req.user, {
+                reviewerId: req.body.reviewerId,
+                comment: req.body.comment
+            }, req);
+
+            this.sendResult(req, res, result, 'Notice submitted for review');
+
+        } catch (error) {
+            console.error('💥 Submit for review error:', error.message);
+            this.sendError(res, 'Submission Failed', 'An error occurred while submitting notice for review');
+        }
+    };
+
+    // Assign or remove the reviewer of a notice
+    assignReviewer = async (req, res) => {
+        try {
+            logApiAccess(req, 'ASSIGN_NOTICE_REVIEWER', { noticeId: req.params.id, reviewerId: req.body.reviewerId });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const reviewerId = req.body.reviewerId === null ? null : parseInt(req.body.reviewerId);
+            const result = await reviewService.assignReviewer(notice, req.user, reviewerId, req);
+
+            this.sendResult(req, res, result, reviewerId ? 'Reviewer assigned' : 'Reviewer removed');
+
+        } catch (error) {
+            console.error('💥 Assign reviewer error:', error.message);
+            this.sendError(res, 'Assignment Failed', 'An error occurred while assigning the reviewer');
+        }
+    };
+
+    // Approve a notice for publication
+    approve = async (req, res) => {
+        try {
+            logApiAccess(req, 'APPROVE_NOTICE', { noticeId: req.params.id });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const result = await reviewService.approve(notice, req.user, req.body.comment, req);
+
+            this.sendResult(req, res, result, 'Notice approved for publication');
+
+        } catch (error) {
+            console.error('💥 Approve notice error:', error.message);
+            this.sendError(res, 'Approval Failed', 'An error occurred while approving notice');
+        }
+    };
+
+    // Send a notice back to its author
+    requestChanges = async (req, res) => {
+        try {
+            logApiAccess(req, 'REQUEST_NOTICE_CHANGES', { noticeId: req.params.id });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const result = await reviewService.requestChanges(notice, req.user, req.body.comment, req);
+
+            this.sendResult(req, res, result, 'Changes requested');
+
+        } catch (error) {
+            console.error('💥 Request changes error:', error.message);
+            this.sendError(res, 'Review Failed', 'An error occurred while requesting changes');
+        }
+    };
+
+    // Review history and comments of a notice (oldest first)
+    getReviews = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_NOTICE_REVIEWS', { noticeId: req.params.id });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const reviews = await reviewService.getHistory(notice);
+
+            res.status(200).json({
+                success: true,
+                message: 'Review history retrieved successfully',
+                data: {
+                    notice: {
+                        id: notice.id,
+                        title: notice.title,
+                        status: notice.status,
+                        reviewerId: notice.reviewerId,
+                        reviewerName: notice.reviewerName
+                    },
+                    reviews: reviews.map(review => review.toJSON())
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get reviews error:', error.message);
+            this.sendError(res, 'Retrieval Failed', 'An error occurred while retrieving review history');
+        }
+    };
+
+    // Add a comment to the review discussion
+    addComment = async (req, res) => {
+        try {
+            logApiAccess(req, 'ADD_NOTICE_REVIEW_COMMENT', { noticeId: req.params.id });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const result = await reviewService.addComment(notice, req.user, req.body.comment);
+
+            this.sendResult(req, res, result, 'Comment added', 201);
+
+        } catch (error) {
+            console.error('💥 Add review comment error:', error.message);
+            this.sendError(res, 'Comment Failed', 'An error occurred while adding the comment');
+        }
+    };
+
+    // Notices waiting for the current user's decision
+    getQueue = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_REVIEW_QUEUE');
+
+            const notices = await reviewService.getQueue(req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Review queue retrieved successfully',
+                data: {
+                    notices: notices.map(notice => notice.toJSON())
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get review queue error:', error.message);
+            this.sendError(res, 'Retrieval Failed', 'An error occurred while retrieving the review queue');
+        }
+    };
+
+    // Workflow setting and the users who can be assigned as reviewers
+    getReviewers = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_REVIEWERS');
+
+            const approvers = await reviewService.getApprovers();
+
+            res.status(200).json({
+                success: true,
+                message: 'Reviewers retrieved successfully',
+                data: {
+                    workflowEnabled: reviewService.isEnabled(),
+                    reviewers: approvers.map(user => ({
+                        id: user.id,
+                        username: user.username,
+                        fullName: user.fullName,
+                        role: user.role
+                    }))
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get reviewers error:', error.message);
+            this.sendError(res, 'Retrieval Failed', 'An error occurred while retrieving reviewers');
+        }
+    };
+
+    // Grant or revoke approver rights (super admin)
+    setApprover = async (req, res) => {
+        try {
+            logApiAccess(req, 'SET_APPROVER', { userId: req.params.userId, canApprove: req.body.canApprove });
+
+            const result = await reviewService.setApprover(parseInt(req.params.userId), req.body.canApprove, req.user, req);
+
+            if (!result.success) {
+                return this.sendResult(req, res, result);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.user.canApprove ? 'Approver rights granted' : 'Approver rights revoked',
+                data: {
+                    user: result.user.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Set approver error:', error.message);
+            this.sendError(res, 'Update Failed', 'An error occurred while updating approver rights');
+        }
+    };
+}
+
+// Create and export controller instance
+const reviewController = new ReviewController();
+
+module.exports = {
+    submitForReview: reviewController.submitForReview,
+    assignReviewer: reviewController.assignReviewer,
+    approve: reviewController.approve,
+    requestChanges: reviewController.requestChanges,
+    getReviews: reviewController.getReviews,
+    addComment: reviewController.addComment,
+    getQueue: reviewController.getQueue,
+    getReviewers: reviewController.getReviewers,
+    setApprover: reviewController.setApprover
+};
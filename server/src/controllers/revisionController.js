@@ -0,0 +1,253 @@
+// Revision Controller - Notice revision history, diff and restore
+const Notice = require('../models/Notice');
+const NoticeRevision = require('../models/NoticeRevision');
+const noticeService = require('../services/noticeService');
+const reviewService = require('../services/reviewService');
+const {
+    logSecurityEvent,
+    logApiAccess
+} = require('../middleware/logging');
+
+class RevisionController {
+
+    // Load the notice named by :id or send a 404
+    findNoticeOr404 = async (req, res) => {
+        const notice = await Notice.findById(parseInt(req.params.id));
+
+        if (!notice) {
+            res.status(404).json({
+                success: false,
+                error: 'Notice Not Found',
+                message: 'Notice not found',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+
+        return notice;
+    };
+
+    // List revisions of a notice (newest first)
+    getRevisions = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { page = 1, limit = 20 } = req.query;
+
+            logApiAccess(req, 'GET_NOTICE_REVISIONS', { noticeId: id });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const result = await NoticeRevision.findByNotice(notice.id, {
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Revisions retrieved successfully',
+                data: {
+                    revisions: result.revisions.map(revision => revision.toSummary()),
+                    pagination: result.pagination
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get revisions error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving revisions',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get a single revision with its full content
+    getRevision = async (req, res) => {
+        try {
+            const { id, revisionNumber } = req.params;
+
+            logApiAccess(req, 'GET_NOTICE_REVISION', { noticeId: id, revisionNumber });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            const revision = await NoticeRevision.findByNumber(notice.id, revisionNumber);
+
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Revision Not Found',
+                    message: `Revision ${revisionNumber} not found for this notice`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Revision retrieved successfully',
+                data: {
+                    revision: revision.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get revision error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving revision',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Diff two revisions (?from=&to=, defaults to the latest revision)
+    diffRevisions = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { from, to } = req.query;
+
+            logApiAccess(req, 'DIFF_NOTICE_REVISIONS', { noticeId: id, from, to });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            let toRevision;
+            if (to) {
+                toRevision = await NoticeRevision.findByNumber(notice.id, to);
+            } else {
+                const latest = await NoticeRevision.findByNotice(notice.id, { page: 1, limit: 1 });
+                toRevision = latest.revisions[0] || null;
+            }
+
+            const fromRevision = await NoticeRevision.findByNumber(notice.id, from);
+
+            if (!fromRevision || !toRevision) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Revision Not Found',
+                    message: 'One or both revisions were not found for this notice',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Revision diff generated successfully',
+                data: {
+                    diff: NoticeRevision.compare(fromRevision, toRevision)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Diff revisions error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Diff Failed',
+                message: 'An error occurred while comparing revisions',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Restore a notice's content from a revision (recorded as a new revision)
+    restoreRevision = async (req, res) => {
+        try {
+            const { id, revisionNumber } = req.params;
+
+            logApiAccess(req, 'RESTORE_NOTICE_REVISION', { noticeId: id, revisionNumber });
+
+            const notice = await this.findNoticeOr404(req, res);
+            if (!notice) return;
+
+            // Same rule as editing
+            const permission = await noticeService.checkNoticePermissions(notice, req.user, 'update');
+            if (!permission.allowed) {
+                logSecurityEvent(req, 'UNAUTHORIZED_NOTICE_RESTORE', {
+                    attemptedBy: req.user.username,
+                    noticeId: notice.id,
+                    noticeOwner: notice.creatorUsername,
+                    revisionNumber,
+                    severity: 'medium'
+                });
+
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient Permissions',
+                    message: permission.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const revision = await NoticeRevision.findByNumber(notice.id, revisionNumber);
+
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Revision Not Found',
+                    message: `Revision ${revisionNumber} not found for this notice`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            console.log(`⏪ Restoring notice "${notice.title}" to revision ${revision.revisionNumber} by ${req.user.username}`);
+
+            // Content only - publication state and schedule stay as they are now
+            const updateData = {
+                title: revision.title,
+                description: revision.getDescriptionText(),
+                imageUrl: revision.imageUrl,
+                files: revision.files,
+                priority: revision.priority
+            };
+
+            // Restored content has not been signed off
+            const approvalWithdrawn = reviewService.withdrawApprovalOnEdit(notice, updateData);
+
+            await notice.update(updateData, req.user, {
+                changeSummary: `Restored revision ${revision.revisionNumber}`
+            });
+
+            if (approvalWithdrawn) {
+                await reviewService.recordApprovalWithdrawn(notice, req.user);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: `Notice restored to revision ${revision.revisionNumber}`,
+                data: {
+                    notice: notice.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Restore revision error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Restore Failed',
+                message: 'An error occurred while restoring revision',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const revisionController = new RevisionController();
+
+module.exports = {
+    getRevisions: revisionController.getRevisions,
+    getRevision: revisionController.getRevision,
+    diffRevisions: revisionController.diffRevisions,
+    restoreRevision: revisionController.restoreRevision
+};
@@ -0,0 +1,203 @@
+// Role Controller - Configurable roles and their permissions
+const Role = require('../models/Role');
+const permissionService = require('../services/permissionService');
+const { logApiAccess } = require('../middleware/logging');
+
+// HTTP status for each refusal reason of the permission service
+const STATUS_CODES = {
+    validation_error: 400,
+    locked_role: 403,
+    conflict: 409,
+    role_in_use: 409
+};
+
+class RoleController {
+
+    // Load the role from :name or send a 404; returns null when a response was sent
+    findRoleOrRespond = async (req, res) => {
+        const role = await Role.findByName(req.params.name);
+
+        if (!role) {
+            res.status(404).json({
+                success: false,
+                error: 'Role Not Found',
+                message: 'Role not found',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+
+        return role;
+    };
+
+    // Send a refusal from the permission service
+    sendRefusal = (res, result, error) => {
+        res.status(STATUS_CODES[result.reason] || 500).json({
+            success: false,
+            error,
+            message: result.message,
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // List roles with their permissions and member counts
+    getAllRoles = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_ALL_ROLES');
+
+            const roles = await permissionService.listRoles();
+
+            res.status(200).json({
+                success: true,
+                message: 'Roles retrieved successfully',
+                data: {
+                    roles: roles.map(role => role.toJSON())
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get roles error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving roles',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // List every permission a role can grant
+    getPermissions = async (req, res) => {
+        logApiAccess(req, 'GET_PERMISSIONS');
+
+        res.status(200).json({
+            success: true,
+            message: 'Permissions retrieved successfully',
+            data: {
+                permissions: permissionService.getCatalogue()
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Create a role
+    createRole = async (req, res) => {
+        try {
+            logApiAccess(req, 'CREATE_ROLE', { role: req.body.name });
+
+            const result = await permissionService.createRole(req.body, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Creation Failed');
+            }
+
+            console.log(`🛡️ Role created: ${result.role.name} by ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Role created successfully',
+                data: {
+                    role: result.role.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Create role error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Creation Failed',
+                message: 'An error occurred while creating role',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Update a role's name, description or permissions
+    updateRole = async (req, res) => {
+        try {
+            logApiAccess(req, 'UPDATE_ROLE', { role: req.params.name });
+
+            const role = await this.findRoleOrRespond(req, res);
+            if (!role) return;
+
+            const result = await permissionService.updateRole(role, req.body, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Update Failed');
+            }
+
+            console.log(`🛡️ Role updated: ${role.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Role updated successfully',
+                data: {
+                    role: result.role.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Update role error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Update Failed',
+                message: 'An error occurred while updating role',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Delete a role nobody holds
+    deleteRole = async (req, res) => {
+        try {
+            logApiAccess(req, 'DELETE_ROLE', { role: req.params.name });
+
+            const role = await this.findRoleOrRespond(req, res);
+            if (!role) return;
+
+            const result = await permissionService.deleteRole(role, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Deletion Failed');
+            }
+
+            console.log(`🗑️ Role deleted: ${role.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Role deleted successfully',
+                data: {
+                    deletedRole: role.name
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Delete role error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Deletion Failed',
+                message: 'An error occurred while deleting role',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const roleController = new RoleController();
+
+module.exports = {
+    getAllRoles: roleController.getAllRoles,
+    getPermissions: roleController.getPermissions,
+    createRole: roleController.createRole,
+    updateRole: roleController.updateRole,
+    deleteRole: roleController.deleteRole
+};
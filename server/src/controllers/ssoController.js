@@ -0,0 +1,116 @@
+// SSO Controller - Redirects to and from the staff identity provider
+const ssoService = require('../services/ssoService');
+const { config, isProduction } = require('../config/environment');
+const { getCookie } = require('../utils/cookies');
+const { logApiAccess, logAuthentication, logSecurityEvent } = require('../middleware/logging');
+
+class SsoController {
+
+    // Client page that finishes the sign-in; results travel in the fragment so they stay out of server logs
+    redirectToClient = (res, params) => {
+        const siteUrl = (config.app.frontendUrl || config.cors.origin[0]).replace(/\/+$/, '');
+        res.redirect(302, `${siteUrl}/login/sso#${new URLSearchParams(params).toString()}`);
+    };
+
+    stateCookieOptions = () => ({
+        httpOnly: true,
+        secure: isProduction(),
+        sameSite: 'lax', // sent along with the provider's top-level redirect back
+        path: '/'
+    });
+
+    // Identity providers offered on the login page
+    getProviders = async (req, res) => {
+        logApiAccess(req, 'GET_SSO_PROVIDERS');
+
+        res.status(200).json({
+            success: true,
+            message: 'Sign-in providers retrieved successfully',
+            data: {
+                providers: ssoService.getProviders()
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Send the browser to the provider's login page
+    startLogin = async (req, res) => {
+        if (!ssoService.isEnabled(req.params.provider)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Provider Not Found',
+                message: 'This sign-in provider is not available',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+            const { url, state } = await ssoService.beginLogin(req.query.returnTo);
+
+            res.cookie(ssoService.stateCookie, state, {
+                ...this.stateCookieOptions(),
+                maxAge: ssoService.config.stateTtlSeconds * 1000
+            });
+
+            console.log('🔁 SSO sign-in started');
+            res.redirect(302, url);
+
+        } catch (error) {
+            console.error('💥 SSO start error:', error.message);
+            this.redirectToClient(res, { error: 'provider_unavailable' });
+        }
+    };
+
+    // The provider sends the browser back here with an authorization code
+    callback = async (req, res) => {
+        const signedState = getCookie(req, ssoService.stateCookie);
+        res.clearCookie(ssoService.stateCookie, this.stateCookieOptions());
+
+        if (!ssoService.isEnabled(req.params.provider)) {
+            return this.redirectToClient(res, { error: 'provider_unavailable' });
+        }
+
+        // The user cancelled or the provider refused
+        if (req.query.error) {
+            logAuthentication(req, { success: false, reason: `SSO provider error: ${String(req.query.error).substring(0, 100)}` });
+            return this.redirectToClient(res, { error: 'access_denied' });
+        }
+
+        try {
+            const result = await ssoService.completeLogin(req.query, signedState, req);
+
+            if (!result.success) {
+                console.log(`❌ SSO sign-in refused: ${result.reason}`);
+                logAuthentication(req, { success: false, reason: `SSO: ${result.message}` });
+
+                return this.redirectToClient(res, { error: result.reason });
+            }
+
+            console.log(`✅ SSO identity verified for: ${result.user.username}`);
+
+            this.redirectToClient(res, {
+                token: ssoService.createHandoff(result.user),
+                returnTo: result.returnTo
+            });
+
+        } catch (error) {
+            console.error('💥 SSO callback error:', error.message);
+
+            logSecurityEvent(req, 'SSO_LOGIN_FAILED', {
+                reason: error.message,
+                severity: 'medium'
+            });
+
+            this.redirectToClient(res, { error: 'sso_failed' });
+        }
+    };
+}
+
+// Create and export controller instance
+const ssoController = new SsoController();
+
+module.exports = {
+    getProviders: ssoController.getProviders,
+    startLogin: ssoController.startLogin,
+    callback: ssoController.callback
+};
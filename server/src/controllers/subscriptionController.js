@@ -0,0 +1,265 @@
+// Subscription Controller - Public email subscription endpoints
+const subscriptionService = require('../services/subscriptionService');
+const { logApiAccess } = require('../middleware/logging');
+const rateLimit = require('express-rate-limit');
+
+class SubscriptionController {
+    constructor() {
+        // Signups send email, so they are limited much harder than reads
+        this.subscribeLimiter = rateLimit({
+            windowMs: 60 * 60 * 1000, // 1 hour
+            max: 5, // 5 signups per hour per IP
+            message: {
+                success: false,
+                error: 'Rate Limit Exceeded',
+                message: 'Too many subscription requests, please try again later',
+                retryAfter: '1 hour'
+            },
+            standardHeaders: true,
+            legacyHeaders: false
+        });
+
+        this.manageLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 30, // 30 requests per window per IP
+            message: {
+                success: false,
+                error: 'Rate Limit Exceeded',
+                message: 'Too many requests, please try again later',
+                retryAfter: '15 minutes'
+            },
+            standardHeaders: true,
+            legacyHeaders: false
+        });
+    }
+
+    // Start a double opt-in subscription
+    subscribe = async (req, res) => {
+        try {
+            const { email, minPriority, frequency, categoryIds } = req.body;
+
+            logApiAccess(req, 'SUBSCRIBE', { frequency });
+
+            const result = await subscriptionService.subscribe(
+                { email, minPriority, frequency, categoryIds },
+                req
+            );
+
+            // Same response for new, pending and existing addresses
+            res.status(202).json({
+                success: true,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Subscribe error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Subscription Failed',
+                message: 'An error occurred while processing your subscription',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Confirm a subscription from the emailed link
+    confirm = async (req, res) => {
+        try {
+            logApiAccess(req, 'CONFIRM_SUBSCRIPTION');
+
+            const result = await subscriptionService.confirm(req.body.token, req);
+
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid Token',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    subscription: result.subscriber,
+                    manageToken: result.manageToken
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Confirm subscription error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Confirmation Failed',
+                message: 'An error occurred while confirming your subscription',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get preferences for a manage link
+    getPreferences = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_SUBSCRIPTION');
+
+            const result = await subscriptionService.getPreferences(req.query.token);
+
+            if (!result.success) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Subscription Not Found',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Subscription retrieved successfully',
+                data: {
+                    subscription: result.subscriber
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get subscription error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving your subscription',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Update preferences from a manage link
+    updatePreferences = async (req, res) => {
+        try {
+            const { token, minPriority, frequency, categoryIds } = req.body;
+
+            logApiAccess(req, 'UPDATE_SUBSCRIPTION', { frequency });
+
+            const result = await subscriptionService.updatePreferences(
+                token,
+                { minPriority, frequency, categoryIds },
+                req
+            );
+
+            if (!result.success) {
+                const statusCode = result.reason === 'invalid_token' ? 404 : 409;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: statusCode === 404 ? 'Subscription Not Found' : 'Subscription Inactive',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    subscription: result.subscriber
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Update subscription error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Update Failed',
+                message: 'An error occurred while saving your preferences',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Unsubscribe (manage page button or one-click List-Unsubscribe POST)
+    unsubscribe = async (req, res) => {
+        try {
+            const token = (req.body && req.body.token) || req.query.token;
+
+            logApiAccess(req, 'UNSUBSCRIBE');
+
+            const result = await subscriptionService.unsubscribe(token, req);
+
+            if (!result.success) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Subscription Not Found',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    subscription: result.subscriber
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Unsubscribe error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Unsubscribe Failed',
+                message: 'An error occurred while unsubscribing',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Subscriber and email queue statistics (admin)
+    getStats = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_SUBSCRIPTION_STATS');
+
+            const stats = await subscriptionService.getStats();
+
+            res.status(200).json({
+                success: true,
+                message: 'Subscription statistics retrieved successfully',
+                data: stats,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get subscription stats error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving subscription statistics',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create controller instance
+const subscriptionController = new SubscriptionController();
+
+module.exports = {
+    // Rate limited endpoints
+    subscribe: [subscriptionController.subscribeLimiter, subscriptionController.subscribe],
+    confirm: [subscriptionController.manageLimiter, subscriptionController.confirm],
+    getPreferences: [subscriptionController.manageLimiter, subscriptionController.getPreferences],
+    updatePreferences: [subscriptionController.manageLimiter, subscriptionController.updatePreferences],
+    unsubscribe: [subscriptionController.manageLimiter, subscriptionController.unsubscribe],
+
+    // Admin endpoints
+    getStats: subscriptionController.getStats
+};
@@ -0,0 +1,259 @@
+// Template Controller - Shared and department notice templates
+const templateService = require('../services/templateService');
+const {
+    logSecurityEvent,
+    logApiAccess
+} = require('../middleware/logging');
+
+// HTTP status for each reason the template service can refuse a request
+const STATUS_BY_REASON = {
+    insufficient_permissions: 403,
+    template_not_found: 404,
+    validation_error: 400
+};
+
+class TemplateController {
+
+    // Respond to a refusal from the template service
+    sendRefusal = (req, res, result, error) => {
+        const statusCode = STATUS_BY_REASON[result.reason] || 400;
+
+        if (statusCode === 403) {
+            logSecurityEvent(req, 'UNAUTHORIZED_TEMPLATE_MANAGEMENT', {
+                attemptedBy: req.user.username,
+                templateId: req.params.id,
+                severity: 'medium'
+            });
+        }
+
+        return res.status(statusCode).json({
+            success: false,
+            error: statusCode === 403 ? 'Insufficient Permissions' : error,
+            message: result.message,
+            reason: result.reason,
+            ...(result.errors && { details: result.errors }),
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // Template fields from the request body; missing keys are left unchanged on update
+    getTemplateData = (body) => ({
+        name: body.name,
+        description: body.description,
+        departmentId: body.departmentId,
+        body: body.body,
+        fields: body.fields,
+        defaultPriority: body.defaultPriority,
+        defaultCategoryId: body.defaultCategoryId,
+        isActive: body.isActive
+    });
+
+    // Get the templates the user can start a notice from
+    getTemplates = async (req, res) => {
+        try {
+            const { departmentId, includeInactive } = req.query;
+
+            logApiAccess(req, 'GET_TEMPLATES', { departmentId });
+
+            const templates = await templateService.listTemplates(req.user, {
+                departmentId: departmentId ? parseInt(departmentId) : null,
+                includeInactive: includeInactive === 'true'
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Templates retrieved successfully',
+                data: {
+                    templates: templates.map(template => template.toJSON())
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get templates error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Fetch Failed',
+                message: 'An error occurred while retrieving templates',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get a template with its fields
+    getTemplate = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'GET_TEMPLATE', { templateId: id });
+
+            const result = await templateService.getTemplate(parseInt(id), req.user);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Fetch Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Template retrieved successfully',
+                data: {
+                    template: result.template.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get template error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Fetch Failed',
+                message: 'An error occurred while retrieving the template',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Create a template
+    createTemplate = async (req, res) => {
+        try {
+            const data = this.getTemplateData(req.body);
+
+            logApiAccess(req, 'CREATE_TEMPLATE', { name: data.name, departmentId: data.departmentId });
+
+            const result = await templateService.createTemplate(data, req.user, req);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Creation Failed');
+            }
+
+            res.status(201).json({
+                success: true,
+                message: result.message,
+                data: {
+                    template: result.template.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Create template error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Creation Failed',
+                message: 'An error occurred while creating the template',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Update a template
+    updateTemplate = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const data = this.getTemplateData(req.body);
+
+            logApiAccess(req, 'UPDATE_TEMPLATE', { templateId: id });
+
+            const result = await templateService.updateTemplate(parseInt(id), data, req.user, req);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Update Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                data: {
+                    template: result.template.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Update template error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Update Failed',
+                message: 'An error occurred while updating the template',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Delete a template
+    deleteTemplate = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'DELETE_TEMPLATE', { templateId: id });
+
+            const result = await templateService.deleteTemplate(parseInt(id), req.user, req);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Deletion Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Delete template error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Deletion Failed',
+                message: 'An error occurred while deleting the template',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Fill a template's placeholders and return the notice content to start from
+    applyTemplate = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'APPLY_TEMPLATE', { templateId: id });
+
+            const result = await templateService.applyTemplate(parseInt(id), req.body.values || {}, req.user, req);
+            if (!result.success) {
+                return this.sendRefusal(req, res, result, 'Template Failed');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Template applied successfully',
+                data: {
+                    template: result.template.toJSON(),
+                    content: result.content
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Apply template error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Template Failed',
+                message: 'An error occurred while applying the template',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const templateController = new TemplateController();
+
+module.exports = {
+    getTemplates: templateController.getTemplates,
+    getTemplate: templateController.getTemplate,
+    createTemplate: templateController.createTemplate,
+    updateTemplate: templateController.updateTemplate,
+    deleteTemplate: templateController.deleteTemplate,
+    applyTemplate: templateController.applyTemplate
+};
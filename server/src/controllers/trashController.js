@@ -0,0 +1,101 @@
+// Trash Controller - Deleted notices waiting to be restored or purged
+const trashService = require('../services/trashService');
+const {
+    logSecurityEvent,
+    logApiAccess
+} = require('../middleware/logging');
+
+// HTTP status for each reason the trash service can refuse a restore
+const STATUS_BY_REASON = {
+    insufficient_permissions: 403,
+    notice_not_found: 404
+};
+
+class TrashController {
+
+    // List notices in the trash (own notices; every notice for super admins)
+    getTrash = async (req, res) => {
+        try {
+            const { page = 1, limit = 20, search } = req.query;
+
+            logApiAccess(req, 'GET_NOTICE_TRASH');
+
+            const result = await trashService.listTrash(req.user, { page, limit, search });
+
+            res.status(200).json({
+                success: true,
+                message: 'Trash retrieved successfully',
+                data: result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get trash error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Fetch Failed',
+                message: 'An error occurred while retrieving the trash',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Restore a notice from the trash
+    restoreNotice = async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            logApiAccess(req, 'RESTORE_NOTICE', { noticeId: id });
+
+            const result = await trashService.restoreNotice(parseInt(id), req.user, req);
+
+            if (!result.success) {
+                const statusCode = STATUS_BY_REASON[result.reason] || 400;
+
+                if (statusCode === 403) {
+                    logSecurityEvent(req, 'UNAUTHORIZED_NOTICE_RESTORE', {
+                        attemptedBy: req.user.username,
+                        noticeId: id,
+                        severity: 'medium'
+                    });
+                }
+
+                return res.status(statusCode).json({
+                    success: false,
+                    error: statusCode === 403 ? 'Insufficient Permissions' : 'Restore Failed',
+                    message: result.message,
+                    reason: result.reason,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Notice restored successfully',
+                data: {
+                    notice: result.notice.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Restore notice error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Restore Failed',
+                message: 'An error occurred while restoring the notice',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const trashController = new TrashController();
+
+module.exports = {
+    getTrash: trashController.getTrash,
+    restoreNotice: trashController.restoreNotice
+};
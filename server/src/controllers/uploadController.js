@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const { config } = require('../config/environment');
+const permissionService = require('../services/permissionService');
 const { 
   logApiAccess, 
   logSecurityEvent,
@@ -85,12 +86,12 @@ class UploadController {
     try {
       logApiAccess(req, 'UPLOAD_IMAGE');
 
-      // Check authentication
-      if (!req.user || !req.user.isAdmin()) {
+      // Check permissions
+      if (!req.user || !permissionService.grants(req.user.permissions || [], 'files.upload')) {
         return res.status(403).json({
           success: false,
           error: 'Access Denied',
-          message: 'Only administrators can upload images',
+          message: 'You do not have permission to upload images',
           timestamp: new Date().toISOString()
         });
       }
@@ -205,12 +206,12 @@ class UploadController {
     try {
       logApiAccess(req, 'UPLOAD_FILES');
 
-      // Check authentication
-      if (!req.user || !req.user.isAdmin()) {
+      // Check permissions
+      if (!req.user || !permissionService.grants(req.user.permissions || [], 'files.upload')) {
         return res.status(403).json({
           success: false,
           error: 'Access Denied',
-          message: 'Only administrators can upload files',
+          message: 'You do not have permission to upload files',
           timestamp: new Date().toISOString()
         });
       }
@@ -344,12 +345,12 @@ class UploadController {
 
       logApiAccess(req, 'DELETE_FILE', { filename });
 
-      // Check authentication
-      if (!req.user || !req.user.isAdmin()) {
+      // Check permissions
+      if (!req.user || !permissionService.grants(req.user.permissions || [], 'files.manage')) {
         return res.status(403).json({
           success: false,
           error: 'Access Denied',
-          message: 'Only administrators can delete files',
+          message: 'You do not have permission to delete files',
           timestamp: new Date().toISOString()
         });
       }
@@ -443,12 +444,12 @@ class UploadController {
 
       logApiAccess(req, 'GET_UPLOADED_FILES');
 
-      // Check authentication
-      if (!req.user || !req.user.isAdmin()) {
+      // Check permissions
+      if (!req.user || !permissionService.grants(req.user.permissions || [], 'files.upload')) {
         return res.status(403).json({
           success: false,
           error: 'Access Denied',
-          message: 'Only administrators can view uploaded files',
+          message: 'You do not have permission to view uploaded files',
           timestamp: new Date().toISOString()
         });
       }
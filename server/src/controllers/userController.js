@@ -0,0 +1,308 @@
+// User Controller - Staff account management (users.manage)
+const User = require('../models/User');
+const userService = require('../services/userService');
+const { logApiAccess } = require('../middleware/logging');
+
+// HTTP status for each refusal reason of the user service
+const STATUS_CODES = {
+    validation_error: 400,
+    weak_password: 400,
+    invalid_transfer: 400,
+    self_action: 403,
+    forbidden: 403,
+    conflict: 409,
+    last_super_admin: 409,
+    has_notices: 409
+};
+
+class UserController {
+
+    // Load the user from :id or send a 404; returns null when a response was sent
+    findUserOrRespond = async (req, res) => {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            res.status(404).json({
+                success: false,
+                error: 'User Not Found',
+                message: 'User not found',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+
+        return user;
+    };
+
+    // Send a refusal from the user service
+    sendRefusal = (res, result, error) => {
+        res.status(STATUS_CODES[result.reason] || 500).json({
+            success: false,
+            error,
+            message: result.message,
+            ...(result.errors && { errors: result.errors }),
+            ...(result.noticeCount !== undefined && { data: { noticeCount: result.noticeCount } }),
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // List users with pagination, search and filters
+    getAllUsers = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_ALL_USERS');
+
+            const { users, pagination } = await userService.listUsers(req.query);
+
+            res.status(200).json({
+                success: true,
+                message: 'Users retrieved successfully',
+                data: {
+                    users,
+                    pagination
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get users error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving users',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get a single user
+    getUser = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_USER', { userId: req.params.id });
+
+            const user = await this.findUserOrRespond(req, res);
+            if (!user) return;
+
+            res.status(200).json({
+                success: true,
+                message: 'User retrieved successfully',
+                data: {
+                    user: await userService.describeUser(user)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get user error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving user',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Create a staff account
+    createUser = async (req, res) => {
+        try {
+            logApiAccess(req, 'CREATE_USER', { username: req.body.username });
+
+            const result = await userService.createUser(req.body, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Creation Failed');
+            }
+
+            console.log(`👤 User created: ${result.user.username} (${result.user.role}) by ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'User created successfully',
+                data: {
+                    user: await userService.describeUser(result.user)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Create user error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Creation Failed',
+                message: 'An error occurred while creating user',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Edit a staff account
+    updateUser = async (req, res) => {
+        try {
+            logApiAccess(req, 'UPDATE_USER', { userId: req.params.id });
+
+            const user = await this.findUserOrRespond(req, res);
+            if (!user) return;
+
+            const result = await userService.updateUser(user, req.body, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Update Failed');
+            }
+
+            console.log(`👤 User updated: ${user.username} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'User updated successfully',
+                data: {
+                    user: await userService.describeUser(result.user)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Update user error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Update Failed',
+                message: 'An error occurred while updating user',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Disable or re-enable an account
+    setUserStatus = async (req, res) => {
+        try {
+            logApiAccess(req, 'SET_USER_STATUS', { userId: req.params.id, isActive: req.body.isActive });
+
+            const user = await this.findUserOrRespond(req, res);
+            if (!user) return;
+
+            const result = await userService.setActive(user, req.body.isActive, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Status Change Failed');
+            }
+
+            console.log(`👤 User ${req.body.isActive ? 'enabled' : 'disabled'}: ${user.username} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: req.body.isActive
+                    ? 'Account enabled'
+                    : `Account disabled and ${result.sessionsRevoked || 0} session(s) signed out`,
+                data: {
+                    user: await userService.describeUser(result.user),
+                    sessionsRevoked: result.sessionsRevoked || 0
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Set user status error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Status Change Failed',
+                message: 'An error occurred while changing the account status',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Sign a user out of every session
+    forceLogout = async (req, res) => {
+        try {
+            logApiAccess(req, 'FORCE_LOGOUT_USER', { userId: req.params.id });
+
+            const user = await this.findUserOrRespond(req, res);
+            if (!user) return;
+
+            const result = await userService.forceLogout(user, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Logout Failed');
+            }
+
+            console.log(`🔒 ${user.username} signed out everywhere by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: `${result.sessionsRevoked} session(s) signed out`,
+                data: {
+                    sessionsRevoked: result.sessionsRevoked
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Force logout error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Logout Failed',
+                message: 'An error occurred while signing the user out',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Delete an account, optionally transferring its notices
+    deleteUser = async (req, res) => {
+        try {
+            logApiAccess(req, 'DELETE_USER', { userId: req.params.id, transferTo: req.query.transferTo });
+
+            const user = await this.findUserOrRespond(req, res);
+            if (!user) return;
+
+            const result = await userService.deleteUser(user, { transferTo: req.query.transferTo }, req.user, req);
+
+            if (!result.success) {
+                return this.sendRefusal(res, result, 'Deletion Failed');
+            }
+
+            console.log(`🗑️ User deleted: ${user.username} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'User deleted successfully',
+                data: {
+                    deletedUser: {
+                        id: user.id,
+                        username: user.username
+                    },
+                    noticesTransferred: result.noticesTransferred
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Delete user error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Deletion Failed',
+                message: 'An error occurred while deleting user',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const userController = new UserController();
+
+module.exports = {
+    getAllUsers: userController.getAllUsers,
+    getUser: userController.getUser,
+    createUser: userController.createUser,
+    updateUser: userController.updateUser,
+    setUserStatus: userController.setUserStatus,
+    forceLogout: userController.forceLogout,
+    deleteUser: userController.deleteUser
+};
@@ -0,0 +1,396 @@
+// Webhook Controller - Outbound webhook management and delivery log (super admin)
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { logApiAccess } = require('../middleware/logging');
+
+class WebhookController {
+
+    // Load the webhook from :id or send a 404; returns null when a response was sent
+    findWebhookOrRespond = async (req, res) => {
+        const webhook = await Webhook.findById(req.params.id);
+
+        if (!webhook) {
+            res.status(404).json({
+                success: false,
+                error: 'Webhook Not Found',
+                message: 'Webhook not found',
+                timestamp: new Date().toISOString()
+            });
+            return null;
+        }
+
+        return webhook;
+    };
+
+    // Get all webhooks
+    getAllWebhooks = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_ALL_WEBHOOKS');
+
+            const webhooks = await Webhook.findAll();
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhooks retrieved successfully',
+                data: {
+                    webhooks: webhooks.map(webhook => webhook.toJSON()),
+                    availableEvents: Webhook.VALID_EVENTS
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get webhooks error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving webhooks',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get a single webhook
+    getWebhook = async (req, res) => {
+        try {
+            logApiAccess(req, 'GET_WEBHOOK', { webhookId: req.params.id });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook retrieved successfully',
+                data: {
+                    webhook: webhook.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get webhook error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving webhook',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Create webhook; the signing secret is returned in full only here and on rotation
+    createWebhook = async (req, res) => {
+        try {
+            const { name, url, events, isActive } = req.body;
+
+            logApiAccess(req, 'CREATE_WEBHOOK', { name });
+
+            const webhook = await Webhook.create({ name, url, events, isActive }, req.user);
+
+            console.log(`🪝 Webhook created: ${webhook.name} by ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Webhook created successfully. Store the secret now; it will not be shown again.',
+                data: {
+                    webhook: webhook.toJSON(true)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Create webhook error:', error.message);
+
+            const statusCode = error.message.includes('event is required') ? 400 : 500;
+
+            res.status(statusCode).json({
+                success: false,
+                error: 'Creation Failed',
+                message: statusCode === 400 ? error.message : 'An error occurred while creating webhook',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Update webhook
+    updateWebhook = async (req, res) => {
+        try {
+            const { name, url, events, isActive } = req.body;
+
+            logApiAccess(req, 'UPDATE_WEBHOOK', { webhookId: req.params.id });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            await webhook.update({ name, url, events, isActive }, req.user);
+
+            console.log(`🪝 Webhook updated: ${webhook.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook updated successfully',
+                data: {
+                    webhook: webhook.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Update webhook error:', error.message);
+
+            const statusCode = error.message.includes('No valid fields') || error.message.includes('event is required') ? 400 : 500;
+
+            res.status(statusCode).json({
+                success: false,
+                error: 'Update Failed',
+                message: statusCode === 400 ? error.message : 'An error occurred while updating webhook',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Delete webhook and its delivery log
+    deleteWebhook = async (req, res) => {
+        try {
+            logApiAccess(req, 'DELETE_WEBHOOK', { webhookId: req.params.id });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            await webhook.delete(req.user);
+
+            console.log(`🗑️ Webhook deleted: ${webhook.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook deleted successfully',
+                data: {
+                    deletedWebhook: {
+                        id: webhook.id,
+                        name: webhook.name
+                    }
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Delete webhook error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Deletion Failed',
+                message: 'An error occurred while deleting webhook',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Replace the signing secret
+    rotateSecret = async (req, res) => {
+        try {
+            logApiAccess(req, 'ROTATE_WEBHOOK_SECRET', { webhookId: req.params.id });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            await webhook.rotateSecret(req.user);
+
+            console.log(`🔑 Webhook secret rotated: ${webhook.name} by ${req.user.username}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook secret rotated. Update the receiver before the next delivery.',
+                data: {
+                    webhook: webhook.toJSON(true)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Rotate webhook secret error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Rotation Failed',
+                message: 'An error occurred while rotating webhook secret',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Send a signed ping to check the endpoint
+    pingWebhook = async (req, res) => {
+        try {
+            logApiAccess(req, 'PING_WEBHOOK', { webhookId: req.params.id });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            const result = await webhookService.ping(webhook, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: result.delivery.status === 'success' ? 'Ping delivered' : 'Ping failed; see the delivery for details',
+                data: {
+                    delivery: result.delivery.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Ping webhook error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Ping Failed',
+                message: 'An error occurred while pinging webhook',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get the delivery log of a webhook
+    getDeliveries = async (req, res) => {
+        try {
+            const { page = 1, limit = 20, status = null } = req.query;
+
+            logApiAccess(req, 'GET_WEBHOOK_DELIVERIES', { webhookId: req.params.id });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            const result = await WebhookDelivery.findByWebhook(webhook.id, { page, limit, status });
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook deliveries retrieved successfully',
+                data: {
+                    deliveries: result.deliveries.map(delivery => delivery.toJSON()),
+                    pagination: result.pagination
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get webhook deliveries error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving webhook deliveries',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Get one delivery including the payload that was sent
+    getDelivery = async (req, res) => {
+        try {
+            const { deliveryId } = req.params;
+
+            logApiAccess(req, 'GET_WEBHOOK_DELIVERY', { webhookId: req.params.id, deliveryId });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            const delivery = await WebhookDelivery.findById(deliveryId);
+
+            if (!delivery || delivery.webhookId !== webhook.id) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery Not Found',
+                    message: 'Delivery not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook delivery retrieved successfully',
+                data: {
+                    delivery: delivery.toJSON(true)
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Get webhook delivery error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Retrieval Failed',
+                message: 'An error occurred while retrieving webhook delivery',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+
+    // Send a past delivery again
+    redeliver = async (req, res) => {
+        try {
+            const { deliveryId } = req.params;
+
+            logApiAccess(req, 'REDELIVER_WEBHOOK', { webhookId: req.params.id, deliveryId });
+
+            const webhook = await this.findWebhookOrRespond(req, res);
+            if (!webhook) return;
+
+            const result = await webhookService.redeliver(webhook, deliveryId, req.user, req);
+
+            if (!result.success) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery Not Found',
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            console.log(`🔁 Webhook delivery ${deliveryId} redelivered as ${result.delivery.id} by ${req.user.username}`);
+
+            const messages = {
+                success: 'Delivery resent successfully',
+                pending: 'Redelivery failed; it will be retried automatically',
+                failed: 'Redelivery failed'
+            };
+
+            res.status(201).json({
+                success: true,
+                message: messages[result.delivery.status] || 'Redelivery queued',
+                data: {
+                    delivery: result.delivery.toJSON()
+                },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('💥 Redeliver webhook error:', error.message);
+
+            res.status(500).json({
+                success: false,
+                error: 'Redelivery Failed',
+                message: 'An error occurred while redelivering webhook',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+// Create and export controller instance
+const webhookController = new WebhookController();
+
+module.exports = {
+    getAllWebhooks: webhookController.getAllWebhooks,
+    getWebhook: webhookController.getWebhook,
+    createWebhook: webhookController.createWebhook,
+    updateWebhook: webhookController.updateWebhook,
+    deleteWebhook: webhookController.deleteWebhook,
+    rotateSecret: webhookController.rotateSecret,
+    pingWebhook: webhookController.pingWebhook,
+    getDeliveries: webhookController.getDeliveries,
+    getDelivery: webhookController.getDelivery,
+    redeliver: webhookController.redeliver
+};
@@ -2,6 +2,8 @@
 const jwt = require('jsonwebtoken');
 const { config } = require('../config/environment');
 const secureDatabase = require('../config/database');
+const permissionService = require('../services/permissionService');
+const departmentService = require('../services/departmentService');
 
 class AuthMiddleware {
   constructor() {
@@ -41,6 +43,14 @@ class AuthMiddleware {
         return this.sendUnauthorizedResponse(res, 'User account not found or inactive');
       }
 
+      // Sessions revoked by logout, password resets or a super admin end the token too.
+      // Every login and refresh records a session, so a token without one is not accepted.
+      const session = await this.findTokenSession(user.id, token, decoded.sid);
+
+      if (!session || session.revoked) {
+        return this.sendUnauthorizedResponse(res, 'Session has been revoked');
+      }
+
       // Check token expiration
       if (this.isTokenExpired(decoded)) {
         return this.sendUnauthorizedResponse(res, 'Authentication token has expired');
@@ -53,9 +63,12 @@ class AuthMiddleware {
         email: user.email,
         role: user.role,
         fullName: user.full_name,
+        canApprove: !!user.can_approve,
         tokenIat: decoded.iat,
         tokenExp: decoded.exp
       };
+      req.user.permissions = await permissionService.getUserPermissions(req.user);
+      req.user.departmentIds = await departmentService.getUserDepartmentIds(user.id);
 
       req.token = token;
 
@@ -63,7 +76,7 @@ class AuthMiddleware {
       console.log(`✅ User authenticated: ${user.username} (${user.role})`);
       
       // Update session tracking
-      await this.updateSessionActivity(user.id, req);
+      await this.updateSessionActivity(req, session);
 
       next();
     } catch (error) {
@@ -120,9 +133,9 @@ class AuthMiddleware {
   async validateUser(decoded) {
     try {
       const query = `
-        SELECT id, username, email, role, full_name, created_at
+        SELECT id, username, email, role, full_name, can_approve, created_at
         FROM users 
-        WHERE id = ? AND role = ?
+        WHERE id = ? AND role = ? AND is_active = TRUE
         LIMIT 1
       `;
       
@@ -139,40 +152,57 @@ class AuthMiddleware {
     }
   }
 
+  // Find the session of a token; revoked if any of its session rows was revoked.
+  // Refreshed tokens name their session (sid); login tokens are matched by hash.
+  async findTokenSession(userId, token, sessionId = null) {
+    try {
+      if (sessionId) {
+        const result = await secureDatabase.executeQuery(
+          'SELECT id, is_active FROM user_sessions WHERE id = ? AND user_id = ? LIMIT 1',
+          [sessionId, userId]
+        );
+        const row = result.rows && result.rows[0];
+
+        return row ? { id: row.id, revoked: !row.is_active } : { id: null, revoked: true };
+      }
+
+      const crypto = require('crypto');
+      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+      const result = await secureDatabase.executeQuery(
+        'SELECT id, is_active FROM user_sessions WHERE user_id = ? AND token_hash = ? ORDER BY id ASC',
+        [userId, tokenHash]
+      );
+
+      if (!result.rows || result.rows.length === 0) {
+        return null;
+      }
+
+      return {
+        id: result.rows[0].id,
+        revoked: result.rows.some(row => !row.is_active)
+      };
+    } catch (error) {
+      console.error('⚠️ Session lookup error:', error.message);
+      return null;
+    }
+  }
+
   // Check if token is expired
   isTokenExpired(decoded) {
     const currentTime = Math.floor(Date.now() / 1000);
     return decoded.exp < currentTime;
   }
 
-  // Update session activity tracking
-  async updateSessionActivity(userId, req) {
-    try {
-      const sessionData = {
-        userId,
-        ipAddress: this.getClientIP(req),
-        userAgent: req.get('User-Agent') || 'Unknown',
-        lastActivity: new Date()
-      };
-
-      // Hash the token for storage (don't store plaintext)
-      const crypto = require('crypto');
-      const tokenHash = crypto.createHash('sha256').update(req.token).digest('hex');
-
-      const query = `
-        INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at, created_at)
-        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY), NOW())
-        ON DUPLICATE KEY UPDATE
-        ip_address = VALUES(ip_address),
-        user_agent = VALUES(user_agent)
-      `;
+  // Update session activity tracking; the session ID is kept on the request
+  async updateSessionActivity(req, session) {
+    req.sessionId = session.id;
 
-      await secureDatabase.executeQuery(query, [
-        userId,
-        tokenHash,
-        sessionData.ipAddress,
-        sessionData.userAgent
-      ]);
+    try {
+      await secureDatabase.executeQuery(
+        'UPDATE user_sessions SET ip_address = ?, last_activity = NOW() WHERE id = ?',
+        [String(this.getClientIP(req)).substring(0, 45), session.id]
+      );
     } catch (error) {
       // Don't fail authentication if session tracking fails
       console.error('⚠️ Session tracking error:', error.message);
@@ -218,6 +248,30 @@ class AuthMiddleware {
     };
   };
 
+  // Permission-based authorization; the user needs every listed permission
+  requirePermission = (...permissions) => {
+    return (req, res, next) => {
+      try {
+        if (!req.user) {
+          return this.sendForbiddenResponse(res, 'Authentication required');
+        }
+
+        const granted = req.user.permissions || [];
+        const missing = permissions.filter(permission => !permissionService.grants(granted, permission));
+
+        if (missing.length > 0) {
+          console.log(`🚫 Access denied for ${req.user.username} (${req.user.role}). Missing: ${missing.join(', ')}`);
+          return this.sendForbiddenResponse(res, 'Insufficient permissions');
+        }
+
+        next();
+      } catch (error) {
+        console.error('💥 Authorization error:', error.message);
+        return this.sendForbiddenResponse(res, 'Authorization failed');
+      }
+    };
+  };
+
   // Admin only authorization
   requireAdmin = this.authorize(['admin', 'super_admin']);
 
@@ -238,15 +292,19 @@ class AuthMiddleware {
       
       if (decoded) {
         const user = await this.validateUser(decoded);
+        const session = user && await this.findTokenSession(user.id, token, decoded.sid);
         
-        if (user && !this.isTokenExpired(decoded)) {
+        if (user && session && !session.revoked && !this.isTokenExpired(decoded)) {
           req.user = {
             id: user.id,
             username: user.username,
             email: user.email,
             role: user.role,
-            fullName: user.full_name
+            fullName: user.full_name,
+            canApprove: !!user.can_approve
           };
+          req.user.permissions = await permissionService.getUserPermissions(req.user);
+          req.user.departmentIds = await departmentService.getUserDepartmentIds(user.id);
           
           console.log(`✅ Optional auth successful: ${user.username}`);
         }
@@ -370,6 +428,7 @@ const authMiddleware = new AuthMiddleware();
 module.exports = {
   authenticate: authMiddleware.authenticate,
   authorize: authMiddleware.authorize,
+  requirePermission: authMiddleware.requirePermission,
   requireAdmin: authMiddleware.requireAdmin,
   requireSuperAdmin: authMiddleware.requireSuperAdmin,
   optionalAuth: authMiddleware.optionalAuth,
@@ -214,8 +214,8 @@ class RateLimitMiddleware {
     },
     
     skip: (req) => {
-      // Only apply to admin operations
-      return !req.user || !['admin', 'super_admin'].includes(req.user.role);
+      // Only apply to authenticated staff operations (every role is a staff role)
+      return !req.user;
     },
     
     handler: (req, res) => {
@@ -10,8 +10,22 @@ class ValidationMiddleware {
             slug: /^[a-z0-9-]+$/,
             objectId: /^\d+$/,
             priority: /^(low|medium|high)$/,
-            status: /^(draft|published)$/,
-            role: /^(admin|super_admin)$/
+            status: /^(draft|published|archived)$/,
+            categoryList: /^[a-z0-9-]+(,[a-z0-9-]+)*$/,
+            categoryType: /^(topic|department)$/,
+            feedFormat: /^(rss|atom)$/,
+            frequency: /^(instant|daily|weekly)$/,
+            token: /^[a-f0-9]{64}$/,
+            webhookEvent: /^(\*|notice\.(created|updated|published|unpublished|archived|deleted|restored))$/,
+            base64url: /^[A-Za-z0-9_-]+={0,2}$/,
+            deliveryStatus: /^(pending|sending|success|failed)$/,
+            role: /^[a-z][a-z0-9_]{2,49}$/,
+            permission: /^[a-z]+(\.[a-z]+){1,2}$/,
+            userStatus: /^(active|disabled)$/,
+            userSort: /^(id|username|email|role|full_name|is_active|created_at)$/,
+            language: /^(en|si|ta)$/,
+            templateFieldKey: /^[a-z][a-z0-9_]{0,39}$/,
+            templateFieldType: /^(text|date|time|location|course_code)$/
         };
 
         // Define custom validators with proper context
@@ -42,6 +56,71 @@ class ValidationMiddleware {
             isValidFileType: function (mimetype, { req }) {
                 const isImage = req.body.isImage === 'true';
                 return securityValidators.isAllowedFileType(mimetype, isImage);
+            },
+
+            // Expiry must come after the scheduled publish time (or now)
+            isAfterPublishTime: function (value, { req }) {
+                const expiresAt = new Date(value);
+                const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : new Date();
+                return expiresAt > publishAt;
+            },
+
+            // Translations map a language to { title, description }; an empty pair removes that language.
+            // Multipart forms send the map as a JSON string.
+            isValidTranslations: (value) => {
+                let translations = value;
+                if (typeof value === 'string') {
+                    try {
+                        translations = JSON.parse(value);
+                    } catch (error) {
+                        throw new Error('Translations must be valid JSON');
+                    }
+                }
+
+                if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+                    throw new Error('Translations must map a language to a title and description');
+                }
+
+                Object.entries(translations).forEach(([language, content]) => {
+                    if (!this.commonPatterns.language.test(language)) {
+                        throw new Error(`Unsupported translation language: ${language}`);
+                    }
+
+                    const title = content && content.title ? String(content.title).trim() : '';
+                    const description = content && content.description ? String(content.description).trim() : '';
+
+                    if (!title && !description) {
+                        return;
+                    }
+                    if (!title || !description) {
+                        throw new Error(`The ${language} translation needs both a title and a description`);
+                    }
+                    if (title.length > 200) {
+                        throw new Error(`The ${language} title must not exceed 200 characters`);
+                    }
+                    if (description.length > 10000) {
+                        throw new Error(`The ${language} description must not exceed 10000 characters`);
+                    }
+                    if (securityValidators.containsXSS(title) || securityValidators.containsXSS(description)) {
+                        throw new Error(`The ${language} translation contains potentially dangerous content`);
+                    }
+                });
+
+                return true;
+            },
+
+            // Event end needs an event start and cannot precede it (all-day events compare by date)
+            isAfterEventStart: function (value, { req }) {
+                if (!req.body.eventStart) {
+                    return false;
+                }
+
+                const allDay = req.body.eventAllDay === true || req.body.eventAllDay === 'true';
+                if (allDay) {
+                    return String(value).substring(0, 10) >= String(req.body.eventStart).substring(0, 10);
+                }
+
+                return new Date(value) >= new Date(req.body.eventStart);
             }
         };
 
@@ -138,7 +217,11 @@ class ValidationMiddleware {
                 body('status')
                     .optional()
                     .matches(this.commonPatterns.status)
-                    .withMessage('Status must be draft or published'),
+                    .withMessage('Status must be draft, published, or archived'),
+
+                ...this.scheduleValidation(),
+                ...this.eventValidation(),
+                ...this.translationValidation(),
 
                 this.handleValidationErrors
             ],
@@ -175,7 +258,11 @@ class ValidationMiddleware {
                 body('status')
                     .optional()
                     .matches(this.commonPatterns.status)
-                    .withMessage('Status must be draft or published'),
+                    .withMessage('Status must be draft, published, or archived'),
+
+                ...this.scheduleValidation(),
+                ...this.eventValidation(),
+                ...this.translationValidation(),
 
                 this.handleValidationErrors
             ],
@@ -248,6 +335,37 @@ class ValidationMiddleware {
                 this.handleValidationErrors
             ],
 
+            restore: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            getTrash: [
+                query('page')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Page must be a positive integer')
+                    .toInt(),
+
+                query('limit')
+                    .optional()
+                    .isInt({ min: 1, max: 100 })
+                    .withMessage('Limit must be between 1 and 100')
+                    .toInt(),
+
+                query('search')
+                    .optional()
+                    .customSanitizer(this.customSanitizers.sanitizeHtml)
+                    .custom(this.customValidators.isNotXSS)
+                    .withMessage('Search query contains potentially dangerous content'),
+
+                this.handleValidationErrors
+            ],
+
             getRelated: [
                 param('id')
                     .matches(this.commonPatterns.objectId)
@@ -269,6 +387,257 @@ class ValidationMiddleware {
                     .withMessage('Invalid slug format')
                     .customSanitizer(this.customSanitizers.sanitizeSlug),
 
+                this.handleValidationErrors
+            ],
+
+            getRevisions: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                query('page')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Page must be a positive integer')
+                    .toInt(),
+
+                query('limit')
+                    .optional()
+                    .isInt({ min: 1, max: 100 })
+                    .withMessage('Limit must be between 1 and 100')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            getRevision: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                param('revisionNumber')
+                    .isInt({ min: 1 })
+                    .withMessage('Invalid revision number')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            diffRevisions: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                query('from')
+                    .notEmpty()
+                    .withMessage('Revision to compare from is required')
+                    .isInt({ min: 1 })
+                    .withMessage('Invalid "from" revision number')
+                    .toInt(),
+
+                query('to')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Invalid "to" revision number')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            submitReview: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                body('reviewerId')
+                    .optional({ values: 'null' })
+                    .isInt({ min: 1 })
+                    .withMessage('Invalid reviewer ID')
+                    .toInt(),
+
+                ...this.reviewCommentValidation(false),
+
+                this.handleValidationErrors
+            ],
+
+            approve: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                ...this.reviewCommentValidation(false),
+
+                this.handleValidationErrors
+            ],
+
+            // Sending a notice back must say what to change
+            reviewComment: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                ...this.reviewCommentValidation(true),
+
+                this.handleValidationErrors
+            ],
+
+            assignReviewer: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                body('reviewerId')
+                    .custom(value => value === null || /^[1-9]\d*$/.test(String(value)))
+                    .withMessage('reviewerId must be a user ID, or null to remove the reviewer'),
+
+                this.handleValidationErrors
+            ],
+
+            bulk: [
+                body('action')
+                    .isIn(['publish', 'unpublish', 'delete', 'priority', 'category'])
+                    .withMessage('Action must be publish, unpublish, delete, priority or category'),
+
+                body('noticeIds')
+                    .isArray({ min: 1 })
+                    .withMessage('noticeIds must be a non-empty list'),
+
+                body('noticeIds.*')
+                    .isInt({ min: 1 })
+                    .withMessage('Every notice ID must be a positive integer')
+                    .toInt(),
+
+                body('priority')
+                    .if(body('action').equals('priority'))
+                    .isIn(['low', 'medium', 'high'])
+                    .withMessage('Priority must be low, medium, or high'),
+
+                body('categoryId')
+                    .if(body('action').equals('category'))
+                    .isInt({ min: 1 })
+                    .withMessage('categoryId must be a category ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            pin: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                body('pinned')
+                    .optional()
+                    .isBoolean()
+                    .withMessage('pinned must be true or false')
+                    .toBoolean(),
+
+                body('featured')
+                    .optional()
+                    .isBoolean()
+                    .withMessage('featured must be true or false')
+                    .toBoolean(),
+
+                body('pinnedUntil')
+                    .optional({ nullable: true, checkFalsy: true })
+                    .isISO8601()
+                    .withMessage('pinnedUntil must be a valid date')
+                    .custom(value => new Date(value) > new Date())
+                    .withMessage('pinnedUntil must be in the future'),
+
+                body('pinOrder')
+                    .optional()
+                    .isInt({ min: 0, max: 999 })
+                    .withMessage('pinOrder must be between 0 and 999')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            duplicate: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                body('title')
+                    .optional({ nullable: true, checkFalsy: true })
+                    .trim()
+                    .isLength({ min: 5, max: 200 })
+                    .withMessage('Title must be between 5 and 200 characters')
+                    .customSanitizer(this.customSanitizers.sanitizeHtml)
+                    .custom(this.customValidators.isNotXSS)
+                    .withMessage('Title contains potentially dangerous content'),
+
+                body('copyAttachments')
+                    .optional()
+                    .isBoolean()
+                    .withMessage('copyAttachments must be true or false')
+                    .toBoolean(),
+
+                this.handleValidationErrors
+            ],
+
+            recurrence: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid notice ID')
+                    .toInt(),
+
+                body('frequency')
+                    .isIn(['weekly', 'monthly', 'semester'])
+                    .withMessage('Frequency must be weekly, monthly or semester'),
+
+                body('mode')
+                    .optional()
+                    .isIn(['draft', 'scheduled'])
+                    .withMessage('Mode must be draft or scheduled'),
+
+                body('startsAt')
+                    .isISO8601()
+                    .withMessage('startsAt must be a valid date'),
+
+                body('leadDays')
+                    .optional()
+                    .isInt({ min: 0, max: 90 })
+                    .withMessage('leadDays must be between 0 and 90')
+                    .toInt(),
+
+                body('endsAt')
+                    .optional({ nullable: true, checkFalsy: true })
+                    .isISO8601()
+                    .withMessage('endsAt must be a valid date')
+                    .custom((value, { req }) => new Date(value) > new Date(req.body.startsAt))
+                    .withMessage('endsAt must be after startsAt'),
+
+                body('copyAttachments')
+                    .optional()
+                    .isBoolean()
+                    .withMessage('copyAttachments must be true or false')
+                    .toBoolean(),
+
+                this.handleValidationErrors
+            ],
+
+            setApprover: [
+                param('userId')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid user ID')
+                    .toInt(),
+
+                body('canApprove')
+                    .isBoolean()
+                    .withMessage('canApprove must be true or false')
+                    .toBoolean(),
+
                 this.handleValidationErrors
             ]
         };
@@ -363,31 +732,112 @@ class ValidationMiddleware {
             ]
         };
 
-        // Public routes validation
-        this.publicValidation = {
-            getNotices: [
-                query('page')
-                    .optional()
-                    .isInt({ min: 1 })
-                    .withMessage('Page must be a positive integer')
-                    .toInt(),
-
-                query('limit')
-                    .optional()
-                    .isInt({ min: 1, max: 50 })
-                    .withMessage('Limit must be between 1 and 50')
-                    .toInt(),
-
-                query('priority')
-                    .optional()
-                    .matches(this.commonPatterns.priority)
-                    .withMessage('Priority must be low, medium, or high'),
-
-                query('search')
-                    .optional()
-                    .customSanitizer(this.customSanitizers.sanitizeHtml)
+        // Category management validation rules
+        this.categoryValidation = {
+            create: [
+                body('name')
+                    .trim()
+                    .notEmpty()
+                    .withMessage('Category name is required')
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Category name must be between 2 and 100 characters')
                     .custom(this.customValidators.isNotXSS)
-                    .withMessage('Search query contains potentially dangerous content'),
+                    .withMessage('Category name contains potentially dangerous content'),
+
+                ...this.categoryFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            update: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid category ID')
+                    .toInt(),
+
+                body('name')
+                    .optional()
+                    .trim()
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Category name must be between 2 and 100 characters')
+                    .custom(this.customValidators.isNotXSS)
+                    .withMessage('Category name contains potentially dangerous content'),
+
+                ...this.categoryFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            getAll: [
+                query('type')
+                    .optional()
+                    .matches(this.commonPatterns.categoryType)
+                    .withMessage('Type must be topic or department'),
+
+                query('includeInactive')
+                    .optional()
+                    .isBoolean()
+                    .withMessage('includeInactive must be true or false'),
+
+                this.handleValidationErrors
+            ],
+
+            delete: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid category ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ]
+        };
+
+        // Public routes validation
+        this.publicValidation = {
+            getNotices: [
+                query('page')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Page must be a positive integer')
+                    .toInt(),
+
+                query('limit')
+                    .optional()
+                    .isInt({ min: 1, max: 50 })
+                    .withMessage('Limit must be between 1 and 50')
+                    .toInt(),
+
+                query('priority')
+                    .optional()
+                    .matches(this.commonPatterns.priority)
+                    .withMessage('Priority must be low, medium, or high'),
+
+                query('category')
+                    .optional()
+                    .matches(this.commonPatterns.categoryList)
+                    .withMessage('Category must be a comma-separated list of category slugs'),
+
+                query('department')
+                    .optional()
+                    .matches(this.commonPatterns.categoryList)
+                    .withMessage('Department must be a comma-separated list of category slugs'),
+
+                query('search')
+                    .optional()
+                    .customSanitizer(this.customSanitizers.sanitizeHtml)
+                    .custom(this.customValidators.isNotXSS)
+                    .withMessage('Search query contains potentially dangerous content'),
+
+                ...this.languageQueryValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            getCategories: [
+                query('type')
+                    .optional()
+                    .matches(this.commonPatterns.categoryType)
+                    .withMessage('Type must be topic or department'),
 
                 this.handleValidationErrors
             ],
@@ -398,6 +848,26 @@ class ValidationMiddleware {
                     .withMessage('Invalid slug format')
                     .customSanitizer(this.customSanitizers.sanitizeSlug),
 
+                ...this.languageQueryValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            getFeed: [
+                param('format')
+                    .matches(this.commonPatterns.feedFormat)
+                    .withMessage('Feed format must be rss or atom'),
+
+                param('priority')
+                    .optional()
+                    .matches(this.commonPatterns.priority)
+                    .withMessage('Priority must be low, medium, or high'),
+
+                param('slug')
+                    .optional()
+                    .matches(this.commonPatterns.slug)
+                    .withMessage('Invalid category slug format'),
+
                 this.handleValidationErrors
             ],
 
@@ -424,6 +894,18 @@ class ValidationMiddleware {
                     .withMessage('Limit must be between 1 and 50')
                     .toInt(),
 
+                query('category')
+                    .optional()
+                    .matches(this.commonPatterns.categoryList)
+                    .withMessage('Category must be a comma-separated list of category slugs'),
+
+                query('department')
+                    .optional()
+                    .matches(this.commonPatterns.categoryList)
+                    .withMessage('Department must be a comma-separated list of category slugs'),
+
+                ...this.languageQueryValidation(),
+
                 this.handleValidationErrors
             ],
 
@@ -444,6 +926,8 @@ class ValidationMiddleware {
                     .withMessage('Limit must be between 1 and 50')
                     .toInt(),
 
+                ...this.languageQueryValidation(),
+
                 this.handleValidationErrors
             ],
 
@@ -454,6 +938,8 @@ class ValidationMiddleware {
                     .withMessage('Limit must be between 1 and 20')
                     .toInt(),
 
+                ...this.languageQueryValidation(),
+
                 this.handleValidationErrors
             ],
 
@@ -490,6 +976,192 @@ class ValidationMiddleware {
             ]
         };
 
+        // Public email subscription validation
+        this.subscriptionValidation = {
+            subscribe: [
+                body('email')
+                    .trim()
+                    .isEmail()
+                    .withMessage('A valid email address is required')
+                    .isLength({ max: 255 })
+                    .withMessage('Email must not exceed 255 characters')
+                    .normalizeEmail({ gmail_remove_dots: false }),
+
+                ...this.subscriptionPreferenceValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            confirm: [
+                body('token')
+                    .matches(this.commonPatterns.token)
+                    .withMessage('Invalid confirmation token'),
+
+                this.handleValidationErrors
+            ],
+
+            getPreferences: [
+                query('token')
+                    .matches(this.commonPatterns.token)
+                    .withMessage('Invalid subscription token'),
+
+                this.handleValidationErrors
+            ],
+
+            updatePreferences: [
+                body('token')
+                    .matches(this.commonPatterns.token)
+                    .withMessage('Invalid subscription token'),
+
+                ...this.subscriptionPreferenceValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            // Token may come from the form body or the List-Unsubscribe URL
+            unsubscribe: [
+                body('token')
+                    .optional()
+                    .matches(this.commonPatterns.token)
+                    .withMessage('Invalid subscription token'),
+
+                query('token')
+                    .optional()
+                    .matches(this.commonPatterns.token)
+                    .withMessage('Invalid subscription token'),
+
+                this.handleValidationErrors
+            ]
+        };
+
+        // Webhook management validation (super admin)
+        this.webhookValidation = {
+            create: [
+                body('name')
+                    .trim()
+                    .notEmpty()
+                    .withMessage('Webhook name is required')
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Webhook name must be between 2 and 100 characters')
+                    .custom(this.customValidators.isNotXSS)
+                    .withMessage('Webhook name contains potentially dangerous content'),
+
+                body('url')
+                    .trim()
+                    .notEmpty()
+                    .withMessage('Webhook URL is required'),
+
+                body('events')
+                    .exists()
+                    .withMessage('At least one event is required'),
+
+                ...this.webhookFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            update: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid webhook ID')
+                    .toInt(),
+
+                body('name')
+                    .optional()
+                    .trim()
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Webhook name must be between 2 and 100 characters')
+                    .custom(this.customValidators.isNotXSS)
+                    .withMessage('Webhook name contains potentially dangerous content'),
+
+                ...this.webhookFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            getDeliveries: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid webhook ID')
+                    .toInt(),
+
+                query('page')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Page must be a positive integer')
+                    .toInt(),
+
+                query('limit')
+                    .optional()
+                    .isInt({ min: 1, max: 100 })
+                    .withMessage('Limit must be between 1 and 100')
+                    .toInt(),
+
+                query('status')
+                    .optional()
+                    .matches(this.commonPatterns.deliveryStatus)
+                    .withMessage('Status must be pending, sending, success, or failed'),
+
+                this.handleValidationErrors
+            ],
+
+            delivery: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid webhook ID')
+                    .toInt(),
+
+                param('deliveryId')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid delivery ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ]
+        };
+
+        // Browser Web Push subscription validation
+        this.pushValidation = {
+            subscribe: [
+                ...this.pushEndpointValidation('subscription.endpoint'),
+
+                body('subscription.keys.p256dh')
+                    .isLength({ min: 16, max: 200 })
+                    .withMessage('Invalid push subscription key')
+                    .matches(this.commonPatterns.base64url)
+                    .withMessage('Invalid push subscription key'),
+
+                body('subscription.keys.auth')
+                    .isLength({ min: 8, max: 100 })
+                    .withMessage('Invalid push subscription auth secret')
+                    .matches(this.commonPatterns.base64url)
+                    .withMessage('Invalid push subscription auth secret'),
+
+                body('minPriority')
+                    .optional()
+                    .matches(this.commonPatterns.priority)
+                    .withMessage('Priority must be low, medium, or high'),
+
+                body('categoryIds')
+                    .optional()
+                    .isArray({ max: 50 })
+                    .withMessage('categoryIds must be an array of category IDs'),
+
+                body('categoryIds.*')
+                    .isInt({ min: 1 })
+                    .withMessage('Invalid category ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            endpoint: [
+                ...this.pushEndpointValidation('endpoint'),
+
+                this.handleValidationErrors
+            ]
+        };
+
         // Upload validation rules
         this.uploadValidation = {
             image: [
@@ -548,6 +1220,260 @@ class ValidationMiddleware {
             ]
         };
 
+        // User management validation (super admin)
+        this.userValidation = {
+            getAll: [
+                query('page')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Page must be a positive integer')
+                    .toInt(),
+
+                query('limit')
+                    .optional()
+                    .isInt({ min: 1, max: 100 })
+                    .withMessage('Limit must be between 1 and 100')
+                    .toInt(),
+
+                query('search')
+                    .optional()
+                    .trim()
+                    .isLength({ max: 100 })
+                    .withMessage('Search must not exceed 100 characters')
+                    .custom(this.customValidators.isNotSQLInjection)
+                    .withMessage('Search contains invalid characters'),
+
+                query('role')
+                    .optional()
+                    .matches(this.commonPatterns.role)
+                    .withMessage('Role name is invalid'),
+
+                query('status')
+                    .optional()
+                    .matches(this.commonPatterns.userStatus)
+                    .withMessage('Status must be active or disabled'),
+
+                query('sortBy')
+                    .optional()
+                    .matches(this.commonPatterns.userSort)
+                    .withMessage('Invalid sort field'),
+
+                query('sortOrder')
+                    .optional()
+                    .isIn(['ASC', 'DESC', 'asc', 'desc'])
+                    .withMessage('Sort order must be ASC or DESC'),
+
+                this.handleValidationErrors
+            ],
+
+            create: [
+                body('username')
+                    .trim()
+                    .matches(this.commonPatterns.username)
+                    .withMessage('Username must be 3-30 characters and contain only letters, numbers, underscores and hyphens'),
+
+                body('email')
+                    .trim()
+                    .matches(this.commonPatterns.email)
+                    .withMessage('Email must be valid'),
+
+                body('password')
+                    .isLength({ min: 8, max: 128 })
+                    .withMessage('Password must be 8-128 characters'),
+
+                ...this.userFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            update: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid user ID')
+                    .toInt(),
+
+                body('username')
+                    .optional()
+                    .trim()
+                    .matches(this.commonPatterns.username)
+                    .withMessage('Username must be 3-30 characters and contain only letters, numbers, underscores and hyphens'),
+
+                body('email')
+                    .optional()
+                    .trim()
+                    .matches(this.commonPatterns.email)
+                    .withMessage('Email must be valid'),
+
+                ...this.userFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            status: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid user ID')
+                    .toInt(),
+
+                body('isActive')
+                    .isBoolean()
+                    .withMessage('isActive must be true or false')
+                    .toBoolean(),
+
+                this.handleValidationErrors
+            ],
+
+            remove: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid user ID')
+                    .toInt(),
+
+                query('transferTo')
+                    .optional()
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid transfer user ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ]
+        };
+
+        // Role validation rules
+        this.roleValidation = {
+            create: [
+                body('name')
+                    .trim()
+                    .matches(this.commonPatterns.role)
+                    .withMessage('Role name must be 3-50 lowercase letters, numbers or underscores, starting with a letter'),
+
+                body('displayName')
+                    .trim()
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Display name must be 2-100 characters'),
+
+                ...this.roleFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            update: [
+                param('name')
+                    .matches(this.commonPatterns.role)
+                    .withMessage('Invalid role name'),
+
+                body('displayName')
+                    .optional()
+                    .trim()
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Display name must be 2-100 characters'),
+
+                ...this.roleFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            name: [
+                param('name')
+                    .matches(this.commonPatterns.role)
+                    .withMessage('Invalid role name'),
+
+                this.handleValidationErrors
+            ]
+        };
+
+        // Notice template validation rules
+        this.templateValidation = {
+            getAll: [
+                query('departmentId')
+                    .optional()
+                    .isInt({ min: 1 })
+                    .withMessage('Invalid department ID')
+                    .toInt(),
+
+                query('includeInactive')
+                    .optional()
+                    .isBoolean()
+                    .withMessage('includeInactive must be true or false'),
+
+                this.handleValidationErrors
+            ],
+
+            getById: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid template ID')
+                    .toInt(),
+
+                this.handleValidationErrors
+            ],
+
+            create: [
+                body('name')
+                    .trim()
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Template name must be between 2 and 100 characters'),
+
+                body('body')
+                    .isString()
+                    .trim()
+                    .isLength({ min: 10, max: 10000 })
+                    .withMessage('Template body must be between 10 and 10000 characters'),
+
+                body('fields')
+                    .optional()
+                    .isArray({ max: 20 })
+                    .withMessage('A template can have at most 20 fields'),
+
+                ...this.templateFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            update: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid template ID')
+                    .toInt(),
+
+                body('name')
+                    .optional()
+                    .trim()
+                    .isLength({ min: 2, max: 100 })
+                    .withMessage('Template name must be between 2 and 100 characters'),
+
+                body('body')
+                    .optional()
+                    .isString()
+                    .trim()
+                    .isLength({ min: 10, max: 10000 })
+                    .withMessage('Template body must be between 10 and 10000 characters'),
+
+                body('fields')
+                    .optional()
+                    .isArray({ max: 20 })
+                    .withMessage('A template can have at most 20 fields'),
+
+                ...this.templateFieldValidation(),
+
+                this.handleValidationErrors
+            ],
+
+            apply: [
+                param('id')
+                    .matches(this.commonPatterns.objectId)
+                    .withMessage('Invalid template ID')
+                    .toInt(),
+
+                body('values')
+                    .optional()
+                    .isObject()
+                    .withMessage('values must map field keys to values'),
+
+                this.handleValidationErrors
+            ]
+        };
+
         // Auth validation rules
         this.authValidation = {
             login: [
@@ -589,7 +1515,7 @@ class ValidationMiddleware {
                 body('role')
                     .optional()
                     .matches(this.commonPatterns.role)
-                    .withMessage('Role must be admin or super_admin'),
+                    .withMessage('Role name is invalid'),
 
                 this.handleValidationErrors
             ],
@@ -642,6 +1568,324 @@ class ValidationMiddleware {
         ];
     }
 
+    // Optional category fields shared by category create/update
+    categoryFieldValidation() {
+        return [
+            body('slug')
+                .optional()
+                .trim()
+                .matches(this.commonPatterns.slug)
+                .withMessage('Slug may only contain lowercase letters, numbers and hyphens')
+                .isLength({ max: 120 })
+                .withMessage('Slug must not exceed 120 characters'),
+
+            body('description')
+                .optional({ values: 'null' })
+                .trim()
+                .isLength({ max: 500 })
+                .withMessage('Description must not exceed 500 characters')
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Description contains potentially dangerous content'),
+
+            body('type')
+                .optional()
+                .matches(this.commonPatterns.categoryType)
+                .withMessage('Type must be topic or department'),
+
+            body('sortOrder')
+                .optional()
+                .isInt({ min: 0, max: 10000 })
+                .withMessage('Sort order must be a non-negative integer')
+                .toInt(),
+
+            body('isActive')
+                .optional()
+                .isBoolean()
+                .withMessage('isActive must be true or false')
+                .toBoolean()
+        ];
+    }
+
+    // Optional user fields shared by user create/update
+    userFieldValidation() {
+        return [
+            body('fullName')
+                .optional()
+                .trim()
+                .isLength({ min: 2, max: 100 })
+                .withMessage('Full name must be between 2 and 100 characters')
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Full name contains potentially dangerous content'),
+
+            body('role')
+                .optional()
+                .matches(this.commonPatterns.role)
+                .withMessage('Role name is invalid'),
+
+            body('canApprove')
+                .optional()
+                .isBoolean()
+                .withMessage('canApprove must be true or false')
+                .toBoolean(),
+
+            body('departmentIds')
+                .optional()
+                .isArray({ max: 50 })
+                .withMessage('departmentIds must be a list'),
+
+            body('departmentIds.*')
+                .isInt({ min: 1 })
+                .withMessage('Invalid department ID')
+                .toInt()
+        ];
+    }
+
+    // Optional role fields shared by role create/update
+    roleFieldValidation() {
+        return [
+            body('displayName')
+                .optional()
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Display name contains potentially dangerous content'),
+
+            body('description')
+                .optional({ nullable: true })
+                .trim()
+                .isLength({ max: 255 })
+                .withMessage('Description must not exceed 255 characters')
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Description contains potentially dangerous content'),
+
+            body('permissions')
+                .optional()
+                .isArray({ max: 50 })
+                .withMessage('Permissions must be a list'),
+
+            body('permissions.*')
+                .matches(this.commonPatterns.permission)
+                .withMessage('Invalid permission name')
+        ];
+    }
+
+    // Optional template fields shared by template create/update
+    templateFieldValidation() {
+        return [
+            body(['name', 'body'])
+                .optional()
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Template contains potentially dangerous content'),
+
+            body('description')
+                .optional({ values: 'null' })
+                .trim()
+                .isLength({ max: 255 })
+                .withMessage('Description must not exceed 255 characters')
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Description contains potentially dangerous content'),
+
+            body('departmentId')
+                .optional({ values: 'null' })
+                .isInt({ min: 1 })
+                .withMessage('Invalid department ID')
+                .toInt(),
+
+            body('fields.*.key')
+                .matches(this.commonPatterns.templateFieldKey)
+                .withMessage('Field keys must be lowercase letters, numbers or underscores, starting with a letter'),
+
+            body('fields.*.label')
+                .isString()
+                .trim()
+                .isLength({ min: 1, max: 100 })
+                .withMessage('Field labels must be between 1 and 100 characters')
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Field label contains potentially dangerous content'),
+
+            body('fields.*.type')
+                .optional()
+                .matches(this.commonPatterns.templateFieldType)
+                .withMessage('Field type must be text, date, time, location or course_code'),
+
+            body('fields.*.required')
+                .optional()
+                .isBoolean()
+                .withMessage('required must be true or false')
+                .toBoolean(),
+
+            body('defaultPriority')
+                .optional({ values: 'null' })
+                .matches(this.commonPatterns.priority)
+                .withMessage('Priority must be low, medium, or high'),
+
+            body('defaultCategoryId')
+                .optional({ values: 'null' })
+                .isInt({ min: 1 })
+                .withMessage('Invalid category ID')
+                .toInt(),
+
+            body('isActive')
+                .optional()
+                .isBoolean()
+                .withMessage('isActive must be true or false')
+                .toBoolean()
+        ];
+    }
+
+    // Optional webhook fields shared by webhook create/update
+    webhookFieldValidation() {
+        return [
+            body('url')
+                .optional()
+                .trim()
+                .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+                .withMessage('Webhook URL must be a valid http(s) URL')
+                .isLength({ max: 500 })
+                .withMessage('Webhook URL must not exceed 500 characters'),
+
+            body('events')
+                .optional()
+                .isArray({ min: 1, max: 10 })
+                .withMessage('Events must be a non-empty array'),
+
+            body('events.*')
+                .matches(this.commonPatterns.webhookEvent)
+                .withMessage('Unknown webhook event'),
+
+            body('isActive')
+                .optional()
+                .isBoolean()
+                .withMessage('isActive must be true or false')
+                .toBoolean()
+        ];
+    }
+
+    // Optional preference fields shared by subscribe / update preferences
+    subscriptionPreferenceValidation() {
+        return [
+            body('minPriority')
+                .optional()
+                .matches(this.commonPatterns.priority)
+                .withMessage('Priority must be low, medium, or high'),
+
+            body('frequency')
+                .optional()
+                .matches(this.commonPatterns.frequency)
+                .withMessage('Frequency must be instant, daily, or weekly'),
+
+            body('categoryIds')
+                .optional()
+                .isArray({ max: 50 })
+                .withMessage('categoryIds must be an array of category IDs'),
+
+            body('categoryIds.*')
+                .isInt({ min: 1 })
+                .withMessage('Invalid category ID')
+                .toInt()
+        ];
+    }
+
+    // Push endpoints are HTTPS URLs issued by the browser's push service
+    pushEndpointValidation(field) {
+        return [
+            body(field)
+                .isURL({ protocols: ['https'], require_protocol: true, require_tld: true })
+                .withMessage('Push endpoint must be an HTTPS URL')
+                .isLength({ max: 1000 })
+                .withMessage('Push endpoint must not exceed 1000 characters')
+        ];
+    }
+
+    // Reviewer comment on approval workflow actions
+    reviewCommentValidation(required) {
+        const comment = body('comment');
+
+        return [
+            (required
+                ? comment.trim().notEmpty().withMessage('A comment is required')
+                : comment.optional({ values: 'falsy' }).trim())
+                .isLength({ max: 2000 })
+                .withMessage('Comment must not exceed 2000 characters')
+                .customSanitizer(this.customSanitizers.sanitizeHtml)
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Comment contains potentially dangerous content')
+        ];
+    }
+
+    // Optional scheduling fields shared by notice create/update
+    scheduleValidation() {
+        return [
+            body('publishAt')
+                .optional({ values: 'falsy' })
+                .isISO8601()
+                .withMessage('Publish time must be a valid ISO 8601 date'),
+
+            body('expiresAt')
+                .optional({ values: 'falsy' })
+                .isISO8601()
+                .withMessage('Expiry time must be a valid ISO 8601 date')
+                .bail()
+                .custom(this.customValidators.isAfterPublishTime)
+                .withMessage('Expiry time must be in the future and after the publish time')
+        ];
+    }
+
+    // Original language and per-language content shared by notice create/update
+    translationValidation() {
+        return [
+            body('language')
+                .optional()
+                .matches(this.commonPatterns.language)
+                .withMessage('Language must be en, si or ta'),
+
+            body('translations')
+                .optional()
+                .custom(this.customValidators.isValidTranslations)
+        ];
+    }
+
+    // Optional ?lang= for public notice content
+    languageQueryValidation() {
+        return [
+            query('lang')
+                .optional()
+                .matches(this.commonPatterns.language)
+                .withMessage('Language must be en, si or ta')
+        ];
+    }
+
+    // Optional event details shared by notice create/update
+    eventValidation() {
+        return [
+            body('eventStart')
+                .optional({ values: 'falsy' })
+                .isISO8601()
+                .withMessage('Event start must be a valid ISO 8601 date'),
+
+            body('eventEnd')
+                .optional({ values: 'falsy' })
+                .isISO8601()
+                .withMessage('Event end must be a valid ISO 8601 date')
+                .bail()
+                .custom(this.customValidators.isAfterEventStart)
+                .withMessage('Event end requires an event start and must not be before it'),
+
+            body('eventLocation')
+                .optional({ values: 'falsy' })
+                .trim()
+                .isLength({ max: 255 })
+                .withMessage('Event location must not exceed 255 characters')
+                .customSanitizer(this.customSanitizers.sanitizeHtml)
+                .custom(this.customValidators.isNotXSS)
+                .withMessage('Event location contains potentially dangerous content'),
+
+            body('eventAllDay')
+                .optional()
+                .isBoolean()
+                .withMessage('eventAllDay must be true or false')
+                .toBoolean()
+        ];
+    }
+
     // Handle validation errors
     handleValidationErrors = (req, res, next) => {
         try {
@@ -814,6 +2058,13 @@ module.exports = {
     public: validationMiddleware.publicValidation,
     upload: validationMiddleware.uploadValidation,
     analytics: validationMiddleware.analyticsValidation,
+    category: validationMiddleware.categoryValidation,
+    subscription: validationMiddleware.subscriptionValidation,
+    webhook: validationMiddleware.webhookValidation,
+    user: validationMiddleware.userValidation,
+    role: validationMiddleware.roleValidation,
+    push: validationMiddleware.pushValidation,
+    template: validationMiddleware.templateValidation,
     validateId: validationMiddleware.validateId,
     validateRequestSize: validationMiddleware.validateRequestSize,
     validateJSON: validationMiddleware.validateJSON,
@@ -0,0 +1,426 @@
+// Category model - managed taxonomy (topics and departments) linked to notices
+const secureDatabase = require('../config/database');
+const { logDataModification } = require('../middleware/logging');
+const { generateSlug } = require('../utils/slugGenerator');
+
+const VALID_TYPES = ['topic', 'department'];
+
+class Category {
+  constructor(categoryData = {}) {
+    this.id = categoryData.id || null;
+    this.name = categoryData.name || null;
+    this.slug = categoryData.slug || null;
+    this.description = categoryData.description || null;
+    this.type = categoryData.type || 'topic';
+    this.sortOrder = categoryData.sort_order !== undefined ? categoryData.sort_order : (categoryData.sortOrder || 0);
+    this.isActive = categoryData.is_active !== undefined ? !!categoryData.is_active : (categoryData.isActive !== undefined ? !!categoryData.isActive : true);
+    this.createdBy = categoryData.created_by || categoryData.createdBy || null;
+    this.createdAt = categoryData.created_at || categoryData.createdAt || null;
+    this.updatedAt = categoryData.updated_at || categoryData.updatedAt || null;
+
+    // Joined data
+    this.noticeCount = categoryData.notice_count !== undefined ? parseInt(categoryData.notice_count) : undefined;
+  }
+
+  // Static method to list categories
+  static async findAll(options = {}) {
+    try {
+      const { includeInactive = false, type = null, withCounts = false, publishedCountsOnly = false } = options;
+
+      let query = 'SELECT c.*';
+      const params = [];
+
+      if (withCounts) {
+        query += `, (
+          SELECT COUNT(*) FROM notice_categories nc
+          JOIN notices n ON n.id = nc.notice_id
+          WHERE nc.category_id = c.id AND n.deleted_at IS NULL
+          ${publishedCountsOnly ? "AND n.status = 'published' AND (n.expires_at IS NULL OR n.expires_at > NOW())" : ''}
+        ) as notice_count`;
+      }
+
+      query += ' FROM categories c WHERE 1=1';
+
+      if (!includeInactive) {
+        query += ' AND c.is_active = TRUE';
+      }
+
+      if (type && VALID_TYPES.includes(type)) {
+        query += ' AND c.type = ?';
+        params.push(type);
+      }
+
+      query += ' ORDER BY c.type ASC, c.sort_order ASC, c.name ASC';
+
+      const result = await secureDatabase.executeQuery(query, params);
+      return result.rows.map(row => new Category(row));
+    } catch (error) {
+      console.error('💥 Error listing categories:', error.message);
+      throw new Error('Failed to list categories');
+    }
+  }
+
+  // Static method to find category by ID
+  static async findById(id) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM categories WHERE id = ? LIMIT 1',
+        [parseInt(id)]
+      );
+
+      return result.rows && result.rows.length > 0 ? new Category(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding category by ID:', error.message);
+      throw new Error('Failed to find category');
+    }
+  }
+
+  // Static method to find active category by slug
+  static async findBySlug(slug) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM categories WHERE slug = ? AND is_active = TRUE LIMIT 1',
+        [String(slug).trim().toLowerCase()]
+      );
+
+      return result.rows && result.rows.length > 0 ? new Category(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding category by slug:', error.message);
+      throw new Error('Failed to find category');
+    }
+  }
+
+  // Static method to find category by name (case-insensitive via collation)
+  static async findByName(name, excludeId = null) {
+    try {
+      const query = excludeId
+        ? 'SELECT * FROM categories WHERE name = ? AND id != ? LIMIT 1'
+        : 'SELECT * FROM categories WHERE name = ? LIMIT 1';
+      const params = excludeId ? [String(name).trim(), parseInt(excludeId)] : [String(name).trim()];
+
+      const result = await secureDatabase.executeQuery(query, params);
+      return result.rows && result.rows.length > 0 ? new Category(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding category by name:', error.message);
+      throw new Error('Failed to find category');
+    }
+  }
+
+  // Static method to create a category
+  static async create(categoryData, createdBy) {
+    try {
+      if (!categoryData.name || !String(categoryData.name).trim()) {
+        throw new Error('Category name is required');
+      }
+
+      const name = String(categoryData.name).trim();
+      const slug = await Category.generateUniqueSlug(categoryData.slug || name);
+      const type = VALID_TYPES.includes(categoryData.type) ? categoryData.type : 'topic';
+
+      const result = await secureDatabase.executeQuery(
+        `INSERT INTO categories (name, slug, description, type, sort_order, is_active, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          slug,
+          categoryData.description ? String(categoryData.description).trim() : null,
+          type,
+          parseInt(categoryData.sortOrder) || 0,
+          categoryData.isActive === undefined ? true : !!categoryData.isActive,
+          createdBy && createdBy.id ? createdBy.id : null
+        ]
+      );
+
+      logDataModification(
+        { user: createdBy },
+        'CREATE',
+        'categories',
+        {
+          id: result.insertId,
+          success: true,
+          after: { name, slug, type }
+        }
+      );
+
+      return await Category.findById(result.insertId);
+    } catch (error) {
+      console.error('💥 Error creating category:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to update a category
+  async update(updateData, updatedBy) {
+    try {
+      const updateFields = [];
+      const updateValues = [];
+
+      if (updateData.name !== undefined) {
+        updateFields.push('name = ?');
+        updateValues.push(String(updateData.name).trim());
+      }
+
+      if (updateData.slug !== undefined && updateData.slug !== this.slug) {
+        updateFields.push('slug = ?');
+        updateValues.push(await Category.generateUniqueSlug(updateData.slug, this.id));
+      }
+
+      if (updateData.description !== undefined) {
+        updateFields.push('description = ?');
+        updateValues.push(updateData.description ? String(updateData.description).trim() : null);
+      }
+
+      if (updateData.type !== undefined && VALID_TYPES.includes(updateData.type)) {
+        updateFields.push('type = ?');
+        updateValues.push(updateData.type);
+      }
+
+      if (updateData.sortOrder !== undefined) {
+        updateFields.push('sort_order = ?');
+        updateValues.push(parseInt(updateData.sortOrder) || 0);
+      }
+
+      if (updateData.isActive !== undefined) {
+        updateFields.push('is_active = ?');
+        updateValues.push(!!updateData.isActive);
+      }
+
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updateValues.push(this.id);
+      await secureDatabase.executeQuery(
+        `UPDATE categories SET ${updateFields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+        updateValues
+      );
+
+      logDataModification(
+        { user: updatedBy },
+        'UPDATE',
+        'categories',
+        {
+          id: this.id,
+          success: true,
+          before: { name: this.name, slug: this.slug, isActive: this.isActive },
+          after: updateData
+        }
+      );
+
+      Object.assign(this, await Category.findById(this.id));
+      return this;
+    } catch (error) {
+      console.error('💥 Error updating category:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to delete a category (notice links are removed by cascade)
+  async delete(deletedBy) {
+    try {
+      const result = await secureDatabase.executeQuery('DELETE FROM categories WHERE id = ?', [this.id]);
+
+      if (result.affectedRows === 0) {
+        throw new Error('Category not found or already deleted');
+      }
+
+      logDataModification(
+        { user: deletedBy },
+        'DELETE',
+        'categories',
+        {
+          id: this.id,
+          success: true,
+          before: { name: this.name, slug: this.slug }
+        }
+      );
+
+      return true;
+    } catch (error) {
+      console.error('💥 Error deleting category:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to generate a unique category slug
+  static async generateUniqueSlug(text, excludeId = null) {
+    const slugResult = generateSlug(String(text), { maxLength: 100, minLength: 2, removeStopWords: false });
+    const baseSlug = slugResult && slugResult.success && slugResult.slug ? slugResult.slug : `category-${Date.now()}`;
+
+    let slug = baseSlug;
+    let counter = 1;
+
+    while (counter < 100) {
+      const query = excludeId
+        ? 'SELECT id FROM categories WHERE slug = ? AND id != ? LIMIT 1'
+        : 'SELECT id FROM categories WHERE slug = ? LIMIT 1';
+      const params = excludeId ? [slug, parseInt(excludeId)] : [slug];
+
+      const result = await secureDatabase.executeQuery(query, params);
+      if (result.rows.length === 0) {
+        return slug;
+      }
+
+      slug = `${baseSlug}-${counter++}`;
+    }
+
+    return `${baseSlug}-${Date.now()}`;
+  }
+
+  // Replace the set of categories linked to a notice
+  static async setNoticeCategories(noticeId, categoryIds = []) {
+    try {
+      const ids = [...new Set((categoryIds || []).map(id => parseInt(id)).filter(id => id > 0))];
+
+      await secureDatabase.executeQuery('DELETE FROM notice_categories WHERE notice_id = ?', [parseInt(noticeId)]);
+
+      if (ids.length === 0) {
+        return [];
+      }
+
+      // Only link categories that actually exist
+      const placeholders = ids.map(() => '?').join(', ');
+      const existing = await secureDatabase.executeQuery(
+        `SELECT id FROM categories WHERE id IN (${placeholders})`,
+        ids
+      );
+      const validIds = existing.rows.map(row => row.id);
+
+      for (const categoryId of validIds) {
+        await secureDatabase.executeQuery(
+          'INSERT INTO notice_categories (notice_id, category_id) VALUES (?, ?)',
+          [parseInt(noticeId), categoryId]
+        );
+      }
+
+      return validIds;
+    } catch (error) {
+      console.error('💥 Error setting notice categories:', error.message);
+      throw new Error('Failed to update notice categories');
+    }
+  }
+
+  // Load categories for a batch of notices and set notice.categories on each
+  static async attachToNotices(notices) {
+    const list = (Array.isArray(notices) ? notices : [notices]).filter(notice => notice && notice.id);
+    if (list.length === 0) {
+      return notices;
+    }
+
+    try {
+      const ids = list.map(notice => parseInt(notice.id));
+      const placeholders = ids.map(() => '?').join(', ');
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT nc.notice_id, c.id, c.name, c.slug, c.type
+         FROM notice_categories nc
+         JOIN categories c ON c.id = nc.category_id
+         WHERE nc.notice_id IN (${placeholders})
+         ORDER BY c.sort_order ASC, c.name ASC`,
+        ids
+      );
+
+      const byNotice = new Map();
+      result.rows.forEach(row => {
+        if (!byNotice.has(row.notice_id)) {
+          byNotice.set(row.notice_id, []);
+        }
+        byNotice.get(row.notice_id).push({ id: row.id, name: row.name, slug: row.slug, type: row.type });
+      });
+
+      list.forEach(notice => {
+        notice.categories = byNotice.get(parseInt(notice.id)) || [];
+      });
+    } catch (error) {
+      // Category lookups are decorative; never fail the notice request over them
+      console.warn('Could not load notice categories:', error.message);
+    }
+
+    return notices;
+  }
+
+  // Keep the IDs that belong to department categories
+  static async filterDepartmentIds(categoryIds = []) {
+    try {
+      const ids = [...new Set((categoryIds || []).map(id => parseInt(id)).filter(id => id > 0))];
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT id FROM categories WHERE type = 'department' AND id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      console.error('💥 Error filtering department IDs:', error.message);
+      throw new Error('Failed to check departments');
+    }
+  }
+
+  // Static method to list the departments a user belongs to
+  static async findUserDepartments(userId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT c.*
+         FROM user_departments ud
+         JOIN categories c ON c.id = ud.category_id
+         WHERE ud.user_id = ? AND c.type = 'department'
+         ORDER BY c.sort_order ASC, c.name ASC`,
+        [parseInt(userId)]
+      );
+
+      return result.rows.map(row => new Category(row));
+    } catch (error) {
+      console.error('💥 Error finding user departments:', error.message);
+      throw new Error('Failed to find user departments');
+    }
+  }
+
+  // Replace the departments a user belongs to; IDs of other categories are ignored
+  static async setUserDepartments(userId, departmentIds = []) {
+    try {
+      const validIds = await Category.filterDepartmentIds(departmentIds);
+
+      await secureDatabase.executeQuery('DELETE FROM user_departments WHERE user_id = ?', [parseInt(userId)]);
+
+      if (validIds.length > 0) {
+        await secureDatabase.executeQuery(
+          `INSERT INTO user_departments (user_id, category_id) VALUES ${validIds.map(() => '(?, ?)').join(', ')}`,
+          validIds.flatMap(categoryId => [parseInt(userId), categoryId])
+        );
+      }
+
+      return validIds;
+    } catch (error) {
+      console.error('💥 Error setting user departments:', error.message);
+      throw new Error('Failed to update user departments');
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    const json = {
+      id: this.id,
+      name: this.name,
+      slug: this.slug,
+      description: this.description,
+      type: this.type,
+      sortOrder: this.sortOrder,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+
+    if (this.noticeCount !== undefined) {
+      json.noticeCount = this.noticeCount;
+    }
+
+    return json;
+  }
+}
+
+Category.VALID_TYPES = VALID_TYPES;
+
+module.exports = Category;
@@ -0,0 +1,151 @@
+// EmailQueue model - outgoing emails waiting for (or finished with) delivery
+const secureDatabase = require('../config/database');
+
+const VALID_TYPES = ['confirmation', 'instant', 'digest'];
+
+class EmailQueue {
+  constructor(messageData = {}) {
+    this.id = messageData.id || null;
+    this.type = messageData.type || null;
+    this.subscriberId = messageData.subscriber_id || messageData.subscriberId || null;
+    this.recipient = messageData.recipient || null;
+    this.payload = this.parsePayload(messageData.payload);
+    this.noticeId = messageData.notice_id || messageData.noticeId || null;
+    this.status = messageData.status || 'pending';
+    this.attempts = parseInt(messageData.attempts) || 0;
+    this.lastError = messageData.last_error || messageData.lastError || null;
+    this.sendAfter = messageData.send_after || messageData.sendAfter || null;
+    this.sentAt = messageData.sent_at || messageData.sentAt || null;
+    this.createdAt = messageData.created_at || messageData.createdAt || null;
+  }
+
+  // Parse payload JSON safely
+  parsePayload(payload) {
+    if (payload && typeof payload === 'object') {
+      return payload;
+    }
+
+    try {
+      return payload ? JSON.parse(payload) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Queue an email; the rendered message is stored as JSON
+   * @param {Object} message - { type, subscriberId, recipient, noticeId, subject, html, text, headers }
+   * @returns {number} - Queue entry ID
+   */
+  static async enqueue(message) {
+    if (!VALID_TYPES.includes(message.type)) {
+      throw new Error('Invalid email type');
+    }
+
+    const payload = {
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers || {}
+    };
+
+    // Payload goes at index 3, where free-form JSON is accepted by the query guard
+    const result = await secureDatabase.executeQuery(
+      `INSERT INTO email_queue (type, subscriber_id, recipient, payload, notice_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        message.type,
+        message.subscriberId || null,
+        message.recipient,
+        JSON.stringify(payload),
+        message.noticeId || null
+      ]
+    );
+
+    return result.insertId;
+  }
+
+  // Static method to claim a batch of due messages for sending
+  static async claimDue(limit = 20) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT * FROM email_queue
+       WHERE status = 'pending' AND send_after <= NOW()
+       ORDER BY send_after ASC, id ASC
+       LIMIT ?`,
+      [Math.min(200, Math.max(1, parseInt(limit) || 20))]
+    );
+
+    const claimed = [];
+    for (const row of result.rows) {
+      // Only the worker that flips pending -> sending owns the message
+      const update = await secureDatabase.executeQuery(
+        "UPDATE email_queue SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'pending'",
+        [row.id]
+      );
+
+      if (update.affectedRows === 1) {
+        claimed.push(new EmailQueue({ ...row, attempts: row.attempts + 1 }));
+      }
+    }
+
+    return claimed;
+  }
+
+  // Instance method to mark a message delivered
+  async markSent() {
+    await secureDatabase.executeQuery(
+      "UPDATE email_queue SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = ?",
+      [this.id]
+    );
+    this.status = 'sent';
+  }
+
+  // Instance method to record a failed attempt; retried with backoff until maxAttempts
+  async markFailed(errorMessage, maxAttempts = 5) {
+    const giveUp = this.attempts >= maxAttempts;
+    const retryDelayMinutes = Math.min(24 * 60, Math.pow(2, this.attempts) * 5);
+
+    // last_error at index 3 so transport error text is stored as-is
+    await secureDatabase.executeQuery(
+      `UPDATE email_queue
+       SET status = ?, send_after = DATE_ADD(NOW(), INTERVAL ? MINUTE), attempts = ?, last_error = ?
+       WHERE id = ?`,
+      [
+        giveUp ? 'failed' : 'pending',
+        retryDelayMinutes,
+        this.attempts,
+        String(errorMessage || 'Unknown error').substring(0, 500),
+        this.id
+      ]
+    );
+
+    this.status = giveUp ? 'failed' : 'pending';
+  }
+
+  // Messages left in 'sending' by a crash are handed back to the queue
+  static async releaseStale(minutes = 15) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE email_queue SET status = 'pending'
+       WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [parseInt(minutes) || 15]
+    );
+    return result.affectedRows || 0;
+  }
+
+  // Static method to get queue counts by status
+  static async getStats() {
+    const result = await secureDatabase.executeQuery(
+      'SELECT status, COUNT(*) as count FROM email_queue GROUP BY status',
+      []
+    );
+
+    return result.rows.reduce((stats, row) => {
+      stats[row.status] = parseInt(row.count);
+      return stats;
+    }, { pending: 0, sending: 0, sent: 0, failed: 0 });
+  }
+}
+
+EmailQueue.VALID_TYPES = VALID_TYPES;
+
+module.exports = EmailQueue;
@@ -0,0 +1,151 @@
+// Login Attempt model - log of every login attempt, used for lockouts and security analytics
+const secureDatabase = require('../config/database');
+
+// Reasons recorded for refused attempts
+const BLOCKED_REASONS = ['account_locked', 'ip_locked'];
+
+class LoginAttempt {
+  constructor(attemptData = {}) {
+    this.id = attemptData.id || null;
+    this.username = attemptData.username || null;
+    this.ipAddress = attemptData.ip_address || attemptData.ipAddress || null;
+    this.userAgent = attemptData.user_agent || attemptData.userAgent || null;
+    this.success = !!attemptData.success;
+    this.reason = attemptData.reason || null;
+    this.triggeredLockout = LoginAttempt.parseScopes(attemptData.triggered_lockout || attemptData.triggeredLockout);
+    this.createdAt = attemptData.created_at || attemptData.createdAt || null;
+  }
+
+  // SET columns come back as 'username,ip'
+  static parseScopes(value) {
+    if (Array.isArray(value)) return value;
+    return typeof value === 'string' && value.length > 0 ? value.split(',') : [];
+  }
+
+  /**
+   * Record a login attempt. Never throws: a failed write must not block logins.
+   * @param {Object} data - { username, ipAddress, userAgent, success, reason, triggeredLockout }
+   * @returns {boolean} - Whether the attempt was stored
+   */
+  static async record(data = {}) {
+    try {
+      // User agent at index 3: free text is only allowed there by the query guard
+      await secureDatabase.executeQuery(
+        `INSERT INTO login_attempts (username, ip_address, success, user_agent, reason, triggered_lockout)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          data.username ? String(data.username).toLowerCase().substring(0, 255) : null,
+          data.ipAddress || null,
+          !!data.success,
+          data.userAgent ? String(data.userAgent).substring(0, 500) : null,
+          data.reason || null,
+          data.triggeredLockout && data.triggeredLockout.length > 0 ? data.triggeredLockout.join(',') : null
+        ]
+      );
+
+      return true;
+    } catch (error) {
+      console.error('💥 Error recording login attempt:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Totals for a date range
+   * @param {string} start - Range start
+   * @param {string} end - Range end
+   * @returns {Object} - { total, failed, blocked, lockouts, failingIps }
+   */
+  static async getSummary(start, end) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT
+         COUNT(*) AS total,
+         COALESCE(SUM(success = FALSE AND (reason IS NULL OR reason NOT IN (?, ?))), 0) AS failed,
+         COALESCE(SUM(reason IN (?, ?)), 0) AS blocked,
+         COALESCE(SUM(triggered_lockout IS NOT NULL AND triggered_lockout <> ''), 0) AS lockouts,
+         COUNT(DISTINCT CASE WHEN success = FALSE THEN ip_address END) AS failing_ips
+       FROM login_attempts
+       WHERE created_at >= ? AND created_at <= ?`,
+      [...BLOCKED_REASONS, ...BLOCKED_REASONS, start, end]
+    );
+
+    const row = result.rows[0] || {};
+    return {
+      total: parseInt(row.total) || 0,
+      failed: parseInt(row.failed) || 0,
+      blocked: parseInt(row.blocked) || 0,
+      lockouts: parseInt(row.lockouts) || 0,
+      failingIps: parseInt(row.failing_ips) || 0
+    };
+  }
+
+  // Failed, blocked and lockout-triggering attempts per day
+  static async getDailyTrend(start, end) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT
+         DATE(created_at) AS date,
+         COALESCE(SUM(success = FALSE AND (reason IS NULL OR reason NOT IN (?, ?))), 0) AS failed,
+         COALESCE(SUM(reason IN (?, ?)), 0) AS blocked,
+         COALESCE(SUM(triggered_lockout IS NOT NULL AND triggered_lockout <> ''), 0) AS lockouts
+       FROM login_attempts
+       WHERE created_at >= ? AND created_at <= ? AND success = FALSE
+       GROUP BY DATE(created_at)
+       ORDER BY date ASC`,
+      [...BLOCKED_REASONS, ...BLOCKED_REASONS, start, end]
+    );
+
+    return result.rows.map(row => ({
+      date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : String(row.date),
+      failed: parseInt(row.failed) || 0,
+      blocked: parseInt(row.blocked) || 0,
+      lockouts: parseInt(row.lockouts) || 0
+    }));
+  }
+
+  /**
+   * Sources or targets with the most failed attempts in a date range
+   * @param {string} column - 'ip_address' or 'username'
+   * @param {string} start - Range start
+   * @param {string} end - Range end
+   * @param {number} limit - Maximum rows
+   * @returns {Array} - [{ value, attempts, lastSeen }]
+   */
+  static async getTopFailures(column, start, end, limit = 10) {
+    if (!['ip_address', 'username'].includes(column)) {
+      throw new Error('Invalid login attempt column');
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `SELECT ${column} AS value, COUNT(*) AS attempts, MAX(created_at) AS last_seen
+       FROM login_attempts
+       WHERE success = FALSE AND ${column} IS NOT NULL AND created_at >= ? AND created_at <= ?
+       GROUP BY ${column}
+       ORDER BY attempts DESC, last_seen DESC
+       LIMIT ?`,
+      [start, end, Math.min(100, Math.max(1, parseInt(limit) || 10))]
+    );
+
+    return result.rows.map(row => ({
+      value: row.value,
+      attempts: parseInt(row.attempts) || 0,
+      lastSeen: row.last_seen
+    }));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      success: this.success,
+      reason: this.reason,
+      triggeredLockout: this.triggeredLockout,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+LoginAttempt.BLOCKED_REASONS = BLOCKED_REASONS;
+
+module.exports = LoginAttempt;
@@ -0,0 +1,216 @@
+// Login Lockout model - failed-login counters and lockouts per username and per IP address
+const secureDatabase = require('../config/database');
+
+const VALID_SCOPES = ['username', 'ip'];
+
+// Lock state is computed by the database so it never depends on the app server's clock or timezone
+const SELECT_COLUMNS = `
+  l.*,
+  (l.locked_until IS NOT NULL AND l.locked_until > NOW()) AS is_locked,
+  GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), l.locked_until), 0), 0) AS seconds_remaining,
+  u.username AS unlocked_by_username
+`;
+
+class LoginLockout {
+  constructor(lockoutData = {}) {
+    this.id = lockoutData.id || null;
+    this.scope = lockoutData.scope || null;
+    this.identifier = lockoutData.identifier || null;
+    this.failedCount = parseInt(lockoutData.failed_count ?? lockoutData.failedCount) || 0;
+    this.windowStartedAt = lockoutData.window_started_at || lockoutData.windowStartedAt || null;
+    this.lastFailedAt = lockoutData.last_failed_at || lockoutData.lastFailedAt || null;
+    this.lockoutCount = parseInt(lockoutData.lockout_count ?? lockoutData.lockoutCount) || 0;
+    this.lockedAt = lockoutData.locked_at || lockoutData.lockedAt || null;
+    this.lockedUntil = lockoutData.locked_until || lockoutData.lockedUntil || null;
+    this.locked = !!(lockoutData.is_locked ?? lockoutData.locked);
+    this.secondsRemaining = parseInt(lockoutData.seconds_remaining ?? lockoutData.secondsRemaining) || 0;
+    this.unlockedBy = lockoutData.unlocked_by || lockoutData.unlockedBy || null;
+    this.unlockedByUsername = lockoutData.unlocked_by_username || null;
+    this.unlockedAt = lockoutData.unlocked_at || lockoutData.unlockedAt || null;
+    this.createdAt = lockoutData.created_at || lockoutData.createdAt || null;
+    this.updatedAt = lockoutData.updated_at || lockoutData.updatedAt || null;
+  }
+
+  static isValidScope(scope) {
+    return VALID_SCOPES.includes(scope);
+  }
+
+  // Usernames are matched case-insensitively
+  static normalizeIdentifier(scope, identifier) {
+    const value = String(identifier || '').trim().substring(0, 255);
+    return scope === 'username' ? value.toLowerCase() : value;
+  }
+
+  // Static method to find a lockout entry by ID
+  static async findById(id) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT ${SELECT_COLUMNS}
+         FROM login_lockouts l
+         LEFT JOIN users u ON l.unlocked_by = u.id
+         WHERE l.id = ?
+         LIMIT 1`,
+        [parseInt(id)]
+      );
+
+      return result.rows.length > 0 ? new LoginLockout(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding login lockout:', error.message);
+      throw new Error('Failed to find login lockout');
+    }
+  }
+
+  // Static method to find the counters of a username or IP address
+  static async find(scope, identifier) {
+    if (!LoginLockout.isValidScope(scope) || !identifier) {
+      return null;
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `SELECT ${SELECT_COLUMNS}
+       FROM login_lockouts l
+       LEFT JOIN users u ON l.unlocked_by = u.id
+       WHERE l.scope = ? AND l.identifier = ?
+       LIMIT 1`,
+      [scope, LoginLockout.normalizeIdentifier(scope, identifier)]
+    );
+
+    return result.rows.length > 0 ? new LoginLockout(result.rows[0]) : null;
+  }
+
+  /**
+   * Count a failed login. Failures older than the window start a new count, and
+   * past lockouts are forgotten after a quiet period.
+   * @param {string} scope - 'username' or 'ip'
+   * @param {string} identifier - Username or IP address
+   * @param {Object} settings - { windowMs, resetAfterMs }
+   * @returns {LoginLockout} - Counters after the failure
+   */
+  static async registerFailure(scope, identifier, settings) {
+    if (!LoginLockout.isValidScope(scope)) {
+      throw new Error('Invalid lockout scope');
+    }
+
+    // Assignments run in order, so later ones see the updated failed_count
+    await secureDatabase.executeQuery(
+      `INSERT INTO login_lockouts (scope, identifier, failed_count, window_started_at, last_failed_at)
+       VALUES (?, ?, 1, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         lockout_count = IF(last_failed_at IS NULL OR last_failed_at < NOW() - INTERVAL ? SECOND, 0, lockout_count),
+         failed_count = IF(window_started_at IS NULL OR window_started_at < NOW() - INTERVAL ? SECOND, 1, failed_count + 1),
+         window_started_at = IF(failed_count = 1, NOW(), window_started_at),
+         last_failed_at = NOW()`,
+      [
+        scope,
+        LoginLockout.normalizeIdentifier(scope, identifier),
+        Math.ceil(settings.resetAfterMs / 1000),
+        Math.ceil(settings.windowMs / 1000)
+      ]
+    );
+
+    return await LoginLockout.find(scope, identifier);
+  }
+
+  /**
+   * Lock once the failure count reaches the threshold. Only one of several concurrent
+   * failures wins the update, so each lockout is counted once.
+   * @param {number} threshold - Failures that trigger the lockout
+   * @param {number} durationMs - Lockout duration
+   * @returns {boolean} - Whether this call started the lockout
+   */
+  async lock(threshold, durationMs) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE login_lockouts
+       SET lockout_count = lockout_count + 1,
+           locked_at = NOW(),
+           locked_until = NOW() + INTERVAL ? SECOND,
+           failed_count = 0,
+           window_started_at = NULL
+       WHERE id = ? AND failed_count >= ?`,
+      [Math.ceil(durationMs / 1000), this.id, threshold]
+    );
+
+    if (result.affectedRows > 0) {
+      Object.assign(this, await LoginLockout.findById(this.id));
+      return true;
+    }
+
+    return false;
+  }
+
+  // Forget failures after a successful login; an active lockout is left in place
+  static async clear(scope, identifier) {
+    if (!LoginLockout.isValidScope(scope) || !identifier) {
+      return false;
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `UPDATE login_lockouts
+       SET failed_count = 0, window_started_at = NULL, lockout_count = 0
+       WHERE scope = ? AND identifier = ? AND (locked_until IS NULL OR locked_until <= NOW())`,
+      [scope, LoginLockout.normalizeIdentifier(scope, identifier)]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  // Static method to list lockouts that are still in force
+  static async getActive() {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT ${SELECT_COLUMNS}
+         FROM login_lockouts l
+         LEFT JOIN users u ON l.unlocked_by = u.id
+         WHERE l.locked_until > NOW()
+         ORDER BY l.locked_until DESC`,
+        []
+      );
+
+      return result.rows.map(row => new LoginLockout(row));
+    } catch (error) {
+      console.error('💥 Error listing login lockouts:', error.message);
+      throw new Error('Failed to list login lockouts');
+    }
+  }
+
+  // Lift a lockout and reset its counters (super admin action)
+  async unlock(user) {
+    try {
+      await secureDatabase.executeQuery(
+        `UPDATE login_lockouts
+         SET locked_until = NULL, failed_count = 0, window_started_at = NULL, lockout_count = 0,
+             unlocked_by = ?, unlocked_at = NOW()
+         WHERE id = ?`,
+        [user && user.id ? parseInt(user.id) : null, this.id]
+      );
+
+      Object.assign(this, await LoginLockout.findById(this.id));
+      return this;
+    } catch (error) {
+      console.error('💥 Error unlocking login lockout:', error.message);
+      throw new Error('Failed to unlock');
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      scope: this.scope,
+      identifier: this.identifier,
+      locked: this.locked,
+      lockedAt: this.lockedAt,
+      lockedUntil: this.lockedUntil,
+      secondsRemaining: this.locked ? this.secondsRemaining : 0,
+      lockoutCount: this.lockoutCount,
+      failedCount: this.failedCount,
+      lastFailedAt: this.lastFailedAt,
+      unlockedBy: this.unlockedBy,
+      unlockedByUsername: this.unlockedByUsername,
+      unlockedAt: this.unlockedAt
+    };
+  }
+}
+
+LoginLockout.VALID_SCOPES = VALID_SCOPES;
+
+module.exports = LoginLockout;
@@ -1,29 +1,173 @@
 // Secure Notice model with file handling and SEO features
 const secureDatabase = require('../config/database');
 const { logDataModification, logSecurityEvent } = require('../middleware/logging');
+const NoticeRevision = require('./NoticeRevision');
+const Category = require('./Category');
+const NoticeTranslation = require('./NoticeTranslation');
+const { transliterateSyllabic } = require('../utils/slugGenerator');
+const noticeEvents = require('../services/noticeEvents');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Statuses a notice can hold; the review statuses are only used when the approval workflow is on
+const VALID_STATUSES = ['draft', 'pending_review', 'changes_requested', 'approved', 'published', 'archived'];
+
+// Moving to any of these withdraws an earlier sign-off
+const UNAPPROVED_STATUSES = ['draft', 'pending_review', 'changes_requested'];
+
+// LIKE match against any translation of the notice (two parameters)
+const TRANSLATION_LIKE_CLAUSE = 'EXISTS (SELECT 1 FROM notice_translations nt WHERE nt.notice_id = n.id AND (nt.title LIKE ? OR nt.description LIKE ?))';
+
+// Published notices past their expiry stay hidden until the scheduler archives them
+const NOT_EXPIRED_CLAUSE = '(n.expires_at IS NULL OR n.expires_at > NOW())';
+
+// Pins and features lapse at pinned_until without anyone having to clear the flags
+const PIN_ACTIVE_CLAUSE = '(n.pinned_until IS NULL OR n.pinned_until > NOW())';
+const PINNED_CLAUSE = `(n.is_pinned = TRUE AND ${PIN_ACTIVE_CLAUSE})`;
+const FEATURED_CLAUSE = `(n.is_featured = TRUE AND ${PIN_ACTIVE_CLAUSE})`;
+
+// Images and attachments must be files directly inside uploads/images or uploads/files
+const UPLOAD_URL_PATTERN = /^\/uploads\/(images|files)\/[^/\\]+$/;
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Deleted notices wait in the trash until purged; only the trash view lists them
+const NOT_DELETED_CLAUSE = 'n.deleted_at IS NULL';
+
+// The default full-text parser does not split Sinhala and Tamil into words reliably; those queries use LIKE
+const SYLLABIC_SCRIPT_PATTERN = /[\u0D80-\u0DFF\u0B80-\u0BFF]/;
+
+// Event times are stored in UTC; all-day events are pinned to midnight of their calendar date
+function toEventTime(value, allDay = false) {
+  if (!value) {
+    return null;
+  }
+
+  if (allDay) {
+    const dateOnly = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    const date = dateOnly ? new Date(`${dateOnly[1]}T00:00:00Z`) : new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toBoolean(value) {
+  return value === true || value === 1 || value === 'true' || value === '1';
+}
+
+// Restrict to notices linked to any of the given category slugs
+function buildCategoryFilter(categories) {
+  const slugs = (Array.isArray(categories) ? categories : String(categories || '').split(','))
+    .map(slug => String(slug).trim().toLowerCase())
+    .filter(slug => /^[a-z0-9-]+$/.test(slug));
+
+  if (slugs.length === 0) {
+    return null;
+  }
+
+  return {
+    clause: `EXISTS (
+      SELECT 1 FROM notice_categories nc
+      JOIN categories c ON c.id = nc.category_id
+      WHERE nc.notice_id = n.id AND c.slug IN (${slugs.map(() => '?').join(', ')})
+    )`,
+    params: slugs
+  };
+}
+
+/**
+ * Limit unpublished notices to those the user owns, reviews or shares a department with
+ * @param {number} userId - User ID
+ * @param {Array<number>} departmentIds - Department category IDs whose drafts the user manages
+ * @returns {Object} - { clause, params }
+ */
+function buildDraftVisibility(userId, departmentIds = []) {
+  const ids = (departmentIds || []).map(id => parseInt(id)).filter(id => id > 0);
+  const departmentClause = ids.length > 0
+    ? ` OR EXISTS (SELECT 1 FROM notice_categories dnc WHERE dnc.notice_id = n.id AND dnc.category_id IN (${ids.map(() => '?').join(', ')}))`
+    : '';
+
+  return {
+    clause: `(n.status = 'published' OR n.created_by = ? OR n.reviewer_id = ?${departmentClause})`,
+    params: [userId, userId, ...ids]
+  };
+}
+
+/**
+ * Match a search query against a notice in every language it is available in
+ * @param {string} searchQuery - Trimmed search text
+ * @param {string|null} language - Preferred language; notices matching in it sort first
+ * @returns {Object} - { clause, params, order } where order is null without a language
+ */
+function buildSearchFilter(searchQuery, language = null) {
+  const useLike = SYLLABIC_SCRIPT_PATTERN.test(searchQuery);
+  const likeTerm = `%${searchQuery}%`;
+
+  const match = (alias) => useLike
+    ? `(${alias}.title LIKE ? OR ${alias}.description LIKE ?)`
+    : `MATCH(${alias}.title, ${alias}.description) AGAINST(? IN NATURAL LANGUAGE MODE)`;
+  const matchParams = useLike ? [likeTerm, likeTerm] : [searchQuery];
+
+  const translationMatch = (languageClause = '') =>
+    `EXISTS (SELECT 1 FROM notice_translations nt WHERE nt.notice_id = n.id${languageClause} AND ${match('nt')})`;
+
+  return {
+    clause: `(${match('n')} OR ${translationMatch()})`,
+    params: [...matchParams, ...matchParams],
+    order: language ? {
+      clause: `((n.language = ? AND ${match('n')}) OR ${translationMatch(' AND nt.language = ?')}) DESC`,
+      params: [language, ...matchParams, language, ...matchParams]
+    } : null
+  };
+}
+
 class Notice {
   constructor(noticeData = {}) {
     this.id = noticeData.id || null;
     this.title = noticeData.title || null;
     this.description = noticeData.description || null;
+    this.language = noticeData.language || NoticeTranslation.FALLBACK_LANGUAGE;
     this.imageUrl = noticeData.image_url || noticeData.imageUrl || null;
     this.files = this.parseFiles(noticeData.files);
     this.priority = noticeData.priority || 'medium';
     this.status = noticeData.status || 'draft';
     this.slug = noticeData.slug || null;
     this.createdBy = noticeData.created_by || noticeData.createdBy || null;
+    this.reviewerId = noticeData.reviewer_id || noticeData.reviewerId || null;
+    this.submittedForReviewAt = noticeData.submitted_for_review_at || noticeData.submittedForReviewAt || null;
+    this.approvedBy = noticeData.approved_by || noticeData.approvedBy || null;
+    this.approvedAt = noticeData.approved_at || noticeData.approvedAt || null;
     this.publishedAt = noticeData.published_at || noticeData.publishedAt || null;
+    this.publishAt = noticeData.publish_at || noticeData.publishAt || null;
+    this.expiresAt = noticeData.expires_at || noticeData.expiresAt || null;
+    this.eventStart = noticeData.event_start || noticeData.eventStart || null;
+    this.eventEnd = noticeData.event_end || noticeData.eventEnd || null;
+    this.eventLocation = noticeData.event_location || noticeData.eventLocation || null;
+    this.eventAllDay = noticeData.event_all_day !== undefined ? !!noticeData.event_all_day : !!noticeData.eventAllDay;
+    this.isPinned = noticeData.is_pinned !== undefined ? !!noticeData.is_pinned : !!noticeData.isPinned;
+    this.isFeatured = noticeData.is_featured !== undefined ? !!noticeData.is_featured : !!noticeData.isFeatured;
+    this.pinnedUntil = noticeData.pinned_until || noticeData.pinnedUntil || null;
+    this.pinOrder = parseInt(noticeData.pin_order ?? noticeData.pinOrder) || 0;
+    this.deletedAt = noticeData.deleted_at || noticeData.deletedAt || null;
+    this.deletedBy = noticeData.deleted_by || noticeData.deletedBy || null;
     this.createdAt = noticeData.created_at || noticeData.createdAt || null;
     this.updatedAt = noticeData.updated_at || noticeData.updatedAt || null;
     
     // Joined data
     this.creatorUsername = noticeData.creator_username || null;
     this.creatorName = noticeData.creator_name || null;
+    this.reviewerUsername = noticeData.reviewer_username || null;
+    this.reviewerName = noticeData.reviewer_name || null;
+    this.deletedByUsername = noticeData.deleted_by_username || null;
     this.viewCount = noticeData.view_count || 0;
     this.uniqueViewers = noticeData.unique_viewers || 0;
+    this.categories = Array.isArray(noticeData.categories) ? noticeData.categories : [];
+    this.translations = Array.isArray(noticeData.translations) ? noticeData.translations : [];
   }
 
   // Parse files JSON safely
@@ -89,24 +233,28 @@ class Notice {
       if (includeStats) {
         query = `
           SELECT n.*, u.username as creator_username, u.full_name as creator_name,
+                 r.username as reviewer_username, r.full_name as reviewer_name,
                  COALESCE(sv.view_count, 0) as view_count,
                  COALESCE(sv.unique_viewers, 0) as unique_viewers
           FROM notices n
           LEFT JOIN users u ON n.created_by = u.id
+          LEFT JOIN users r ON n.reviewer_id = r.id
           LEFT JOIN (
             SELECT notice_id, COUNT(*) as view_count, COUNT(DISTINCT session_id) as unique_viewers
             FROM site_visits 
             WHERE notice_id = ?
           ) sv ON n.id = sv.notice_id
-          WHERE n.id = ?
+          WHERE n.id = ? AND ${NOT_DELETED_CLAUSE}
           LIMIT 1
         `;
       } else {
         query = `
-          SELECT n.*, u.username as creator_username, u.full_name as creator_name
+          SELECT n.*, u.username as creator_username, u.full_name as creator_name,
+                 r.username as reviewer_username, r.full_name as reviewer_name
           FROM notices n
           LEFT JOIN users u ON n.created_by = u.id
-          WHERE n.id = ?
+          LEFT JOIN users r ON n.reviewer_id = r.id
+          WHERE n.id = ? AND ${NOT_DELETED_CLAUSE}
           LIMIT 1
         `;
       }
@@ -118,7 +266,11 @@ class Notice {
         return null;
       }
 
-      return new Notice(result.rows[0]);
+      const notice = new Notice(result.rows[0]);
+      await Category.attachToNotices(notice);
+      await NoticeTranslation.attachToNotices(notice);
+
+      return notice;
     } catch (error) {
       console.error('💥 Error finding notice by ID:', error.message);
       throw new Error('Failed to find notice');
@@ -145,7 +297,7 @@ class Notice {
             FROM site_visits 
             WHERE notice_id = (SELECT id FROM notices WHERE slug = ? LIMIT 1)
           ) sv ON n.id = sv.notice_id
-          WHERE n.slug = ?
+          WHERE n.slug = ? AND ${NOT_DELETED_CLAUSE}
           LIMIT 1
         `;
       } else {
@@ -153,7 +305,7 @@ class Notice {
           SELECT n.*, u.username as creator_username, u.full_name as creator_name
           FROM notices n
           LEFT JOIN users u ON n.created_by = u.id
-          WHERE n.slug = ?
+          WHERE n.slug = ? AND ${NOT_DELETED_CLAUSE}
           LIMIT 1
         `;
       }
@@ -165,7 +317,11 @@ class Notice {
         return null;
       }
 
-      return new Notice(result.rows[0]);
+      const notice = new Notice(result.rows[0]);
+      await Category.attachToNotices(notice);
+      await NoticeTranslation.attachToNotices(notice);
+
+      return notice;
     } catch (error) {
       console.error('💥 Error finding notice by slug:', error.message);
       throw new Error('Failed to find notice');
@@ -187,12 +343,38 @@ class Notice {
             includeStats = false,
             publishedOnly = false,
             userId = null,
-            showOnlyOwnDrafts = false
+            showOnlyOwnDrafts = false,
+            draftDepartmentIds = [],
+            category = null,
+            department = null,
+            pinned = null, // true: only pinned notices, false: leave them out
+            featuredOnly = false,
+            deleted = false // true: only notices in the trash
         } = options;
 
+        const trashClause = deleted ? 'n.deleted_at IS NOT NULL' : NOT_DELETED_CLAUSE;
+
+        // Topic and department filters combine with AND; slugs within one filter with OR
+        const categoryFilters = [buildCategoryFilter(category), buildCategoryFilter(department)].filter(Boolean);
+
+        const placementClauses = [];
+        if (pinned === true) {
+            placementClauses.push(PINNED_CLAUSE);
+        } else if (pinned === false) {
+            placementClauses.push(`NOT ${PINNED_CLAUSE}`);
+        }
+        if (featuredOnly) {
+            placementClauses.push(FEATURED_CLAUSE);
+        }
+
+        // Unpublished notices are visible to their owner, their reviewer and members of their departments
+        const draftVisibility = showOnlyOwnDrafts && userId
+            ? buildDraftVisibility(userId, draftDepartmentIds)
+            : null;
+
         // Validate pagination
         const offset = (Math.max(1, page) - 1) * Math.min(100, Math.max(1, limit));
-        const validSortColumns = ['id', 'title', 'priority', 'status', 'created_at', 'updated_at', 'published_at'];
+        const validSortColumns = ['id', 'title', 'priority', 'status', 'created_at', 'updated_at', 'published_at', 'pin_order', 'deleted_at'];
         const validSortOrders = ['ASC', 'DESC'];
 
         if (!validSortColumns.includes(sortBy)) {
@@ -205,10 +387,14 @@ class Notice {
 
         // Build base query
         let query = `
-            SELECT n.*, u.username as creator_username, u.full_name as creator_name
+            SELECT n.*, u.username as creator_username, u.full_name as creator_name,
+                   r.username as reviewer_username, r.full_name as reviewer_name
             ${includeStats ? `, COALESCE(sv.view_count, 0) as view_count, COALESCE(sv.unique_viewers, 0) as unique_viewers` : ''}
+            ${deleted ? ', d.username as deleted_by_username' : ''}
             FROM notices n
             LEFT JOIN users u ON n.created_by = u.id
+            LEFT JOIN users r ON n.reviewer_id = r.id
+            ${deleted ? 'LEFT JOIN users d ON n.deleted_by = d.id' : ''}
         `;
 
         if (includeStats) {
@@ -221,12 +407,12 @@ class Notice {
             `;
         }
 
-        query += ` WHERE 1=1`;
+        query += ` WHERE ${trashClause}`;
         const params = [];
 
         // Add filters
         if (publishedOnly) {
-            query += ` AND n.status = 'published' AND n.published_at IS NOT NULL`;
+            query += ` AND n.status = 'published' AND n.published_at IS NOT NULL AND ${NOT_EXPIRED_CLAUSE}`;
         } else if (status) {
             query += ` AND n.status = ?`;
             params.push(status);
@@ -238,9 +424,9 @@ class Notice {
         }
 
         if (search && search.trim().length > 0) {
-            query += ` AND (n.title LIKE ? OR n.description LIKE ?)`;
+            query += ` AND (n.title LIKE ? OR n.description LIKE ? OR ${TRANSLATION_LIKE_CLAUSE})`;
             const searchTerm = `%${search.trim()}%`;
-            params.push(searchTerm, searchTerm);
+            params.push(searchTerm, searchTerm, searchTerm, searchTerm);
         }
 
         if (createdBy) {
@@ -248,10 +434,19 @@ class Notice {
             params.push(createdBy);
         }
 
+        categoryFilters.forEach(filter => {
+            query += ` AND ${filter.clause}`;
+            params.push(...filter.params);
+        });
+
+        placementClauses.forEach(clause => {
+            query += ` AND ${clause}`;
+        });
+
         // Handle draft visibility
-        if (showOnlyOwnDrafts && userId) {
-            query += ` AND (n.status = 'published' OR (n.status = 'draft' AND n.created_by = ?))`;
-            params.push(userId);
+        if (draftVisibility) {
+            query += ` AND ${draftVisibility.clause}`;
+            params.push(...draftVisibility.params);
         }
 
         // Add sorting
@@ -261,6 +456,9 @@ class Notice {
                 WHEN 'medium' THEN 2 
                 WHEN 'low' THEN 3 
             END ${sortOrder}, n.created_at DESC`;
+        } else if (sortBy === 'pin_order') {
+            // Ties go to the most recently published
+            query += ` ORDER BY n.pin_order ${sortOrder}, n.published_at DESC`;
         } else {
             // Default sorting
             query += ` ORDER BY n.${sortBy} ${sortOrder}`;
@@ -274,11 +472,11 @@ class Notice {
         const result = await secureDatabase.executeQuery(query, params);
 
         // Get total count for pagination
-        let countQuery = `SELECT COUNT(*) as total FROM notices n WHERE 1=1`;
+        let countQuery = `SELECT COUNT(*) as total FROM notices n WHERE ${trashClause}`;
         const countParams = [];
 
         if (publishedOnly) {
-            countQuery += ` AND n.status = 'published' AND n.published_at IS NOT NULL`;
+            countQuery += ` AND n.status = 'published' AND n.published_at IS NOT NULL AND ${NOT_EXPIRED_CLAUSE}`;
         } else if (status) {
             countQuery += ` AND n.status = ?`;
             countParams.push(status);
@@ -290,9 +488,9 @@ class Notice {
         }
 
         if (search && search.trim().length > 0) {
-            countQuery += ` AND (n.title LIKE ? OR n.description LIKE ?)`;
+            countQuery += ` AND (n.title LIKE ? OR n.description LIKE ? OR ${TRANSLATION_LIKE_CLAUSE})`;
             const searchTerm = `%${search.trim()}%`;
-            countParams.push(searchTerm, searchTerm);
+            countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
         }
 
         if (createdBy) {
@@ -300,16 +498,29 @@ class Notice {
             countParams.push(createdBy);
         }
 
-        if (showOnlyOwnDrafts && userId) {
-            countQuery += ` AND (n.status = 'published' OR (n.status = 'draft' AND n.created_by = ?))`;
-            countParams.push(userId);
+        categoryFilters.forEach(filter => {
+            countQuery += ` AND ${filter.clause}`;
+            countParams.push(...filter.params);
+        });
+
+        placementClauses.forEach(clause => {
+            countQuery += ` AND ${clause}`;
+        });
+
+        if (draftVisibility) {
+            countQuery += ` AND ${draftVisibility.clause}`;
+            countParams.push(...draftVisibility.params);
         }
 
         const countResult = await secureDatabase.executeQuery(countQuery, countParams);
         const total = countResult.rows[0].total;
 
+        const notices = result.rows.map(row => new Notice(row));
+        await Category.attachToNotices(notices);
+        await NoticeTranslation.attachToNotices(notices);
+
         return {
-            notices: result.rows.map(row => new Notice(row)),
+            notices,
             pagination: {
                 page: Math.max(1, page),
                 limit: Math.min(100, Math.max(1, limit)),
@@ -334,6 +545,11 @@ class Notice {
         throw new Error('Creator information required');
       }
 
+      const uploadErrors = Notice.getUploadUrlErrors(noticeData);
+      if (uploadErrors.length > 0) {
+        throw new Error(`Validation failed: ${uploadErrors.join(', ')}`);
+      }
+
       // Generate unique slug
       const slug = await Notice.generateUniqueSlug(noticeData.title);
 
@@ -342,13 +558,31 @@ class Notice {
         ? JSON.stringify(noticeData.files) 
         : null;
 
+      // A future publish_at keeps the notice unpublished until the scheduler picks it up
+      const publishAt = noticeData.publishAt ? new Date(noticeData.publishAt) : null;
+      const expiresAt = noticeData.expiresAt ? new Date(noticeData.expiresAt) : null;
+      const isScheduled = publishAt && publishAt > new Date();
+      const requestedStatus = noticeData.status || 'draft';
+      const status = isScheduled && requestedStatus === 'published' ? 'draft' : requestedStatus;
+
       // Set published_at if status is published
-      const publishedAt = noticeData.status === 'published' ? new Date() : null;
+      const publishedAt = status === 'published' ? new Date() : null;
+
+      // Optional event details
+      const eventAllDay = toBoolean(noticeData.eventAllDay);
+      const eventStart = toEventTime(noticeData.eventStart, eventAllDay);
+      const eventEnd = eventStart ? toEventTime(noticeData.eventEnd, eventAllDay) : null;
+      const eventLocation = eventStart && noticeData.eventLocation ? String(noticeData.eventLocation).trim() : null;
+
+      const language = NoticeTranslation.isSupported(noticeData.language)
+        ? noticeData.language
+        : NoticeTranslation.FALLBACK_LANGUAGE;
 
       // Insert notice with proper text handling
       const query = `
-        INSERT INTO notices (title, description, image_url, files, priority, status, slug, created_by, published_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO notices (title, description, image_url, files, priority, status, slug, created_by, published_at, publish_at, expires_at,
+          event_start, event_end, event_location, event_all_day, language)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const result = await secureDatabase.executeQuery(query, [
@@ -357,10 +591,17 @@ class Notice {
         noticeData.imageUrl || null,
         filesJson,
         noticeData.priority || 'medium',
-        noticeData.status || 'draft',
+        status,
         slug,
         createdBy.id,
-        publishedAt
+        publishedAt,
+        isScheduled ? publishAt : null,
+        expiresAt,
+        eventStart,
+        eventEnd,
+        eventLocation,
+        eventStart ? eventAllDay : false,
+        language
       ]);
 
       if (!result.insertId) {
@@ -377,14 +618,32 @@ class Notice {
           success: true,
           after: {
             title: noticeData.title,
-            status: noticeData.status,
-            priority: noticeData.priority
+            status,
+            priority: noticeData.priority,
+            language,
+            publishAt: isScheduled ? publishAt : null,
+            expiresAt,
+            eventStart
           }
         }
       );
 
-      // Return the created notice
-      return await Notice.findById(result.insertId);
+      if (Array.isArray(noticeData.categoryIds) && noticeData.categoryIds.length > 0) {
+        await Category.setNoticeCategories(result.insertId, noticeData.categoryIds);
+      }
+
+      if (noticeData.translations && typeof noticeData.translations === 'object') {
+        await NoticeTranslation.setForNotice(result.insertId, noticeData.translations, language);
+      }
+
+      const notice = await Notice.findById(result.insertId);
+
+      // First revision holds the notice as created
+      await notice.recordRevision(createdBy, 'Created');
+
+      noticeEvents.created(notice, { actor: createdBy });
+
+      return notice;
     } catch (error) {
       console.error('💥 Error creating notice:', error.message);
       throw error;
@@ -392,7 +651,7 @@ class Notice {
   }
 
   // Instance method to update notice
-  async update(updateData, updatedBy) {
+  async update(updateData, updatedBy, options = {}) {
     try {
       if (!this.id) {
         throw new Error('Cannot update notice without ID');
@@ -402,14 +661,25 @@ class Notice {
         throw new Error('Updater information required');
       }
 
+      const uploadErrors = Notice.getUploadUrlErrors(updateData);
+      if (uploadErrors.length > 0) {
+        throw new Error(`Validation failed: ${uploadErrors.join(', ')}`);
+      }
+
       // Store original data for logging
       const originalData = { ...this };
 
       // Validate update data
-      const allowedFields = ['title', 'description', 'imageUrl', 'files', 'priority', 'status'];
+      const allowedFields = [
+        'title', 'description', 'imageUrl', 'files', 'priority', 'status', 'publishAt', 'expiresAt',
+        'eventStart', 'eventEnd', 'eventLocation', 'eventAllDay', 'reviewerId', 'language'
+      ];
       const updateFields = [];
       const updateValues = [];
 
+      // Event times are normalized against the all-day flag the notice will end up with
+      const eventAllDay = updateData.eventAllDay !== undefined ? toBoolean(updateData.eventAllDay) : this.eventAllDay;
+
       Object.keys(updateData).forEach(key => {
         if (allowedFields.includes(key) && updateData[key] !== undefined) {
           switch (key) {
@@ -441,26 +711,92 @@ class Notice {
               }
               break;
             case 'status':
-              if (['draft', 'published'].includes(updateData[key])) {
+              if (VALID_STATUSES.includes(updateData[key])) {
                 updateFields.push('status = ?');
                 updateValues.push(updateData[key]);
                 
                 // Handle published_at when status changes
                 if (updateData[key] === 'published' && this.status !== 'published') {
                   updateFields.push('published_at = NOW()');
-                } else if (updateData[key] === 'draft') {
+                } else if (UNAPPROVED_STATUSES.includes(updateData[key])) {
                   updateFields.push('published_at = NULL');
                 }
+
+                // Track review milestones: submission, sign-off, and its withdrawal
+                if (updateData[key] === 'pending_review' && this.status !== 'pending_review') {
+                  updateFields.push('submitted_for_review_at = NOW()');
+                }
+                if (updateData[key] === 'approved' && this.status !== 'approved') {
+                  updateFields.push('approved_by = ?', 'approved_at = NOW()');
+                  updateValues.push(updatedBy.id);
+                } else if (UNAPPROVED_STATUSES.includes(updateData[key])) {
+                  updateFields.push('approved_by = NULL', 'approved_at = NULL');
+                }
+
+                // Publishing consumes any pending schedule
+                if (updateData[key] === 'published') {
+                  updateFields.push('publish_at = NULL');
+                }
+              }
+              break;
+            case 'publishAt':
+              // Ignored when the same update publishes the notice immediately
+              if (updateData.status !== 'published') {
+                updateFields.push('publish_at = ?');
+                updateValues.push(updateData[key] ? new Date(updateData[key]) : null);
+              }
+              break;
+            case 'expiresAt':
+              updateFields.push('expires_at = ?');
+              updateValues.push(updateData[key] ? new Date(updateData[key]) : null);
+              break;
+            case 'eventStart':
+              updateFields.push('event_start = ?');
+              updateValues.push(toEventTime(updateData[key], eventAllDay));
+              break;
+            case 'eventEnd':
+              updateFields.push('event_end = ?');
+              updateValues.push(toEventTime(updateData[key], eventAllDay));
+              break;
+            case 'eventLocation':
+              updateFields.push('event_location = ?');
+              updateValues.push(updateData[key] ? String(updateData[key]).trim() : null);
+              break;
+            case 'eventAllDay':
+              updateFields.push('event_all_day = ?');
+              updateValues.push(eventAllDay);
+              break;
+            case 'reviewerId':
+              updateFields.push('reviewer_id = ?');
+              updateValues.push(updateData[key] ? parseInt(updateData[key]) : null);
+              break;
+            case 'language':
+              if (NoticeTranslation.isSupported(updateData[key])) {
+                updateFields.push('language = ?');
+                updateValues.push(updateData[key]);
               }
               break;
           }
         }
       });
 
-      if (updateFields.length === 0) {
+      const hasCategoryChange = Array.isArray(updateData.categoryIds);
+      const hasTranslationChange = !!updateData.translations && typeof updateData.translations === 'object';
+
+      if (updateFields.length === 0 && !hasCategoryChange && !hasTranslationChange) {
         throw new Error('No valid fields to update');
       }
 
+      if (hasCategoryChange) {
+        await Category.setNoticeCategories(this.id, updateData.categoryIds);
+      }
+
+      // Changing the original language also drops a translation into that language
+      const language = NoticeTranslation.isSupported(updateData.language) ? updateData.language : this.language;
+      if (hasTranslationChange || language !== this.language) {
+        await NoticeTranslation.setForNotice(this.id, updateData.translations || {}, language);
+      }
+
       // Update slug if title changed
       if (updateData.title && updateData.title !== this.title) {
         const newSlug = await Notice.generateUniqueSlug(updateData.title, this.id);
@@ -487,7 +823,8 @@ class Notice {
           before: { 
             title: originalData.title,
             status: originalData.status,
-            priority: originalData.priority
+            priority: originalData.priority,
+            language: originalData.language
           },
           after: updateData,
           changes: Object.keys(updateData)
@@ -498,6 +835,18 @@ class Notice {
       const updatedNotice = await Notice.findById(this.id);
       Object.assign(this, updatedNotice);
 
+      // Snapshot the saved version
+      await this.recordRevision(
+        updatedBy,
+        options.changeSummary || `Updated ${Object.keys(updateData).join(', ')}`
+      );
+
+      noticeEvents.updated(this, {
+        actor: updatedBy,
+        changes: Object.keys(updateData),
+        previousStatus: originalData.status
+      });
+
       return this;
     } catch (error) {
       console.error('💥 Error updating notice:', error.message);
@@ -505,7 +854,65 @@ class Notice {
     }
   }
 
-  // Instance method to delete notice
+  /**
+   * Pin or feature the notice on the public board. Placement is not content, so no revision is recorded.
+   * @param {Object} placement - { pinned, featured, pinnedUntil, pinOrder }; omitted fields keep their value
+   * @param {Object} updatedBy - User making the change
+   * @returns {Notice} - The refreshed notice
+   */
+  async setPlacement(placement, updatedBy) {
+    try {
+      const pinned = placement.pinned !== undefined ? toBoolean(placement.pinned) : this.isPinned;
+      const featured = placement.featured !== undefined ? toBoolean(placement.featured) : this.isFeatured;
+      const pinnedUntil = placement.pinnedUntil !== undefined
+        ? (placement.pinnedUntil ? new Date(placement.pinnedUntil) : null)
+        : this.pinnedUntil;
+      const pinOrder = placement.pinOrder !== undefined ? parseInt(placement.pinOrder) || 0 : this.pinOrder;
+
+      // An unpinned, unfeatured notice has no use for the end date or position
+      const placed = pinned || featured;
+
+      await secureDatabase.executeQuery(
+        `UPDATE notices
+         SET is_pinned = ?, is_featured = ?, pinned_until = ?, pin_order = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [pinned, featured, placed ? pinnedUntil : null, placed ? pinOrder : 0, this.id]
+      );
+
+      logDataModification(
+        { user: updatedBy },
+        'UPDATE',
+        'notices',
+        {
+          id: this.id,
+          success: true,
+          before: { isPinned: this.isPinned, isFeatured: this.isFeatured, pinnedUntil: this.pinnedUntil, pinOrder: this.pinOrder },
+          after: { isPinned: pinned, isFeatured: featured, pinnedUntil, pinOrder },
+          changes: ['placement']
+        }
+      );
+
+      const updatedNotice = await Notice.findById(this.id);
+      Object.assign(this, updatedNotice);
+
+      return this;
+    } catch (error) {
+      console.error('💥 Error updating notice placement:', error.message);
+      throw error;
+    }
+  }
+
+  // Record the current state as a new revision; history failures never block a save
+  async recordRevision(editedBy, changeSummary = null) {
+    try {
+      return await NoticeRevision.createFromNotice(this, editedBy, changeSummary);
+    } catch (error) {
+      console.warn(`Could not record revision for notice ${this.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Instance method to move the notice to the trash; files stay until it is purged
   async delete(deletedBy) {
     try {
       if (!this.id) {
@@ -516,19 +923,16 @@ class Notice {
         throw new Error('Deleter information required');
       }
 
-      // Store data for logging
-      const noticeData = { ...this };
-
-      // Delete associated files if they exist
-      await this.deleteAssociatedFiles();
-
-      const query = `DELETE FROM notices WHERE id = ?`;
-      const result = await secureDatabase.executeQuery(query, [this.id]);
+      const query = `UPDATE notices SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL`;
+      const result = await secureDatabase.executeQuery(query, [deletedBy.id, this.id]);
 
       if (result.affectedRows === 0) {
         throw new Error('Notice not found or already deleted');
       }
 
+      this.deletedAt = new Date();
+      this.deletedBy = deletedBy.id;
+
       // Log the deletion
       logDataModification(
         { user: deletedBy },
@@ -538,13 +942,16 @@ class Notice {
           id: this.id,
           success: true,
           before: {
-            title: noticeData.title,
-            status: noticeData.status,
-            priority: noticeData.priority
-          }
+            title: this.title,
+            status: this.status,
+            priority: this.priority
+          },
+          changes: ['trashed']
         }
       );
 
+      noticeEvents.deleted(this, { actor: deletedBy });
+
       return true;
     } catch (error) {
       console.error('💥 Error deleting notice:', error.message);
@@ -552,12 +959,82 @@ class Notice {
     }
   }
 
+  // Instance method to take the notice out of the trash with its previous status
+  async restore(restoredBy) {
+    try {
+      if (!this.id) {
+        throw new Error('Cannot restore notice without ID');
+      }
+
+      if (!restoredBy || !restoredBy.id) {
+        throw new Error('Restorer information required');
+      }
+
+      const result = await secureDatabase.executeQuery(
+        'UPDATE notices SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+        [this.id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new Error('Notice is not in the trash');
+      }
+
+      logDataModification(
+        { user: restoredBy },
+        'UPDATE',
+        'notices',
+        {
+          id: this.id,
+          success: true,
+          before: { deletedAt: this.deletedAt, deletedBy: this.deletedBy },
+          changes: ['restored']
+        }
+      );
+
+      const restoredNotice = await Notice.findById(this.id);
+      Object.assign(this, restoredNotice);
+
+      noticeEvents.restored(this, { actor: restoredBy });
+
+      return this;
+    } catch (error) {
+      console.error('💥 Error restoring notice:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to remove a trashed notice and its files for good
+  async purge() {
+    try {
+      if (!this.id || !this.deletedAt) {
+        throw new Error('Only notices in the trash can be purged');
+      }
+
+      const result = await secureDatabase.executeQuery(
+        'DELETE FROM notices WHERE id = ? AND deleted_at IS NOT NULL',
+        [this.id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new Error('Notice not found or already purged');
+      }
+
+      // Files go only once the row is gone, so a failed purge leaves a restorable notice
+      await this.deleteAssociatedFiles();
+
+      return true;
+    } catch (error) {
+      console.error('💥 Error purging notice:', error.message);
+      throw error;
+    }
+  }
+
   // Delete associated files
   async deleteAssociatedFiles() {
     try {
       // Delete image file if exists
-      if (this.imageUrl) {
-        const imagePath = path.join(__dirname, '../../uploads', this.imageUrl.replace('/uploads/', ''));
+      const imagePath = Notice.resolveUploadPath(this.imageUrl);
+      if (imagePath) {
         try {
           await fs.unlink(imagePath);
         } catch (error) {
@@ -568,8 +1045,8 @@ class Notice {
       // Delete attachment files if exist
       if (this.files && Array.isArray(this.files)) {
         for (const file of this.files) {
-          if (file.url) {
-            const filePath = path.join(__dirname, '../../uploads', file.url.replace('/uploads/', ''));
+          const filePath = Notice.resolveUploadPath(file.url);
+          if (filePath) {
             try {
               await fs.unlink(filePath);
             } catch (error) {
@@ -590,8 +1067,8 @@ class Notice {
         throw new Error('Valid title is required to generate slug');
       }
 
-      // Create base slug - more restrictive to avoid issues
-      let baseSlug = title
+      // Create base slug - more restrictive to avoid issues; Sinhala and Tamil titles are romanized first
+      let baseSlug = transliterateSyllabic(title)
         .toLowerCase()
         .trim()
         .replace(/[^a-z0-9\s-]/g, '') // Remove special chars except spaces and hyphens
@@ -645,6 +1122,295 @@ class Notice {
     }
   }
 
+  /**
+   * Find notices whose scheduled publication time has passed
+   * @param {number} limit - Maximum notices to return
+   * @param {Object} options - { approvedOnly: only signed-off notices (approval workflow on) }
+   * @returns {Array<Notice>} - Notices due for publication
+   */
+  static async findDueForPublication(limit = 50, options = {}) {
+    try {
+      const statusClause = options.approvedOnly ? `n.status = 'approved'` : `n.status IN ('draft', 'approved')`;
+
+      const query = `
+        SELECT n.*, u.username as creator_username, u.full_name as creator_name
+        FROM notices n
+        LEFT JOIN users u ON n.created_by = u.id
+        WHERE ${statusClause}
+          AND ${NOT_DELETED_CLAUSE}
+          AND n.publish_at IS NOT NULL
+          AND n.publish_at <= NOW()
+          AND ${NOT_EXPIRED_CLAUSE}
+        ORDER BY n.publish_at ASC
+        LIMIT ?
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [Math.min(500, Math.max(1, limit))]);
+      return result.rows.map(row => new Notice(row));
+    } catch (error) {
+      console.error('💥 Error finding notices due for publication:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find notices waiting for a review decision, oldest submission first
+   * @param {Object} options - { reviewerId: limit to unassigned notices and those assigned to this user }
+   * @returns {Array<Notice>} - Notices pending review
+   */
+  static async findPendingReview(options = {}) {
+    try {
+      let query = `
+        SELECT n.*, u.username as creator_username, u.full_name as creator_name,
+               r.username as reviewer_username, r.full_name as reviewer_name
+        FROM notices n
+        LEFT JOIN users u ON n.created_by = u.id
+        LEFT JOIN users r ON n.reviewer_id = r.id
+        WHERE n.status = 'pending_review' AND ${NOT_DELETED_CLAUSE}
+      `;
+      const params = [];
+
+      // Approvers never see their own notices in the queue
+      if (options.reviewerId) {
+        query += ` AND (n.reviewer_id IS NULL OR n.reviewer_id = ?) AND n.created_by <> ?`;
+        params.push(parseInt(options.reviewerId), parseInt(options.reviewerId));
+      }
+
+      query += ` ORDER BY n.submitted_for_review_at ASC LIMIT 200`;
+
+      const result = await secureDatabase.executeQuery(query, params);
+      const notices = result.rows.map(row => new Notice(row));
+      await Category.attachToNotices(notices);
+      return notices;
+    } catch (error) {
+      console.error('💥 Error finding notices pending review:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to find published notices whose expiry time has passed
+  static async findExpired(limit = 50) {
+    try {
+      const query = `
+        SELECT n.*, u.username as creator_username, u.full_name as creator_name
+        FROM notices n
+        LEFT JOIN users u ON n.created_by = u.id
+        WHERE n.status = 'published'
+          AND ${NOT_DELETED_CLAUSE}
+          AND n.expires_at IS NOT NULL
+          AND n.expires_at <= NOW()
+        ORDER BY n.expires_at ASC
+        LIMIT ?
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [Math.min(500, Math.max(1, limit))]);
+      return result.rows.map(row => new Notice(row));
+    } catch (error) {
+      console.error('💥 Error finding expired notices:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to find a notice in the trash by ID
+  static async findDeletedById(id) {
+    try {
+      if (!id || isNaN(parseInt(id))) {
+        throw new Error('Invalid notice ID');
+      }
+
+      const query = `
+        SELECT n.*, u.username as creator_username, u.full_name as creator_name,
+               d.username as deleted_by_username
+        FROM notices n
+        LEFT JOIN users u ON n.created_by = u.id
+        LEFT JOIN users d ON n.deleted_by = d.id
+        WHERE n.id = ? AND n.deleted_at IS NOT NULL
+        LIMIT 1
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [parseInt(id)]);
+
+      if (!result.rows || result.rows.length === 0) {
+        return null;
+      }
+
+      const notice = new Notice(result.rows[0]);
+      await Category.attachToNotices(notice);
+
+      return notice;
+    } catch (error) {
+      console.error('💥 Error finding deleted notice:', error.message);
+      throw new Error('Failed to find notice');
+    }
+  }
+
+  /**
+   * Find notices that have been in the trash longer than the retention period
+   * @param {number} retentionDays - Days a deleted notice stays restorable
+   * @param {number} limit - Maximum notices to return
+   * @returns {Array<Notice>} - Notices due to be purged
+   */
+  static async findDueForPurge(retentionDays, limit = 50) {
+    try {
+      const query = `
+        SELECT n.*
+        FROM notices n
+        WHERE n.deleted_at IS NOT NULL
+          AND n.deleted_at <= DATE_SUB(NOW(), INTERVAL ? DAY)
+        ORDER BY n.deleted_at ASC
+        LIMIT ?
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [
+        Math.max(0, parseInt(retentionDays) || 0),
+        Math.min(500, Math.max(1, limit))
+      ]);
+      return result.rows.map(row => new Notice(row));
+    } catch (error) {
+      console.error('💥 Error finding notices due for purge:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to count the notices a user created
+  static async countByCreator(userId) {
+    const result = await secureDatabase.executeQuery(
+      'SELECT COUNT(*) AS total FROM notices WHERE created_by = ?',
+      [parseInt(userId)]
+    );
+
+    return parseInt(result.rows[0]?.total) || 0;
+  }
+
+  /**
+   * Hand a user's notices to another user, so they survive when the account is deleted
+   * (notices are removed together with their creator otherwise)
+   * @param {number} fromUserId - Current creator
+   * @param {number} toUserId - New creator
+   * @returns {number} - Notices reassigned
+   */
+  static async reassignCreator(fromUserId, toUserId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'UPDATE notices SET created_by = ? WHERE created_by = ?',
+        [parseInt(toUserId), parseInt(fromUserId)]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('💥 Error reassigning notices:', error.message);
+      throw new Error('Failed to reassign notices');
+    }
+  }
+
+  // Static method to find published notices with event details for the calendar feed
+  static async findEvents(options = {}) {
+    try {
+      const { pastDays = 90, limit = 200 } = options;
+
+      const query = `
+        SELECT n.*, u.username as creator_username, u.full_name as creator_name
+        FROM notices n
+        LEFT JOIN users u ON n.created_by = u.id
+        WHERE n.status = 'published'
+          AND ${NOT_DELETED_CLAUSE}
+          AND n.event_start IS NOT NULL
+          AND COALESCE(n.event_end, n.event_start) >= DATE_SUB(NOW(), INTERVAL ? DAY)
+          AND ${NOT_EXPIRED_CLAUSE}
+        ORDER BY n.event_start ASC
+        LIMIT ?
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [
+        Math.min(365, Math.max(0, parseInt(pastDays) || 0)),
+        Math.min(500, Math.max(1, parseInt(limit) || 200))
+      ]);
+
+      const notices = result.rows.map(row => new Notice(row));
+      await Category.attachToNotices(notices);
+      return notices;
+    } catch (error) {
+      console.error('💥 Error finding event notices:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to find notices published after a point in time (subscription digests)
+  static async findPublishedSince(since, options = {}) {
+    try {
+      const { minPriority = 'low', categoryIds = [], limit = 50 } = options;
+
+      let query = `
+        SELECT n.*, u.username as creator_username, u.full_name as creator_name
+        FROM notices n
+        LEFT JOIN users u ON n.created_by = u.id
+        WHERE n.status = 'published'
+          AND ${NOT_DELETED_CLAUSE}
+          AND n.published_at > ?
+          AND ${NOT_EXPIRED_CLAUSE}
+          AND FIELD(n.priority, 'low', 'medium', 'high') >= FIELD(?, 'low', 'medium', 'high')
+      `;
+      const params = [new Date(since), minPriority];
+
+      const ids = (categoryIds || []).map(id => parseInt(id)).filter(id => id > 0);
+      if (ids.length > 0) {
+        query += ` AND EXISTS (
+          SELECT 1 FROM notice_categories nc
+          WHERE nc.notice_id = n.id AND nc.category_id IN (${ids.map(() => '?').join(', ')})
+        )`;
+        params.push(...ids);
+      }
+
+      query += ' ORDER BY n.published_at DESC LIMIT ?';
+      params.push(Math.min(200, Math.max(1, parseInt(limit) || 50)));
+
+      const result = await secureDatabase.executeQuery(query, params);
+      const notices = result.rows.map(row => new Notice(row));
+      await Category.attachToNotices(notices);
+      return notices;
+    } catch (error) {
+      console.error('💥 Error finding recently published notices:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Path on disk of an uploaded image or attachment
+   * @param {string} url - Upload URL (/uploads/images/<file> or /uploads/files/<file>)
+   * @returns {string|null} - Absolute path, or null for any other URL or a path leaving the uploads folder
+   */
+  static resolveUploadPath(url) {
+    if (typeof url !== 'string' || !UPLOAD_URL_PATTERN.test(url)) {
+      return null;
+    }
+
+    const filePath = path.resolve(UPLOADS_DIR, url.slice('/uploads/'.length));
+    return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Check that the image and attachments of notice data point at uploaded files
+   * @param {Object} noticeData - Notice data ({ imageUrl, files })
+   * @returns {Array<string>} - Validation errors
+   */
+  static getUploadUrlErrors(noticeData) {
+    const errors = [];
+
+    if (noticeData.imageUrl && !Notice.resolveUploadPath(noticeData.imageUrl)) {
+      errors.push('Image URL must point to an uploaded image');
+    }
+
+    if (noticeData.files !== undefined && noticeData.files !== null) {
+      if (!Array.isArray(noticeData.files)) {
+        errors.push('Files must be an array');
+      } else if (noticeData.files.some(file => !file || !Notice.resolveUploadPath(file.url))) {
+        errors.push('Attachment URLs must point to uploaded files');
+      }
+    }
+
+    return errors;
+  }
+
   // Static method to validate notice data
   static validateNoticeData(noticeData) {
     const errors = [];
@@ -673,8 +1439,40 @@ class Notice {
     }
 
     // Status validation
-    if (noticeData.status && !['draft', 'published'].includes(noticeData.status)) {
-      errors.push('Status must be draft or published');
+    if (noticeData.status && !VALID_STATUSES.includes(noticeData.status)) {
+      errors.push(`Status must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+
+    // Schedule validation
+    const publishAt = noticeData.publishAt ? new Date(noticeData.publishAt) : null;
+    const expiresAt = noticeData.expiresAt ? new Date(noticeData.expiresAt) : null;
+
+    if (publishAt && isNaN(publishAt.getTime())) {
+      errors.push('Publish time must be a valid date');
+    }
+
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      errors.push('Expiry time must be a valid date');
+    }
+
+    if (publishAt && expiresAt && expiresAt <= publishAt) {
+      errors.push('Expiry time must be after the publish time');
+    }
+
+    // Event validation
+    const eventStart = noticeData.eventStart ? new Date(noticeData.eventStart) : null;
+    const eventEnd = noticeData.eventEnd ? new Date(noticeData.eventEnd) : null;
+
+    if (eventStart && isNaN(eventStart.getTime())) {
+      errors.push('Event start must be a valid date');
+    }
+
+    if (eventEnd && (!eventStart || isNaN(eventEnd.getTime()) || eventEnd < eventStart)) {
+      errors.push('Event end must be a valid date on or after the event start');
+    }
+
+    if (noticeData.eventLocation && String(noticeData.eventLocation).length > 255) {
+      errors.push('Event location must not exceed 255 characters');
     }
 
     // Files validation
@@ -684,6 +1482,8 @@ class Notice {
       }
     }
 
+    errors.push(...Notice.getUploadUrlErrors(noticeData));
+
     return {
       isValid: errors.length === 0,
       errors
@@ -696,16 +1496,23 @@ class Notice {
       const {
         page = 1,
         limit = 10,
-        publishedOnly = true
+        publishedOnly = true,
+        category = null,
+        department = null,
+        language = null
       } = options;
 
+      const categoryFilters = [buildCategoryFilter(category), buildCategoryFilter(department)].filter(Boolean);
+
       if (!searchQuery || searchQuery.trim().length === 0) {
         return { notices: [], pagination: { page: 1, limit, total: 0, totalPages: 0 } };
       }
 
       const offset = (Math.max(1, page) - 1) * Math.min(100, Math.max(1, limit));
 
-      // Use full-text search if available, otherwise LIKE search
+      // Full-text search over the original text and every translation (LIKE for Sinhala and Tamil queries)
+      const searchFilter = buildSearchFilter(searchQuery.trim(), NoticeTranslation.isSupported(language) ? language : null);
+
       let query = `
         SELECT n.*, u.username as creator_username, u.full_name as creator_name,
                COALESCE(sv.view_count, 0) as view_count
@@ -716,16 +1523,27 @@ class Notice {
           FROM site_visits 
           GROUP BY notice_id
         ) sv ON n.id = sv.notice_id
-        WHERE MATCH(n.title, n.description) AGAINST(? IN NATURAL LANGUAGE MODE)
+        WHERE ${searchFilter.clause} AND ${NOT_DELETED_CLAUSE}
       `;
 
-      const params = [searchQuery.trim()];
+      const params = [...searchFilter.params];
 
       if (publishedOnly) {
-        query += ` AND n.status = 'published' AND n.published_at IS NOT NULL`;
+        query += ` AND n.status = 'published' AND n.published_at IS NOT NULL AND ${NOT_EXPIRED_CLAUSE}`;
       }
 
-      query += ` ORDER BY n.published_at DESC LIMIT ? OFFSET ?`;
+      categoryFilters.forEach(filter => {
+        query += ` AND ${filter.clause}`;
+        params.push(...filter.params);
+      });
+
+      // Matches in the requested language come first
+      if (searchFilter.order) {
+        query += ` ORDER BY ${searchFilter.order.clause}, n.published_at DESC LIMIT ? OFFSET ?`;
+        params.push(...searchFilter.order.params);
+      } else {
+        query += ` ORDER BY n.published_at DESC LIMIT ? OFFSET ?`;
+      }
       params.push(Math.min(100, Math.max(1, limit)), offset);
 
       const result = await secureDatabase.executeQuery(query, params);
@@ -734,19 +1552,28 @@ class Notice {
       let countQuery = `
         SELECT COUNT(*) as total 
         FROM notices n 
-        WHERE MATCH(n.title, n.description) AGAINST(? IN NATURAL LANGUAGE MODE)
+        WHERE ${searchFilter.clause} AND ${NOT_DELETED_CLAUSE}
       `;
-      const countParams = [searchQuery.trim()];
+      const countParams = [...searchFilter.params];
 
       if (publishedOnly) {
-        countQuery += ` AND n.status = 'published' AND n.published_at IS NOT NULL`;
+        countQuery += ` AND n.status = 'published' AND n.published_at IS NOT NULL AND ${NOT_EXPIRED_CLAUSE}`;
       }
 
+      categoryFilters.forEach(filter => {
+        countQuery += ` AND ${filter.clause}`;
+        countParams.push(...filter.params);
+      });
+
       const countResult = await secureDatabase.executeQuery(countQuery, countParams);
       const total = countResult.rows[0].total;
 
+      const notices = result.rows.map(row => new Notice(row));
+      await Category.attachToNotices(notices);
+      await NoticeTranslation.attachToNotices(notices);
+
       return {
-        notices: result.rows.map(row => new Notice(row)),
+        notices,
         pagination: {
           page: Math.max(1, page),
           limit: Math.min(100, Math.max(1, limit)),
@@ -775,6 +1602,8 @@ class Notice {
         WHERE n.id != ? 
           AND n.status = 'published' 
           AND n.published_at IS NOT NULL
+          AND ${NOT_DELETED_CLAUSE}
+          AND ${NOT_EXPIRED_CLAUSE}
           AND (n.priority = ? OR n.created_by = ?)
         ORDER BY n.published_at DESC
         LIMIT ?
@@ -787,7 +1616,10 @@ class Notice {
         Math.min(10, Math.max(1, limit))
       ]);
 
-      return result.rows.map(row => new Notice(row));
+      const related = result.rows.map(row => new Notice(row));
+      await NoticeTranslation.attachToNotices(related);
+
+      return related;
     } catch (error) {
       console.error('💥 Error getting related notices:', error.message);
       return [];
@@ -808,19 +1640,41 @@ class Notice {
       id: this.id,
       title: this.title,
       description: description,
+      language: this.language,
+      translations: this.translations.map(translation => translation.toJSON()),
       imageUrl: this.imageUrl,
       files: this.files,
       priority: this.priority,
       status: this.status,
       slug: this.slug,
       createdBy: this.createdBy,
+      reviewerId: this.reviewerId,
+      submittedForReviewAt: this.submittedForReviewAt,
+      approvedBy: this.approvedBy,
+      approvedAt: this.approvedAt,
       publishedAt: this.publishedAt,
+      publishAt: this.publishAt,
+      expiresAt: this.expiresAt,
+      eventStart: this.eventStart,
+      eventEnd: this.eventEnd,
+      eventLocation: this.eventLocation,
+      eventAllDay: this.eventAllDay,
+      isPinned: this.isPinned,
+      isFeatured: this.isFeatured,
+      pinnedUntil: this.pinnedUntil,
+      pinOrder: this.pinOrder,
+      deletedAt: this.deletedAt,
+      deletedBy: this.deletedBy,
+      deletedByUsername: this.deletedByUsername,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       creatorUsername: this.creatorUsername,
       creatorName: this.creatorName,
+      reviewerUsername: this.reviewerUsername,
+      reviewerName: this.reviewerName,
       viewCount: this.viewCount,
-      uniqueViewers: this.uniqueViewers
+      uniqueViewers: this.uniqueViewers,
+      categories: this.categories
     };
   }
 
@@ -834,6 +1688,68 @@ class Notice {
     return this.status === 'draft';
   }
 
+  // Check if notice is awaiting review
+  isPendingReview() {
+    return this.status === 'pending_review';
+  }
+
+  // Check if notice has been signed off for publication
+  isApproved() {
+    return this.status === 'approved';
+  }
+
+  // Check if notice is an unpublished draft or approved notice waiting for its scheduled publication time
+  isScheduled() {
+    return ['draft', 'approved'].includes(this.status) && !!this.publishAt && new Date(this.publishAt) > new Date();
+  }
+
+  // Check if notice is in the trash
+  isDeleted() {
+    return !!this.deletedAt;
+  }
+
+  // Check if notice has passed its expiry time
+  isExpired() {
+    return !!this.expiresAt && new Date(this.expiresAt) <= new Date();
+  }
+
+  // Check if notice carries event details
+  hasEvent() {
+    return !!this.eventStart;
+  }
+
+  // Languages the notice can be read in, original language first
+  getAvailableLanguages() {
+    return [this.language, ...this.translations.map(translation => translation.language)
+      .filter(language => language !== this.language)];
+  }
+
+  /**
+   * Title and description in the requested language. Falls back to English, then to the
+   * original language; without a requested language the original is returned.
+   * @param {string|null} language - Requested language code (en, si, ta)
+   * @returns {Object} - { language, title, description }
+   */
+  getLocalizedContent(language = null) {
+    const original = { language: this.language, title: this.title, description: this.description };
+    if (!language) {
+      return original;
+    }
+
+    for (const candidate of [language, NoticeTranslation.FALLBACK_LANGUAGE]) {
+      if (candidate === this.language) {
+        return original;
+      }
+
+      const translation = this.translations.find(item => item.language === candidate);
+      if (translation) {
+        return { language: translation.language, title: translation.title, description: translation.description };
+      }
+    }
+
+    return original;
+  }
+
   // Get priority display name
   getPriorityDisplay() {
     const displays = {
@@ -848,10 +1764,16 @@ class Notice {
   getStatusDisplay() {
     const displays = {
       'draft': 'Draft',
-      'published': 'Published'
+      'pending_review': 'Pending Review',
+      'changes_requested': 'Changes Requested',
+      'approved': 'Approved',
+      'published': 'Published',
+      'archived': 'Archived'
     };
     return displays[this.status] || 'Unknown Status';
   }
 }
 
+Notice.VALID_STATUSES = VALID_STATUSES;
+
 module.exports = Notice;
\ No newline at end of file
@@ -0,0 +1,259 @@
+// Notice Recurrence model - weekly, monthly or per-semester rules that copy a notice into new drafts or scheduled publications
+const secureDatabase = require('../config/database');
+
+const VALID_FREQUENCIES = ['weekly', 'monthly', 'semester'];
+const VALID_MODES = ['draft', 'scheduled'];
+
+// Months between occurrences of the calendar-based frequencies
+const MONTHS_PER_OCCURRENCE = { monthly: 1, semester: 6 };
+
+// Shortest gap between two occurrences; a copy must be created after the previous occurrence
+const MIN_PERIOD_DAYS = { weekly: 7, monthly: 28, semester: 181 };
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Guards the occurrence search against rules started decades ago
+const MAX_OCCURRENCE_SEARCH = 10000;
+
+class NoticeRecurrence {
+  constructor(recurrenceData = {}) {
+    this.id = recurrenceData.id || null;
+    this.noticeId = recurrenceData.notice_id || recurrenceData.noticeId || null;
+    this.frequency = recurrenceData.frequency || null;
+    this.mode = recurrenceData.mode || 'draft';
+    this.startsAt = recurrenceData.starts_at || recurrenceData.startsAt || null;
+    this.nextRunAt = recurrenceData.next_run_at || recurrenceData.nextRunAt || null;
+    this.leadDays = parseInt(recurrenceData.lead_days ?? recurrenceData.leadDays) || 0;
+    this.endsAt = recurrenceData.ends_at || recurrenceData.endsAt || null;
+    this.copyAttachments = recurrenceData.copy_attachments !== undefined
+      ? !!recurrenceData.copy_attachments
+      : !!recurrenceData.copyAttachments;
+    this.isActive = recurrenceData.is_active !== undefined ? !!recurrenceData.is_active : recurrenceData.isActive !== false;
+    this.lastRunAt = recurrenceData.last_run_at || recurrenceData.lastRunAt || null;
+    this.lastNoticeId = recurrenceData.last_notice_id || recurrenceData.lastNoticeId || null;
+    this.createdBy = recurrenceData.created_by || recurrenceData.createdBy || null;
+    this.createdAt = recurrenceData.created_at || recurrenceData.createdAt || null;
+    this.updatedAt = recurrenceData.updated_at || recurrenceData.updatedAt || null;
+
+    // Joined data
+    this.creatorUsername = recurrenceData.creator_username || null;
+    this.lastNoticeTitle = recurrenceData.last_notice_title || null;
+  }
+
+  /**
+   * Occurrence number `index` of a rule, counted from its start (index 0).
+   * Monthly and semester occurrences keep the day of the month, clamped to shorter months.
+   * @param {Date|string} startsAt - First occurrence
+   * @param {string} frequency - weekly, monthly or semester
+   * @param {number} index - Occurrence number
+   * @returns {Date} - Occurrence time
+   */
+  static getOccurrence(startsAt, frequency, index) {
+    const start = new Date(startsAt);
+
+    if (frequency === 'weekly') {
+      return new Date(start.getTime() + index * WEEK_MS);
+    }
+
+    const occurrence = new Date(start);
+    occurrence.setUTCDate(1);
+    occurrence.setUTCMonth(start.getUTCMonth() + index * MONTHS_PER_OCCURRENCE[frequency]);
+
+    const daysInMonth = new Date(Date.UTC(occurrence.getUTCFullYear(), occurrence.getUTCMonth() + 1, 0)).getUTCDate();
+    occurrence.setUTCDate(Math.min(start.getUTCDate(), daysInMonth));
+
+    return occurrence;
+  }
+
+  /**
+   * First occurrence of a rule strictly after the given time
+   * @param {Date|string} startsAt - First occurrence
+   * @param {string} frequency - weekly, monthly or semester
+   * @param {Date} after - Reference time
+   * @returns {Date|null} - Occurrence time
+   */
+  static getNextOccurrence(startsAt, frequency, after) {
+    const reference = new Date(after).getTime();
+
+    for (let index = 0; index < MAX_OCCURRENCE_SEARCH; index++) {
+      const occurrence = NoticeRecurrence.getOccurrence(startsAt, frequency, index);
+      if (occurrence.getTime() > reference) {
+        return occurrence;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or replace the recurrence rule of a notice. The rule runs with the rights of the user who saved it.
+   * @param {number} noticeId - Notice ID
+   * @param {Object} data - { frequency, mode, startsAt, nextRunAt, leadDays, endsAt, copyAttachments }
+   * @param {Object} user - Acting user
+   * @returns {NoticeRecurrence} - Stored rule
+   */
+  static async save(noticeId, data, user) {
+    try {
+      if (!VALID_FREQUENCIES.includes(data.frequency)) {
+        throw new Error('Invalid recurrence frequency');
+      }
+      if (!VALID_MODES.includes(data.mode)) {
+        throw new Error('Invalid recurrence mode');
+      }
+
+      await secureDatabase.executeQuery(
+        `INSERT INTO notice_recurrences
+           (notice_id, frequency, mode, starts_at, next_run_at, lead_days, ends_at, copy_attachments, is_active, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?)
+         ON DUPLICATE KEY UPDATE frequency = VALUES(frequency), mode = VALUES(mode), starts_at = VALUES(starts_at),
+           next_run_at = VALUES(next_run_at), lead_days = VALUES(lead_days), ends_at = VALUES(ends_at),
+           copy_attachments = VALUES(copy_attachments), is_active = TRUE, created_by = VALUES(created_by)`,
+        [
+          parseInt(noticeId),
+          data.frequency,
+          data.mode,
+          new Date(data.startsAt),
+          new Date(data.nextRunAt),
+          parseInt(data.leadDays) || 0,
+          data.endsAt ? new Date(data.endsAt) : null,
+          !!data.copyAttachments,
+          parseInt(user.id)
+        ]
+      );
+
+      return await NoticeRecurrence.findByNotice(noticeId);
+    } catch (error) {
+      console.error('💥 Error saving recurrence rule:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to find the recurrence rule of a notice
+  static async findByNotice(noticeId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT r.*, u.username AS creator_username, ln.title AS last_notice_title
+         FROM notice_recurrences r
+         LEFT JOIN users u ON r.created_by = u.id
+         LEFT JOIN notices ln ON r.last_notice_id = ln.id
+         WHERE r.notice_id = ?
+         LIMIT 1`,
+        [parseInt(noticeId)]
+      );
+
+      return result.rows && result.rows.length > 0 ? new NoticeRecurrence(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding recurrence rule:', error.message);
+      throw new Error('Failed to find recurrence rule');
+    }
+  }
+
+  // Static method to find active rules whose next copy is due (lead_days before the occurrence)
+  static async findDue(limit = 50) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT r.*
+         FROM notice_recurrences r
+         WHERE r.is_active = TRUE
+           AND r.next_run_at <= DATE_ADD(NOW(), INTERVAL r.lead_days DAY)
+         ORDER BY r.next_run_at ASC
+         LIMIT ?`,
+        [Math.min(500, Math.max(1, limit))]
+      );
+
+      return result.rows.map(row => new NoticeRecurrence(row));
+    } catch (error) {
+      console.error('💥 Error finding due recurrence rules:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to remove the recurrence rule of a notice
+  static async deleteByNotice(noticeId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'DELETE FROM notice_recurrences WHERE notice_id = ?',
+        [parseInt(noticeId)]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('💥 Error deleting recurrence rule:', error.message);
+      throw new Error('Failed to delete recurrence rule');
+    }
+  }
+
+  /**
+   * Move the rule on to its next occurrence after a run
+   * @param {Date|null} nextRunAt - Next occurrence (null ends the rule)
+   * @param {number|null} generatedNoticeId - Notice created by this run, if any
+   * @returns {NoticeRecurrence} - Updated rule
+   */
+  async advance(nextRunAt, generatedNoticeId = null) {
+    try {
+      const isActive = !!nextRunAt && (!this.endsAt || nextRunAt <= new Date(this.endsAt));
+
+      await secureDatabase.executeQuery(
+        `UPDATE notice_recurrences
+         SET next_run_at = ?, is_active = ?, last_run_at = NOW(), last_notice_id = COALESCE(?, last_notice_id)
+         WHERE id = ?`,
+        [nextRunAt || new Date(this.nextRunAt), isActive, generatedNoticeId, this.id]
+      );
+
+      this.nextRunAt = nextRunAt || this.nextRunAt;
+      this.isActive = isActive;
+      this.lastRunAt = new Date();
+      this.lastNoticeId = generatedNoticeId || this.lastNoticeId;
+
+      return this;
+    } catch (error) {
+      console.error('💥 Error advancing recurrence rule:', error.message);
+      throw error;
+    }
+  }
+
+  // Stop a rule without removing it, e.g. when its owner lost the rights it runs with
+  async deactivate() {
+    try {
+      await secureDatabase.executeQuery(
+        'UPDATE notice_recurrences SET is_active = FALSE WHERE id = ?',
+        [this.id]
+      );
+
+      this.isActive = false;
+      return this;
+    } catch (error) {
+      console.error('💥 Error deactivating recurrence rule:', error.message);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      noticeId: this.noticeId,
+      frequency: this.frequency,
+      mode: this.mode,
+      startsAt: this.startsAt,
+      nextRunAt: this.nextRunAt,
+      leadDays: this.leadDays,
+      endsAt: this.endsAt,
+      copyAttachments: this.copyAttachments,
+      isActive: this.isActive,
+      lastRunAt: this.lastRunAt,
+      lastNotice: this.lastNoticeId ? {
+        id: this.lastNoticeId,
+        title: this.lastNoticeTitle
+      } : null,
+      createdBy: this.createdBy,
+      creatorUsername: this.creatorUsername,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+NoticeRecurrence.VALID_FREQUENCIES = VALID_FREQUENCIES;
+NoticeRecurrence.VALID_MODES = VALID_MODES;
+NoticeRecurrence.MIN_PERIOD_DAYS = MIN_PERIOD_DAYS;
+
+module.exports = NoticeRecurrence;
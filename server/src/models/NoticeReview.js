@@ -0,0 +1,116 @@
+// Notice Review model - log of review submissions, assignments, decisions and reviewer comments
+const secureDatabase = require('../config/database');
+
+const VALID_ACTIONS = ['submitted', 'assigned', 'approved', 'changes_requested', 'commented', 'approval_withdrawn'];
+
+class NoticeReview {
+  constructor(reviewData = {}) {
+    this.id = reviewData.id || null;
+    this.noticeId = reviewData.notice_id || reviewData.noticeId || null;
+    this.userId = reviewData.user_id || reviewData.userId || null;
+    this.action = reviewData.action || null;
+    this.comment = NoticeReview.toText(reviewData.comment);
+    this.createdAt = reviewData.created_at || reviewData.createdAt || null;
+
+    // Joined data
+    this.username = reviewData.username || null;
+    this.fullName = reviewData.full_name || null;
+  }
+
+  // Comments may come back from the driver as buffers
+  static toText(value) {
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    return typeof value === 'string' && value.length > 0 ? value : null;
+  }
+
+  /**
+   * Record a review action on a notice
+   * @param {Object} data - { noticeId, action, comment }
+   * @param {Object} user - Acting user (null for the system)
+   * @returns {NoticeReview} - Stored entry
+   */
+  static async create(data, user = null) {
+    try {
+      if (!VALID_ACTIONS.includes(data.action)) {
+        throw new Error('Invalid review action');
+      }
+
+      // Comment at index 3: free text is only allowed there by the query guard
+      const result = await secureDatabase.executeQuery(
+        'INSERT INTO notice_reviews (notice_id, user_id, action, comment) VALUES (?, ?, ?, ?)',
+        [
+          parseInt(data.noticeId),
+          user && user.id ? parseInt(user.id) : null,
+          data.action,
+          data.comment ? String(data.comment).trim() : null
+        ]
+      );
+
+      if (!result.insertId) {
+        throw new Error('Failed to record review action');
+      }
+
+      return await NoticeReview.findById(result.insertId);
+    } catch (error) {
+      console.error('💥 Error recording review action:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to find a review entry by ID
+  static async findById(id) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT r.*, u.username, u.full_name
+         FROM notice_reviews r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.id = ?
+         LIMIT 1`,
+        [parseInt(id)]
+      );
+
+      return result.rows && result.rows.length > 0 ? new NoticeReview(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding review entry:', error.message);
+      throw new Error('Failed to find review entry');
+    }
+  }
+
+  // Static method to list the review history of a notice, oldest first
+  static async findByNotice(noticeId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT r.*, u.username, u.full_name
+         FROM notice_reviews r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.notice_id = ?
+         ORDER BY r.created_at ASC, r.id ASC`,
+        [parseInt(noticeId)]
+      );
+
+      return result.rows.map(row => new NoticeReview(row));
+    } catch (error) {
+      console.error('💥 Error finding review history:', error.message);
+      throw new Error('Failed to find review history');
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      noticeId: this.noticeId,
+      action: this.action,
+      comment: this.comment,
+      createdAt: this.createdAt,
+      user: this.userId ? {
+        id: this.userId,
+        username: this.username,
+        fullName: this.fullName
+      } : null
+    };
+  }
+}
+
+NoticeReview.VALID_ACTIONS = VALID_ACTIONS;
+
+module.exports = NoticeReview;
@@ -0,0 +1,239 @@
+// Notice Revision model - snapshots of every saved version of a notice
+const secureDatabase = require('../config/database');
+const { diffLines } = require('../utils/textDiff');
+
+// Scalar fields compared between two revisions
+const COMPARED_FIELDS = ['title', 'priority', 'status', 'imageUrl'];
+
+class NoticeRevision {
+  constructor(revisionData = {}) {
+    this.id = revisionData.id || null;
+    this.noticeId = revisionData.notice_id || revisionData.noticeId || null;
+    this.revisionNumber = revisionData.revision_number || revisionData.revisionNumber || null;
+    this.title = revisionData.title || null;
+    this.description = revisionData.description || null;
+    this.imageUrl = revisionData.image_url || revisionData.imageUrl || null;
+    this.files = NoticeRevision.parseFiles(revisionData.files);
+    this.priority = revisionData.priority || 'medium';
+    this.status = revisionData.status || 'draft';
+    this.editedBy = revisionData.edited_by || revisionData.editedBy || null;
+    this.changeSummary = revisionData.change_summary || revisionData.changeSummary || null;
+    this.createdAt = revisionData.created_at || revisionData.createdAt || null;
+
+    // Joined data
+    this.editorUsername = revisionData.editor_username || null;
+    this.editorName = revisionData.editor_name || null;
+  }
+
+  // Parse files JSON safely
+  static parseFiles(filesData) {
+    if (Array.isArray(filesData)) {
+      return filesData;
+    }
+
+    if (typeof filesData === 'string' && filesData.trim()) {
+      try {
+        const parsed = JSON.parse(filesData);
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    return [];
+  }
+
+  // Static method to snapshot the current state of a notice
+  static async createFromNotice(notice, editedBy, changeSummary = null) {
+    try {
+      if (!notice || !notice.id) {
+        throw new Error('Notice is required to create a revision');
+      }
+
+      const description = Buffer.isBuffer(notice.description)
+        ? notice.description.toString('utf8')
+        : String(notice.description || '');
+
+      const filesJson = Array.isArray(notice.files) && notice.files.length > 0
+        ? JSON.stringify(notice.files)
+        : null;
+
+      // Revision number is derived in the same statement to avoid a read/insert race
+      const query = `
+        INSERT INTO notice_revisions (title, description, image_url, files, priority, status, edited_by, change_summary, notice_id, revision_number)
+        SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(MAX(revision_number), 0) + 1
+        FROM notice_revisions
+        WHERE notice_id = ?
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [
+        String(notice.title),
+        description,
+        notice.imageUrl || null,
+        filesJson,
+        notice.priority,
+        notice.status,
+        editedBy && editedBy.id ? parseInt(editedBy.id) : null,
+        changeSummary ? String(changeSummary).substring(0, 255) : null,
+        parseInt(notice.id),
+        parseInt(notice.id)
+      ]);
+
+      if (!result.insertId) {
+        throw new Error('Failed to create notice revision');
+      }
+
+      return await NoticeRevision.findById(result.insertId);
+    } catch (error) {
+      console.error('💥 Error creating notice revision:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to find revision by ID
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT r.*, u.username as editor_username, u.full_name as editor_name
+        FROM notice_revisions r
+        LEFT JOIN users u ON r.edited_by = u.id
+        WHERE r.id = ?
+        LIMIT 1
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [parseInt(id)]);
+
+      return result.rows && result.rows.length > 0 ? new NoticeRevision(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding notice revision:', error.message);
+      throw new Error('Failed to find notice revision');
+    }
+  }
+
+  // Static method to find a revision of a notice by its number
+  static async findByNumber(noticeId, revisionNumber) {
+    try {
+      const query = `
+        SELECT r.*, u.username as editor_username, u.full_name as editor_name
+        FROM notice_revisions r
+        LEFT JOIN users u ON r.edited_by = u.id
+        WHERE r.notice_id = ? AND r.revision_number = ?
+        LIMIT 1
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [parseInt(noticeId), parseInt(revisionNumber)]);
+
+      return result.rows && result.rows.length > 0 ? new NoticeRevision(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding notice revision:', error.message);
+      throw new Error('Failed to find notice revision');
+    }
+  }
+
+  // Static method to list revisions of a notice, newest first
+  static async findByNotice(noticeId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+      const offset = (Math.max(1, parseInt(page) || 1) - 1) * safeLimit;
+
+      const query = `
+        SELECT r.*, u.username as editor_username, u.full_name as editor_name
+        FROM notice_revisions r
+        LEFT JOIN users u ON r.edited_by = u.id
+        WHERE r.notice_id = ?
+        ORDER BY r.revision_number DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      const result = await secureDatabase.executeQuery(query, [parseInt(noticeId), safeLimit, offset]);
+
+      const countResult = await secureDatabase.executeQuery(
+        'SELECT COUNT(*) as total FROM notice_revisions WHERE notice_id = ?',
+        [parseInt(noticeId)]
+      );
+
+      const total = countResult.rows[0].total;
+
+      return {
+        revisions: result.rows.map(row => new NoticeRevision(row)),
+        pagination: {
+          currentPage: Math.max(1, parseInt(page) || 1),
+          totalPages: Math.ceil(total / safeLimit),
+          totalItems: total,
+          itemsPerPage: safeLimit
+        }
+      };
+    } catch (error) {
+      console.error('💥 Error listing notice revisions:', error.message);
+      throw new Error('Failed to list notice revisions');
+    }
+  }
+
+  // Compare two revisions field by field, with a line diff of the description
+  static compare(fromRevision, toRevision) {
+    const fields = {};
+
+    COMPARED_FIELDS.forEach(field => {
+      fields[field] = {
+        from: fromRevision[field],
+        to: toRevision[field],
+        changed: fromRevision[field] !== toRevision[field]
+      };
+    });
+
+    const fromUrls = new Set(fromRevision.files.map(file => file.url));
+    const toUrls = new Set(toRevision.files.map(file => file.url));
+
+    return {
+      from: fromRevision.toSummary(),
+      to: toRevision.toSummary(),
+      fields,
+      files: {
+        added: toRevision.files.filter(file => !fromUrls.has(file.url)),
+        removed: fromRevision.files.filter(file => !toUrls.has(file.url))
+      },
+      description: diffLines(fromRevision.getDescriptionText(), toRevision.getDescriptionText())
+    };
+  }
+
+  // Description as a plain string (TEXT columns may come back as buffers)
+  getDescriptionText() {
+    if (Buffer.isBuffer(this.description)) {
+      return this.description.toString('utf8');
+    }
+    if (this.description && this.description.data && Array.isArray(this.description.data)) {
+      return Buffer.from(this.description.data).toString('utf8');
+    }
+    return this.description || '';
+  }
+
+  // Lightweight representation for revision lists
+  toSummary() {
+    return {
+      id: this.id,
+      noticeId: this.noticeId,
+      revisionNumber: this.revisionNumber,
+      title: this.title,
+      status: this.status,
+      editedBy: this.editedBy,
+      editorUsername: this.editorUsername,
+      editorName: this.editorName,
+      changeSummary: this.changeSummary,
+      createdAt: this.createdAt
+    };
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      ...this.toSummary(),
+      description: this.getDescriptionText(),
+      imageUrl: this.imageUrl,
+      files: this.files,
+      priority: this.priority
+    };
+  }
+}
+
+module.exports = NoticeRevision;
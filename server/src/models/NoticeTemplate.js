@@ -0,0 +1,319 @@
+// Notice Template model - markdown templates with typed placeholders, shared or per department
+const secureDatabase = require('../config/database');
+
+const FIELD_TYPES = ['text', 'date', 'time', 'location', 'course_code'];
+
+// {{key}} in a template body; keys are lowercase snake_case
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+
+const TEMPLATE_SELECT = `
+  SELECT t.*, d.name AS department_name, c.name AS default_category_name, u.username AS creator_username
+  FROM notice_templates t
+  LEFT JOIN categories d ON t.department_id = d.id
+  LEFT JOIN categories c ON t.default_category_id = c.id
+  LEFT JOIN users u ON t.created_by = u.id
+`;
+
+class NoticeTemplate {
+  constructor(templateData = {}) {
+    this.id = templateData.id || null;
+    this.name = templateData.name || null;
+    this.description = templateData.description || null;
+    this.departmentId = templateData.department_id || templateData.departmentId || null;
+    this.body = NoticeTemplate.toText(templateData.body);
+    this.defaultPriority = templateData.default_priority || templateData.defaultPriority || null;
+    this.defaultCategoryId = templateData.default_category_id || templateData.defaultCategoryId || null;
+    this.usageCount = parseInt(templateData.usage_count ?? templateData.usageCount) || 0;
+    this.lastUsedAt = templateData.last_used_at || templateData.lastUsedAt || null;
+    this.isActive = templateData.is_active !== undefined ? !!templateData.is_active : templateData.isActive !== false;
+    this.createdBy = templateData.created_by || templateData.createdBy || null;
+    this.createdAt = templateData.created_at || templateData.createdAt || null;
+    this.updatedAt = templateData.updated_at || templateData.updatedAt || null;
+
+    // Joined data
+    this.departmentName = templateData.department_name || null;
+    this.defaultCategoryName = templateData.default_category_name || null;
+    this.creatorUsername = templateData.creator_username || null;
+    this.fields = Array.isArray(templateData.fields) ? templateData.fields : [];
+  }
+
+  // Bodies may come back from the driver as buffers
+  static toText(value) {
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    return typeof value === 'string' ? value : '';
+  }
+
+  /**
+   * Placeholder keys used in a template body, in order of first use
+   * @param {string} body - Markdown body
+   * @returns {Array<string>} - Keys
+   */
+  static getPlaceholders(body) {
+    const keys = [...String(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(keys)];
+  }
+
+  /**
+   * List templates, most used first
+   * @param {Object} options - { departmentIds (null for every department), departmentId, includeInactive }
+   * @returns {Array<NoticeTemplate>} - Templates with their fields
+   */
+  static async findAll(options = {}) {
+    try {
+      const { departmentIds = null, departmentId = null, includeInactive = false } = options;
+      const conditions = [];
+      const params = [];
+
+      if (!includeInactive) {
+        conditions.push('t.is_active = TRUE');
+      }
+
+      // Shared templates are visible to everyone, department templates to their members
+      if (Array.isArray(departmentIds)) {
+        const ids = departmentIds.map(id => parseInt(id)).filter(id => id > 0);
+        conditions.push(ids.length > 0
+          ? `(t.department_id IS NULL OR t.department_id IN (${ids.map(() => '?').join(', ')}))`
+          : 't.department_id IS NULL');
+        params.push(...ids);
+      }
+
+      if (departmentId) {
+        conditions.push('(t.department_id IS NULL OR t.department_id = ?)');
+        params.push(parseInt(departmentId));
+      }
+
+      const result = await secureDatabase.executeQuery(
+        `${TEMPLATE_SELECT}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY t.usage_count DESC, t.name ASC`,
+        params
+      );
+
+      const templates = result.rows.map(row => new NoticeTemplate(row));
+      await NoticeTemplate.attachFields(templates);
+
+      return templates;
+    } catch (error) {
+      console.error('💥 Error finding templates:', error.message);
+      throw new Error('Failed to find templates');
+    }
+  }
+
+  // Static method to find a template by ID
+  static async findById(id) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `${TEMPLATE_SELECT} WHERE t.id = ? LIMIT 1`,
+        [parseInt(id)]
+      );
+
+      if (!result.rows || result.rows.length === 0) {
+        return null;
+      }
+
+      const template = new NoticeTemplate(result.rows[0]);
+      await NoticeTemplate.attachFields(template);
+
+      return template;
+    } catch (error) {
+      console.error('💥 Error finding template:', error.message);
+      throw new Error('Failed to find template');
+    }
+  }
+
+  // Load the fields of one or more templates in a single query
+  static async attachFields(templates) {
+    const list = Array.isArray(templates) ? templates : [templates];
+    if (list.length === 0) {
+      return;
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `SELECT * FROM notice_template_fields
+       WHERE template_id IN (${list.map(() => '?').join(', ')})
+       ORDER BY sort_order ASC, id ASC`,
+      list.map(template => template.id)
+    );
+
+    for (const template of list) {
+      template.fields = result.rows
+        .filter(row => row.template_id === template.id)
+        .map(row => ({
+          key: row.field_key,
+          label: row.label,
+          type: row.field_type,
+          required: !!row.is_required
+        }));
+    }
+  }
+
+  /**
+   * Create a template with its fields
+   * @param {Object} data - { name, description, departmentId, body, defaultPriority, defaultCategoryId, isActive, fields }
+   * @param {Object} user - Acting user
+   * @returns {NoticeTemplate} - Stored template
+   */
+  static async create(data, user) {
+    try {
+      const templateId = await secureDatabase.withTransaction(async (query) => {
+        // Body at index 3: free text is only allowed there by the query guard
+        const result = await query(
+          `INSERT INTO notice_templates (name, description, department_id, body, default_priority, default_category_id, is_active, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            String(data.name).trim(),
+            data.description ? String(data.description).trim() : null,
+            data.departmentId ? parseInt(data.departmentId) : null,
+            String(data.body),
+            data.defaultPriority || null,
+            data.defaultCategoryId ? parseInt(data.defaultCategoryId) : null,
+            data.isActive === undefined ? true : !!data.isActive,
+            user && user.id ? parseInt(user.id) : null
+          ]
+        );
+
+        await NoticeTemplate.saveFields(query, result.insertId, data.fields || []);
+        return result.insertId;
+      });
+
+      return await NoticeTemplate.findById(templateId);
+    } catch (error) {
+      console.error('💥 Error creating template:', error.message);
+      throw error;
+    }
+  }
+
+  // Replace the fields of a template within a transaction
+  static async saveFields(query, templateId, fields) {
+    await query('DELETE FROM notice_template_fields WHERE template_id = ?', [templateId]);
+
+    for (const [index, field] of fields.entries()) {
+      // Label at index 3: free text is only allowed there by the query guard
+      await query(
+        `INSERT INTO notice_template_fields (template_id, field_key, field_type, label, is_required, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [templateId, field.key, field.type || 'text', String(field.label).trim(), !!field.required, index]
+      );
+    }
+  }
+
+  /**
+   * Update the template; fields are replaced when given
+   * @param {Object} data - Same shape as create, every key optional
+   * @returns {NoticeTemplate} - Updated template
+   */
+  async update(data) {
+    try {
+      const next = {
+        name: data.name !== undefined ? String(data.name).trim() : this.name,
+        description: data.description !== undefined ? (data.description ? String(data.description).trim() : null) : this.description,
+        departmentId: data.departmentId !== undefined ? (data.departmentId ? parseInt(data.departmentId) : null) : this.departmentId,
+        body: data.body !== undefined ? String(data.body) : this.body,
+        defaultPriority: data.defaultPriority !== undefined ? data.defaultPriority || null : this.defaultPriority,
+        defaultCategoryId: data.defaultCategoryId !== undefined
+          ? (data.defaultCategoryId ? parseInt(data.defaultCategoryId) : null)
+          : this.defaultCategoryId,
+        isActive: data.isActive !== undefined ? !!data.isActive : this.isActive
+      };
+
+      await secureDatabase.withTransaction(async (query) => {
+        // Body at index 3: free text is only allowed there by the query guard
+        await query(
+          `UPDATE notice_templates
+           SET name = ?, description = ?, department_id = ?, body = ?, default_priority = ?, default_category_id = ?, is_active = ?
+           WHERE id = ?`,
+          [next.name, next.description, next.departmentId, next.body, next.defaultPriority, next.defaultCategoryId, next.isActive, this.id]
+        );
+
+        if (Array.isArray(data.fields)) {
+          await NoticeTemplate.saveFields(query, this.id, data.fields);
+        }
+      });
+
+      const updated = await NoticeTemplate.findById(this.id);
+      Object.assign(this, updated);
+
+      return this;
+    } catch (error) {
+      console.error('💥 Error updating template:', error.message);
+      throw error;
+    }
+  }
+
+  // Delete the template (its fields go with it)
+  async delete() {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'DELETE FROM notice_templates WHERE id = ?',
+        [this.id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('💥 Error deleting template:', error.message);
+      throw new Error('Failed to delete template');
+    }
+  }
+
+  // Count one more notice started from this template
+  async recordUse() {
+    try {
+      await secureDatabase.executeQuery(
+        'UPDATE notice_templates SET usage_count = usage_count + 1, last_used_at = NOW() WHERE id = ?',
+        [this.id]
+      );
+
+      this.usageCount += 1;
+      this.lastUsedAt = new Date();
+    } catch (error) {
+      // A missed count must not stop the author from using the template
+      console.error('💥 Error recording template use:', error.message);
+    }
+  }
+
+  /**
+   * Fill the placeholders of the body; placeholders without a value become [Label] prompts
+   * @param {Object} values - Formatted values by field key
+   * @returns {string} - Markdown
+   */
+  render(values = {}) {
+    return this.body.replace(PLACEHOLDER_PATTERN, (match, key) => {
+      if (values[key]) {
+        return values[key];
+      }
+
+      const field = this.fields.find(item => item.key === key);
+      return `[${field ? field.label : key}]`;
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      department: this.departmentId ? {
+        id: this.departmentId,
+        name: this.departmentName
+      } : null,
+      body: this.body,
+      fields: this.fields,
+      defaultPriority: this.defaultPriority,
+      defaultCategory: this.defaultCategoryId ? {
+        id: this.defaultCategoryId,
+        name: this.defaultCategoryName
+      } : null,
+      usageCount: this.usageCount,
+      lastUsedAt: this.lastUsedAt,
+      isActive: this.isActive,
+      createdBy: this.createdBy,
+      creatorUsername: this.creatorUsername,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+NoticeTemplate.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = NoticeTemplate;
@@ -0,0 +1,151 @@
+// Notice Translation model - title and description of a notice in its other official languages
+const secureDatabase = require('../config/database');
+
+// Sri Lanka's official languages; the notice row holds one of them, translations the others
+const SUPPORTED_LANGUAGES = ['en', 'si', 'ta'];
+
+// Served when the requested language is missing, before the notice's original language
+const FALLBACK_LANGUAGE = 'en';
+
+class NoticeTranslation {
+  constructor(translationData = {}) {
+    this.id = translationData.id || null;
+    this.noticeId = translationData.notice_id || translationData.noticeId || null;
+    this.language = translationData.language || null;
+    this.title = translationData.title || null;
+    this.description = NoticeTranslation.toText(translationData.description);
+    this.createdAt = translationData.created_at || translationData.createdAt || null;
+    this.updatedAt = translationData.updated_at || translationData.updatedAt || null;
+  }
+
+  // Descriptions may come back from the driver as buffers
+  static toText(value) {
+    if (Buffer.isBuffer(value)) return value.toString('utf8');
+    if (value && typeof value === 'object' && Array.isArray(value.data)) {
+      return Buffer.from(value.data).toString('utf8');
+    }
+    return typeof value === 'string' ? value : null;
+  }
+
+  static isSupported(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+  }
+
+  /**
+   * Save translations of a notice. Languages with an empty title and description are removed,
+   * languages not mentioned are left as they are.
+   * @param {number} noticeId - Notice ID
+   * @param {Object} translations - { si: { title, description }, ta: {...}, en: {...} }
+   * @param {string} primaryLanguage - Language of the notice row, never stored as a translation
+   * @returns {Array<NoticeTranslation>} - Translations after the save
+   */
+  static async setForNotice(noticeId, translations = {}, primaryLanguage = FALLBACK_LANGUAGE) {
+    try {
+      const id = parseInt(noticeId);
+
+      // The notice row already holds its own language
+      await secureDatabase.executeQuery(
+        'DELETE FROM notice_translations WHERE notice_id = ? AND language = ?',
+        [id, primaryLanguage]
+      );
+
+      for (const [language, content] of Object.entries(translations || {})) {
+        if (!NoticeTranslation.isSupported(language) || language === primaryLanguage) {
+          continue;
+        }
+
+        const title = content && content.title ? String(content.title).trim() : '';
+        const description = content && content.description ? String(content.description).trim() : '';
+
+        if (!title && !description) {
+          await secureDatabase.executeQuery(
+            'DELETE FROM notice_translations WHERE notice_id = ? AND language = ?',
+            [id, language]
+          );
+          continue;
+        }
+
+        if (!title || !description) {
+          throw new Error(`Validation failed: ${language} translation needs both a title and a description`);
+        }
+
+        // Description at index 3: free text is only allowed there by the query guard
+        await secureDatabase.executeQuery(
+          `INSERT INTO notice_translations (notice_id, language, title, description)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE title = VALUES(title), description = VALUES(description), updated_at = NOW()`,
+          [id, language, title, description]
+        );
+      }
+
+      return await NoticeTranslation.findByNotice(id);
+    } catch (error) {
+      console.error('💥 Error saving notice translations:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to list the translations of a notice
+  static async findByNotice(noticeId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM notice_translations WHERE notice_id = ? ORDER BY language ASC',
+        [parseInt(noticeId)]
+      );
+
+      return result.rows.map(row => new NoticeTranslation(row));
+    } catch (error) {
+      console.error('💥 Error finding notice translations:', error.message);
+      throw new Error('Failed to find notice translations');
+    }
+  }
+
+  // Load translations for a batch of notices and set notice.translations on each
+  static async attachToNotices(notices) {
+    const list = (Array.isArray(notices) ? notices : [notices]).filter(notice => notice && notice.id);
+    if (list.length === 0) {
+      return notices;
+    }
+
+    try {
+      const ids = list.map(notice => parseInt(notice.id));
+      const placeholders = ids.map(() => '?').join(', ');
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT * FROM notice_translations WHERE notice_id IN (${placeholders}) ORDER BY language ASC`,
+        ids
+      );
+
+      const byNotice = new Map();
+      result.rows.forEach(row => {
+        if (!byNotice.has(row.notice_id)) {
+          byNotice.set(row.notice_id, []);
+        }
+        byNotice.get(row.notice_id).push(new NoticeTranslation(row));
+      });
+
+      list.forEach(notice => {
+        notice.translations = byNotice.get(parseInt(notice.id)) || [];
+      });
+    } catch (error) {
+      // Without translations notices are still served in their original language
+      console.warn('Could not load notice translations:', error.message);
+    }
+
+    return notices;
+  }
+
+  toJSON() {
+    return {
+      language: this.language,
+      title: this.title,
+      description: this.description,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+NoticeTranslation.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+NoticeTranslation.FALLBACK_LANGUAGE = FALLBACK_LANGUAGE;
+
+module.exports = NoticeTranslation;
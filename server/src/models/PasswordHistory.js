@@ -0,0 +1,65 @@
+// Password History model - hashes of passwords a user has replaced, kept to prevent reuse
+const secureDatabase = require('../config/database');
+
+class PasswordHistory {
+  constructor(historyData = {}) {
+    this.id = historyData.id || null;
+    this.userId = historyData.user_id || historyData.userId || null;
+    this.passwordHash = historyData.password_hash || historyData.passwordHash || null;
+    this.createdAt = historyData.created_at || historyData.createdAt || null;
+  }
+
+  // Remember a replaced password hash
+  static async add(userId, passwordHash) {
+    try {
+      await secureDatabase.executeQuery(
+        'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+        [parseInt(userId), passwordHash]
+      );
+    } catch (error) {
+      console.error('💥 Error adding password history:', error.message);
+      throw new Error('Failed to record password history');
+    }
+  }
+
+  // Static method to list the most recent replaced hashes of a user, newest first
+  static async getRecent(userId, limit) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT * FROM password_history
+         WHERE user_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT ?`,
+        [parseInt(userId), Math.max(1, parseInt(limit) || 1)]
+      );
+
+      return result.rows.map(row => new PasswordHistory(row));
+    } catch (error) {
+      console.error('💥 Error finding password history:', error.message);
+      throw new Error('Failed to find password history');
+    }
+  }
+
+  // Keep only the newest entries of a user
+  static async prune(userId, keep) {
+    try {
+      const recent = keep > 0 ? await PasswordHistory.getRecent(userId, keep) : [];
+      const keepIds = recent.map(entry => entry.id);
+
+      if (keepIds.length === 0) {
+        await secureDatabase.executeQuery('DELETE FROM password_history WHERE user_id = ?', [parseInt(userId)]);
+        return;
+      }
+
+      const placeholders = keepIds.map(() => '?').join(', ');
+      await secureDatabase.executeQuery(
+        `DELETE FROM password_history WHERE user_id = ? AND id NOT IN (${placeholders})`,
+        [parseInt(userId), ...keepIds]
+      );
+    } catch (error) {
+      console.error('💥 Error pruning password history:', error.message);
+    }
+  }
+}
+
+module.exports = PasswordHistory;
@@ -0,0 +1,112 @@
+// Password Reset Token model - single-use, time-limited tokens for emailed reset links
+const crypto = require('crypto');
+const secureDatabase = require('../config/database');
+
+// Only hashes of reset tokens are stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+class PasswordResetToken {
+  constructor(tokenData = {}) {
+    this.id = tokenData.id || null;
+    this.userId = tokenData.user_id || tokenData.userId || null;
+    this.expiresAt = tokenData.expires_at || tokenData.expiresAt || null;
+    this.usedAt = tokenData.used_at || tokenData.usedAt || null;
+    this.requestedIp = tokenData.requested_ip || tokenData.requestedIp || null;
+    this.createdAt = tokenData.created_at || tokenData.createdAt || null;
+  }
+
+  static isWellFormed(token) {
+    return !!token && /^[a-f0-9]{64}$/.test(String(token));
+  }
+
+  /**
+   * Create a reset token; earlier unused tokens of the user stop working
+   * @param {number} userId - User ID
+   * @param {number} ttlMinutes - Minutes until the token expires
+   * @param {string} ipAddress - Requesting IP address
+   * @returns {Object} - { resetToken, record } - the plain token is only available here
+   */
+  static async create(userId, ttlMinutes, ipAddress = null) {
+    try {
+      await PasswordResetToken.invalidateForUser(userId);
+
+      const resetToken = generateToken();
+      const result = await secureDatabase.executeQuery(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+         VALUES (?, ?, NOW() + INTERVAL ? MINUTE, ?)`,
+        [parseInt(userId), hashToken(resetToken), parseInt(ttlMinutes), ipAddress]
+      );
+
+      return {
+        resetToken,
+        record: new PasswordResetToken({ id: result.insertId, user_id: userId, requested_ip: ipAddress })
+      };
+    } catch (error) {
+      console.error('💥 Error creating password reset token:', error.message);
+      throw new Error('Failed to create password reset token');
+    }
+  }
+
+  // Static method to find an unused, unexpired token
+  static async findValid(token) {
+    if (!PasswordResetToken.isWellFormed(token)) {
+      return null;
+    }
+
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT * FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+         LIMIT 1`,
+        [hashToken(token)]
+      );
+
+      return result.rows.length > 0 ? new PasswordResetToken(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding password reset token:', error.message);
+      throw new Error('Failed to find password reset token');
+    }
+  }
+
+  /**
+   * Mark the token used. Only one request can succeed, so a link cannot be used twice.
+   * @returns {boolean} - Whether the token was still valid
+   */
+  async consume() {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE password_reset_tokens
+       SET used_at = NOW()
+       WHERE id = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [this.id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  // Expire every unused token of a user
+  static async invalidateForUser(userId) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE password_reset_tokens
+       SET used_at = NOW()
+       WHERE user_id = ? AND used_at IS NULL`,
+      [parseInt(userId)]
+    );
+
+    return result.affectedRows;
+  }
+
+  // Static method to count the reset requests of a user within a period
+  static async countRecent(userId, windowMs) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT COUNT(*) AS requests
+       FROM password_reset_tokens
+       WHERE user_id = ? AND created_at > NOW() - INTERVAL ? SECOND`,
+      [parseInt(userId), Math.ceil(windowMs / 1000)]
+    );
+
+    return parseInt(result.rows[0]?.requests) || 0;
+  }
+}
+
+module.exports = PasswordResetToken;
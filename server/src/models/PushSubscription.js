@@ -0,0 +1,262 @@
+// PushSubscription model - anonymous browser Web Push endpoints with priority and category filters
+const crypto = require('crypto');
+const secureDatabase = require('../config/database');
+const { logDataModification } = require('../middleware/logging');
+
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
+
+// Consecutive failed sends (other than "gone") before a subscription is dropped
+const MAX_FAILURES = 5;
+
+// Endpoints are long capability URLs; lookups go through their hash
+const hashEndpoint = (endpoint) => crypto.createHash('sha256').update(String(endpoint)).digest('hex');
+
+class PushSubscription {
+  constructor(subscriptionData = {}) {
+    const subscription = PushSubscription.parseSubscription(subscriptionData.subscription);
+
+    this.id = subscriptionData.id || null;
+    this.endpoint = subscription.endpoint || null;
+    this.keys = subscription.keys || {};
+    this.minPriority = subscriptionData.min_priority || subscriptionData.minPriority || 'high';
+    this.lastSuccessAt = subscriptionData.last_success_at || subscriptionData.lastSuccessAt || null;
+    this.failureCount = parseInt(subscriptionData.failure_count) || 0;
+    this.createdAt = subscriptionData.created_at || subscriptionData.createdAt || null;
+    this.updatedAt = subscriptionData.updated_at || subscriptionData.updatedAt || null;
+
+    // Joined data
+    this.categoryIds = Array.isArray(subscriptionData.categoryIds) ? subscriptionData.categoryIds : [];
+  }
+
+  // Parse stored subscription JSON safely
+  static parseSubscription(subscription) {
+    if (subscription && typeof subscription === 'object') {
+      return subscription;
+    }
+
+    try {
+      return subscription ? JSON.parse(subscription) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Static method to find a subscription by its push endpoint
+  static async findByEndpoint(endpoint) {
+    if (!endpoint) {
+      return null;
+    }
+
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM push_subscriptions WHERE endpoint_hash = ? LIMIT 1',
+        [hashEndpoint(endpoint)]
+      );
+
+      if (!result.rows || result.rows.length === 0) {
+        return null;
+      }
+
+      const subscription = new PushSubscription(result.rows[0]);
+      subscription.categoryIds = await PushSubscription.getCategoryIds(subscription.id);
+      return subscription;
+    } catch (error) {
+      console.error('💥 Error finding push subscription:', error.message);
+      throw new Error('Failed to find push subscription');
+    }
+  }
+
+  /**
+   * Store a browser subscription, or refresh it and its preferences if the endpoint is known
+   * @param {Object} data - { subscription: { endpoint, keys: { p256dh, auth } }, minPriority, categoryIds }
+   * @returns {PushSubscription} - Stored subscription
+   */
+  static async upsert(data) {
+    try {
+      const { endpoint, keys } = data.subscription;
+      const minPriority = VALID_PRIORITIES.includes(data.minPriority) ? data.minPriority : 'high';
+
+      // Subscription JSON at index 3: endpoints and keys are base64url and may contain "--"
+      await secureDatabase.executeQuery(
+        `INSERT INTO push_subscriptions (endpoint_hash, min_priority, failure_count, subscription)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE subscription = VALUES(subscription), min_priority = VALUES(min_priority), failure_count = 0`,
+        [
+          hashEndpoint(endpoint),
+          minPriority,
+          0,
+          JSON.stringify({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } })
+        ]
+      );
+
+      const subscription = await PushSubscription.findByEndpoint(endpoint);
+      subscription.categoryIds = await PushSubscription.setCategories(subscription.id, data.categoryIds);
+
+      logDataModification(
+        { user: null },
+        'CREATE',
+        'push_subscriptions',
+        {
+          id: subscription.id,
+          success: true,
+          after: { minPriority, categoryIds: subscription.categoryIds }
+        }
+      );
+
+      return subscription;
+    } catch (error) {
+      console.error('💥 Error saving push subscription:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find subscriptions that want a published notice: priority at or above their
+   * threshold, and either no category filter or at least one shared category
+   * @param {Object} notice - Notice with categories attached
+   * @returns {Array<PushSubscription>} - Matching subscriptions
+   */
+  static async findMatchingForNotice(notice) {
+    try {
+      const categoryIds = (notice.categories || []).map(category => parseInt(category.id)).filter(id => id > 0);
+
+      // Subscriptions without categories follow everything
+      const categoryClause = categoryIds.length > 0
+        ? `OR EXISTS (
+            SELECT 1 FROM push_subscription_categories pc2
+            WHERE pc2.subscription_id = ps.id AND pc2.category_id IN (${categoryIds.map(() => '?').join(', ')})
+          )`
+        : '';
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT ps.* FROM push_subscriptions ps
+         WHERE FIELD(ps.min_priority, 'low', 'medium', 'high') <= FIELD(?, 'low', 'medium', 'high')
+           AND (
+             NOT EXISTS (SELECT 1 FROM push_subscription_categories pc WHERE pc.subscription_id = ps.id)
+             ${categoryClause}
+           )`,
+        [notice.priority || 'medium', ...categoryIds]
+      );
+
+      return result.rows.map(row => new PushSubscription(row));
+    } catch (error) {
+      console.error('💥 Error finding matching push subscriptions:', error.message);
+      throw new Error('Failed to find matching push subscriptions');
+    }
+  }
+
+  // Instance method to note a successful send
+  async recordSuccess() {
+    await secureDatabase.executeQuery(
+      'UPDATE push_subscriptions SET last_success_at = NOW(), failure_count = 0 WHERE id = ?',
+      [this.id]
+    );
+  }
+
+  // Instance method to claim a notice for this subscription; false when it was already sent
+  async markNoticeSent(noticeId) {
+    const result = await secureDatabase.executeQuery(
+      'INSERT IGNORE INTO push_subscription_notices (subscription_id, notice_id) VALUES (?, ?)',
+      [this.id, parseInt(noticeId)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Instance method to note a failed send; returns true when the subscription was dropped
+  async recordFailure() {
+    if (this.failureCount + 1 >= MAX_FAILURES) {
+      await this.delete();
+      return true;
+    }
+
+    await secureDatabase.executeQuery(
+      'UPDATE push_subscriptions SET failure_count = failure_count + 1 WHERE id = ?',
+      [this.id]
+    );
+    this.failureCount++;
+    return false;
+  }
+
+  // Instance method to remove a subscription (unsubscribed or expired at the push service)
+  async delete() {
+    await secureDatabase.executeQuery('DELETE FROM push_subscriptions WHERE id = ?', [this.id]);
+
+    logDataModification(
+      { user: null },
+      'DELETE',
+      'push_subscriptions',
+      { id: this.id, success: true }
+    );
+
+    return true;
+  }
+
+  // Static method for admin statistics
+  static async getStats() {
+    const result = await secureDatabase.executeQuery(
+      'SELECT min_priority, COUNT(*) as count FROM push_subscriptions GROUP BY min_priority',
+      []
+    );
+
+    return result.rows.reduce((stats, row) => {
+      stats.byMinPriority[row.min_priority] = parseInt(row.count);
+      stats.total += parseInt(row.count);
+      return stats;
+    }, { total: 0, byMinPriority: {} });
+  }
+
+  static async getCategoryIds(subscriptionId) {
+    const result = await secureDatabase.executeQuery(
+      'SELECT category_id FROM push_subscription_categories WHERE subscription_id = ?',
+      [parseInt(subscriptionId)]
+    );
+    return result.rows.map(row => row.category_id);
+  }
+
+  // Replace the set of categories a subscription follows (only existing, active categories)
+  static async setCategories(subscriptionId, categoryIds = []) {
+    const ids = [...new Set((categoryIds || []).map(id => parseInt(id)).filter(id => id > 0))];
+
+    await secureDatabase.executeQuery(
+      'DELETE FROM push_subscription_categories WHERE subscription_id = ?',
+      [parseInt(subscriptionId)]
+    );
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const existing = await secureDatabase.executeQuery(
+      `SELECT id FROM categories WHERE is_active = TRUE AND id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+
+    for (const row of existing.rows) {
+      await secureDatabase.executeQuery(
+        'INSERT INTO push_subscription_categories (subscription_id, category_id) VALUES (?, ?)',
+        [parseInt(subscriptionId), row.id]
+      );
+    }
+
+    return existing.rows.map(row => row.id);
+  }
+
+  // Shape expected by web-push sendNotification()
+  toWebPush() {
+    return { endpoint: this.endpoint, keys: this.keys };
+  }
+
+  // Preferences returned to the browser that owns the endpoint
+  toJSON() {
+    return {
+      minPriority: this.minPriority,
+      categoryIds: this.categoryIds,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+PushSubscription.VALID_PRIORITIES = VALID_PRIORITIES;
+PushSubscription.MAX_FAILURES = MAX_FAILURES;
+
+module.exports = PushSubscription;
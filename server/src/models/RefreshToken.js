@@ -0,0 +1,104 @@
+// Refresh Token model - rotating, single-use tokens that keep a login session going
+const crypto = require('crypto');
+const secureDatabase = require('../config/database');
+
+// Only hashes of refresh tokens are stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+class RefreshToken {
+  constructor(tokenData = {}) {
+    this.id = tokenData.id || null;
+    this.sessionId = tokenData.session_id || tokenData.sessionId || null;
+    this.expiresAt = tokenData.expires_at || tokenData.expiresAt || null;
+    this.usedAt = tokenData.used_at || tokenData.usedAt || null;
+    this.createdAt = tokenData.created_at || tokenData.createdAt || null;
+  }
+
+  static isWellFormed(token) {
+    return !!token && /^[a-f0-9]{64}$/.test(String(token));
+  }
+
+  /**
+   * Issue the next refresh token of a session
+   * @param {number} sessionId - User session the token belongs to
+   * @param {number} ttlDays - Days until the token expires
+   * @returns {Object} - { refreshToken, record } - the plain token is only available here
+   */
+  static async create(sessionId, ttlDays) {
+    try {
+      const refreshToken = generateToken();
+      const result = await secureDatabase.executeQuery(
+        `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+         VALUES (?, ?, NOW() + INTERVAL ? DAY)`,
+        [parseInt(sessionId), hashToken(refreshToken), parseInt(ttlDays)]
+      );
+
+      return {
+        refreshToken,
+        record: new RefreshToken({ id: result.insertId, session_id: sessionId })
+      };
+    } catch (error) {
+      console.error('💥 Error creating refresh token:', error.message);
+      throw new Error('Failed to create refresh token');
+    }
+  }
+
+  // Static method to find a token, used or not, so replays can be recognised
+  static async findByToken(token) {
+    if (!RefreshToken.isWellFormed(token)) {
+      return null;
+    }
+
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM refresh_tokens WHERE token_hash = ? LIMIT 1',
+        [hashToken(token)]
+      );
+
+      return result.rows.length > 0 ? new RefreshToken(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding refresh token:', error.message);
+      throw new Error('Failed to find refresh token');
+    }
+  }
+
+  /**
+   * Mark the token used. Only one request can succeed; a second one is a replay.
+   * @returns {boolean} - Whether the token was still unused
+   */
+  async consume() {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE refresh_tokens
+       SET used_at = NOW()
+       WHERE id = ? AND used_at IS NULL`,
+      [this.id]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  isUsed() {
+    return !!this.usedAt;
+  }
+
+  /**
+   * Whether the token was used no more than the given seconds ago. A copy read just before a
+   * concurrent request consumed the token has no usedAt yet; that use is happening right now.
+   * @param {number} seconds - Grace period
+   * @returns {boolean} - Whether the last use is recent
+   */
+  isRecentlyUsed(seconds) {
+    if (seconds <= 0) {
+      return false;
+    }
+
+    return !this.usedAt || Date.now() - new Date(this.usedAt).getTime() <= seconds * 1000;
+  }
+
+  isExpired() {
+    return new Date(this.expiresAt) <= new Date();
+  }
+}
+
+module.exports = RefreshToken;
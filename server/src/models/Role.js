@@ -0,0 +1,241 @@
+// Role model - configurable staff roles and the permissions they grant
+const secureDatabase = require('../config/database');
+const { logDataModification } = require('../middleware/logging');
+
+class Role {
+  constructor(roleData = {}) {
+    this.name = roleData.name || null;
+    this.displayName = roleData.display_name || roleData.displayName || null;
+    this.description = roleData.description || null;
+    this.isSystem = !!(roleData.is_system !== undefined ? roleData.is_system : roleData.isSystem);
+    this.permissions = roleData.permissions || [];
+    this.createdAt = roleData.created_at || roleData.createdAt || null;
+    this.updatedAt = roleData.updated_at || roleData.updatedAt || null;
+
+    // Joined data
+    this.userCount = roleData.user_count !== undefined ? parseInt(roleData.user_count) : undefined;
+  }
+
+  // Static method to list roles with their permissions
+  static async findAll(options = {}) {
+    try {
+      const { withCounts = false } = options;
+
+      let query = 'SELECT r.*';
+      if (withCounts) {
+        query += ', (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count';
+      }
+      query += ' FROM roles r ORDER BY r.is_system DESC, r.display_name ASC';
+
+      const [roles, permissions] = await Promise.all([
+        secureDatabase.executeQuery(query, []),
+        secureDatabase.executeQuery('SELECT role_name, permission FROM role_permissions ORDER BY permission ASC', [])
+      ]);
+
+      return roles.rows.map(row => new Role({
+        ...row,
+        permissions: permissions.rows
+          .filter(permission => permission.role_name === row.name)
+          .map(permission => permission.permission)
+      }));
+    } catch (error) {
+      console.error('💥 Error listing roles:', error.message);
+      throw new Error('Failed to list roles');
+    }
+  }
+
+  // Static method to find role by name
+  static async findByName(name) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM roles WHERE name = ? LIMIT 1',
+        [String(name)]
+      );
+
+      if (!result.rows || result.rows.length === 0) {
+        return null;
+      }
+
+      const role = new Role(result.rows[0]);
+      role.permissions = await Role.getPermissions(role.name);
+      return role;
+    } catch (error) {
+      console.error('💥 Error finding role by name:', error.message);
+      throw new Error('Failed to find role');
+    }
+  }
+
+  // Static method to list the permissions of a role
+  static async getPermissions(name) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT permission FROM role_permissions WHERE role_name = ? ORDER BY permission ASC',
+        [String(name)]
+      );
+
+      return result.rows.map(row => row.permission);
+    } catch (error) {
+      console.error('💥 Error getting role permissions:', error.message);
+      throw new Error('Failed to get role permissions');
+    }
+  }
+
+  // Static method to create a role
+  static async create(roleData, createdBy) {
+    try {
+      await secureDatabase.executeQuery(
+        'INSERT INTO roles (name, display_name, description, is_system) VALUES (?, ?, ?, FALSE)',
+        [roleData.name, roleData.displayName, roleData.description || null]
+      );
+
+      await Role.replacePermissions(roleData.name, roleData.permissions || []);
+
+      logDataModification(
+        { user: createdBy },
+        'CREATE',
+        'roles',
+        {
+          id: roleData.name,
+          success: true,
+          after: { name: roleData.name, permissions: roleData.permissions }
+        }
+      );
+
+      return await Role.findByName(roleData.name);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY' || error.message.includes('Duplicate entry')) {
+        throw new Error('A role with this name already exists');
+      }
+      console.error('💥 Error creating role:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to update the display name, description and permissions
+  async update(updateData, updatedBy) {
+    try {
+      const updateFields = [];
+      const updateValues = [];
+
+      if (updateData.displayName !== undefined) {
+        updateFields.push('display_name = ?');
+        updateValues.push(updateData.displayName);
+      }
+
+      if (updateData.description !== undefined) {
+        updateFields.push('description = ?');
+        updateValues.push(updateData.description || null);
+      }
+
+      if (updateFields.length === 0 && updateData.permissions === undefined) {
+        throw new Error('No valid fields to update');
+      }
+
+      if (updateFields.length > 0) {
+        updateValues.push(this.name);
+        await secureDatabase.executeQuery(
+          `UPDATE roles SET ${updateFields.join(', ')}, updated_at = NOW() WHERE name = ?`,
+          updateValues
+        );
+      }
+
+      if (updateData.permissions !== undefined) {
+        await Role.replacePermissions(this.name, updateData.permissions);
+      }
+
+      logDataModification(
+        { user: updatedBy },
+        'UPDATE',
+        'roles',
+        {
+          id: this.name,
+          success: true,
+          before: { displayName: this.displayName, permissions: this.permissions },
+          after: updateData
+        }
+      );
+
+      Object.assign(this, await Role.findByName(this.name));
+      return this;
+    } catch (error) {
+      console.error('💥 Error updating role:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to delete a role; users must be moved to another role first
+  async delete(deletedBy) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'DELETE FROM roles WHERE name = ? AND is_system = FALSE',
+        [this.name]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new Error('Role not found or cannot be deleted');
+      }
+
+      logDataModification(
+        { user: deletedBy },
+        'DELETE',
+        'roles',
+        {
+          id: this.name,
+          success: true,
+          before: { displayName: this.displayName, permissions: this.permissions }
+        }
+      );
+
+      return true;
+    } catch (error) {
+      console.error('💥 Error deleting role:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to count the users holding a role
+  static async countUsers(name) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT COUNT(*) AS total FROM users WHERE role = ?',
+        [String(name)]
+      );
+
+      return parseInt(result.rows[0].total) || 0;
+    } catch (error) {
+      console.error('💥 Error counting role users:', error.message);
+      throw new Error('Failed to count role users');
+    }
+  }
+
+  // Static method to replace the permission list of a role
+  static async replacePermissions(name, permissions) {
+    await secureDatabase.executeQuery('DELETE FROM role_permissions WHERE role_name = ?', [name]);
+
+    const unique = [...new Set(permissions)];
+    if (unique.length === 0) {
+      return;
+    }
+
+    await secureDatabase.executeQuery(
+      `INSERT INTO role_permissions (role_name, permission) VALUES ${unique.map(() => '(?, ?)').join(', ')}`,
+      unique.flatMap(permission => [name, permission])
+    );
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      description: this.description,
+      isSystem: this.isSystem,
+      permissions: this.permissions,
+      userCount: this.userCount,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Role;
@@ -209,13 +209,14 @@ class SiteVisit {
     }
   }
 
-  // Get general site analytics
+  // Get general site analytics; noticeScope ({ clause, params } on alias n) limits the top notices
   static async getSiteAnalytics(options = {}) {
     try {
       const {
         startDate = null,
         endDate = null,
-        limit = 30
+        limit = 30,
+        noticeScope = null
       } = options;
 
       // Build date filter
@@ -260,13 +261,16 @@ class SiteVisit {
           COUNT(DISTINCT sv.session_id) as unique_visitors
         FROM site_visits sv
         JOIN notices n ON sv.notice_id = n.id
-        WHERE 1=1 ${dateFilter}
+        WHERE 1=1 ${dateFilter} ${noticeScope ? `AND ${noticeScope.clause}` : ''}
         GROUP BY n.id, n.title, n.slug
         ORDER BY visit_count DESC
         LIMIT 10
       `;
 
-      const topNoticesResult = await secureDatabase.executeQuery(topNoticesQuery, params);
+      const topNoticesResult = await secureDatabase.executeQuery(
+        topNoticesQuery,
+        noticeScope ? [...params, ...noticeScope.params] : params
+      );
 
       // Referrer stats
       const referrerQuery = `
@@ -452,7 +456,7 @@ class SiteVisit {
   }
 
   // Get analytics dashboard data
-  static async getDashboardData() {
+  static async getDashboardData(options = {}) {
     try {
       // Get data for the last 30 days
       const thirtyDaysAgo = new Date();
@@ -460,7 +464,7 @@ class SiteVisit {
       const startDate = thirtyDaysAgo.toISOString().split('T')[0];
 
       // Get site analytics
-      const siteAnalytics = await SiteVisit.getSiteAnalytics({ startDate, limit: 30 });
+      const siteAnalytics = await SiteVisit.getSiteAnalytics({ startDate, limit: 30, noticeScope: options.noticeScope || null });
 
       // Get today's stats
       const todayQuery = `
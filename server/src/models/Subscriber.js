@@ -0,0 +1,398 @@
+// Subscriber model - public email subscribers with double opt-in and delivery preferences
+const crypto = require('crypto');
+const secureDatabase = require('../config/database');
+const { logDataModification } = require('../middleware/logging');
+
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
+const VALID_FREQUENCIES = ['instant', 'daily', 'weekly'];
+const DIGEST_INTERVAL_DAYS = { daily: 1, weekly: 7 };
+
+// Only hashes of confirmation tokens are stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+class Subscriber {
+  constructor(subscriberData = {}) {
+    this.id = subscriberData.id || null;
+    this.email = subscriberData.email || null;
+    this.status = subscriberData.status || 'pending';
+    this.minPriority = subscriberData.min_priority || subscriberData.minPriority || 'low';
+    this.frequency = subscriberData.frequency || 'instant';
+    this.manageToken = subscriberData.manage_token || subscriberData.manageToken || null;
+    this.confirmationExpiresAt = subscriberData.confirmation_expires_at || null;
+    this.confirmedAt = subscriberData.confirmed_at || subscriberData.confirmedAt || null;
+    this.unsubscribedAt = subscriberData.unsubscribed_at || subscriberData.unsubscribedAt || null;
+    this.lastDigestAt = subscriberData.last_digest_at || subscriberData.lastDigestAt || null;
+    this.createdAt = subscriberData.created_at || subscriberData.createdAt || null;
+    this.updatedAt = subscriberData.updated_at || subscriberData.updatedAt || null;
+
+    // Joined data
+    this.categoryIds = Array.isArray(subscriberData.categoryIds) ? subscriberData.categoryIds : [];
+  }
+
+  // Static method to find subscriber by ID
+  static async findById(id) {
+    return Subscriber.findOneBy('id = ?', [parseInt(id)]);
+  }
+
+  // Static method to find subscriber by email
+  static async findByEmail(email) {
+    return Subscriber.findOneBy('email = ?', [Subscriber.normalizeEmail(email)]);
+  }
+
+  // Static method to find subscriber from an unsubscribe / preferences link
+  static async findByManageToken(token) {
+    if (!token || !/^[a-f0-9]{64}$/.test(String(token))) {
+      return null;
+    }
+    return Subscriber.findOneBy('manage_token = ?', [String(token)]);
+  }
+
+  // Static method to find a pending subscriber by an unexpired confirmation token
+  static async findByConfirmationToken(token) {
+    if (!token || !/^[a-f0-9]{64}$/.test(String(token))) {
+      return null;
+    }
+    return Subscriber.findOneBy(
+      'confirmation_token_hash = ? AND confirmation_expires_at > NOW()',
+      [hashToken(token)]
+    );
+  }
+
+  static async findOneBy(condition, params) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT * FROM subscribers WHERE ${condition} LIMIT 1`,
+        params
+      );
+
+      if (!result.rows || result.rows.length === 0) {
+        return null;
+      }
+
+      const subscriber = new Subscriber(result.rows[0]);
+      subscriber.categoryIds = await Subscriber.getCategoryIds(subscriber.id);
+      return subscriber;
+    } catch (error) {
+      console.error('💥 Error finding subscriber:', error.message);
+      throw new Error('Failed to find subscriber');
+    }
+  }
+
+  // Static method to create a pending subscriber; returns the plain confirmation token once
+  static async create(subscriberData) {
+    try {
+      const email = Subscriber.normalizeEmail(subscriberData.email);
+      const confirmationToken = generateToken();
+
+      const result = await secureDatabase.executeQuery(
+        `INSERT INTO subscribers (email, min_priority, frequency, confirmation_token_hash, confirmation_expires_at, manage_token, ip_address)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          email,
+          VALID_PRIORITIES.includes(subscriberData.minPriority) ? subscriberData.minPriority : 'low',
+          VALID_FREQUENCIES.includes(subscriberData.frequency) ? subscriberData.frequency : 'instant',
+          hashToken(confirmationToken),
+          Subscriber.getConfirmationExpiry(subscriberData.confirmationTtlHours),
+          generateToken(),
+          subscriberData.ipAddress || null
+        ]
+      );
+
+      await Subscriber.setCategories(result.insertId, subscriberData.categoryIds);
+
+      logDataModification(
+        { user: null },
+        'CREATE',
+        'subscribers',
+        {
+          id: result.insertId,
+          success: true,
+          after: { status: 'pending', frequency: subscriberData.frequency }
+        }
+      );
+
+      return { subscriber: await Subscriber.findById(result.insertId), confirmationToken };
+    } catch (error) {
+      console.error('💥 Error creating subscriber:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to start a new opt-in round (re-subscribe or lost confirmation email)
+  async renewConfirmation(preferences = {}, confirmationTtlHours = 48) {
+    const confirmationToken = generateToken();
+
+    await secureDatabase.executeQuery(
+      `UPDATE subscribers
+       SET status = 'pending', confirmation_token_hash = ?, confirmation_expires_at = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [hashToken(confirmationToken), Subscriber.getConfirmationExpiry(confirmationTtlHours), this.id]
+    );
+
+    // Preferences submitted with the new signup replace the old ones
+    await this.updatePreferences(preferences);
+
+    return confirmationToken;
+  }
+
+  // Instance method to activate a pending subscription
+  async confirm() {
+    await secureDatabase.executeQuery(
+      `UPDATE subscribers
+       SET status = 'active', confirmed_at = COALESCE(confirmed_at, NOW()), unsubscribed_at = NULL,
+           last_digest_at = NOW(), confirmation_token_hash = NULL, confirmation_expires_at = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [this.id]
+    );
+
+    logDataModification(
+      { user: null },
+      'UPDATE',
+      'subscribers',
+      { id: this.id, success: true, before: { status: this.status }, after: { status: 'active' } }
+    );
+
+    Object.assign(this, await Subscriber.findById(this.id));
+    return this;
+  }
+
+  // Instance method to update delivery preferences
+  async updatePreferences(preferences = {}) {
+    const updateFields = [];
+    const updateValues = [];
+
+    if (VALID_PRIORITIES.includes(preferences.minPriority)) {
+      updateFields.push('min_priority = ?');
+      updateValues.push(preferences.minPriority);
+    }
+
+    if (VALID_FREQUENCIES.includes(preferences.frequency)) {
+      updateFields.push('frequency = ?');
+      updateValues.push(preferences.frequency);
+
+      // Switching to a digest starts its window now so old notices are not resent
+      if (preferences.frequency !== this.frequency) {
+        updateFields.push('last_digest_at = NOW()');
+      }
+    }
+
+    if (updateFields.length > 0) {
+      updateValues.push(this.id);
+      await secureDatabase.executeQuery(
+        `UPDATE subscribers SET ${updateFields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+        updateValues
+      );
+    }
+
+    if (Array.isArray(preferences.categoryIds)) {
+      await Subscriber.setCategories(this.id, preferences.categoryIds);
+    }
+
+    Object.assign(this, await Subscriber.findById(this.id));
+    return this;
+  }
+
+  // Instance method to stop all deliveries
+  async unsubscribe() {
+    await secureDatabase.executeQuery(
+      `UPDATE subscribers
+       SET status = 'unsubscribed', unsubscribed_at = NOW(), confirmation_token_hash = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [this.id]
+    );
+
+    // Nothing still queued should reach someone who left
+    await secureDatabase.executeQuery(
+      "DELETE FROM email_queue WHERE subscriber_id = ? AND status = 'pending'",
+      [this.id]
+    );
+
+    logDataModification(
+      { user: null },
+      'UPDATE',
+      'subscribers',
+      { id: this.id, success: true, before: { status: this.status }, after: { status: 'unsubscribed' } }
+    );
+
+    this.status = 'unsubscribed';
+    return this;
+  }
+
+  // Instance method to record that a digest window was handled
+  async markDigestSent() {
+    await secureDatabase.executeQuery(
+      'UPDATE subscribers SET last_digest_at = NOW() WHERE id = ?',
+      [this.id]
+    );
+    this.lastDigestAt = new Date();
+  }
+
+  // Instance method to record notices as sent; returns how many had not been sent before
+  async markNoticesSent(noticeIds = []) {
+    const ids = [...new Set(noticeIds.map(id => parseInt(id)).filter(id => id > 0))];
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `INSERT IGNORE INTO subscriber_notices (subscriber_id, notice_id) VALUES ${ids.map(() => '(?, ?)').join(', ')}`,
+      ids.flatMap(id => [this.id, id])
+    );
+    return result.affectedRows;
+  }
+
+  // Instance method to drop the notices already sent to this subscriber
+  async filterUnsentNotices(notices = []) {
+    if (notices.length === 0) {
+      return [];
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `SELECT notice_id FROM subscriber_notices WHERE subscriber_id = ? AND notice_id IN (${notices.map(() => '?').join(', ')})`,
+      [this.id, ...notices.map(notice => notice.id)]
+    );
+    const sentIds = result.rows.map(row => row.notice_id);
+    return notices.filter(notice => !sentIds.includes(notice.id));
+  }
+
+  // Static method to find active instant subscribers whose preferences match a notice
+  static async findMatchingForNotice(notice) {
+    try {
+      const categoryIds = (notice.categories || []).map(category => parseInt(category.id)).filter(id => id > 0);
+
+      // Subscribers without categories follow everything
+      const categoryClause = categoryIds.length > 0
+        ? `OR EXISTS (
+            SELECT 1 FROM subscriber_categories sc2
+            WHERE sc2.subscriber_id = s.id AND sc2.category_id IN (${categoryIds.map(() => '?').join(', ')})
+          )`
+        : '';
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT s.* FROM subscribers s
+         WHERE s.status = 'active'
+           AND s.frequency = 'instant'
+           AND FIELD(s.min_priority, 'low', 'medium', 'high') <= FIELD(?, 'low', 'medium', 'high')
+           AND (
+             NOT EXISTS (SELECT 1 FROM subscriber_categories sc WHERE sc.subscriber_id = s.id)
+             ${categoryClause}
+           )`,
+        [notice.priority || 'medium', ...categoryIds]
+      );
+
+      return result.rows.map(row => new Subscriber(row));
+    } catch (error) {
+      console.error('💥 Error finding matching subscribers:', error.message);
+      throw new Error('Failed to find matching subscribers');
+    }
+  }
+
+  // Static method to find active digest subscribers whose digest window has elapsed
+  static async findDueForDigest(frequency, limit = 50) {
+    if (!DIGEST_INTERVAL_DAYS[frequency]) {
+      return [];
+    }
+
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT * FROM subscribers
+         WHERE status = 'active'
+           AND frequency = ?
+           AND COALESCE(last_digest_at, confirmed_at, created_at) <= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY last_digest_at ASC
+         LIMIT ?`,
+        [frequency, DIGEST_INTERVAL_DAYS[frequency], Math.min(500, Math.max(1, parseInt(limit) || 50))]
+      );
+
+      const subscribers = result.rows.map(row => new Subscriber(row));
+      for (const subscriber of subscribers) {
+        subscriber.categoryIds = await Subscriber.getCategoryIds(subscriber.id);
+      }
+      return subscribers;
+    } catch (error) {
+      console.error('💥 Error finding subscribers due for digest:', error.message);
+      throw new Error('Failed to find digest subscribers');
+    }
+  }
+
+  // Static method to get subscriber counts by status (admin overview)
+  static async getStats() {
+    const result = await secureDatabase.executeQuery(
+      'SELECT status, frequency, COUNT(*) as count FROM subscribers GROUP BY status, frequency',
+      []
+    );
+
+    return result.rows.reduce((stats, row) => {
+      stats[row.status] = (stats[row.status] || 0) + parseInt(row.count);
+      if (row.status === 'active') {
+        stats.byFrequency[row.frequency] = parseInt(row.count);
+      }
+      return stats;
+    }, { pending: 0, active: 0, unsubscribed: 0, byFrequency: {} });
+  }
+
+  static async getCategoryIds(subscriberId) {
+    const result = await secureDatabase.executeQuery(
+      'SELECT category_id FROM subscriber_categories WHERE subscriber_id = ?',
+      [parseInt(subscriberId)]
+    );
+    return result.rows.map(row => row.category_id);
+  }
+
+  // Replace the set of categories a subscriber follows (only existing, active categories)
+  static async setCategories(subscriberId, categoryIds = []) {
+    const ids = [...new Set((categoryIds || []).map(id => parseInt(id)).filter(id => id > 0))];
+
+    await secureDatabase.executeQuery('DELETE FROM subscriber_categories WHERE subscriber_id = ?', [parseInt(subscriberId)]);
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const existing = await secureDatabase.executeQuery(
+      `SELECT id FROM categories WHERE is_active = TRUE AND id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+
+    for (const row of existing.rows) {
+      await secureDatabase.executeQuery(
+        'INSERT INTO subscriber_categories (subscriber_id, category_id) VALUES (?, ?)',
+        [parseInt(subscriberId), row.id]
+      );
+    }
+
+    return existing.rows.map(row => row.id);
+  }
+
+  static normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  static getConfirmationExpiry(ttlHours = 48) {
+    return new Date(Date.now() + (parseInt(ttlHours) || 48) * 60 * 60 * 1000);
+  }
+
+  // Check if subscriber receives emails
+  isActive() {
+    return this.status === 'active';
+  }
+
+  // Preferences as shown on the public management page
+  toJSON() {
+    return {
+      email: this.email,
+      status: this.status,
+      minPriority: this.minPriority,
+      frequency: this.frequency,
+      categoryIds: this.categoryIds,
+      confirmedAt: this.confirmedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+Subscriber.VALID_PRIORITIES = VALID_PRIORITIES;
+Subscriber.VALID_FREQUENCIES = VALID_FREQUENCIES;
+
+module.exports = Subscriber;
@@ -0,0 +1,55 @@
+// System Setting model - key/value settings super admins change at runtime
+const secureDatabase = require('../config/database');
+
+class SystemSetting {
+  constructor(settingData = {}) {
+    this.key = settingData.setting_key || settingData.key || null;
+    this.value = settingData.setting_value ?? settingData.value ?? null;
+    this.updatedBy = settingData.updated_by || settingData.updatedBy || null;
+    this.updatedByUsername = settingData.updated_by_username || null;
+    this.updatedAt = settingData.updated_at || settingData.updatedAt || null;
+  }
+
+  // Static method to find a setting by key
+  static async find(key) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT s.*, u.username AS updated_by_username
+       FROM system_settings s
+       LEFT JOIN users u ON s.updated_by = u.id
+       WHERE s.setting_key = ?
+       LIMIT 1`,
+      [key]
+    );
+
+    return result.rows.length > 0 ? new SystemSetting(result.rows[0]) : null;
+  }
+
+  // Create or update a setting
+  static async set(key, value, user) {
+    try {
+      await secureDatabase.executeQuery(
+        `INSERT INTO system_settings (setting_key, setting_value, updated_by)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+        [key, value === null || value === undefined ? null : String(value), user && user.id ? parseInt(user.id) : null]
+      );
+
+      return await SystemSetting.find(key);
+    } catch (error) {
+      console.error(`💥 Error saving setting ${key}:`, error.message);
+      throw new Error('Failed to save setting');
+    }
+  }
+
+  toJSON() {
+    return {
+      key: this.key,
+      value: this.value,
+      updatedBy: this.updatedBy,
+      updatedByUsername: this.updatedByUsername,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SystemSetting;
@@ -0,0 +1,66 @@
+// Two-Factor Recovery Code model - hashes of one-time codes for logging in without the authenticator app
+const secureDatabase = require('../config/database');
+
+class TwoFactorRecoveryCode {
+  /**
+   * Replace all recovery codes of a user
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - SHA-256 hashes of the new codes
+   */
+  static async replaceForUser(userId, codeHashes) {
+    try {
+      await TwoFactorRecoveryCode.deleteForUser(userId);
+
+      if (codeHashes.length === 0) {
+        return;
+      }
+
+      const placeholders = codeHashes.map(() => '(?, ?)').join(', ');
+      await secureDatabase.executeQuery(
+        `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ${placeholders}`,
+        codeHashes.flatMap(hash => [parseInt(userId), hash])
+      );
+    } catch (error) {
+      console.error('💥 Error storing recovery codes:', error.message);
+      throw new Error('Failed to store recovery codes');
+    }
+  }
+
+  /**
+   * Use up a recovery code. The update only succeeds once per code.
+   * @param {number} userId - User ID
+   * @param {string} codeHash - SHA-256 hash of the entered code
+   * @returns {boolean} - Whether the code was valid and unused
+   */
+  static async consume(userId, codeHash) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE two_factor_recovery_codes
+       SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [parseInt(userId), codeHash]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  // Static method to count the unused codes of a user
+  static async countRemaining(userId) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT COUNT(*) AS remaining
+       FROM two_factor_recovery_codes
+       WHERE user_id = ? AND used_at IS NULL`,
+      [parseInt(userId)]
+    );
+
+    return parseInt(result.rows[0]?.remaining) || 0;
+  }
+
+  static async deleteForUser(userId) {
+    await secureDatabase.executeQuery(
+      'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+      [parseInt(userId)]
+    );
+  }
+}
+
+module.exports = TwoFactorRecoveryCode;
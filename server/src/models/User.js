@@ -3,6 +3,8 @@ const bcrypt = require('bcryptjs');
 const secureDatabase = require('../config/database');
 const { config } = require('../config/environment');
 const { logDataModification, logSecurityEvent } = require('../middleware/logging');
+const PasswordHistory = require('./PasswordHistory');
+const { ROLE_NAME_PATTERN } = require('../config/permissions');
 
 class User {
   constructor(userData = {}) {
@@ -12,6 +14,10 @@ class User {
     this.password = userData.password || null;
     this.role = userData.role || 'admin';
     this.fullName = userData.full_name || userData.fullName || null;
+    this.canApprove = !!(userData.can_approve || userData.canApprove);
+    this.active = userData.is_active !== undefined ? !!userData.is_active : userData.isActive !== false;
+    this.disabledAt = userData.disabled_at || userData.disabledAt || null;
+    this.passwordChangedAt = userData.password_changed_at || userData.passwordChangedAt || null;
     this.createdAt = userData.created_at || userData.createdAt || null;
     this.updatedAt = userData.updated_at || userData.updatedAt || null;
   }
@@ -24,7 +30,7 @@ class User {
       }
 
       const query = `
-        SELECT id, username, email, role, full_name, created_at, updated_at
+        SELECT id, username, email, role, full_name, can_approve, is_active, disabled_at, password_changed_at, created_at, updated_at
         FROM users 
         WHERE id = ?
         LIMIT 1
@@ -51,7 +57,7 @@ class User {
       }
 
       const query = `
-        SELECT id, username, email, role, full_name, created_at, updated_at
+        SELECT id, username, email, role, full_name, can_approve, is_active, disabled_at, password_changed_at, created_at, updated_at
         FROM users 
         WHERE username = ?
         LIMIT 1
@@ -78,7 +84,7 @@ class User {
       }
 
       const query = `
-        SELECT id, username, email, role, full_name, created_at, updated_at
+        SELECT id, username, email, role, full_name, can_approve, is_active, disabled_at, password_changed_at, created_at, updated_at
         FROM users 
         WHERE email = ?
         LIMIT 1
@@ -106,7 +112,7 @@ class User {
 
       // Find user with password (special query for authentication)
       const query = `
-        SELECT id, username, email, password, role, full_name, created_at, updated_at
+        SELECT id, username, email, password, role, full_name, can_approve, is_active, disabled_at, password_changed_at, created_at, updated_at
         FROM users 
         WHERE username = ? OR email = ?
         LIMIT 1
@@ -127,6 +133,11 @@ class User {
         return { success: false, reason: 'Invalid password' };
       }
 
+      // Only reported once the password matched, so it does not reveal which accounts exist
+      if (userData.is_active !== undefined && !userData.is_active) {
+        return { success: false, reason: 'Account disabled' };
+      }
+
       // Create user instance without password
       const user = new User({
         ...userData,
@@ -215,6 +226,7 @@ class User {
         page = 1,
         limit = 10,
         role = null,
+        status = null,
         search = null,
         sortBy = 'created_at',
         sortOrder = 'DESC'
@@ -222,7 +234,7 @@ class User {
 
       // Validate pagination
       const offset = (Math.max(1, page) - 1) * Math.min(100, Math.max(1, limit));
-      const validSortColumns = ['id', 'username', 'email', 'role', 'full_name', 'created_at'];
+      const validSortColumns = ['id', 'username', 'email', 'role', 'full_name', 'is_active', 'created_at'];
       const validSortOrders = ['ASC', 'DESC'];
 
       if (!validSortColumns.includes(sortBy)) {
@@ -235,7 +247,7 @@ class User {
 
       // Build query
       let query = `
-        SELECT id, username, email, role, full_name, created_at, updated_at
+        SELECT id, username, email, role, full_name, can_approve, is_active, disabled_at, password_changed_at, created_at, updated_at
         FROM users
         WHERE 1=1
       `;
@@ -243,11 +255,17 @@ class User {
       const params = [];
 
       // Add role filter
-      if (role && ['admin', 'super_admin'].includes(role)) {
+      if (role && ROLE_NAME_PATTERN.test(role)) {
         query += ` AND role = ?`;
         params.push(role);
       }
 
+      // Add status filter
+      if (status === 'active' || status === 'disabled') {
+        query += ` AND is_active = ?`;
+        params.push(status === 'active');
+      }
+
       // Add search filter
       if (search && search.trim().length > 0) {
         query += ` AND (username LIKE ? OR email LIKE ? OR full_name LIKE ?)`;
@@ -266,11 +284,16 @@ class User {
       let countQuery = `SELECT COUNT(*) as total FROM users WHERE 1=1`;
       const countParams = [];
 
-      if (role && ['admin', 'super_admin'].includes(role)) {
+      if (role && ROLE_NAME_PATTERN.test(role)) {
         countQuery += ` AND role = ?`;
         countParams.push(role);
       }
 
+      if (status === 'active' || status === 'disabled') {
+        countQuery += ` AND is_active = ?`;
+        countParams.push(status === 'active');
+      }
+
       if (search && search.trim().length > 0) {
         countQuery += ` AND (username LIKE ? OR email LIKE ? OR full_name LIKE ?)`;
         const searchTerm = `%${search.trim()}%`;
@@ -295,6 +318,26 @@ class User {
     }
   }
 
+  // Static method to list users who can sign off notices (roles granting notice.review and designated approvers)
+  static async findApprovers() {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT id, username, email, role, full_name, can_approve, is_active, disabled_at, password_changed_at, created_at, updated_at
+         FROM users
+         WHERE (can_approve = TRUE OR role IN (
+           SELECT role_name FROM role_permissions WHERE permission IN ('*', 'notice.review')
+         )) AND is_active = TRUE
+         ORDER BY full_name ASC`,
+        []
+      );
+
+      return result.rows.map(row => new User(row));
+    } catch (error) {
+      console.error('💥 Error finding approvers:', error.message);
+      throw new Error('Failed to find approvers');
+    }
+  }
+
   // Instance method to update user
   async update(updateData, updatedBy = null) {
     try {
@@ -306,7 +349,7 @@ class User {
       const originalData = { ...this };
 
       // Validate update data
-      const allowedFields = ['username', 'email', 'role', 'fullName'];
+      const allowedFields = ['username', 'email', 'role', 'fullName', 'canApprove'];
       const updateFields = [];
       const updateValues = [];
 
@@ -319,13 +362,16 @@ class User {
             updateFields.push('email = ?');
             updateValues.push(updateData[key].toLowerCase().trim());
           } else if (key === 'role') {
-            if (['admin', 'super_admin'].includes(updateData[key])) {
+            if (ROLE_NAME_PATTERN.test(updateData[key])) {
               updateFields.push('role = ?');
               updateValues.push(updateData[key]);
             }
           } else if (key === 'fullName') {
             updateFields.push('full_name = ?');
             updateValues.push(updateData[key].trim());
+          } else if (key === 'canApprove') {
+            updateFields.push('can_approve = ?');
+            updateValues.push(updateData[key] === true || updateData[key] === 'true');
           }
         }
       });
@@ -384,6 +430,53 @@ class User {
     }
   }
 
+  // Instance method to disable or re-enable the account
+  async setActive(active, changedBy = null) {
+    try {
+      if (!this.id) {
+        throw new Error('Cannot change status without user ID');
+      }
+
+      await secureDatabase.executeQuery(
+        `UPDATE users
+         SET is_active = ?, disabled_at = ${active ? 'NULL' : 'NOW()'}, disabled_by = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [!!active, active || !changedBy ? null : parseInt(changedBy.id), this.id]
+      );
+
+      if (changedBy) {
+        logDataModification(
+          { user: changedBy },
+          'UPDATE',
+          'users',
+          {
+            id: this.id,
+            success: true,
+            before: { isActive: this.active },
+            after: { isActive: !!active },
+            changes: ['isActive']
+          }
+        );
+      }
+
+      Object.assign(this, await User.findById(this.id));
+      return this;
+    } catch (error) {
+      console.error('💥 Error changing user status:', error.message);
+      throw error;
+    }
+  }
+
+  // Static method to count enabled super admins (the last one cannot be removed)
+  static async countActiveSuperAdmins() {
+    const result = await secureDatabase.executeQuery(
+      `SELECT COUNT(*) AS total FROM users WHERE role = 'super_admin' AND is_active = TRUE`,
+      []
+    );
+
+    return parseInt(result.rows[0]?.total) || 0;
+  }
+
   // Instance method to delete user
   async delete(deletedBy = null) {
     try {
@@ -458,8 +551,7 @@ class User {
       const hashedPassword = await bcrypt.hash(newPassword, config.security.bcryptRounds);
 
       // Update password
-      const updateQuery = `UPDATE users SET password = ?, updated_at = NOW() WHERE id = ?`;
-      await secureDatabase.executeQuery(updateQuery, [hashedPassword, this.id]);
+      await this.updatePassword(hashedPassword);
 
       // Log password change
       if (changedBy) {
@@ -481,6 +573,53 @@ class User {
     }
   }
 
+  // Instance method to read the stored password hash (never part of the user object)
+  async getPasswordHash() {
+    if (!this.id) {
+      throw new Error('Cannot read password without user ID');
+    }
+
+    const result = await secureDatabase.executeQuery(
+      'SELECT password FROM users WHERE id = ? LIMIT 1',
+      [this.id]
+    );
+
+    if (!result.rows || result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    return result.rows[0].password;
+  }
+
+  // Instance method to store a new password hash; the replaced hash goes into the password history
+  async updatePassword(passwordHash) {
+    try {
+      if (!this.id) {
+        throw new Error('Cannot update password without user ID');
+      }
+
+      const previousHash = await this.getPasswordHash();
+
+      await secureDatabase.executeQuery(
+        'UPDATE users SET password = ?, password_changed_at = NOW(), updated_at = NOW() WHERE id = ?',
+        [passwordHash, this.id]
+      );
+
+      // The current password counts towards the history size
+      const keep = config.passwordPolicy.historySize - 1;
+      if (keep > 0 && previousHash) {
+        await PasswordHistory.add(this.id, previousHash);
+      }
+      await PasswordHistory.prune(this.id, keep);
+
+      this.passwordChangedAt = new Date();
+      return true;
+    } catch (error) {
+      console.error('💥 Error updating password:', error.message);
+      throw error;
+    }
+  }
+
   // Static method to validate user data
   static validateUserData(userData) {
     const errors = [];
@@ -518,9 +657,9 @@ class User {
       errors.push('Full name must be between 2 and 100 characters');
     }
 
-    // Role validation
-    if (userData.role && !['admin', 'super_admin'].includes(userData.role)) {
-      errors.push('Role must be admin or super_admin');
+    // Role validation (whether the role exists is checked against the roles table)
+    if (userData.role && !ROLE_NAME_PATTERN.test(userData.role)) {
+      errors.push('Role name is invalid');
     }
 
     return {
@@ -576,6 +715,10 @@ class User {
       email: this.email,
       role: this.role,
       fullName: this.fullName,
+      canApprove: this.canApprove,
+      isActive: this.active,
+      disabledAt: this.disabledAt,
+      passwordChangedAt: this.passwordChangedAt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -591,6 +734,11 @@ class User {
     return rolePriority[this.role] >= rolePriority[requiredRole];
   }
 
+  // Check if the account is enabled
+  isActive() {
+    return this.active;
+  }
+
   // Check if user is admin
   isAdmin() {
     return ['admin', 'super_admin'].includes(this.role);
@@ -0,0 +1,88 @@
+// User Identity model - links between accounts and single sign-on provider subjects
+const secureDatabase = require('../config/database');
+
+class UserIdentity {
+  constructor(identityData = {}) {
+    this.id = identityData.id || null;
+    this.userId = identityData.user_id || identityData.userId || null;
+    this.provider = identityData.provider || null;
+    this.subject = identityData.subject || null;
+    this.email = identityData.email || null;
+    this.createdAt = identityData.created_at || identityData.createdAt || null;
+    this.lastLoginAt = identityData.last_login_at || identityData.lastLoginAt || null;
+  }
+
+  // Static method to find the link for a provider subject
+  static async findBySubject(provider, subject) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM user_identities WHERE provider = ? AND subject = ? LIMIT 1',
+        [provider, String(subject)]
+      );
+
+      return result.rows.length > 0 ? new UserIdentity(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding user identity:', error.message);
+      throw new Error('Failed to find user identity');
+    }
+  }
+
+  // Static method to list the providers an account is linked to
+  static async findByUser(userId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM user_identities WHERE user_id = ? ORDER BY created_at',
+        [parseInt(userId)]
+      );
+
+      return result.rows.map(row => new UserIdentity(row));
+    } catch (error) {
+      console.error('💥 Error finding user identities:', error.message);
+      throw new Error('Failed to find user identities');
+    }
+  }
+
+  /**
+   * Link an account to a provider subject
+   * @param {number} userId - User ID
+   * @param {string} provider - Provider ID
+   * @param {string} subject - The provider's user ID
+   * @param {string} email - Email reported by the provider
+   * @returns {UserIdentity}
+   */
+  static async create(userId, provider, subject, email = null) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+         VALUES (?, ?, ?, ?, NOW())`,
+        [parseInt(userId), provider, String(subject), email]
+      );
+
+      return new UserIdentity({ id: result.insertId, user_id: userId, provider, subject: String(subject), email });
+    } catch (error) {
+      console.error('💥 Error creating user identity:', error.message);
+      throw new Error('Failed to create user identity');
+    }
+  }
+
+  // Instance method to record a sign-in
+  async touch(email = null) {
+    await secureDatabase.executeQuery(
+      'UPDATE user_identities SET last_login_at = NOW(), email = COALESCE(?, email) WHERE id = ?',
+      [email, this.id]
+    );
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      provider: this.provider,
+      email: this.email,
+      createdAt: this.createdAt,
+      lastLoginAt: this.lastLoginAt
+    };
+  }
+}
+
+module.exports = UserIdentity;
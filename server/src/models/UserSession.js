@@ -2,6 +2,7 @@
 const crypto = require('crypto');
 const secureDatabase = require('../config/database');
 const { logSecurityEvent } = require('../middleware/logging');
+const { parseUserAgent } = require('../utils/userAgent');
 
 class UserSession {
   constructor(sessionData = {}) {
@@ -17,6 +18,7 @@ class UserSession {
     
     // Joined data
     this.username = sessionData.username || null;
+    this.fullName = sessionData.full_name || sessionData.fullName || null;
     this.userRole = sessionData.user_role || sessionData.role || null;
   }
 
@@ -173,6 +175,64 @@ class UserSession {
     }
   }
 
+  /**
+   * Active sessions of every user, most recently used first (security.manage)
+   * @param {Object} options - { page, limit, userId, search } - search matches username, full name or IP address
+   * @returns {Object} - { sessions, pagination }
+   */
+  static async getActiveSessions(options = {}) {
+    try {
+      const page = Math.max(1, parseInt(options.page) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+      let where = `WHERE s.is_active = TRUE AND s.expires_at > NOW()`;
+      const params = [];
+
+      if (options.userId) {
+        where += ` AND s.user_id = ?`;
+        params.push(parseInt(options.userId));
+      }
+
+      if (options.search && options.search.trim().length > 0) {
+        where += ` AND (u.username LIKE ? OR u.full_name LIKE ? OR s.ip_address LIKE ?)`;
+        const searchTerm = `%${options.search.trim()}%`;
+        params.push(searchTerm, searchTerm, searchTerm);
+      }
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT s.*, u.username, u.full_name, u.role as user_role
+         FROM user_sessions s
+         LEFT JOIN users u ON s.user_id = u.id
+         ${where}
+         ORDER BY s.last_activity DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      const countResult = await secureDatabase.executeQuery(
+        `SELECT COUNT(*) as total
+         FROM user_sessions s
+         LEFT JOIN users u ON s.user_id = u.id
+         ${where}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0]?.total) || 0;
+
+      return {
+        sessions: (result.rows || []).map(row => new UserSession(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('💥 Error getting active sessions:', error.message);
+      throw error;
+    }
+  }
+
   // Instance method to update last activity
   async updateActivity() {
     try {
@@ -195,6 +255,23 @@ class UserSession {
     }
   }
 
+  // Instance method to keep a session alive while its refresh tokens are used
+  async extend(days) {
+    if (!this.id) {
+      throw new Error('Cannot extend session without ID');
+    }
+
+    await secureDatabase.executeQuery(
+      `UPDATE user_sessions
+       SET expires_at = NOW() + INTERVAL ? DAY, last_activity = NOW()
+       WHERE id = ? AND is_active = TRUE`,
+      [parseInt(days), this.id]
+    );
+
+    this.expiresAt = new Date(Date.now() + parseInt(days) * 24 * 60 * 60 * 1000);
+    this.lastActivity = new Date();
+  }
+
   // Instance method to revoke session
   async revoke(revokedBy = null) {
     try {
@@ -417,7 +494,9 @@ class UserSession {
       lastActivity: this.lastActivity,
       isActive: this.isActive,
       username: this.username,
+      fullName: this.fullName,
       userRole: this.userRole,
+      device: parseUserAgent(this.userAgent),
       isValid: this.isValid(),
       isExpired: this.isExpired(),
       durationMinutes: this.getDurationMinutes()
@@ -0,0 +1,116 @@
+// User Two-Factor model - TOTP secret of a user; the secret is stored encrypted by the two-factor service
+const secureDatabase = require('../config/database');
+
+class UserTwoFactor {
+  constructor(twoFactorData = {}) {
+    this.userId = twoFactorData.user_id || twoFactorData.userId || null;
+    this.secret = twoFactorData.secret || null;
+    this.enabled = !!twoFactorData.enabled;
+    this.lastUsedStep = twoFactorData.last_used_step ?? twoFactorData.lastUsedStep ?? null;
+    this.enabledAt = twoFactorData.enabled_at || twoFactorData.enabledAt || null;
+    this.createdAt = twoFactorData.created_at || twoFactorData.createdAt || null;
+    this.updatedAt = twoFactorData.updated_at || twoFactorData.updatedAt || null;
+  }
+
+  // Static method to find the two-factor record of a user
+  static async findByUserId(userId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM user_two_factor WHERE user_id = ? LIMIT 1',
+        [parseInt(userId)]
+      );
+
+      return result.rows.length > 0 ? new UserTwoFactor(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding two-factor record:', error.message);
+      throw new Error('Failed to find two-factor settings');
+    }
+  }
+
+  // Store a new, not yet verified secret; replaces an unfinished enrollment
+  static async saveSecret(userId, encryptedSecret) {
+    try {
+      await secureDatabase.executeQuery(
+        `INSERT INTO user_two_factor (user_id, secret, enabled)
+         VALUES (?, ?, FALSE)
+         ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled = FALSE, last_used_step = NULL, enabled_at = NULL`,
+        [parseInt(userId), encryptedSecret]
+      );
+
+      return await UserTwoFactor.findByUserId(userId);
+    } catch (error) {
+      console.error('💥 Error saving two-factor secret:', error.message);
+      throw new Error('Failed to save two-factor settings');
+    }
+  }
+
+  /**
+   * Turn two-factor on after the first code was verified
+   * @param {number} step - Time step of that code, so it cannot be used again
+   * @returns {boolean} - False if the record was already enabled
+   */
+  async enable(step) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE user_two_factor
+       SET enabled = TRUE, enabled_at = NOW(), last_used_step = ?
+       WHERE user_id = ? AND enabled = FALSE`,
+      [step, this.userId]
+    );
+
+    if (result.affectedRows > 0) {
+      Object.assign(this, await UserTwoFactor.findByUserId(this.userId));
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Remember the step of an accepted code. Only one request can claim a step,
+   * so a code cannot be replayed, even concurrently.
+   * @param {number} step - Time step of the accepted code
+   * @returns {boolean} - Whether the step was not used before
+   */
+  async useStep(step) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE user_two_factor
+       SET last_used_step = ?
+       WHERE user_id = ? AND enabled = TRUE AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, this.userId, step]
+    );
+
+    if (result.affectedRows > 0) {
+      this.lastUsedStep = step;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Remove two-factor from a user (recovery codes are removed by the caller)
+  static async remove(userId) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'DELETE FROM user_two_factor WHERE user_id = ?',
+        [parseInt(userId)]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('💥 Error removing two-factor record:', error.message);
+      throw new Error('Failed to remove two-factor settings');
+    }
+  }
+
+  // The secret never leaves the server after enrollment
+  toJSON() {
+    return {
+      userId: this.userId,
+      enabled: this.enabled,
+      enabledAt: this.enabledAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = UserTwoFactor;
@@ -0,0 +1,313 @@
+// Webhook model - outbound endpoints notified about notice lifecycle events
+const crypto = require('crypto');
+const secureDatabase = require('../config/database');
+const { logDataModification } = require('../middleware/logging');
+
+const VALID_EVENTS = [
+  'notice.created',
+  'notice.updated',
+  'notice.published',
+  'notice.unpublished',
+  'notice.archived',
+  'notice.deleted',
+  'notice.restored'
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+class Webhook {
+  constructor(webhookData = {}) {
+    this.id = webhookData.id || null;
+    this.name = webhookData.name || null;
+    this.url = webhookData.url || null;
+    this.secret = webhookData.secret || null;
+    this.events = Webhook.parseEvents(webhookData.events);
+    this.isActive = webhookData.is_active !== undefined ? !!webhookData.is_active : (webhookData.isActive !== undefined ? !!webhookData.isActive : true);
+    this.lastDeliveryAt = webhookData.last_delivery_at || webhookData.lastDeliveryAt || null;
+    this.lastDeliveryStatus = webhookData.last_delivery_status || webhookData.lastDeliveryStatus || null;
+    this.createdBy = webhookData.created_by || webhookData.createdBy || null;
+    this.createdAt = webhookData.created_at || webhookData.createdAt || null;
+    this.updatedAt = webhookData.updated_at || webhookData.updatedAt || null;
+
+    // Joined data
+    this.creatorUsername = webhookData.creator_username || null;
+  }
+
+  // Parse the stored event filter; '*' subscribes to everything
+  static parseEvents(events) {
+    let list = events;
+
+    if (typeof events === 'string') {
+      try {
+        list = JSON.parse(events);
+      } catch (error) {
+        list = [];
+      }
+    }
+
+    return Array.isArray(list) ? list.filter(event => event === '*' || VALID_EVENTS.includes(event)) : [];
+  }
+
+  // Static method to list webhooks
+  static async findAll() {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT w.*, u.username as creator_username
+         FROM webhooks w
+         LEFT JOIN users u ON w.created_by = u.id
+         ORDER BY w.created_at DESC`,
+        []
+      );
+
+      return result.rows.map(row => new Webhook(row));
+    } catch (error) {
+      console.error('💥 Error listing webhooks:', error.message);
+      throw new Error('Failed to list webhooks');
+    }
+  }
+
+  // Static method to find webhook by ID
+  static async findById(id) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        `SELECT w.*, u.username as creator_username
+         FROM webhooks w
+         LEFT JOIN users u ON w.created_by = u.id
+         WHERE w.id = ?
+         LIMIT 1`,
+        [parseInt(id)]
+      );
+
+      return result.rows && result.rows.length > 0 ? new Webhook(result.rows[0]) : null;
+    } catch (error) {
+      console.error('💥 Error finding webhook by ID:', error.message);
+      throw new Error('Failed to find webhook');
+    }
+  }
+
+  // Static method to find active webhooks subscribed to an event
+  static async findActiveForEvent(event) {
+    try {
+      const result = await secureDatabase.executeQuery(
+        'SELECT * FROM webhooks WHERE is_active = TRUE',
+        []
+      );
+
+      return result.rows
+        .map(row => new Webhook(row))
+        .filter(webhook => webhook.handles(event));
+    } catch (error) {
+      console.error('💥 Error finding webhooks for event:', error.message);
+      throw new Error('Failed to find webhooks');
+    }
+  }
+
+  // Static method to create a webhook with a generated signing secret
+  static async create(webhookData, createdBy) {
+    try {
+      const events = Webhook.parseEvents(webhookData.events);
+      if (events.length === 0) {
+        throw new Error('At least one event is required');
+      }
+
+      const result = await secureDatabase.executeQuery(
+        `INSERT INTO webhooks (name, url, secret, events, is_active, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          String(webhookData.name).trim(),
+          String(webhookData.url).trim(),
+          generateSecret(),
+          JSON.stringify(events),
+          webhookData.isActive === undefined ? true : !!webhookData.isActive,
+          createdBy && createdBy.id ? createdBy.id : null
+        ]
+      );
+
+      logDataModification(
+        { user: createdBy },
+        'CREATE',
+        'webhooks',
+        {
+          id: result.insertId,
+          success: true,
+          after: { name: webhookData.name, url: webhookData.url, events }
+        }
+      );
+
+      return await Webhook.findById(result.insertId);
+    } catch (error) {
+      console.error('💥 Error creating webhook:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to update a webhook
+  async update(updateData, updatedBy) {
+    try {
+      const updateFields = [];
+      const updateValues = [];
+
+      if (updateData.name !== undefined) {
+        updateFields.push('name = ?');
+        updateValues.push(String(updateData.name).trim());
+      }
+
+      if (updateData.url !== undefined) {
+        updateFields.push('url = ?');
+        updateValues.push(String(updateData.url).trim());
+      }
+
+      if (updateData.events !== undefined) {
+        const events = Webhook.parseEvents(updateData.events);
+        if (events.length === 0) {
+          throw new Error('At least one event is required');
+        }
+        updateFields.push('events = ?');
+        updateValues.push(JSON.stringify(events));
+      }
+
+      if (updateData.isActive !== undefined) {
+        updateFields.push('is_active = ?');
+        updateValues.push(!!updateData.isActive);
+      }
+
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      updateValues.push(this.id);
+      await secureDatabase.executeQuery(
+        `UPDATE webhooks SET ${updateFields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+        updateValues
+      );
+
+      logDataModification(
+        { user: updatedBy },
+        'UPDATE',
+        'webhooks',
+        {
+          id: this.id,
+          success: true,
+          before: { name: this.name, url: this.url, events: this.events, isActive: this.isActive },
+          after: updateData
+        }
+      );
+
+      Object.assign(this, await Webhook.findById(this.id));
+      return this;
+    } catch (error) {
+      console.error('💥 Error updating webhook:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to replace the signing secret; returns the new secret
+  async rotateSecret(updatedBy) {
+    const secret = generateSecret();
+
+    await secureDatabase.executeQuery(
+      'UPDATE webhooks SET secret = ?, updated_at = NOW() WHERE id = ?',
+      [secret, this.id]
+    );
+
+    logDataModification(
+      { user: updatedBy },
+      'UPDATE',
+      'webhooks',
+      { id: this.id, success: true, after: { secret: 'rotated' } }
+    );
+
+    this.secret = secret;
+    return secret;
+  }
+
+  // Instance method to delete a webhook (its delivery log is removed by cascade)
+  async delete(deletedBy) {
+    try {
+      const result = await secureDatabase.executeQuery('DELETE FROM webhooks WHERE id = ?', [this.id]);
+
+      if (result.affectedRows === 0) {
+        throw new Error('Webhook not found or already deleted');
+      }
+
+      logDataModification(
+        { user: deletedBy },
+        'DELETE',
+        'webhooks',
+        {
+          id: this.id,
+          success: true,
+          before: { name: this.name, url: this.url }
+        }
+      );
+
+      return true;
+    } catch (error) {
+      console.error('💥 Error deleting webhook:', error.message);
+      throw error;
+    }
+  }
+
+  // Instance method to remember the outcome of the latest delivery attempt
+  async recordDeliveryOutcome(status) {
+    await secureDatabase.executeQuery(
+      'UPDATE webhooks SET last_delivery_at = NOW(), last_delivery_status = ? WHERE id = ?',
+      [status, this.id]
+    );
+    this.lastDeliveryStatus = status;
+  }
+
+  // Instance method to switch the webhook off once its last `threshold` finished deliveries all failed
+  async disableIfFailing(threshold) {
+    const limit = parseInt(threshold) || 0;
+    if (!this.isActive || limit <= 0) {
+      return false;
+    }
+
+    const result = await secureDatabase.executeQuery(
+      `SELECT status FROM webhook_deliveries
+       WHERE webhook_id = ? AND status IN ('success', 'failed')
+       ORDER BY updated_at DESC, id DESC
+       LIMIT ?`,
+      [this.id, limit]
+    );
+
+    if (result.rows.length < limit || result.rows.some(row => row.status !== 'failed')) {
+      return false;
+    }
+
+    await secureDatabase.executeQuery(
+      'UPDATE webhooks SET is_active = FALSE, updated_at = NOW() WHERE id = ? AND is_active = TRUE',
+      [this.id]
+    );
+    this.isActive = false;
+    return true;
+  }
+
+  // Check if the webhook wants an event
+  handles(event) {
+    return this.events.includes('*') || this.events.includes(event);
+  }
+
+  // Webhook data for the admin API; the secret is only shown in full when requested
+  toJSON(includeSecret = false) {
+    return {
+      id: this.id,
+      name: this.name,
+      url: this.url,
+      events: this.events,
+      isActive: this.isActive,
+      secret: includeSecret ? this.secret : `whsec_...${String(this.secret || '').slice(-4)}`,
+      lastDeliveryAt: this.lastDeliveryAt,
+      lastDeliveryStatus: this.lastDeliveryStatus,
+      createdBy: this.createdBy,
+      creatorUsername: this.creatorUsername,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Webhook.VALID_EVENTS = VALID_EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,216 @@
+// WebhookDelivery model - delivery log and retry queue for outbound webhooks
+const secureDatabase = require('../config/database');
+
+// Minutes to wait before retry N (1-based); the last value repeats
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+class WebhookDelivery {
+  constructor(deliveryData = {}) {
+    this.id = deliveryData.id || null;
+    this.webhookId = deliveryData.webhook_id || deliveryData.webhookId || null;
+    this.event = deliveryData.event || null;
+    this.eventId = deliveryData.event_id || deliveryData.eventId || null;
+    this.payload = this.parsePayload(deliveryData.payload);
+    this.noticeId = deliveryData.notice_id || deliveryData.noticeId || null;
+    this.redeliveryOf = deliveryData.redelivery_of || deliveryData.redeliveryOf || null;
+    this.status = deliveryData.status || 'pending';
+    this.attempts = parseInt(deliveryData.attempts) || 0;
+    this.responseStatus = deliveryData.response_status || deliveryData.responseStatus || null;
+    this.responseBody = deliveryData.response_body || deliveryData.responseBody || null;
+    this.errorMessage = deliveryData.error_message || deliveryData.errorMessage || null;
+    this.durationMs = deliveryData.duration_ms !== undefined ? deliveryData.duration_ms : (deliveryData.durationMs || null);
+    this.nextAttemptAt = deliveryData.next_attempt_at || deliveryData.nextAttemptAt || null;
+    this.deliveredAt = deliveryData.delivered_at || deliveryData.deliveredAt || null;
+    this.createdAt = deliveryData.created_at || deliveryData.createdAt || null;
+    this.updatedAt = deliveryData.updated_at || deliveryData.updatedAt || null;
+  }
+
+  // Parse payload JSON safely
+  parsePayload(payload) {
+    if (payload && typeof payload === 'object') {
+      return payload;
+    }
+
+    try {
+      return payload ? JSON.parse(payload) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Queue a delivery; the payload is stored exactly as it will be sent
+   * @param {Object} deliveryData - { webhookId, event, eventId, payload, noticeId, redeliveryOf }
+   * @returns {WebhookDelivery} - Created delivery
+   */
+  static async create(deliveryData) {
+    // Payload goes at index 3, where free-form JSON is accepted by the query guard
+    const result = await secureDatabase.executeQuery(
+      `INSERT INTO webhook_deliveries (webhook_id, event, event_id, payload, notice_id, redelivery_of)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        parseInt(deliveryData.webhookId),
+        deliveryData.event,
+        deliveryData.eventId,
+        JSON.stringify(deliveryData.payload),
+        deliveryData.noticeId || null,
+        deliveryData.redeliveryOf || null
+      ]
+    );
+
+    return WebhookDelivery.findById(result.insertId);
+  }
+
+  // Static method to find delivery by ID
+  static async findById(id) {
+    const result = await secureDatabase.executeQuery(
+      'SELECT * FROM webhook_deliveries WHERE id = ? LIMIT 1',
+      [parseInt(id)]
+    );
+
+    return result.rows && result.rows.length > 0 ? new WebhookDelivery(result.rows[0]) : null;
+  }
+
+  // Static method to list the delivery log of a webhook, newest first
+  static async findByWebhook(webhookId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+      const pageNumber = Math.max(1, parseInt(page) || 1);
+      const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+      let whereClause = 'WHERE webhook_id = ?';
+      const params = [parseInt(webhookId)];
+
+      if (['pending', 'sending', 'success', 'failed'].includes(status)) {
+        whereClause += ' AND status = ?';
+        params.push(status);
+      }
+
+      const countResult = await secureDatabase.executeQuery(
+        `SELECT COUNT(*) as total FROM webhook_deliveries ${whereClause}`,
+        params
+      );
+
+      const result = await secureDatabase.executeQuery(
+        `SELECT * FROM webhook_deliveries ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, pageSize, (pageNumber - 1) * pageSize]
+      );
+
+      const total = parseInt(countResult.rows[0].total) || 0;
+
+      return {
+        deliveries: result.rows.map(row => new WebhookDelivery(row)),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      };
+    } catch (error) {
+      console.error('💥 Error listing webhook deliveries:', error.message);
+      throw new Error('Failed to list webhook deliveries');
+    }
+  }
+
+  // Static method to claim a batch of due deliveries
+  static async claimDue(limit = 20) {
+    const result = await secureDatabase.executeQuery(
+      `SELECT id FROM webhook_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT ?`,
+      [Math.min(200, Math.max(1, parseInt(limit) || 20))]
+    );
+
+    const claimed = [];
+    for (const row of result.rows) {
+      const delivery = await WebhookDelivery.claim(row.id);
+      if (delivery) {
+        claimed.push(delivery);
+      }
+    }
+
+    return claimed;
+  }
+
+  // Static method to claim one pending delivery; only the caller that flips pending -> sending owns it
+  static async claim(id) {
+    const update = await secureDatabase.executeQuery(
+      "UPDATE webhook_deliveries SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'pending'",
+      [parseInt(id)]
+    );
+
+    return update.affectedRows === 1 ? WebhookDelivery.findById(id) : null;
+  }
+
+  /**
+   * Record the outcome of an attempt; failures are retried with backoff until maxAttempts
+   * @param {Object} outcome - { success, responseStatus, responseBody, errorMessage, durationMs, retry }
+   * @param {number} maxAttempts - Attempts before giving up
+   */
+  async recordAttempt(outcome, maxAttempts = 6) {
+    const giveUp = !outcome.success && (outcome.retry === false || this.attempts >= maxAttempts);
+    const status = outcome.success ? 'success' : (giveUp ? 'failed' : 'pending');
+    const delayMinutes = RETRY_DELAYS_MINUTES[Math.min(this.attempts, RETRY_DELAYS_MINUTES.length) - 1] || 1;
+
+    // response_body at index 3 so whatever the receiver returned is stored as-is
+    await secureDatabase.executeQuery(
+      `UPDATE webhook_deliveries
+       SET status = ?, response_status = ?, duration_ms = ?, response_body = ?, error_message = ?,
+           next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+           delivered_at = ${outcome.success ? 'NOW()' : 'NULL'}
+       WHERE id = ?`,
+      [
+        status,
+        outcome.responseStatus || null,
+        outcome.durationMs !== undefined ? outcome.durationMs : null,
+        outcome.responseBody ? String(outcome.responseBody).substring(0, 2000) : null,
+        outcome.errorMessage ? String(outcome.errorMessage).substring(0, 500) : null,
+        delayMinutes,
+        this.id
+      ]
+    );
+
+    Object.assign(this, await WebhookDelivery.findById(this.id));
+    return this;
+  }
+
+  // Deliveries left in 'sending' by a crash are handed back to the queue
+  static async releaseStale(minutes = 15) {
+    const result = await secureDatabase.executeQuery(
+      `UPDATE webhook_deliveries SET status = 'pending'
+       WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [parseInt(minutes) || 15]
+    );
+    return result.affectedRows || 0;
+  }
+
+  // Delivery data for the admin API
+  toJSON(includePayload = false) {
+    return {
+      id: this.id,
+      webhookId: this.webhookId,
+      event: this.event,
+      eventId: this.eventId,
+      noticeId: this.noticeId,
+      redeliveryOf: this.redeliveryOf,
+      status: this.status,
+      attempts: this.attempts,
+      responseStatus: this.responseStatus,
+      responseBody: this.responseBody,
+      errorMessage: this.errorMessage,
+      durationMs: this.durationMs,
+      nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : null,
+      deliveredAt: this.deliveredAt,
+      createdAt: this.createdAt,
+      ...(includePayload && { payload: this.payload })
+    };
+  }
+}
+
+WebhookDelivery.RETRY_DELAYS_MINUTES = RETRY_DELAYS_MINUTES;
+
+module.exports = WebhookDelivery;
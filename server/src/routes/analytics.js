@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validateJSON, sanitizeAll, analytics: analyticsValidationRules } = require('../middleware/validation');
 const { logApiAccess } = require('../middleware/logging');
 
@@ -22,21 +22,21 @@ router.use(authenticate);
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get dashboard overview analytics
- * @access  Private (Admin)
+ * @access  Private (analytics.view)
  */
 router.get('/dashboard',
-  authorize(['admin', 'super_admin']),
+  requirePermission('analytics.view'),
   analyticsController.getDashboardAnalytics
 );
 
 /**
  * @route   GET /api/analytics/site
  * @desc    Get detailed site analytics
- * @access  Private (Admin)
+ * @access  Private (analytics.view)
  * @query   { start_date, end_date, group_by }
  */
 router.get('/site',
-  authorize(['admin', 'super_admin']),
+  requirePermission('analytics.view'),
   analyticsValidationRules.getSite,
   analyticsController.getSiteAnalytics
 );
@@ -44,11 +44,11 @@ router.get('/site',
 /**
  * @route   GET /api/analytics/content
  * @desc    Get content performance analytics
- * @access  Private (Admin)
+ * @access  Private (analytics.view)
  * @query   { limit }
  */
 router.get('/content',
-  authorize(['admin', 'super_admin']),
+  requirePermission('analytics.view'),
   analyticsValidationRules.getContent,
   analyticsController.getContentAnalytics
 );
@@ -56,32 +56,32 @@ router.get('/content',
 /**
  * @route   GET /api/analytics/users
  * @desc    Get user analytics and activity
- * @access  Private (Super Admin)
+ * @access  Private (analytics.export)
  */
 router.get('/users',
-  authorize(['super_admin']),
+  requirePermission('analytics.export'),
   analyticsController.getUserAnalytics
 );
 
 /**
  * @route   GET /api/analytics/security
  * @desc    Get security analytics and monitoring
- * @access  Private (Super Admin)
+ * @access  Private (analytics.export)
  */
 router.get('/security',
-  authorize(['super_admin']),
+  requirePermission('analytics.export'),
   analyticsController.getSecurityAnalytics
 );
 
 /**
  * @route   GET /api/analytics/notices/:id
  * @desc    Get specific notice analytics
- * @access  Private (Admin - Owner or Super Admin)
+ * @access  Private (analytics.view)
  * @param   id - Notice ID
  * @query   { start_date, end_date, group_by }
  */
 router.get('/notices/:id',
-  authorize(['admin', 'super_admin']),
+  requirePermission('analytics.view'),
   analyticsValidationRules.getNotice,
   analyticsController.getNoticeAnalytics
 );
@@ -89,11 +89,11 @@ router.get('/notices/:id',
 /**
  * @route   GET /api/analytics/export
  * @desc    Export analytics data
- * @access  Private (Super Admin)
+ * @access  Private (analytics.export)
  * @query   { type, format, start_date, end_date }
  */
 router.get('/export',
-  authorize(['super_admin']),
+  requirePermission('analytics.export'),
   analyticsValidationRules.export,
   analyticsController.exportAnalytics
 );
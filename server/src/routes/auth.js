@@ -2,7 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate, authorize } = require('../middleware/auth');
+const ssoController = require('../controllers/ssoController');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { logApiAccess } = require('../middleware/logging'); // ✅ Check this import
 
 // Debug the import to see what we're getting
@@ -36,15 +37,75 @@ router.post('/login',
   ...authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step; returns the JWT like /login (plus recovery codes after a forced setup)
+ * @access  Public (challenge token from /login)
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/login/2fa',
+  ...authController.loginTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    QR code for a login that must set up two-factor first (twoFactorSetupRequired)
+ * @access  Public (challenge token from /login)
+ * @body    { challengeToken }
+ */
+router.post('/login/2fa/setup',
+  ...authController.loginTwoFactorSetup
+);
+
+/**
+ * @route   GET /api/auth/sso/providers
+ * @desc    Identity providers offered on the login page
+ * @access  Public
+ */
+router.get('/sso/providers',
+  ssoController.getProviders
+);
+
+/**
+ * @route   GET /api/auth/sso/:provider/login
+ * @desc    Redirect to the identity provider's login page
+ * @access  Public
+ * @param   provider - Provider ID ('oidc')
+ * @query   returnTo - Client path to open after signing in
+ */
+router.get('/sso/:provider/login',
+  ssoController.startLogin
+);
+
+/**
+ * @route   GET /api/auth/sso/:provider/callback
+ * @desc    Return from the identity provider; redirects to the client's /login/sso page with a handoff token
+ * @access  Public (state cookie from /sso/:provider/login)
+ * @param   provider - Provider ID ('oidc')
+ */
+router.get('/sso/:provider/callback',
+  ssoController.callback
+);
+
+/**
+ * @route   POST /api/auth/login/sso
+ * @desc    Trade the handoff token from the SSO callback for the JWT, like /login (two-factor may still follow)
+ * @access  Public (handoff token from the SSO callback)
+ * @body    { ssoToken }
+ */
+router.post('/login/sso',
+  ...authController.loginSso
+);
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register new user (Super Admin only)
- * @access  Private (Super Admin)
+ * @access  Private (users.manage)
  * @body    { username, email, password, fullName, role }
  */
 router.post('/register',
   authenticate,
-  authorize(['super_admin']),
+  requirePermission('users.manage'),
   ...authController.register
 );
 
@@ -90,9 +151,29 @@ router.post('/change-password',
   authController.changePassword
 );
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link (same response whether or not the account exists)
+ * @access  Public
+ * @body    { identifier } - username or email address
+ */
+router.post('/forgot-password',
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token; revokes all sessions of the user
+ * @access  Public
+ * @body    { token, newPassword, confirmPassword }
+ */
+router.post('/reset-password',
+  authController.resetPassword
+);
+
 /**
  * @route   GET /api/auth/sessions
- * @desc    Get user's active sessions
+ * @desc    Get user's active sessions, with device details and the current one marked
  * @access  Private
  */
 router.get('/sessions',
@@ -100,9 +181,21 @@ router.get('/sessions',
   authController.getSessions
 );
 
+/**
+ * @route   GET /api/auth/sessions/all
+ * @desc    Active sessions of every user, with device details
+ * @access  Private (security.manage)
+ * @query   page, limit, userId, search - username, full name or IP address
+ */
+router.get('/sessions/all',
+  authenticate,
+  requirePermission('security.manage'),
+  authController.getAllSessions
+);
+
 /**
  * @route   DELETE /api/auth/sessions/:sessionId
- * @desc    Revoke specific session
+ * @desc    Revoke specific session (other users' sessions need security.manage)
  * @access  Private
  */
 router.delete('/sessions/:sessionId',
@@ -121,12 +214,120 @@ router.delete('/sessions',
 );
 
 /**
- * @route   POST /api/auth/refresh
- * @desc    Refresh JWT token
+ * @route   GET /api/auth/lockouts
+ * @desc    List username and IP lockouts currently in force
+ * @access  Private (security.manage)
+ */
+router.get('/lockouts',
+  authenticate,
+  requirePermission('security.manage'),
+  authController.getLockouts
+);
+
+/**
+ * @route   DELETE /api/auth/lockouts/:lockoutId
+ * @desc    Lift a lockout and reset its failed-attempt counters
+ * @access  Private (security.manage)
+ */
+router.delete('/lockouts/:lockoutId',
+  authenticate,
+  requirePermission('security.manage'),
+  authController.unlockLockout
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status of the current user
  * @access  Private
  */
-router.post('/refresh',
+router.get('/2fa',
   authenticate,
+  authController.getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (secret, otpauth URI and QR code)
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  authenticate,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Verify the first code and enable two-factor; returns the recovery codes once
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/2fa/enable',
+  authenticate,
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor
+ * @access  Private
+ * @body    { password, code } or { password, recoveryCode }
+ */
+router.post('/2fa/disable',
+  authenticate,
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/2fa/recovery-codes',
+  authenticate,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/2fa/policy
+ * @desc    Whether super admins must use two-factor
+ * @access  Private (security.manage)
+ */
+router.get('/2fa/policy',
+  authenticate,
+  requirePermission('security.manage'),
+  authController.getTwoFactorPolicy
+);
+
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Require (or stop requiring) two-factor for super admins
+ * @access  Private (security.manage)
+ * @body    { requireForSuperAdmins }
+ */
+router.put('/2fa/policy',
+  authenticate,
+  requirePermission('security.manage'),
+  authController.updateTwoFactorPolicy
+);
+
+/**
+ * @route   DELETE /api/auth/2fa/users/:userId
+ * @desc    Remove two-factor from an account that lost its authenticator
+ * @access  Private (users.manage)
+ */
+router.delete('/2fa/users/:userId',
+  authenticate,
+  requirePermission('users.manage'),
+  authController.resetUserTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    New access token for the refresh token cookie; the cookie is rotated and a reused one revokes the session
+ * @access  Public (httpOnly refresh token cookie)
+ */
+router.post('/refresh',
   authController.refreshToken
 );
 
@@ -0,0 +1,71 @@
+// Category Routes - Notice category management
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, category: categoryValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all category route access
+router.use((req, res, next) => {
+  logApiAccess(req, `CATEGORY_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+// All category routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get all categories with notice counts
+ * @access  Private (notice.view)
+ * @query   { type, includeInactive }
+ */
+router.get('/',
+  requirePermission('notice.view'),
+  categoryValidationRules.getAll,
+  categoryController.getAllCategories
+);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create category
+ * @access  Private (categories.manage)
+ * @body    { name, slug, description, type, sortOrder, isActive }
+ */
+router.post('/',
+  requirePermission('categories.manage'),
+  categoryValidationRules.create,
+  categoryController.createCategory
+);
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update category
+ * @access  Private (categories.manage)
+ * @param   id - Category ID
+ * @body    { name, slug, description, type, sortOrder, isActive }
+ */
+router.put('/:id',
+  requirePermission('categories.manage'),
+  categoryValidationRules.update,
+  categoryController.updateCategory
+);
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete category
+ * @access  Private (categories.manage)
+ * @param   id - Category ID
+ */
+router.delete('/:id',
+  requirePermission('categories.manage'),
+  categoryValidationRules.delete,
+  categoryController.deleteCategory
+);
+
+module.exports = router;
@@ -2,7 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const noticeController = require('../controllers/noticeController');
-const { authenticate, authorize } = require('../middleware/auth');
+const revisionController = require('../controllers/revisionController');
+const reviewController = require('../controllers/reviewController');
+const trashController = require('../controllers/trashController');
+const recurrenceController = require('../controllers/recurrenceController');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validateJSON, sanitizeAll, notice: noticeValidationRules } = require('../middleware/validation');
 const { logApiAccess } = require('../middleware/logging');
 const upload = require('../middleware/upload');
@@ -26,22 +30,22 @@ router.use(authenticate);
 /**
  * @route   GET /api/notices
  * @desc    Get all notices with filtering and pagination
- * @access  Private (Admin)
- * @query   { page, limit, status, priority, search, createdBy, sortBy, sortOrder, includeStats }
+ * @access  Private (notice.view)
+ * @query   { page, limit, status, priority, search, category, createdBy, sortBy, sortOrder, includeStats }
  */
 router.get('/',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.view'),
   noticeController.getAllNotices
 );
 
 /**
  * @route   POST /api/notices
  * @desc    Create new notice
- * @access  Private (Admin)
- * @body    { title, description, imageUrl, files, priority, status }
+ * @access  Private (notice.create)
+ * @body    { title, description, imageUrl, files, priority, status, publishAt, expiresAt, eventStart, eventEnd, eventLocation, eventAllDay, categoryIds }
  */
 router.post('/',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.create'),
   upload.mixedFields,
   noticeValidationRules.create,
   noticeController.createNotice
@@ -50,24 +54,69 @@ router.post('/',
 /**
  * @route   GET /api/notices/search
  * @desc    Search notices
- * @access  Private (Admin)
+ * @access  Private (notice.view)
  * @query   { q, page, limit, published_only }
  */
 router.get('/search',
-  authorize(['admin', 'super_admin']), 
+  requirePermission('notice.view'),
   noticeValidationRules.search,
   noticeController.searchNotices
 );
 
+/**
+ * @route   GET /api/notices/review-queue
+ * @desc    Notices pending review that the current user can decide on
+ * @access  Private (notice.review)
+ */
+router.get('/review-queue',
+  requirePermission('notice.review'),
+  reviewController.getQueue
+);
+
+/**
+ * @route   GET /api/notices/reviewers
+ * @desc    Whether the approval workflow is enabled, and the users who can review notices
+ * @access  Private (notice.view)
+ */
+router.get('/reviewers',
+  requirePermission('notice.view'),
+  reviewController.getReviewers
+);
+
+/**
+ * @route   PUT /api/notices/reviewers/:userId
+ * @desc    Grant or revoke a user's right to approve notices
+ * @access  Private (users.manage)
+ * @param   userId - User ID
+ * @body    { canApprove }
+ */
+router.put('/reviewers/:userId',
+  requirePermission('users.manage'),
+  noticeValidationRules.setApprover,
+  reviewController.setApprover
+);
+
+/**
+ * @route   GET /api/notices/trash
+ * @desc    Deleted notices waiting to be purged (own notices; every notice for super admins)
+ * @access  Private (notice.view)
+ * @query   { page, limit, search }
+ */
+router.get('/trash',
+  requirePermission('notice.view'),
+  noticeValidationRules.getTrash,
+  trashController.getTrash
+);
+
 /**
  * @route   GET /api/notices/:id
  * @desc    Get single notice by ID
- * @access  Private (Admin)
+ * @access  Private (notice.view)
  * @param   id - Notice ID
  * @query   { includeStats }
  */
 router.get('/:id',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.view'),
   noticeValidationRules.getById,
   noticeController.getNoticeById
 );
@@ -75,12 +124,12 @@ router.get('/:id',
 /**
  * @route   PUT /api/notices/:id
  * @desc    Update notice
- * @access  Private (Admin - Owner or Super Admin)
+ * @access  Private (notice.edit; notice.edit.any for other users' notices)
  * @param   id - Notice ID
- * @body    { title, description, imageUrl, files, priority, status }
+ * @body    { title, description, imageUrl, files, priority, status, publishAt, expiresAt, eventStart, eventEnd, eventLocation, eventAllDay, categoryIds }
  */
 router.put('/:id',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.edit'),
   upload.mixedFields,
   noticeValidationRules.update,
   noticeController.updateNotice
@@ -88,24 +137,36 @@ router.put('/:id',
 
 /**
  * @route   DELETE /api/notices/:id
- * @desc    Delete notice
- * @access  Private (Admin - Owner or Super Admin)
+ * @desc    Move notice to the trash; it is purged after the retention period
+ * @access  Private (notice.delete; notice.delete.any for other users' notices)
  * @param   id - Notice ID
  */
 router.delete('/:id',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.delete'),
   noticeValidationRules.delete,
   noticeController.deleteNotice
 );
 
+/**
+ * @route   POST /api/notices/:id/restore
+ * @desc    Restore a notice from the trash with its previous status
+ * @access  Private (notice owner or super admin)
+ * @param   id - Notice ID
+ */
+router.post('/:id/restore',
+  requirePermission('notice.view'),
+  noticeValidationRules.restore,
+  trashController.restoreNotice
+);
+
 /**
  * @route   POST /api/notices/:id/publish
- * @desc    Publish notice (change status to published)
- * @access  Private (Admin - Owner or Super Admin)
+ * @desc    Publish notice (change status to published); must be approved first when the approval workflow is on
+ * @access  Private (notice.publish; notice.publish.any for other users' notices, notice.publish.high for high priority)
  * @param   id - Notice ID
  */
 router.post('/:id/publish',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.publish'),
   noticeValidationRules.publish,
   noticeController.publishNotice
 );
@@ -113,24 +174,176 @@ router.post('/:id/publish',
 /**
  * @route   POST /api/notices/:id/unpublish
  * @desc    Unpublish notice (change status to draft)
- * @access  Private (Admin - Owner or Super Admin)
+ * @access  Private (notice.publish; notice.publish.any for other users' notices)
  * @param   id - Notice ID
  */
 router.post('/:id/unpublish',
-  authorize(['admin', 'super_admin']), 
+  requirePermission('notice.publish'),
   noticeValidationRules.unpublish,
   noticeController.unpublishNotice
 );
 
+/**
+ * @route   POST /api/notices/bulk
+ * @desc    Publish, unpublish, delete, reprioritise or categorise many notices in one transaction;
+ *          each notice is permission-checked and reported on separately
+ * @access  Private (the action's permission; .any variants for other users' notices)
+ * @body    { action, noticeIds, priority?, categoryId? }
+ */
+router.post('/bulk',
+  noticeValidationRules.bulk,
+  noticeController.bulkUpdateNotices
+);
+
+/**
+ * @route   PUT /api/notices/:id/pin
+ * @desc    Pin a notice above the date groups of the public board and/or feature it in the carousel
+ * @access  Private (notice.pin; other users' notices must share a department)
+ * @param   id - Notice ID
+ * @body    { pinned, featured, pinnedUntil, pinOrder }
+ */
+router.put('/:id/pin',
+  requirePermission('notice.pin'),
+  noticeValidationRules.pin,
+  noticeController.pinNotice
+);
+
+/**
+ * @route   POST /api/notices/:id/duplicate
+ * @desc    Copy a notice into a new draft with a fresh slug, optionally with copies of its image and attachments
+ * @access  Private (notice.create; unpublished notices of others must share a department)
+ * @param   id - Notice ID
+ * @body    { title, copyAttachments }
+ */
+router.post('/:id/duplicate',
+  requirePermission('notice.create'),
+  noticeValidationRules.duplicate,
+  noticeController.duplicateNotice
+);
+
+/**
+ * @route   GET /api/notices/:id/recurrence
+ * @desc    Get the recurrence rule of a notice
+ * @access  Private (notice.create and notice.edit; notice.edit.any for other users' notices)
+ * @param   id - Notice ID
+ */
+router.get('/:id/recurrence',
+  requirePermission('notice.create'),
+  noticeValidationRules.getById,
+  recurrenceController.getRecurrence
+);
+
+/**
+ * @route   PUT /api/notices/:id/recurrence
+ * @desc    Copy the notice every week, month or semester into a new draft or scheduled publication
+ * @access  Private (notice.create and notice.edit; notice.publish for scheduled copies)
+ * @param   id - Notice ID
+ * @body    { frequency, mode, startsAt, leadDays, endsAt, copyAttachments }
+ */
+router.put('/:id/recurrence',
+  requirePermission('notice.create'),
+  noticeValidationRules.recurrence,
+  recurrenceController.saveRecurrence
+);
+
+/**
+ * @route   DELETE /api/notices/:id/recurrence
+ * @desc    Stop a notice from recurring (copies already created are kept)
+ * @access  Private (notice.create and notice.edit; notice.edit.any for other users' notices)
+ * @param   id - Notice ID
+ */
+router.delete('/:id/recurrence',
+  requirePermission('notice.create'),
+  noticeValidationRules.getById,
+  recurrenceController.deleteRecurrence
+);
+
+/**
+ * @route   POST /api/notices/:id/submit-review
+ * @desc    Submit a draft (or a notice with requested changes) for review
+ * @access  Private (notice.edit; notice.edit.any for other users' notices)
+ * @param   id - Notice ID
+ * @body    { reviewerId, comment }
+ */
+router.post('/:id/submit-review',
+  requirePermission('notice.edit'),
+  noticeValidationRules.submitReview,
+  reviewController.submitForReview
+);
+
+/**
+ * @route   PUT /api/notices/:id/reviewer
+ * @desc    Assign the reviewer of a notice (null removes the assignment)
+ * @access  Private (notice.edit; notice.edit.any for other users' notices)
+ * @param   id - Notice ID
+ * @body    { reviewerId }
+ */
+router.put('/:id/reviewer',
+  requirePermission('notice.edit'),
+  noticeValidationRules.assignReviewer,
+  reviewController.assignReviewer
+);
+
+/**
+ * @route   POST /api/notices/:id/approve
+ * @desc    Approve a notice pending review for publication
+ * @access  Private (notice.review - assigned or any approver, not the author)
+ * @param   id - Notice ID
+ * @body    { comment }
+ */
+router.post('/:id/approve',
+  requirePermission('notice.review'),
+  noticeValidationRules.approve,
+  reviewController.approve
+);
+
+/**
+ * @route   POST /api/notices/:id/request-changes
+ * @desc    Send a notice pending review (or approved) back to its author
+ * @access  Private (notice.review - assigned or any approver, not the author)
+ * @param   id - Notice ID
+ * @body    { comment }
+ */
+router.post('/:id/request-changes',
+  requirePermission('notice.review'),
+  noticeValidationRules.reviewComment,
+  reviewController.requestChanges
+);
+
+/**
+ * @route   GET /api/notices/:id/reviews
+ * @desc    Review history and comments of a notice (oldest first)
+ * @access  Private (notice.view)
+ * @param   id - Notice ID
+ */
+router.get('/:id/reviews',
+  requirePermission('notice.view'),
+  noticeValidationRules.getById,
+  reviewController.getReviews
+);
+
+/**
+ * @route   POST /api/notices/:id/reviews
+ * @desc    Comment on a notice's review
+ * @access  Private (notice.view - owner or approvers)
+ * @param   id - Notice ID
+ * @body    { comment }
+ */
+router.post('/:id/reviews',
+  requirePermission('notice.view'),
+  noticeValidationRules.reviewComment,
+  reviewController.addComment
+);
+
 /**
  * @route   GET /api/notices/:id/related
  * @desc    Get related notices
- * @access  Private (Admin)
+ * @access  Private (notice.view)
  * @param   id - Notice ID
  * @query   { limit }
  */
 router.get('/:id/related',
-  authorize(['admin', 'super_admin']),
+  requirePermission('notice.view'),
   noticeValidationRules.getRelated,
   noticeController.getRelatedNotices
 );
@@ -138,14 +351,66 @@ router.get('/:id/related',
 /**
  * @route   GET /api/notices/:id/analytics
  * @desc    Get notice analytics
- * @access  Private (Admin - Owner or Super Admin)
+ * @access  Private (analytics.view)
  * @param   id - Notice ID
  * @query   { start_date, end_date, group_by }
  */
 router.get('/:id/analytics',
-  authorize(['admin', 'super_admin']), 
+  requirePermission('analytics.view'),
   noticeValidationRules.getById,
   noticeController.getNoticeAnalytics
 );
 
+/**
+ * @route   GET /api/notices/:id/revisions
+ * @desc    List saved revisions of a notice (newest first)
+ * @access  Private (notice.view)
+ * @param   id - Notice ID
+ * @query   { page, limit }
+ */
+router.get('/:id/revisions',
+  requirePermission('notice.view'),
+  noticeValidationRules.getRevisions,
+  revisionController.getRevisions
+);
+
+/**
+ * @route   GET /api/notices/:id/revisions/diff
+ * @desc    Compare two revisions of a notice
+ * @access  Private (notice.view)
+ * @param   id - Notice ID
+ * @query   { from, to } - Revision numbers (to defaults to the latest)
+ */
+router.get('/:id/revisions/diff',
+  requirePermission('notice.view'),
+  noticeValidationRules.diffRevisions,
+  revisionController.diffRevisions
+);
+
+/**
+ * @route   GET /api/notices/:id/revisions/:revisionNumber
+ * @desc    Get a single revision with full content
+ * @access  Private (notice.view)
+ * @param   id - Notice ID
+ * @param   revisionNumber - Revision number
+ */
+router.get('/:id/revisions/:revisionNumber',
+  requirePermission('notice.view'),
+  noticeValidationRules.getRevision,
+  revisionController.getRevision
+);
+
+/**
+ * @route   POST /api/notices/:id/revisions/:revisionNumber/restore
+ * @desc    Restore notice content from a revision
+ * @access  Private (notice.edit; notice.edit.any for other users' notices)
+ * @param   id - Notice ID
+ * @param   revisionNumber - Revision number
+ */
+router.post('/:id/revisions/:revisionNumber/restore',
+  requirePermission('notice.edit'),
+  noticeValidationRules.getRevision,
+  revisionController.restoreRevision
+);
+
 module.exports = router;
\ No newline at end of file
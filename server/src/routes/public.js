@@ -35,9 +35,9 @@ router.get('/site-info',
 
 /**
  * @route   GET /api/public/notices
- * @desc    Get published notices with pagination
+ * @desc    Get published notices grouped by date, with the active pinned notices listed separately above the groups
  * @access  Public
- * @query   { page, limit, priority, search, sortBy, sortOrder }
+ * @query   { page, limit, priority, search, category, department, sortBy, sortOrder, lang }
  */
 router.get('/notices',
   publicValidationRules.getNotices,
@@ -48,13 +48,24 @@ router.get('/notices',
  * @route   GET /api/public/notices/latest
  * @desc    Get latest published notices
  * @access  Public
- * @query   { limit }
+ * @query   { limit, lang }
  */
 router.get('/notices/latest',
   publicValidationRules.getLatest,
   ...publicController.getLatestNotices // Use spread operator for rate-limited endpoints
 );
 
+/**
+ * @route   GET /api/public/notices/featured
+ * @desc    Get featured notices for the carousel, in pin order
+ * @access  Public
+ * @query   { limit, lang }
+ */
+router.get('/notices/featured',
+  publicValidationRules.getLatest,
+  ...publicController.getFeaturedNotices // Use spread operator for rate-limited endpoints
+);
+
 /**
  * @route   GET /api/public/notices/popular
  * @desc    Get popular notices (most viewed)
@@ -71,7 +82,7 @@ router.get('/notices/popular',
  * @desc    Get notices by priority (high, medium, low)
  * @access  Public
  * @param   priority - Notice priority (high, medium, low)
- * @query   { page, limit }
+ * @query   { page, limit, lang }
  */
 router.get('/notices/priority/:priority',
   publicValidationRules.getByPriority,
@@ -93,19 +104,85 @@ router.get('/notices/archive',
  * @route   GET /api/public/search
  * @desc    Search published notices
  * @access  Public
- * @query   { q, page, limit }
+ * @query   { q, page, limit, category, department, lang }
  */
 router.get('/search',
   publicValidationRules.search,
   ...publicController.searchPublishedNotices // Use spread operator for rate-limited endpoints
 );
 
+/**
+ * @route   GET /api/public/categories
+ * @desc    Get active categories with published notice counts
+ * @access  Public
+ * @query   { type }
+ */
+router.get('/categories',
+  publicValidationRules.getCategories,
+  ...publicController.getCategories // Use spread operator for rate-limited endpoints
+);
+
+/**
+ * @route   GET /api/public/feed.rss | /api/public/feed.atom
+ * @desc    RSS 2.0 / Atom 1.0 feed of the latest published notices (ETag and Last-Modified aware)
+ * @access  Public
+ * @param   format - Feed format (rss, atom)
+ */
+router.get('/feed.:format',
+  publicValidationRules.getFeed,
+  ...publicController.getFeed // Use spread operator for rate-limited endpoints
+);
+
+/**
+ * @route   GET /api/public/feed/priority/:priority.rss | .atom
+ * @desc    Feed of the latest published notices with one priority
+ * @access  Public
+ * @param   priority - Notice priority (high, medium, low)
+ * @param   format - Feed format (rss, atom)
+ */
+router.get('/feed/priority/:priority.:format',
+  publicValidationRules.getFeed,
+  ...publicController.getFeed // Use spread operator for rate-limited endpoints
+);
+
+/**
+ * @route   GET /api/public/feed/category/:slug.rss | .atom
+ * @desc    Feed of the latest published notices in a category or department
+ * @access  Public
+ * @param   slug - Category slug
+ * @param   format - Feed format (rss, atom)
+ */
+router.get('/feed/category/:slug.:format',
+  publicValidationRules.getFeed,
+  ...publicController.getFeed // Use spread operator for rate-limited endpoints
+);
+
+/**
+ * @route   GET /api/public/calendar.ics
+ * @desc    Subscribable iCalendar feed of published event notices (ETag and Last-Modified aware)
+ * @access  Public
+ */
+router.get('/calendar.ics',
+  ...publicController.getCalendarFeed // Use spread operator for rate-limited endpoints
+);
+
+/**
+ * @route   GET /api/public/notices/:slug.ics
+ * @desc    Download the event of a published notice as an iCalendar file
+ * @access  Public
+ * @param   slug - Notice slug
+ */
+router.get('/notices/:slug.ics',
+  publicValidationRules.getBySlug,
+  ...publicController.getNoticeCalendar // Use spread operator for rate-limited endpoints
+);
+
 /**
  * @route   GET /api/public/notices/:slug
  * @desc    Get published notice by slug
  * @access  Public
  * @param   slug - Notice slug
- * @query   { includeStats }
+ * @query   { includeStats, lang } - lang (en, si, ta) falls back to English, then the original language
  */
 router.get('/notices/:slug',
   publicValidationRules.getBySlug,
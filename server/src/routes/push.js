@@ -0,0 +1,70 @@
+// Push Routes - Browser Web Push subscriptions for published notice alerts
+const express = require('express');
+const router = express.Router();
+const pushController = require('../controllers/pushController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, push: pushValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all push route access
+router.use((req, res, next) => {
+  logApiAccess(req, `PUSH_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+/**
+ * @route   GET /api/push/public-key
+ * @desc    VAPID public key used as the browser's applicationServerKey
+ * @access  Public
+ */
+router.get('/public-key', pushController.getPublicKey);
+
+/**
+ * @route   POST /api/push/subscriptions
+ * @desc    Store this browser's push subscription (re-posting updates its filters)
+ * @access  Public
+ * @body    { subscription: { endpoint, keys: { p256dh, auth } }, minPriority, categoryIds }
+ */
+router.post('/subscriptions',
+  pushValidationRules.subscribe,
+  ...pushController.subscribe
+);
+
+/**
+ * @route   POST /api/push/subscriptions/lookup
+ * @desc    Get the filters stored for a push endpoint
+ * @access  Public (endpoint)
+ * @body    { endpoint }
+ */
+router.post('/subscriptions/lookup',
+  pushValidationRules.endpoint,
+  ...pushController.getSubscription
+);
+
+/**
+ * @route   POST /api/push/subscriptions/unsubscribe
+ * @desc    Remove a push endpoint
+ * @access  Public (endpoint)
+ * @body    { endpoint }
+ */
+router.post('/subscriptions/unsubscribe',
+  pushValidationRules.endpoint,
+  ...pushController.unsubscribe
+);
+
+/**
+ * @route   GET /api/push/stats
+ * @desc    Push subscription statistics
+ * @access  Private (analytics.view)
+ */
+router.get('/stats',
+  authenticate,
+  requirePermission('analytics.view'),
+  pushController.getStats
+);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// Role Routes - Configurable roles and permissions
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, role: roleValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all role route access
+router.use((req, res, next) => {
+  logApiAccess(req, `ROLE_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+// Roles are managed together with user accounts
+router.use(authenticate);
+router.use(requirePermission('users.manage'));
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles with their permissions and member counts
+ * @access  Private (users.manage)
+ */
+router.get('/',
+  roleController.getAllRoles
+);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List every permission a role can grant
+ * @access  Private (users.manage)
+ */
+router.get('/permissions',
+  roleController.getPermissions
+);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role
+ * @access  Private (users.manage)
+ * @body    { name, displayName, description, permissions }
+ */
+router.post('/',
+  roleValidationRules.create,
+  roleController.createRole
+);
+
+/**
+ * @route   PUT /api/roles/:name
+ * @desc    Update a role; super_admin cannot be changed
+ * @access  Private (users.manage)
+ * @param   name - Role name
+ * @body    { displayName, description, permissions }
+ */
+router.put('/:name',
+  roleValidationRules.update,
+  roleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role that no user holds
+ * @access  Private (users.manage)
+ * @param   name - Role name
+ */
+router.delete('/:name',
+  roleValidationRules.name,
+  roleController.deleteRole
+);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// Subscription Routes - Public email subscriptions (double opt-in, preferences, unsubscribe)
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, subscription: subscriptionValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all subscription route access
+router.use((req, res, next) => {
+  logApiAccess(req, `SUBSCRIPTION_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+/**
+ * @route   POST /api/subscriptions
+ * @desc    Subscribe an email address (sends a confirmation link)
+ * @access  Public
+ * @body    { email, minPriority, frequency, categoryIds }
+ */
+router.post('/',
+  subscriptionValidationRules.subscribe,
+  ...subscriptionController.subscribe
+);
+
+/**
+ * @route   POST /api/subscriptions/confirm
+ * @desc    Confirm a subscription from the emailed link
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/confirm',
+  subscriptionValidationRules.confirm,
+  ...subscriptionController.confirm
+);
+
+/**
+ * @route   GET /api/subscriptions/manage
+ * @desc    Get subscription preferences
+ * @access  Public (manage token)
+ * @query   { token }
+ */
+router.get('/manage',
+  subscriptionValidationRules.getPreferences,
+  ...subscriptionController.getPreferences
+);
+
+/**
+ * @route   PUT /api/subscriptions/manage
+ * @desc    Update subscription preferences
+ * @access  Public (manage token)
+ * @body    { token, minPriority, frequency, categoryIds }
+ */
+router.put('/manage',
+  subscriptionValidationRules.updatePreferences,
+  ...subscriptionController.updatePreferences
+);
+
+/**
+ * @route   POST /api/subscriptions/unsubscribe
+ * @desc    Unsubscribe; also the one-click List-Unsubscribe target
+ * @access  Public (manage token)
+ * @query   { token }
+ * @body    { token }
+ */
+router.post('/unsubscribe',
+  subscriptionValidationRules.unsubscribe,
+  ...subscriptionController.unsubscribe
+);
+
+/**
+ * @route   GET /api/subscriptions/stats
+ * @desc    Subscriber and email queue statistics
+ * @access  Private (analytics.view)
+ */
+router.get('/stats',
+  authenticate,
+  requirePermission('analytics.view'),
+  subscriptionController.getStats
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// Template Routes - Notice templates with typed placeholders
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, template: templateValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all template route access
+router.use((req, res, next) => {
+  logApiAccess(req, `TEMPLATE_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+// All template routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/templates
+ * @desc    Get shared templates and those of the user's departments, most used first
+ * @access  Private (notice.create)
+ * @query   { departmentId, includeInactive }
+ */
+router.get('/',
+  requirePermission('notice.create'),
+  templateValidationRules.getAll,
+  templateController.getTemplates
+);
+
+/**
+ * @route   GET /api/templates/:id
+ * @desc    Get template with its fields
+ * @access  Private (notice.create)
+ * @param   id - Template ID
+ */
+router.get('/:id',
+  requirePermission('notice.create'),
+  templateValidationRules.getById,
+  templateController.getTemplate
+);
+
+/**
+ * @route   POST /api/templates
+ * @desc    Create template (department heads for their departments, super admins for shared ones)
+ * @access  Private (templates.manage)
+ * @body    { name, description, departmentId, body, fields: [{ key, label, type, required }], defaultPriority, defaultCategoryId, isActive }
+ */
+router.post('/',
+  requirePermission('templates.manage'),
+  templateValidationRules.create,
+  templateController.createTemplate
+);
+
+/**
+ * @route   POST /api/templates/:id/apply
+ * @desc    Fill the template's placeholders and count the use
+ * @access  Private (notice.create)
+ * @param   id - Template ID
+ * @body    { values: { [fieldKey]: value } }
+ */
+router.post('/:id/apply',
+  requirePermission('notice.create'),
+  templateValidationRules.apply,
+  templateController.applyTemplate
+);
+
+/**
+ * @route   PUT /api/templates/:id
+ * @desc    Update template; fields are replaced when given
+ * @access  Private (templates.manage)
+ * @param   id - Template ID
+ * @body    { name, description, departmentId, body, fields, defaultPriority, defaultCategoryId, isActive }
+ */
+router.put('/:id',
+  requirePermission('templates.manage'),
+  templateValidationRules.update,
+  templateController.updateTemplate
+);
+
+/**
+ * @route   DELETE /api/templates/:id
+ * @desc    Delete template
+ * @access  Private (templates.manage)
+ * @param   id - Template ID
+ */
+router.delete('/:id',
+  requirePermission('templates.manage'),
+  templateValidationRules.getById,
+  templateController.deleteTemplate
+);
+
+module.exports = router;
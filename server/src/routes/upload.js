@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const uploadController = require('../controllers/uploadController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validateJSON, sanitizeAll, upload: uploadValidationRules } = require('../middleware/validation');
 const { logApiAccess } = require('../middleware/logging');
 
@@ -16,14 +16,14 @@ router.use((req, res, next) => {
 router.use(validateJSON);
 router.use(sanitizeAll);
 
-// All upload routes require authentication and admin role
+// All upload routes require authentication and the files.upload permission
 router.use(authenticate);
-router.use(authorize(['admin', 'super_admin']));
+router.use(requirePermission('files.upload'));
 
 /**
  * @route   POST /api/upload/image
  * @desc    Upload single image file
- * @access  Private (Admin)
+ * @access  Private (files.upload)
  * @body    FormData with 'image' field
  */
 router.post('/image',
@@ -34,7 +34,7 @@ router.post('/image',
 /**
  * @route   POST /api/upload/files
  * @desc    Upload multiple files
- * @access  Private (Admin)
+ * @access  Private (files.upload)
  * @body    FormData with 'files' field (array)
  */
 router.post('/files',
@@ -45,7 +45,7 @@ router.post('/files',
 /**
  * @route   GET /api/upload/list
  * @desc    Get list of uploaded files
- * @access  Private (Admin)
+ * @access  Private (files.upload)
  * @query   { page, limit, type }
  */
 router.get('/list',
@@ -56,10 +56,11 @@ router.get('/list',
 /**
  * @route   DELETE /api/upload/:filename
  * @desc    Delete uploaded file
- * @access  Private (Admin)
+ * @access  Private (files.manage)
  * @param   filename - File name to delete
  */
 router.delete('/:filename',
+  requirePermission('files.manage'),
   uploadValidationRules.delete,
   uploadController.deleteFile
 );
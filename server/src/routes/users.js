@@ -0,0 +1,103 @@
+// User Routes - Staff account management
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, validateId, user: userValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all user route access
+router.use((req, res, next) => {
+  logApiAccess(req, `USER_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+// Accounts are managed by holders of users.manage (super admins by default)
+router.use(authenticate);
+router.use(requirePermission('users.manage'));
+
+/**
+ * @route   GET /api/users
+ * @desc    List users with their notice count and 2FA state
+ * @access  Private (users.manage)
+ * @query   { page, limit, search, role, status, sortBy, sortOrder }
+ */
+router.get('/',
+  userValidationRules.getAll,
+  userController.getAllUsers
+);
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a staff account
+ * @access  Private (users.manage)
+ * @body    { username, email, password, fullName, role, canApprove }
+ */
+router.post('/',
+  userValidationRules.create,
+  userController.createUser
+);
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get user
+ * @access  Private (users.manage)
+ * @param   id - User ID
+ */
+router.get('/:id',
+  validateId,
+  userController.getUser
+);
+
+/**
+ * @route   PUT /api/users/:id
+ * @desc    Update user; a role change signs the user out
+ * @access  Private (users.manage)
+ * @param   id - User ID
+ * @body    { username, email, fullName, role, canApprove }
+ */
+router.put('/:id',
+  userValidationRules.update,
+  userController.updateUser
+);
+
+/**
+ * @route   PUT /api/users/:id/status
+ * @desc    Disable (signs the user out) or re-enable an account
+ * @access  Private (users.manage)
+ * @param   id - User ID
+ * @body    { isActive }
+ */
+router.put('/:id/status',
+  userValidationRules.status,
+  userController.setUserStatus
+);
+
+/**
+ * @route   POST /api/users/:id/logout
+ * @desc    Revoke every session of the user
+ * @access  Private (users.manage)
+ * @param   id - User ID
+ */
+router.post('/:id/logout',
+  validateId,
+  userController.forceLogout
+);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete user; users with notices need transferTo
+ * @access  Private (users.manage)
+ * @param   id - User ID
+ * @query   { transferTo } - User who takes over the notices
+ */
+router.delete('/:id',
+  userValidationRules.remove,
+  userController.deleteUser
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+// Webhook Routes - Outbound webhook management and delivery log
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateJSON, sanitizeAll, validateId, webhook: webhookValidationRules } = require('../middleware/validation');
+const { logApiAccess } = require('../middleware/logging');
+
+// Middleware to log all webhook route access
+router.use((req, res, next) => {
+  logApiAccess(req, `WEBHOOK_ROUTE_${req.method}_${req.path.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`);
+  next();
+});
+
+// Global middleware for this router
+router.use(validateJSON);
+router.use(sanitizeAll);
+
+// Webhooks receive every notice, including drafts, so only holders of webhooks.manage (super admins by default) manage them
+router.use(authenticate);
+router.use(requirePermission('webhooks.manage'));
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get all webhooks and the events they can subscribe to
+ * @access  Private (webhooks.manage)
+ */
+router.get('/',
+  webhookController.getAllWebhooks
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook; the response contains the signing secret
+ * @access  Private (webhooks.manage)
+ * @body    { name, url, events, isActive }
+ */
+router.post('/',
+  webhookValidationRules.create,
+  webhookController.createWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get webhook
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ */
+router.get('/:id',
+  validateId,
+  webhookController.getWebhook
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update webhook
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ * @body    { name, url, events, isActive }
+ */
+router.put('/:id',
+  webhookValidationRules.update,
+  webhookController.updateWebhook
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete webhook and its delivery log
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ */
+router.delete('/:id',
+  validateId,
+  webhookController.deleteWebhook
+);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ */
+router.post('/:id/rotate-secret',
+  validateId,
+  webhookController.rotateSecret
+);
+
+/**
+ * @route   POST /api/webhooks/:id/ping
+ * @desc    Send a signed ping event
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ */
+router.post('/:id/ping',
+  validateId,
+  webhookController.pingWebhook
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get the delivery log
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ * @query   { page, limit, status }
+ */
+router.get('/:id/deliveries',
+  webhookValidationRules.getDeliveries,
+  webhookController.getDeliveries
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get one delivery with its payload
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ * @param   deliveryId - Delivery ID
+ */
+router.get('/:id/deliveries/:deliveryId',
+  webhookValidationRules.delivery,
+  webhookController.getDelivery
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send a past delivery again (same event ID and payload)
+ * @access  Private (webhooks.manage)
+ * @param   id - Webhook ID
+ * @param   deliveryId - Delivery ID
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver',
+  webhookValidationRules.delivery,
+  webhookController.redeliver
+);
+
+module.exports = router;
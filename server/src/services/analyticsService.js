@@ -3,7 +3,10 @@ const SiteVisit = require('../models/SiteVisit');
 const UserSession = require('../models/UserSession');
 const Notice = require('../models/Notice');
 const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
 const secureDatabase = require('../config/database');
+const permissionService = require('./permissionService');
 const { 
   logUserAction, 
   logPerformance,
@@ -427,9 +430,9 @@ class AnalyticsService {
       console.log('👥 Getting user analytics');
 
       // Check if user can view detailed user analytics
-      if (!user.isSuperAdmin()) {
+      if (!await permissionService.hasPermission(user, 'analytics.export')) {
         return {
-          summary: { message: 'Detailed user analytics require super admin privileges' },
+          summary: { message: 'Detailed user analytics require the analytics.export permission' },
           userActivity: [],
           sessionMetrics: [],
           roleDistribution: []
@@ -595,34 +598,57 @@ class AnalyticsService {
       console.log('🔒 Getting security analytics');
 
       // Check permissions for security analytics
-      if (!user.isSuperAdmin()) {
+      if (!await permissionService.hasPermission(user, 'analytics.export')) {
         return {
-          summary: { message: 'Security analytics require super admin privileges' },
+          summary: { message: 'Security analytics require the analytics.export permission' },
           securityEvents: [],
           suspiciousActivity: [],
           failedLogins: []
         };
       }
 
-      // Mock security data for demonstration
-      // In a real implementation, you'd query your security logs
+      // Login attempts and lockouts are persisted by the auth service
+      const [summary, dailyTrend, topIPs, topUsernames, activeLockouts] = await Promise.all([
+        LoginAttempt.getSummary(dateRange.start, dateRange.end),
+        LoginAttempt.getDailyTrend(dateRange.start, dateRange.end),
+        LoginAttempt.getTopFailures('ip_address', dateRange.start, dateRange.end, 10),
+        LoginAttempt.getTopFailures('username', dateRange.start, dateRange.end, 10),
+        LoginLockout.getActive()
+      ]);
+
+      const lockedIPs = new Set(activeLockouts.filter(l => l.scope === 'ip').map(l => l.identifier));
+      const lockedUsernames = new Set(activeLockouts.filter(l => l.scope === 'username').map(l => l.identifier));
+
       const securityData = {
         summary: {
-          totalIncidents: Math.round(Math.random() * 20),
-          failedLogins: Math.round(Math.random() * 50),
-          blockedIPs: Math.round(Math.random() * 10),
-          suspiciousActivities: Math.round(Math.random() * 15)
+          totalIncidents: summary.lockouts,
+          failedLogins: summary.failed,
+          blockedAttempts: summary.blocked,
+          lockouts: summary.lockouts,
+          blockedIPs: lockedIPs.size,
+          lockedAccounts: lockedUsernames.size,
+          suspiciousActivities: summary.failingIps
         },
-        incidentTrend: this.generateMockTimeSeries(dateRange, 'security_incidents'),
+        incidentTrend: dailyTrend.map(day => ({ date: day.date, value: day.lockouts })),
+        failedLoginTrend: dailyTrend,
         topThreats: [
-          { type: 'SQL Injection Attempt', count: 23, severity: 'high' },
-          { type: 'XSS Attempt', count: 15, severity: 'medium' },
-          { type: 'Rate Limit Exceeded', count: 67, severity: 'low' }
+          { type: 'Failed Login', count: summary.failed, severity: 'low' },
+          { type: 'Login Lockout', count: summary.lockouts, severity: 'medium' },
+          { type: 'Login While Locked', count: summary.blocked, severity: 'high' }
         ],
-        suspiciousIPs: [
-          { ip: '192.168.1.100', attempts: 45, lastSeen: '2025-06-24T15:30:00Z' },
-          { ip: '10.0.0.50', attempts: 23, lastSeen: '2025-06-24T14:45:00Z' }
-        ]
+        suspiciousIPs: topIPs.map(entry => ({
+          ip: entry.value,
+          attempts: entry.attempts,
+          lastSeen: entry.lastSeen,
+          locked: lockedIPs.has(entry.value)
+        })),
+        targetedAccounts: topUsernames.map(entry => ({
+          username: entry.value,
+          attempts: entry.attempts,
+          lastSeen: entry.lastSeen,
+          locked: lockedUsernames.has(entry.value)
+        })),
+        activeLockouts: activeLockouts.map(lockout => lockout.toJSON())
       };
 
       return securityData;
@@ -633,7 +659,8 @@ class AnalyticsService {
         summary: { totalIncidents: 0, failedLogins: 0, blockedIPs: 0 },
         incidentTrend: [],
         topThreats: [],
-        suspiciousIPs: []
+        suspiciousIPs: [],
+        activeLockouts: []
       };
     }
   }
@@ -856,32 +883,18 @@ class AnalyticsService {
    */
   async checkAnalyticsPermissions(user, operation) {
     try {
-      // Super admin can do everything
-      if (user.isSuperAdmin()) {
-        return { allowed: true };
-      }
+      // Dashboard and basic analytics need analytics.view; exports and the rest analytics.export
+      const required = ['dashboard', 'basic'].includes(operation) ? 'analytics.view' : 'analytics.export';
 
-      // Regular admin can view basic analytics
-      if (user.isAdmin()) {
-        const allowedOperations = ['dashboard', 'basic'];
-        if (allowedOperations.includes(operation)) {
-          return { allowed: true };
-        }
-
-        return {
-          allowed: false,
-          success: false,
-          reason: 'insufficient_permissions',
-          message: 'This operation requires super admin privileges'
-        };
+      if (await permissionService.hasPermission(user, required)) {
+        return { allowed: true };
       }
 
-      // Non-admin users cannot access analytics
       return {
         allowed: false,
         success: false,
-        reason: 'access_denied',
-        message: 'Analytics access requires admin privileges'
+        reason: 'insufficient_permissions',
+        message: `This operation requires the ${required} permission`
       };
 
     } catch (error) {
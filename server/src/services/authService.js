@@ -4,6 +4,15 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const UserSession = require('../models/UserSession');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
+const PasswordHistory = require('../models/PasswordHistory');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const twoFactorService = require('./twoFactorService');
+const permissionService = require('./permissionService');
+const emailService = require('./emailService');
+const emailTemplates = require('../utils/emailTemplates');
 const { config } = require('../config/environment');
 const { 
   logAuthentication, 
@@ -35,12 +44,19 @@ class AuthService {
       inactivityTimeout: 15 * 60 * 1000 // 15 minutes
     };
 
+    // Failed login lockout: thresholds per username / IP address and progressive durations
+    this.lockoutConfig = config.lockout;
+
     // Rate limiting configuration
     this.rateLimits = {
-      maxLoginAttempts: 5,
-      lockoutDuration: 15 * 60 * 1000, // 15 minutes
-      maxPasswordResetAttempts: 3,
-      passwordResetWindow: 60 * 60 * 1000 // 1 hour
+      maxPasswordResetAttempts: config.passwordReset.maxRequests,
+      passwordResetWindow: config.passwordReset.windowMs
+    };
+
+    // Password reset links point at the client
+    this.resetConfig = {
+      tokenTtlMinutes: config.passwordReset.tokenTtlMinutes,
+      siteUrl: config.app.frontendUrl || config.cors.origin[0]
     };
 
     // Common weak passwords to reject
@@ -76,11 +92,13 @@ class AuthService {
       // Step 2: Check rate limiting
       const rateLimitCheck = await this.checkRateLimit(cleanUsername, context.ipAddress);
       if (!rateLimitCheck.allowed) {
+        await this.recordBlockedAttempt(cleanUsername, context.ipAddress, rateLimitCheck, context);
         await this.logFailedAuthentication(cleanUsername, 'rate_limit_exceeded', context);
         return {
           success: false,
           reason: 'rate_limit_exceeded',
-          message: 'Too many failed attempts. Please try again later.',
+          message: rateLimitCheck.message,
+          lockout: rateLimitCheck,
           lockoutExpires: rateLimitCheck.lockoutExpires
         };
       }
@@ -88,12 +106,13 @@ class AuthService {
       // Step 3: Find user
       const user = await User.findByUsername(cleanUsername);
       if (!user) {
-        await this.recordFailedAttempt(cleanUsername, context.ipAddress);
+        const failure = await this.recordFailedAttempt(cleanUsername, context.ipAddress, context);
         await this.logFailedAuthentication(cleanUsername, 'user_not_found', context);
         return {
           success: false,
           reason: 'invalid_credentials',
-          message: 'Invalid username or password'
+          message: failure.message,
+          lockout: failure
         };
       }
 
@@ -104,24 +123,41 @@ class AuthService {
         return {
           success: false,
           reason: accountCheck.reason,
-          message: accountCheck.message
+          message: accountCheck.message,
+          lockoutExpires: accountCheck.lockoutExpires || null
         };
       }
 
       // Step 5: Verify password
-      const passwordValid = await this.verifyPassword(cleanPassword, user.passwordHash);
+      const passwordValid = await this.verifyPassword(cleanPassword, await user.getPasswordHash());
       if (!passwordValid) {
-        await this.recordFailedAttempt(cleanUsername, context.ipAddress);
+        const failure = await this.recordFailedAttempt(cleanUsername, context.ipAddress, context);
         await this.logFailedAuthentication(cleanUsername, 'invalid_password', context);
         return {
           success: false,
           reason: 'invalid_credentials',
-          message: 'Invalid username or password'
+          message: failure.message,
+          lockout: failure
+        };
+      }
+
+      // Step 6: Second factor - the session is only created after /login/2fa
+      const twoFactor = await twoFactorService.getLoginRequirement(user);
+      if (twoFactor.required) {
+        console.log(`🔐 Two-factor ${twoFactor.setup ? 'setup' : 'code'} required for: ${user.username}`);
+        return {
+          success: false,
+          reason: twoFactor.setup ? 'two_factor_setup_required' : 'two_factor_required',
+          message: twoFactor.setup
+            ? 'Two-factor authentication must be set up before you can log in'
+            : 'Enter the code from your authenticator app',
+          challengeToken: twoFactorService.createChallenge(user, twoFactor.setup ? 'setup' : 'verify'),
+          expiresIn: twoFactorService.config.challengeTtlSeconds
         };
       }
 
-      // Step 6: Clear failed attempts and create session
-      await this.clearFailedAttempts(cleanUsername, context.ipAddress);
+      // Step 7: Clear failed attempts and create session
+      await this.clearFailedAttempts(cleanUsername, context.ipAddress, context);
       const authResult = await this.createAuthenticatedSession(user, context);
 
       console.log(`✅ Authentication successful for: ${user.username}`);
@@ -141,6 +177,104 @@ class AuthService {
     }
   }
 
+  /**
+   * Second login step: check the code (or recovery code) for a challenge from authenticateUser.
+   * For a 'setup' challenge the code finishes enrollment and recovery codes are returned.
+   * Wrong codes count towards the username and IP lockouts like wrong passwords.
+   * @param {string} challengeToken - Token returned with two_factor_required / two_factor_setup_required
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @param {Object} context - Request context
+   * @returns {Object} - { success, user, method, recoveryCodes } or a refusal with reason
+   */
+  async verifySecondFactor(challengeToken, credentials = {}, context = {}) {
+    const challenge = twoFactorService.readChallenge(challengeToken);
+    const user = challenge ? await User.findById(challenge.userId) : null;
+
+    // The account may have been disabled since the password step
+    if (!user || !user.isActive()) {
+      return {
+        success: false,
+        reason: 'invalid_challenge',
+        message: 'Your login has expired, please sign in again'
+      };
+    }
+
+    const rateLimitCheck = await this.checkRateLimit(user.username, context.ipAddress);
+    if (!rateLimitCheck.allowed) {
+      await this.recordBlockedAttempt(user.username, context.ipAddress, rateLimitCheck, context);
+      return {
+        success: false,
+        reason: 'locked',
+        message: rateLimitCheck.message,
+        lockout: rateLimitCheck
+      };
+    }
+
+    const result = challenge.purpose === 'setup'
+      ? await twoFactorService.enable(user, credentials.code, context)
+      : await twoFactorService.verify(user, credentials, context);
+
+    if (!result.success) {
+      if (result.reason !== 'invalid_code') {
+        return result;
+      }
+
+      const failure = await this.recordFailedAttempt(user.username, context.ipAddress, {
+        ...context,
+        reason: 'invalid_two_factor_code'
+      });
+      await this.logFailedAuthentication(user.username, 'invalid_two_factor_code', context);
+
+      return {
+        success: false,
+        reason: failure.locked ? 'locked' : 'invalid_code',
+        message: failure.locked ? failure.message : result.message,
+        lockout: failure
+      };
+    }
+
+    return {
+      success: true,
+      user,
+      method: result.method,
+      recoveryCodes: result.recoveryCodes || null,
+      recoveryCodesRemaining: result.recoveryCodesRemaining ?? null
+    };
+  }
+
+  /**
+   * Finish a two-factor login and create the session
+   * @param {string} challengeToken - Challenge token from authenticateUser
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @param {Object} context - Request context
+   * @returns {Object} - Authentication result with tokens (and recovery codes after a forced setup)
+   */
+  async completeTwoFactorAuthentication(challengeToken, credentials, context = {}) {
+    try {
+      const verification = await this.verifySecondFactor(challengeToken, credentials, context);
+      if (!verification.success) {
+        return verification;
+      }
+
+      const user = verification.user;
+      await this.clearFailedAttempts(user.username, context.ipAddress, context);
+      const authResult = await this.createAuthenticatedSession(user, context);
+
+      console.log(`✅ Two-factor authentication successful for: ${user.username}`);
+      await this.logSuccessfulAuthentication(user, context);
+
+      return { ...authResult, recoveryCodes: verification.recoveryCodes };
+
+    } catch (error) {
+      console.error('💥 Two-factor authentication error:', error.message);
+      return {
+        success: false,
+        reason: 'system_error',
+        message: 'An error occurred during authentication'
+      };
+    }
+  }
+
   /**
    * Validate authentication input
    * @param {string} username - Username
@@ -204,15 +338,30 @@ class AuthService {
   }
 
   /**
-   * Check authentication rate limiting
-   * @param {string} username - Username
+   * Check authentication rate limiting against the persisted lockouts
+   * @param {string} username - Username (or email) as entered
    * @param {string} ipAddress - IP address
    * @returns {Object} - Rate limit check result
    */
   async checkRateLimit(username, ipAddress) {
     try {
-      // Implementation would check failed attempts from database/cache
-      // For now, return allowed
+      if (!this.lockoutConfig.enabled) {
+        return { allowed: true, attempts: 0, lockoutExpires: null };
+      }
+
+      // An IP lockout blocks every username tried from that address
+      const candidates = [['ip', ipAddress], ['username', username]];
+
+      for (const [scope, identifier] of candidates) {
+        const lockout = identifier ? await LoginLockout.find(scope, identifier) : null;
+        if (lockout && lockout.locked) {
+          return {
+            allowed: false,
+            ...this.describeLockout(lockout)
+          };
+        }
+      }
+
       return {
         allowed: true,
         attempts: 0,
@@ -232,27 +381,25 @@ class AuthService {
    */
   async checkAccountStatus(user) {
     try {
-      if (!user.isActive()) {
+      if (typeof user.isActive === 'function' && !user.isActive()) {
         return {
           valid: false,
           reason: 'account_disabled',
-          message: 'Account is disabled'
+          message: 'This account has been disabled'
         };
       }
 
-      if (user.isLocked()) {
-        return {
-          valid: false,
-          reason: 'account_locked',
-          message: 'Account is temporarily locked'
-        };
-      }
+      const lockout = this.lockoutConfig.enabled
+        ? await LoginLockout.find('username', user.username)
+        : null;
 
-      if (user.isExpired()) {
+      if (lockout && lockout.locked) {
+        const details = this.describeLockout(lockout);
         return {
           valid: false,
-          reason: 'account_expired',
-          message: 'Account has expired'
+          reason: 'account_locked',
+          message: details.message,
+          lockoutExpires: details.lockoutExpires
         };
       }
 
@@ -315,7 +462,7 @@ class AuthService {
 
       return {
         success: true,
-        user: user.toJSON(),
+        user: { ...user.toJSON(), ...this.getPasswordStatus(user) },
         tokens: {
           accessToken: tokens.accessToken,
           refreshToken: tokens.refreshToken,
@@ -382,38 +529,103 @@ class AuthService {
   }
 
   /**
-   * Refresh access token using refresh token
-   * @param {string} refreshToken - Refresh token
+   * Sign an access token for a session
+   * @param {Object} user - User object
+   * @param {number} sessionId - Session the token belongs to; revoking it ends the token
+   * @returns {string} - JWT
+   */
+  signAccessToken(user, sessionId = null) {
+    const payload = {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      ...(sessionId && { sid: sessionId }),
+      iat: Math.floor(Date.now() / 1000)
+    };
+
+    return jwt.sign(payload, config.jwt.secret, {
+      expiresIn: config.jwt.expiresIn,
+      algorithm: config.jwt.algorithm,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+  }
+
+  /**
+   * Start the refresh token family of a new session
+   * @param {number} sessionId - Session ID
+   * @returns {string} - Refresh token for the httpOnly cookie
+   */
+  async issueRefreshToken(sessionId) {
+    const { refreshToken } = await RefreshToken.create(sessionId, config.refreshToken.ttlDays);
+    return refreshToken;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and the next refresh token.
+   * Each refresh token works once; presenting a used one means it was copied, so the
+   * whole session (every token of the family) is revoked.
+   * @param {string} refreshToken - Refresh token from the cookie
    * @param {Object} context - Request context
-   * @returns {Object} - Refresh result
+   * @returns {Object} - { success, user, session, accessToken, refreshToken } or { success: false, reason, message }
    */
   async refreshAccessToken(refreshToken, context = {}) {
     try {
       console.log('🔄 Refreshing access token');
 
-      // Step 1: Verify refresh token
-      const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret || config.jwt.secret);
-      
-      if (decoded.type !== 'refresh') {
+      // Step 1: Find the token and its session
+      const record = await RefreshToken.findByToken(refreshToken);
+      const session = record ? await UserSession.findById(record.sessionId) : null;
+
+      if (!record || !session) {
         return {
           success: false,
-          reason: 'invalid_token_type',
-          message: 'Invalid token type'
+          reason: 'invalid_token',
+          message: 'Invalid or expired refresh token'
         };
       }
 
-      // Step 2: Find session
-      const session = await UserSession.findByRefreshToken(refreshToken);
-      if (!session || !session.isActive() || session.isExpired()) {
+      if (!session.isValid()) {
         return {
           success: false,
           reason: 'invalid_session',
-          message: 'Invalid or expired session'
+          message: 'Your session has ended, please log in again'
+        };
+      }
+
+      // Step 2: A token used again. Within the grace period that is another tab refreshing with the same
+      // cookie, which gets a token of its own; later it is a replay - end the session for the thief and the owner alike
+      const firstUse = !record.isUsed() && await record.consume();
+      if (!firstUse && !record.isRecentlyUsed(config.refreshToken.reuseGraceSeconds)) {
+        await session.revoke({ id: session.userId, username: session.username });
+
+        await logSecurityEvent(context, 'REFRESH_TOKEN_REUSE', {
+          userId: session.userId,
+          username: session.username,
+          sessionId: session.id,
+          severity: 'high',
+          description: 'A used refresh token was presented again; the session was revoked'
+        });
+
+        console.log(`🚨 Refresh token reuse for session ${session.id}, session revoked`);
+
+        return {
+          success: false,
+          reason: 'token_reused',
+          message: 'Your session was signed out for security reasons, please log in again'
+        };
+      }
+
+      if (record.isExpired()) {
+        return {
+          success: false,
+          reason: 'invalid_token',
+          message: 'Invalid or expired refresh token'
         };
       }
 
       // Step 3: Find user
-      const user = await User.findById(decoded.sub);
+      const user = await User.findById(session.userId);
       if (!user || !user.isActive()) {
         return {
           success: false,
@@ -422,33 +634,22 @@ class AuthService {
         };
       }
 
-      // Step 4: Generate new access token
-      const newTokens = await this.generateTokens(user);
-
-      // Step 5: Update session
-      await session.updateTokens(newTokens.accessToken, newTokens.refreshToken);
+      // Step 4: Rotate - new access token, next refresh token, session kept alive
+      const accessToken = this.signAccessToken(user, session.id);
+      const nextRefreshToken = await this.issueRefreshToken(session.id);
+      await session.extend(config.refreshToken.ttlDays);
 
       console.log(`✅ Token refreshed for user: ${user.username}`);
 
       return {
         success: true,
-        tokens: {
-          accessToken: newTokens.accessToken,
-          refreshToken: newTokens.refreshToken,
-          expiresIn: this.sessionConfig.sessionTimeout / 1000,
-          tokenType: 'Bearer'
-        }
+        user,
+        session,
+        accessToken,
+        refreshToken: nextRefreshToken
       };
 
     } catch (error) {
-      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-        return {
-          success: false,
-          reason: 'invalid_token',
-          message: 'Invalid or expired refresh token'
-        };
-      }
-
       console.error('💥 Token refresh error:', error.message);
       return {
         success: false,
@@ -605,7 +806,7 @@ class AuthService {
       console.log(`🔒 Changing password for user: ${user.username}`);
 
       // Step 1: Verify current password
-      const currentPasswordValid = await this.verifyPassword(currentPassword, user.passwordHash);
+      const currentPasswordValid = await this.verifyPassword(currentPassword, await user.getPasswordHash());
       if (!currentPasswordValid) {
         await logSecurityEvent(context, 'INVALID_CURRENT_PASSWORD', {
           userId: user.id,
@@ -632,7 +833,7 @@ class AuthService {
         return {
           success: false,
           reason: 'password_reused',
-          message: 'Cannot reuse recent passwords'
+          message: `New password must differ from your last ${config.passwordPolicy.historySize} passwords`
         };
       }
 
@@ -656,7 +857,8 @@ class AuthService {
 
       return {
         success: true,
-        message: 'Password changed successfully. Other sessions have been logged out.'
+        message: 'Password changed successfully. Other sessions have been logged out.',
+        passwordStatus: this.getPasswordStatus(user)
       };
 
     } catch (error) {
@@ -669,6 +871,182 @@ class AuthService {
     }
   }
 
+  /**
+   * Email a password reset link. The response is the same whether or not the account exists,
+   * so the endpoint cannot be used to find valid usernames or addresses.
+   * @param {string} identifier - Username or email address
+   * @param {Object} context - Request context
+   * @returns {Object} - Request result
+   */
+  async requestPasswordReset(identifier, context = {}) {
+    const genericResult = {
+      success: true,
+      message: 'If an account matches, a password reset link has been sent to its email address.'
+    };
+
+    try {
+      const cleanIdentifier = String(identifier || '').trim();
+      if (!cleanIdentifier || cleanIdentifier.length > 255) {
+        return {
+          success: false,
+          reason: 'invalid_input',
+          message: 'Username or email address is required'
+        };
+      }
+
+      const isEmail = cleanIdentifier.includes('@');
+      const identifierResult = sanitize(cleanIdentifier, isEmail ? 'email' : 'username');
+
+      let user = null;
+      if (identifierResult.safe && identifierResult.sanitized) {
+        user = isEmail
+          ? await User.findByEmail(identifierResult.sanitized)
+          : await User.findByUsername(identifierResult.sanitized);
+      }
+
+      if (!user || !user.email || !user.isActive()) {
+        await logSecurityEvent(context, 'PASSWORD_RESET_UNKNOWN_ACCOUNT', {
+          identifier: cleanIdentifier,
+          severity: 'low'
+        });
+        return genericResult;
+      }
+
+      const recentRequests = await PasswordResetToken.countRecent(user.id, this.rateLimits.passwordResetWindow);
+      if (recentRequests >= this.rateLimits.maxPasswordResetAttempts) {
+        await logSecurityEvent(context, 'PASSWORD_RESET_THROTTLED', {
+          userId: user.id,
+          username: user.username,
+          severity: 'medium'
+        });
+        return genericResult;
+      }
+
+      const { resetToken } = await PasswordResetToken.create(
+        user.id,
+        this.resetConfig.tokenTtlMinutes,
+        context.ip || context.ipAddress || null
+      );
+
+      const message = emailTemplates.passwordReset({
+        username: user.username,
+        resetUrl: `${this.resetConfig.siteUrl}/reset-password?token=${resetToken}`,
+        ttlMinutes: this.resetConfig.tokenTtlMinutes
+      });
+
+      // Not awaited: a slow mail server would otherwise reveal that the account exists
+      emailService.send({ to: user.email, ...message })
+        .catch(error => console.error('💥 Password reset email error:', error.message));
+
+      console.log(`🔑 Password reset requested for: ${user.username}`);
+      await logSecurityEvent(context, 'PASSWORD_RESET_REQUESTED', {
+        userId: user.id,
+        username: user.username,
+        severity: 'low'
+      });
+
+      return genericResult;
+
+    } catch (error) {
+      console.error('💥 Password reset request error:', error.message);
+      return {
+        success: false,
+        reason: 'reset_error',
+        message: 'Failed to process password reset request'
+      };
+    }
+  }
+
+  /**
+   * Set a new password with an emailed reset token. The token works once; afterwards
+   * every session of the user is revoked and a lockout of the account is lifted.
+   * @param {string} token - Reset token from the link
+   * @param {string} newPassword - New password
+   * @param {Object} context - Request context
+   * @returns {Object} - Reset result
+   */
+  async resetPassword(token, newPassword, context = {}) {
+    const invalidToken = {
+      success: false,
+      reason: 'invalid_token',
+      message: 'This password reset link is invalid or has expired. Request a new one.'
+    };
+
+    try {
+      // Step 1: Find the token and its user
+      const resetToken = await PasswordResetToken.findValid(token);
+      const user = resetToken ? await User.findById(resetToken.userId) : null;
+
+      if (!user || !user.isActive()) {
+        await logSecurityEvent(context, 'PASSWORD_RESET_INVALID_TOKEN', {
+          severity: 'medium'
+        });
+        return invalidToken;
+      }
+
+      // Step 2: Same rules as a password change
+      const passwordValidation = await this.validatePasswordStrength(newPassword, user);
+      if (!passwordValidation.valid) {
+        return passwordValidation;
+      }
+
+      const passwordReused = await this.checkPasswordHistory(user.id, newPassword);
+      if (passwordReused) {
+        return {
+          success: false,
+          reason: 'password_reused',
+          message: `New password must differ from your last ${config.passwordPolicy.historySize} passwords`
+        };
+      }
+
+      // Step 3: Use up the token; fails if another request got there first
+      const newPasswordHash = await this.hashPassword(newPassword);
+      if (!await resetToken.consume()) {
+        return invalidToken;
+      }
+
+      // Step 4: Update password, then end everything that was signed in with the old one
+      await user.updatePassword(newPasswordHash);
+      await PasswordResetToken.invalidateForUser(user.id);
+      await UserSession.revokeAllUserSessions(user.id);
+
+      // Step 5: Proving access to the mailbox lifts a lockout of the account (IP lockouts stay)
+      const lockout = await LoginLockout.find('username', user.username);
+      const lockoutLifted = !!(lockout && lockout.locked);
+      if (lockoutLifted) {
+        await lockout.unlock(null);
+      }
+
+      console.log(`✅ Password reset for: ${user.username}`);
+      await logSecurityEvent(context, 'PASSWORD_RESET_COMPLETED', {
+        userId: user.id,
+        username: user.username,
+        lockoutLifted,
+        severity: 'medium'
+      });
+
+      const message = emailTemplates.passwordChanged({
+        username: user.username,
+        loginUrl: `${this.resetConfig.siteUrl}/login`
+      });
+      emailService.send({ to: user.email, ...message })
+        .catch(error => console.error('💥 Password changed email error:', error.message));
+
+      return {
+        success: true,
+        message: 'Your password has been reset. Sign in with your new password.'
+      };
+
+    } catch (error) {
+      console.error('💥 Password reset error:', error.message);
+      return {
+        success: false,
+        reason: 'reset_error',
+        message: 'Failed to reset password'
+      };
+    }
+  }
+
   /**
    * Validate password strength
    * @param {string} password - Password to validate
@@ -781,8 +1159,7 @@ class AuthService {
       }
 
       // Validate role
-      const validRoles = ['admin', 'super_admin'];
-      if (!validRoles.includes(roleResult.sanitized)) {
+      if (!(await permissionService.roleExists(roleResult.sanitized))) {
         return {
           success: false,
           reason: 'invalid_role',
@@ -846,8 +1223,26 @@ class AuthService {
    */
   async checkPasswordHistory(userId, newPassword) {
     try {
-      // Implementation would check against stored password history
-      // For now, return false (no reuse detected)
+      const { historySize } = config.passwordPolicy;
+      if (historySize <= 0) {
+        return false;
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return false;
+      }
+
+      // The current password plus the replaced ones still remembered
+      const previous = historySize > 1 ? await PasswordHistory.getRecent(userId, historySize - 1) : [];
+      const hashes = [await user.getPasswordHash(), ...previous.map(entry => entry.passwordHash)];
+
+      for (const hash of hashes) {
+        if (hash && await this.verifyPassword(newPassword, hash)) {
+          return true;
+        }
+      }
+
       return false;
 
     } catch (error) {
@@ -857,35 +1252,251 @@ class AuthService {
   }
 
   /**
-   * Record failed authentication attempt
-   * @param {string} username - Username
+   * Password age against the maximum age policy
+   * @param {Object} user - User object
+   * @returns {Object} - { passwordChangeRequired, passwordExpiresAt }
+   */
+  getPasswordStatus(user) {
+    const { maxAgeDays } = config.passwordPolicy;
+    const changedAt = new Date(user.passwordChangedAt || user.createdAt);
+
+    if (!maxAgeDays || maxAgeDays <= 0 || isNaN(changedAt.getTime())) {
+      return { passwordChangeRequired: false, passwordExpiresAt: null };
+    }
+
+    const expiresAt = new Date(changedAt.getTime() + maxAgeDays * 24 * 60 * 60 * 1000);
+
+    return {
+      passwordChangeRequired: expiresAt <= new Date(),
+      passwordExpiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Record failed authentication attempt and lock the username or IP address
+   * once its failures within the window reach the threshold
+   * @param {string} username - Username (or email) as entered
    * @param {string} ipAddress - IP address
+   * @param {Object} context - Request context ({ userAgent, reason }) - reason defaults to invalid_credentials
+   * @returns {Object} - { locked, scope, lockoutExpires, retryAfter, attemptsRemaining, message }
    */
-  async recordFailedAttempt(username, ipAddress) {
+  async recordFailedAttempt(username, ipAddress, context = {}) {
+    const reason = context.reason || 'invalid_credentials';
+    const failureMessage = reason === 'invalid_two_factor_code' ? 'Invalid verification code' : 'Invalid username or password';
+    const outcome = {
+      locked: false,
+      attemptsRemaining: null,
+      message: failureMessage
+    };
+    const triggered = [];
+
     try {
-      // Implementation would record in database/cache
-      console.log(`🚨 Failed attempt recorded for ${username} from ${ipAddress}`);
+      if (this.lockoutConfig.enabled) {
+        const scopes = [
+          ['username', username, this.lockoutConfig.usernameThreshold],
+          ['ip', ipAddress, this.lockoutConfig.ipThreshold]
+        ];
+
+        for (const [scope, identifier, threshold] of scopes) {
+          if (!identifier) continue;
+
+          try {
+            const lockout = await LoginLockout.registerFailure(scope, identifier, this.lockoutConfig);
+            if (!lockout) continue;
+
+            if (lockout.failedCount >= threshold) {
+              const started = await lockout.lock(threshold, this.getLockoutDuration(lockout.lockoutCount));
+              // A concurrent failure may have started the lockout instead
+              const current = started ? lockout : await LoginLockout.find(scope, identifier);
+              if (started) {
+                triggered.push(scope);
+                console.log(`🚨 Login lockout (${scope}) for ${identifier} until ${lockout.lockedUntil}`);
+                await logSecurityEvent(context, 'LOGIN_LOCKOUT', {
+                  scope,
+                  identifier,
+                  lockoutCount: lockout.lockoutCount,
+                  lockedUntil: lockout.lockedUntil,
+                  severity: scope === 'ip' ? 'high' : 'medium'
+                });
+              }
+              if (current && current.locked && !outcome.locked) {
+                Object.assign(outcome, { locked: true, ...this.describeLockout(current) });
+              }
+            } else {
+              const remaining = threshold - lockout.failedCount;
+              outcome.attemptsRemaining = outcome.attemptsRemaining === null
+                ? remaining
+                : Math.min(outcome.attemptsRemaining, remaining);
+            }
+          } catch (error) {
+            // Identifiers the query guard rejects are not stored; the other scope still counts
+            console.error(`💥 Failed attempt counting error (${scope}):`, error.message);
+          }
+        }
+
+        // Warn before the last attempts instead of on every typo
+        if (!outcome.locked && outcome.attemptsRemaining !== null && outcome.attemptsRemaining <= 2) {
+          outcome.message = `${failureMessage}. ${outcome.attemptsRemaining} attempt${outcome.attemptsRemaining === 1 ? '' : 's'} left before login is locked.`;
+        }
+      }
+
+      await LoginAttempt.record({
+        username,
+        ipAddress,
+        userAgent: context.userAgent,
+        success: false,
+        reason,
+        triggeredLockout: triggered
+      });
 
     } catch (error) {
       console.error('💥 Failed attempt recording error:', error.message);
     }
+
+    return outcome;
   }
 
   /**
-   * Clear failed authentication attempts
-   * @param {string} username - Username
+   * Record an attempt refused because of an active lockout
+   * @param {string} username - Username (or email) as entered
    * @param {string} ipAddress - IP address
+   * @param {Object} lockout - Result of checkRateLimit
+   * @param {Object} context - Request context ({ userAgent })
    */
-  async clearFailedAttempts(username, ipAddress) {
+  async recordBlockedAttempt(username, ipAddress, lockout, context = {}) {
+    await LoginAttempt.record({
+      username,
+      ipAddress,
+      userAgent: context.userAgent,
+      success: false,
+      reason: lockout.scope === 'ip' ? 'ip_locked' : 'account_locked'
+    });
+  }
+
+  /**
+   * Clear failed authentication attempts after a successful login.
+   * IP counters are left to expire so one valid login cannot reset a brute-force source.
+   * @param {string|Array<string>} username - Username(s) to clear (as entered and the account's own)
+   * @param {string} ipAddress - IP address
+   * @param {Object} context - Request context ({ userAgent })
+   */
+  async clearFailedAttempts(username, ipAddress, context = {}) {
     try {
-      // Implementation would clear from database/cache
-      console.log(`✅ Cleared failed attempts for ${username} from ${ipAddress}`);
+      const usernames = [...new Set([].concat(username).filter(Boolean).map(name => String(name).toLowerCase()))];
+
+      for (const name of usernames) {
+        await LoginLockout.clear('username', name);
+      }
+
+      await LoginAttempt.record({
+        username: usernames[0],
+        ipAddress,
+        userAgent: context.userAgent,
+        success: true
+      });
 
     } catch (error) {
       console.error('💥 Failed attempt clearing error:', error.message);
     }
   }
 
+  /**
+   * Duration of the next lockout: the base duration grows by the multiplier with every
+   * previous lockout, up to the maximum
+   * @param {number} previousLockouts - Lockouts already served
+   * @returns {number} - Duration in milliseconds
+   */
+  getLockoutDuration(previousLockouts = 0) {
+    const { baseDurationMs, maxDurationMs, multiplier } = this.lockoutConfig;
+    const duration = baseDurationMs * Math.pow(Math.max(1, multiplier), Math.max(0, previousLockouts));
+    return Math.min(duration, maxDurationMs);
+  }
+
+  /**
+   * Describe an active lockout for API responses
+   * @param {Object} lockout - LoginLockout
+   * @returns {Object} - { scope, lockoutExpires, retryAfter, message }
+   */
+  describeLockout(lockout) {
+    const retryAfter = Math.max(1, lockout.secondsRemaining);
+    const minutes = Math.ceil(retryAfter / 60);
+    const wait = minutes >= 60
+      ? `${Math.ceil(minutes / 60)} hour${minutes > 60 ? 's' : ''}`
+      : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+    return {
+      scope: lockout.scope,
+      lockoutExpires: lockout.lockedUntil,
+      retryAfter,
+      message: lockout.scope === 'ip'
+        ? `Too many failed login attempts from your network. Try again in ${wait}.`
+        : `Too many failed login attempts. This account is locked; try again in ${wait} or ask a super admin to unlock it.`
+    };
+  }
+
+  /**
+   * List lockouts currently in force
+   * @returns {Array<Object>} - Active lockouts
+   */
+  async getActiveLockouts() {
+    const lockouts = await LoginLockout.getActive();
+    return lockouts.map(lockout => lockout.toJSON());
+  }
+
+  /**
+   * Lift a lockout (security.manage)
+   * @param {number} lockoutId - Lockout ID
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Unlock result
+   */
+  async unlockLockout(lockoutId, user, context = {}) {
+    try {
+      if (!await permissionService.hasPermission(user, 'security.manage')) {
+        return {
+          success: false,
+          reason: 'forbidden',
+          message: 'You do not have permission to lift login lockouts'
+        };
+      }
+
+      const lockout = await LoginLockout.findById(lockoutId);
+      if (!lockout) {
+        return {
+          success: false,
+          reason: 'not_found',
+          message: 'Lockout not found'
+        };
+      }
+
+      const wasLocked = lockout.locked;
+      await lockout.unlock(user);
+
+      console.log(`🔓 Login lockout lifted (${lockout.scope}: ${lockout.identifier}) by ${user.username}`);
+      await logSecurityEvent(context, 'LOGIN_LOCKOUT_LIFTED', {
+        scope: lockout.scope,
+        identifier: lockout.identifier,
+        wasLocked,
+        unlockedBy: user.username,
+        severity: 'low'
+      });
+
+      return {
+        success: true,
+        lockout: lockout.toJSON(),
+        message: wasLocked ? 'Lockout lifted' : 'Failed attempts cleared'
+      };
+
+    } catch (error) {
+      console.error('💥 Unlock error:', error.message);
+      return {
+        success: false,
+        reason: 'unlock_error',
+        message: 'Failed to lift lockout'
+      };
+    }
+  }
+
   /**
    * Log successful authentication
    * @param {Object} user - User object
@@ -927,6 +1538,7 @@ class AuthService {
 
       const activeSessions = await UserSession.getActiveSessions(userId);
       const recentSessions = await UserSession.getRecentSessions(userId, 10);
+      const lockout = await LoginLockout.find('username', user.username);
 
       return {
         user: {
@@ -951,8 +1563,9 @@ class AuthService {
         },
         security: {
           passwordLastChanged: user.passwordChangedAt,
-          accountLocked: user.isLocked(),
-          failedAttempts: 0 // Would get from database
+          accountLocked: !!(lockout && lockout.locked),
+          lockoutExpires: lockout && lockout.locked ? lockout.lockedUntil : null,
+          failedAttempts: lockout ? lockout.failedCount : 0
         }
       };
 
@@ -0,0 +1,300 @@
+// Bulk Notice Service - Publish, unpublish, delete, reprioritise or categorise many notices at once
+const Notice = require('../models/Notice');
+const Category = require('../models/Category');
+const secureDatabase = require('../config/database');
+const noticeService = require('./noticeService');
+const reviewService = require('./reviewService');
+const departmentService = require('./departmentService');
+const permissionService = require('./permissionService');
+const noticeEvents = require('./noticeEvents');
+const { logUserAction, logDataModification } = require('../utils/logger');
+
+// Each action is checked per notice like its single-notice counterpart
+const BULK_ACTIONS = {
+  publish: { check: 'publish', permission: 'notice.publish' },
+  unpublish: { check: 'unpublish', permission: 'notice.publish' },
+  delete: { check: 'delete', permission: 'notice.delete' },
+  priority: { check: 'update', permission: 'notice.edit' },
+  category: { check: 'update', permission: 'notice.edit' }
+};
+
+const MAX_BULK_NOTICES = 100;
+
+// Column changes that send an approved notice back to review (see Notice.update)
+const WITHDRAW_APPROVAL_SQL = "status = 'pending_review', submitted_for_review_at = NOW(), approved_by = NULL, approved_at = NULL";
+
+class BulkNoticeService {
+  constructor() {
+    this.actions = Object.keys(BULK_ACTIONS);
+    this.maxNotices = MAX_BULK_NOTICES;
+  }
+
+  // Base permission an action needs before any notice is looked at
+  getRequiredPermission(action) {
+    return BULK_ACTIONS[action] ? BULK_ACTIONS[action].permission : null;
+  }
+
+  /**
+   * Apply one action to a set of notices. Every notice is checked first; the ones that pass are
+   * changed in a single transaction, so either all of them change or, on a database error, none do.
+   * @param {Array<number>} noticeIds - Notices to change
+   * @param {string} action - publish, unpublish, delete, priority or category
+   * @param {Object} options - { priority } or { categoryId }
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context for logging
+   * @returns {Object} - { success, results, summary } or a refusal
+   */
+  async applyAction(noticeIds, action, options, user, context = {}) {
+    if (!BULK_ACTIONS[action]) {
+      return { success: false, reason: 'invalid_action', message: `Action must be one of: ${this.actions.join(', ')}` };
+    }
+
+    let category = null;
+    if (action === 'category') {
+      category = await Category.findById(options.categoryId);
+      if (!category || !category.isActive) {
+        return { success: false, reason: 'category_not_found', message: 'Category not found' };
+      }
+    }
+
+    const ids = [...new Set(noticeIds.map(id => parseInt(id)))];
+    const results = new Map();
+    const changes = [];
+
+    for (const id of ids) {
+      const notice = await Notice.findById(id);
+      if (!notice) {
+        results.set(id, { id, status: 'failed', reason: 'not_found', message: 'Notice not found' });
+        continue;
+      }
+
+      const permission = await noticeService.checkNoticePermissions(notice, user, BULK_ACTIONS[action].check);
+      if (!permission.allowed) {
+        results.set(id, { id, status: 'failed', reason: permission.reason, message: permission.message });
+        continue;
+      }
+
+      const change = await this.planChange(notice, action, { ...options, category }, user);
+      if (change.status) {
+        results.set(id, { id, ...change });
+        continue;
+      }
+
+      changes.push({ notice, ...change });
+    }
+
+    // All writes share one transaction; a failure leaves every notice as it was
+    try {
+      await secureDatabase.withTransaction(async (query) => {
+        for (const change of changes) {
+          for (const statement of change.statements) {
+            const result = await query(statement.sql, statement.params);
+            if (result.affectedRows === 0 && statement.required) {
+              throw new Error(`Notice ${change.notice.id} changed during the bulk ${action}`);
+            }
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`💥 Bulk ${action} failed:`, error.message);
+      changes.forEach(({ notice }) => results.set(notice.id, {
+        id: notice.id,
+        status: 'failed',
+        reason: 'transaction_failed',
+        message: 'No notices were changed because the update could not be completed'
+      }));
+
+      return this.buildReport(action, ids, results, false);
+    }
+
+    for (const change of changes) {
+      results.set(change.notice.id, await this.afterCommit(change, action, user));
+    }
+
+    await logUserAction(context, 'NOTICE_BULK_ACTION', {
+      action,
+      requested: ids.length,
+      changed: changes.length,
+      noticeIds: changes.map(({ notice }) => notice.id),
+      performedBy: user.username
+    });
+
+    return this.buildReport(action, ids, results, true);
+  }
+
+  /**
+   * Work out the statements for one notice, or why it is left alone
+   * @returns {Object} - { statements, changes, approvalWithdrawn } or a { status, reason, message } result
+   */
+  async planChange(notice, action, options, user) {
+    const skip = (reason, message) => ({ status: 'skipped', reason, message });
+    const fail = (reason, message) => ({ status: 'failed', reason, message });
+
+    switch (action) {
+      case 'publish':
+        if (notice.isPublished()) {
+          return skip('already_published', 'Notice is already published');
+        }
+        if (notice.isExpired()) {
+          return fail('expired', 'Notice has already expired; update its expiry date before publishing');
+        }
+        return {
+          changes: ['status'],
+          statements: [{
+            sql: `UPDATE notices
+                  SET status = 'published', published_at = NOW(), publish_at = NULL, updated_at = NOW()
+                  WHERE id = ? AND status = ?`,
+            params: [notice.id, notice.status],
+            required: true
+          }]
+        };
+
+      case 'unpublish':
+        // Only live notices are taken down; drafts, notices in review and archived ones keep their status and sign-off
+        if (!notice.isPublished()) {
+          return skip('not_published', 'Notice is not published');
+        }
+        return {
+          changes: ['status'],
+          statements: [{
+            sql: `UPDATE notices
+                  SET status = 'draft', published_at = NULL, approved_by = NULL, approved_at = NULL, updated_at = NOW()
+                  WHERE id = ? AND status = ?`,
+            params: [notice.id, notice.status],
+            required: true
+          }]
+        };
+
+      case 'delete':
+        // Same soft delete as Notice.delete: the notice waits in the trash with its files
+        return {
+          changes: ['trashed'],
+          statements: [{
+            sql: 'UPDATE notices SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+            params: [user.id, notice.id],
+            required: true
+          }]
+        };
+
+      case 'priority': {
+        if (notice.priority === options.priority) {
+          return skip('unchanged', `Notice already has ${options.priority} priority`);
+        }
+        // Raising a live notice to high priority amounts to publishing a high-priority notice
+        if (options.priority === 'high' && notice.isPublished()
+          && !permissionService.grants(user.permissions || [], 'notice.publish.high')) {
+          return fail('insufficient_permissions', 'You do not have permission to publish high-priority notices');
+        }
+
+        const approvalWithdrawn = reviewService.withdrawApprovalOnEdit(notice, { priority: options.priority });
+        return {
+          changes: ['priority'],
+          approvalWithdrawn,
+          statements: [{
+            sql: `UPDATE notices SET priority = ?, ${approvalWithdrawn ? `${WITHDRAW_APPROVAL_SQL}, ` : ''}updated_at = NOW() WHERE id = ?`,
+            params: [options.priority, notice.id],
+            required: true
+          }]
+        };
+      }
+
+      case 'category': {
+        const { category } = options;
+        if (notice.categories.some(existing => existing.id === category.id)) {
+          return skip('unchanged', `Notice is already in ${category.name}`);
+        }
+
+        // Departments follow the same rule as editing: only the user's own can be added
+        const categoryIds = [...notice.categories.map(existing => existing.id), category.id];
+        const departments = await departmentService.resolveNoticeDepartments(user, categoryIds, notice);
+        if (!departments.allowed) {
+          return fail(departments.reason, departments.message);
+        }
+
+        const approvalWithdrawn = reviewService.withdrawApprovalOnEdit(notice, { categoryIds });
+        return {
+          changes: ['categoryIds'],
+          approvalWithdrawn,
+          statements: [
+            {
+              sql: 'INSERT IGNORE INTO notice_categories (notice_id, category_id) VALUES (?, ?)',
+              params: [notice.id, category.id]
+            },
+            {
+              sql: `UPDATE notices SET ${approvalWithdrawn ? `${WITHDRAW_APPROVAL_SQL}, ` : ''}updated_at = NOW() WHERE id = ?`,
+              params: [notice.id],
+              required: true
+            }
+          ]
+        };
+      }
+
+      default:
+        return fail('invalid_action', 'Unknown action');
+    }
+  }
+
+  // Revisions and events run once the transaction is committed
+  async afterCommit(change, action, user) {
+    const { notice } = change;
+
+    try {
+      if (action === 'delete') {
+        await logDataModification({ user }, 'DELETE', 'notices', {
+          recordId: notice.id,
+          oldValues: { title: notice.title, status: notice.status, priority: notice.priority },
+          changes: change.changes
+        });
+        noticeEvents.deleted(notice, { actor: user });
+
+        return { id: notice.id, status: 'deleted', message: 'Notice moved to trash' };
+      }
+
+      const updated = await Notice.findById(notice.id);
+      await updated.recordRevision(user, `Bulk ${action}`);
+
+      if (change.approvalWithdrawn) {
+        await reviewService.recordApprovalWithdrawn(updated, user);
+      }
+
+      await logDataModification({ user }, 'UPDATE', 'notices', {
+        recordId: notice.id,
+        changes: change.changes
+      });
+      noticeEvents.updated(updated, {
+        actor: user,
+        changes: change.changes,
+        previousStatus: notice.status
+      });
+
+      return { id: notice.id, status: 'updated', message: 'Notice updated', notice: updated.toJSON() };
+    } catch (error) {
+      // The change itself is committed; only its follow-up work failed
+      console.warn(`Follow-up for bulk ${action} of notice ${notice.id} failed:`, error.message);
+      return { id: notice.id, status: action === 'delete' ? 'deleted' : 'updated', message: 'Notice changed' };
+    }
+  }
+
+  // Results in the order the notices were requested, with totals per outcome
+  buildReport(action, ids, results, success) {
+    const ordered = ids.map(id => results.get(id));
+    const count = (...statuses) => ordered.filter(result => statuses.includes(result.status)).length;
+
+    return {
+      success,
+      action,
+      results: ordered,
+      summary: {
+        requested: ids.length,
+        succeeded: count('updated', 'deleted'),
+        skipped: count('skipped'),
+        failed: count('failed')
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const bulkNoticeService = new BulkNoticeService();
+
+module.exports = bulkNoticeService;
@@ -0,0 +1,191 @@
+// Department Service - Department membership and the notice scope it gives
+const Category = require('../models/Category');
+const permissionService = require('./permissionService');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const { logUserAction } = require('../utils/logger');
+
+class DepartmentService {
+  /**
+   * Users holding every permission (super admins) are not limited to departments
+   * @param {Object} user - User model or req.user
+   * @returns {boolean}
+   */
+  async isUnrestricted(user) {
+    return permissionService.hasPermission(user, ALL_PERMISSIONS);
+  }
+
+  /**
+   * IDs of the departments a user belongs to
+   * @param {number} userId - User ID
+   * @returns {Array<number>}
+   */
+  async getUserDepartmentIds(userId) {
+    try {
+      const departments = await Category.findUserDepartments(userId);
+      return departments.map(department => department.id);
+    } catch (error) {
+      // Databases without the membership table behave as if nobody had a department yet
+      console.error('⚠️ Could not load user departments:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Department IDs of a user; uses the ones attached by the auth middleware when present
+   * @param {Object} user - User model or req.user
+   * @returns {Array<number>}
+   */
+  async getDepartmentIds(user) {
+    if (!user) {
+      return [];
+    }
+
+    return Array.isArray(user.departmentIds)
+      ? user.departmentIds
+      : this.getUserDepartmentIds(user.id);
+  }
+
+  /**
+   * Department IDs a notice is tagged with (notice.categories must be loaded)
+   * @param {Object} notice - Notice
+   * @returns {Array<number>}
+   */
+  getNoticeDepartmentIds(notice) {
+    return (notice.categories || [])
+      .filter(category => category.type === 'department')
+      .map(category => category.id);
+  }
+
+  /**
+   * Whether another user's notice is within the user's departments
+   * @param {Object} user - User model or req.user
+   * @param {Object} notice - Notice with its categories
+   * @returns {boolean}
+   */
+  async isInScope(user, notice) {
+    if (await this.isUnrestricted(user)) {
+      return true;
+    }
+
+    const departmentIds = await this.getDepartmentIds(user);
+    return this.getNoticeDepartmentIds(notice).some(id => departmentIds.includes(id));
+  }
+
+  /**
+   * SQL condition limiting notices to the user's own and those of their departments
+   * @param {Object} user - User model or req.user
+   * @param {string} alias - Alias of the notices table
+   * @returns {Object|null} - { clause, params }, or null when the user sees every notice
+   */
+  async getNoticeScope(user, alias = 'n') {
+    if (await this.isUnrestricted(user)) {
+      return null;
+    }
+
+    const departmentIds = await this.getDepartmentIds(user);
+    if (departmentIds.length === 0) {
+      return { clause: `${alias}.created_by = ?`, params: [user.id] };
+    }
+
+    return {
+      clause: `(${alias}.created_by = ? OR EXISTS (
+        SELECT 1 FROM notice_categories scope_nc
+        WHERE scope_nc.notice_id = ${alias}.id AND scope_nc.category_id IN (${departmentIds.map(() => '?').join(', ')})
+      ))`,
+      params: [user.id, ...departmentIds]
+    };
+  }
+
+  /**
+   * Check the departments a notice is being tagged with. Users can only add or remove their own departments,
+   * so tags of other departments on an edited notice are kept; a new notice without any gets the author's
+   * department when they belong to exactly one.
+   * @param {Object} user - Acting user
+   * @param {Array<number>} categoryIds - Requested category IDs (topics and departments)
+   * @param {Object} notice - Notice being edited, null when creating
+   * @returns {Object} - { allowed, categoryIds } or a refusal
+   */
+  async resolveNoticeDepartments(user, categoryIds = [], notice = null) {
+    const requestedIds = await Category.filterDepartmentIds(categoryIds);
+    const userDepartmentIds = await this.getDepartmentIds(user);
+
+    if (!notice && requestedIds.length === 0 && userDepartmentIds.length === 1) {
+      return { allowed: true, categoryIds: [...categoryIds, userDepartmentIds[0]] };
+    }
+
+    if (await this.isUnrestricted(user)) {
+      return { allowed: true, categoryIds };
+    }
+
+    const currentIds = notice ? this.getNoticeDepartmentIds(notice) : [];
+    const foreignIds = requestedIds.filter(id => !currentIds.includes(id) && !userDepartmentIds.includes(id));
+    if (foreignIds.length > 0) {
+      return {
+        allowed: false,
+        success: false,
+        reason: 'department_scope',
+        message: 'You can only assign notices to departments you belong to'
+      };
+    }
+
+    // Dropping another department's tag would take away that department's access to the notice
+    const keptIds = currentIds.filter(id => !requestedIds.includes(id) && !userDepartmentIds.includes(id));
+
+    return { allowed: true, categoryIds: [...categoryIds, ...keptIds] };
+  }
+
+  /**
+   * Department IDs for a membership change must all name department categories
+   * @param {Array<number>} departmentIds - Requested department IDs
+   * @returns {Object} - { valid } or a refusal
+   */
+  async validateDepartmentIds(departmentIds) {
+    if (!Array.isArray(departmentIds)) {
+      return { valid: false, success: false, reason: 'validation_error', message: 'departmentIds must be a list' };
+    }
+
+    const requested = [...new Set(departmentIds.map(id => parseInt(id)))];
+    const validIds = await Category.filterDepartmentIds(requested);
+    if (requested.some(id => !(id > 0)) || validIds.length !== requested.length) {
+      return {
+        valid: false,
+        success: false,
+        reason: 'validation_error',
+        message: 'Every departmentId must be a department category'
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Replace the departments a user belongs to
+   * @param {Object} user - Member
+   * @param {Array<number>} departmentIds - Department category IDs
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the department IDs
+   */
+  async setUserDepartments(user, departmentIds, actor, context = {}) {
+    const check = await this.validateDepartmentIds(departmentIds);
+    if (!check.valid) {
+      return check;
+    }
+
+    const saved = await Category.setUserDepartments(user.id, departmentIds);
+
+    await logUserAction(context, 'USER_DEPARTMENTS_CHANGED', {
+      targetUserId: user.id,
+      targetUsername: user.username,
+      departmentIds: saved,
+      changedBy: actor.username
+    });
+
+    return { success: true, departmentIds: saved };
+  }
+}
+
+// Create singleton instance
+const departmentService = new DepartmentService();
+
+module.exports = departmentService;
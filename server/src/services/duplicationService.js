@@ -0,0 +1,166 @@
+// Duplication Service - Copies a notice into a new draft (or, for recurrence rules, a scheduled publication)
+const path = require('path');
+const fs = require('fs').promises;
+const Notice = require('../models/Notice');
+const noticeService = require('./noticeService');
+const departmentService = require('./departmentService');
+const secureUploadConfig = require('../config/upload');
+const { logUserAction } = require('../utils/logger');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+class DuplicationService {
+  /**
+   * Duplicate a notice into a new draft owned by the user
+   * @param {number} noticeId - Notice ID
+   * @param {Object} user - Acting user
+   * @param {Object} options - { title, copyAttachments }
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the new notice
+   */
+  async duplicateNotice(noticeId, user, options = {}, context = {}) {
+    const source = await Notice.findById(noticeId);
+    if (!source) {
+      return { success: false, reason: 'notice_not_found', message: 'Notice not found' };
+    }
+
+    const permission = await noticeService.checkNoticePermissions(source, user, 'duplicate');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    const notice = await this.copyNotice(source, user, {
+      title: options.title,
+      copyAttachments: options.copyAttachments
+    });
+
+    console.log(`📄 Notice duplicated: ${source.title} (ID: ${source.id}) -> ID ${notice.id} by ${user.username}`);
+
+    await logUserAction(context, 'NOTICE_DUPLICATED', {
+      noticeId: notice.id,
+      sourceNoticeId: source.id,
+      noticeTitle: notice.title,
+      noticeSlug: notice.slug,
+      copyAttachments: !!options.copyAttachments
+    });
+
+    return { success: true, notice, source, message: 'Notice duplicated' };
+  }
+
+  /**
+   * Create a new notice from an existing one. The copy gets a fresh slug and starts without
+   * publication dates; overrides set the status and dates of scheduled copies.
+   * @param {Notice} source - Notice to copy
+   * @param {Object} user - Owner of the copy
+   * @param {Object} overrides - { title, copyAttachments, status, publishAt, expiresAt, eventStart, eventEnd }
+   * @returns {Notice} - New notice
+   */
+  async copyNotice(source, user, overrides = {}) {
+    const attachments = overrides.copyAttachments
+      ? await this.copyAttachments(source)
+      : { imageUrl: null, files: [] };
+
+    const translations = {};
+    for (const translation of source.translations) {
+      translations[translation.language] = {
+        title: translation.title,
+        description: translation.description
+      };
+    }
+
+    return await Notice.create({
+      title: overrides.title || source.title,
+      description: source.description,
+      imageUrl: attachments.imageUrl,
+      files: attachments.files,
+      priority: source.priority,
+      status: overrides.status || 'draft',
+      publishAt: overrides.publishAt || null,
+      expiresAt: overrides.expiresAt || null,
+      eventStart: overrides.eventStart !== undefined ? overrides.eventStart : source.eventStart,
+      eventEnd: overrides.eventEnd !== undefined ? overrides.eventEnd : source.eventEnd,
+      eventLocation: source.eventLocation,
+      eventAllDay: source.eventAllDay,
+      categoryIds: await this.getCopyCategoryIds(source, user),
+      language: source.language,
+      translations
+    }, user);
+  }
+
+  /**
+   * Categories for a copy: topics carry over, departments only those the user may file under
+   * @param {Notice} source - Notice being copied
+   * @param {Object} user - Owner of the copy
+   * @returns {Array<number>} - Category IDs
+   */
+  async getCopyCategoryIds(source, user) {
+    const categoryIds = source.categories.map(category => category.id);
+
+    const resolution = await departmentService.resolveNoticeDepartments(user, categoryIds);
+    if (resolution.allowed) {
+      return resolution.categoryIds;
+    }
+
+    const sourceDepartmentIds = departmentService.getNoticeDepartmentIds(source);
+    const userDepartmentIds = await departmentService.getDepartmentIds(user);
+    const ownIds = categoryIds.filter(id => !sourceDepartmentIds.includes(id) || userDepartmentIds.includes(id));
+
+    const fallback = await departmentService.resolveNoticeDepartments(user, ownIds);
+    return fallback.allowed ? fallback.categoryIds : ownIds;
+  }
+
+  /**
+   * Copy the image and attachments of a notice to new files, so purging either notice
+   * leaves the other's files in place. Missing files are left out of the copy.
+   * @param {Notice} source - Notice being copied
+   * @returns {Object} - { imageUrl, files }
+   */
+  async copyAttachments(source) {
+    const imageUrl = source.imageUrl
+      ? await this.copyUpload(source.imageUrl, 'images', path.basename(source.imageUrl))
+      : null;
+
+    const files = [];
+    for (const file of source.files || []) {
+      if (!file.url) continue;
+
+      const url = await this.copyUpload(file.url, 'files', file.name || path.basename(file.url));
+      if (url) {
+        files.push({ ...file, url });
+      }
+    }
+
+    return { imageUrl, files };
+  }
+
+  /**
+   * Copy one uploaded file under a new secure filename
+   * @param {string} url - Upload URL (/uploads/<folder>/<file>)
+   * @param {string} folder - images or files
+   * @param {string} originalName - Name used for the extension of the copy
+   * @returns {string|null} - URL of the copy, or null when the source file is missing or not an upload
+   */
+  async copyUpload(url, folder, originalName) {
+    // Only files inside uploads/images and uploads/files are copied; any other URL is left out
+    const sourcePath = Notice.resolveUploadPath(url);
+    if (!sourcePath) {
+      console.warn(`Refusing to copy a file outside the uploads folders: ${url}`);
+      return null;
+    }
+
+    const filename = secureUploadConfig.generateSecureFilename(originalName);
+
+    try {
+      await fs.copyFile(sourcePath, path.join(UPLOADS_DIR, folder, filename));
+      return `/uploads/${folder}/${filename}`;
+    } catch (error) {
+      console.warn(`Could not copy file: ${sourcePath}`, error.message);
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const duplicationService = new DuplicationService();
+
+module.exports = duplicationService;
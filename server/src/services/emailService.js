@@ -0,0 +1,143 @@
+// Email Service - Outgoing mail behind a pluggable transport (SMTP, .eml files or log-only)
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { config, isProduction } = require('../config/environment');
+
+class EmailService {
+  constructor() {
+    this.config = {
+      transport: config.email.transport,
+      from: config.email.from,
+      smtp: config.email.smtp,
+      fileDir: config.email.fileDir
+    };
+
+    this.transport = null;
+  }
+
+  /**
+   * Create the configured transport on first use
+   * @returns {Object} - Transport with sendMail(message)
+   */
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    if (this.config.transport === 'smtp') {
+      const { host, port, secure, user, password } = this.config.smtp;
+
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined,
+        // Local test servers (MailHog, smtp4dev) usually have no TLS
+        ignoreTLS: !secure && !user
+      });
+
+      console.log(`📧 Email transport: SMTP ${host}:${port}`);
+    } else if (this.config.transport === 'file') {
+      this.transport = this.createFileTransport();
+      console.log(`📧 Email transport: file (messages are written to ${this.config.fileDir})`);
+    } else {
+      this.transport = this.createLogTransport();
+      console.log('📧 Email transport: log (messages are printed, not sent)');
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (tests and alternative providers)
+   * @param {Object} transport - Object exposing async sendMail(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Transport used in development: prints the message instead of delivering it. Outside
+   * production the text body is printed too, so confirmation and reset links can be followed.
+   * @returns {Object} - Transport
+   */
+  createLogTransport() {
+    return {
+      sendMail: async (message) => {
+        console.log(`📨 [email:log] To: ${message.to} | Subject: ${message.subject}`);
+        if (!isProduction() && message.text) {
+          console.log(message.text);
+        }
+        return { messageId: `log-${Date.now()}`, accepted: [message.to] };
+      }
+    };
+  }
+
+  /**
+   * Transport for local testing: writes each message as an .eml file that mail clients can open,
+   * so links in the message (confirmations, password resets) can be followed
+   * @returns {Object} - Transport
+   */
+  createFileTransport() {
+    const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    const directory = path.resolve(this.config.fileDir);
+
+    return {
+      sendMail: async (message) => {
+        const info = await renderer.sendMail(message);
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, fileName), info.message);
+
+        console.log(`📨 [email:file] To: ${message.to} | Subject: ${message.subject} | ${fileName}`);
+        return { messageId: info.messageId, accepted: [message.to], path: path.join(directory, fileName) };
+      }
+    };
+  }
+
+  /**
+   * Send one email
+   * @param {Object} message - { to, subject, html, text, headers }
+   * @returns {Object} - Transport result
+   */
+  async send(message) {
+    if (!message || !message.to || !message.subject) {
+      throw new Error('Email recipient and subject are required');
+    }
+
+    return this.getTransport().sendMail({
+      from: this.config.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers || {}
+    });
+  }
+
+  /**
+   * Check that the transport is reachable
+   * @returns {Object} - Verification result
+   */
+  async verify() {
+    const transport = this.getTransport();
+
+    if (typeof transport.verify !== 'function') {
+      return { success: true, transport: this.config.transport };
+    }
+
+    try {
+      await transport.verify();
+      return { success: true, transport: this.config.transport };
+    } catch (error) {
+      return { success: false, transport: this.config.transport, error: error.message };
+    }
+  }
+}
+
+// Create singleton instance
+const emailService = new EmailService();
+
+module.exports = emailService;
@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const { validateFile } = require('../utils/fileValidator');
 const { sanitize } = require('../utils/inputSanitizer');
 const { config } = require('../config/environment');
+const permissionService = require('./permissionService');
 const { 
   logFileOperation, 
   logSecurityEvent,
@@ -532,11 +533,11 @@ class FileService {
       console.log(`🧹 Starting file cleanup by ${user.username}`);
 
       // Step 1: Validate permissions
-      if (!user.isSuperAdmin()) {
+      if (!await permissionService.hasPermission(user, 'files.manage')) {
         return {
           success: false,
           reason: 'insufficient_permissions',
-          message: 'Only super administrators can perform file cleanup'
+          message: 'You do not have permission to perform file cleanup'
         };
       }
 
@@ -738,38 +739,18 @@ class FileService {
    */
   async checkFilePermissions(user, operation) {
     try {
-      // Super admin can do everything
-      if (user.isSuperAdmin()) {
-        return { allowed: true };
-      }
+      // Deleting needs files.manage; uploading, viewing and downloading files.upload
+      const required = operation === this.operations.DELETE ? 'files.manage' : 'files.upload';
 
-      // Regular admin can upload, view, and download
-      if (user.isAdmin()) {
-        const allowedOperations = [
-          this.operations.UPLOAD,
-          this.operations.VIEW,
-          this.operations.DOWNLOAD,
-          this.operations.DELETE
-        ];
-
-        if (allowedOperations.includes(operation)) {
-          return { allowed: true };
-        }
-
-        return {
-          allowed: false,
-          success: false,
-          reason: 'insufficient_permissions',
-          message: 'This operation requires super admin privileges'
-        };
+      if (await permissionService.hasPermission(user, required)) {
+        return { allowed: true };
       }
 
-      // Non-admin users have no file permissions
       return {
         allowed: false,
         success: false,
-        reason: 'access_denied',
-        message: 'File operations require admin privileges'
+        reason: 'insufficient_permissions',
+        message: `This operation requires the ${required} permission`
       };
 
     } catch (error) {
@@ -0,0 +1,118 @@
+// Notice Events - In-process notifications about notice lifecycle changes
+const EventEmitter = require('events');
+
+class NoticeEvents extends EventEmitter {
+  constructor() {
+    super();
+
+    // Event names emitted by the Notice model
+    this.CREATED = 'created';
+    this.UPDATED = 'updated';
+    this.PUBLISHED = 'published';
+    this.UNPUBLISHED = 'unpublished';
+    this.ARCHIVED = 'archived';
+    this.DELETED = 'deleted';
+    this.RESTORED = 'restored';
+  }
+
+  /**
+   * Register an async listener; failures are logged and never reach the emitter
+   * @param {string} event - Event name
+   * @param {string} name - Listener name for logs
+   * @param {Function} handler - Async handler receiving (notice, details)
+   */
+  subscribe(event, name, handler) {
+    this.on(event, (notice, details) => {
+      Promise.resolve()
+        .then(() => handler(notice, details))
+        .catch(error => {
+          console.error(`💥 Notice event listener ${name} failed for ${event}:`, error.message);
+        });
+    });
+  }
+
+  /**
+   * Listen to every lifecycle event
+   * @param {string} name - Listener name for logs
+   * @param {Function} handler - Async handler receiving (event, notice, details)
+   */
+  subscribeAll(name, handler) {
+    this.getEventNames().forEach(event => {
+      this.subscribe(event, name, (notice, details) => handler(event, notice, details));
+    });
+  }
+
+  /**
+   * All lifecycle event names
+   * @returns {Array<string>} - Event names
+   */
+  getEventNames() {
+    return [this.CREATED, this.UPDATED, this.PUBLISHED, this.UNPUBLISHED, this.ARCHIVED, this.DELETED, this.RESTORED];
+  }
+
+  /**
+   * Announce a new notice
+   * @param {Object} notice - Created notice
+   * @param {Object} details - { actor }
+   */
+  created(notice, details = {}) {
+    this.emit(this.CREATED, notice, details);
+
+    if (notice.status === 'published') {
+      this.published(notice, details);
+    }
+  }
+
+  /**
+   * Announce a saved change, plus any status transition it caused
+   * @param {Object} notice - Notice after the update
+   * @param {Object} details - { actor, changes, previousStatus }
+   */
+  updated(notice, details = {}) {
+    this.emit(this.UPDATED, notice, details);
+
+    if (details.previousStatus === notice.status) {
+      return;
+    }
+
+    if (notice.status === 'published') {
+      this.published(notice, details);
+    } else if (notice.status === 'archived') {
+      this.emit(this.ARCHIVED, notice, details);
+    } else if (details.previousStatus === 'published') {
+      this.emit(this.UNPUBLISHED, notice, details);
+    }
+  }
+
+  /**
+   * Announce that a notice became publicly visible
+   * @param {Object} notice - Published notice
+   * @param {Object} details - { actor }
+   */
+  published(notice, details = {}) {
+    this.emit(this.PUBLISHED, notice, details);
+  }
+
+  /**
+   * Announce a notice moved to the trash
+   * @param {Object} notice - Notice as it was before deletion
+   * @param {Object} details - { actor }
+   */
+  deleted(notice, details = {}) {
+    this.emit(this.DELETED, notice, details);
+  }
+
+  /**
+   * Announce a notice taken back out of the trash (a published one is public again)
+   * @param {Object} notice - Restored notice
+   * @param {Object} details - { actor }
+   */
+  restored(notice, details = {}) {
+    this.emit(this.RESTORED, notice, details);
+  }
+}
+
+// Create singleton instance
+const noticeEvents = new NoticeEvents();
+
+module.exports = noticeEvents;
@@ -4,6 +4,9 @@ const SiteVisit = require('../models/SiteVisit');
 const { generateSlug } = require('../utils/slugGenerator');
 const { sanitize } = require('../utils/inputSanitizer');
 const { validateFile } = require('../utils/fileValidator');
+const { config } = require('../config/environment');
+const permissionService = require('./permissionService');
+const departmentService = require('./departmentService');
 const { 
   logUserAction, 
   logDataModification,
@@ -20,7 +23,7 @@ class NoticeService {
       allowedFileTypes: ['images', 'documents'],
       defaultPriority: 'medium',
       validPriorities: ['low', 'medium', 'high'],
-      validStatuses: ['draft', 'published', 'archived'],
+      validStatuses: Notice.VALID_STATUSES,
       slugOptions: {
         maxLength: 100,
         removeStopWords: true,
@@ -281,10 +284,10 @@ class NoticeService {
         createdBy: notice.createdBy
       };
 
-      // Step 4: Delete notice
+      // Step 4: Move notice to the trash
       await notice.delete(user);
 
-      console.log(`✅ Notice deleted successfully: ${noticeData.title}`);
+      console.log(`✅ Notice moved to trash: ${noticeData.title}`);
 
       // Step 5: Log the deletion
       await logUserAction(context, 'NOTICE_DELETED', {
@@ -301,7 +304,7 @@ class NoticeService {
       return {
         success: true,
         deletedNotice: noticeData,
-        message: 'Notice deleted successfully'
+        message: 'Notice moved to trash'
       };
 
     } catch (error) {
@@ -350,13 +353,21 @@ class NoticeService {
         };
       }
 
+      if (notice.isExpired()) {
+        return {
+          success: false,
+          reason: 'notice_expired',
+          message: 'Notice has already expired; update its expiry date before publishing'
+        };
+      }
+
       // Step 4: Validate notice is ready for publication
       const publicationCheck = await this.validateNoticeForPublication(notice);
       if (!publicationCheck.valid) {
         return publicationCheck;
       }
 
-      // Step 5: Publish notice
+      // Step 5: Publish notice (the model's published event feeds subscriber alerts and webhooks)
       await notice.update({ 
         status: 'published',
         publishedAt: new Date()
@@ -619,13 +630,10 @@ class NoticeService {
       if (noticeData.imageUrl !== undefined) {
         if (noticeData.imageUrl === null || noticeData.imageUrl === '') {
           sanitizedData.imageUrl = null;
+        } else if (!Notice.resolveUploadPath(noticeData.imageUrl)) {
+          errors.push('Invalid image URL');
         } else {
-          const imageUrlResult = sanitize(noticeData.imageUrl, 'url');
-          if (!imageUrlResult.safe) {
-            errors.push('Invalid image URL');
-          } else {
-            sanitizedData.imageUrl = imageUrlResult.sanitized;
-          }
+          sanitizedData.imageUrl = noticeData.imageUrl;
         }
       }
 
@@ -640,6 +648,66 @@ class NoticeService {
         }
       }
 
+      // Schedule validation (empty values clear the schedule)
+      ['publishAt', 'expiresAt'].forEach(field => {
+        if (noticeData[field] === undefined) return;
+
+        if (noticeData[field] === null || noticeData[field] === '') {
+          sanitizedData[field] = null;
+        } else if (isNaN(new Date(noticeData[field]).getTime())) {
+          errors.push(`${field} must be a valid date`);
+        } else {
+          sanitizedData[field] = new Date(noticeData[field]);
+        }
+      });
+
+      // Event validation (empty values clear the event; the model normalizes all-day dates)
+      ['eventStart', 'eventEnd'].forEach(field => {
+        if (noticeData[field] === undefined) return;
+
+        if (noticeData[field] === null || noticeData[field] === '') {
+          sanitizedData[field] = null;
+        } else if (isNaN(new Date(noticeData[field]).getTime())) {
+          errors.push(`${field} must be a valid date`);
+        } else {
+          sanitizedData[field] = noticeData[field];
+        }
+      });
+
+      if (noticeData.eventLocation !== undefined) {
+        const locationResult = sanitize(noticeData.eventLocation || '', 'text');
+        if (locationResult.sanitized.length > 255) {
+          errors.push('eventLocation must not exceed 255 characters');
+        } else {
+          sanitizedData.eventLocation = locationResult.sanitized || null;
+        }
+      }
+
+      if (noticeData.eventAllDay !== undefined) {
+        sanitizedData.eventAllDay = noticeData.eventAllDay === true || noticeData.eventAllDay === 'true';
+      }
+
+      // Category links
+      if (noticeData.categoryIds !== undefined) {
+        if (!Array.isArray(noticeData.categoryIds)) {
+          errors.push('categoryIds must be an array');
+        } else {
+          sanitizedData.categoryIds = noticeData.categoryIds
+            .map(id => parseInt(id))
+            .filter(id => Number.isInteger(id) && id > 0);
+        }
+      }
+
+      if (sanitizedData.publishAt && sanitizedData.expiresAt &&
+          sanitizedData.expiresAt <= sanitizedData.publishAt) {
+        errors.push('expiresAt must be after publishAt');
+      }
+
+      if (sanitizedData.eventStart && sanitizedData.eventEnd &&
+          new Date(sanitizedData.eventEnd) < new Date(sanitizedData.eventStart)) {
+        errors.push('eventEnd must not be before eventStart');
+      }
+
       if (errors.length > 0) {
         return {
           valid: false,
@@ -730,6 +798,12 @@ class NoticeService {
           continue;
         }
 
+        // Attachments must be uploaded files; anything else could point outside the uploads folder
+        if (!Notice.resolveUploadPath(file.url)) {
+          errors.push(`Invalid file URL: ${file.originalName || 'unknown'}`);
+          continue;
+        }
+
         // Basic file info validation
         const fileInfo = {
           filename: file.filename,
@@ -770,6 +844,9 @@ class NoticeService {
 
   /**
    * Check notice permissions for user
+   * Works with both User models and the plain req.user object set by the auth middleware.
+   * Own notices need the base permission (e.g. notice.edit), other users' notices its .any variant
+   * and, unless the user holds every permission, a department in common with the notice.
    * @param {Object} notice - Notice object
    * @param {Object} user - User object
    * @param {string} action - Action to check
@@ -777,49 +854,139 @@ class NoticeService {
    */
   async checkNoticePermissions(notice, user, action) {
     try {
-      // Super admin can do everything
-      if (user.isSuperAdmin()) {
+      const isSuperAdmin = user.role === 'super_admin';
+      const isOwner = notice.createdBy === user.id;
+      const permissions = Array.isArray(user.permissions)
+        ? user.permissions
+        : await permissionService.getUserPermissions(user);
+      const can = (permission) => permissionService.grants(permissions, permission);
+      const inScope = isOwner || await departmentService.isInScope({ ...user, permissions }, notice);
+      const canOnNotice = (permission) => can(isOwner ? permission : `${permission}.any`) && inScope;
+      const isApprover = can('notice.review');
+
+      const deny = (reason, message) => ({
+        allowed: false,
+        success: false,
+        reason,
+        message
+      });
+
+      // Sign-off applies to everyone, super admins included, while the workflow is on
+      if (action === 'publish' && config.approval.enabled && notice.status !== 'approved') {
+        return deny('approval_required', 'Notice must be approved by a reviewer before it can be published');
+      }
+
+      // Super admin can do everything else
+      if (isSuperAdmin) {
         return { allowed: true };
       }
 
-      // Regular admin rules
-      if (user.isAdmin()) {
-        switch (action) {
-          case 'view':
-          case 'view_analytics':
+      switch (action) {
+        case 'view':
+          if (can('notice.view')) {
             return { allowed: true };
-          
-          case 'update':
-          case 'delete':
-          case 'publish':
-            // Can only modify own notices or be super admin
-            if (notice.createdBy === user.id) {
-              return { allowed: true };
-            }
-            return {
-              allowed: false,
-              success: false,
-              reason: 'insufficient_permissions',
-              message: 'You can only modify your own notices'
-            };
-          
-          default:
-            return {
-              allowed: false,
-              success: false,
-              reason: 'unknown_action',
-              message: 'Unknown action'
-            };
-        }
-      }
+          }
+          return deny('insufficient_permissions', 'You do not have permission to view notices');
 
-      // Non-admin users have no permissions
-      return {
-        allowed: false,
-        success: false,
-        reason: 'insufficient_permissions',
-        message: 'Insufficient permissions'
-      };
+        case 'view_analytics':
+          if (can('analytics.view') && (isOwner || (can('notice.edit.any') && inScope))) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', 'You can only view analytics for notices you manage');
+
+        case 'update':
+        case 'submit_review':
+        case 'assign_reviewer':
+          if (canOnNotice('notice.edit')) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', isOwner
+            ? 'You do not have permission to edit notices'
+            : 'You can only modify your own notices and those of your departments');
+
+        case 'delete':
+          if (canOnNotice('notice.delete')) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', isOwner
+            ? 'You do not have permission to delete notices'
+            : 'You can only delete your own notices and those of your departments');
+
+        case 'restore':
+          // Whoever deleted it, a trashed notice goes back only at its owner's (or a super admin's) request
+          if (isOwner) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', 'Only the owner of a notice or a super admin can restore it');
+
+        case 'duplicate':
+          // Published notices are public anyway; unpublished ones only within reach of the user
+          if (can('notice.create') && (notice.status === 'published' || inScope)) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', can('notice.create')
+            ? 'You can only duplicate published notices, your own and those of your departments'
+            : 'You do not have permission to create notices');
+
+        case 'recur':
+          // A recurrence rule creates notices from this one for as long as it runs
+          if (can('notice.create') && canOnNotice('notice.edit')) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', can('notice.create')
+            ? 'You can only set up recurrence for your own notices and those of your departments'
+            : 'You do not have permission to create notices');
+
+        case 'publish':
+          if (!canOnNotice('notice.publish')) {
+            return deny('insufficient_permissions', isOwner
+              ? 'You do not have permission to publish notices'
+              : 'You can only publish your own notices and those of your departments');
+          }
+          if (notice.priority === 'high' && !can('notice.publish.high')) {
+            return deny('insufficient_permissions', 'You do not have permission to publish high-priority notices');
+          }
+          return { allowed: true };
+
+        case 'unpublish':
+          if (canOnNotice('notice.publish')) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', isOwner
+            ? 'You do not have permission to unpublish notices'
+            : 'You can only unpublish your own notices and those of your departments');
+
+        case 'pin':
+          if (can('notice.pin') && inScope) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', can('notice.pin')
+            ? 'You can only pin your own notices and those of your departments'
+            : 'You do not have permission to pin notices');
+
+        case 'review':
+          // Approvers decide on notices assigned to them, never on their own
+          if (!isApprover) {
+            return deny('insufficient_permissions', 'Only designated approvers can review notices');
+          }
+          if (isOwner) {
+            return deny('self_review', 'You cannot approve your own notice');
+          }
+          if (notice.reviewerId && notice.reviewerId !== user.id) {
+            return deny('not_assigned_reviewer', 'This notice is assigned to another reviewer');
+          }
+          return { allowed: true };
+
+        case 'comment':
+          // The author and any approver can take part in the review discussion
+          if (isOwner || isApprover) {
+            return { allowed: true };
+          }
+          return deny('insufficient_permissions', 'Only the author and reviewers can comment on this notice');
+
+        default:
+          return deny('unknown_action', 'Unknown action');
+      }
 
     } catch (error) {
       console.error('💥 Permission check error:', error.message);
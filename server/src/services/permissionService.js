@@ -0,0 +1,270 @@
+// Permission Service - Role permissions, permission checks and role management
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, PERMISSIONS, DEFAULT_ROLES, LOCKED_ROLES, ROLE_NAME_PATTERN } = require('../config/permissions');
+const { logUserAction } = require('../utils/logger');
+
+// Role permissions are read on every authenticated request, so they are cached briefly
+const CACHE_TTL_MS = 60 * 1000;
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Permissions granted by a role
+   * @param {string} roleName - Role name
+   * @returns {Array<string>} - Permission names ('*' for every permission)
+   */
+  async getRolePermissions(roleName) {
+    const cached = this.cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    let permissions;
+    try {
+      permissions = await Role.getPermissions(roleName);
+    } catch (error) {
+      // Databases without the roles tables keep working with the built-in definitions
+      console.error('⚠️ Falling back to default role permissions:', error.message);
+      return DEFAULT_ROLES[roleName] ? DEFAULT_ROLES[roleName].permissions : [];
+    }
+
+    this.cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+  }
+
+  /**
+   * Permissions of a user: those of their role, plus notice.review for designated approvers
+   * @param {Object} user - User model or req.user
+   * @returns {Array<string>} - Permission names
+   */
+  async getUserPermissions(user) {
+    if (!user) {
+      return [];
+    }
+
+    const permissions = await this.getRolePermissions(user.role);
+    return user.canApprove && !permissions.includes('notice.review')
+      ? [...permissions, 'notice.review']
+      : permissions;
+  }
+
+  /**
+   * Whether a permission list grants a permission
+   * @param {Array<string>} permissions - Granted permissions
+   * @param {string} permission - Required permission
+   * @returns {boolean}
+   */
+  grants(permissions, permission) {
+    return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+  }
+
+  /**
+   * Check a user's permission; uses the permissions attached by the auth middleware when present
+   * @param {Object} user - User model or req.user
+   * @param {string} permission - Required permission
+   * @returns {boolean}
+   */
+  async hasPermission(user, permission) {
+    if (!user) {
+      return false;
+    }
+
+    const permissions = Array.isArray(user.permissions)
+      ? user.permissions
+      : await this.getUserPermissions(user);
+
+    return this.grants(permissions, permission);
+  }
+
+  /**
+   * Permission catalogue for the role editor
+   * @returns {Array<Object>} - { name, description }
+   */
+  getCatalogue() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  /**
+   * List roles with their permissions and member counts
+   * @returns {Array<Role>}
+   */
+  async listRoles() {
+    return Role.findAll({ withCounts: true });
+  }
+
+  /**
+   * Whether a role exists
+   * @param {string} roleName - Role name
+   * @returns {boolean}
+   */
+  async roleExists(roleName) {
+    if (!roleName || !ROLE_NAME_PATTERN.test(roleName)) {
+      return false;
+    }
+
+    try {
+      return !!(await Role.findByName(roleName));
+    } catch (error) {
+      return !!DEFAULT_ROLES[roleName];
+    }
+  }
+
+  /**
+   * Create a role
+   * @param {Object} data - { name, displayName, description, permissions }
+   * @param {Object} actor - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the role
+   */
+  async createRole(data, actor, context = {}) {
+    const name = String(data.name || '').trim().toLowerCase();
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: 'Role name must be 3-50 lowercase letters, numbers or underscores, starting with a letter'
+      };
+    }
+
+    const permissions = data.permissions || [];
+    const permissionCheck = this.validatePermissions(permissions);
+    if (!permissionCheck.valid) {
+      return permissionCheck;
+    }
+
+    try {
+      const role = await Role.create({
+        name,
+        displayName: String(data.displayName).trim(),
+        description: data.description ? String(data.description).trim() : null,
+        permissions
+      }, actor);
+
+      await logUserAction(context, 'ROLE_CREATED', {
+        role: name,
+        permissions,
+        createdBy: actor.username
+      });
+
+      return { success: true, role };
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return { success: false, reason: 'conflict', message: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a role's display name, description or permissions
+   * @param {Role} role - Role
+   * @param {Object} data - { displayName, description, permissions }
+   * @param {Object} actor - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the role
+   */
+  async updateRole(role, data, actor, context = {}) {
+    if (LOCKED_ROLES.includes(role.name)) {
+      return {
+        success: false,
+        reason: 'locked_role',
+        message: `The ${role.displayName} role cannot be changed`
+      };
+    }
+
+    const updateData = {};
+    if (data.displayName !== undefined) updateData.displayName = String(data.displayName).trim();
+    if (data.description !== undefined) updateData.description = data.description ? String(data.description).trim() : null;
+
+    if (data.permissions !== undefined) {
+      const permissionCheck = this.validatePermissions(data.permissions);
+      if (!permissionCheck.valid) {
+        return permissionCheck;
+      }
+      updateData.permissions = data.permissions;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return { success: false, reason: 'validation_error', message: 'No valid fields to update' };
+    }
+
+    await role.update(updateData, actor);
+    this.cache.delete(role.name);
+
+    await logUserAction(context, 'ROLE_UPDATED', {
+      role: role.name,
+      changes: Object.keys(updateData),
+      permissions: updateData.permissions,
+      updatedBy: actor.username
+    });
+
+    return { success: true, role };
+  }
+
+  /**
+   * Delete a role nobody holds
+   * @param {Role} role - Role
+   * @param {Object} actor - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async deleteRole(role, actor, context = {}) {
+    if (role.isSystem) {
+      return {
+        success: false,
+        reason: 'locked_role',
+        message: `The built-in ${role.displayName} role cannot be deleted`
+      };
+    }
+
+    const userCount = await Role.countUsers(role.name);
+    if (userCount > 0) {
+      return {
+        success: false,
+        reason: 'role_in_use',
+        message: `${userCount} user${userCount === 1 ? ' has' : 's have'} this role. Assign them another role first.`
+      };
+    }
+
+    await role.delete(actor);
+    this.cache.delete(role.name);
+
+    await logUserAction(context, 'ROLE_DELETED', {
+      role: role.name,
+      deletedBy: actor.username
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Permissions of a custom role must come from the catalogue; '*' stays with super_admin
+   * @param {Array<string>} permissions - Requested permissions
+   * @returns {Object} - { valid } or a refusal
+   */
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      return { valid: false, success: false, reason: 'validation_error', message: 'Permissions must be a list' };
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        success: false,
+        reason: 'validation_error',
+        message: `Unknown permission${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`
+      };
+    }
+
+    return { valid: true };
+  }
+}
+
+// Create singleton instance
+const permissionService = new PermissionService();
+
+module.exports = permissionService;
@@ -0,0 +1,171 @@
+// Push Service - Browser Web Push (VAPID) notifications for newly published notices
+const webpush = require('web-push');
+const Category = require('../models/Category');
+const PushSubscription = require('../models/PushSubscription');
+const noticeEvents = require('./noticeEvents');
+const { toSummary } = require('../utils/feedBuilder');
+const { config } = require('../config/environment');
+
+// Descriptions may come back from the driver as buffers
+const toText = (value) => {
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  return typeof value === 'string' ? value : '';
+};
+
+// Push service hint for how quickly to wake the device
+const URGENCY_BY_PRIORITY = { high: 'high', medium: 'normal', low: 'low' };
+
+class PushService {
+  constructor() {
+    this.config = {
+      publicKey: config.push.publicKey,
+      privateKey: config.push.privateKey,
+      subject: config.push.subject,
+      ttlSeconds: config.push.ttlSeconds,
+      concurrency: config.push.concurrency,
+      siteUrl: config.app.frontendUrl || config.cors.origin[0]
+    };
+
+    this.enabled = !!(this.config.publicKey && this.config.privateKey);
+
+    if (this.enabled) {
+      try {
+        webpush.setVapidDetails(this.config.subject, this.config.publicKey, this.config.privateKey);
+      } catch (error) {
+        console.error('💥 Invalid VAPID configuration, Web Push disabled:', error.message);
+        this.enabled = false;
+      }
+    }
+
+    // Sent straight away rather than queued: urgent notices should reach phones within seconds
+    noticeEvents.subscribe(noticeEvents.PUBLISHED, 'web_push', (notice) => this.sendNoticeNotifications(notice));
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  getPublicKey() {
+    return this.enabled ? this.config.publicKey : null;
+  }
+
+  /**
+   * Store a browser push subscription with its filters
+   * @param {Object} data - { subscription, minPriority, categoryIds }
+   * @returns {PushSubscription} - Stored subscription
+   */
+  async subscribe(data) {
+    return PushSubscription.upsert({
+      subscription: data.subscription,
+      minPriority: data.minPriority,
+      categoryIds: data.categoryIds || []
+    });
+  }
+
+  // Stored filters of an endpoint, or null if this browser is not subscribed
+  async getPreferences(endpoint) {
+    return PushSubscription.findByEndpoint(endpoint);
+  }
+
+  /**
+   * Forget an endpoint; unknown endpoints are treated as already removed
+   * @param {string} endpoint - Push endpoint
+   * @returns {boolean} - Whether a subscription was removed
+   */
+  async unsubscribe(endpoint) {
+    const subscription = await PushSubscription.findByEndpoint(endpoint);
+    if (!subscription) {
+      return false;
+    }
+
+    return subscription.delete();
+  }
+
+  /**
+   * Push a published notice to every subscription whose filters match it.
+   * Subscriptions that already had the notice (before an unpublish) are skipped.
+   * @param {Object} notice - Published notice
+   * @returns {Object} - Send counts
+   */
+  async sendNoticeNotifications(notice) {
+    const result = { sent: 0, failed: 0, removed: 0, skipped: 0 };
+
+    if (!this.enabled) {
+      return result;
+    }
+
+    await Category.attachToNotices([notice]);
+
+    const subscriptions = await PushSubscription.findMatchingForNotice(notice);
+    if (subscriptions.length === 0) {
+      return result;
+    }
+
+    const payload = JSON.stringify(this.buildPayload(notice));
+    const options = {
+      TTL: this.config.ttlSeconds,
+      urgency: URGENCY_BY_PRIORITY[notice.priority] || 'normal',
+      topic: `notice-${notice.id}` // A newer push for the same notice replaces an undelivered one
+    };
+
+    for (let i = 0; i < subscriptions.length; i += this.config.concurrency) {
+      const batch = subscriptions.slice(i, i + this.config.concurrency);
+      const outcomes = await Promise.all(batch.map(async (subscription) => (
+        (await subscription.markNoticeSent(notice.id)) ? this.send(subscription, payload, options) : 'skipped'
+      )));
+
+      outcomes.forEach(outcome => result[outcome]++);
+    }
+
+    console.log(`📲 Push sent for notice ${notice.title} (ID: ${notice.id}): ${result.sent} sent, ${result.failed} failed, ${result.removed} removed, ${result.skipped} already sent`);
+
+    return result;
+  }
+
+  /**
+   * Send one push message and record the outcome on the subscription
+   * @returns {string} - 'sent', 'failed' or 'removed'
+   */
+  async send(subscription, payload, options) {
+    try {
+      await webpush.sendNotification(subscription.toWebPush(), payload, options);
+      await subscription.recordSuccess();
+      return 'sent';
+    } catch (error) {
+      try {
+        // 404/410: the browser unsubscribed or the subscription expired
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await subscription.delete();
+          return 'removed';
+        }
+
+        console.warn(`⚠️ Push to subscription ${subscription.id} failed: ${error.statusCode ? `HTTP ${error.statusCode}` : error.message}`);
+        return (await subscription.recordFailure()) ? 'removed' : 'failed';
+      } catch (recordError) {
+        console.error('💥 Failed to record push outcome:', recordError.message);
+        return 'failed';
+      }
+    }
+  }
+
+  // Message read by the client service worker (public/sw.js)
+  buildPayload(notice) {
+    return {
+      title: notice.priority === 'high' ? `Urgent: ${notice.title}` : notice.title,
+      body: toSummary(toText(notice.description)),
+      url: `${this.config.siteUrl}/public/notice/${notice.slug}`,
+      tag: `notice-${notice.id}`,
+      priority: notice.priority,
+      noticeId: notice.id
+    };
+  }
+
+  async getStats() {
+    return { enabled: this.enabled, subscriptions: await PushSubscription.getStats() };
+  }
+}
+
+// Create singleton instance
+const pushService = new PushService();
+
+module.exports = pushService;
@@ -0,0 +1,270 @@
+// Recurrence Service - Rules that copy a notice every week, month or semester into new drafts or scheduled publications
+const Notice = require('../models/Notice');
+const NoticeRecurrence = require('../models/NoticeRecurrence');
+const User = require('../models/User');
+const noticeService = require('./noticeService');
+const duplicationService = require('./duplicationService');
+const { config } = require('../config/environment');
+const { logUserAction } = require('../utils/logger');
+
+class RecurrenceService {
+  constructor() {
+    this.config = {
+      batchSize: config.scheduler.batchSize
+    };
+  }
+
+  /**
+   * Load a notice and check the user may manage its recurrence rule
+   * @param {number} noticeId - Notice ID
+   * @param {Object} user - Acting user
+   * @returns {Object} - { allowed, notice } or a refusal
+   */
+  async findManageableNotice(noticeId, user) {
+    const notice = await Notice.findById(noticeId);
+    if (!notice) {
+      return { allowed: false, success: false, reason: 'notice_not_found', message: 'Notice not found' };
+    }
+
+    const permission = await noticeService.checkNoticePermissions(notice, user, 'recur');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    return { allowed: true, notice };
+  }
+
+  /**
+   * Recurrence rule of a notice
+   * @param {number} noticeId - Notice ID
+   * @param {Object} user - Acting user
+   * @returns {Object} - Result with the rule (null when the notice does not recur)
+   */
+  async getRecurrence(noticeId, user) {
+    const access = await this.findManageableNotice(noticeId, user);
+    if (!access.allowed) {
+      return access;
+    }
+
+    const recurrence = await NoticeRecurrence.findByNotice(access.notice.id);
+    return { success: true, recurrence };
+  }
+
+  /**
+   * Create or replace the recurrence rule of a notice
+   * @param {number} noticeId - Notice ID
+   * @param {Object} data - { frequency, mode, startsAt, leadDays, endsAt, copyAttachments }
+   * @param {Object} user - Acting user; the rule creates notices with this user's rights
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the stored rule
+   */
+  async saveRecurrence(noticeId, data, user, context = {}) {
+    const access = await this.findManageableNotice(noticeId, user);
+    if (!access.allowed) {
+      return access;
+    }
+
+    const { notice } = access;
+    const mode = data.mode || 'draft';
+    const leadDays = parseInt(data.leadDays) || 0;
+
+    if (leadDays >= NoticeRecurrence.MIN_PERIOD_DAYS[data.frequency]) {
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: `A ${data.frequency} notice must be created less than ${NoticeRecurrence.MIN_PERIOD_DAYS[data.frequency]} days before it occurs`
+      };
+    }
+
+    // Scheduled copies publish themselves, so the rule needs the publishing rights a new notice would
+    if (mode === 'scheduled' && !config.approval.enabled) {
+      const permission = await noticeService.checkNoticePermissions(
+        { createdBy: user.id, status: 'approved', priority: notice.priority },
+        user,
+        'publish'
+      );
+      if (!permission.allowed) {
+        return permission;
+      }
+    }
+
+    const nextRunAt = NoticeRecurrence.getNextOccurrence(data.startsAt, data.frequency, new Date());
+    if (!nextRunAt || (data.endsAt && nextRunAt > new Date(data.endsAt))) {
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: 'The recurrence ends before its next occurrence'
+      };
+    }
+
+    const recurrence = await NoticeRecurrence.save(notice.id, {
+      frequency: data.frequency,
+      mode,
+      startsAt: data.startsAt,
+      nextRunAt,
+      leadDays,
+      endsAt: data.endsAt || null,
+      copyAttachments: data.copyAttachments
+    }, user);
+
+    console.log(`🔁 Recurrence set for notice: ${notice.title} (ID: ${notice.id}, ${data.frequency}, ${mode}) by ${user.username}`);
+
+    await logUserAction(context, 'NOTICE_RECURRENCE_SAVED', {
+      noticeId: notice.id,
+      noticeTitle: notice.title,
+      frequency: recurrence.frequency,
+      mode: recurrence.mode,
+      nextRunAt: recurrence.nextRunAt
+    });
+
+    return { success: true, recurrence, message: 'Recurrence saved' };
+  }
+
+  /**
+   * Stop a notice from recurring
+   * @param {number} noticeId - Notice ID
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async deleteRecurrence(noticeId, user, context = {}) {
+    const access = await this.findManageableNotice(noticeId, user);
+    if (!access.allowed) {
+      return access;
+    }
+
+    const removed = await NoticeRecurrence.deleteByNotice(access.notice.id);
+    if (!removed) {
+      return { success: false, reason: 'recurrence_not_found', message: 'This notice does not recur' };
+    }
+
+    await logUserAction(context, 'NOTICE_RECURRENCE_REMOVED', {
+      noticeId: access.notice.id,
+      noticeTitle: access.notice.title
+    });
+
+    return { success: true, message: 'Recurrence removed' };
+  }
+
+  /**
+   * Scheduler job: create the copies of recurring notices whose next occurrence is within their lead time
+   * @returns {Object} - Job result
+   */
+  async generateDue() {
+    const dueRules = await NoticeRecurrence.findDue(this.config.batchSize);
+    let generated = 0;
+    let stopped = 0;
+
+    for (const rule of dueRules) {
+      try {
+        const notice = await this.generateOccurrence(rule);
+        if (notice) {
+          generated++;
+        } else if (!rule.isActive) {
+          stopped++;
+        }
+      } catch (error) {
+        console.error(`💥 Failed to generate recurring notice for rule ${rule.id}:`, error.message);
+      }
+    }
+
+    return { success: true, due: dueRules.length, generated, stopped };
+  }
+
+  /**
+   * Create the copy for a rule's next occurrence and move the rule on
+   * @param {NoticeRecurrence} rule - Due rule
+   * @returns {Notice|null} - New notice, or null when nothing was created
+   */
+  async generateOccurrence(rule) {
+    const occurrence = new Date(rule.nextRunAt);
+    // Occurrences missed while the scheduler was down are skipped rather than created late
+    const nextRunAt = NoticeRecurrence.getNextOccurrence(rule.startsAt, rule.frequency, new Date(Math.max(occurrence.getTime(), Date.now())));
+
+    const source = await Notice.findById(rule.noticeId);
+    if (!source) {
+      // Trashed notices keep their rule for a restore, without copies in the meantime
+      await rule.advance(nextRunAt);
+      return null;
+    }
+
+    // The rule runs with its owner's rights; an owner who was disabled or lost them stops it
+    const owner = await User.findById(rule.createdBy);
+    const permission = owner && owner.isActive()
+      ? await noticeService.checkNoticePermissions(source, owner, 'recur')
+      : { allowed: false };
+
+    if (!permission.allowed) {
+      await rule.deactivate();
+      console.warn(`⚠️ Recurrence stopped for notice ${rule.noticeId}: its owner can no longer create copies`);
+      return null;
+    }
+
+    const notice = await duplicationService.copyNotice(source, owner, {
+      copyAttachments: rule.copyAttachments,
+      ...(await this.getOccurrenceStatus(rule, source, owner, occurrence)),
+      ...this.shiftDates(source, rule.startsAt, occurrence)
+    });
+
+    await rule.advance(nextRunAt, notice.id);
+
+    console.log(`🔁 Recurring notice created: ${notice.title} (ID: ${notice.id}) for ${occurrence.toISOString()}`);
+
+    await logUserAction({}, 'NOTICE_GENERATED_BY_RECURRENCE', {
+      noticeId: notice.id,
+      sourceNoticeId: source.id,
+      noticeTitle: notice.title,
+      occurrence,
+      mode: rule.mode
+    });
+
+    return notice;
+  }
+
+  /**
+   * Status of a generated copy: drafts stay drafts; scheduled copies publish at their occurrence,
+   * after sign-off when the approval workflow is on
+   * @returns {Object} - { status, publishAt }
+   */
+  async getOccurrenceStatus(rule, source, owner, occurrence) {
+    if (rule.mode !== 'scheduled') {
+      return { status: 'draft', publishAt: null };
+    }
+
+    if (config.approval.enabled) {
+      return { status: 'draft', publishAt: occurrence };
+    }
+
+    const permission = await noticeService.checkNoticePermissions(
+      { createdBy: owner.id, status: 'approved', priority: source.priority },
+      owner,
+      'publish'
+    );
+
+    return permission.allowed
+      ? { status: 'published', publishAt: occurrence }
+      : { status: 'draft', publishAt: null };
+  }
+
+  /**
+   * Move the event and expiry dates of the source by the distance from the rule's start to this occurrence
+   * @returns {Object} - { eventStart, eventEnd, expiresAt }
+   */
+  shiftDates(source, startsAt, occurrence) {
+    const offset = occurrence.getTime() - new Date(startsAt).getTime();
+    const shift = (value) => value ? new Date(new Date(value).getTime() + offset) : null;
+    const expiresAt = shift(source.expiresAt);
+
+    return {
+      eventStart: shift(source.eventStart),
+      eventEnd: shift(source.eventEnd),
+      // An expiry that would fall before the copy goes out is dropped
+      expiresAt: expiresAt && expiresAt > occurrence ? expiresAt : null
+    };
+  }
+}
+
+// Create singleton instance
+const recurrenceService = new RecurrenceService();
+
+module.exports = recurrenceService;
@@ -0,0 +1,285 @@
+// Review Service - Optional approval workflow: submission, reviewer assignment, sign-off and comments
+const Notice = require('../models/Notice');
+const NoticeReview = require('../models/NoticeReview');
+const User = require('../models/User');
+const noticeService = require('./noticeService');
+const permissionService = require('./permissionService');
+const { config } = require('../config/environment');
+const { logUserAction } = require('../utils/logger');
+
+// Edits to these fields void an earlier sign-off
+const CONTENT_FIELDS = [
+  'title', 'description', 'imageUrl', 'files', 'priority', 'expiresAt',
+  'eventStart', 'eventEnd', 'eventLocation', 'eventAllDay', 'categoryIds', 'language', 'translations'
+];
+
+// Statuses a notice can be submitted for review from
+const SUBMITTABLE_STATUSES = ['draft', 'changes_requested'];
+
+class ReviewService {
+  constructor() {
+    this.config = {
+      enabled: config.approval.enabled
+    };
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Submit a notice for review, optionally assigning a reviewer
+   * @param {Notice} notice - Notice to submit
+   * @param {Object} user - Acting user
+   * @param {Object} data - { reviewerId, comment }
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the notice and review entry
+   */
+  async submitForReview(notice, user, data = {}, context = {}) {
+    const permission = await noticeService.checkNoticePermissions(notice, user, 'submit_review');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    if (!SUBMITTABLE_STATUSES.includes(notice.status)) {
+      return {
+        success: false,
+        reason: 'invalid_status',
+        message: `Only draft notices or notices with requested changes can be submitted for review (current status: ${notice.status})`
+      };
+    }
+
+    const updateData = { status: 'pending_review' };
+
+    if (data.reviewerId) {
+      const reviewerCheck = await this.validateReviewer(notice, data.reviewerId);
+      if (!reviewerCheck.success) {
+        return reviewerCheck;
+      }
+      updateData.reviewerId = reviewerCheck.reviewer.id;
+    }
+
+    await notice.update(updateData, user, { changeSummary: 'Submitted for review' });
+    const review = await NoticeReview.create({ noticeId: notice.id, action: 'submitted', comment: data.comment }, user);
+
+    await logUserAction(context, 'NOTICE_SUBMITTED_FOR_REVIEW', {
+      noticeId: notice.id,
+      noticeTitle: notice.title,
+      reviewerId: notice.reviewerId,
+      submittedBy: user.username
+    });
+
+    return { success: true, notice, review };
+  }
+
+  /**
+   * Assign (or clear, with a null reviewerId) the reviewer of a notice
+   * @returns {Object} - Result with the notice and review entry
+   */
+  async assignReviewer(notice, user, reviewerId, context = {}) {
+    const permission = await noticeService.checkNoticePermissions(notice, user, 'assign_reviewer');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    if (['published', 'archived'].includes(notice.status)) {
+      return {
+        success: false,
+        reason: 'invalid_status',
+        message: 'Reviewers cannot be assigned to published or archived notices'
+      };
+    }
+
+    let reviewer = null;
+    if (reviewerId) {
+      const reviewerCheck = await this.validateReviewer(notice, reviewerId);
+      if (!reviewerCheck.success) {
+        return reviewerCheck;
+      }
+      reviewer = reviewerCheck.reviewer;
+    }
+
+    await notice.update({ reviewerId: reviewer ? reviewer.id : null }, user, {
+      changeSummary: reviewer ? `Assigned reviewer ${reviewer.username}` : 'Removed reviewer'
+    });
+    const review = await NoticeReview.create({
+      noticeId: notice.id,
+      action: 'assigned',
+      comment: reviewer ? `Assigned to ${reviewer.fullName || reviewer.username}` : 'Reviewer removed'
+    }, user);
+
+    await logUserAction(context, 'NOTICE_REVIEWER_ASSIGNED', {
+      noticeId: notice.id,
+      reviewerId: reviewer ? reviewer.id : null,
+      assignedBy: user.username
+    });
+
+    return { success: true, notice, review };
+  }
+
+  /**
+   * Sign off a notice that is pending review
+   * @returns {Object} - Result with the notice and review entry
+   */
+  async approve(notice, user, comment = null, context = {}) {
+    const check = await this.checkCanDecide(notice, user, ['pending_review']);
+    if (!check.allowed) {
+      return check;
+    }
+
+    await notice.update({ status: 'approved' }, user, { changeSummary: 'Approved for publication' });
+    const review = await NoticeReview.create({ noticeId: notice.id, action: 'approved', comment }, user);
+
+    await logUserAction(context, 'NOTICE_APPROVED', {
+      noticeId: notice.id,
+      noticeTitle: notice.title,
+      approvedBy: user.username
+    });
+
+    return { success: true, notice, review };
+  }
+
+  /**
+   * Send a notice back to its author; also withdraws an approval that has not been published yet
+   * @returns {Object} - Result with the notice and review entry
+   */
+  async requestChanges(notice, user, comment, context = {}) {
+    const check = await this.checkCanDecide(notice, user, ['pending_review', 'approved']);
+    if (!check.allowed) {
+      return check;
+    }
+
+    await notice.update({ status: 'changes_requested' }, user, { changeSummary: 'Changes requested by reviewer' });
+    const review = await NoticeReview.create({ noticeId: notice.id, action: 'changes_requested', comment }, user);
+
+    await logUserAction(context, 'NOTICE_CHANGES_REQUESTED', {
+      noticeId: notice.id,
+      noticeTitle: notice.title,
+      reviewedBy: user.username
+    });
+
+    return { success: true, notice, review };
+  }
+
+  // Add a comment to the review discussion of a notice
+  async addComment(notice, user, comment) {
+    const permission = await noticeService.checkNoticePermissions(notice, user, 'comment');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    const review = await NoticeReview.create({ noticeId: notice.id, action: 'commented', comment }, user);
+
+    return { success: true, review };
+  }
+
+  // Review history of a notice, oldest first
+  async getHistory(notice) {
+    return NoticeReview.findByNotice(notice.id);
+  }
+
+  // Notices waiting for a decision: everything for super admins, otherwise unassigned or assigned to the user
+  async getQueue(user) {
+    return Notice.findPendingReview({
+      reviewerId: user.role === 'super_admin' ? null : user.id
+    });
+  }
+
+  async getApprovers() {
+    return User.findApprovers();
+  }
+
+  /**
+   * Grant or revoke a user's right to sign off notices
+   * @returns {Object} - Result with the updated user
+   */
+  async setApprover(userId, canApprove, actor, context = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return { success: false, reason: 'user_not_found', message: 'User not found' };
+    }
+
+    await user.update({ canApprove: !!canApprove }, actor);
+
+    await logUserAction(context, canApprove ? 'APPROVER_GRANTED' : 'APPROVER_REVOKED', {
+      userId: user.id,
+      username: user.username,
+      changedBy: actor.username
+    });
+
+    return { success: true, user };
+  }
+
+  /**
+   * Reset an approved notice to pending review when its content is edited, so the
+   * published version is always the one that was signed off. Mutates updateData.
+   * @param {Notice} notice - Notice about to be updated
+   * @param {Object} updateData - Pending update
+   * @returns {boolean} - Whether the approval was withdrawn
+   */
+  withdrawApprovalOnEdit(notice, updateData) {
+    if (!this.config.enabled || notice.status !== 'approved') {
+      return false;
+    }
+
+    const editsContent = CONTENT_FIELDS.some(field => updateData[field] !== undefined);
+    if (!editsContent || (updateData.status && updateData.status !== 'approved')) {
+      return false;
+    }
+
+    updateData.status = 'pending_review';
+    return true;
+  }
+
+  // Note in the review log that an edit voided the sign-off
+  async recordApprovalWithdrawn(notice, user) {
+    try {
+      await NoticeReview.create({
+        noticeId: notice.id,
+        action: 'approval_withdrawn',
+        comment: 'Edited after approval; review required again'
+      }, user);
+    } catch (error) {
+      console.warn(`Could not record approval withdrawal for notice ${notice.id}:`, error.message);
+    }
+  }
+
+  // A reviewer must hold notice.review and, unless a super admin, not be the notice's author
+  async validateReviewer(notice, reviewerId) {
+    const reviewer = await User.findById(reviewerId);
+
+    if (!reviewer || !reviewer.isActive() || !(await permissionService.hasPermission(reviewer, 'notice.review'))) {
+      return { success: false, reason: 'invalid_reviewer', message: 'Reviewer must be allowed to approve notices' };
+    }
+
+    if (reviewer.id === notice.createdBy && !reviewer.isSuperAdmin()) {
+      return { success: false, reason: 'invalid_reviewer', message: 'A notice cannot be reviewed by its author' };
+    }
+
+    return { success: true, reviewer };
+  }
+
+  // Decisions need the review permission and a notice in one of the given statuses
+  async checkCanDecide(notice, user, statuses) {
+    const permission = await noticeService.checkNoticePermissions(notice, user, 'review');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    if (!statuses.includes(notice.status)) {
+      return {
+        allowed: false,
+        success: false,
+        reason: 'invalid_status',
+        message: `Notice is not awaiting review (current status: ${notice.status})`
+      };
+    }
+
+    return { allowed: true };
+  }
+}
+
+// Create singleton instance
+const reviewService = new ReviewService();
+
+module.exports = reviewService;
@@ -0,0 +1,252 @@
+// Scheduler Service - Background jobs for recurring notices, scheduled publishing, notice expiry, trash purging, email and webhook delivery
+const Notice = require('../models/Notice');
+const User = require('../models/User');
+const noticeService = require('./noticeService');
+const subscriptionService = require('./subscriptionService');
+const webhookService = require('./webhookService');
+const trashService = require('./trashService');
+const recurrenceService = require('./recurrenceService');
+const { config } = require('../config/environment');
+const { logUserAction } = require('../utils/logger');
+
+class SchedulerService {
+  constructor() {
+    this.config = {
+      enabled: config.scheduler.enabled,
+      intervalMs: config.scheduler.intervalMs,
+      batchSize: config.scheduler.batchSize,
+      expiryAction: config.scheduler.expiryAction // 'archive' or 'unpublish'
+    };
+
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+
+    // Jobs executed on every tick, in order
+    this.jobs = [
+      { name: 'generate_recurring_notices', handler: () => recurrenceService.generateDue() },
+      { name: 'publish_due_notices', handler: () => this.publishDueNotices() },
+      { name: 'expire_notices', handler: () => this.expireNotices() },
+      { name: 'purge_trashed_notices', handler: () => trashService.purgeExpired() },
+      { name: 'queue_subscription_digests', handler: () => subscriptionService.queueDigests() },
+      { name: 'send_email_queue', handler: () => subscriptionService.processQueue() },
+      { name: 'deliver_webhooks', handler: () => webhookService.processDeliveries() }
+    ];
+  }
+
+  /**
+   * Start the background scheduler
+   * @returns {boolean} - Whether the scheduler was started
+   */
+  start() {
+    if (!this.config.enabled) {
+      console.log('⏸️ Notice scheduler disabled (ENABLE_SCHEDULER=false)');
+      return false;
+    }
+
+    if (this.timer) {
+      return true;
+    }
+
+    this.timer = setInterval(() => {
+      this.runCycle().catch(error => {
+        console.error('💥 Scheduler cycle error:', error.message);
+      });
+    }, this.config.intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (typeof this.timer.unref === 'function') {
+      this.timer.unref();
+    }
+
+    console.log(`⏰ Notice scheduler started (every ${Math.round(this.config.intervalMs / 1000)}s, expiry action: ${this.config.expiryAction})`);
+
+    // Catch up on anything that became due while the server was down
+    this.runCycle().catch(error => {
+      console.error('💥 Initial scheduler cycle error:', error.message);
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop the background scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ Notice scheduler stopped');
+    }
+  }
+
+  /**
+   * Run every job once; overlapping cycles are skipped
+   * @returns {Object} - Per-job results
+   */
+  async runCycle() {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const results = {};
+
+    try {
+      for (const job of this.jobs) {
+        try {
+          results[job.name] = await job.handler();
+        } catch (error) {
+          console.error(`💥 Scheduler job ${job.name} failed:`, error.message);
+          results[job.name] = { success: false, error: error.message };
+        }
+      }
+
+      this.lastRunAt = new Date();
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Publish drafts (or, with the approval workflow on, approved notices) whose publish_at time has passed
+   * @returns {Object} - Job result
+   */
+  async publishDueNotices() {
+    const dueNotices = await Notice.findDueForPublication(this.config.batchSize, {
+      approvedOnly: config.approval.enabled
+    });
+    let published = 0;
+    let skipped = 0;
+
+    for (const notice of dueNotices) {
+      try {
+        const scheduledFor = notice.publishAt;
+
+        // The scheduler publishes on the owner's behalf, so it needs the owner's publishing rights at publish time
+        const permission = await this.checkOwnerCanPublish(notice);
+        if (!permission.allowed) {
+          // Clearing the publish time keeps the notice out of later runs; it stays as it is for the owner to deal with
+          await notice.update({ publishAt: null }, this.getSystemActor(notice), {
+            changeSummary: 'Scheduled publication cancelled: the owner cannot publish it'
+          });
+          skipped++;
+
+          console.warn(`⚠️ Scheduled publication cancelled for notice ${notice.id}: ${permission.message}`);
+
+          await logUserAction({}, 'NOTICE_SCHEDULED_PUBLICATION_CANCELLED', {
+            noticeId: notice.id,
+            noticeTitle: notice.title,
+            scheduledFor,
+            reason: permission.reason
+          });
+          continue;
+        }
+
+        await notice.update({ status: 'published' }, this.getSystemActor(notice), {
+          changeSummary: 'Published by scheduler'
+        });
+        published++;
+
+        console.log(`📢 Scheduled notice published: ${notice.title} (ID: ${notice.id})`);
+
+        await logUserAction({}, 'NOTICE_PUBLISHED_BY_SCHEDULER', {
+          noticeId: notice.id,
+          noticeTitle: notice.title,
+          noticeSlug: notice.slug,
+          scheduledFor
+        });
+      } catch (error) {
+        console.error(`💥 Failed to publish scheduled notice ${notice.id}:`, error.message);
+      }
+    }
+
+    return { success: true, due: dueNotices.length, published, skipped };
+  }
+
+  /**
+   * Whether the owner of a due notice may still publish it; sign-off was already checked by the due query
+   * @param {Notice} notice - Notice due for publication
+   * @returns {Object} - { allowed } or a refusal
+   */
+  async checkOwnerCanPublish(notice) {
+    const owner = notice.createdBy ? await User.findById(notice.createdBy) : null;
+    if (!owner || !owner.isActive()) {
+      return { allowed: false, reason: 'owner_inactive', message: 'The owner of the notice is disabled or no longer exists' };
+    }
+
+    return noticeService.checkNoticePermissions({ ...notice, status: 'approved' }, owner, 'publish');
+  }
+
+  /**
+   * Archive or unpublish notices whose expires_at time has passed
+   * @returns {Object} - Job result
+   */
+  async expireNotices() {
+    const expiredNotices = await Notice.findExpired(this.config.batchSize);
+    const targetStatus = this.config.expiryAction === 'unpublish' ? 'draft' : 'archived';
+    let expired = 0;
+
+    for (const notice of expiredNotices) {
+      try {
+        const updateData = { status: targetStatus };
+
+        // An unpublished draft keeping its old expiry would be hidden again on republish
+        if (targetStatus === 'draft') {
+          updateData.expiresAt = null;
+        }
+
+        await notice.update(updateData, this.getSystemActor(notice), {
+          changeSummary: 'Expired by scheduler'
+        });
+        expired++;
+
+        console.log(`📦 Expired notice ${targetStatus === 'archived' ? 'archived' : 'unpublished'}: ${notice.title} (ID: ${notice.id})`);
+
+        await logUserAction({}, 'NOTICE_EXPIRED_BY_SCHEDULER', {
+          noticeId: notice.id,
+          noticeTitle: notice.title,
+          noticeSlug: notice.slug,
+          action: this.config.expiryAction
+        });
+      } catch (error) {
+        console.error(`💥 Failed to expire notice ${notice.id}:`, error.message);
+      }
+    }
+
+    return { success: true, due: expiredNotices.length, expired };
+  }
+
+  /**
+   * Build the actor recorded for scheduler-driven changes (attributed to the notice owner)
+   * @param {Object} notice - Notice being changed
+   * @returns {Object} - Actor object
+   */
+  getSystemActor(notice) {
+    return {
+      id: notice.createdBy,
+      username: 'system:scheduler',
+      role: 'system'
+    };
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} - Status information
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      running: !!this.timer,
+      intervalMs: this.config.intervalMs,
+      expiryAction: this.config.expiryAction,
+      lastRunAt: this.lastRunAt
+    };
+  }
+}
+
+// Create singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
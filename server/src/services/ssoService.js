@@ -0,0 +1,536 @@
+// SSO Service - OpenID Connect sign-in for staff: provider discovery, ID token checks, role mapping and provisioning
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const permissionService = require('./permissionService');
+const { config } = require('../config/environment');
+const { logSecurityEvent, logUserAction } = require('../utils/logger');
+
+const PROVIDER = 'oidc';
+
+// State and handoff tokens use their own audiences, so the auth middleware never accepts them as access tokens
+const STATE_AUDIENCE = 'notice-sso-state';
+const HANDOFF_AUDIENCE = 'notice-sso-handoff';
+
+// Provider metadata and signing keys are fetched again after an hour
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// ID token algorithms accepted from the provider (all public-key based)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256'];
+
+// Accounts that are never linked to a provider identity by email; a super admin links them by hand
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+class SsoService {
+  constructor() {
+    this.config = config.sso.oidc;
+    this.stateCookie = 'sso_state';
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.signingKeys = new Map();
+    this.signingKeysFetchedAt = 0;
+    this.redeemedHandoffs = new Map(); // handoff ID -> expiry, so each handoff logs in once
+  }
+
+  // Sign-in through the provider is offered once it is enabled and fully configured
+  isEnabled(provider = PROVIDER) {
+    return provider === PROVIDER &&
+      this.config.enabled &&
+      !!this.config.issuer &&
+      !!this.config.clientId &&
+      !!this.config.redirectUri;
+  }
+
+  // Providers shown on the login page
+  getProviders() {
+    return this.isEnabled() ? [{ id: PROVIDER, name: this.config.displayName }] : [];
+  }
+
+  // Relative client path to open after signing in; anything else falls back to the dashboard
+  sanitizeReturnTo(returnTo) {
+    const path = String(returnTo || '');
+    return /^\/(?![/\\])[^\s]*$/.test(path) && path.length <= 500 ? path : '/dashboard';
+  }
+
+  /**
+   * Provider metadata from its discovery document
+   * @returns {Object} - { issuer, authorization_endpoint, token_endpoint, jwks_uri, userinfo_endpoint, ... }
+   */
+  async getMetadata() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL_MS) {
+      return this.metadata;
+    }
+
+    const issuer = this.config.issuer.replace(/\/+$/, '');
+    const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: REQUEST_TIMEOUT_MS });
+    const metadata = response.data || {};
+
+    if (String(metadata.issuer || '').replace(/\/+$/, '') !== issuer) {
+      throw new Error('Provider metadata names a different issuer');
+    }
+
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+      throw new Error('Provider metadata is incomplete');
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+
+    return metadata;
+  }
+
+  /**
+   * Public key that signed an ID token; the key set is fetched again once for unknown key IDs (key rotation)
+   * @param {string} kid - Key ID from the token header
+   * @returns {KeyObject}
+   */
+  async getSigningKey(kid) {
+    const findKey = () => kid
+      ? this.signingKeys.get(kid)
+      : (this.signingKeys.size === 1 ? [...this.signingKeys.values()][0] : null);
+
+    const fresh = Date.now() - this.signingKeysFetchedAt < METADATA_TTL_MS;
+    if (fresh && findKey()) {
+      return findKey();
+    }
+
+    const metadata = await this.getMetadata();
+    const response = await axios.get(metadata.jwks_uri, { timeout: REQUEST_TIMEOUT_MS });
+
+    this.signingKeys = new Map(
+      (response.data?.keys || [])
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .map(jwk => [jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    this.signingKeysFetchedAt = Date.now();
+
+    const key = findKey();
+    if (!key) {
+      throw new Error('ID token was signed with an unknown key');
+    }
+
+    return key;
+  }
+
+  /**
+   * Start a sign-in: the authorization URL and the state kept in the browser until the callback
+   * @param {string} returnTo - Client path to open afterwards
+   * @returns {Object} - { url, state } - state goes into an httpOnly cookie
+   */
+  async beginLogin(returnTo) {
+    const metadata = await this.getMetadata();
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const signedState = jwt.sign(
+      { type: 'sso_state', state, nonce, codeVerifier, returnTo: this.sanitizeReturnTo(returnTo) },
+      config.jwt.secret,
+      {
+        expiresIn: this.config.stateTtlSeconds,
+        algorithm: config.jwt.algorithm,
+        issuer: config.jwt.issuer,
+        audience: STATE_AUDIENCE
+      }
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      url: `${metadata.authorization_endpoint}?${params.toString()}`,
+      state: signedState
+    };
+  }
+
+  // Read the state cookie; null if missing, tampered with or expired
+  readState(signedState) {
+    try {
+      const decoded = jwt.verify(String(signedState || ''), config.jwt.secret, {
+        algorithms: [config.jwt.algorithm],
+        issuer: config.jwt.issuer,
+        audience: STATE_AUDIENCE
+      });
+
+      return decoded.type === 'sso_state' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Trade the authorization code for tokens (PKCE, client secret sent as HTTP Basic when configured)
+  async exchangeCode(code, codeVerifier) {
+    const metadata = await this.getMetadata();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: this.config.redirectUri,
+      client_id: this.config.clientId,
+      code_verifier: codeVerifier
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (this.config.clientSecret) {
+      const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const response = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: REQUEST_TIMEOUT_MS });
+
+    if (!response.data?.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Verify the ID token's signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - ID token from the token endpoint
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Object} - Token claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('ID token is malformed or uses an unsupported algorithm');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const metadata = await this.getMetadata();
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: this.config.clientId,
+      clockTolerance: 60
+    });
+
+    if (!claims.sub || claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.config.clientId) {
+      throw new Error('ID token was issued to another client');
+    }
+
+    return claims;
+  }
+
+  // Extra claims (e.g. groups) from the userinfo endpoint; the ID token wins where both have a value
+  async fetchUserInfo(accessToken, claims) {
+    const metadata = await this.getMetadata();
+    if (!metadata.userinfo_endpoint || !accessToken) {
+      return claims;
+    }
+
+    try {
+      const response = await axios.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      // Userinfo for another subject must be ignored
+      if (response.data?.sub !== claims.sub) {
+        return claims;
+      }
+
+      return { ...response.data, ...claims };
+    } catch (error) {
+      console.error('⚠️ Could not load SSO userinfo:', error.message);
+      return claims;
+    }
+  }
+
+  // Account fields from the provider's claims
+  readProfile(claims) {
+    const groups = claims[this.config.groupsClaim];
+    // Only an address the provider has verified may match or create an account
+    const emailVerified = claims.email_verified === true;
+    const email = typeof claims.email === 'string' && emailVerified ? claims.email.toLowerCase().trim() : null;
+    const fullName = claims.name ||
+      [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+      claims.preferred_username ||
+      email;
+
+    return {
+      subject: String(claims.sub),
+      email,
+      fullName: String(fullName || '').trim().substring(0, 100),
+      usernameHint: claims.preferred_username || (email ? email.split('@')[0] : ''),
+      groups: (Array.isArray(groups) ? groups : (groups ? [groups] : [])).map(String)
+    };
+  }
+
+  // Configured group:role pairs, in order
+  getRoleMap() {
+    return this.config.roleMap
+      .split(',')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const separator = pair.lastIndexOf(':');
+        return { group: pair.substring(0, separator).trim(), role: pair.substring(separator + 1).trim() };
+      })
+      .filter(entry => entry.group && entry.role);
+  }
+
+  /**
+   * Role for the provider groups: the first mapped group wins, else the default role.
+   * Super admin is never handed out by the provider; those accounts are managed locally.
+   * @param {Array<string>} groups - Groups from the ID token or userinfo
+   * @returns {string|null} - Role name, or null if the user gets no access
+   */
+  async mapRole(groups) {
+    const candidates = [
+      ...this.getRoleMap().filter(entry => groups.includes(entry.group)).map(entry => entry.role),
+      this.config.defaultRole
+    ].filter(Boolean);
+
+    for (const role of candidates) {
+      if (role !== 'super_admin' && await permissionService.roleExists(role)) {
+        return role;
+      }
+    }
+
+    return null;
+  }
+
+  // Free username based on the provider's, e.g. jsmith, jsmith-2, ...
+  async pickUsername(hint) {
+    let base = String(hint || '').replace(/[^a-zA-Z0-9_-]/g, '').substring(0, 26);
+    if (base.length < 3) {
+      base = 'staff';
+    }
+
+    for (let attempt = 1; attempt <= 50; attempt++) {
+      const username = attempt === 1 ? base : `${base}-${attempt}`;
+      if (!(await User.findByUsername(username))) {
+        return username;
+      }
+    }
+
+    return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Just-in-time account; the random password is never shown, so staff sign in through the provider
+  async provisionUser(profile, role) {
+    const username = await this.pickUsername(profile.usernameHint);
+    const password = `${crypto.randomBytes(24).toString('base64url')}aA1!`;
+
+    return User.create({
+      username,
+      email: profile.email,
+      password,
+      role,
+      fullName: profile.fullName.length >= 2 ? profile.fullName : username
+    });
+  }
+
+  /**
+   * Find, link or provision the account for a provider subject and bring its role in line with the groups
+   * @param {Object} profile - From readProfile
+   * @param {string} role - Role from mapRole
+   * @param {Object} context - Request context
+   * @returns {Object} - { success, user } or a refusal
+   */
+  async resolveUser(profile, role, context = {}) {
+    let user = null;
+    const identity = await UserIdentity.findBySubject(PROVIDER, profile.subject);
+
+    if (identity) {
+      user = await User.findById(identity.userId);
+      await identity.touch(profile.email);
+    } else if (profile.email && (user = await User.findByEmail(profile.email))) {
+      // Anyone who controls the address at the provider would get the account, so linking is opt-in
+      if (!this.config.linkByEmail || ADMIN_ROLES.includes(user.role)) {
+        return {
+          success: false,
+          reason: 'link_refused',
+          message: 'An account with your email address exists but is not linked to this identity. Ask a super admin to link it.'
+        };
+      }
+
+      await UserIdentity.create(user.id, PROVIDER, profile.subject, profile.email);
+
+      await logSecurityEvent(context, 'SSO_ACCOUNT_LINKED', {
+        userId: user.id,
+        username: user.username,
+        provider: PROVIDER,
+        severity: 'medium'
+      });
+    } else if (this.config.autoProvision) {
+      if (!profile.email) {
+        return {
+          success: false,
+          reason: 'missing_email',
+          message: 'The identity provider did not share a verified email address'
+        };
+      }
+
+      user = await this.provisionUser(profile, role);
+      await UserIdentity.create(user.id, PROVIDER, profile.subject, profile.email);
+
+      await logUserAction(context, 'USER_PROVISIONED', {
+        targetUserId: user.id,
+        targetUsername: user.username,
+        role,
+        provider: PROVIDER
+      });
+    }
+
+    if (!user) {
+      return {
+        success: false,
+        reason: 'not_provisioned',
+        message: 'No account is linked to this identity. Ask a super admin to create one.'
+      };
+    }
+
+    if (this.config.syncRole && user.role !== role && user.role !== 'super_admin') {
+      const previousRole = user.role;
+      await user.update({ role });
+
+      await logSecurityEvent(context, 'SSO_ROLE_SYNCED', {
+        userId: user.id,
+        username: user.username,
+        previousRole,
+        role,
+        severity: 'medium'
+      });
+    }
+
+    return { success: true, user };
+  }
+
+  /**
+   * Finish a sign-in at the callback
+   * @param {Object} query - Callback query ({ code, state })
+   * @param {string} signedState - State cookie from beginLogin
+   * @param {Object} context - Request context
+   * @returns {Object} - { success, user, returnTo } or a refusal
+   */
+  async completeLogin(query, signedState, context = {}) {
+    const pending = this.readState(signedState);
+    if (!pending || !query.state || pending.state !== String(query.state) || !query.code) {
+      return {
+        success: false,
+        reason: 'invalid_state',
+        message: 'The sign-in request expired or did not start here. Please try again.'
+      };
+    }
+
+    const tokens = await this.exchangeCode(query.code, pending.codeVerifier);
+    const idClaims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    const profile = this.readProfile(await this.fetchUserInfo(tokens.access_token, idClaims));
+
+    const role = await this.mapRole(profile.groups);
+    if (!role) {
+      await logSecurityEvent(context, 'SSO_LOGIN_REFUSED', {
+        subject: profile.subject,
+        groups: profile.groups,
+        reason: 'No group maps to a role',
+        severity: 'low'
+      });
+
+      return {
+        success: false,
+        reason: 'no_role',
+        message: 'Your account is not in a group that has access to the notice system'
+      };
+    }
+
+    const resolved = await this.resolveUser(profile, role, context);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    if (!resolved.user.active) {
+      return {
+        success: false,
+        reason: 'account_disabled',
+        message: 'This account has been disabled. Contact a super admin.'
+      };
+    }
+
+    return { success: true, user: resolved.user, returnTo: pending.returnTo };
+  }
+
+  // Short-lived token the client trades for the usual JWT and session (POST /api/auth/login/sso)
+  createHandoff(user) {
+    return jwt.sign(
+      { sub: String(user.id), type: 'sso_handoff', jti: crypto.randomBytes(16).toString('hex') },
+      config.jwt.secret,
+      {
+        expiresIn: this.config.handoffTtlSeconds,
+        algorithm: config.jwt.algorithm,
+        issuer: config.jwt.issuer,
+        audience: HANDOFF_AUDIENCE
+      }
+    );
+  }
+
+  /**
+   * Redeem a handoff token; each one works once
+   * @param {string} token - Handoff token
+   * @returns {number|null} - User ID, or null if invalid, expired or already used
+   */
+  redeemHandoff(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token || ''), config.jwt.secret, {
+        algorithms: [config.jwt.algorithm],
+        issuer: config.jwt.issuer,
+        audience: HANDOFF_AUDIENCE
+      });
+    } catch (error) {
+      return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const [id, expiresAt] of this.redeemedHandoffs) {
+      if (expiresAt < now) {
+        this.redeemedHandoffs.delete(id);
+      }
+    }
+
+    if (decoded.type !== 'sso_handoff' || !decoded.jti || this.redeemedHandoffs.has(decoded.jti)) {
+      return null;
+    }
+
+    this.redeemedHandoffs.set(decoded.jti, decoded.exp);
+    return parseInt(decoded.sub);
+  }
+
+  // Identity providers an account is linked to
+  async getLinkedProviders(userId) {
+    try {
+      const identities = await UserIdentity.findByUser(userId);
+      return [...new Set(identities.map(identity => identity.provider))];
+    } catch (error) {
+      // Databases without the identities table have no linked accounts
+      return [];
+    }
+  }
+}
+
+// Create singleton instance
+const ssoService = new SsoService();
+
+module.exports = ssoService;
@@ -0,0 +1,373 @@
+// Subscription Service - Public email subscriptions, notice alerts, digests and the send queue
+const Subscriber = require('../models/Subscriber');
+const EmailQueue = require('../models/EmailQueue');
+const Notice = require('../models/Notice');
+const Category = require('../models/Category');
+const emailService = require('./emailService');
+const noticeEvents = require('./noticeEvents');
+const emailTemplates = require('../utils/emailTemplates');
+const { toSummary } = require('../utils/feedBuilder');
+const { config } = require('../config/environment');
+const { logUserAction } = require('../utils/logger');
+
+// Descriptions may come back from the driver as buffers
+const toText = (value) => {
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  return typeof value === 'string' ? value : '';
+};
+
+class SubscriptionService {
+  constructor() {
+    this.config = {
+      siteUrl: config.app.frontendUrl || config.cors.origin[0],
+      apiUrl: config.app.apiUrl || `http://localhost:${config.PORT}`,
+      confirmationTtlHours: config.subscriptions.confirmationTtlHours,
+      digestBatchSize: config.subscriptions.digestBatchSize,
+      queueBatchSize: config.email.queueBatchSize,
+      maxAttempts: config.email.maxAttempts
+    };
+
+    this.isProcessingQueue = false;
+
+    // Every notice that becomes public (create, edit, publish endpoint, scheduler) feeds instant alerts
+    noticeEvents.subscribe(noticeEvents.PUBLISHED, 'email_subscriptions', (notice) => this.queueNoticeNotifications(notice));
+  }
+
+  /**
+   * Start a double opt-in subscription. The response never reveals whether the address was known.
+   * @param {Object} data - { email, minPriority, frequency, categoryIds }
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async subscribe(data, context = {}) {
+    const preferences = {
+      minPriority: data.minPriority,
+      frequency: data.frequency,
+      categoryIds: data.categoryIds || []
+    };
+
+    const existing = await Subscriber.findByEmail(data.email);
+    let subscriber = existing;
+    let message;
+
+    if (existing && existing.isActive()) {
+      message = emailTemplates.alreadySubscribed({ manageUrl: this.getManageUrl(existing.manageToken) });
+    } else {
+      let confirmationToken;
+
+      if (existing) {
+        confirmationToken = await subscriber.renewConfirmation(preferences, this.config.confirmationTtlHours);
+      } else {
+        ({ subscriber, confirmationToken } = await Subscriber.create({
+          ...preferences,
+          email: data.email,
+          ipAddress: context.ip || null,
+          confirmationTtlHours: this.config.confirmationTtlHours
+        }));
+      }
+
+      message = emailTemplates.confirmation({
+        confirmUrl: `${this.config.siteUrl}/subscribe/confirm?token=${confirmationToken}`,
+        ttlHours: this.config.confirmationTtlHours
+      });
+    }
+
+    await EmailQueue.enqueue({
+      type: 'confirmation',
+      subscriberId: subscriber.id,
+      recipient: subscriber.email,
+      ...message
+    });
+
+    await logUserAction(context, 'SUBSCRIPTION_REQUESTED', {
+      frequency: preferences.frequency,
+      resubscribe: !!existing
+    });
+
+    // Confirmation emails should not wait for the next scheduler tick
+    this.processQueue().catch(error => {
+      console.error('💥 Email queue processing error:', error.message);
+    });
+
+    return {
+      success: true,
+      message: 'Check your inbox for a confirmation link'
+    };
+  }
+
+  /**
+   * Confirm a pending subscription from the emailed link
+   * @param {string} token - Confirmation token
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async confirm(token, context = {}) {
+    const subscriber = await Subscriber.findByConfirmationToken(token);
+    if (!subscriber) {
+      return {
+        success: false,
+        reason: 'invalid_token',
+        message: 'This confirmation link is invalid or has expired'
+      };
+    }
+
+    await subscriber.confirm();
+
+    await logUserAction(context, 'SUBSCRIPTION_CONFIRMED', {
+      subscriberId: subscriber.id,
+      frequency: subscriber.frequency
+    });
+
+    return {
+      success: true,
+      subscriber: subscriber.toJSON(),
+      manageToken: subscriber.manageToken,
+      message: 'Subscription confirmed'
+    };
+  }
+
+  /**
+   * Look up preferences from a manage link
+   * @param {string} token - Manage token
+   * @returns {Object} - Result
+   */
+  async getPreferences(token) {
+    const subscriber = await Subscriber.findByManageToken(token);
+    if (!subscriber) {
+      return { success: false, reason: 'invalid_token', message: 'Subscription not found' };
+    }
+
+    return { success: true, subscriber: subscriber.toJSON() };
+  }
+
+  /**
+   * Update preferences from a manage link
+   * @param {string} token - Manage token
+   * @param {Object} preferences - { minPriority, frequency, categoryIds }
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async updatePreferences(token, preferences, context = {}) {
+    const subscriber = await Subscriber.findByManageToken(token);
+    if (!subscriber) {
+      return { success: false, reason: 'invalid_token', message: 'Subscription not found' };
+    }
+
+    if (!subscriber.isActive()) {
+      return {
+        success: false,
+        reason: 'not_active',
+        message: 'Only active subscriptions can be changed; subscribe again to resume emails'
+      };
+    }
+
+    await subscriber.updatePreferences(preferences);
+
+    await logUserAction(context, 'SUBSCRIPTION_UPDATED', {
+      subscriberId: subscriber.id,
+      frequency: subscriber.frequency,
+      minPriority: subscriber.minPriority
+    });
+
+    return { success: true, subscriber: subscriber.toJSON(), message: 'Preferences saved' };
+  }
+
+  /**
+   * Unsubscribe from a manage / List-Unsubscribe link
+   * @param {string} token - Manage token
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async unsubscribe(token, context = {}) {
+    const subscriber = await Subscriber.findByManageToken(token);
+    if (!subscriber) {
+      return { success: false, reason: 'invalid_token', message: 'Subscription not found' };
+    }
+
+    if (subscriber.status !== 'unsubscribed') {
+      await subscriber.unsubscribe();
+
+      await logUserAction(context, 'SUBSCRIPTION_CANCELLED', {
+        subscriberId: subscriber.id
+      });
+    }
+
+    return { success: true, subscriber: subscriber.toJSON(), message: 'You have been unsubscribed' };
+  }
+
+  /**
+   * Queue instant alerts for a newly published notice. A notice that is published again
+   * (after an unpublish or a scheduled expiry) is not sent to subscribers who already had it.
+   * @param {Object} notice - Published notice
+   * @returns {Object} - Number of queued emails
+   */
+  async queueNoticeNotifications(notice) {
+    await Category.attachToNotices([notice]);
+
+    const subscribers = await Subscriber.findMatchingForNotice(notice);
+    const item = this.toEmailNotice(notice);
+    let queued = 0;
+
+    for (const subscriber of subscribers) {
+      // Recording the send first claims it, so overlapping publish events cannot both queue it
+      if (await subscriber.markNoticesSent([notice.id]) === 0) {
+        continue;
+      }
+
+      await EmailQueue.enqueue({
+        type: 'instant',
+        subscriberId: subscriber.id,
+        recipient: subscriber.email,
+        noticeId: notice.id,
+        ...emailTemplates.noticeAlert({
+          notice: item,
+          manageUrl: this.getManageUrl(subscriber.manageToken),
+          unsubscribeUrl: this.getUnsubscribeUrl(subscriber.manageToken)
+        }),
+        headers: this.getListHeaders(subscriber.manageToken)
+      });
+      queued++;
+    }
+
+    if (queued > 0) {
+      console.log(`📬 Queued ${queued} alert(s) for notice: ${notice.title} (ID: ${notice.id})`);
+    }
+
+    return { queued };
+  }
+
+  /**
+   * Queue daily and weekly digests whose window has elapsed
+   * @returns {Object} - Job result
+   */
+  async queueDigests() {
+    const result = { success: true, queued: 0, empty: 0 };
+
+    for (const frequency of ['daily', 'weekly']) {
+      const subscribers = await Subscriber.findDueForDigest(frequency, this.config.digestBatchSize);
+
+      for (const subscriber of subscribers) {
+        try {
+          const since = subscriber.lastDigestAt || subscriber.confirmedAt || subscriber.createdAt;
+          // Notices republished within the window were already in an earlier digest
+          const notices = await subscriber.filterUnsentNotices(await Notice.findPublishedSince(since, {
+            minPriority: subscriber.minPriority,
+            categoryIds: subscriber.categoryIds
+          }));
+
+          // Nothing new still closes the window; the next digest starts from now
+          if (notices.length === 0) {
+            result.empty++;
+          } else {
+            await EmailQueue.enqueue({
+              type: 'digest',
+              subscriberId: subscriber.id,
+              recipient: subscriber.email,
+              ...emailTemplates.digest({
+                notices: notices.map(notice => this.toEmailNotice(notice)),
+                frequency,
+                manageUrl: this.getManageUrl(subscriber.manageToken),
+                unsubscribeUrl: this.getUnsubscribeUrl(subscriber.manageToken)
+              }),
+              headers: this.getListHeaders(subscriber.manageToken)
+            });
+            await subscriber.markNoticesSent(notices.map(notice => notice.id));
+            result.queued++;
+          }
+
+          await subscriber.markDigestSent();
+        } catch (error) {
+          console.error(`💥 Failed to queue digest for subscriber ${subscriber.id}:`, error.message);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a batch of due emails; failures are retried with backoff
+   * @returns {Object} - Job result
+   */
+  async processQueue() {
+    if (this.isProcessingQueue) {
+      return { success: true, skipped: true };
+    }
+
+    this.isProcessingQueue = true;
+    const result = { success: true, released: 0, sent: 0, failed: 0 };
+
+    try {
+      result.released = await EmailQueue.releaseStale();
+
+      const messages = await EmailQueue.claimDue(this.config.queueBatchSize);
+
+      for (const message of messages) {
+        try {
+          await emailService.send({
+            to: message.recipient,
+            subject: message.payload.subject,
+            html: message.payload.html,
+            text: message.payload.text,
+            headers: message.payload.headers
+          });
+          await message.markSent();
+          result.sent++;
+        } catch (error) {
+          console.error(`💥 Failed to send email ${message.id} (attempt ${message.attempts}):`, error.message);
+          await message.markFailed(error.message, this.config.maxAttempts);
+          result.failed++;
+        }
+      }
+
+      return result;
+    } finally {
+      this.isProcessingQueue = false;
+    }
+  }
+
+  /**
+   * Subscriber and queue counts for the admin dashboard
+   * @returns {Object} - Statistics
+   */
+  async getStats() {
+    const [subscribers, queue] = await Promise.all([
+      Subscriber.getStats(),
+      EmailQueue.getStats()
+    ]);
+
+    return { subscribers, queue, transport: config.email.transport };
+  }
+
+  // Shape a notice for the email templates
+  toEmailNotice(notice) {
+    return {
+      title: notice.title,
+      url: `${this.config.siteUrl}/public/notice/${notice.slug}`,
+      priority: notice.priority,
+      summary: toSummary(toText(notice.description)),
+      categories: (notice.categories || []).map(category => category.name)
+    };
+  }
+
+  getManageUrl(manageToken) {
+    return `${this.config.siteUrl}/subscribe/manage?token=${manageToken}`;
+  }
+
+  getUnsubscribeUrl(manageToken) {
+    return `${this.getManageUrl(manageToken)}&action=unsubscribe`;
+  }
+
+  // RFC 8058 one-click unsubscribe, handled directly by the API
+  getListHeaders(manageToken) {
+    return {
+      'List-Unsubscribe': `<${this.config.apiUrl}/api/subscriptions/unsubscribe?token=${manageToken}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService();
+
+module.exports = subscriptionService;
@@ -0,0 +1,359 @@
+// Template Service - Notice templates: shared ones for everyone, department ones in each department's house style
+const NoticeTemplate = require('../models/NoticeTemplate');
+const Category = require('../models/Category');
+const permissionService = require('./permissionService');
+const departmentService = require('./departmentService');
+const { logUserAction } = require('../utils/logger');
+
+const MAX_VALUE_LENGTH = 200;
+
+// Checks and formatting of placeholder values by field type
+const VALUE_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^([01]\d|2[0-3]):[0-5]\d$/,
+  course_code: /^[A-Za-z]{2,8}[ -]?\d{2,5}[A-Za-z]?$/
+};
+
+const VALUE_MESSAGES = {
+  date: 'must be a date (YYYY-MM-DD)',
+  time: 'must be a time (HH:mm)',
+  course_code: 'must be a course code such as HNDIT1012'
+};
+
+class TemplateService {
+  deny(reason, message) {
+    return { allowed: false, success: false, reason, message };
+  }
+
+  /**
+   * Departments whose templates the user sees, or null for every department
+   * @param {Object} user - Acting user
+   * @returns {Array<number>|null}
+   */
+  async getVisibleDepartmentIds(user) {
+    if (await departmentService.isUnrestricted(user)) {
+      return null;
+    }
+
+    return departmentService.getDepartmentIds(user);
+  }
+
+  async isVisible(template, user) {
+    const departmentIds = await this.getVisibleDepartmentIds(user);
+    return !template.departmentId || departmentIds === null || departmentIds.includes(template.departmentId);
+  }
+
+  /**
+   * Whether the user may create or change templates of a department (null: shared templates)
+   * @param {number|null} departmentId - Department of the template
+   * @param {Object} user - Acting user
+   * @returns {Object} - { allowed } or a refusal
+   */
+  async checkManage(departmentId, user) {
+    if (!(await permissionService.hasPermission(user, 'templates.manage'))) {
+      return this.deny('insufficient_permissions', 'You do not have permission to manage templates');
+    }
+
+    if (await departmentService.isUnrestricted(user)) {
+      return { allowed: true };
+    }
+
+    if (!departmentId) {
+      return this.deny('insufficient_permissions', 'Only super admins can manage templates shared by every department');
+    }
+
+    const departmentIds = await departmentService.getDepartmentIds(user);
+    if (!departmentIds.includes(parseInt(departmentId))) {
+      return this.deny('insufficient_permissions', 'You can only manage templates of your departments');
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check a template's department, default category and placeholders
+   * @param {Object} data - Template data (partial on update)
+   * @param {NoticeTemplate|null} existing - Template being updated
+   * @returns {Object} - { valid } or a refusal
+   */
+  async validateTemplate(data, existing = null) {
+    const invalid = (message) => ({ valid: false, success: false, reason: 'validation_error', message });
+
+    if (data.departmentId) {
+      const departmentIds = await Category.filterDepartmentIds([data.departmentId]);
+      if (departmentIds.length === 0) {
+        return invalid('departmentId must be a department category');
+      }
+    }
+
+    if (data.defaultCategoryId && !(await Category.findById(data.defaultCategoryId))) {
+      return invalid('The default category does not exist');
+    }
+
+    const body = data.body !== undefined ? data.body : existing.body;
+    const fields = Array.isArray(data.fields) ? data.fields : existing.fields;
+    const keys = fields.map(field => field.key);
+
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      return invalid(`The field "${duplicate}" is declared twice`);
+    }
+
+    const placeholders = NoticeTemplate.getPlaceholders(body);
+    const undeclared = placeholders.filter(key => !keys.includes(key));
+    if (undeclared.length > 0) {
+      return invalid(`Declare a field for every placeholder: ${undeclared.map(key => `{{${key}}}`).join(', ')}`);
+    }
+
+    const unused = keys.filter(key => !placeholders.includes(key));
+    if (unused.length > 0) {
+      return invalid(`Every field must appear in the body as a placeholder: ${unused.map(key => `{{${key}}}`).join(', ')}`);
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Templates the user can start a notice from
+   * @param {Object} user - Acting user
+   * @param {Object} options - { departmentId, includeInactive }
+   * @returns {Array<NoticeTemplate>}
+   */
+  async listTemplates(user, options = {}) {
+    const canManage = await permissionService.hasPermission(user, 'templates.manage');
+
+    return NoticeTemplate.findAll({
+      departmentIds: await this.getVisibleDepartmentIds(user),
+      departmentId: options.departmentId || null,
+      // Inactive templates are only of interest to those who can switch them back on
+      includeInactive: canManage && !!options.includeInactive
+    });
+  }
+
+  /**
+   * A template the user can see
+   * @param {number} templateId - Template ID
+   * @param {Object} user - Acting user
+   * @returns {Object} - Result with the template
+   */
+  async getTemplate(templateId, user) {
+    const template = await NoticeTemplate.findById(templateId);
+
+    // Other departments' templates are reported as missing rather than forbidden
+    if (!template || !(await this.isVisible(template, user))) {
+      return { success: false, reason: 'template_not_found', message: 'Template not found' };
+    }
+
+    return { success: true, template };
+  }
+
+  /**
+   * Create a template
+   * @param {Object} data - Template data
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the template
+   */
+  async createTemplate(data, user, context = {}) {
+    const permission = await this.checkManage(data.departmentId || null, user);
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    const validation = await this.validateTemplate(data);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const template = await NoticeTemplate.create(data, user);
+
+    console.log(`🧩 Template created: ${template.name} (ID: ${template.id}) by ${user.username}`);
+
+    await logUserAction(context, 'TEMPLATE_CREATED', {
+      templateId: template.id,
+      templateName: template.name,
+      departmentId: template.departmentId
+    });
+
+    return { success: true, template, message: 'Template created' };
+  }
+
+  /**
+   * Update a template; moving it to another department needs rights on both
+   * @param {number} templateId - Template ID
+   * @param {Object} data - Changed template data
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the template
+   */
+  async updateTemplate(templateId, data, user, context = {}) {
+    const found = await this.getTemplate(templateId, user);
+    if (!found.success) {
+      return found;
+    }
+
+    const { template } = found;
+    const permission = await this.checkManage(template.departmentId, user);
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    if (data.departmentId !== undefined && (data.departmentId || null) !== template.departmentId) {
+      const targetPermission = await this.checkManage(data.departmentId || null, user);
+      if (!targetPermission.allowed) {
+        return targetPermission;
+      }
+    }
+
+    const validation = await this.validateTemplate(data, template);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    await template.update(data);
+
+    console.log(`🧩 Template updated: ${template.name} (ID: ${template.id}) by ${user.username}`);
+
+    await logUserAction(context, 'TEMPLATE_UPDATED', {
+      templateId: template.id,
+      templateName: template.name,
+      changedFields: Object.keys(data).filter(key => data[key] !== undefined)
+    });
+
+    return { success: true, template, message: 'Template updated' };
+  }
+
+  /**
+   * Delete a template
+   * @param {number} templateId - Template ID
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async deleteTemplate(templateId, user, context = {}) {
+    const found = await this.getTemplate(templateId, user);
+    if (!found.success) {
+      return found;
+    }
+
+    const { template } = found;
+    const permission = await this.checkManage(template.departmentId, user);
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    await template.delete();
+
+    await logUserAction(context, 'TEMPLATE_DELETED', {
+      templateId: template.id,
+      templateName: template.name,
+      usageCount: template.usageCount
+    });
+
+    return { success: true, message: 'Template deleted' };
+  }
+
+  /**
+   * Format the value of one placeholder
+   * @param {Object} field - { key, label, type, required }
+   * @param {*} value - Value from the editor form
+   * @returns {Object} - { value } or { error }
+   */
+  formatValue(field, value) {
+    const text = value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+
+    if (!text) {
+      return field.required ? { error: `${field.label} is required` } : { value: null };
+    }
+
+    if (text.length > MAX_VALUE_LENGTH) {
+      return { error: `${field.label} must not exceed ${MAX_VALUE_LENGTH} characters` };
+    }
+
+    const pattern = VALUE_PATTERNS[field.type];
+    if (pattern && !pattern.test(text)) {
+      return { error: `${field.label} ${VALUE_MESSAGES[field.type]}` };
+    }
+
+    switch (field.type) {
+      case 'date': {
+        const date = new Date(`${text}T00:00:00Z`);
+        if (isNaN(date.getTime())) {
+          return { error: `${field.label} ${VALUE_MESSAGES.date}` };
+        }
+        return {
+          value: date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+        };
+      }
+
+      case 'course_code':
+        return { value: text.toUpperCase() };
+
+      default:
+        // Placeholders inside values would be filled on the next render
+        return { value: text.replace(/\{\{|\}\}/g, '') };
+    }
+  }
+
+  /**
+   * Fill a template with the editor's values and count the use
+   * @param {number} templateId - Template ID
+   * @param {Object} values - Values by field key
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with { description, priority, categoryIds }
+   */
+  async applyTemplate(templateId, values = {}, user, context = {}) {
+    const found = await this.getTemplate(templateId, user);
+    if (!found.success) {
+      return found;
+    }
+
+    const { template } = found;
+    if (!template.isActive) {
+      return { success: false, reason: 'template_not_found', message: 'Template not found' };
+    }
+
+    const formatted = {};
+    const errors = [];
+    for (const field of template.fields) {
+      const result = this.formatValue(field, values[field.key]);
+      if (result.error) {
+        errors.push({ field: field.key, message: result.error });
+      } else {
+        formatted[field.key] = result.value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: errors.map(error => error.message).join('. '),
+        errors
+      };
+    }
+
+    await template.recordUse();
+
+    await logUserAction(context, 'TEMPLATE_USED', {
+      templateId: template.id,
+      templateName: template.name
+    });
+
+    return {
+      success: true,
+      template,
+      content: {
+        description: template.render(formatted),
+        priority: template.defaultPriority,
+        categoryIds: [...new Set([template.defaultCategoryId, template.departmentId].filter(Boolean))]
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const templateService = new TemplateService();
+
+module.exports = templateService;
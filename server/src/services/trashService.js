@@ -0,0 +1,121 @@
+// Trash Service - Deleted notices stay restorable for a retention period before they are purged
+const Notice = require('../models/Notice');
+const noticeService = require('./noticeService');
+const { config } = require('../config/environment');
+const { logUserAction } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  constructor() {
+    this.config = {
+      retentionDays: config.trash.retentionDays,
+      batchSize: config.scheduler.batchSize
+    };
+  }
+
+  /**
+   * When a trashed notice is purged by the scheduler
+   * @param {Object} notice - Notice in the trash
+   * @returns {Date|null} - Purge time
+   */
+  getPurgeAt(notice) {
+    if (!notice.deletedAt) {
+      return null;
+    }
+
+    return new Date(new Date(notice.deletedAt).getTime() + this.config.retentionDays * DAY_MS);
+  }
+
+  /**
+   * Notices in the trash: super admins see every one, other users the notices they own
+   * @param {Object} user - Acting user
+   * @param {Object} options - { page, limit, search }
+   * @returns {Object} - { notices, pagination, retentionDays }
+   */
+  async listTrash(user, options = {}) {
+    const result = await Notice.getAll({
+      page: parseInt(options.page) || 1,
+      limit: parseInt(options.limit) || 20,
+      search: options.search || null,
+      createdBy: user.role === 'super_admin' ? null : user.id,
+      sortBy: 'deleted_at',
+      sortOrder: 'DESC',
+      deleted: true
+    });
+
+    return {
+      notices: result.notices.map(notice => ({ ...notice.toJSON(), purgeAt: this.getPurgeAt(notice) })),
+      pagination: result.pagination,
+      retentionDays: this.config.retentionDays
+    };
+  }
+
+  /**
+   * Take a notice out of the trash with the status it had when it was deleted
+   * @param {number} noticeId - Notice ID
+   * @param {Object} user - Acting user (the owner or a super admin)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the restored notice
+   */
+  async restoreNotice(noticeId, user, context = {}) {
+    const notice = await Notice.findDeletedById(noticeId);
+    if (!notice) {
+      return { success: false, reason: 'notice_not_found', message: 'Notice not found in the trash' };
+    }
+
+    const permission = await noticeService.checkNoticePermissions(notice, user, 'restore');
+    if (!permission.allowed) {
+      return permission;
+    }
+
+    const deletedAt = notice.deletedAt;
+    await notice.restore(user);
+
+    console.log(`♻️ Notice restored from trash: ${notice.title} (ID: ${notice.id}) by ${user.username}`);
+
+    await logUserAction(context, 'NOTICE_RESTORED', {
+      noticeId: notice.id,
+      noticeTitle: notice.title,
+      noticeSlug: notice.slug,
+      deletedAt
+    });
+
+    return { success: true, notice, message: 'Notice restored' };
+  }
+
+  /**
+   * Scheduler job: permanently remove notices (and their files) past the retention period
+   * @returns {Object} - Job result
+   */
+  async purgeExpired() {
+    const dueNotices = await Notice.findDueForPurge(this.config.retentionDays, this.config.batchSize);
+    let purged = 0;
+
+    for (const notice of dueNotices) {
+      try {
+        await notice.purge();
+        purged++;
+
+        console.log(`🗑️ Purged notice from trash: ${notice.title} (ID: ${notice.id})`);
+
+        await logUserAction({}, 'NOTICE_PURGED_BY_SCHEDULER', {
+          noticeId: notice.id,
+          noticeTitle: notice.title,
+          noticeSlug: notice.slug,
+          deletedAt: notice.deletedAt,
+          deletedBy: notice.deletedBy
+        });
+      } catch (error) {
+        console.error(`💥 Failed to purge notice ${notice.id}:`, error.message);
+      }
+    }
+
+    return { success: true, due: dueNotices.length, purged };
+  }
+}
+
+// Create singleton instance
+const trashService = new TrashService();
+
+module.exports = trashService;
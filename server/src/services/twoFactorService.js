@@ -0,0 +1,496 @@
+// Two-Factor Service - TOTP enrollment, login challenges, recovery codes and the super admin policy
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const UserTwoFactor = require('../models/UserTwoFactor');
+const TwoFactorRecoveryCode = require('../models/TwoFactorRecoveryCode');
+const SystemSetting = require('../models/SystemSetting');
+const permissionService = require('./permissionService');
+const totp = require('../utils/totp');
+const { config } = require('../config/environment');
+const { logSecurityEvent } = require('../utils/logger');
+
+const REQUIRE_SUPER_ADMIN_SETTING = 'require_2fa_super_admin';
+
+// Challenge tokens use their own audience, so the auth middleware never accepts them as access tokens
+const CHALLENGE_AUDIENCE = 'notice-2fa-challenge';
+const CHALLENGE_PURPOSES = ['verify', 'setup'];
+
+// Recovery code characters without look-alikes (0/O, 1/I)
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class TwoFactorService {
+  constructor() {
+    this.config = config.twoFactor;
+  }
+
+  // AES-256 key for stored secrets
+  getEncryptionKey() {
+    return crypto.createHash('sha256')
+      .update(String(this.config.encryptionKey || config.jwt.secret))
+      .digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload || '').split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // Codes are matched without dashes, spaces or case
+  normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  // Ten random characters (50 bits) per code, shown as XXXXX-XXXXX
+  generateRecoveryCodes() {
+    return Array.from({ length: this.config.recoveryCodeCount }, () => {
+      const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+      return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+    });
+  }
+
+  /**
+   * Create a new set of recovery codes, replacing the old ones
+   * @param {number} userId - User ID
+   * @returns {Array<string>} - Plaintext codes, shown to the user once
+   */
+  async issueRecoveryCodes(userId) {
+    const codes = this.generateRecoveryCodes();
+    await TwoFactorRecoveryCode.replaceForUser(userId, codes.map(code => this.hashRecoveryCode(code)));
+    return codes;
+  }
+
+  // Policy: whether super admins must use two-factor (the environment value applies until changed)
+  async getPolicy() {
+    let setting = null;
+    try {
+      setting = await SystemSetting.find(REQUIRE_SUPER_ADMIN_SETTING);
+    } catch (error) {
+      console.error('💥 Error reading two-factor policy:', error.message);
+    }
+
+    return {
+      requireForSuperAdmins: setting && setting.value !== null
+        ? setting.value === 'true'
+        : this.config.requireForSuperAdmins,
+      updatedBy: setting ? setting.updatedByUsername : null,
+      updatedAt: setting ? setting.updatedAt : null
+    };
+  }
+
+  /**
+   * Change the super admin policy
+   * @param {boolean} requireForSuperAdmins - New value
+   * @param {Object} user - Acting user (security.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the policy
+   */
+  async setPolicy(requireForSuperAdmins, user, context = {}) {
+    if (!await permissionService.hasPermission(user, 'security.manage')) {
+      return {
+        success: false,
+        reason: 'forbidden',
+        message: 'You do not have permission to change the two-factor policy'
+      };
+    }
+
+    await SystemSetting.set(REQUIRE_SUPER_ADMIN_SETTING, !!requireForSuperAdmins, user);
+
+    console.log(`🔐 Two-factor ${requireForSuperAdmins ? 'required' : 'optional'} for super admins (set by ${user.username})`);
+    await logSecurityEvent(context, 'TWO_FACTOR_POLICY_CHANGED', {
+      requireForSuperAdmins: !!requireForSuperAdmins,
+      changedBy: user.username,
+      severity: 'medium'
+    });
+
+    return {
+      success: true,
+      policy: await this.getPolicy(),
+      message: requireForSuperAdmins
+        ? 'Super admins must now use two-factor authentication'
+        : 'Two-factor authentication is now optional for super admins'
+    };
+  }
+
+  async isRequiredFor(user) {
+    if (!user || user.role !== 'super_admin') {
+      return false;
+    }
+
+    const policy = await this.getPolicy();
+    return policy.requireForSuperAdmins;
+  }
+
+  /**
+   * Two-factor state of a user
+   * @param {Object} user - User
+   * @returns {Object} - { enabled, enabledAt, pending, required, recoveryCodesRemaining }
+   */
+  async getStatus(user) {
+    const record = await UserTwoFactor.findByUserId(user.id);
+    const enabled = !!(record && record.enabled);
+
+    return {
+      enabled,
+      enabledAt: enabled ? record.enabledAt : null,
+      pending: !!(record && !record.enabled),
+      required: await this.isRequiredFor(user),
+      recoveryCodesRemaining: enabled ? await TwoFactorRecoveryCode.countRemaining(user.id) : 0
+    };
+  }
+
+  /**
+   * What a user must do after the password check
+   * @param {Object} user - User who entered a valid password
+   * @returns {Object} - { required, setup } - setup: the policy requires two-factor but it is not enabled yet
+   */
+  async getLoginRequirement(user) {
+    const record = await UserTwoFactor.findByUserId(user.id);
+
+    if (record && record.enabled) {
+      return { required: true, setup: false };
+    }
+
+    if (await this.isRequiredFor(user)) {
+      return { required: true, setup: true };
+    }
+
+    return { required: false, setup: false };
+  }
+
+  /**
+   * Short-lived token that carries a password-verified login to the second step
+   * @param {Object} user - User
+   * @param {string} purpose - 'verify' (enter a code) or 'setup' (enroll first)
+   * @returns {string} - Challenge token
+   */
+  createChallenge(user, purpose = 'verify') {
+    return jwt.sign(
+      { sub: String(user.id), purpose, type: 'two_factor_challenge' },
+      config.jwt.secret,
+      {
+        expiresIn: this.config.challengeTtlSeconds,
+        algorithm: config.jwt.algorithm,
+        issuer: config.jwt.issuer,
+        audience: CHALLENGE_AUDIENCE
+      }
+    );
+  }
+
+  /**
+   * Read a challenge token
+   * @param {string} token - Challenge token
+   * @returns {Object|null} - { userId, purpose } or null if invalid or expired
+   */
+  readChallenge(token) {
+    try {
+      const decoded = jwt.verify(String(token || ''), config.jwt.secret, {
+        algorithms: [config.jwt.algorithm],
+        issuer: config.jwt.issuer,
+        audience: CHALLENGE_AUDIENCE
+      });
+
+      if (decoded.type !== 'two_factor_challenge' || !CHALLENGE_PURPOSES.includes(decoded.purpose)) {
+        return null;
+      }
+
+      return { userId: parseInt(decoded.sub), purpose: decoded.purpose };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start enrollment: store a new secret and return it with its provisioning URI and QR code
+   * @param {Object} user - User
+   * @returns {Object} - { success, secret, otpauthUrl, qrCode }
+   */
+  async beginSetup(user) {
+    const existing = await UserTwoFactor.findByUserId(user.id);
+    if (existing && existing.enabled) {
+      return {
+        success: false,
+        reason: 'already_enabled',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    const secret = totp.generateSecret();
+    await UserTwoFactor.saveSecret(user.id, this.encryptSecret(secret));
+
+    const otpauthUrl = totp.buildOtpauthUrl({
+      secret,
+      accountName: user.email || user.username,
+      issuer: this.config.issuer
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+
+    console.log(`🔐 Two-factor enrollment started for user: ${user.username}`);
+
+    return {
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode
+    };
+  }
+
+  /**
+   * Finish enrollment with the first code from the authenticator app
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code
+   * @param {Object} context - Request context
+   * @returns {Object} - { success, recoveryCodes }
+   */
+  async enable(user, code, context = {}) {
+    const record = await UserTwoFactor.findByUserId(user.id);
+    if (!record) {
+      return {
+        success: false,
+        reason: 'setup_not_started',
+        message: 'Start two-factor setup first'
+      };
+    }
+
+    if (record.enabled) {
+      return {
+        success: false,
+        reason: 'already_enabled',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    const step = totp.verifyCode(this.decryptSecret(record.secret), code);
+    if (step === null) {
+      return {
+        success: false,
+        reason: 'invalid_code',
+        message: 'Invalid verification code'
+      };
+    }
+
+    if (!(await record.enable(step))) {
+      return {
+        success: false,
+        reason: 'already_enabled',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    const recoveryCodes = await this.issueRecoveryCodes(user.id);
+
+    console.log(`✅ Two-factor enabled for user: ${user.username}`);
+    await logSecurityEvent(context, 'TWO_FACTOR_ENABLED', {
+      userId: user.id,
+      username: user.username,
+      severity: 'low'
+    });
+
+    return {
+      success: true,
+      method: 'totp',
+      recoveryCodes,
+      message: 'Two-factor authentication enabled'
+    };
+  }
+
+  /**
+   * Check a second factor: a code from the app or an unused recovery code
+   * @param {Object} user - User
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @param {Object} context - Request context
+   * @returns {Object} - { success, method, recoveryCodesRemaining }
+   */
+  async verify(user, credentials = {}, context = {}) {
+    const record = await UserTwoFactor.findByUserId(user.id);
+    if (!record || !record.enabled) {
+      return {
+        success: false,
+        reason: 'not_enabled',
+        message: 'Two-factor authentication is not enabled'
+      };
+    }
+
+    if (credentials.recoveryCode) {
+      const used = await TwoFactorRecoveryCode.consume(user.id, this.hashRecoveryCode(credentials.recoveryCode));
+      if (!used) {
+        return {
+          success: false,
+          reason: 'invalid_code',
+          message: 'Invalid or already used recovery code'
+        };
+      }
+
+      const recoveryCodesRemaining = await TwoFactorRecoveryCode.countRemaining(user.id);
+
+      console.log(`🔑 Recovery code used by ${user.username}, ${recoveryCodesRemaining} left`);
+      await logSecurityEvent(context, 'TWO_FACTOR_RECOVERY_CODE_USED', {
+        userId: user.id,
+        username: user.username,
+        recoveryCodesRemaining,
+        severity: 'medium'
+      });
+
+      return { success: true, method: 'recovery_code', recoveryCodesRemaining };
+    }
+
+    const step = totp.verifyCode(this.decryptSecret(record.secret), credentials.code, {
+      afterStep: record.lastUsedStep
+    });
+
+    if (step === null || !(await record.useStep(step))) {
+      return {
+        success: false,
+        reason: 'invalid_code',
+        message: 'Invalid verification code'
+      };
+    }
+
+    return { success: true, method: 'totp' };
+  }
+
+  /**
+   * Turn two-factor off; needs the password and a current code or recovery code
+   * @param {Object} user - User
+   * @param {Object} credentials - { password, code, recoveryCode }
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async disable(user, credentials = {}, context = {}) {
+    if (await this.isRequiredFor(user)) {
+      return {
+        success: false,
+        reason: 'required_by_policy',
+        message: 'Two-factor authentication is required for super admins'
+      };
+    }
+
+    const account = await User.findById(user.id);
+    const passwordHash = account ? await account.getPasswordHash() : null;
+    if (!passwordHash || !(await bcrypt.compare(String(credentials.password || ''), passwordHash))) {
+      return {
+        success: false,
+        reason: 'invalid_password',
+        message: 'Current password is incorrect'
+      };
+    }
+
+    const verification = await this.verify(user, credentials, context);
+    if (!verification.success) {
+      return verification;
+    }
+
+    await this.removeForUser(user.id);
+
+    console.log(`🔓 Two-factor disabled for user: ${user.username}`);
+    await logSecurityEvent(context, 'TWO_FACTOR_DISABLED', {
+      userId: user.id,
+      username: user.username,
+      severity: 'medium'
+    });
+
+    return {
+      success: true,
+      message: 'Two-factor authentication disabled'
+    };
+  }
+
+  /**
+   * Replace the recovery codes after checking a current code
+   * @param {Object} user - User
+   * @param {string} code - Six-digit code
+   * @param {Object} context - Request context
+   * @returns {Object} - { success, recoveryCodes }
+   */
+  async regenerateRecoveryCodes(user, code, context = {}) {
+    const verification = await this.verify(user, { code }, context);
+    if (!verification.success) {
+      return verification;
+    }
+
+    const recoveryCodes = await this.issueRecoveryCodes(user.id);
+
+    console.log(`🔑 Recovery codes regenerated for user: ${user.username}`);
+    await logSecurityEvent(context, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', {
+      userId: user.id,
+      username: user.username,
+      severity: 'low'
+    });
+
+    return {
+      success: true,
+      recoveryCodes,
+      message: 'New recovery codes generated; the old ones no longer work'
+    };
+  }
+
+  /**
+   * Remove two-factor from another account, e.g. after a lost phone (users.manage)
+   * @param {number} userId - Account to reset
+   * @param {Object} user - Acting super admin
+   * @param {Object} context - Request context
+   * @returns {Object} - Result
+   */
+  async resetForUser(userId, user, context = {}) {
+    if (!await permissionService.hasPermission(user, 'users.manage')) {
+      return {
+        success: false,
+        reason: 'forbidden',
+        message: 'You do not have permission to reset two-factor authentication'
+      };
+    }
+
+    const target = await User.findById(userId);
+    if (!target) {
+      return {
+        success: false,
+        reason: 'not_found',
+        message: 'User not found'
+      };
+    }
+
+    const removed = await this.removeForUser(target.id);
+
+    console.log(`🔓 Two-factor reset for ${target.username} by ${user.username}`);
+    await logSecurityEvent(context, 'TWO_FACTOR_RESET', {
+      userId: target.id,
+      username: target.username,
+      resetBy: user.username,
+      severity: 'high'
+    });
+
+    return {
+      success: true,
+      message: removed
+        ? `Two-factor authentication reset for ${target.username}`
+        : `${target.username} did not have two-factor authentication`
+    };
+  }
+
+  async removeForUser(userId) {
+    await TwoFactorRecoveryCode.deleteForUser(userId);
+    return await UserTwoFactor.remove(userId);
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
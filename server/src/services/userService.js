@@ -0,0 +1,410 @@
+// User Service - Staff account management (users.manage): create, edit, disable, force logout and delete
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const Notice = require('../models/Notice');
+const UserTwoFactor = require('../models/UserTwoFactor');
+const Category = require('../models/Category');
+const authService = require('./authService');
+const permissionService = require('./permissionService');
+const departmentService = require('./departmentService');
+const ssoService = require('./ssoService');
+const { logUserAction, logSecurityEvent } = require('../utils/logger');
+
+class UserService {
+  /**
+   * List users with pagination, search and filters
+   * @param {Object} options - { page, limit, search, role, status, sortBy, sortOrder }
+   * @returns {Object} - { users, pagination }
+   */
+  async listUsers(options = {}) {
+    const result = await User.getAll({
+      page: parseInt(options.page) || 1,
+      limit: parseInt(options.limit) || 20,
+      search: options.search || null,
+      role: options.role || null,
+      status: options.status || null,
+      sortBy: options.sortBy || 'created_at',
+      sortOrder: options.sortOrder || 'DESC'
+    });
+
+    const users = await Promise.all(result.users.map(user => this.describeUser(user)));
+    return { users, pagination: result.pagination };
+  }
+
+  /**
+   * User details for the admin screen, with their notice count, departments, SSO links and 2FA state
+   * @param {User} user - User
+   * @returns {Object} - Serialized user
+   */
+  async describeUser(user) {
+    const [noticeCount, twoFactor, departments, ssoProviders] = await Promise.all([
+      Notice.countByCreator(user.id),
+      UserTwoFactor.findByUserId(user.id),
+      Category.findUserDepartments(user.id),
+      ssoService.getLinkedProviders(user.id)
+    ]);
+
+    return {
+      ...user.toJSON(),
+      noticeCount,
+      departments: departments.map(department => ({ id: department.id, name: department.name, slug: department.slug })),
+      ssoProviders,
+      twoFactorEnabled: !!(twoFactor && twoFactor.enabled)
+    };
+  }
+
+  /**
+   * Create a staff account. The password has to meet the same policy as a password change.
+   * @param {Object} data - { username, email, password, fullName, role, canApprove, departmentIds }
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the user
+   */
+  async createUser(data, actor, context = {}) {
+    const userData = {
+      username: data.username?.toString().trim(),
+      email: data.email?.toString().trim(),
+      password: data.password?.toString(),
+      fullName: data.fullName?.toString().trim(),
+      role: data.role || 'admin'
+    };
+
+    const validation = User.validateUserData(userData);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: 'User data is invalid',
+        errors: validation.errors
+      };
+    }
+
+    if (!(await permissionService.roleExists(userData.role))) {
+      return { success: false, reason: 'validation_error', message: `Role ${userData.role} does not exist` };
+    }
+
+    const access = this.checkSuperAdminAccess(actor, [userData.role], 'create');
+    if (!access.allowed) {
+      return access;
+    }
+
+    if (data.departmentIds !== undefined) {
+      const departmentCheck = await departmentService.validateDepartmentIds(data.departmentIds);
+      if (!departmentCheck.valid) {
+        return departmentCheck;
+      }
+    }
+
+    const passwordValidation = await authService.validatePasswordStrength(userData.password, userData);
+    if (!passwordValidation.valid) {
+      return passwordValidation;
+    }
+
+    try {
+      const user = await User.create(userData, actor);
+
+      if (data.canApprove !== undefined) {
+        await user.update({ canApprove: data.canApprove === true || data.canApprove === 'true' }, actor);
+      }
+
+      if (data.departmentIds !== undefined) {
+        await departmentService.setUserDepartments(user, data.departmentIds, actor, context);
+      }
+
+      await logUserAction(context, 'USER_CREATED', {
+        newUserId: user.id,
+        newUsername: user.username,
+        newUserRole: user.role,
+        createdBy: actor.username
+      });
+
+      return { success: true, user };
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return { success: false, reason: 'conflict', message: error.message };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a staff account. Demoting the last super admin, or yourself, is refused;
+   * a role change signs the user out everywhere.
+   * @param {User} user - User to edit
+   * @param {Object} data - { username, email, fullName, role, canApprove, departmentIds }
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the user
+   */
+  async updateUser(user, data, actor, context = {}) {
+    const updateData = {};
+    ['username', 'email', 'fullName', 'role', 'canApprove'].forEach(field => {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    });
+
+    const departmentsChanged = data.departmentIds !== undefined;
+    if (Object.keys(updateData).length === 0 && !departmentsChanged) {
+      return { success: false, reason: 'validation_error', message: 'No valid fields to update' };
+    }
+
+    const validation = User.validateUserData({
+      username: updateData.username ?? user.username,
+      email: updateData.email ?? user.email,
+      fullName: updateData.fullName ?? user.fullName,
+      role: updateData.role ?? user.role
+    });
+    if (!validation.isValid) {
+      return {
+        success: false,
+        reason: 'validation_error',
+        message: 'User data is invalid',
+        errors: validation.errors
+      };
+    }
+
+    const roleChanged = updateData.role !== undefined && updateData.role !== user.role;
+    if (roleChanged && !(await permissionService.roleExists(updateData.role))) {
+      return { success: false, reason: 'validation_error', message: `Role ${updateData.role} does not exist` };
+    }
+
+    const access = this.checkSuperAdminAccess(actor, [user.role, updateData.role], 'edit');
+    if (!access.allowed) {
+      return access;
+    }
+
+    if (roleChanged && user.role === 'super_admin') {
+      const demotion = await this.checkSuperAdminRemoval(user, actor, 'demote');
+      if (!demotion.allowed) {
+        return demotion;
+      }
+    }
+
+    if (departmentsChanged) {
+      const departmentCheck = await departmentService.validateDepartmentIds(data.departmentIds);
+      if (!departmentCheck.valid) {
+        return departmentCheck;
+      }
+    }
+
+    try {
+      if (Object.keys(updateData).length > 0) {
+        await user.update(updateData, actor);
+      }
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return { success: false, reason: 'conflict', message: error.message };
+      }
+      throw error;
+    }
+
+    if (departmentsChanged) {
+      await departmentService.setUserDepartments(user, data.departmentIds, actor, context);
+    }
+
+    // Tokens carry the role, so the old ones would be refused anyway; end the sessions explicitly
+    if (roleChanged) {
+      await UserSession.revokeAllUserSessions(user.id, null, actor);
+    }
+
+    await logUserAction(context, 'USER_UPDATED', {
+      targetUserId: user.id,
+      targetUsername: user.username,
+      changes: [...Object.keys(updateData), ...(departmentsChanged ? ['departmentIds'] : [])],
+      newRole: roleChanged ? user.role : undefined,
+      updatedBy: actor.username
+    });
+
+    return { success: true, user };
+  }
+
+  /**
+   * Disable or re-enable an account. Disabling signs the user out everywhere.
+   * @param {User} user - User
+   * @param {boolean} active - New status
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the user
+   */
+  async setActive(user, active, actor, context = {}) {
+    const access = this.checkSuperAdminAccess(actor, [user.role], active ? 'enable' : 'disable');
+    if (!access.allowed) {
+      return access;
+    }
+
+    if (!active) {
+      const removal = await this.checkSuperAdminRemoval(user, actor, 'disable');
+      if (!removal.allowed) {
+        return removal;
+      }
+    }
+
+    if (user.isActive() === active) {
+      return { success: true, user, unchanged: true };
+    }
+
+    await user.setActive(active, actor);
+
+    let sessionsRevoked = 0;
+    if (!active) {
+      sessionsRevoked = await UserSession.revokeAllUserSessions(user.id, null, actor);
+    }
+
+    await logSecurityEvent(context, active ? 'USER_ENABLED' : 'USER_DISABLED', {
+      targetUserId: user.id,
+      targetUsername: user.username,
+      sessionsRevoked,
+      changedBy: actor.username,
+      severity: 'medium'
+    });
+
+    return { success: true, user, sessionsRevoked };
+  }
+
+  /**
+   * Sign a user out of every session
+   * @param {User} user - User
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the number of revoked sessions
+   */
+  async forceLogout(user, actor, context = {}) {
+    const access = this.checkSuperAdminAccess(actor, [user.role], 'sign out');
+    if (!access.allowed) {
+      return access;
+    }
+
+    const sessionsRevoked = await UserSession.revokeAllUserSessions(user.id, null, actor);
+
+    await logSecurityEvent(context, 'USER_FORCE_LOGOUT', {
+      targetUserId: user.id,
+      targetUsername: user.username,
+      sessionsRevoked,
+      revokedBy: actor.username,
+      severity: 'medium'
+    });
+
+    return { success: true, sessionsRevoked };
+  }
+
+  /**
+   * Delete an account. Its notices are deleted with it unless they are transferred,
+   * so a user with notices can only be deleted with transferTo.
+   * @param {User} user - User
+   * @param {Object} options - { transferTo } - ID of the user who takes over the notices
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the number of transferred notices
+   */
+  async deleteUser(user, options = {}, actor, context = {}) {
+    const access = this.checkSuperAdminAccess(actor, [user.role], 'delete');
+    if (!access.allowed) {
+      return access;
+    }
+
+    const removal = await this.checkSuperAdminRemoval(user, actor, 'delete');
+    if (!removal.allowed) {
+      return removal;
+    }
+
+    const noticeCount = await Notice.countByCreator(user.id);
+    let noticesTransferred = 0;
+
+    if (noticeCount > 0) {
+      if (!options.transferTo) {
+        return {
+          success: false,
+          reason: 'has_notices',
+          message: `${user.username} created ${noticeCount} notice${noticeCount === 1 ? '' : 's'}. Transfer them to another user or disable the account instead.`,
+          noticeCount
+        };
+      }
+
+      const recipient = await User.findById(options.transferTo);
+      if (!recipient || recipient.id === user.id || !recipient.isActive()) {
+        return {
+          success: false,
+          reason: 'invalid_transfer',
+          message: 'Notices can only be transferred to another active user'
+        };
+      }
+
+      noticesTransferred = await Notice.reassignCreator(user.id, recipient.id);
+    }
+
+    await user.delete(actor);
+
+    await logUserAction(context, 'USER_DELETED', {
+      targetUserId: user.id,
+      targetUsername: user.username,
+      noticesTransferred,
+      transferredTo: options.transferTo || null,
+      deletedBy: actor.username
+    });
+
+    return { success: true, noticesTransferred };
+  }
+
+  /**
+   * users.manage is enough for staff accounts, but only a super admin can touch a super admin
+   * account or hand out the super_admin role
+   * @param {Object} actor - Acting user
+   * @param {Array<string>} roles - Roles involved: the target's current role and any new role
+   * @param {string} action - Action for the message
+   * @returns {Object} - { allowed } or a refusal
+   */
+  checkSuperAdminAccess(actor, roles, action) {
+    if (actor && actor.role === 'super_admin') {
+      return { allowed: true };
+    }
+
+    if (roles.includes('super_admin')) {
+      return {
+        allowed: false,
+        success: false,
+        reason: 'forbidden',
+        message: `Only super admins can ${action} super admin accounts`
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Super admins cannot lock themselves out, and the last active super admin stays
+   * @param {User} user - Target user
+   * @param {Object} actor - Acting user (users.manage)
+   * @param {string} action - 'demote', 'disable' or 'delete'
+   * @returns {Object} - { allowed } or a refusal
+   */
+  async checkSuperAdminRemoval(user, actor, action) {
+    if (actor && user.id === actor.id) {
+      return {
+        allowed: false,
+        success: false,
+        reason: 'self_action',
+        message: `You cannot ${action} your own account`
+      };
+    }
+
+    if (user.role === 'super_admin' && user.isActive()) {
+      const remaining = await User.countActiveSuperAdmins();
+      if (remaining <= 1) {
+        return {
+          allowed: false,
+          success: false,
+          reason: 'last_super_admin',
+          message: `Cannot ${action} the last active super admin`
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = userService;
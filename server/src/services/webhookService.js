@@ -0,0 +1,296 @@
+// Webhook Service - Signed outbound notifications about notice lifecycle events
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Category = require('../models/Category');
+const noticeEvents = require('./noticeEvents');
+const { config } = require('../config/environment');
+const { logUserAction } = require('../utils/logger');
+
+class WebhookService {
+  constructor() {
+    this.config = {
+      timeoutMs: config.webhooks.timeoutMs,
+      maxAttempts: config.webhooks.maxAttempts,
+      batchSize: config.webhooks.batchSize,
+      disableAfterFailures: config.webhooks.disableAfterFailures,
+      siteUrl: config.app.frontendUrl || config.cors.origin[0],
+      userAgent: 'SLIATE-Notice-Webhooks/1.0'
+    };
+
+    this.isProcessing = false;
+
+    // Model events become "notice.<event>" webhook events
+    noticeEvents.subscribeAll('webhooks', (event, notice, details) => this.dispatch(`notice.${event}`, notice, details));
+  }
+
+  /**
+   * Queue a notice event for every active webhook that subscribed to it
+   * @param {string} event - Webhook event name (e.g. notice.published)
+   * @param {Object} notice - Notice the event is about
+   * @param {Object} details - { actor, changes, previousStatus }
+   * @returns {Object} - Number of queued deliveries
+   */
+  async dispatch(event, notice, details = {}) {
+    const webhooks = await Webhook.findActiveForEvent(event);
+    if (webhooks.length === 0) {
+      return { queued: 0 };
+    }
+
+    // Deleted notices already carry their categories
+    if (event !== 'notice.deleted') {
+      await Category.attachToNotices([notice]);
+    }
+
+    const payload = this.buildPayload(event, {
+      notice: this.serializeNotice(notice),
+      ...(details.changes && { changes: details.changes }),
+      ...(details.previousStatus && details.previousStatus !== notice.status && { previousStatus: details.previousStatus }),
+      actor: this.serializeActor(details.actor)
+    });
+
+    for (const webhook of webhooks) {
+      await WebhookDelivery.create({
+        webhookId: webhook.id,
+        event,
+        eventId: payload.id,
+        payload,
+        noticeId: notice.id
+      });
+    }
+
+    console.log(`🪝 Queued ${event} for ${webhooks.length} webhook(s): ${notice.title} (ID: ${notice.id})`);
+
+    // Receivers should hear about the change now, not on the next scheduler tick
+    this.processDeliveries().catch(error => {
+      console.error('💥 Webhook delivery processing error:', error.message);
+    });
+
+    return { queued: webhooks.length };
+  }
+
+  /**
+   * Send due deliveries; failures are retried with backoff by the scheduler
+   * @returns {Object} - Job result
+   */
+  async processDeliveries() {
+    if (this.isProcessing) {
+      return { success: true, skipped: true };
+    }
+
+    this.isProcessing = true;
+    const result = { success: true, released: 0, delivered: 0, failed: 0 };
+
+    try {
+      result.released = await WebhookDelivery.releaseStale();
+
+      const deliveries = await WebhookDelivery.claimDue(this.config.batchSize);
+      const webhooks = new Map();
+
+      for (const delivery of deliveries) {
+        if (!webhooks.has(delivery.webhookId)) {
+          webhooks.set(delivery.webhookId, await Webhook.findById(delivery.webhookId));
+        }
+
+        await this.attempt(delivery, webhooks.get(delivery.webhookId));
+        result[delivery.status === 'success' ? 'delivered' : 'failed']++;
+      }
+
+      return result;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Make one HTTP attempt for a claimed delivery and record the outcome
+   * @param {WebhookDelivery} delivery - Delivery in 'sending' state
+   * @param {Webhook|null} webhook - Target webhook
+   * @returns {WebhookDelivery} - Updated delivery
+   */
+  async attempt(delivery, webhook) {
+    if (!webhook || !webhook.isActive) {
+      return delivery.recordAttempt({
+        success: false,
+        errorMessage: 'Webhook is disabled',
+        retry: false
+      }, this.config.maxAttempts);
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let outcome;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': this.config.userAgent,
+          'X-SLIATE-Event': delivery.event,
+          'X-SLIATE-Delivery': String(delivery.id),
+          'X-SLIATE-Timestamp': String(timestamp),
+          'X-SLIATE-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      });
+
+      const responseBody = await response.text().catch(() => '');
+
+      outcome = {
+        success: response.status >= 200 && response.status < 300,
+        responseStatus: response.status,
+        responseBody,
+        errorMessage: response.ok ? null : `Endpoint responded with HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      outcome = {
+        success: false,
+        errorMessage: error.name === 'TimeoutError'
+          ? `Timed out after ${this.config.timeoutMs}ms`
+          : (error.cause && (error.cause.code || error.cause.message)) || error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+
+    await delivery.recordAttempt(outcome, this.config.maxAttempts);
+
+    if (delivery.status !== 'pending') {
+      await webhook.recordDeliveryOutcome(delivery.status);
+    }
+
+    if (delivery.status === 'failed' && await webhook.disableIfFailing(this.config.disableAfterFailures)) {
+      console.warn(`🚫 Webhook ${webhook.name} (ID: ${webhook.id}) disabled after ${this.config.disableAfterFailures} failed deliveries`);
+    }
+
+    if (!outcome.success) {
+      console.warn(`⚠️ Webhook delivery ${delivery.id} to ${webhook.name} failed (attempt ${delivery.attempts}): ${outcome.errorMessage}`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send a stored delivery again as a new delivery with the same event ID and payload
+   * @param {Object} webhook - Webhook the delivery belongs to
+   * @param {number} deliveryId - Original delivery ID
+   * @param {Object} user - Acting user
+   * @param {Object} context - Request context
+   * @returns {Object} - Result with the new delivery
+   */
+  async redeliver(webhook, deliveryId, user, context = {}) {
+    const original = await WebhookDelivery.findById(deliveryId);
+
+    if (!original || original.webhookId !== webhook.id) {
+      return { success: false, reason: 'delivery_not_found', message: 'Delivery not found' };
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      event: original.event,
+      eventId: original.eventId,
+      payload: original.payload,
+      noticeId: original.noticeId,
+      redeliveryOf: original.id
+    });
+
+    await logUserAction(context, 'WEBHOOK_REDELIVERED', {
+      webhookId: webhook.id,
+      deliveryId: original.id,
+      redeliveryId: delivery.id,
+      redeliveredBy: user.username
+    });
+
+    return { success: true, delivery: await this.sendNow(delivery, webhook) };
+  }
+
+  /**
+   * Send a ping event so admins can check an endpoint and its signature handling
+   * @param {Object} webhook - Target webhook
+   * @param {Object} user - Acting user
+   * @returns {Object} - Result with the delivery
+   */
+  async ping(webhook, user) {
+    const payload = this.buildPayload('ping', {
+      webhook: { id: webhook.id, name: webhook.name, events: webhook.events },
+      actor: this.serializeActor(user)
+    });
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      event: 'ping',
+      eventId: payload.id,
+      payload
+    });
+
+    return { success: true, delivery: await this.sendNow(delivery, webhook) };
+  }
+
+  // Claim and attempt a single delivery immediately (manual actions)
+  async sendNow(delivery, webhook) {
+    const claimed = await WebhookDelivery.claim(delivery.id);
+    return claimed ? this.attempt(claimed, webhook) : delivery;
+  }
+
+  /**
+   * HMAC-SHA256 over "<timestamp>.<body>"; receivers recompute it with their secret
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix seconds sent in X-SLIATE-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  buildPayload(event, data) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  // Public-facing notice fields sent to receivers
+  serializeNotice(notice) {
+    const json = typeof notice.toJSON === 'function' ? notice.toJSON() : notice;
+
+    return {
+      id: json.id,
+      title: json.title,
+      slug: json.slug,
+      url: json.status === 'published' ? `${this.config.siteUrl}/public/notice/${json.slug}` : null,
+      description: json.description,
+      priority: json.priority,
+      status: json.status,
+      imageUrl: json.imageUrl,
+      files: json.files || [],
+      categories: json.categories || [],
+      publishedAt: json.publishedAt,
+      publishAt: json.publishAt,
+      expiresAt: json.expiresAt,
+      event: json.eventStart ? {
+        start: json.eventStart,
+        end: json.eventEnd,
+        location: json.eventLocation,
+        allDay: !!json.eventAllDay
+      } : null,
+      createdAt: json.createdAt,
+      updatedAt: json.updatedAt
+    };
+  }
+
+  serializeActor(actor) {
+    return actor ? { id: actor.id || null, username: actor.username || null } : null;
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
@@ -0,0 +1,33 @@
+// Cookie helpers - reading request cookies without a parser middleware
+/**
+ * Parse the Cookie header of a request
+ * @param {Object} req - Express request
+ * @returns {Object} - Cookie values by name
+ */
+const parseCookies = (req) => {
+  const header = req.headers?.cookie;
+  if (!header) {
+    return {};
+  }
+
+  return header.split(';').reduce((cookies, part) => {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      const name = part.substring(0, separator).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.substring(separator + 1).trim());
+      } catch (error) {
+        // Malformed values are ignored
+      }
+    }
+    return cookies;
+  }, {});
+};
+
+// Read one cookie; null when it is not set
+const getCookie = (req, name) => parseCookies(req)[name] ?? null;
+
+module.exports = {
+  parseCookies,
+  getCookie
+};
@@ -0,0 +1,213 @@
+// Email Templates - Subscription and account emails rendered as HTML and plain text
+
+class EmailTemplates {
+  constructor() {
+    this.siteName = 'SLIATE Notice System';
+    this.priorityLabels = { high: 'High priority', medium: 'Medium priority', low: 'Low priority' };
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Wrap body HTML in the shared layout with a footer of links
+   * @param {string} bodyHtml - Inner HTML
+   * @param {Array<Object>} footerLinks - [{ label, url }]
+   * @returns {string} - Full HTML document
+   */
+  layout(bodyHtml, footerLinks = []) {
+    const footer = footerLinks
+      .map(link => `<a href="${this.escapeHtml(link.url)}" style="color:#6b7280">${this.escapeHtml(link.label)}</a>`)
+      .join(' &middot; ');
+
+    return [
+      '<!DOCTYPE html>',
+      '<html><body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827">',
+      '<div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">',
+      `<h2 style="margin-top:0;color:#1e3a5f">${this.escapeHtml(this.siteName)}</h2>`,
+      bodyHtml,
+      footer ? `<p style="margin-top:32px;font-size:12px;color:#6b7280">${footer}</p>` : '',
+      '</div></body></html>'
+    ].join('\n');
+  }
+
+  /**
+   * Plain text footer lines
+   * @param {Array<Object>} footerLinks - [{ label, url }]
+   * @returns {string} - Footer text
+   */
+  textFooter(footerLinks = []) {
+    return footerLinks.length > 0
+      ? `\n\n${footerLinks.map(link => `${link.label}: ${link.url}`).join('\n')}`
+      : '';
+  }
+
+  /**
+   * Double opt-in confirmation email
+   * @param {Object} data - { confirmUrl, ttlHours }
+   * @returns {Object} - { subject, html, text }
+   */
+  confirmation({ confirmUrl, ttlHours }) {
+    const subject = 'Confirm your SLIATE notice subscription';
+    const intro = 'Someone (hopefully you) asked to receive SLIATE notices at this address.';
+    const action = `Confirm within ${ttlHours} hours to start receiving emails. If this wasn't you, ignore this message.`;
+
+    return {
+      subject,
+      html: this.layout([
+        `<p>${this.escapeHtml(intro)}</p>`,
+        `<p><a href="${this.escapeHtml(confirmUrl)}" style="display:inline-block;padding:10px 18px;background:#1e3a5f;color:#ffffff;border-radius:6px;text-decoration:none">Confirm subscription</a></p>`,
+        `<p style="font-size:13px;color:#6b7280">${this.escapeHtml(action)}</p>`
+      ].join('\n')),
+      text: `${intro}\n\nConfirm your subscription: ${confirmUrl}\n\n${action}`
+    };
+  }
+
+  /**
+   * Sent when an active subscriber signs up again
+   * @param {Object} data - { manageUrl }
+   * @returns {Object} - { subject, html, text }
+   */
+  alreadySubscribed({ manageUrl }) {
+    const subject = 'You are already subscribed to SLIATE notices';
+    const intro = 'This address is already subscribed. You can change what you receive from your preferences page.';
+
+    return {
+      subject,
+      html: this.layout([
+        `<p>${this.escapeHtml(intro)}</p>`,
+        `<p><a href="${this.escapeHtml(manageUrl)}">Manage preferences</a></p>`
+      ].join('\n')),
+      text: `${intro}\n\nManage preferences: ${manageUrl}`
+    };
+  }
+
+  /**
+   * Instant alert for one newly published notice
+   * @param {Object} data - { notice: { title, url, priority, summary, categories }, manageUrl, unsubscribeUrl }
+   * @returns {Object} - { subject, html, text }
+   */
+  noticeAlert({ notice, manageUrl, unsubscribeUrl }) {
+    const footerLinks = [
+      { label: 'Manage preferences', url: manageUrl },
+      { label: 'Unsubscribe', url: unsubscribeUrl }
+    ];
+    const prefix = notice.priority === 'high' ? '[Important] ' : '';
+
+    return {
+      subject: `${prefix}${notice.title}`,
+      html: this.layout(this.renderNoticeHtml(notice), footerLinks),
+      text: `${this.renderNoticeText(notice)}${this.textFooter(footerLinks)}`
+    };
+  }
+
+  /**
+   * Daily / weekly digest of several notices
+   * @param {Object} data - { notices, frequency, manageUrl, unsubscribeUrl }
+   * @returns {Object} - { subject, html, text }
+   */
+  digest({ notices, frequency, manageUrl, unsubscribeUrl }) {
+    const footerLinks = [
+      { label: 'Manage preferences', url: manageUrl },
+      { label: 'Unsubscribe', url: unsubscribeUrl }
+    ];
+    const period = frequency === 'weekly' ? 'week' : 'day';
+    const intro = `${notices.length} new notice${notices.length === 1 ? '' : 's'} published in the last ${period}.`;
+
+    return {
+      subject: `Your ${frequency} SLIATE notice digest (${notices.length})`,
+      html: this.layout(
+        [`<p>${this.escapeHtml(intro)}</p>`, ...notices.map(notice => this.renderNoticeHtml(notice))].join('\n<hr style="border:none;border-top:1px solid #e5e7eb">\n'),
+        footerLinks
+      ),
+      text: `${intro}\n\n${notices.map(notice => this.renderNoticeText(notice)).join('\n\n')}${this.textFooter(footerLinks)}`
+    };
+  }
+
+  /**
+   * Password reset link for a staff account
+   * @param {Object} data - { username, resetUrl, ttlMinutes }
+   * @returns {Object} - { subject, html, text }
+   */
+  passwordReset({ username, resetUrl, ttlMinutes }) {
+    const subject = 'Reset your SLIATE Notice System password';
+    const intro = `A password reset was requested for the account "${username}".`;
+    const action = `The link works once and expires in ${ttlMinutes} minutes. If you didn't ask for this, ignore this message; your password stays unchanged.`;
+
+    return {
+      subject,
+      html: this.layout([
+        `<p>${this.escapeHtml(intro)}</p>`,
+        `<p><a href="${this.escapeHtml(resetUrl)}" style="display:inline-block;padding:10px 18px;background:#1e3a5f;color:#ffffff;border-radius:6px;text-decoration:none">Choose a new password</a></p>`,
+        `<p style="font-size:13px;color:#6b7280">${this.escapeHtml(action)}</p>`
+      ].join('\n')),
+      text: `${intro}\n\nChoose a new password: ${resetUrl}\n\n${action}`
+    };
+  }
+
+  /**
+   * Confirmation after a password was reset through an emailed link
+   * @param {Object} data - { username, loginUrl }
+   * @returns {Object} - { subject, html, text }
+   */
+  passwordChanged({ username, loginUrl }) {
+    const subject = 'Your SLIATE Notice System password was changed';
+    const intro = `The password of the account "${username}" was just reset and all of its sessions were signed out.`;
+    const action = 'If you did not do this, contact a system administrator immediately.';
+
+    return {
+      subject,
+      html: this.layout([
+        `<p>${this.escapeHtml(intro)}</p>`,
+        `<p><a href="${this.escapeHtml(loginUrl)}">Sign in</a></p>`,
+        `<p style="font-size:13px;color:#6b7280">${this.escapeHtml(action)}</p>`
+      ].join('\n')),
+      text: `${intro}\n\nSign in: ${loginUrl}\n\n${action}`
+    };
+  }
+
+  renderNoticeHtml(notice) {
+    const categories = (notice.categories || []).join(', ');
+    const meta = [this.priorityLabels[notice.priority], categories].filter(Boolean).join(' | ');
+
+    return [
+      `<h3 style="margin-bottom:4px"><a href="${this.escapeHtml(notice.url)}" style="color:#1e3a5f">${this.escapeHtml(notice.title)}</a></h3>`,
+      meta ? `<p style="margin-top:0;font-size:12px;color:#6b7280">${this.escapeHtml(meta)}</p>` : '',
+      notice.summary ? `<p>${this.escapeHtml(notice.summary)}</p>` : '',
+      `<p><a href="${this.escapeHtml(notice.url)}">Read the full notice</a></p>`
+    ].filter(Boolean).join('\n');
+  }
+
+  renderNoticeText(notice) {
+    const categories = (notice.categories || []).join(', ');
+    const meta = [this.priorityLabels[notice.priority], categories].filter(Boolean).join(' | ');
+
+    return [notice.title, meta, notice.summary, notice.url].filter(Boolean).join('\n');
+  }
+}
+
+// Create singleton instance
+const emailTemplates = new EmailTemplates();
+
+module.exports = {
+  confirmation: (data) => emailTemplates.confirmation(data),
+  alreadySubscribed: (data) => emailTemplates.alreadySubscribed(data),
+  noticeAlert: (data) => emailTemplates.noticeAlert(data),
+  digest: (data) => emailTemplates.digest(data),
+  passwordReset: (data) => emailTemplates.passwordReset(data),
+  passwordChanged: (data) => emailTemplates.passwordChanged(data),
+
+  // Export the class for advanced usage
+  EmailTemplates
+};
@@ -0,0 +1,239 @@
+// Feed Builder - RSS 2.0 and Atom 1.0 generation for published notices
+const crypto = require('crypto');
+
+// Code points allowed in XML 1.0 documents (the Char production of the spec)
+const isXmlChar = (codePoint) =>
+  codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+  (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+  (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+  (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+
+class FeedBuilder {
+  constructor() {
+    this.summaryLength = 300;
+    this.generator = 'SLIATE Notice System';
+  }
+
+  /**
+   * Escape a value for use in XML text or attribute content
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped string
+   */
+  escapeXml(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    // Strip characters that are not allowed in XML 1.0, including unpaired surrogates
+    return [...String(value)]
+      .filter(char => isXmlChar(char.codePointAt(0)))
+      .join('')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Reduce rich text HTML to a plain text summary
+   * @param {string} html - Notice description
+   * @returns {string} - Plain text summary
+   */
+  toSummary(html) {
+    const text = String(html || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0*39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return text.length > this.summaryLength
+      ? `${text.substring(0, this.summaryLength).trim()}...`
+      : text;
+  }
+
+  /**
+   * Join a base URL and a path into an absolute URL
+   * @param {string} base - Base URL (e.g. https://notices.example.lk)
+   * @param {string} pathOrUrl - Relative path or absolute URL
+   * @returns {string} - Absolute URL
+   */
+  absoluteUrl(base, pathOrUrl) {
+    if (!pathOrUrl) {
+      return '';
+    }
+
+    if (/^https?:\/\//i.test(pathOrUrl)) {
+      return pathOrUrl;
+    }
+
+    return `${String(base || '').replace(/\/+$/, '')}/${String(pathOrUrl).replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Most recent modification date across feed items
+   * @param {Array<Object>} items - Feed items
+   * @returns {Date} - Last modified date (epoch when the feed is empty)
+   */
+  getLastModified(items) {
+    const times = items
+      .map(item => new Date(item.updatedAt || item.publishedAt).getTime())
+      .filter(time => !isNaN(time));
+
+    // HTTP dates have second precision, so drop milliseconds to keep comparisons stable
+    const latest = times.length > 0 ? Math.max(...times) : 0;
+    return new Date(Math.floor(latest / 1000) * 1000);
+  }
+
+  /**
+   * Weak ETag derived from the feed identity and its items
+   * @param {string} format - Feed format (rss or atom)
+   * @param {string} feedUrl - Self URL of the feed
+   * @param {Array<Object>} items - Feed items
+   * @returns {string} - ETag header value
+   */
+  computeEtag(format, feedUrl, items) {
+    const fingerprint = items
+      .map(item => `${item.id}:${new Date(item.updatedAt || item.publishedAt).getTime()}`)
+      .join('|');
+
+    const hash = crypto.createHash('sha1').update(`${format}|${feedUrl}|${fingerprint}`).digest('hex');
+    return `W/"${hash}"`;
+  }
+
+  /**
+   * Normalize notice files into enclosure entries with absolute URLs
+   * @param {Array<Object>} files - Notice files
+   * @param {string} apiUrl - Base URL serving /uploads
+   * @returns {Array<Object>} - Enclosures
+   */
+  getEnclosures(files, apiUrl) {
+    if (!Array.isArray(files)) {
+      return [];
+    }
+
+    return files
+      .filter(file => file && typeof file === 'object' && file.url)
+      .map(file => ({
+        url: this.absoluteUrl(apiUrl, file.url),
+        length: parseInt(file.size) || 0,
+        type: file.type || 'application/octet-stream',
+        title: file.name || file.url.split('/').pop()
+      }));
+  }
+
+  /**
+   * Build an RSS 2.0 document
+   * @param {Object} feed - { title, description, siteUrl, feedUrl, apiUrl, lastModified }
+   * @param {Array<Object>} items - Notices (Notice instances or plain objects)
+   * @returns {string} - XML document
+   */
+  buildRss(feed, items) {
+    const entries = items.map(item => {
+      const link = this.absoluteUrl(feed.siteUrl, `/public/notice/${item.slug}`);
+      const categories = (item.categories || [])
+        .map(category => `      <category>${this.escapeXml(category.name)}</category>`);
+      const enclosures = this.getEnclosures(item.files, feed.apiUrl)
+        .map(enclosure => `      <enclosure url="${this.escapeXml(enclosure.url)}" length="${enclosure.length}" type="${this.escapeXml(enclosure.type)}"/>`);
+
+      return [
+        '    <item>',
+        `      <title>${this.escapeXml(item.title)}</title>`,
+        `      <link>${this.escapeXml(link)}</link>`,
+        `      <guid isPermaLink="true">${this.escapeXml(link)}</guid>`,
+        `      <description>${this.escapeXml(this.toSummary(item.description))}</description>`,
+        item.publishedAt ? `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>` : null,
+        item.creatorName ? `      <dc:creator>${this.escapeXml(item.creatorName)}</dc:creator>` : null,
+        ...categories,
+        ...enclosures,
+        '    </item>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${this.escapeXml(feed.title)}</title>`,
+      `    <link>${this.escapeXml(feed.siteUrl)}</link>`,
+      `    <description>${this.escapeXml(feed.description)}</description>`,
+      '    <language>en</language>',
+      `    <lastBuildDate>${feed.lastModified.toUTCString()}</lastBuildDate>`,
+      `    <generator>${this.escapeXml(this.generator)}</generator>`,
+      `    <atom:link href="${this.escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+      ...entries,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build an Atom 1.0 document
+   * @param {Object} feed - { title, description, siteUrl, feedUrl, apiUrl, lastModified }
+   * @param {Array<Object>} items - Notices (Notice instances or plain objects)
+   * @returns {string} - XML document
+   */
+  buildAtom(feed, items) {
+    const entries = items.map(item => {
+      const link = this.absoluteUrl(feed.siteUrl, `/public/notice/${item.slug}`);
+      const published = new Date(item.publishedAt || item.updatedAt).toISOString();
+      const updated = new Date(item.updatedAt || item.publishedAt).toISOString();
+      const categories = (item.categories || [])
+        .map(category => `    <category term="${this.escapeXml(category.slug)}" label="${this.escapeXml(category.name)}"/>`);
+      const enclosures = this.getEnclosures(item.files, feed.apiUrl)
+        .map(enclosure => `    <link rel="enclosure" href="${this.escapeXml(enclosure.url)}" type="${this.escapeXml(enclosure.type)}" length="${enclosure.length}" title="${this.escapeXml(enclosure.title)}"/>`);
+
+      return [
+        '  <entry>',
+        `    <title>${this.escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${this.escapeXml(link)}"/>`,
+        `    <id>${this.escapeXml(link)}</id>`,
+        `    <published>${published}</published>`,
+        `    <updated>${updated}</updated>`,
+        item.creatorName ? `    <author><name>${this.escapeXml(item.creatorName)}</name></author>` : null,
+        `    <summary>${this.escapeXml(this.toSummary(item.description))}</summary>`,
+        ...categories,
+        ...enclosures,
+        '  </entry>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${this.escapeXml(feed.title)}</title>`,
+      `  <subtitle>${this.escapeXml(feed.description)}</subtitle>`,
+      `  <link rel="alternate" type="text/html" href="${this.escapeXml(feed.siteUrl)}"/>`,
+      `  <link rel="self" type="application/atom+xml" href="${this.escapeXml(feed.feedUrl)}"/>`,
+      `  <id>${this.escapeXml(feed.feedUrl)}</id>`,
+      `  <updated>${feed.lastModified.toISOString()}</updated>`,
+      // Atom requires an author on the feed when entries may omit one
+      `  <author><name>${this.escapeXml(this.generator)}</name></author>`,
+      `  <generator>${this.escapeXml(this.generator)}</generator>`,
+      ...entries,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+}
+
+// Create singleton instance
+const feedBuilder = new FeedBuilder();
+
+module.exports = {
+  buildRss: (feed, items) => feedBuilder.buildRss(feed, items),
+  buildAtom: (feed, items) => feedBuilder.buildAtom(feed, items),
+  computeEtag: (format, feedUrl, items) => feedBuilder.computeEtag(format, feedUrl, items),
+  getLastModified: (items) => feedBuilder.getLastModified(items),
+  absoluteUrl: (base, pathOrUrl) => feedBuilder.absoluteUrl(base, pathOrUrl),
+  toSummary: (html) => feedBuilder.toSummary(html),
+
+  // Export the class for advanced usage
+  FeedBuilder
+};
@@ -0,0 +1,162 @@
+// iCal Builder - RFC 5545 calendar generation for event notices
+
+class ICalBuilder {
+  constructor() {
+    this.productId = '-//SLIATE//Notice System//EN';
+    this.maxLineOctets = 75;
+    this.defaultDurationMs = 60 * 60 * 1000; // Timed events without an end last one hour
+  }
+
+  /**
+   * Escape a TEXT property value
+   * @param {*} value - Value to escape
+   * @returns {string} - Escaped text
+   */
+  escapeText(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets, continuation lines start with a space
+   * @param {string} line - Unfolded content line
+   * @returns {string} - Folded line
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= this.maxLineOctets) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    // Iterate by code point so multi-byte characters are never split
+    for (const char of line) {
+      const octets = Buffer.byteLength(char, 'utf8');
+      const limit = parts.length === 0 ? this.maxLineOctets : this.maxLineOctets - 1;
+
+      if (currentOctets + octets > limit) {
+        parts.push(current);
+        current = '';
+        currentOctets = 0;
+      }
+
+      current += char;
+      currentOctets += octets;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Format a UTC date-time value (e.g. 20250101T093000Z)
+   * @param {Date|string} value - Date
+   * @returns {string} - iCal date-time
+   */
+  formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Format a DATE value (e.g. 20250101) from the UTC calendar date
+   * @param {Date|string} value - Date
+   * @returns {string} - iCal date
+   */
+  formatDate(value) {
+    return new Date(value).toISOString().substring(0, 10).replace(/-/g, '');
+  }
+
+  /**
+   * Build the VEVENT lines for one notice
+   * @param {Object} event - { uid, title, summary, url, location, start, end, allDay, categories, createdAt, updatedAt }
+   * @returns {Array<string>} - Unfolded content lines
+   */
+  buildEvent(event) {
+    const start = new Date(event.start);
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${this.formatDateTime(event.updatedAt || event.createdAt || new Date())}`
+    ];
+
+    if (event.allDay) {
+      // DTEND is exclusive for all-day events, so it is the day after the last day
+      const lastDay = event.end ? new Date(event.end) : start;
+      const endExclusive = new Date(Math.max(lastDay.getTime(), start.getTime()) + 24 * 60 * 60 * 1000);
+
+      lines.push(`DTSTART;VALUE=DATE:${this.formatDate(start)}`);
+      lines.push(`DTEND;VALUE=DATE:${this.formatDate(endExclusive)}`);
+    } else {
+      const end = event.end ? new Date(event.end) : new Date(start.getTime() + this.defaultDurationMs);
+
+      lines.push(`DTSTART:${this.formatDateTime(start)}`);
+      lines.push(`DTEND:${this.formatDateTime(end)}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+
+    const description = [event.summary, event.url].filter(Boolean).join('\n\n');
+    if (description) {
+      lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+    }
+
+    if (event.location) {
+      lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    }
+
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+
+    if (Array.isArray(event.categories) && event.categories.length > 0) {
+      lines.push(`CATEGORIES:${event.categories.map(name => this.escapeText(name)).join(',')}`);
+    }
+
+    if (event.updatedAt) {
+      lines.push(`LAST-MODIFIED:${this.formatDateTime(event.updatedAt)}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Build a VCALENDAR document
+   * @param {Object} calendar - { name, description }
+   * @param {Array<Object>} events - Events (see buildEvent)
+   * @returns {string} - iCalendar document with CRLF line endings
+   */
+  buildCalendar(calendar, events) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(calendar.name)}`,
+      calendar.description ? `X-WR-CALDESC:${this.escapeText(calendar.description)}` : null,
+      // Hint for subscribed calendars to refresh hourly
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H',
+      ...events.flatMap(event => this.buildEvent(event)),
+      'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+// Create singleton instance
+const icalBuilder = new ICalBuilder();
+
+module.exports = {
+  buildCalendar: (calendar, events) => icalBuilder.buildCalendar(calendar, events),
+
+  // Export the class for advanced usage
+  ICalBuilder
+};
@@ -48,6 +48,52 @@ class SlugGenerator {
       '{': 'brace', '}': 'brace', '(': 'paren', ')': 'paren', '"': 'quote', "'": 'quote'
     };
 
+    // Syllabic scripts (Sinhala, Tamil): consonants carry an inherent "a" that a following
+    // vowel sign replaces and the virama (al-lakuna / pulli) removes
+    this.syllabicScripts = [
+      {
+        name: 'sinhala',
+        pattern: /[\u0D80-\u0DFF\u200C\u200D]+/g,
+        virama: '්',
+        vowels: {
+          'අ': 'a', 'ආ': 'aa', 'ඇ': 'ae', 'ඈ': 'aae', 'ඉ': 'i', 'ඊ': 'ii', 'උ': 'u', 'ඌ': 'uu',
+          'ඍ': 'ru', 'ඎ': 'ruu', 'ඏ': 'lu', 'ඐ': 'luu', 'එ': 'e', 'ඒ': 'ee', 'ඓ': 'ai',
+          'ඔ': 'o', 'ඕ': 'oo', 'ඖ': 'au', 'ං': 'n', 'ඃ': 'h'
+        },
+        consonants: {
+          'ක': 'k', 'ඛ': 'kh', 'ග': 'g', 'ඝ': 'gh', 'ඞ': 'ng', 'ඟ': 'ng', 'ච': 'ch', 'ඡ': 'chh',
+          'ජ': 'j', 'ඣ': 'jh', 'ඤ': 'ny', 'ඥ': 'gn', 'ඦ': 'nj', 'ට': 't', 'ඨ': 'th', 'ඩ': 'd',
+          'ඪ': 'dh', 'ණ': 'n', 'ඬ': 'nd', 'ත': 'th', 'ථ': 'th', 'ද': 'd', 'ධ': 'dh', 'න': 'n',
+          'ඳ': 'nd', 'ප': 'p', 'ඵ': 'ph', 'බ': 'b', 'භ': 'bh', 'ම': 'm', 'ඹ': 'mb', 'ය': 'y',
+          'ර': 'r', 'ල': 'l', 'ව': 'v', 'ශ': 'sh', 'ෂ': 'sh', 'ස': 's', 'හ': 'h', 'ළ': 'l', 'ෆ': 'f'
+        },
+        vowelSigns: {
+          'ා': 'aa', 'ැ': 'ae', 'ෑ': 'aae', 'ි': 'i', 'ී': 'ii', 'ු': 'u', 'ූ': 'uu', 'ෘ': 'ru',
+          'ෙ': 'e', 'ේ': 'ee', 'ෛ': 'ai', 'ො': 'o', 'ෝ': 'oo', 'ෞ': 'au', 'ෟ': 'lu', 'ෲ': 'ruu'
+        },
+        digits: '෦෧෨෩෪෫෬෭෮෯'
+      },
+      {
+        name: 'tamil',
+        pattern: /[\u0B80-\u0BFF\u200C\u200D]+/g,
+        virama: '்',
+        vowels: {
+          'அ': 'a', 'ஆ': 'aa', 'இ': 'i', 'ஈ': 'ii', 'உ': 'u', 'ஊ': 'uu', 'எ': 'e', 'ஏ': 'ee',
+          'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'oo', 'ஔ': 'au', 'ஃ': 'h', 'ஂ': 'm'
+        },
+        consonants: {
+          'க': 'k', 'ங': 'ng', 'ச': 's', 'ஞ': 'ny', 'ட': 't', 'ண': 'n', 'த': 'th', 'ந': 'n',
+          'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v', 'ழ': 'zh', 'ள': 'l',
+          'ற': 'r', 'ன': 'n', 'ஜ': 'j', 'ஶ': 'sh', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h'
+        },
+        vowelSigns: {
+          'ா': 'aa', 'ி': 'i', 'ீ': 'ii', 'ு': 'u', 'ூ': 'uu', 'ெ': 'e', 'ே': 'ee', 'ை': 'ai',
+          'ொ': 'o', 'ோ': 'oo', 'ௌ': 'au', 'ௗ': 'au'
+        },
+        digits: '௦௧௨௩௪௫௬௭௮௯'
+      }
+    ];
+
     // Words to exclude from slugs (SEO stopwords)
     this.stopWords = new Set([
       'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he',
@@ -319,7 +365,7 @@ class SlugGenerator {
    */
   transliterateText(text) {
     try {
-      let transliterated = text;
+      let transliterated = this.transliterateSyllabic(text);
 
       // Apply character mappings
       for (const [original, replacement] of Object.entries(this.characterMappings)) {
@@ -338,6 +384,57 @@ class SlugGenerator {
     }
   }
 
+  /**
+   * Romanize Sinhala and Tamil text, leaving other characters untouched
+   * @param {string} text - Text to transliterate
+   * @returns {string} - Text with Sinhala and Tamil words romanized
+   */
+  transliterateSyllabic(text) {
+    let transliterated = String(text || '');
+
+    for (const script of this.syllabicScripts) {
+      // Runs are recomposed so split vowel signs (e.g. after NFD) match the tables
+      transliterated = transliterated.replace(script.pattern, (run) =>
+        this.romanizeSyllables(run.normalize('NFC'), script)
+      );
+    }
+
+    return transliterated;
+  }
+
+  // Romanize one run of a syllabic script
+  romanizeSyllables(run, script) {
+    const chars = Array.from(run);
+    let output = '';
+
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+
+      if (script.consonants[char] !== undefined) {
+        const next = chars[i + 1];
+        output += script.consonants[char];
+
+        if (next === script.virama) {
+          i++;
+        } else if (script.vowelSigns[next] !== undefined) {
+          output += script.vowelSigns[next];
+          i++;
+        } else {
+          output += 'a';
+        }
+      } else if (script.vowels[char] !== undefined) {
+        output += script.vowels[char];
+      } else if (script.vowelSigns[char] !== undefined) {
+        output += script.vowelSigns[char];
+      } else if (script.digits.includes(char)) {
+        output += String(script.digits.indexOf(char));
+      }
+      // Joiners and unmapped signs are dropped
+    }
+
+    return output;
+  }
+
   /**
    * Remove stopwords from text
    * @param {string} text - Text to process
@@ -853,9 +950,12 @@ module.exports = {
   ensureUnique: (baseSlug, checkExists, config) => 
     slugGenerator.ensureUnique(baseSlug, checkExists, config),
   
-  generateBatch: (texts, options, context) => 
+  generateBatch: (texts, options, context) =>
     slugGenerator.generateBatch(texts, options, context),
-  
+
+  transliterateSyllabic: (text) =>
+    slugGenerator.transliterateSyllabic(text),
+
   // Export the class for advanced usage
   SlugGenerator
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Text Diff - Line-based diffing for notice revision comparison
+
+class TextDiff {
+  constructor() {
+    // Above this many LCS cells we fall back to a whole-text replacement
+    this.maxMatrixCells = 4000000;
+
+    // Block-level tags that start a new line in rich text descriptions
+    this.blockTagPattern = /(<\/(p|div|h[1-6]|li|ul|ol|blockquote|pre|tr|table)>|<br\s*\/?>)/gi;
+  }
+
+  /**
+   * Split text (plain or rich text HTML) into comparable lines
+   * @param {string} text - Text to split
+   * @returns {Array<string>} - Lines
+   */
+  toLines(text) {
+    if (text === null || text === undefined) {
+      return [];
+    }
+
+    return String(text)
+      .replace(/\r\n/g, '\n')
+      .replace(this.blockTagPattern, '$1\n')
+      .split('\n')
+      .map(line => line.trimEnd())
+      .filter((line, index, lines) => line.length > 0 || index < lines.length - 1);
+  }
+
+  /**
+   * Compute a line diff between two texts
+   * @param {string} oldText - Original text
+   * @param {string} newText - Changed text
+   * @returns {Object} - { changes: [{ type, value }], added, removed }
+   */
+  diffLines(oldText, newText) {
+    const oldLines = this.toLines(oldText);
+    const newLines = this.toLines(newText);
+
+    let changes;
+    if (oldLines.length * newLines.length > this.maxMatrixCells) {
+      changes = [
+        ...oldLines.map(value => ({ type: 'removed', value })),
+        ...newLines.map(value => ({ type: 'added', value }))
+      ];
+    } else {
+      changes = this.computeLcsDiff(oldLines, newLines);
+    }
+
+    return {
+      changes,
+      added: changes.filter(change => change.type === 'added').length,
+      removed: changes.filter(change => change.type === 'removed').length
+    };
+  }
+
+  /**
+   * Longest-common-subsequence diff of two line arrays
+   * @param {Array<string>} a - Original lines
+   * @param {Array<string>} b - Changed lines
+   * @returns {Array<Object>} - Ordered list of { type: 'equal'|'added'|'removed', value }
+   */
+  computeLcsDiff(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = new Array(rows);
+
+    for (let i = 0; i < rows; i++) {
+      table[i] = new Uint32Array(cols);
+    }
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        changes.push({ type: 'equal', value: a[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        changes.push({ type: 'removed', value: a[i] });
+        i++;
+      } else {
+        changes.push({ type: 'added', value: b[j] });
+        j++;
+      }
+    }
+
+    while (i < a.length) {
+      changes.push({ type: 'removed', value: a[i++] });
+    }
+
+    while (j < b.length) {
+      changes.push({ type: 'added', value: b[j++] });
+    }
+
+    return changes;
+  }
+}
+
+// Create singleton instance
+const textDiff = new TextDiff();
+
+module.exports = {
+  diffLines: (oldText, newText) => textDiff.diffLines(oldText, newText),
+
+  // Export the class for advanced usage
+  TextDiff
+};
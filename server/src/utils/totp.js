@@ -0,0 +1,165 @@
+// TOTP - RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30-second steps)
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class Totp {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.algorithm = 'sha1'; // what authenticator apps assume
+    this.window = 1; // accept one step either side for clock drift
+    this.secretBytes = 20; // 160 bits, as recommended by RFC 4226
+  }
+
+  /**
+   * Encode bytes as RFC 4648 base32 without padding
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} - Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode a base32 string; spaces, padding and case are ignored
+   * @param {string} input - Base32 string
+   * @returns {Buffer} - Decoded bytes
+   */
+  base32Decode(input) {
+    const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // New random secret, base32 encoded for authenticator apps
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(this.secretBytes));
+  }
+
+  // Time step for a timestamp (milliseconds)
+  getStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  /**
+   * Code for a time step (RFC 4226 HOTP with the step as counter)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step
+   * @returns {string} - Zero-padded code
+   */
+  generateCode(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac(this.algorithm, this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % (10 ** this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Check a code against the current step and the drift window
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - { timestamp, afterStep } - steps up to afterStep were already used
+   * @returns {number|null} - Matching time step, or null
+   */
+  verifyCode(secret, code, options = {}) {
+    const cleanCode = String(code || '').replace(/\s/g, '');
+    if (cleanCode.length !== this.digits || !/^\d+$/.test(cleanCode)) {
+      return null;
+    }
+
+    const currentStep = this.getStep(options.timestamp);
+    const afterStep = options.afterStep === null || options.afterStep === undefined
+      ? -Infinity
+      : Number(options.afterStep);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      if (step <= afterStep) continue;
+
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(cleanCode))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// provisioning URI, rendered as a QR code for authenticator apps
+   * @param {Object} options - { secret, accountName, issuer }
+   * @returns {string} - Provisioning URI
+   */
+  buildOtpauthUrl({ secret, accountName, issuer }) {
+    const label = issuer ? `${issuer}:${accountName}` : accountName;
+    // encodeURIComponent rather than URLSearchParams: some apps show '+' instead of a space
+    const params = [
+      ['secret', secret],
+      ['issuer', issuer],
+      ['algorithm', this.algorithm.toUpperCase()],
+      ['digits', this.digits],
+      ['period', this.period]
+    ].filter(([, value]) => value);
+
+    const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${encodeURIComponent(label)}?${query}`;
+  }
+}
+
+// Create singleton instance
+const totp = new Totp();
+
+module.exports = {
+  generateSecret: () => totp.generateSecret(),
+  generateCode: (secret, step) => totp.generateCode(secret, step),
+  verifyCode: (secret, code, options) => totp.verifyCode(secret, code, options),
+  buildOtpauthUrl: (options) => totp.buildOtpauthUrl(options),
+  getStep: (timestamp) => totp.getStep(timestamp),
+
+  // Export the class for advanced usage
+  Totp
+};
@@ -0,0 +1,77 @@
+// User Agent Parser - browser, OS and device type for session lists
+// Order matters: Edge and Opera also claim Chrome, and Chrome also claims Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+  { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'ChromeOS', pattern: /CrOS [\w]+ ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+// Marketing names for Windows NT versions (11 still reports 10.0)
+const WINDOWS_VERSIONS = { '10.0': '10/11', '6.3': '8.1', '6.2': '8', '6.1': '7' };
+
+// Tools and scripts calling the API directly
+const CLIENT_TOOLS = /curl|wget|PostmanRuntime|insomnia|python-requests|axios|node-fetch|okhttp|bot|spider|crawler/i;
+
+/**
+ * Describe a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {Object} - { browser, browserVersion, os, osVersion, deviceType } - unknown parts are null
+ */
+const parseUserAgent = (userAgent) => {
+  const ua = String(userAgent || '');
+
+  const result = {
+    browser: null,
+    browserVersion: null,
+    os: null,
+    osVersion: null,
+    deviceType: 'unknown' // desktop, mobile, tablet, tool or unknown
+  };
+
+  if (!ua || ua === 'Unknown') {
+    return result;
+  }
+
+  const browser = BROWSERS.find(candidate => candidate.pattern.test(ua));
+  if (browser) {
+    result.browser = browser.name;
+    result.browserVersion = ua.match(browser.pattern)[1].split('.')[0];
+  }
+
+  const os = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(ua));
+  if (os) {
+    const version = (ua.match(os.pattern)[1] || '').replace(/_/g, '.');
+    result.os = os.name;
+    result.osVersion = os.name === 'Windows' ? (WINDOWS_VERSIONS[version] || version) : (version || null);
+  }
+
+  if (/iPad|Tablet/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    result.deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/i.test(ua)) {
+    result.deviceType = 'mobile';
+  } else if (!browser && CLIENT_TOOLS.test(ua)) {
+    result.browser = ua.split(/[\s/]/)[0].substring(0, 50);
+    result.deviceType = 'tool';
+  } else if (os || browser) {
+    result.deviceType = 'desktop';
+  }
+
+  return result;
+};
+
+module.exports = {
+  parseUserAgent
+};
@@ -0,0 +1,142 @@
+// Department Scope Tests - Users reach other users' notices only through their departments and cannot strip other departments' tags
+const departmentService = require('../../src/services/departmentService');
+const noticeService = require('../../src/services/noticeService');
+const Category = require('../../src/models/Category');
+
+// Categories 10 (HND IT), 11 (HND Accounting) and 12 (English) are departments, 1 (Exams) is a topic
+const DEPARTMENT_IDS = [10, 11, 12];
+const department = (id) => ({ id, type: 'department' });
+const topic = (id) => ({ id, type: 'topic' });
+
+const itHead = { id: 5, username: 'it.head', role: 'department_head', departmentIds: [10], permissions: ['notice.edit', 'notice.edit.any', 'notice.publish', 'notice.publish.any', 'notice.delete', 'notice.delete.any'] };
+const itEditor = { id: 6, username: 'it.secretary', role: 'editor', departmentIds: [10], permissions: ['notice.create', 'notice.edit'] };
+const superAdmin = { id: 1, username: 'root', role: 'super_admin', departmentIds: [], permissions: ['*'] };
+
+const notice = (categories, createdBy = 9) => ({ id: 40, createdBy, status: 'draft', priority: 'medium', categories });
+
+describe('🏢 Department Scope Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(Category, 'filterDepartmentIds').mockImplementation(async (ids) => (
+      [...new Set(ids.map(id => parseInt(id)))].filter(id => DEPARTMENT_IDS.includes(id))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Notice scope', () => {
+    test('should reach a notice sharing one of the user\'s departments', async () => {
+      expect(await departmentService.isInScope(itHead, notice([department(10), department(11)]))).toBe(true);
+    });
+
+    test('should not reach a notice of another department', async () => {
+      expect(await departmentService.isInScope(itHead, notice([department(11)]))).toBe(false);
+    });
+
+    test('should not treat a topic with the same ID as a department', async () => {
+      expect(await departmentService.isInScope(itHead, notice([topic(10)]))).toBe(false);
+    });
+
+    test('should let super admins reach every notice', async () => {
+      expect(await departmentService.isInScope(superAdmin, notice([department(11)]))).toBe(true);
+      expect(await departmentService.getNoticeScope(superAdmin)).toBeNull();
+    });
+
+    test('should limit users without departments to their own notices in lists', async () => {
+      expect(await departmentService.getNoticeScope({ ...itEditor, departmentIds: [] })).toEqual({ clause: 'n.created_by = ?', params: [6] });
+    });
+
+    test('should list the user\'s own notices and those of their departments', async () => {
+      const scope = await departmentService.getNoticeScope({ ...itHead, departmentIds: [10, 12] }, 'x');
+
+      expect(scope.clause).toContain('x.created_by = ?');
+      expect(scope.clause).toContain('category_id IN (?, ?)');
+      expect(scope.params).toEqual([5, 10, 12]);
+    });
+  });
+
+  describe('Permissions on other users\' notices', () => {
+    test('should let a department head edit and publish a notice of their department', async () => {
+      const target = notice([department(10)]);
+
+      expect(await noticeService.checkNoticePermissions(target, itHead, 'update')).toMatchObject({ allowed: true });
+      expect(await noticeService.checkNoticePermissions(target, itHead, 'delete')).toMatchObject({ allowed: true });
+    });
+
+    test('should refuse a department head a notice of another department', async () => {
+      const target = notice([department(11)]);
+
+      for (const action of ['update', 'delete', 'unpublish']) {
+        expect(await noticeService.checkNoticePermissions(target, itHead, action)).toMatchObject({
+          allowed: false,
+          reason: 'insufficient_permissions'
+        });
+      }
+    });
+
+    test('should refuse an editor without the .any permission even inside their department', async () => {
+      expect(await noticeService.checkNoticePermissions(notice([department(10)]), itEditor, 'update')).toMatchObject({ allowed: false });
+      expect(await noticeService.checkNoticePermissions(notice([department(10)], itEditor.id), itEditor, 'update')).toMatchObject({ allowed: true });
+    });
+  });
+
+  describe('Tagging new notices', () => {
+    test('should give a new notice the author\'s only department', async () => {
+      expect(await departmentService.resolveNoticeDepartments(itEditor, [1])).toEqual({ allowed: true, categoryIds: [1, 10] });
+    });
+
+    test('should refuse to file a new notice under another department', async () => {
+      expect(await departmentService.resolveNoticeDepartments(itEditor, [1, 11])).toMatchObject({
+        allowed: false,
+        reason: 'department_scope'
+      });
+    });
+
+    test('should not pick a department for authors in several', async () => {
+      const twoDepartments = { ...itEditor, departmentIds: [10, 12] };
+
+      expect(await departmentService.resolveNoticeDepartments(twoDepartments, [1])).toEqual({ allowed: true, categoryIds: [1] });
+    });
+  });
+
+  describe('Editing the departments of a notice', () => {
+    const shared = () => notice([department(10), department(11), topic(1)]);
+
+    test('should keep another department\'s tag the editor left out', async () => {
+      const result = await departmentService.resolveNoticeDepartments(itHead, [10, 1], shared());
+
+      expect(result.allowed).toBe(true);
+      expect(result.categoryIds.sort()).toEqual([1, 10, 11]);
+    });
+
+    test('should keep another department\'s tag when the editor only sends topics', async () => {
+      const result = await departmentService.resolveNoticeDepartments(itHead, [], shared());
+
+      expect(result.categoryIds).toEqual([11]);
+    });
+
+    test('should let the editor remove their own department and topics', async () => {
+      const result = await departmentService.resolveNoticeDepartments({ ...itHead, departmentIds: [10, 12] }, [11], notice([department(10), department(11), department(12)]));
+
+      expect(result).toEqual({ allowed: true, categoryIds: [11] });
+    });
+
+    test('should accept other departments\' tags already on the notice without adding them twice', async () => {
+      const result = await departmentService.resolveNoticeDepartments(itHead, [10, 11, 1], shared());
+
+      expect(result).toEqual({ allowed: true, categoryIds: [10, 11, 1] });
+    });
+
+    test('should refuse adding a department the editor does not belong to', async () => {
+      expect(await departmentService.resolveNoticeDepartments(itHead, [10, 11, 12], shared())).toMatchObject({
+        allowed: false,
+        reason: 'department_scope'
+      });
+    });
+
+    test('should let super admins remove any department', async () => {
+      expect(await departmentService.resolveNoticeDepartments(superAdmin, [10], shared())).toEqual({ allowed: true, categoryIds: [10] });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// Scheduled Publishing Security Tests - Publish times and status changes need publishing rights
+const noticeController = require('../../src/controllers/noticeController');
+const schedulerService = require('../../src/services/schedulerService');
+const departmentService = require('../../src/services/departmentService');
+const Notice = require('../../src/models/Notice');
+const User = require('../../src/models/User');
+
+const AUTHOR = ['notice.view', 'notice.create', 'notice.edit'];
+const PUBLISHER = [...AUTHOR, 'notice.publish', 'notice.publish.high'];
+
+const createUser = (permissions) => ({ id: 3, username: 'author', role: 'editor', permissions });
+
+const createRequest = (request) => ({ headers: {}, ip: '127.0.0.1', params: {}, get: () => undefined, ...request });
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+describe('📅 Scheduled Publishing Security Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Creating a notice with a publish time', () => {
+    let createSpy;
+
+    beforeEach(() => {
+      createSpy = jest.spyOn(Notice, 'create').mockImplementation(async (data) => new Notice({ id: 1, ...data }));
+      jest.spyOn(departmentService, 'resolveNoticeDepartments').mockResolvedValue({ allowed: true, categoryIds: [] });
+    });
+
+    test('should refuse a publish time from a user without notice.publish', async () => {
+      const res = createResponse();
+      await noticeController.createNotice(createRequest({
+        user: createUser(AUTHOR),
+        body: { title: 'Exam timetable', description: 'The timetable is attached.', publishAt: inOneDay() }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a high-priority publish time without notice.publish.high', async () => {
+      const res = createResponse();
+      await noticeController.createNotice(createRequest({
+        user: createUser([...AUTHOR, 'notice.publish']),
+        body: { title: 'Exam timetable', description: 'The timetable is attached.', priority: 'high', publishAt: inOneDay() }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    test('should schedule the notice for a user who can publish it', async () => {
+      const res = createResponse();
+      await noticeController.createNotice(createRequest({
+        user: createUser(PUBLISHER),
+        body: { title: 'Exam timetable', description: 'The timetable is attached.', priority: 'high', publishAt: inOneDay() }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(createSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Updating a notice', () => {
+    let updateSpy;
+
+    const findNotice = (data) => jest.spyOn(Notice, 'findById')
+      .mockResolvedValue(new Notice({ id: 5, title: 'Exam timetable', created_by: 3, priority: 'medium', ...data }));
+
+    beforeEach(() => {
+      updateSpy = jest.spyOn(Notice.prototype, 'update').mockImplementation(async function update() {
+        return this;
+      });
+    });
+
+    test('should refuse a publish time from a user without notice.publish', async () => {
+      findNotice({ status: 'draft' });
+      const res = createResponse();
+      await noticeController.updateNotice(createRequest({
+        params: { id: '5' },
+        user: createUser(AUTHOR),
+        body: { publishAt: inOneDay() }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should refuse raising a scheduled notice to high priority without notice.publish.high', async () => {
+      findNotice({ status: 'draft', publish_at: inOneDay() });
+      const res = createResponse();
+      await noticeController.updateNotice(createRequest({
+        params: { id: '5' },
+        user: createUser([...AUTHOR, 'notice.publish']),
+        body: { priority: 'high' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should accept a publish time from a user who can publish', async () => {
+      findNotice({ status: 'draft' });
+      const res = createResponse();
+      await noticeController.updateNotice(createRequest({
+        params: { id: '5' },
+        user: createUser(PUBLISHER),
+        body: { publishAt: inOneDay() }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(updateSpy).toHaveBeenCalled();
+    });
+
+    test('should refuse archiving a published notice without the unpublish right', async () => {
+      findNotice({ status: 'published' });
+      const res = createResponse();
+      await noticeController.updateNotice(createRequest({
+        params: { id: '5' },
+        user: createUser(AUTHOR),
+        body: { status: 'archived' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should refuse rescheduling a published notice without the unpublish right', async () => {
+      findNotice({ status: 'published' });
+      const res = createResponse();
+      await noticeController.updateNotice(createRequest({
+        params: { id: '5' },
+        user: createUser(AUTHOR),
+        body: { publishAt: inOneDay() }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should still allow content edits of a published notice', async () => {
+      findNotice({ status: 'published' });
+      const res = createResponse();
+      await noticeController.updateNotice(createRequest({
+        params: { id: '5' },
+        user: createUser(AUTHOR),
+        body: { title: 'Exam timetable (revised)' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('Scheduler', () => {
+    let updateSpy;
+
+    const dueNotice = (priority) => new Notice({
+      id: 9,
+      title: 'Exam timetable',
+      created_by: 3,
+      status: 'draft',
+      priority,
+      publish_at: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+
+    const mockOwner = (permissions, isActive = true) => jest.spyOn(User, 'findById')
+      .mockResolvedValue({ ...createUser(permissions), isActive: () => isActive });
+
+    beforeEach(() => {
+      updateSpy = jest.spyOn(Notice.prototype, 'update').mockResolvedValue(true);
+    });
+
+    test('should publish a due notice whose owner can publish it', async () => {
+      jest.spyOn(Notice, 'findDueForPublication').mockResolvedValue([dueNotice('high')]);
+      mockOwner(PUBLISHER);
+
+      const result = await schedulerService.publishDueNotices();
+
+      expect(result).toMatchObject({ published: 1, skipped: 0 });
+      expect(updateSpy).toHaveBeenCalledWith({ status: 'published' }, expect.anything(), expect.anything());
+    });
+
+    test('should not publish for an owner without notice.publish and should clear the publish time', async () => {
+      jest.spyOn(Notice, 'findDueForPublication').mockResolvedValue([dueNotice('medium')]);
+      mockOwner(AUTHOR);
+
+      const result = await schedulerService.publishDueNotices();
+
+      expect(result).toMatchObject({ published: 0, skipped: 1 });
+      expect(updateSpy).toHaveBeenCalledWith({ publishAt: null }, expect.anything(), expect.anything());
+      expect(updateSpy).not.toHaveBeenCalledWith({ status: 'published' }, expect.anything(), expect.anything());
+    });
+
+    test('should not publish a high-priority notice for an owner without notice.publish.high', async () => {
+      jest.spyOn(Notice, 'findDueForPublication').mockResolvedValue([dueNotice('high')]);
+      mockOwner([...AUTHOR, 'notice.publish']);
+
+      const result = await schedulerService.publishDueNotices();
+
+      expect(result).toMatchObject({ published: 0, skipped: 1 });
+    });
+
+    test('should not publish for a disabled owner', async () => {
+      jest.spyOn(Notice, 'findDueForPublication').mockResolvedValue([dueNotice('low')]);
+      mockOwner(PUBLISHER, false);
+
+      const result = await schedulerService.publishDueNotices();
+
+      expect(result).toMatchObject({ published: 0, skipped: 1 });
+    });
+  });
+});
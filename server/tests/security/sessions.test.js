@@ -0,0 +1,128 @@
+// Session Security Tests - Access tokens are only accepted while their session is active
+const jwt = require('jsonwebtoken');
+const secureDatabase = require('../../src/config/database');
+const permissionService = require('../../src/services/permissionService');
+const departmentService = require('../../src/services/departmentService');
+const { authenticate, optionalAuth } = require('../../src/middleware/auth');
+const authService = require('../../src/services/authService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const authController = require('../../src/controllers/authController');
+const User = require('../../src/models/User');
+const UserSession = require('../../src/models/UserSession');
+
+const user = { id: 3, username: 'editor', email: 'editor@example.com', role: 'editor', full_name: 'Notice Editor', can_approve: 0 };
+
+const createRequest = (token) => ({
+  path: '/api/notices',
+  headers: { authorization: `Bearer ${token}` },
+  ip: '127.0.0.1',
+  connection: {},
+  get: () => undefined
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('🪪 Session Security Tests', () => {
+  let queries;
+
+  // Session rows the token lookups return; everything else behaves like an empty table
+  const mockSessions = (sessionRows) => {
+    queries = [];
+    jest.spyOn(secureDatabase, 'executeQuery').mockImplementation(async (query) => {
+      queries.push(query);
+      if (query.includes('FROM users')) return { rows: [user] };
+      if (query.includes('FROM user_sessions')) return { rows: sessionRows };
+      return { rows: [], affectedRows: 1, insertId: 99 };
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(permissionService, 'getUserPermissions').mockResolvedValue(['notice.view']);
+    jest.spyOn(departmentService, 'getUserDepartmentIds').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should accept a token whose session is active', async () => {
+    mockSessions([{ id: 12, is_active: 1 }]);
+    const req = createRequest(authService.signAccessToken(user));
+    const next = jest.fn();
+
+    await authenticate(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId).toBe(12);
+  });
+
+  test('should refuse a token whose session was revoked', async () => {
+    mockSessions([{ id: 12, is_active: 0 }]);
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate(createRequest(authService.signAccessToken(user, 12)), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a token without a session instead of recreating one', async () => {
+    mockSessions([]);
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate(createRequest(authService.signAccessToken(user)), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+    expect(queries.some(query => query.includes('INSERT INTO user_sessions'))).toBe(false);
+  });
+
+  test('should treat a revoked session as anonymous on optional routes', async () => {
+    mockSessions([{ id: 12, is_active: 0 }]);
+    const req = createRequest(authService.signAccessToken(user, 12));
+    const next = jest.fn();
+
+    await optionalAuth(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+
+  test('should not accept a token signed with another secret', async () => {
+    mockSessions([{ id: 12, is_active: 1 }]);
+    const res = createResponse();
+
+    await authenticate(createRequest(jwt.sign({ userId: user.id, role: user.role }, 'another-secret')), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  describe('Starting a session at login', () => {
+    const login = authController.login[authController.login.length - 1];
+
+    beforeEach(() => {
+      jest.spyOn(authService, 'checkRateLimit').mockResolvedValue({ allowed: true });
+      jest.spyOn(authService, 'clearFailedAttempts').mockResolvedValue();
+      jest.spyOn(User, 'authenticate').mockResolvedValue({ success: true, user: new User(user) });
+      jest.spyOn(twoFactorService, 'getLoginRequirement').mockResolvedValue({ required: false });
+    });
+
+    test('should fail the login instead of handing out a token without a session', async () => {
+      jest.spyOn(UserSession, 'createSession').mockRejectedValue(new Error('user_sessions unavailable'));
+      const res = createResponse();
+
+      await login({ ...createRequest(''), body: { username: 'editor', password: 'Correct#Pass2026' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, message: 'Could not start a session' }));
+      expect(res.json.mock.calls[0][0].data).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// SSO Security Tests - Provider identities only take over accounts through verified, opted-in email links
+const ssoService = require('../../src/services/ssoService');
+const User = require('../../src/models/User');
+const UserIdentity = require('../../src/models/UserIdentity');
+
+const claims = (extra = {}) => ({ sub: 'staff-1001', email: 'It.Head@sliate.local', name: 'IT Department Head', ...extra });
+
+describe('🔑 SSO Security Tests', () => {
+  describe('Reading the provider profile', () => {
+    test('should keep the email only when the provider verified it', () => {
+      expect(ssoService.readProfile(claims({ email_verified: true })).email).toBe('it.head@sliate.local');
+    });
+
+    test('should drop an unverified or unstated email', () => {
+      expect(ssoService.readProfile(claims({ email_verified: false })).email).toBeNull();
+      expect(ssoService.readProfile(claims({ email_verified: 'true' })).email).toBeNull();
+      expect(ssoService.readProfile(claims()).email).toBeNull();
+    });
+  });
+
+  describe('Linking by email', () => {
+    const profile = { subject: 'staff-1001', email: 'it.head@sliate.local', fullName: 'IT Department Head', usernameHint: 'it.head', groups: [] };
+    let linkByEmail;
+    let syncRole;
+    let createIdentitySpy;
+
+    const existingAccount = (role) => jest.spyOn(User, 'findByEmail').mockResolvedValue(new User({ id: 4, username: 'ithead', role, is_active: true }));
+
+    beforeEach(() => {
+      ({ linkByEmail, syncRole } = ssoService.config);
+      jest.spyOn(UserIdentity, 'findBySubject').mockResolvedValue(null);
+      createIdentitySpy = jest.spyOn(UserIdentity, 'create').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      Object.assign(ssoService.config, { linkByEmail, syncRole });
+      jest.restoreAllMocks();
+    });
+
+    test('should not link an existing account unless linking is switched on', async () => {
+      ssoService.config.linkByEmail = false;
+      existingAccount('department_head');
+
+      const result = await ssoService.resolveUser(profile, 'department_head');
+
+      expect(result).toMatchObject({ success: false, reason: 'link_refused' });
+      expect(createIdentitySpy).not.toHaveBeenCalled();
+    });
+
+    test('should never link an admin or super admin account', async () => {
+      ssoService.config.linkByEmail = true;
+
+      for (const role of ['admin', 'super_admin']) {
+        existingAccount(role);
+        const result = await ssoService.resolveUser(profile, 'department_head');
+        expect(result).toMatchObject({ success: false, reason: 'link_refused' });
+      }
+
+      expect(createIdentitySpy).not.toHaveBeenCalled();
+    });
+
+    test('should link a staff account when linking is switched on', async () => {
+      ssoService.config.linkByEmail = true;
+      ssoService.config.syncRole = false;
+      existingAccount('department_head');
+
+      const result = await ssoService.resolveUser(profile, 'department_head');
+
+      expect(result.success).toBe(true);
+      expect(createIdentitySpy).toHaveBeenCalledWith(4, 'oidc', 'staff-1001', 'it.head@sliate.local');
+    });
+  });
+});
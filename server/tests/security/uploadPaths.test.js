@@ -0,0 +1,102 @@
+// Upload Path Security Tests - Notice images and attachments can only point at files inside the uploads folders
+const path = require('path');
+const fs = require('fs').promises;
+const Notice = require('../../src/models/Notice');
+const noticeService = require('../../src/services/noticeService');
+const duplicationService = require('../../src/services/duplicationService');
+const secureDatabase = require('../../src/config/database');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+const TRAVERSAL_URLS = [
+  '/uploads/../.env',
+  '/uploads/images/../../.env',
+  '/uploads/images/..',
+  '/uploads/files/..\\..\\.env',
+  'https://x/../../../../etc/passwd',
+  '/etc/passwd',
+  '/uploads/temp/upload.pdf'
+];
+
+describe('🗂️ Upload Path Security Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Resolving upload URLs', () => {
+    test('should resolve images and attachments inside the uploads folder', () => {
+      expect(Notice.resolveUploadPath('/uploads/images/photo-1a2b.jpg')).toBe(path.join(UPLOADS_DIR, 'images', 'photo-1a2b.jpg'));
+      expect(Notice.resolveUploadPath('/uploads/files/timetable.pdf')).toBe(path.join(UPLOADS_DIR, 'files', 'timetable.pdf'));
+    });
+
+    test.each(TRAVERSAL_URLS)('should refuse %s', (url) => {
+      expect(Notice.resolveUploadPath(url)).toBeNull();
+    });
+
+    test('should refuse values that are not strings', () => {
+      expect(Notice.resolveUploadPath(null)).toBeNull();
+      expect(Notice.resolveUploadPath({ url: '/uploads/files/a.pdf' })).toBeNull();
+    });
+  });
+
+  describe('Saving notices', () => {
+    test('should refuse to create a notice whose attachment URL leaves the uploads folder', async () => {
+      const querySpy = jest.spyOn(secureDatabase, 'executeQuery');
+
+      await expect(Notice.create({
+        title: 'Exam timetable',
+        description: 'The timetable is attached.',
+        files: [{ name: 'secrets.txt', url: '/uploads/../.env' }]
+      }, { id: 3 })).rejects.toThrow('Validation failed: Attachment URLs must point to uploaded files');
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to update a notice with a traversal image URL', async () => {
+      const querySpy = jest.spyOn(secureDatabase, 'executeQuery');
+      const notice = new Notice({ id: 7, title: 'Exam timetable', status: 'draft' });
+
+      await expect(notice.update({ imageUrl: 'https://x/../../../../etc/passwd' }, { id: 3 }))
+        .rejects.toThrow('Validation failed: Image URL must point to an uploaded image');
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should refuse traversal URLs in the notice service validation', async () => {
+      const data = await noticeService.validateNoticeData({ imageUrl: '/uploads/images/../../.env' }, 'update');
+      const files = await noticeService.validateNoticeFiles([{ filename: 'passwd', url: '/uploads/files/../../../etc/passwd' }]);
+
+      expect(data).toMatchObject({ valid: false, errors: ['Invalid image URL'] });
+      expect(files).toMatchObject({ valid: false, reason: 'file_validation_failed' });
+    });
+
+    test('should accept uploaded files', () => {
+      expect(Notice.getUploadUrlErrors({
+        imageUrl: '/uploads/images/photo.jpg',
+        files: [{ name: 'timetable.pdf', url: '/uploads/files/timetable.pdf' }]
+      })).toEqual([]);
+    });
+  });
+
+  describe('Copying attachments', () => {
+    test('should not copy files from outside the uploads folders', async () => {
+      const copySpy = jest.spyOn(fs, 'copyFile').mockResolvedValue();
+
+      const copied = await duplicationService.copyAttachments(new Notice({
+        id: 7,
+        image_url: '/uploads/../.env',
+        files: [{ name: 'passwd', url: 'https://x/../../../../etc/passwd' }]
+      }));
+
+      expect(copied).toEqual({ imageUrl: null, files: [] });
+      expect(copySpy).not.toHaveBeenCalled();
+    });
+
+    test('should copy uploaded files under a new name in the same folder', async () => {
+      const copySpy = jest.spyOn(fs, 'copyFile').mockResolvedValue();
+
+      const url = await duplicationService.copyUpload('/uploads/files/timetable.pdf', 'files', 'timetable.pdf');
+
+      expect(url).toMatch(/^\/uploads\/files\/[^/]+\.pdf$/);
+      expect(copySpy).toHaveBeenCalledWith(path.join(UPLOADS_DIR, 'files', 'timetable.pdf'), path.join(UPLOADS_DIR, url.slice('/uploads/'.length)));
+    });
+  });
+});
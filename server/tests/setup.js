@@ -1,11 +1,11 @@
 // Test Setup - Global test configuration and utilities
-const { config } = require('../src/config/environment');
-
-// Set test environment
+// Set test environment (before the config is loaded, so it picks these up)
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing-only';
 process.env.LOG_LEVEL = 'ERROR'; // Reduce log noise in tests
 
+const { config } = require('../src/config/environment');
+
 // Global test timeout
 jest.setTimeout(10000);
 
@@ -0,0 +1,201 @@
+// Approval Workflow Tests - Submission, sign-off and reviewer checks
+const reviewService = require('../../src/services/reviewService');
+const noticeService = require('../../src/services/noticeService');
+const departmentService = require('../../src/services/departmentService');
+const permissionService = require('../../src/services/permissionService');
+const { config } = require('../../src/config/environment');
+const Notice = require('../../src/models/Notice');
+const NoticeReview = require('../../src/models/NoticeReview');
+const User = require('../../src/models/User');
+
+const author = { id: 6, username: 'it.secretary', role: 'editor', permissions: ['notice.create', 'notice.edit'] };
+const reviewer = { id: 5, username: 'it.head', role: 'department_head', permissions: ['notice.edit', 'notice.edit.any', 'notice.review'] };
+const otherReviewer = { id: 7, username: 'registrar', role: 'admin', permissions: ['notice.review'] };
+const colleague = { id: 8, username: 'lecturer', role: 'editor', permissions: ['notice.create', 'notice.edit'] };
+
+const newNotice = (data = {}) => new Notice({ id: 40, title: 'Exam timetable', status: 'draft', created_by: author.id, ...data });
+
+describe('✅ Approval Workflow Tests', () => {
+  let approvalEnabled;
+
+  beforeEach(() => {
+    approvalEnabled = config.approval.enabled;
+    config.approval.enabled = true;
+    reviewService.config.enabled = true;
+
+    jest.spyOn(departmentService, 'isInScope').mockResolvedValue(true);
+    jest.spyOn(Notice.prototype, 'update').mockImplementation(async function (updateData) {
+      Object.assign(this, updateData);
+      return this;
+    });
+    jest.spyOn(NoticeReview, 'create').mockImplementation(async (data, user) => ({ ...data, userId: user.id }));
+  });
+
+  afterEach(() => {
+    config.approval.enabled = approvalEnabled;
+    reviewService.config.enabled = approvalEnabled;
+    jest.restoreAllMocks();
+  });
+
+  describe('Submitting for review', () => {
+    test.each(['draft', 'changes_requested'])('should move a %s notice to pending review', async (status) => {
+      const notice = newNotice({ status });
+
+      const result = await reviewService.submitForReview(notice, author, { comment: 'Please check the dates' });
+
+      expect(result.success).toBe(true);
+      expect(notice.status).toBe('pending_review');
+      expect(NoticeReview.create).toHaveBeenCalledWith({ noticeId: 40, action: 'submitted', comment: 'Please check the dates' }, author);
+    });
+
+    test.each(['pending_review', 'approved', 'published', 'archived'])('should refuse to submit a %s notice', async (status) => {
+      const notice = newNotice({ status });
+
+      expect(await reviewService.submitForReview(notice, author)).toMatchObject({ success: false, reason: 'invalid_status' });
+      expect(notice.status).toBe(status);
+      expect(Notice.prototype.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a submission from a user who cannot edit the notice', async () => {
+      const result = await reviewService.submitForReview(newNotice(), colleague);
+
+      expect(result).toMatchObject({ allowed: false, reason: 'insufficient_permissions' });
+      expect(Notice.prototype.update).not.toHaveBeenCalled();
+    });
+
+    test('should assign a reviewer who holds notice.review', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({ ...reviewer, is_active: 1 }));
+      jest.spyOn(permissionService, 'hasPermission').mockResolvedValue(true);
+      const notice = newNotice();
+
+      await reviewService.submitForReview(notice, author, { reviewerId: reviewer.id });
+
+      expect(permissionService.hasPermission).toHaveBeenCalledWith(expect.any(User), 'notice.review');
+      expect(notice.reviewerId).toBe(reviewer.id);
+    });
+  });
+
+  describe('Choosing reviewers', () => {
+    test('should refuse a reviewer without notice.review', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({ ...colleague, is_active: 1 }));
+      jest.spyOn(permissionService, 'hasPermission').mockResolvedValue(false);
+      const notice = newNotice();
+
+      expect(await reviewService.submitForReview(notice, author, { reviewerId: colleague.id })).toMatchObject({
+        success: false,
+        reason: 'invalid_reviewer'
+      });
+      expect(notice.status).toBe('draft');
+    });
+
+    test('should refuse a disabled reviewer', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({ ...reviewer, is_active: 0 }));
+      jest.spyOn(permissionService, 'hasPermission').mockResolvedValue(true);
+
+      expect(await reviewService.validateReviewer(newNotice(), reviewer.id)).toMatchObject({ success: false, reason: 'invalid_reviewer' });
+    });
+
+    test('should refuse the author as the reviewer of their own notice', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({ ...author, is_active: 1 }));
+      jest.spyOn(permissionService, 'hasPermission').mockResolvedValue(true);
+
+      expect(await reviewService.validateReviewer(newNotice(), author.id)).toMatchObject({
+        success: false,
+        message: 'A notice cannot be reviewed by its author'
+      });
+    });
+  });
+
+  describe('Decisions', () => {
+    test('should approve a pending notice', async () => {
+      const notice = newNotice({ status: 'pending_review' });
+
+      const result = await reviewService.approve(notice, reviewer, 'Looks good');
+
+      expect(result.success).toBe(true);
+      expect(notice.status).toBe('approved');
+      expect(NoticeReview.create).toHaveBeenCalledWith({ noticeId: 40, action: 'approved', comment: 'Looks good' }, reviewer);
+    });
+
+    test('should send a pending notice back to its author', async () => {
+      const notice = newNotice({ status: 'pending_review' });
+
+      expect(await reviewService.requestChanges(notice, reviewer, 'Wrong hall')).toMatchObject({ success: true });
+      expect(notice.status).toBe('changes_requested');
+    });
+
+    test('should withdraw an approval that has not been published yet', async () => {
+      const notice = newNotice({ status: 'approved' });
+
+      await reviewService.requestChanges(notice, reviewer, 'Date moved');
+
+      expect(notice.status).toBe('changes_requested');
+    });
+
+    test.each(['draft', 'changes_requested', 'approved', 'published'])('should refuse to approve a %s notice', async (status) => {
+      const notice = newNotice({ status });
+
+      expect(await reviewService.approve(notice, reviewer)).toMatchObject({ allowed: false, reason: 'invalid_status' });
+      expect(notice.status).toBe(status);
+    });
+
+    test.each(['draft', 'changes_requested', 'published'])('should refuse to request changes on a %s notice', async (status) => {
+      expect(await reviewService.requestChanges(newNotice({ status }), reviewer, 'No')).toMatchObject({ reason: 'invalid_status' });
+    });
+  });
+
+  describe('Reviewer permissions', () => {
+    test('should refuse a decision from a user without notice.review', async () => {
+      const notice = newNotice({ status: 'pending_review' });
+
+      expect(await reviewService.approve(notice, colleague)).toMatchObject({ allowed: false, reason: 'insufficient_permissions' });
+      expect(await reviewService.requestChanges(notice, colleague, 'No')).toMatchObject({ reason: 'insufficient_permissions' });
+      expect(notice.status).toBe('pending_review');
+    });
+
+    test('should refuse an approver deciding on their own notice', async () => {
+      const notice = newNotice({ status: 'pending_review', created_by: reviewer.id });
+
+      expect(await reviewService.approve(notice, reviewer)).toMatchObject({ allowed: false, reason: 'self_review' });
+      expect(notice.status).toBe('pending_review');
+    });
+
+    test('should refuse an approver who is not the assigned reviewer', async () => {
+      const notice = newNotice({ status: 'pending_review', reviewer_id: reviewer.id });
+
+      expect(await reviewService.approve(notice, otherReviewer)).toMatchObject({ allowed: false, reason: 'not_assigned_reviewer' });
+      expect(await reviewService.approve(notice, reviewer)).toMatchObject({ success: true });
+    });
+
+    test('should let super admins decide on their own notices', async () => {
+      const superAdmin = { id: 1, username: 'root', role: 'super_admin', permissions: ['*'] };
+      const notice = newNotice({ status: 'pending_review', created_by: superAdmin.id });
+
+      expect(await reviewService.approve(notice, superAdmin)).toMatchObject({ success: true });
+    });
+  });
+
+  describe('Publishing', () => {
+    test.each(['draft', 'pending_review', 'changes_requested'])('should refuse to publish a %s notice while the workflow is on', async (status) => {
+      const superAdmin = { id: 1, username: 'root', role: 'super_admin', permissions: ['*'] };
+
+      expect(await noticeService.checkNoticePermissions(newNotice({ status }), superAdmin, 'publish')).toMatchObject({
+        allowed: false,
+        reason: 'approval_required'
+      });
+    });
+
+    test('should let an approved notice be published', async () => {
+      const publisher = { ...author, permissions: [...author.permissions, 'notice.publish'] };
+
+      expect(await noticeService.checkNoticePermissions(newNotice({ status: 'approved' }), publisher, 'publish')).toEqual({ allowed: true });
+    });
+
+    test('should put an edited approved notice back into review', () => {
+      const updateData = { title: 'Exam timetable (revised)' };
+
+      expect(reviewService.withdrawApprovalOnEdit(newNotice({ status: 'approved' }), updateData)).toBe(true);
+      expect(updateData.status).toBe('pending_review');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// Bulk Notice Action Tests - One result per requested notice and all-or-nothing writes
+const bulkNoticeService = require('../../src/services/bulkNoticeService');
+const noticeService = require('../../src/services/noticeService');
+const noticeEvents = require('../../src/services/noticeEvents');
+const secureDatabase = require('../../src/config/database');
+const Notice = require('../../src/models/Notice');
+const Category = require('../../src/models/Category');
+
+const user = { id: 2, username: 'admin', role: 'admin', permissions: ['notice.publish', 'notice.delete', 'notice.edit'] };
+
+describe('📦 Bulk Notice Action Tests', () => {
+  let notices;
+  let statements;
+
+  beforeEach(() => {
+    notices = new Map([
+      [1, new Notice({ id: 1, title: 'Draft notice', status: 'draft' })],
+      [2, new Notice({ id: 2, title: 'Live notice', status: 'published', published_at: '2026-03-01T08:00:00Z' })],
+      [4, new Notice({ id: 4, title: 'Someone else\'s notice', status: 'draft' })],
+      [5, new Notice({ id: 5, title: 'Expired notice', status: 'draft', expires_at: '2026-01-01T00:00:00Z' })],
+      [6, new Notice({ id: 6, title: 'Second draft', status: 'draft' })]
+    ]);
+    statements = [];
+
+    jest.spyOn(Notice, 'findById').mockImplementation(async (id) => notices.get(id) || null);
+    jest.spyOn(Notice.prototype, 'recordRevision').mockResolvedValue();
+    jest.spyOn(noticeService, 'checkNoticePermissions').mockImplementation(async (notice) => (
+      notice.id === 4
+        ? { allowed: false, reason: 'insufficient_permissions', message: 'You can only change your own notices' }
+        : { allowed: true }
+    ));
+    jest.spyOn(secureDatabase, 'withTransaction').mockImplementation(async (work) => work(async (sql, params) => {
+      statements.push({ sql, params });
+      return { affectedRows: 1 };
+    }));
+    jest.spyOn(noticeEvents, 'updated').mockImplementation(() => {});
+    jest.spyOn(noticeEvents, 'deleted').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Per-notice results', () => {
+    test('should report every notice in the requested order with its own outcome', async () => {
+      const report = await bulkNoticeService.applyAction([1, 2, 3, 4, 5], 'publish', {}, user);
+
+      expect(report.success).toBe(true);
+      expect(report.results.map(({ id, status, reason }) => ({ id, status, reason }))).toEqual([
+        { id: 1, status: 'updated', reason: undefined },
+        { id: 2, status: 'skipped', reason: 'already_published' },
+        { id: 3, status: 'failed', reason: 'not_found' },
+        { id: 4, status: 'failed', reason: 'insufficient_permissions' },
+        { id: 5, status: 'failed', reason: 'expired' }
+      ]);
+      expect(report.summary).toEqual({ requested: 5, succeeded: 1, skipped: 1, failed: 3 });
+    });
+
+    test('should only write the notices that passed their checks', async () => {
+      await bulkNoticeService.applyAction([1, 2, 4, 6], 'publish', {}, user);
+
+      expect(statements.map(statement => statement.params[0])).toEqual([1, 6]);
+      expect(Notice.prototype.recordRevision).toHaveBeenCalledTimes(2);
+      expect(noticeEvents.updated).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report a notice requested twice once', async () => {
+      const report = await bulkNoticeService.applyAction(['1', 1], 'publish', {}, user);
+
+      expect(report.results).toHaveLength(1);
+      expect(report.summary.requested).toBe(1);
+    });
+
+    test('should move deleted notices to the trash', async () => {
+      const report = await bulkNoticeService.applyAction([1, 4], 'delete', {}, user);
+
+      expect(report.results.map(result => result.status)).toEqual(['deleted', 'failed']);
+      expect(statements[0].sql).toContain('deleted_at = NOW()');
+      expect(noticeEvents.deleted).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only unpublish live notices and leave the rest with their status and sign-off', async () => {
+      notices.set(7, new Notice({ id: 7, title: 'In review', status: 'pending_review' }));
+      notices.set(8, new Notice({ id: 8, title: 'Scheduled', status: 'approved', approved_by: 5, publish_at: '2026-12-01T08:00:00Z' }));
+      notices.set(9, new Notice({ id: 9, title: 'Archived', status: 'archived' }));
+
+      const report = await bulkNoticeService.applyAction([2, 1, 7, 8, 9], 'unpublish', {}, user);
+
+      expect(report.results.map(({ id, status, reason }) => ({ id, status, reason }))).toEqual([
+        { id: 2, status: 'updated', reason: undefined },
+        { id: 1, status: 'skipped', reason: 'not_published' },
+        { id: 7, status: 'skipped', reason: 'not_published' },
+        { id: 8, status: 'skipped', reason: 'not_published' },
+        { id: 9, status: 'skipped', reason: 'not_published' }
+      ]);
+      expect(statements).toHaveLength(1);
+      expect(statements[0].params).toEqual([2, 'published']);
+    });
+
+    test('should skip notices that already have the requested priority', async () => {
+      notices.get(6).priority = 'low';
+
+      const report = await bulkNoticeService.applyAction([1, 6], 'priority', { priority: 'low' }, user);
+
+      expect(report.results.map(result => result.status)).toEqual(['updated', 'skipped']);
+      expect(report.results[1].reason).toBe('unchanged');
+    });
+  });
+
+  describe('Transactions', () => {
+    test('should leave every notice unchanged when one write finds its notice changed', async () => {
+      secureDatabase.withTransaction.mockImplementation(async (work) => work(async (sql, params) => {
+        statements.push({ sql, params });
+        return { affectedRows: params[0] === 6 ? 0 : 1 };
+      }));
+
+      const report = await bulkNoticeService.applyAction([1, 2, 6], 'publish', {}, user);
+
+      expect(report.success).toBe(false);
+      expect(report.results.map(({ id, status, reason }) => ({ id, status, reason }))).toEqual([
+        { id: 1, status: 'failed', reason: 'transaction_failed' },
+        { id: 2, status: 'skipped', reason: 'already_published' },
+        { id: 6, status: 'failed', reason: 'transaction_failed' }
+      ]);
+      expect(report.summary).toEqual({ requested: 3, succeeded: 0, skipped: 1, failed: 2 });
+      expect(Notice.prototype.recordRevision).not.toHaveBeenCalled();
+      expect(noticeEvents.updated).not.toHaveBeenCalled();
+    });
+
+    test('should still report a committed change whose follow-up work failed', async () => {
+      Notice.prototype.recordRevision.mockRejectedValue(new Error('revision table unavailable'));
+
+      const report = await bulkNoticeService.applyAction([1], 'publish', {}, user);
+
+      expect(report.success).toBe(true);
+      expect(report.results[0]).toEqual({ id: 1, status: 'updated', message: 'Notice changed' });
+    });
+  });
+
+  describe('Refusals', () => {
+    test('should refuse an unknown action before looking at any notice', async () => {
+      const report = await bulkNoticeService.applyAction([1], 'archive', {}, user);
+
+      expect(report).toMatchObject({ success: false, reason: 'invalid_action' });
+      expect(Notice.findById).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an inactive category', async () => {
+      jest.spyOn(Category, 'findById').mockResolvedValue(new Category({ id: 9, name: 'Old', is_active: 0 }));
+
+      const report = await bulkNoticeService.applyAction([1], 'category', { categoryId: 9 }, user);
+
+      expect(report).toMatchObject({ success: false, reason: 'category_not_found' });
+      expect(secureDatabase.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
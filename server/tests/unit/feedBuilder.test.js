@@ -0,0 +1,76 @@
+// Feed Builder Tests - RSS and Atom output stays well-formed XML whatever the notice text contains
+const { buildRss, buildAtom, toSummary, FeedBuilder } = require('../../src/utils/feedBuilder');
+
+const feed = {
+  title: 'SLIATE Notices',
+  description: 'Published notices',
+  siteUrl: 'https://notices.example.lk',
+  feedUrl: 'https://api.example.lk/api/feeds/rss',
+  apiUrl: 'https://api.example.lk',
+  lastModified: new Date('2026-03-02T08:00:00Z')
+};
+
+const notice = (overrides = {}) => ({
+  id: 1,
+  slug: 'exam-timetable',
+  title: 'Exam timetable',
+  description: '<p>The timetable is attached.</p>',
+  publishedAt: '2026-03-02T08:00:00Z',
+  categories: [],
+  files: [],
+  ...overrides
+});
+
+describe('📰 Feed Builder Tests', () => {
+  const builder = new FeedBuilder();
+  const escape = (value) => builder.escapeXml(value);
+
+  describe('Escaping', () => {
+    test('should escape markup characters', () => {
+      expect(escape('Labs & <Workshops> "A" \'B\'')).toBe('Labs &amp; &lt;Workshops&gt; &quot;A&quot; &apos;B&apos;');
+    });
+
+    test('should drop control characters that XML 1.0 forbids', () => {
+      expect(escape('Exam\u0000 time\u0008table\u000B\u000C\u001F')).toBe('Exam timetable');
+    });
+
+    test('should keep tabs, line breaks and text outside the Basic Multilingual Plane', () => {
+      expect(escape('a\tb\nc\rd 📢 සිංහල தமிழ்')).toBe('a\tb\nc\rd 📢 සිංහල தமிழ்');
+    });
+
+    test('should drop unpaired surrogates and the non-characters U+FFFE and U+FFFF', () => {
+      expect(escape('a\uD800b\uDC00c￾d￿')).toBe('abcd');
+    });
+
+    test('should treat null and undefined as empty text', () => {
+      expect(escape(null)).toBe('');
+      expect(escape(undefined)).toBe('');
+    });
+  });
+
+  describe('Documents', () => {
+    test('should escape notice titles and categories in RSS', () => {
+      const xml = buildRss(feed, [notice({
+        title: 'Fees & <b>dues</b>\u0007',
+        categories: [{ name: 'Finance & Accounts', slug: 'finance' }]
+      })]);
+
+      expect(xml).toContain('<title>Fees &amp; &lt;b&gt;dues&lt;/b&gt;</title>');
+      expect(xml).toContain('<category>Finance &amp; Accounts</category>');
+      expect(xml).not.toContain('\u0007');
+    });
+
+    test('should escape attribute values in Atom', () => {
+      const xml = buildAtom(feed, [notice({ categories: [{ name: 'Labs "A"', slug: 'labs&a' }] })]);
+
+      expect(xml).toContain('<category term="labs&amp;a" label="Labs &quot;A&quot;"/>');
+    });
+
+    test('should summarise descriptions as plain text before escaping them', () => {
+      expect(toSummary('<p>Room 5 &amp; 6 &lt;upstairs&gt;</p>')).toBe('Room 5 & 6 <upstairs>');
+
+      const xml = buildRss(feed, [notice({ description: '<p>Room 5 &amp; 6</p>' })]);
+      expect(xml).toContain('<description>Room 5 &amp; 6</description>');
+    });
+  });
+});
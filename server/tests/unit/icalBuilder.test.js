@@ -0,0 +1,116 @@
+// iCal Builder Tests - RFC 5545 text escaping, line folding and event dates
+const { buildCalendar, ICalBuilder } = require('../../src/utils/icalBuilder');
+
+const event = (overrides = {}) => ({
+  uid: 'notice-1@notices.example.lk',
+  title: 'Sports meet',
+  start: '2026-03-10T04:00:00Z',
+  createdAt: '2026-03-02T08:00:00Z',
+  ...overrides
+});
+
+// Undo folding so assertions can look at whole content lines
+const unfold = (document) => document.replace(/\r\n /g, '').split('\r\n');
+
+describe('📅 iCal Builder Tests', () => {
+  const builder = new ICalBuilder();
+
+  describe('Escaping', () => {
+    test('should escape backslashes, semicolons and commas', () => {
+      expect(builder.escapeText('Hall A; Hall B, C:\\Notices')).toBe('Hall A\\; Hall B\\, C:\\\\Notices');
+    });
+
+    test('should escape backslashes before adding escapes of its own', () => {
+      expect(builder.escapeText('\\;')).toBe('\\\\\\;');
+    });
+
+    test('should turn LF and CRLF line breaks into \\n', () => {
+      expect(builder.escapeText('First line\r\nSecond line\nThird line')).toBe('First line\\nSecond line\\nThird line');
+    });
+
+    test('should leave colons and double quotes alone in TEXT values', () => {
+      expect(builder.escapeText('Time: 10:00 "Main hall"')).toBe('Time: 10:00 "Main hall"');
+    });
+
+    test('should turn null and undefined into empty text', () => {
+      expect(builder.escapeText(null)).toBe('');
+      expect(builder.escapeText(undefined)).toBe('');
+      expect(builder.escapeText(0)).toBe('0');
+    });
+
+    test('should escape each category on its own and keep the list separators', () => {
+      const lines = builder.buildEvent(event({ categories: ['Exams, Results', 'Sports'] }));
+
+      expect(lines).toContain('CATEGORIES:Exams\\, Results,Sports');
+    });
+
+    test('should escape the summary and join it to the link in the description', () => {
+      const lines = builder.buildEvent(event({ summary: 'Bring: shoes, water; a hat', url: 'https://notices.example.lk/notices/sports-meet' }));
+
+      expect(lines).toContain('DESCRIPTION:Bring: shoes\\, water\\; a hat\\n\\nhttps://notices.example.lk/notices/sports-meet');
+      expect(lines).toContain('URL:https://notices.example.lk/notices/sports-meet');
+    });
+  });
+
+  describe('Line folding', () => {
+    test('should not fold lines of 75 octets or fewer', () => {
+      const line = `SUMMARY:${'a'.repeat(67)}`;
+
+      expect(builder.foldLine(line)).toBe(line);
+    });
+
+    test('should fold long lines to 75 octets with a leading space on continuations', () => {
+      const folded = builder.foldLine(`DESCRIPTION:${'a'.repeat(200)}`);
+      const parts = folded.split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach((part, index) => {
+        expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+        if (index > 0) expect(part.startsWith(' ')).toBe(true);
+      });
+    });
+
+    test('should never split a multi-byte character', () => {
+      const text = `SUMMARY:${'විභාග '.repeat(20)}`;
+      const parts = builder.foldLine(text).split('\r\n');
+
+      parts.forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+      expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(text);
+    });
+  });
+
+  describe('Event dates', () => {
+    test('should give timed events without an end a one hour duration', () => {
+      const lines = builder.buildEvent(event());
+
+      expect(lines).toContain('DTSTART:20260310T040000Z');
+      expect(lines).toContain('DTEND:20260310T050000Z');
+    });
+
+    test('should make DTEND of an all-day event the day after the last day', () => {
+      const lines = builder.buildEvent(event({ allDay: true, start: '2026-03-10T00:00:00Z', end: '2026-03-12T00:00:00Z' }));
+
+      expect(lines).toContain('DTSTART;VALUE=DATE:20260310');
+      expect(lines).toContain('DTEND;VALUE=DATE:20260313');
+    });
+  });
+
+  describe('Calendar document', () => {
+    test('should end every line with CRLF and escape the calendar name', () => {
+      const document = buildCalendar({ name: 'Notices, Colombo; 2026' }, [event({ title: 'Sports meet, day 1' })]);
+
+      expect(document.endsWith('\r\n')).toBe(true);
+      expect(document.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+      expect(unfold(document)).toEqual(expect.arrayContaining([
+        'X-WR-CALNAME:Notices\\, Colombo\\; 2026',
+        'SUMMARY:Sports meet\\, day 1'
+      ]));
+    });
+
+    test('should keep a multi-line summary on one escaped content line', () => {
+      const document = buildCalendar({ name: 'Notices' }, [event({ summary: 'Line one\nLine two\r\nLine three' })]);
+
+      expect(unfold(document)).toContain('DESCRIPTION:Line one\\nLine two\\nLine three');
+    });
+  });
+});
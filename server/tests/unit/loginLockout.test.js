@@ -0,0 +1,134 @@
+// Login Lockout Tests - Failure counting, lockout thresholds and progressive durations
+const authService = require('../../src/services/authService');
+const LoginLockout = require('../../src/models/LoginLockout');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+
+const MINUTE = 60 * 1000;
+
+describe('🚫 Login Lockout Tests', () => {
+  let lockoutConfig;
+
+  beforeEach(() => {
+    lockoutConfig = authService.lockoutConfig;
+    authService.lockoutConfig = {
+      enabled: true,
+      usernameThreshold: 5,
+      ipThreshold: 20,
+      windowMs: 15 * MINUTE,
+      baseDurationMs: 15 * MINUTE,
+      maxDurationMs: 24 * 60 * MINUTE,
+      multiplier: 2,
+      resetAfterMs: 24 * 60 * MINUTE
+    };
+    jest.spyOn(LoginAttempt, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    authService.lockoutConfig = lockoutConfig;
+    jest.restoreAllMocks();
+  });
+
+  // Counters the database would return after registering one more failure
+  const mockCounters = (counts) => {
+    jest.spyOn(LoginLockout, 'registerFailure').mockImplementation(async (scope, identifier) => new LoginLockout({
+      id: scope === 'username' ? 1 : 2,
+      scope,
+      identifier,
+      failed_count: counts[scope],
+      lockout_count: 0
+    }));
+  };
+
+  describe('Lockout durations', () => {
+    test('should double the duration with every previous lockout', () => {
+      expect(authService.getLockoutDuration(0)).toBe(15 * MINUTE);
+      expect(authService.getLockoutDuration(1)).toBe(30 * MINUTE);
+      expect(authService.getLockoutDuration(2)).toBe(60 * MINUTE);
+    });
+
+    test('should not exceed the maximum duration', () => {
+      expect(authService.getLockoutDuration(10)).toBe(24 * 60 * MINUTE);
+    });
+  });
+
+  describe('Failed attempts', () => {
+    test('should count down the attempts left below the threshold', async () => {
+      mockCounters({ username: 1, ip: 1 });
+
+      const outcome = await authService.recordFailedAttempt('editor', '10.0.0.1');
+
+      expect(outcome).toMatchObject({ locked: false, attemptsRemaining: 4, message: 'Invalid username or password' });
+    });
+
+    test('should warn when two attempts or fewer are left', async () => {
+      mockCounters({ username: 4, ip: 4 });
+
+      const outcome = await authService.recordFailedAttempt('editor', '10.0.0.1');
+
+      expect(outcome.attemptsRemaining).toBe(1);
+      expect(outcome.message).toBe('Invalid username or password. 1 attempt left before login is locked.');
+    });
+
+    test('should lock the username when the threshold is reached', async () => {
+      mockCounters({ username: 5, ip: 5 });
+      const lockSpy = jest.spyOn(LoginLockout.prototype, 'lock').mockImplementation(async function lock() {
+        Object.assign(this, { locked: true, secondsRemaining: 15 * 60, lockedUntil: '2026-03-02T08:15:00Z', lockoutCount: 1 });
+        return true;
+      });
+
+      const outcome = await authService.recordFailedAttempt('editor', '10.0.0.1');
+
+      expect(lockSpy).toHaveBeenCalledWith(5, 15 * MINUTE);
+      expect(outcome).toMatchObject({ locked: true, scope: 'username', retryAfter: 15 * 60 });
+      expect(outcome.message).toContain('This account is locked; try again in 15 minutes');
+      expect(LoginAttempt.record).toHaveBeenCalledWith(expect.objectContaining({ triggeredLockout: ['username'] }));
+    });
+
+    test('should report a lockout started by a concurrent failure without counting it again', async () => {
+      mockCounters({ username: 6, ip: 6 });
+      jest.spyOn(LoginLockout.prototype, 'lock').mockResolvedValue(false);
+      jest.spyOn(LoginLockout, 'find').mockImplementation(async (scope) => new LoginLockout({ scope, is_locked: scope === 'username', seconds_remaining: 600 }));
+
+      const outcome = await authService.recordFailedAttempt('editor', '10.0.0.1');
+
+      expect(outcome).toMatchObject({ locked: true, scope: 'username', retryAfter: 600 });
+      expect(LoginAttempt.record).toHaveBeenCalledWith(expect.objectContaining({ triggeredLockout: [] }));
+    });
+
+    test('should not count anything while lockout is disabled', async () => {
+      authService.lockoutConfig.enabled = false;
+      const registerSpy = jest.spyOn(LoginLockout, 'registerFailure');
+
+      const outcome = await authService.recordFailedAttempt('editor', '10.0.0.1');
+
+      expect(registerSpy).not.toHaveBeenCalled();
+      expect(outcome).toMatchObject({ locked: false, attemptsRemaining: null });
+    });
+  });
+
+  describe('Checking lockouts before a login', () => {
+    test('should refuse every username from a locked IP address', async () => {
+      jest.spyOn(LoginLockout, 'find').mockImplementation(async (scope) => (
+        scope === 'ip' ? new LoginLockout({ scope: 'ip', is_locked: 1, seconds_remaining: 3 * 60 * 60 }) : null
+      ));
+
+      const result = await authService.checkRateLimit('someone-else', '10.0.0.1');
+
+      expect(result).toMatchObject({ allowed: false, scope: 'ip', retryAfter: 3 * 60 * 60 });
+      expect(result.message).toBe('Too many failed login attempts from your network. Try again in 3 hours.');
+    });
+
+    test('should allow the login when neither the username nor the IP address is locked', async () => {
+      jest.spyOn(LoginLockout, 'find').mockResolvedValue(new LoginLockout({ scope: 'username', failed_count: 3, is_locked: 0 }));
+
+      expect(await authService.checkRateLimit('editor', '10.0.0.1')).toMatchObject({ allowed: true });
+    });
+  });
+
+  describe('Identifiers', () => {
+    test('should match usernames case-insensitively but keep IP addresses as given', () => {
+      expect(LoginLockout.normalizeIdentifier('username', '  Editor ')).toBe('editor');
+      expect(LoginLockout.normalizeIdentifier('ip', '2001:DB8::1')).toBe('2001:DB8::1');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// Notice Delivery Tests - A republished notice is not sent again to email subscribers or push subscriptions
+const webpush = require('web-push');
+const subscriptionService = require('../../src/services/subscriptionService');
+const pushService = require('../../src/services/pushService');
+const Subscriber = require('../../src/models/Subscriber');
+const PushSubscription = require('../../src/models/PushSubscription');
+const EmailQueue = require('../../src/models/EmailQueue');
+const Notice = require('../../src/models/Notice');
+const Category = require('../../src/models/Category');
+
+const notice = { id: 7, title: 'Exam timetable', description: 'The timetable is attached.', priority: 'high', categories: [] };
+
+describe('📬 Notice Delivery Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(Category, 'attachToNotices').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Instant email alerts', () => {
+    test('should queue an alert only for subscribers who have not had the notice', async () => {
+      const fresh = new Subscriber({ id: 1, email: 'fresh@example.com', manage_token: 'a' });
+      const alreadySent = new Subscriber({ id: 2, email: 'sent@example.com', manage_token: 'b' });
+      jest.spyOn(Subscriber, 'findMatchingForNotice').mockResolvedValue([fresh, alreadySent]);
+      jest.spyOn(fresh, 'markNoticesSent').mockResolvedValue(1);
+      jest.spyOn(alreadySent, 'markNoticesSent').mockResolvedValue(0);
+      const enqueueSpy = jest.spyOn(EmailQueue, 'enqueue').mockResolvedValue();
+
+      const result = await subscriptionService.queueNoticeNotifications(notice);
+
+      expect(result).toEqual({ queued: 1 });
+      expect(enqueueSpy).toHaveBeenCalledTimes(1);
+      expect(enqueueSpy).toHaveBeenCalledWith(expect.objectContaining({ subscriberId: 1, noticeId: 7 }));
+    });
+  });
+
+  describe('Digests', () => {
+    test('should leave out notices already sent and record the ones in the digest', async () => {
+      const subscriber = new Subscriber({ id: 1, email: 'digest@example.com', manage_token: 'a', frequency: 'daily' });
+      jest.spyOn(Subscriber, 'findDueForDigest').mockImplementation(async (frequency) => (frequency === 'daily' ? [subscriber] : []));
+      jest.spyOn(Notice, 'findPublishedSince').mockResolvedValue([notice, { ...notice, id: 8, title: 'Library hours' }]);
+      jest.spyOn(subscriber, 'filterUnsentNotices').mockImplementation(async (notices) => notices.filter(item => item.id !== 7));
+      const markSpy = jest.spyOn(subscriber, 'markNoticesSent').mockResolvedValue(1);
+      jest.spyOn(subscriber, 'markDigestSent').mockResolvedValue();
+      const enqueueSpy = jest.spyOn(EmailQueue, 'enqueue').mockResolvedValue();
+
+      const result = await subscriptionService.queueDigests();
+
+      expect(result).toMatchObject({ queued: 1, empty: 0 });
+      expect(enqueueSpy.mock.calls[0][0].text).toContain('Library hours');
+      expect(enqueueSpy.mock.calls[0][0].text).not.toContain('Exam timetable');
+      expect(markSpy).toHaveBeenCalledWith([8]);
+    });
+  });
+
+  describe('Web Push', () => {
+    let enabled;
+
+    beforeEach(() => {
+      enabled = pushService.enabled;
+      pushService.enabled = true;
+    });
+
+    afterEach(() => {
+      pushService.enabled = enabled;
+    });
+
+    test('should push only to subscriptions that have not had the notice', async () => {
+      const fresh = new PushSubscription({ id: 1, subscription: { endpoint: 'https://push.example.com/1', keys: {} } });
+      const alreadySent = new PushSubscription({ id: 2, subscription: { endpoint: 'https://push.example.com/2', keys: {} } });
+      jest.spyOn(PushSubscription, 'findMatchingForNotice').mockResolvedValue([fresh, alreadySent]);
+      jest.spyOn(fresh, 'markNoticeSent').mockResolvedValue(true);
+      jest.spyOn(alreadySent, 'markNoticeSent').mockResolvedValue(false);
+      jest.spyOn(fresh, 'recordSuccess').mockResolvedValue();
+      const sendSpy = jest.spyOn(webpush, 'sendNotification').mockResolvedValue({ statusCode: 201 });
+
+      const result = await pushService.sendNoticeNotifications(notice);
+
+      expect(result).toEqual({ sent: 1, failed: 0, removed: 0, skipped: 1 });
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Notice Recurrence Tests - Occurrence dates of weekly, monthly and semester rules
+const NoticeRecurrence = require('../../src/models/NoticeRecurrence');
+
+const occurrences = (startsAt, frequency, count) => Array.from({ length: count }, (_, index) =>
+  NoticeRecurrence.getOccurrence(startsAt, frequency, index).toISOString()
+);
+
+describe('🔁 Notice Recurrence Tests', () => {
+  describe('Weekly rules', () => {
+    test('should repeat every seven days at the same time', () => {
+      expect(occurrences('2026-03-02T03:30:00Z', 'weekly', 3)).toEqual([
+        '2026-03-02T03:30:00.000Z',
+        '2026-03-09T03:30:00.000Z',
+        '2026-03-16T03:30:00.000Z'
+      ]);
+    });
+  });
+
+  describe('Monthly rules', () => {
+    test('should keep the day of the month and the time of day', () => {
+      expect(occurrences('2026-01-15T09:00:00Z', 'monthly', 3)).toEqual([
+        '2026-01-15T09:00:00.000Z',
+        '2026-02-15T09:00:00.000Z',
+        '2026-03-15T09:00:00.000Z'
+      ]);
+    });
+
+    test('should clamp the 31st to the last day of shorter months', () => {
+      expect(occurrences('2026-01-31T09:00:00Z', 'monthly', 5)).toEqual([
+        '2026-01-31T09:00:00.000Z',
+        '2026-02-28T09:00:00.000Z',
+        '2026-03-31T09:00:00.000Z',
+        '2026-04-30T09:00:00.000Z',
+        '2026-05-31T09:00:00.000Z'
+      ]);
+    });
+
+    test('should use 29 February in leap years', () => {
+      expect(NoticeRecurrence.getOccurrence('2028-01-30T09:00:00Z', 'monthly', 1).toISOString()).toBe('2028-02-29T09:00:00.000Z');
+    });
+
+    test('should carry on into the next year', () => {
+      expect(occurrences('2026-11-30T09:00:00Z', 'monthly', 4)).toEqual([
+        '2026-11-30T09:00:00.000Z',
+        '2026-12-30T09:00:00.000Z',
+        '2027-01-30T09:00:00.000Z',
+        '2027-02-28T09:00:00.000Z'
+      ]);
+    });
+
+    test('should count each occurrence from the start rather than the clamped previous one', () => {
+      expect(NoticeRecurrence.getOccurrence('2026-01-31T09:00:00Z', 'monthly', 12).toISOString()).toBe('2027-01-31T09:00:00.000Z');
+    });
+  });
+
+  describe('Semester rules', () => {
+    test('should repeat every six months and clamp the day of the month', () => {
+      expect(occurrences('2026-08-31T09:00:00Z', 'semester', 3)).toEqual([
+        '2026-08-31T09:00:00.000Z',
+        '2027-02-28T09:00:00.000Z',
+        '2027-08-31T09:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('Next occurrence', () => {
+    test('should return the first occurrence strictly after the reference time', () => {
+      const next = NoticeRecurrence.getNextOccurrence('2026-01-31T09:00:00Z', 'monthly', new Date('2026-02-28T09:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-03-31T09:00:00.000Z');
+    });
+
+    test('should return the start of a rule that has not started yet', () => {
+      const next = NoticeRecurrence.getNextOccurrence('2026-09-01T09:00:00Z', 'semester', new Date('2026-03-02T00:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-09-01T09:00:00.000Z');
+    });
+
+    test('should keep every gap at least the shortest period of the frequency', () => {
+      for (const frequency of NoticeRecurrence.VALID_FREQUENCIES) {
+        const dates = occurrences('2026-01-31T09:00:00Z', frequency, 25).map(value => new Date(value).getTime());
+        const shortestGap = Math.min(...dates.slice(1).map((value, index) => value - dates[index]));
+
+        expect(shortestGap).toBeGreaterThanOrEqual(NoticeRecurrence.MIN_PERIOD_DAYS[frequency] * 24 * 60 * 60 * 1000);
+      }
+    });
+  });
+});
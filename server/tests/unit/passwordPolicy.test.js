@@ -0,0 +1,125 @@
+// Password Policy Tests - Password history reuse checks and the maximum password age
+const bcrypt = require('bcryptjs');
+const authService = require('../../src/services/authService');
+const secureDatabase = require('../../src/config/database');
+const User = require('../../src/models/User');
+const PasswordHistory = require('../../src/models/PasswordHistory');
+const { config } = require('../../src/config/environment');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('🔁 Password Policy Tests', () => {
+  let passwordPolicy;
+  let hashes;
+
+  beforeAll(async () => {
+    // Low cost factor: only the comparison logic is under test
+    hashes = {
+      current: await bcrypt.hash('Current#Pass2026', 4),
+      previous: await bcrypt.hash('Previous#Pass2025', 4),
+      older: await bcrypt.hash('Older#Pass2024', 4)
+    };
+  });
+
+  beforeEach(() => {
+    passwordPolicy = { ...config.passwordPolicy };
+    Object.assign(config.passwordPolicy, { historySize: 3, maxAgeDays: 0 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.passwordPolicy, passwordPolicy);
+    jest.restoreAllMocks();
+  });
+
+  describe('Password history', () => {
+    let getRecentSpy;
+
+    beforeEach(() => {
+      const user = new User({ id: 3, username: 'editor' });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(user, 'getPasswordHash').mockResolvedValue(hashes.current);
+      getRecentSpy = jest.spyOn(PasswordHistory, 'getRecent').mockImplementation(async (userId, limit) => (
+        [hashes.previous, hashes.older].slice(0, limit).map(passwordHash => new PasswordHistory({ passwordHash }))
+      ));
+    });
+
+    test('should refuse the current password', async () => {
+      expect(await authService.checkPasswordHistory(3, 'Current#Pass2026')).toBe(true);
+    });
+
+    test('should refuse a password still in the history', async () => {
+      expect(await authService.checkPasswordHistory(3, 'Previous#Pass2025')).toBe(true);
+    });
+
+    test('should count the current password towards the history size', async () => {
+      await authService.checkPasswordHistory(3, 'Brand#New2026');
+
+      expect(getRecentSpy).toHaveBeenCalledWith(3, 2);
+    });
+
+    test('should accept a password older than the history', async () => {
+      config.passwordPolicy.historySize = 2;
+
+      expect(await authService.checkPasswordHistory(3, 'Older#Pass2024')).toBe(false);
+    });
+
+    test('should only compare against the current password with a history size of one', async () => {
+      config.passwordPolicy.historySize = 1;
+
+      expect(await authService.checkPasswordHistory(3, 'Previous#Pass2025')).toBe(false);
+      expect(getRecentSpy).not.toHaveBeenCalled();
+    });
+
+    test('should not check anything when the history is switched off', async () => {
+      config.passwordPolicy.historySize = 0;
+
+      expect(await authService.checkPasswordHistory(3, 'Current#Pass2026')).toBe(false);
+    });
+  });
+
+  describe('Recording replaced passwords', () => {
+    test('should move the replaced hash into the history and prune to the size minus the current one', async () => {
+      const user = new User({ id: 3, username: 'editor' });
+      jest.spyOn(user, 'getPasswordHash').mockResolvedValue(hashes.current);
+      jest.spyOn(secureDatabase, 'executeQuery').mockResolvedValue({ rows: [], affectedRows: 1 });
+      const addSpy = jest.spyOn(PasswordHistory, 'add').mockResolvedValue();
+      const pruneSpy = jest.spyOn(PasswordHistory, 'prune').mockResolvedValue();
+
+      await user.updatePassword(hashes.previous);
+
+      expect(addSpy).toHaveBeenCalledWith(3, hashes.current);
+      expect(pruneSpy).toHaveBeenCalledWith(3, 2);
+    });
+  });
+
+  describe('Password expiry', () => {
+    test('should never expire passwords without a maximum age', () => {
+      expect(authService.getPasswordStatus({ passwordChangedAt: new Date(Date.now() - 1000 * DAY) }))
+        .toEqual({ passwordChangeRequired: false, passwordExpiresAt: null });
+    });
+
+    test('should require a change once the maximum age has passed', () => {
+      config.passwordPolicy.maxAgeDays = 90;
+      const changedAt = new Date(Date.now() - 91 * DAY);
+
+      expect(authService.getPasswordStatus({ passwordChangedAt: changedAt })).toEqual({
+        passwordChangeRequired: true,
+        passwordExpiresAt: new Date(changedAt.getTime() + 90 * DAY).toISOString()
+      });
+    });
+
+    test('should report the expiry date of a password that is still valid', () => {
+      config.passwordPolicy.maxAgeDays = 90;
+      const status = authService.getPasswordStatus({ passwordChangedAt: new Date(Date.now() - 10 * DAY) });
+
+      expect(status.passwordChangeRequired).toBe(false);
+      expect(new Date(status.passwordExpiresAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should fall back to the account creation date', () => {
+      config.passwordPolicy.maxAgeDays = 30;
+
+      expect(authService.getPasswordStatus({ createdAt: new Date(Date.now() - 31 * DAY) }).passwordChangeRequired).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Password Reset Tests - Emailed reset tokens, the rules of a new password and the log email transport
+const authService = require('../../src/services/authService');
+const emailService = require('../../src/services/emailService');
+const User = require('../../src/models/User');
+const PasswordResetToken = require('../../src/models/PasswordResetToken');
+const UserSession = require('../../src/models/UserSession');
+const LoginLockout = require('../../src/models/LoginLockout');
+
+const NEW_PASSWORD = 'Fresh#Start2026';
+
+describe('📧 Password Reset Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Resetting with a token', () => {
+    let user;
+    let resetToken;
+
+    beforeEach(() => {
+      user = new User({ id: 3, username: 'editor', email: 'editor@example.com', is_active: 1 });
+      resetToken = new PasswordResetToken({ id: 8, user_id: 3 });
+      jest.spyOn(PasswordResetToken, 'findValid').mockResolvedValue(resetToken);
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(authService, 'validatePasswordStrength').mockResolvedValue({ valid: true });
+      jest.spyOn(authService, 'hashPassword').mockResolvedValue('new-hash');
+      jest.spyOn(user, 'updatePassword').mockResolvedValue(true);
+      jest.spyOn(PasswordResetToken, 'invalidateForUser').mockResolvedValue();
+      jest.spyOn(UserSession, 'revokeAllUserSessions').mockResolvedValue();
+      jest.spyOn(emailService, 'send').mockResolvedValue({});
+    });
+
+    test('should refuse an unknown or expired token', async () => {
+      PasswordResetToken.findValid.mockResolvedValue(null);
+
+      expect(await authService.resetPassword('expired', NEW_PASSWORD)).toMatchObject({ success: false, reason: 'invalid_token' });
+    });
+
+    test('should refuse a password from the history without using up the token', async () => {
+      jest.spyOn(authService, 'checkPasswordHistory').mockResolvedValue(true);
+      const consumeSpy = jest.spyOn(resetToken, 'consume');
+
+      expect(await authService.resetPassword('token', NEW_PASSWORD)).toMatchObject({ success: false, reason: 'password_reused' });
+      expect(consumeSpy).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a token another request has just used', async () => {
+      jest.spyOn(authService, 'checkPasswordHistory').mockResolvedValue(false);
+      jest.spyOn(resetToken, 'consume').mockResolvedValue(false);
+
+      expect(await authService.resetPassword('token', NEW_PASSWORD)).toMatchObject({ success: false, reason: 'invalid_token' });
+      expect(user.updatePassword).not.toHaveBeenCalled();
+    });
+
+    test('should set the password, revoke every session and lift a username lockout', async () => {
+      jest.spyOn(authService, 'checkPasswordHistory').mockResolvedValue(false);
+      jest.spyOn(resetToken, 'consume').mockResolvedValue(true);
+      const lockout = new LoginLockout({ id: 1, scope: 'username', identifier: 'editor', is_locked: 1 });
+      jest.spyOn(LoginLockout, 'find').mockResolvedValue(lockout);
+      const unlockSpy = jest.spyOn(lockout, 'unlock').mockResolvedValue(lockout);
+
+      expect(await authService.resetPassword('token', NEW_PASSWORD)).toMatchObject({ success: true });
+      expect(user.updatePassword).toHaveBeenCalledWith('new-hash');
+      expect(UserSession.revokeAllUserSessions).toHaveBeenCalledWith(3);
+      expect(unlockSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Log transport', () => {
+    test('should print the text body, reset link included, outside production', async () => {
+      const transport = emailService.createLogTransport();
+
+      await transport.sendMail({ to: 'editor@example.com', subject: 'Reset your password', text: 'Open https://notices.example.lk/reset-password?token=abc' });
+
+      expect(console.log).toHaveBeenCalledWith('Open https://notices.example.lk/reset-password?token=abc');
+    });
+
+    test('should print only the summary in production', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      console.log.mockClear();
+
+      try {
+        await emailService.createLogTransport().sendMail({ to: 'editor@example.com', subject: 'Reset your password', text: 'secret link' });
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(console.log).not.toHaveBeenCalledWith('secret link');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// Refresh Token Tests - Single-use rotation and revoking the session when a used token comes back
+const crypto = require('crypto');
+const authService = require('../../src/services/authService');
+const RefreshToken = require('../../src/models/RefreshToken');
+const UserSession = require('../../src/models/UserSession');
+const User = require('../../src/models/User');
+const { config } = require('../../src/config/environment');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('🔄 Refresh Token Tests', () => {
+  let tokens;
+  let session;
+  let reuseGraceSeconds;
+
+  // Move the first use of a token back in time, past or within the grace period
+  const usedSecondsAgo = (token, seconds) => {
+    tokens.get(token).usedAt = new Date(Date.now() - seconds * 1000);
+  };
+
+  beforeEach(() => {
+    reuseGraceSeconds = config.refreshToken.reuseGraceSeconds;
+    config.refreshToken.reuseGraceSeconds = 10;
+
+    // In-memory refresh_tokens table keyed by the plain token
+    tokens = new Map();
+    let nextId = 1;
+
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (sessionId, ttlDays) => {
+      const refreshToken = crypto.randomBytes(32).toString('hex');
+      const record = new RefreshToken({ id: nextId++, session_id: sessionId, expires_at: new Date(Date.now() + ttlDays * DAY) });
+      tokens.set(refreshToken, record);
+      return { refreshToken, record };
+    });
+    jest.spyOn(RefreshToken, 'findByToken').mockImplementation(async (token) => (
+      tokens.has(token) ? new RefreshToken({ ...tokens.get(token) }) : null
+    ));
+    // Same effect as the conditional UPDATE: only the first caller marks a token used
+    jest.spyOn(RefreshToken.prototype, 'consume').mockImplementation(async function consume() {
+      const stored = [...tokens.values()].find(record => record.id === this.id);
+      if (stored.usedAt) return false;
+      stored.usedAt = new Date();
+      return true;
+    });
+
+    session = new UserSession({ id: 12, user_id: 3, username: 'editor', is_active: true, expires_at: new Date(Date.now() + 7 * DAY) });
+    jest.spyOn(UserSession, 'findById').mockImplementation(async () => session);
+    jest.spyOn(session, 'extend').mockResolvedValue();
+    jest.spyOn(session, 'revoke').mockImplementation(async () => {
+      session.isActive = false;
+      return true;
+    });
+
+    jest.spyOn(User, 'findById').mockResolvedValue(new User({ id: 3, username: 'editor', role: 'editor', is_active: 1 }));
+  });
+
+  afterEach(() => {
+    config.refreshToken.reuseGraceSeconds = reuseGraceSeconds;
+    jest.restoreAllMocks();
+  });
+
+  test('should exchange a refresh token for an access token and a new refresh token', async () => {
+    const first = await authService.issueRefreshToken(session.id);
+
+    const result = await authService.refreshAccessToken(first);
+
+    expect(result.success).toBe(true);
+    expect(result.accessToken).toEqual(expect.any(String));
+    expect(result.refreshToken).not.toBe(first);
+    expect(session.extend).toHaveBeenCalled();
+  });
+
+  test('should keep rotating as long as each new token is used once', async () => {
+    let token = await authService.issueRefreshToken(session.id);
+
+    for (let i = 0; i < 3; i++) {
+      const result = await authService.refreshAccessToken(token);
+      expect(result.success).toBe(true);
+      token = result.refreshToken;
+    }
+
+    expect(session.revoke).not.toHaveBeenCalled();
+  });
+
+  test('should revoke the session when a used token is presented again after the grace period', async () => {
+    const first = await authService.issueRefreshToken(session.id);
+    await authService.refreshAccessToken(first);
+    usedSecondsAgo(first, 11);
+
+    const replay = await authService.refreshAccessToken(first);
+
+    expect(replay).toMatchObject({ success: false, reason: 'token_reused' });
+    expect(session.revoke).toHaveBeenCalled();
+  });
+
+  test('should refuse the newest token of a family once reuse revoked the session', async () => {
+    const first = await authService.issueRefreshToken(session.id);
+    const { refreshToken: second } = await authService.refreshAccessToken(first);
+    usedSecondsAgo(first, 60);
+    await authService.refreshAccessToken(first);
+
+    expect(await authService.refreshAccessToken(second)).toMatchObject({ success: false, reason: 'invalid_session' });
+  });
+
+  test('should give two tabs refreshing with the same token a token each', async () => {
+    const first = await authService.issueRefreshToken(session.id);
+
+    const results = await Promise.all([authService.refreshAccessToken(first), authService.refreshAccessToken(first)]);
+
+    expect(results.map(result => result.success)).toEqual([true, true]);
+    expect(results[0].refreshToken).not.toBe(results[1].refreshToken);
+    expect(session.revoke).not.toHaveBeenCalled();
+  });
+
+  test('should accept the same token twice within the grace period', async () => {
+    const first = await authService.issueRefreshToken(session.id);
+    await authService.refreshAccessToken(first);
+    usedSecondsAgo(first, 9);
+
+    const second = await authService.refreshAccessToken(first);
+
+    expect(second.success).toBe(true);
+    expect(await authService.refreshAccessToken(second.refreshToken)).toMatchObject({ success: true });
+    expect(session.revoke).not.toHaveBeenCalled();
+  });
+
+  test('should treat every second use as a replay with the grace period turned off', async () => {
+    config.refreshToken.reuseGraceSeconds = 0;
+    const first = await authService.issueRefreshToken(session.id);
+
+    const results = await Promise.all([authService.refreshAccessToken(first), authService.refreshAccessToken(first)]);
+
+    expect(results.map(result => result.success).sort()).toEqual([false, true]);
+    expect(results.find(result => !result.success).reason).toBe('token_reused');
+    expect(session.revoke).toHaveBeenCalled();
+  });
+
+  test('should refuse unknown and expired tokens without revoking the session', async () => {
+    expect(await authService.refreshAccessToken('f'.repeat(64))).toMatchObject({ success: false, reason: 'invalid_token' });
+
+    const expired = await authService.issueRefreshToken(session.id);
+    tokens.get(expired).expiresAt = new Date(Date.now() - 1000);
+
+    expect(await authService.refreshAccessToken(expired)).toMatchObject({ success: false, reason: 'invalid_token' });
+    expect(session.revoke).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+// Slug Transliteration Tests - Romanized slugs for Sinhala, Tamil and accented titles
+const { transliterateSyllabic, generateSlug } = require('../../src/utils/slugGenerator');
+const secureDatabase = require('../../src/config/database');
+const Notice = require('../../src/models/Notice');
+
+describe('🔤 Slug Transliteration Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Sinhala', () => {
+    test('should give consonants their inherent vowel and replace it with vowel signs', () => {
+      expect(transliterateSyllabic('විභාග')).toBe('vibhaaga');
+    });
+
+    test('should drop the inherent vowel after al-lakuna and ignore the zero-width joiner', () => {
+      expect(transliterateSyllabic('ප්‍රතිඵල')).toBe('prathiphala');
+      expect(transliterateSyllabic('ශ්‍රී')).toBe('shrii');
+    });
+
+    test('should recompose split vowel signs before romanizing', () => {
+      expect(transliterateSyllabic('පොත'.normalize('NFD'))).toBe('potha');
+    });
+
+    test('should convert Sinhala digits', () => {
+      expect(transliterateSyllabic('෧෨')).toBe('12');
+    });
+  });
+
+  describe('Tamil', () => {
+    test('should romanize vowel signs and drop the inherent vowel after pulli', () => {
+      expect(transliterateSyllabic('தேர்வு முடிவுகள்')).toBe('theervu mutivukal');
+    });
+
+    test('should recompose two-part vowel signs', () => {
+      expect(transliterateSyllabic('பொது'.normalize('NFD'))).toBe('pothu');
+    });
+
+    test('should convert Tamil digits', () => {
+      expect(transliterateSyllabic('௧௨')).toBe('12');
+    });
+  });
+
+  describe('Mixed text', () => {
+    test('should leave Latin text, digits and punctuation untouched', () => {
+      expect(transliterateSyllabic('Exam results — විභාග 2026')).toBe('Exam results — vibhaaga 2026');
+    });
+
+    test('should treat missing text as empty', () => {
+      expect(transliterateSyllabic(null)).toBe('');
+    });
+  });
+
+  describe('Generated slugs', () => {
+    test.each([
+      ['විභාග ප්‍රතිඵල 2026', 'vibhaaga-prathiphala-2026'],
+      ['தேர்வு முடிவுகள் 2026', 'theervu-mutivukal-2026'],
+      ['ශ්‍රී ලංකා', 'shrii-lankaa'],
+      ['Café Résumé Day', 'cafe-resume-day'],
+      ['Exam results — විභාග', 'exam-results-vibhaaga']
+    ])('should turn "%s" into "%s"', (title, slug) => {
+      expect(generateSlug(title)).toMatchObject({ success: true, slug });
+    });
+
+    test('should romanize notice slugs and number them when taken', async () => {
+      jest.spyOn(secureDatabase, 'executeQuery')
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await Notice.generateUniqueSlug('විභාග ප්‍රතිඵල')).toBe('vibhaaga-prathiphala-1');
+      expect(secureDatabase.executeQuery).toHaveBeenNthCalledWith(1, expect.any(String), ['vibhaaga-prathiphala']);
+    });
+
+    test('should romanize Tamil notice titles instead of falling back to a timestamp', async () => {
+      jest.spyOn(secureDatabase, 'executeQuery').mockResolvedValue({ rows: [] });
+
+      expect(await Notice.generateUniqueSlug('பொது அறிவித்தல்')).toBe('pothu-ariviththal');
+    });
+  });
+});
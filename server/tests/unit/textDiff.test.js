@@ -0,0 +1,101 @@
+// Text Diff Tests - Line diffs of plain and rich text notice revisions
+const { diffLines, TextDiff } = require('../../src/utils/textDiff');
+
+// Rebuild one side of the diff from its changes
+const side = (changes, type) => changes.filter(change => change.type !== type).map(change => change.value);
+
+describe('🔀 Text Diff Tests', () => {
+  describe('Splitting into lines', () => {
+    const builder = new TextDiff();
+
+    test('should split on LF and CRLF and drop trailing whitespace', () => {
+      expect(builder.toLines('First  \r\nSecond\nThird\t')).toEqual(['First', 'Second', 'Third']);
+    });
+
+    test('should keep blank lines inside the text but not a trailing one', () => {
+      expect(builder.toLines('First\n\nSecond\n')).toEqual(['First', '', 'Second']);
+    });
+
+    test('should start a new line after block-level tags in rich text', () => {
+      expect(builder.toLines('<p>Intro</p><ul><li>One</li><li>Two</li></ul>Line<br/>Break')).toEqual([
+        '<p>Intro</p>',
+        '<ul><li>One</li>',
+        '<li>Two</li>',
+        '</ul>',
+        'Line<br/>',
+        'Break'
+      ]);
+    });
+
+    test('should treat null and undefined as no lines', () => {
+      expect(builder.toLines(null)).toEqual([]);
+      expect(builder.toLines(undefined)).toEqual([]);
+    });
+  });
+
+  describe('Diffing', () => {
+    test('should report identical texts as all equal', () => {
+      const diff = diffLines('One\nTwo', 'One\nTwo');
+
+      expect(diff).toEqual({
+        changes: [{ type: 'equal', value: 'One' }, { type: 'equal', value: 'Two' }],
+        added: 0,
+        removed: 0
+      });
+    });
+
+    test('should show a changed line as removed then added', () => {
+      const diff = diffLines('Venue: Hall A\nTime: 10:00', 'Venue: Hall B\nTime: 10:00');
+
+      expect(diff.changes).toEqual([
+        { type: 'removed', value: 'Venue: Hall A' },
+        { type: 'added', value: 'Venue: Hall B' },
+        { type: 'equal', value: 'Time: 10:00' }
+      ]);
+      expect(diff).toMatchObject({ added: 1, removed: 1 });
+    });
+
+    test('should keep the common lines around insertions and deletions', () => {
+      const diff = diffLines('A\nB\nC\nD', 'A\nC\nD\nE');
+
+      expect(diff.changes.filter(change => change.type === 'equal').map(change => change.value)).toEqual(['A', 'C', 'D']);
+      expect(diff).toMatchObject({ added: 1, removed: 1 });
+    });
+
+    test('should rebuild both texts from the changes', () => {
+      const oldText = 'Exams start on Monday\nBring your ID\nNo phones\nGood luck';
+      const newText = 'Exams start on Tuesday\nBring your ID\nGood luck\nResults in May';
+      const { changes } = diffLines(oldText, newText);
+
+      expect(side(changes, 'added')).toEqual(oldText.split('\n'));
+      expect(side(changes, 'removed')).toEqual(newText.split('\n'));
+    });
+
+    test('should diff against an empty side', () => {
+      expect(diffLines(null, 'New\nText')).toMatchObject({ added: 2, removed: 0 });
+      expect(diffLines('Old\nText', '')).toMatchObject({ added: 0, removed: 2 });
+    });
+
+    test('should diff rich text by block', () => {
+      const diff = diffLines('<p>Intro</p><p>Hall A</p>', '<p>Intro</p><p>Hall B</p>');
+
+      expect(diff.changes).toEqual([
+        { type: 'equal', value: '<p>Intro</p>' },
+        { type: 'removed', value: '<p>Hall A</p>' },
+        { type: 'added', value: '<p>Hall B</p>' }
+      ]);
+    });
+
+    test('should replace the whole text when the texts are too large to compare', () => {
+      const builder = new TextDiff();
+      builder.maxMatrixCells = 4;
+      const lcsSpy = jest.spyOn(builder, 'computeLcsDiff');
+
+      const diff = builder.diffLines('A\nB\nC', 'A\nB\nD');
+
+      expect(lcsSpy).not.toHaveBeenCalled();
+      expect(diff).toMatchObject({ added: 3, removed: 3 });
+      expect(diff.changes.map(change => change.type)).toEqual(['removed', 'removed', 'removed', 'added', 'added', 'added']);
+    });
+  });
+});
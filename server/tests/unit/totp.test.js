@@ -0,0 +1,125 @@
+// TOTP Tests - RFC 6238 codes, the clock drift window and replay protection
+const totp = require('../../src/utils/totp');
+const twoFactorService = require('../../src/services/twoFactorService');
+const UserTwoFactor = require('../../src/models/UserTwoFactor');
+const { Totp } = totp;
+
+// RFC 6238 appendix B: the SHA-1 seed is the ASCII string "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  { time: 59, code: '94287082' },
+  { time: 1111111109, code: '07081804' },
+  { time: 1111111111, code: '14050471' },
+  { time: 1234567890, code: '89005924' },
+  { time: 2000000000, code: '69279037' },
+  { time: 20000000000, code: '65353130' }
+];
+
+describe('⏱️ TOTP Tests', () => {
+  describe('RFC 6238 test vectors', () => {
+    test('should decode the base32 seed of the RFC', () => {
+      const builder = new Totp();
+      expect(builder.base32Decode(RFC_SECRET).toString('ascii')).toBe('12345678901234567890');
+      expect(builder.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    });
+
+    test.each(RFC_VECTORS)('should produce $code at $time seconds (8 digits)', ({ time, code }) => {
+      const builder = new Totp();
+      builder.digits = 8;
+
+      expect(builder.generateCode(RFC_SECRET, builder.getStep(time * 1000))).toBe(code);
+    });
+
+    test.each(RFC_VECTORS)('should produce the last six digits of $code at $time seconds', ({ time, code }) => {
+      expect(totp.generateCode(RFC_SECRET, totp.getStep(time * 1000))).toBe(code.slice(-6));
+    });
+  });
+
+  describe('Verification window', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = totp.getStep(timestamp);
+
+    test('should accept the current step and one step either side', () => {
+      for (const offset of [-1, 0, 1]) {
+        const code = totp.generateCode(RFC_SECRET, step + offset);
+        expect(totp.verifyCode(RFC_SECRET, code, { timestamp })).toBe(step + offset);
+      }
+    });
+
+    test('should reject codes two steps away', () => {
+      for (const offset of [-2, 2]) {
+        const code = totp.generateCode(RFC_SECRET, step + offset);
+        expect(totp.verifyCode(RFC_SECRET, code, { timestamp })).toBeNull();
+      }
+    });
+
+    test('should ignore spaces but reject malformed codes', () => {
+      const code = totp.generateCode(RFC_SECRET, step);
+
+      expect(totp.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { timestamp })).toBe(step);
+      expect(totp.verifyCode(RFC_SECRET, code.slice(1), { timestamp })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, `${code}0`, { timestamp })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, null, { timestamp })).toBeNull();
+    });
+  });
+
+  describe('Replay protection', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = totp.getStep(timestamp);
+
+    test('should reject a code from a step that was already used', () => {
+      const code = totp.generateCode(RFC_SECRET, step);
+      expect(totp.verifyCode(RFC_SECRET, code, { timestamp, afterStep: step })).toBeNull();
+    });
+
+    test('should reject an earlier code still inside the window once a later step was used', () => {
+      const code = totp.generateCode(RFC_SECRET, step - 1);
+      expect(totp.verifyCode(RFC_SECRET, code, { timestamp, afterStep: step })).toBeNull();
+    });
+
+    test('should accept a later step than the last one used', () => {
+      const code = totp.generateCode(RFC_SECRET, step + 1);
+      expect(totp.verifyCode(RFC_SECRET, code, { timestamp, afterStep: step })).toBe(step + 1);
+    });
+  });
+
+  describe('Two-factor login', () => {
+    const user = { id: 3, username: 'editor' };
+    let record;
+
+    beforeEach(() => {
+      record = new UserTwoFactor({ user_id: 3, secret: twoFactorService.encryptSecret(RFC_SECRET), enabled: 1, last_used_step: null });
+      jest.spyOn(UserTwoFactor, 'findByUserId').mockImplementation(async () => record);
+      // Stands in for the conditional UPDATE: a step is used once, and only after the last one
+      jest.spyOn(UserTwoFactor.prototype, 'useStep').mockImplementation(async function useStep(step) {
+        if (this.lastUsedStep !== null && step <= this.lastUsedStep) return false;
+        this.lastUsedStep = step;
+        return true;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should accept a current code once and refuse it when replayed', async () => {
+      const code = totp.generateCode(RFC_SECRET);
+
+      expect(await twoFactorService.verify(user, { code })).toMatchObject({ success: true, method: 'totp' });
+      expect(await twoFactorService.verify(user, { code })).toMatchObject({ success: false, reason: 'invalid_code' });
+    });
+  });
+
+  describe('Provisioning', () => {
+    test('should generate 160-bit base32 secrets', () => {
+      expect(totp.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+
+    test('should build an otpauth URI with an encoded label', () => {
+      const url = totp.buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'editor', issuer: 'SLIATE Notices' });
+
+      expect(url).toBe(`otpauth://totp/SLIATE%20Notices%3Aeditor?secret=${RFC_SECRET}&issuer=SLIATE%20Notices&algorithm=SHA1&digits=6&period=30`);
+    });
+  });
+});
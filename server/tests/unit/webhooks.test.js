@@ -0,0 +1,185 @@
+// Webhook Delivery Tests - Signed requests, retry backoff and switching off failing endpoints
+const crypto = require('crypto');
+const webhookService = require('../../src/services/webhookService');
+const secureDatabase = require('../../src/config/database');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+
+const SECRET = 'whsec_test_secret';
+
+const newWebhook = (data = {}) => new Webhook({ id: 3, name: 'Telegram bot', url: 'https://bot.example.lk/hooks', secret: SECRET, events: ['*'], ...data });
+const newDelivery = (data = {}) => new WebhookDelivery({
+  id: 21,
+  webhookId: 3,
+  event: 'notice.published',
+  eventId: 'evt-1',
+  payload: { id: 'evt-1', event: 'notice.published', data: { notice: { id: 40, title: 'Exam timetable' } } },
+  status: 'sending',
+  attempts: 1,
+  ...data
+});
+
+describe('🪝 Webhook Delivery Tests', () => {
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+
+    // UPDATE webhook_deliveries parameters: [status, responseStatus, durationMs, responseBody, errorMessage, delayMinutes, id]
+    jest.spyOn(secureDatabase, 'executeQuery').mockImplementation(async (sql, params) => {
+      updates.push({ sql, params });
+      return { rows: [], affectedRows: 1 };
+    });
+    jest.spyOn(WebhookDelivery, 'findById').mockImplementation(async (id) => {
+      const recorded = [...updates].reverse().find(update => update.sql.includes('UPDATE webhook_deliveries'));
+      return recorded ? { id, status: recorded.params[0] } : null;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const deliveryUpdates = () => updates.filter(update => update.sql.includes('UPDATE webhook_deliveries'));
+
+  describe('Signing', () => {
+    test('should sign "<timestamp>.<body>" with HMAC-SHA256 and the webhook secret', () => {
+      const body = JSON.stringify({ id: 'evt-1', event: 'ping' });
+      const expected = crypto.createHmac('sha256', SECRET).update(`1767225600.${body}`).digest('hex');
+
+      expect(webhookService.sign(SECRET, 1767225600, body)).toBe(expected);
+    });
+
+    test('should give a different signature for another timestamp or body', () => {
+      const signature = webhookService.sign(SECRET, 1767225600, '{}');
+
+      expect(webhookService.sign(SECRET, 1767225601, '{}')).not.toBe(signature);
+      expect(webhookService.sign(SECRET, 1767225600, '{"a":1}')).not.toBe(signature);
+      expect(webhookService.sign('whsec_other', 1767225600, '{}')).not.toBe(signature);
+    });
+
+    test('should send a signature receivers can recompute from the headers and raw body', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ status: 200, ok: true, text: async () => 'ok' });
+      jest.spyOn(Webhook.prototype, 'recordDeliveryOutcome').mockResolvedValue();
+
+      await webhookService.attempt(newDelivery(), newWebhook());
+
+      const [url, request] = fetchSpy.mock.calls[0];
+      const timestamp = request.headers['X-SLIATE-Timestamp'];
+      const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+
+      expect(url).toBe('https://bot.example.lk/hooks');
+      expect(request.body).toBe(JSON.stringify(newDelivery().payload));
+      expect(request.headers['X-SLIATE-Signature']).toBe(`sha256=${expected}`);
+      expect(Math.abs(parseInt(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+    });
+  });
+
+  describe('Retry backoff', () => {
+    test('should wait 1, 5, 30, 120 and 720 minutes before the following attempts', async () => {
+      for (let attempts = 1; attempts <= 5; attempts++) {
+        await newDelivery({ attempts }).recordAttempt({ success: false, errorMessage: 'HTTP 500' }, 6);
+      }
+
+      expect(deliveryUpdates().map(update => update.params[5])).toEqual(WebhookDelivery.RETRY_DELAYS_MINUTES);
+      expect(deliveryUpdates().map(update => update.params[0])).toEqual(['pending', 'pending', 'pending', 'pending', 'pending']);
+    });
+
+    test('should keep the last delay once the schedule runs out', async () => {
+      await newDelivery({ attempts: 7 }).recordAttempt({ success: false }, 10);
+
+      expect(deliveryUpdates()[0].params[5]).toBe(720);
+    });
+
+    test('should give up after the last allowed attempt', async () => {
+      const delivery = await newDelivery({ attempts: 6 }).recordAttempt({ success: false, errorMessage: 'HTTP 500' }, 6);
+
+      expect(delivery.status).toBe('failed');
+    });
+
+    test('should not retry deliveries marked as final', async () => {
+      const delivery = await newDelivery({ attempts: 1 }).recordAttempt({ success: false, retry: false }, 6);
+
+      expect(delivery.status).toBe('failed');
+    });
+
+    test('should mark a 2xx response as delivered', async () => {
+      const delivery = await newDelivery().recordAttempt({ success: true, responseStatus: 204 }, 6);
+
+      expect(delivery.status).toBe('success');
+      expect(deliveryUpdates()[0].sql).toContain('delivered_at = NOW()');
+    });
+
+    test('should queue a failed response for another attempt', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ status: 503, ok: false, text: async () => 'down' });
+
+      const delivery = await webhookService.attempt(newDelivery(), newWebhook());
+
+      expect(delivery.status).toBe('pending');
+      expect(deliveryUpdates()[0].params.slice(0, 5)).toEqual(['pending', 503, expect.any(Number), 'down', 'Endpoint responded with HTTP 503']);
+    });
+  });
+
+  describe('Disabling failing webhooks', () => {
+    const finished = (...statuses) => ({ rows: statuses.map(status => ({ status })) });
+
+    test('should switch a webhook off when its last deliveries all failed', async () => {
+      secureDatabase.executeQuery.mockResolvedValueOnce(finished('failed', 'failed', 'failed'));
+      const webhook = newWebhook();
+
+      expect(await webhook.disableIfFailing(3)).toBe(true);
+      expect(webhook.isActive).toBe(false);
+      expect(secureDatabase.executeQuery).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE webhooks SET is_active = FALSE'), [3]);
+    });
+
+    test('should keep a webhook on when one of its last deliveries succeeded', async () => {
+      secureDatabase.executeQuery.mockResolvedValueOnce(finished('failed', 'success', 'failed'));
+      const webhook = newWebhook();
+
+      expect(await webhook.disableIfFailing(3)).toBe(false);
+      expect(webhook.isActive).toBe(true);
+      expect(secureDatabase.executeQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep a webhook on until it has enough finished deliveries', async () => {
+      secureDatabase.executeQuery.mockResolvedValueOnce(finished('failed', 'failed'));
+
+      expect(await newWebhook().disableIfFailing(3)).toBe(false);
+    });
+
+    test('should never switch a webhook off when the threshold is 0', async () => {
+      expect(await newWebhook().disableIfFailing(0)).toBe(false);
+      expect(secureDatabase.executeQuery).not.toHaveBeenCalled();
+    });
+
+    test('should check the webhook once a delivery gives up', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ status: 500, ok: false, text: async () => '' });
+      jest.spyOn(Webhook.prototype, 'recordDeliveryOutcome').mockResolvedValue();
+      const disableSpy = jest.spyOn(Webhook.prototype, 'disableIfFailing').mockResolvedValue(true);
+
+      await webhookService.attempt(newDelivery({ attempts: webhookService.config.maxAttempts }), newWebhook());
+
+      expect(Webhook.prototype.recordDeliveryOutcome).toHaveBeenCalledWith('failed');
+      expect(disableSpy).toHaveBeenCalledWith(webhookService.config.disableAfterFailures);
+    });
+
+    test('should not check the webhook while a delivery will be retried', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ status: 500, ok: false, text: async () => '' });
+      const disableSpy = jest.spyOn(Webhook.prototype, 'disableIfFailing');
+
+      await webhookService.attempt(newDelivery({ attempts: 1 }), newWebhook());
+
+      expect(disableSpy).not.toHaveBeenCalled();
+    });
+
+    test('should fail deliveries to a disabled webhook without sending them', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch');
+
+      const delivery = await webhookService.attempt(newDelivery({ attempts: 1 }), newWebhook({ isActive: false }));
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(delivery.status).toBe('failed');
+      expect(deliveryUpdates()[0].params[4]).toBe('Webhook is disabled');
+    });
+  });
+});